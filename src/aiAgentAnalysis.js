@@ -0,0 +1,347 @@
+/**
+ * AI Agent Conversation Analysis
+ *
+ * log/ai-agent returns one row per conversation event: what the caller said
+ * (speech-to-text), what the agent said, the tools (functions) it called, and
+ * control events such as interruptions or transfers. This module rebuilds the
+ * conversation turn by turn:
+ *
+ *   turns      — a caller utterance with the agent's responses and tool calls
+ *                up to the next utterance, and the agent's response latency
+ *   barge-ins  — the caller talking over the agent (flagged by the platform, or
+ *                an utterance starting before the agent's response finished)
+ *   silences   — gaps with nobody speaking longer than LONG_SILENCE_MS
+ *   fallbacks  — the agent not understanding ("Sorry, I didn't catch that"),
+ *                flagged as a fallback / no-match intent or recognised by text
+ *   hand-off   — a transfer to a human (transfer tool call or event)
+ *
+ * log/ai-agent is partitioned by day, so the date comes from the call's trace
+ * start (aiAgentDates); a call that crosses midnight is looked up on both days.
+ */
+
+import { getAiAgentLogs } from './callDebugTools'
+import { firstField, parseTimeMs } from './recordFields'
+
+/** Agent response latency (ms) above which a turn is slow. */
+const SLOW_TURN_MS = 3000
+
+/** Gap (ms) with nobody speaking that counts as a long silence. */
+const LONG_SILENCE_MS = 8000
+
+/** Consecutive agent fallbacks that count as the conversation going round in circles. */
+const REPEATED_FALLBACKS = 2
+
+/** Barge-ins in one call above which they are reported as a warning. */
+const FREQUENT_BARGE_INS = 3
+
+/** Speaker / role values per side. */
+const CALLER_ROLES = /^(user|caller|customer|human|stt|speech|asr|input|client)$/i
+const AGENT_ROLES = /^(assistant|agent|bot|ai|tts|llm|system_response|output)$/i
+
+/** Event / tool names meaning a hand-off to a human. */
+const HANDOFF_PATTERN = /transfer|hand.?off|hand.?over|escalat|human|live.?agent|operator|forward/i
+
+/** Event names meaning the caller interrupted the agent. */
+const BARGE_IN_PATTERN = /barge|interrupt/i
+
+/** Agent phrasing that means it did not understand the caller. */
+const FALLBACK_TEXT = /sorry,? i (didn'?t|did not|don'?t|do not) (understand|catch|get)|could you (please )?(repeat|rephrase|say that again)|i'?m not sure (i understand|what you mean)|i didn'?t quite get that/i
+
+/**
+ * Reads a duration field, in ms. Values under 100 with a seconds-style name are taken as seconds.
+ *
+ * @param {Object} row - Source row
+ * @param {Array<string>} msNames - Fields holding milliseconds
+ * @param {Array<string>} secondNames - Fields holding seconds
+ * @returns {number|null} Duration in ms, or null
+ */
+function durationField (row, msNames, secondNames) {
+	const ms = Number(firstField(row, msNames))
+	if (!isNaN(ms) && firstField(row, msNames) !== null) return ms
+	const seconds = Number(firstField(row, secondNames))
+	return !isNaN(seconds) && firstField(row, secondNames) !== null ? Math.round(seconds * 1000) : null
+}
+
+/**
+ * UTC dates (YYYY-MM-DD) to query log/ai-agent for a call: the start date,
+ * plus the end date when the call crosses midnight.
+ *
+ * @param {string} startTime - Call start (trace start_time)
+ * @param {string} [endTime] - Call end (trace end_time)
+ * @returns {Array<string>} Dates, start date first; [] if the start cannot be parsed
+ */
+export function aiAgentDates (startTime, endTime) {
+	const startMs = parseTimeMs(startTime)
+	if (startMs === null) return []
+	const dates = [new Date(startMs).toISOString().slice(0, 10)]
+	const endMs = parseTimeMs(endTime)
+	if (endMs !== null) {
+		const endDate = new Date(endMs).toISOString().slice(0, 10)
+		if (!dates.includes(endDate)) dates.push(endDate)
+	}
+	return dates
+}
+
+/**
+ * Fetches the AI agent log of a call, trying each date in turn.
+ *
+ * @param {string} callid - SIP Call-ID
+ * @param {Array<string>} dates - Dates from aiAgentDates
+ * @returns {Promise<Object>} { date, rows } — the first date with rows, or the first date and [] if none
+ */
+export async function fetchAiAgentLogs (callid, dates) {
+	for (const date of dates) {
+		const data = await getAiAgentLogs(callid, date)
+		const rows = Array.isArray(data) ? data : []
+		if (rows.length > 0) return { date, rows }
+	}
+	return { date: dates[0] ?? null, rows: [] }
+}
+
+/**
+ * Normalises a log/ai-agent row.
+ *
+ * @param {Object} row - log/ai-agent row
+ * @param {number} index - Position in the log
+ * @returns {Object} { index, time_ms, kind (caller/agent/tool/event), text, event, tool, args, result, error, latency_ms, duration_ms, interrupted, fallback, handoff, raw }
+ */
+export function normalizeAiAgentRow (row, index) {
+	const role = String(firstField(row, ['role', 'speaker', 'from', 'source', 'direction']) ?? '')
+	const type = String(firstField(row, ['type', 'event', 'action', 'kind']) ?? '')
+	const call = row.function_call || row.tool_call || null
+	const tool = firstField(row, ['tool', 'tool_name', 'function', 'function_name']) ?? (call ? call.name : null) ?? (/tool|function/i.test(type) ? row.name ?? null : null)
+	const text = firstField(row, ['text', 'message', 'content', 'utterance', 'transcript', 'response'])
+	const intent = String(firstField(row, ['intent', 'intent_name', 'match']) ?? '')
+
+	let kind = 'event'
+	if (tool) kind = 'tool'
+	else if (CALLER_ROLES.test(role) || /^(user|caller|stt|asr|speech|transcript)/i.test(type)) kind = 'caller'
+	else if (AGENT_ROLES.test(role) || /^(assistant|agent|bot|tts|llm|response|say|speak)/i.test(type)) kind = 'agent'
+
+	const fallbackFlag = row.fallback === true || Number(row.fallback) === 1 || /fallback|no.?match|not.?understood/i.test(intent) || /fallback|no.?match/i.test(type)
+	const flagged = value => value === true || Number(value) === 1 || value === 'true'
+
+	return {
+		index,
+		time_ms: parseTimeMs(firstField(row, ['date', 'dt', 'time', 'timestamp', 'created', 'start'])),
+		kind,
+		text: text !== null ? String(text) : null,
+		event: type || null,
+		tool: tool !== null ? String(tool) : null,
+		args: firstField(row, ['args', 'arguments', 'parameters', 'input']) ?? (call ? call.arguments ?? null : null),
+		result: firstField(row, ['result', 'output', 'return']),
+		error: firstField(row, ['error', 'exception']),
+		latency_ms: durationField(row, ['latency_ms', 'response_time_ms', 'latency'], ['latency_s', 'response_time']),
+		duration_ms: durationField(row, ['duration_ms', 'speech_duration_ms'], ['duration', 'speech_duration']),
+		interrupted: flagged(row.interrupted) || flagged(row.barge_in) || flagged(row.bargein) || BARGE_IN_PATTERN.test(type),
+		fallback: kind === 'agent' && (fallbackFlag || (text !== null && FALLBACK_TEXT.test(String(text)))),
+		handoff: HANDOFF_PATTERN.test(type) || (tool !== null && HANDOFF_PATTERN.test(String(tool))),
+		raw: row
+	}
+}
+
+/**
+ * Rebuilds an AI agent conversation from log/ai-agent rows.
+ *
+ * Latency of a turn is the row's own latency figure when the agent reports
+ * one, otherwise the time from the end of the caller's utterance (start +
+ * duration, or its start) to the agent's first response.
+ *
+ * @param {Array<Object>} rows - log/ai-agent rows
+ * @param {Object} [options] - Options
+ * @param {string} [options.start] - Call start that offsets are measured from; defaults to the first row
+ * @returns {Object} Conversation:
+ *   - {Array<Object>} turns - { turn, caller, agent, tool_calls, latency_ms, barge_in, fallback, handoff }
+ *   - {Array<Object>} barge_ins / silences / fallbacks - Detected events with offsets
+ *   - {Object|null} handoff - { offset_ms, turn, via, target, after_fallbacks }
+ *   - {Object} stats - turns, latency avg/max, counts
+ *   - {Array<Object>} findings - { type, severity, message, turns }
+ * @throws {Error} If rows is not an array
+ */
+export function analyzeAiAgentConversation (rows, options = {}) {
+	if (!Array.isArray(rows)) {
+		throw new Error(`Parameter "rows" must be an array, received ${typeof rows}`)
+	}
+
+	const events = rows.map(normalizeAiAgentRow)
+	events.sort((a, b) => (a.time_ms === null || b.time_ms === null ? 0 : a.time_ms - b.time_ms) || a.index - b.index)
+	const times = events.map(e => e.time_ms).filter(t => t !== null)
+	const startMs = parseTimeMs(options.start) ?? (times.length > 0 ? times[0] : null)
+	const endMs = times.length > 0 ? times[times.length - 1] : null
+	const offset = ms => ms !== null && startMs !== null ? Math.round(ms - startMs) : null
+
+	// Turns: each caller utterance opens one; agent speech before the first is turn 0
+	const turns = []
+	let turn = null
+	const openTurn = caller => {
+		turn = { turn: turns.length, caller, agent: [], tool_calls: [], latency_ms: null, barge_in: false, fallback: false, handoff: false }
+		turns.push(turn)
+	}
+	const bargeIns = []
+	let lastAgent = null
+
+	for (const event of events) {
+		if (event.kind === 'caller') {
+			const agentEnd = lastAgent && lastAgent.time_ms !== null && lastAgent.duration_ms !== null ? lastAgent.time_ms + lastAgent.duration_ms : null
+			const overlapped = agentEnd !== null && event.time_ms !== null && event.time_ms < agentEnd
+			openTurn({ text: event.text, offset_ms: offset(event.time_ms), time_ms: event.time_ms, duration_ms: event.duration_ms })
+			if (event.interrupted || overlapped) {
+				turn.barge_in = true
+				bargeIns.push({ turn: turn.turn, offset_ms: offset(event.time_ms), overlap_ms: overlapped ? agentEnd - event.time_ms : null, interrupted_text: lastAgent ? lastAgent.text : null })
+			}
+			continue
+		}
+		if (!turn) openTurn(null)
+		if (event.kind === 'agent') {
+			turn.agent.push({ text: event.text, offset_ms: offset(event.time_ms), fallback: event.fallback })
+			if (event.fallback) turn.fallback = true
+			if (turn.latency_ms === null && turn.caller) {
+				const heard = turn.caller.time_ms !== null ? turn.caller.time_ms + (turn.caller.duration_ms || 0) : null
+				turn.latency_ms = event.latency_ms ?? (heard !== null && event.time_ms !== null ? Math.max(0, event.time_ms - heard) : null)
+			}
+			lastAgent = event
+		} else if (event.kind === 'tool') {
+			turn.tool_calls.push({ name: event.tool, args: event.args, result: event.result, error: event.error, latency_ms: event.latency_ms, offset_ms: offset(event.time_ms) })
+		} else if (event.interrupted && !turn.barge_in) {
+			turn.barge_in = true
+			bargeIns.push({ turn: turn.turn, offset_ms: offset(event.time_ms), overlap_ms: null, interrupted_text: lastAgent ? lastAgent.text : null })
+		}
+		if (event.handoff) turn.handoff = true
+	}
+
+	// Silences: gaps between the end of one utterance and the start of the next
+	const silences = []
+	const spoken = events.filter(e => (e.kind === 'caller' || e.kind === 'agent') && e.time_ms !== null)
+	for (let i = 1; i < spoken.length; i++) {
+		const previous = spoken[i - 1]
+		const gap = spoken[i].time_ms - (previous.time_ms + (previous.duration_ms || 0))
+		if (gap >= LONG_SILENCE_MS) {
+			silences.push({ offset_ms: offset(previous.time_ms + (previous.duration_ms || 0)), duration_ms: gap, after: previous.kind, before: spoken[i].kind })
+		}
+	}
+
+	// Fallbacks and the longest run of turns ending in one
+	const fallbacks = []
+	let run = 0
+	let maxRun = 0
+	for (const t of turns) {
+		if (t.fallback) {
+			run++
+			fallbacks.push({ turn: t.turn, offset_ms: t.agent.find(a => a.fallback)?.offset_ms ?? null, caller_text: t.caller ? t.caller.text : null })
+		} else if (t.caller) {
+			run = 0
+		}
+		maxRun = Math.max(maxRun, run)
+	}
+
+	// Hand-off to a human
+	let handoff = null
+	const handoffEvent = events.find(e => e.handoff)
+	if (handoffEvent) {
+		const handoffTurn = turns.find(t => t.handoff)
+		const args = handoffEvent.args && typeof handoffEvent.args === 'object' ? handoffEvent.args : {}
+		handoff = {
+			offset_ms: offset(handoffEvent.time_ms),
+			turn: handoffTurn ? handoffTurn.turn : null,
+			via: handoffEvent.tool || handoffEvent.event,
+			target: firstField(args, ['to', 'number', 'destination', 'queue', 'agent', 'extension']) ?? firstField(handoffEvent.raw, ['to', 'destination', 'target']),
+			after_fallbacks: handoffTurn ? turns.filter(t => t.turn <= handoffTurn.turn && t.fallback).length : fallbacks.length
+		}
+	}
+
+	const latencies = turns.map(t => t.latency_ms).filter(l => l !== null)
+	const slow = turns.filter(t => t.latency_ms !== null && t.latency_ms > SLOW_TURN_MS)
+	const toolErrors = turns.flatMap(t => t.tool_calls.filter(c => c.error).map(c => ({ ...c, turn: t.turn })))
+	const callerTurns = turns.filter(t => t.caller)
+
+	const findings = []
+	if (slow.length > 0) {
+		findings.push({
+			type: 'slow_response',
+			severity: 'warn',
+			message: `Agent took over ${SLOW_TURN_MS / 1000}s to respond in ${slow.length} turn(s) (max ${(Math.max(...slow.map(t => t.latency_ms)) / 1000).toFixed(1)}s)${slow.some(t => t.tool_calls.length > 0) ? ' — tool calls in those turns' : ''}`,
+			turns: slow.map(t => t.turn)
+		})
+	}
+	if (bargeIns.length > 0) {
+		findings.push({
+			type: 'barge_in',
+			severity: bargeIns.length >= FREQUENT_BARGE_INS ? 'warn' : 'info',
+			message: `Caller talked over the agent ${bargeIns.length} time(s)${bargeIns.length >= FREQUENT_BARGE_INS ? ' — responses may be too long or too slow' : ''}`,
+			turns: bargeIns.map(b => b.turn)
+		})
+	}
+	if (silences.length > 0) {
+		findings.push({
+			type: 'long_silence',
+			severity: 'warn',
+			message: `${silences.length} silence(s) over ${LONG_SILENCE_MS / 1000}s (longest ${(Math.max(...silences.map(s => s.duration_ms)) / 1000).toFixed(1)}s${silences.some(s => s.after === 'caller') ? ', waiting on the agent' : ''})`,
+			turns: []
+		})
+	}
+	if (maxRun >= REPEATED_FALLBACKS) {
+		findings.push({
+			type: 'repeated_fallback',
+			severity: 'warn',
+			message: `Agent failed to understand the caller ${maxRun} turns in a row (${fallbacks.length} fallback(s) in total)`,
+			turns: fallbacks.map(f => f.turn)
+		})
+	}
+	if (toolErrors.length > 0) {
+		findings.push({
+			type: 'tool_error',
+			severity: 'warn',
+			message: `${toolErrors.length} tool call(s) failed: ${toolErrors.slice(0, 3).map(c => `${c.name} (${c.error})`).join(', ')}`,
+			turns: toolErrors.map(c => c.turn)
+		})
+	}
+	if (handoff) {
+		findings.push({
+			type: 'human_handoff',
+			severity: 'info',
+			message: `Handed off to a human${handoff.target ? ` (${handoff.target})` : ''}${handoff.offset_ms !== null ? ` at +${(handoff.offset_ms / 1000).toFixed(1)}s` : ''}${handoff.after_fallbacks > 0 ? ` after ${handoff.after_fallbacks} fallback(s)` : ''}`,
+			turns: handoff.turn !== null ? [handoff.turn] : []
+		})
+	}
+
+	return {
+		row_count: rows.length,
+		start: startMs !== null ? new Date(startMs).toISOString() : null,
+		end: endMs !== null ? new Date(endMs).toISOString() : null,
+		turns: turns.map(({ caller, ...t }) => ({ ...t, caller: caller ? { text: caller.text, offset_ms: caller.offset_ms } : null })),
+		barge_ins: bargeIns,
+		silences,
+		fallbacks,
+		handoff,
+		stats: {
+			turns: callerTurns.length,
+			avg_latency_ms: latencies.length > 0 ? Math.round(latencies.reduce((s, l) => s + l, 0) / latencies.length) : null,
+			max_latency_ms: latencies.length > 0 ? Math.max(...latencies) : null,
+			tool_calls: turns.reduce((s, t) => s + t.tool_calls.length, 0),
+			tool_errors: toolErrors.length,
+			barge_ins: bargeIns.length,
+			silences: silences.length,
+			fallbacks: fallbacks.length,
+			max_consecutive_fallbacks: maxRun
+		},
+		findings
+	}
+}
+
+/**
+ * One-line summary of a conversation for the investigation debug summary.
+ *
+ * @param {Object} conversation - analyzeAiAgentConversation result
+ * @returns {string} e.g. "5 turns, avg latency 1.2s (max 4.1s), 1 barge-in, handed off to a human at +48.0s"
+ */
+export function summarizeAiAgentConversation (conversation) {
+	const s = conversation.stats
+	const parts = [`${s.turns} turn(s)`]
+	if (s.avg_latency_ms !== null) parts.push(`avg latency ${(s.avg_latency_ms / 1000).toFixed(1)}s (max ${(s.max_latency_ms / 1000).toFixed(1)}s)`)
+	if (s.tool_calls > 0) parts.push(`${s.tool_calls} tool call(s)${s.tool_errors > 0 ? `, ${s.tool_errors} failed` : ''}`)
+	if (s.barge_ins > 0) parts.push(`${s.barge_ins} barge-in(s)`)
+	if (s.silences > 0) parts.push(`${s.silences} long silence(s)`)
+	if (s.fallbacks > 0) parts.push(`${s.fallbacks} fallback(s)`)
+	if (conversation.handoff) parts.push(`handed off to a human${conversation.handoff.offset_ms !== null ? ` at +${(conversation.handoff.offset_ms / 1000).toFixed(1)}s` : ''}`)
+	return parts.join(', ')
+}
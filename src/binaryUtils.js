@@ -0,0 +1,142 @@
+/**
+ * Binary Helpers
+ *
+ * Base64 and UTF-8 conversions on Uint8Array. The ScriptForge runtime has no
+ * Buffer, atob/btoa or TextEncoder/TextDecoder, so these are implemented
+ * directly.
+ */
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/** Reverse lookup for both the standard and URL-safe alphabets. */
+const BASE64_LOOKUP = (() => {
+	const lookup = {}
+	for (let i = 0; i < BASE64_ALPHABET.length; i++) lookup[BASE64_ALPHABET[i]] = i
+	lookup['-'] = 62
+	lookup._ = 63
+	return lookup
+})()
+
+/**
+ * Decodes base64 or base64url text (padding and whitespace optional).
+ *
+ * @param {string} text - Base64/base64url encoded text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If text contains characters outside the base64 alphabets
+ */
+export function base64ToBytes (text) {
+	if (typeof text !== 'string') {
+		throw new Error(`Base64 input must be a string, received ${typeof text}`)
+	}
+	const clean = text.replace(/[\s=]/g, '')
+	const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4))
+	let buffer = 0
+	let bits = 0
+	let offset = 0
+
+	for (const char of clean) {
+		const value = BASE64_LOOKUP[char]
+		if (value === undefined) throw new Error(`Invalid base64 character "${char}"`)
+		buffer = (buffer << 6) | value
+		bits += 6
+		if (bits >= 8) {
+			bits -= 8
+			bytes[offset++] = (buffer >> bits) & 0xff
+		}
+	}
+	return bytes.subarray(0, offset)
+}
+
+/**
+ * Encodes bytes as standard (padded) base64.
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+export function bytesToBase64 (bytes) {
+	let out = ''
+	for (let i = 0; i < bytes.length; i += 3) {
+		const b0 = bytes[i]
+		const b1 = i + 1 < bytes.length ? bytes[i + 1] : 0
+		const b2 = i + 2 < bytes.length ? bytes[i + 2] : 0
+		const triple = (b0 << 16) | (b1 << 8) | b2
+		out += BASE64_ALPHABET[(triple >> 18) & 63] + BASE64_ALPHABET[(triple >> 12) & 63]
+		out += i + 1 < bytes.length ? BASE64_ALPHABET[(triple >> 6) & 63] : '='
+		out += i + 2 < bytes.length ? BASE64_ALPHABET[triple & 63] : '='
+	}
+	return out
+}
+
+/**
+ * Encodes a string as UTF-8 bytes.
+ *
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+export function utf8ToBytes (text) {
+	const out = []
+	for (const char of String(text)) {
+		const code = char.codePointAt(0)
+		if (code < 0x80) {
+			out.push(code)
+		} else if (code < 0x800) {
+			out.push(0xc0 | (code >> 6), 0x80 | (code & 63))
+		} else if (code < 0x10000) {
+			out.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63))
+		} else {
+			out.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 63), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63))
+		}
+	}
+	return new Uint8Array(out)
+}
+
+/**
+ * Decodes UTF-8 bytes to a string. Invalid sequences — stray or missing
+ * continuation bytes, overlong forms, surrogates and code points above
+ * U+10FFFF — become U+FFFD, one per maximal invalid subpart.
+ *
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @returns {string} Decoded text
+ */
+export function bytesToUtf8 (bytes) {
+	let out = ''
+	let i = 0
+	while (i < bytes.length) {
+		const b0 = bytes[i]
+		if (b0 < 0x80) {
+			out += String.fromCharCode(b0)
+			i++
+			continue
+		}
+		// Sequence length and the allowed range of the second byte (rules out overlongs, surrogates and > U+10FFFF)
+		let size = 0
+		let low = 0x80
+		let high = 0xbf
+		if (b0 >= 0xc2 && b0 <= 0xdf) size = 2
+		else if (b0 >= 0xe0 && b0 <= 0xef) {
+			size = 3
+			if (b0 === 0xe0) low = 0xa0
+			if (b0 === 0xed) high = 0x9f
+		} else if (b0 >= 0xf0 && b0 <= 0xf4) {
+			size = 4
+			if (b0 === 0xf0) low = 0x90
+			if (b0 === 0xf4) high = 0x8f
+		}
+		if (size === 0) {
+			out += '\ufffd'
+			i++
+			continue
+		}
+		let code = b0 & (0xff >> (size + 1))
+		let taken = 1
+		while (taken < size) {
+			const next = bytes[i + taken]
+			if (next === undefined || next < (taken === 1 ? low : 0x80) || next > (taken === 1 ? high : 0xbf)) break
+			code = (code << 6) | (next & 63)
+			taken++
+		}
+		out += taken === size ? String.fromCodePoint(code) : '\ufffd'
+		i += taken
+	}
+	return out
+}
@@ -13,14 +13,45 @@
  */
 
 import cxRest from 'cxRest'
+import { buildSipTransactions } from './sipTransactions'
+import { analyzeRetransmissions } from './sipTimers'
+import { analyzeSdpNegotiation } from './sdpAnalysis'
+import { analyzeIdentity } from './stirShaken'
+import { analyzeLegTiming } from './callLegs'
+import { analyzeNat } from './natAnalysis'
+import { renderCallFlow, CALL_FLOW_FORMATS } from './callFlowRenderer'
+import { evaluateIssueRules, getIssueRules, issueRulesWarning } from './issueRules'
+import { createFinding, collectTraceFindings, collectRtcpFindings, collectClass5Findings, collectAiAgentFindings, collectTranscriptFindings, diagnosisFinding, rankFindings, identifyRootCause } from './findings'
+import { classifyCallFailure } from './failureClassifier'
+import { checkFirewall, formatFirewallSummary } from './firewall'
+import { estimateMos, analyzeRtcpTimeSeries } from './rtcpAnalysis'
+import { analyzeClass5Flow, summarizeClass5Flow } from './class5Flow'
+import { normalizeTranscript } from './transcription'
+import { sipTimelineEvents, rtcpTimelineEvents, correlateTranscript } from './transcriptCorrelation'
+import { aiAgentDates, fetchAiAgentLogs, analyzeAiAgentConversation, summarizeAiAgentConversation } from './aiAgentAnalysis'
+
+/** Client set by setApiClient — replaces cxRest for offline tests. */
+let apiClientOverride = null
+
+/**
+ * Replace the API client used by every endpoint function in this module.
+ * Used by offline tests to run handlers against a local cxRest stand-in
+ * (see cxRestStandIn.js). Pass null to restore the real client.
+ * @param {Object|null} client - Object with cxRest-style get/post methods, or null
+ */
+export function setApiClient (client) {
+	apiClientOverride = client
+}
 
 /**
  * Get authenticated API client.
  * Requires API_USERNAME environment variable to be set.
- * @returns {Object} Authenticated cxRest API client
+ * @returns {Object} Authenticated cxRest API client (or the client set by setApiClient)
  * @throws {Error} If API_USERNAME environment variable is not set
  */
 export function getApi () {
+	if (apiClientOverride) return apiClientOverride
+
 	const apiUsername = process.env.API_USERNAME
 	
 	if (!apiUsername || apiUsername.trim() === '') {
@@ -169,6 +200,7 @@ export function getRtpServerGroups () {
  * @param {string} [filters.dst] - Destination number - filters dest_number field
  * @param {number} [filters.customer_id] - Customer ID
  * @param {number} [filters.provider_id] - Provider ID
+ * @param {string} [filters.callid] - Call-ID (ingress leg)
  * @param {number} [filters.limit] - Max results (default 1000, max 5000)
  * @param {Array<string>} [filters.fields] - Fields to return (defaults to standard fields)
  * @returns {Promise<Array<Object>>} Array of CDR records with selected fields
@@ -258,6 +290,13 @@ export async function searchCdr (startDate, endDate, filters = {}) {
 			data: filters.provider_id
 		})
 	}
+	if (filters.callid) {
+		rules.push({
+			field: 'callid',
+			condition: '=',
+			data: filters.callid
+		})
+	}
 	
 	// Validate and set limit
 	const limit = filters.limit !== undefined ? parseInt(filters.limit, 10) : 1000
@@ -454,13 +493,62 @@ export async function getCallAnalytics (startDate, endDate, filters = {}) {
 // SIP TRACE ANALYSIS
 // ============================================================================
 
+/**
+ * Finds the final response the caller received for the call.
+ * 
+ * Starts at the first INVITE and follows answered auth challenges
+ * (`superseded_by`), so a 407 followed by an authenticated INVITE that
+ * connects reports the 200 OK, not the 407.
+ * 
+ * @param {Array<Object>} transactions - Transactions from buildSipTransactions
+ * @returns {Object|null} { code, reason } or null if the caller got no final response
+ */
+function finalCallResponse (transactions) {
+	let tx = transactions.find(t => t.method === 'INVITE')
+	while (tx && tx.superseded_by) {
+		const next = tx.superseded_by
+		tx = transactions.find(t => t.id === next) || null
+	}
+	return tx && tx.final_response ? { code: tx.final_response.code, reason: tx.final_response.reason } : null
+}
+
 /**
  * Analyze SIP trace messages and produce a structured debug summary.
  * 
- * Extracts: call flow, timing (PDD, setup time), auth, NAT detection,
+ * Extracts: call flow, timing (PDD, setup time), auth, NAT classification,
  * codecs, retransmissions, failure reasons, participants.
+ * 
+ * Messages are grouped into RFC 3261 transactions (Via branch + CSeq) and
+ * dialogs (Call-ID + From/To tags) — see sipTransactions.js. Retransmissions
+ * are counted per transaction, so an authenticated re-INVITE after a 407 is
+ * reported as a new transaction rather than a retransmission. Retransmission
+ * intervals are then checked against the RFC 3261 timers (sipTimers.js).
+ * 
+ * SDP offers and answers are paired per transaction (sdpAnalysis.js) to
+ * report the negotiated codec, media address and direction for each leg,
+ * and to flag one-way-audio risks (private c=, holds, no shared codec).
+ * 
+ * STIR/SHAKEN Identity headers are decoded and checked against the call
+ * (stirShaken.js); the signature is verified only when a certificate is given.
+ * 
+ * The ingress leg and each egress attempt are timed separately (callLegs.js),
+ * splitting the caller's PDD into switch-induced and carrier PDD and the
+ * failover time between carriers. `pdd_ms` and `setup_time_ms` are taken
+ * from the ingress leg.
+ * 
+ * NAT is classified from the X-CX-NAT / X-Orig-IP / X-NAT-IDX / X-LB-SEC
+ * headers and the Contact, Via and SDP addresses (natAnalysis.js).
+ * 
+ * Threshold checks (PDD, failed call, NAT) come from the `trace` rules in
+ * issueRules.js; the rules that fired are listed in `triggered_rules`.
+ * 
+ * @param {Array<Object>} messages - log/trace rows in chronological order
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.certificate_pem] - STIR/SHAKEN signer certificate (PEM) for offline signature verification
+ * @param {Array<Object>} [options.rules] - Issue rules (defaults to the deployment rule set)
+ * @returns {Object} Trace analysis including `transactions`, `dialogs`, `sdp`, `stir_shaken` and `triggered_rules`
  */
-export function analyzeSipTrace (messages) {
+export function analyzeSipTrace (messages, options = {}) {
 	if (!Array.isArray(messages) || messages.length === 0) {
 		return { error: 'No trace data available', message_count: 0 }
 	}
@@ -478,24 +566,33 @@ export function analyzeSipTrace (messages) {
 		final_response: null,
 		pdd_ms: null,
 		setup_time_ms: null,
+		leg_timing: null,
 		auth_required: false,
 		nat_detected: false,
+		nat: null,
 		anyedge_host: null,
 		protocols_used: [],
 		participants: [],
 		codecs: [],
 		call_flow: [],
+		transactions: [],
+		dialogs: [],
+		retransmission_analysis: null,
+		sdp: null,
+		stir_shaken: null,
+		triggered_rules: [],
 		issues: []
 	}
+	const sipModel = buildSipTransactions(messages)
 	let inviteTime = null
 	let firstRingTime = null
 	let connectTime = null
 	const protocolSet = new Set()
 	const participantSet = new Set()
 	const codecSet = new Set()
-	const methodTracker = {}
+	const transactionById = Object.fromEntries(sipModel.transactions.map(tx => [tx.id, tx]))
 
-	for (const msg of messages) {
+	for (const [index, msg] of messages.entries()) {
 		// Build human-readable call flow
 		const label = msg.reply_reason
 			? `${msg.method} ${msg.reply_reason}`
@@ -509,7 +606,8 @@ export function analyzeSipTrace (messages) {
 			from_user: msg.from_user,
 			to_user: msg.to_user,
 			protocol: msg.protocol,
-			delta_ms: msg.delta ? +(msg.delta / 1000).toFixed(1) : 0
+			delta_ms: msg.delta ? +(msg.delta / 1000).toFixed(1) : 0,
+			transaction_id: sipModel.message_transactions[index]
 		})
 
 		// Timing
@@ -522,10 +620,6 @@ export function analyzeSipTrace (messages) {
 		participantSet.add(`${msg.source_ip}:${msg.source_port}`)
 		participantSet.add(`${msg.destination_ip}:${msg.destination_port}`)
 
-		// Retransmission tracking
-		const trackKey = `${msg.method}|${msg.source_ip}|${msg.destination_ip}`
-		methodTracker[trackKey] = (methodTracker[trackKey] || 0) + 1
-
 		// INVITE timing
 		if (msg.method === 'INVITE' && !inviteTime) {
 			inviteTime = msgTime
@@ -544,8 +638,9 @@ export function analyzeSipTrace (messages) {
 			}
 		}
 
-		// 200 OK ? call connected
-		if (msg.method === '200' && !connectTime && inviteTime) {
+		// 200 OK ? call connected (a 200 to CANCEL, OPTIONS etc. is not an answer)
+		const answered = transactionById[sipModel.message_transactions[index]]
+		if (msg.method === '200' && !connectTime && inviteTime && (!answered || answered.method === 'INVITE')) {
 			connectTime = msgTime
 			analysis.call_connected = true
 			analysis.setup_time_ms = connectTime - inviteTime
@@ -564,9 +659,6 @@ export function analyzeSipTrace (messages) {
 
 		// Inspect raw SIP message for special headers and SDP
 		if (msg.msg) {
-			if (msg.msg.includes('X-CX-NAT')) {
-				analysis.nat_detected = true
-			}
 			const aeMatch = msg.msg.match(/X-AnyEdge-Host:\s*(.+)/i)
 			if (aeMatch) {
 				analysis.anyedge_host = aeMatch[1].trim()
@@ -586,6 +678,22 @@ export function analyzeSipTrace (messages) {
 	analysis.protocols_used = [...protocolSet]
 	analysis.participants = [...participantSet]
 	analysis.codecs = [...codecSet]
+	analysis.transactions = sipModel.transactions
+	analysis.dialogs = sipModel.dialogs
+	analysis.retransmission_analysis = analyzeRetransmissions(sipModel.transactions, { trace_end_ms: sipModel.trace_end_ms })
+	analysis.sdp = analyzeSdpNegotiation(messages, sipModel.transactions)
+	analysis.stir_shaken = analyzeIdentity(messages, { certificate_pem: options.certificate_pem })
+	analysis.leg_timing = analyzeLegTiming(sipModel.transactions)
+	analysis.nat = analyzeNat(messages, sipModel.transactions)
+	analysis.nat_detected = analysis.nat.nat_detected
+
+	// PDD and setup time are what the caller saw on the ingress leg, not the first 18x/200 on any leg
+	if (analysis.leg_timing && analysis.leg_timing.ingress.pdd_ms !== null) analysis.pdd_ms = analysis.leg_timing.ingress.pdd_ms
+	if (analysis.leg_timing && analysis.leg_timing.ingress.setup_ms !== null) analysis.setup_time_ms = analysis.leg_timing.ingress.setup_ms
+
+	// Final response to the caller; without one, the last error response seen stands
+	const callFinal = finalCallResponse(sipModel.transactions)
+	if (callFinal) analysis.final_response = callFinal
 
 	// Duration
 	if (analysis.start_time && analysis.end_time) {
@@ -593,18 +701,21 @@ export function analyzeSipTrace (messages) {
 	}
 
 	// Issue detection
-	if (analysis.pdd_ms && analysis.pdd_ms > 5000) {
-		analysis.issues.push(`High Post-Dial Delay: ${analysis.pdd_ms}ms (>5s)`)	}
-	if (!analysis.call_connected && analysis.final_response) {
-		analysis.issues.push(`Call failed: ${analysis.final_response.code} ${analysis.final_response.reason}`)
+	analysis.triggered_rules = evaluateIssueRules('trace', analysis, options.rules || getIssueRules(), { callid: analysis.call_id })
+	const rulesWarning = options.rules ? null : issueRulesWarning()
+	if (rulesWarning) analysis.rules_warning = rulesWarning
+	analysis.issues.push(...analysis.triggered_rules.map(rule => rule.message))
+	for (const finding of analysis.retransmission_analysis.findings) {
+		if (finding.severity !== 'info') analysis.issues.push(finding.message)
 	}
-	for (const [key, count] of Object.entries(methodTracker)) {
-		if (count > 1 && key.startsWith('INVITE')) {
-			analysis.issues.push(`INVITE retransmission detected (${count} copies) — possible network issue`)
-		}
+	for (const risk of analysis.sdp.risks) {
+		if (risk.severity !== 'info') analysis.issues.push(`${risk.message} (${risk.leg})`)
 	}
-	if (analysis.nat_detected) {
-		analysis.issues.push('NAT detected — verify media path and Far-End NAT Traversal configuration')
+	for (const finding of analysis.stir_shaken.findings) {
+		if (finding.severity !== 'info') analysis.issues.push(`STIR/SHAKEN: ${finding.message}`)
+	}
+	for (const finding of analysis.nat.findings) {
+		if (finding.severity !== 'info') analysis.issues.push(finding.message)
 	}
 
 	return analysis
@@ -636,6 +747,19 @@ export function validateCallId (callid, paramName) {
   }
 }
 
+/**
+ * Validates the optional call-flow diagram format parameter
+ * 
+ * @param {string} [format] - Requested diagram format
+ * @throws {Error} If a format is given but not supported
+ */
+export function validateDiagramFormat (format) {
+  if (format === undefined || format === null || format === '') return
+  if (!CALL_FLOW_FORMATS.includes(format)) {
+    throw new Error(`Parameter "format" must be one of: ${CALL_FLOW_FORMATS.join(', ')} (received ${format})`)
+  }
+}
+
 // ============================================================================
 // RTCP QUALITY HELPERS
 // ============================================================================
@@ -644,17 +768,22 @@ export function validateCallId (callid, paramName) {
  * Summarizes RTCP quality metrics and identifies issues
  *
  * Calculates min/max/avg statistics for MOS, jitter, packet loss, and RTT.
- * Detects quality issues based on thresholds:
- * - Low MOS: < 3.5
- * - High jitter: > 30ms
- * - Packet loss: > 1%
- * - High RTT: > 300ms
+ * When no report carries a platform MOS, MOS is estimated per report with
+ * the E-model (estimateMos) and `mos_source` is 'e_model'.
+ * Quality issues come from the `rtcp` rules in issueRules.js (defaults:
+ * MOS < 3.5, jitter > 30ms, packet loss > 1%, RTT > 300ms).
+ *
+ * Per-direction streams and incidents are in analyzeRtcpTimeSeries (rtcpAnalysis.js).
  *
  * @param {Array<Object>} metrics - Array of RTCP metric objects from log/rtcp endpoint
- * @returns {Object|null} Summary object with quality assessment, or null if no metrics
+ * @param {Object} [options] - Summary options
+ * @param {Array<Object>} [options.rules] - Issue rules (defaults to the deployment rule set)
+ * @param {string} [options.callid] - Call-ID, used in the rules' suggested next tool calls
+ * @param {string} [options.codec] - Negotiated codec, for the E-model MOS
+ * @returns {Object|null} Summary object with quality assessment (`issues` is empty when quality is good), or null if no metrics
  * @throws {Error} If metrics parameter is invalid
  */
-export function summarizeRtcpMetrics (metrics) {
+export function summarizeRtcpMetrics (metrics, options = {}) {
   if (!Array.isArray(metrics)) {
     throw new Error(`Parameter "metrics" must be an array, received ${typeof metrics}`)
   }
@@ -670,6 +799,15 @@ export function summarizeRtcpMetrics (metrics) {
     if (m.rtt !== undefined && m.rtt !== null) values.rtt.push(Number(m.rtt))
   }
 
+  let mosSource = values.mos.length > 0 ? 'platform' : null
+  if (values.mos.length === 0) {
+    for (const m of metrics) {
+      const estimate = estimateMos({ rtt_ms: m.rtt ?? null, jitter_ms: m.jitter ?? null, packet_loss_pct: m.packet_loss ?? null, codec: options.codec })
+      if (estimate) values.mos.push(estimate.mos)
+    }
+    if (values.mos.length > 0) mosSource = 'e_model'
+  }
+
   function stats (arr) {
     if (arr.length === 0) return null
     const sorted = [...arr].sort((a, b) => a - b)
@@ -686,26 +824,32 @@ export function summarizeRtcpMetrics (metrics) {
   const packetLossStats = stats(values.packet_loss)
   const rttStats = stats(values.rtt)
 
-  const issues = []
-  if (mosStats && mosStats.avg < 3.5) issues.push(`Low MOS: ${mosStats.avg} (< 3.5 threshold)`)
-  if (jitterStats && jitterStats.avg > 30) issues.push(`High jitter: ${jitterStats.avg}ms (> 30ms threshold)`)
-  if (packetLossStats && packetLossStats.avg > 1) issues.push(`Packet loss: ${packetLossStats.avg}% (> 1% threshold)`)
-  if (rttStats && rttStats.avg > 300) issues.push(`High RTT: ${rttStats.avg}ms (> 300ms threshold)`)
-
-  return {
-    overall_quality: issues.length === 0 ? 'good' : issues.length <= 1 ? 'fair' : 'poor',
+  const summary = {
+    overall_quality: 'good',
     mos: mosStats,
+    mos_source: mosSource,
     jitter_ms: jitterStats,
     packet_loss_pct: packetLossStats,
     rtt_ms: rttStats,
-    issues: issues.length > 0 ? issues : ['No quality issues detected'],
+    triggered_rules: [],
+    issues: [],
     sample_count: metrics.length
   }
+
+  summary.triggered_rules = evaluateIssueRules('rtcp', summary, options.rules || getIssueRules(), { callid: options.callid })
+  const rulesWarning = options.rules ? null : issueRulesWarning()
+  if (rulesWarning) summary.rules_warning = rulesWarning
+  summary.issues = summary.triggered_rules.map(rule => rule.message)
+  summary.overall_quality = summary.issues.length === 0 ? 'good' : summary.issues.length <= 1 ? 'fair' : 'poor'
+  return summary
 }
 
 /**
  * Builds a human-readable debug summary from investigation results
  *
+ * When the result carries ranked `findings`, the root cause is stated first
+ * and findings are listed most severe first; otherwise `issues` are numbered.
+ *
  * @param {Object} result - Investigation result object
  * @returns {string} Multi-line summary text
  */
@@ -719,26 +863,84 @@ export function buildDebugSummary (result) {
     lines.push(`Connected: ${a.call_connected ? 'Yes' : 'No'}`)
     if (a.call_connected) lines.push(`Setup: ${a.setup_time_ms}ms`)
     if (a.pdd_ms !== null) lines.push(`PDD: ${a.pdd_ms}ms`)
+    if (a.leg_timing && a.leg_timing.switch_pdd_ms !== null) {
+      const t = a.leg_timing
+      const parts = [`switch-induced ${t.switch_pdd_ms}ms`]
+      if (t.carrier_pdd_ms !== null) parts.push(`carrier ${t.carrier_pdd_ms}ms`)
+      if (t.failover_ms !== null) parts.push(`failover ${t.failover_ms}ms over ${t.attempts.length} attempts`)
+      lines.push(`  ${parts.join(', ')}`)
+    }
     if (a.final_response && !a.call_connected) lines.push(`Failed: ${a.final_response.code} ${a.final_response.reason}`)
+    if (result.diagnosis && result.diagnosis.diagnosis !== 'unknown') {
+      lines.push(`Diagnosis: ${result.diagnosis.label} (${Math.round(result.diagnosis.confidence * 100)}% confidence)`)
+    }
     if (a.auth_required) lines.push('Auth: Required')
-    if (a.nat_detected) lines.push('NAT: Detected')
+    if (a.nat && a.nat.nat_detected) {
+      lines.push(`NAT: ${a.nat.label} (Far-End NAT Traversal ${a.nat.advice.far_end_nat_traversal.replace('_', ' ')}, direct media ${a.nat.advice.direct_media})`)
+    } else if (a.nat_detected) {
+      lines.push('NAT: Detected')
+    }
     if (a.codecs.length > 0) lines.push(`Codecs: ${a.codecs.join(', ')}`)
+    if (a.sdp) {
+      a.sdp.negotiations.forEach(n => {
+        const audio = n.media.find(m => m.type === 'audio')
+        if (audio) lines.push(`  ${n.leg}: ${audio.negotiated_codec || 'no codec'} ${audio.answer_address || 'no answer'} (${audio.direction.effective || 'unanswered'})`)
+      })
+    }
+    if (a.stir_shaken && a.stir_shaken.present) {
+      a.stir_shaken.identities.forEach(id => {
+        const sig = id.signature ? (id.signature.verified === null ? 'signature not checked' : id.signature.verified ? 'signature verified' : 'signature INVALID') : 'undecodable'
+        lines.push(`STIR/SHAKEN: ${id.attestation || '?'} attestation, orig ${id.orig_tn || '?'}, iat age ${id.iat_age_seconds ?? '?'}s, ${sig}`)
+      })
+    }
+  }
+
+  if (result.class5?.available && result.class5.flow) {
+    lines.push(`Class 5: ${summarizeClass5Flow(result.class5.flow)}`)
+  }
+
+  if (result.ai_agent?.available && result.ai_agent.conversation) {
+    lines.push(`AI Agent: ${summarizeAiAgentConversation(result.ai_agent.conversation)}`)
   }
 
   if (result.rtcp?.available && result.rtcp.summary) {
     const q = result.rtcp.summary
     lines.push(`Quality: ${q.overall_quality.toUpperCase()}`)
-    if (q.mos) lines.push(`  MOS: ${q.mos.avg}`)
+    if (q.mos) lines.push(`  MOS: ${q.mos.avg}${q.mos_source === 'e_model' ? ' (E-model estimate)' : ''}`)
     if (q.jitter_ms) lines.push(`  Jitter: ${q.jitter_ms.avg}ms`)
+    const incidents = result.rtcp.time_series ? result.rtcp.time_series.incidents : []
+    if (incidents.length > 0) {
+      lines.push(`  Incidents (${result.rtcp.time_series.streams.length} streams):`)
+      incidents.slice(0, 5).forEach(i => lines.push(`    - ${i.message}`))
+      if (incidents.length > 5) lines.push(`    - ... ${incidents.length - 5} more`)
+    }
   }
 
-  if (result.issues.length > 0) {
+  if (result.transcript?.available) {
+    const t = result.transcript
+    const correlated = t.findings.filter(f => f.type === 'audio_complaint_correlated').length
+    lines.push(`Transcript: ${t.turn_count} turn(s)${t.anchor === 'answer' ? ` (recording starts at the answer, +${(t.anchor_offset_ms / 1000).toFixed(1)}s)` : ''}, ${t.complaints.length} audio complaint(s)${correlated > 0 ? `, ${correlated} episode(s) lining up with RTCP incidents or SIP media changes` : ''}`)
+  }
+
+  if (Array.isArray(result.findings)) {
+    if (result.root_cause) {
+      lines.push('', `Most likely root cause: ${result.root_cause.message} [${result.root_cause.severity}, ${result.root_cause.category}]`)
+      if (result.root_cause.next_tool) lines.push(`Next step: ${result.root_cause.next_tool.tool} ${JSON.stringify(result.root_cause.next_tool.args)}`)
+    }
+    if (!result.findings.some(f => f.severity !== 'info')) lines.push('', 'No issues detected.')
+    if (result.findings.length > 0) {
+      lines.push('', '--- Findings (most severe first) ---')
+      result.findings.forEach(f => lines.push(`${f.rank}. [${f.severity.toUpperCase()}] ${f.category}: ${f.message}`))
+    }
+  } else if (result.issues.length > 0) {
     lines.push('', '--- Issues ---')
     result.issues.forEach((iss, i) => lines.push(`${i + 1}. ${iss}`))
   } else {
     lines.push('', 'No issues detected.')
   }
 
+  if (result.rules_warning) lines.push('', `Warning: ${result.rules_warning}`)
+
   return lines.join('\n')
 }
 
@@ -752,13 +954,16 @@ export function buildDebugSummary (result) {
  * @param {Object} args - Tool arguments
  * @param {string} args.callid - SIP Call-ID (required)
  * @param {string} [args.callidb] - Internal call identifier (optional)
+ * @param {string} [args.certificate_pem] - STIR/SHAKEN signer certificate (PEM) to verify the Identity signature offline (optional)
+ * @param {string} [args.format] - Call-flow diagram format: mermaid, plantuml or ascii (optional)
  * @returns {Promise<Object>} Analysis result object
  */
 export async function getSipTraceHandler (args) {
-  const { callid, callidb } = args
+  const { callid, callidb, certificate_pem, format } = args
 
   try {
     validateCallId(callid, 'callid')
+    validateDiagramFormat(format)
 
     const traceMessages = await getSipTrace(callid, callidb)
     const messages = Array.isArray(traceMessages) ? traceMessages : []
@@ -777,15 +982,19 @@ export async function getSipTraceHandler (args) {
       }
     }
 
-    const analysis = analyzeSipTrace(messages)
+    const analysis = analyzeSipTrace(messages, { certificate_pem })
 
-    return {
+    const response = {
       success: true,
       callid,
       analysis,
       raw_message_count: messages.length,
       raw_messages: messages
     }
+    if (format) {
+      response.call_flow_diagram = { format, diagram: renderCallFlow(analysis.call_flow, format, { title: callid }) }
+    }
+    return response
 
   } catch (error) {
     return {
@@ -821,13 +1030,17 @@ export async function getCallQualityHandler (args) {
       }
     }
 
-    const summary = summarizeRtcpMetrics(metrics)
+    const summary = summarizeRtcpMetrics(metrics, { callid })
+    const timeSeries = analyzeRtcpTimeSeries(metrics)
 
     return {
       success: true,
       callid,
       has_rtcp: true,
       summary,
+      streams: timeSeries.streams,
+      incidents: timeSeries.incidents,
+      one_way_audio: timeSeries.one_way_audio,
       metrics_count: metrics.length,
       raw_metrics: metrics
     }
@@ -844,15 +1057,29 @@ export async function getCallQualityHandler (args) {
 /**
  * Handler for the investigate_call MCP tool
  *
+ * The trace is classified into a single failure / release diagnosis with a
+ * confidence score (failureClassifier.js). Findings from the trace, Class 5,
+ * AI Agent and RTCP analyses are returned as structured objects (see findings.js),
+ * ranked by severity, with the most likely root cause picked out. `issues` keeps the warn/critical messages in
+ * the same ranked order for callers that only want text. For a Class 5 call
+ * the AI Agent log of the trace date, if any, is rebuilt into `ai_agent.conversation`.
+ * With include_transcript, the transcript is put on one timeline with the SIP
+ * events and RTCP incidents, anchored at the trace start_time, and audio
+ * complaints in it ("can you hear me?") are matched to them.
+ *
  * @param {Object} args - Tool arguments
  * @param {string} args.callid - SIP Call-ID (required)
  * @param {string} [args.callidb] - Internal call identifier (optional)
+ * @param {string} [args.certificate_pem] - STIR/SHAKEN signer certificate (PEM) to verify the Identity signature offline (optional)
+ * @param {string} [args.format] - Call-flow diagram format: mermaid, plantuml or ascii (optional)
+ * @param {boolean} [args.include_transcript] - Fetch the transcription and align it with SIP events and RTCP incidents in `transcript.timeline` (optional)
  * @returns {Promise<Object>} Investigation result object
  */
 export async function investigateCallHandler (args) {
-  const { callid, callidb } = args
+  const { callid, callidb, certificate_pem, format, include_transcript } = args
 
   validateCallId(callid, 'callid')
+  validateDiagramFormat(format)
 
   const result = {
     success: true,
@@ -860,10 +1087,17 @@ export async function investigateCallHandler (args) {
     call_type: null,
     trace: null,
     class5: null,
+    ai_agent: null,
     rtcp: null,
+    transcript: null,
+    call_flow_diagram: null,
+    diagnosis: null,
+    findings: [],
+    root_cause: null,
     issues: [],
     debug_summary: null
   }
+  const findings = []
 
   // 1. SIP trace
   try {
@@ -872,15 +1106,36 @@ export async function investigateCallHandler (args) {
 
     if (messages.length === 0) {
       result.trace = { available: false }
-      result.issues.push('No SIP trace data found')
+      findings.push(createFinding({
+        code: 'trace.unavailable',
+        severity: 'warn',
+        category: 'signalling',
+        source: 'trace',
+        message: 'No SIP trace data found',
+        next_tool: { tool: 'searchCallLogs', args: { search: callid } },
+        doc: 'https://docs.connexcs.com/logging/'
+      }))
     } else {
-      const analysis = analyzeSipTrace(messages)
+      const analysis = analyzeSipTrace(messages, { certificate_pem })
       result.trace = { available: true, analysis, raw_message_count: messages.length, raw_messages: messages }
-      if (analysis.issues && analysis.issues.length > 0) result.issues.push(...analysis.issues)
+      if (format) {
+        result.call_flow_diagram = { format, diagram: renderCallFlow(analysis.call_flow, format, { title: callid }) }
+      }
+      result.diagnosis = classifyCallFailure(analysis, messages)
+      const diagnosed = diagnosisFinding(result.diagnosis, analysis, callid)
+      if (diagnosed) findings.push(diagnosed)
+      findings.push(...collectTraceFindings(analysis, callid))
     }
   } catch (error) {
     result.trace = { available: false, error: error.message }
-    result.issues.push(`Trace error: ${error.message}`)
+    findings.push(createFinding({
+      code: 'trace.error',
+      severity: 'warn',
+      category: 'signalling',
+      source: 'trace',
+      message: `Trace error: ${error.message}`,
+      next_tool: { tool: 'getSipTrace', args: { callid } }
+    }))
   }
 
   // 2. Class 5
@@ -890,7 +1145,10 @@ export async function investigateCallHandler (args) {
 
     if (class5Records.length > 0) {
       result.call_type = 'class5'
-      result.class5 = { available: true, records: class5Records }
+      result.class5 = { available: true, records: class5Records, record_count: class5Records.length }
+      result.class5.flow = analyzeClass5Flow(class5Records, { start: result.trace?.analysis?.start_time })
+      result.class5.triggered_rules = evaluateIssueRules('class5', result.class5, getIssueRules(), { callid })
+      findings.push(...collectClass5Findings(result.class5, callid))
     } else {
       result.call_type = 'class4'
       result.class5 = { available: false }
@@ -899,17 +1157,37 @@ export async function investigateCallHandler (args) {
     result.class5 = { available: false, error: error.message }
   }
 
+  // 2b. AI Agent (Class 5 only; log/ai-agent is looked up by the trace date)
+  if (result.call_type === 'class5') {
+    try {
+      const analysis = result.trace?.analysis
+      const dates = aiAgentDates(analysis?.start_time, analysis?.end_time)
+      const { date, rows } = dates.length > 0 ? await fetchAiAgentLogs(callid, dates) : { date: null, rows: [] }
+
+      if (rows.length > 0) {
+        const conversation = analyzeAiAgentConversation(rows, { start: analysis?.start_time })
+        result.ai_agent = { available: true, date, log_count: rows.length, conversation }
+        findings.push(...collectAiAgentFindings(conversation, callid, date))
+      } else {
+        result.ai_agent = { available: false, date }
+      }
+    } catch (error) {
+      result.ai_agent = { available: false, error: error.message }
+    }
+  }
+
   // 3. RTCP
   try {
     const rtcpData = await getRtcpQuality(callid)
     const metrics = Array.isArray(rtcpData) ? rtcpData : []
 
     if (metrics.length > 0) {
-      const summary = summarizeRtcpMetrics(metrics)
-      result.rtcp = { available: true, summary, metrics_count: metrics.length, raw_metrics: metrics }
-      if (summary && summary.issues) {
-        result.issues.push(...summary.issues.filter(i => !i.includes('No quality issues')))
-      }
+      const analysis = result.trace?.analysis
+      const context = { codec: analysis?.codecs?.[0], start: analysis?.start_time }
+      const summary = summarizeRtcpMetrics(metrics, { callid, codec: context.codec })
+      const timeSeries = analyzeRtcpTimeSeries(metrics, context)
+      result.rtcp = { available: true, summary, time_series: timeSeries, metrics_count: metrics.length, raw_metrics: metrics }
+      findings.push(...collectRtcpFindings(summary, timeSeries, callid))
     } else {
       result.rtcp = { available: false }
     }
@@ -917,7 +1195,35 @@ export async function investigateCallHandler (args) {
     result.rtcp = { available: false, error: error.message }
   }
 
-  // 4. Debug summary
+  // 3b. Transcript (optional), on one timeline with SIP events and RTCP incidents
+  if (include_transcript) {
+    try {
+      const transcription = await getTranscription(callid)
+      const analysis = result.trace?.analysis
+      const transcript = normalizeTranscript(transcription, { start: analysis?.start_time })
+
+      if (transcript.turns.length > 0) {
+        const correlation = correlateTranscript(transcript, {
+          sip_events: analysis ? sipTimelineEvents(analysis, result.trace.raw_messages) : [],
+          rtcp_events: rtcpTimelineEvents(result.rtcp?.time_series),
+          rtcp_available: !!result.rtcp?.available
+        })
+        result.transcript = { available: true, turn_count: transcript.turns.length, speakers: transcript.speakers, ...correlation }
+        findings.push(...collectTranscriptFindings(correlation, callid))
+      } else {
+        result.transcript = { available: false }
+      }
+    } catch (error) {
+      result.transcript = { available: false, error: error.message }
+    }
+  }
+
+  // 4. Rank findings and debug summary
+  result.findings = rankFindings(findings)
+  result.root_cause = identifyRootCause(result.findings)
+  result.issues = result.findings.filter(f => f.severity !== 'info').map(f => f.message)
+  const rulesWarning = issueRulesWarning()
+  if (rulesWarning) result.rules_warning = rulesWarning
   result.debug_summary = buildDebugSummary(result)
 
   return result
@@ -951,9 +1257,12 @@ export async function getRtpServerGroupsHandler (args) {
 /**
  * MCP tool handler for get_transcription
  *
+ * The payload is returned as-is in `transcription` and normalised into
+ * speaker-labelled, timestamped `turns` (see transcription.js).
+ *
  * @param {Object} args - Tool arguments
  * @param {string} args.callid - SIP Call-ID
- * @returns {Promise<Object>} Handler response with transcription data
+ * @returns {Promise<Object>} Handler response with transcription data and speaker turns
  */
 export async function getTranscriptionHandler (args) {
   const { callid } = args
@@ -963,14 +1272,18 @@ export async function getTranscriptionHandler (args) {
 
     const transcription = await getTranscription(callid)
     const hasData = transcription && (Array.isArray(transcription) ? transcription.length > 0 : Object.keys(transcription).length > 0)
+    const transcript = hasData ? normalizeTranscript(transcription) : null
 
     return {
       success: true,
       callid,
       has_transcription: hasData,
       transcription: hasData ? transcription : null,
+      turns: transcript ? transcript.turns : [],
+      speakers: transcript ? transcript.speakers : [],
+      duration_ms: transcript ? transcript.duration_ms : null,
       message: hasData
-        ? 'Transcription data available'
+        ? `Transcription data available: ${transcript.turns.length} turn(s) from ${transcript.speakers.length > 0 ? transcript.speakers.join(', ') : 'an unlabelled speaker'}`
         : 'No transcription data available — transcription must be enabled for the call'
     }
   } catch (error) {
@@ -987,31 +1300,62 @@ export async function getTranscriptionHandler (args) {
  * 
  * **IMPORTANT: Date must be in UTC time.** Provide date in YYYY-MM-DD format (UTC).
  * If you have local time, convert it to UTC before calling this handler.
+ * Without a date, it is taken from the call's SIP trace (start date, then
+ * end date for a call that crosses midnight). With a date the trace is not
+ * fetched, so turn offsets are measured from the first log row.
+ *
+ * The rows are returned as-is in `logs` and rebuilt into a turn-by-turn
+ * `conversation` (see aiAgentAnalysis.js).
  *
  * @param {Object} args - Tool arguments
  * @param {string} args.callid - SIP Call-ID
- * @param {string} args.date - Date in YYYY-MM-DD format (UTC - required)
- * @returns {Promise<Object>} Handler response with AI Agent log data
+ * @param {string} [args.date] - Date in YYYY-MM-DD format (UTC - inferred from the trace if omitted)
+ * @returns {Promise<Object>} Handler response with AI Agent log data and conversation analysis
  */
 export async function getAiAgentLogsHandler (args) {
   const { callid, date } = args
 
   try {
     validateCallId(callid, 'callid')
+    if (date !== undefined && date !== null && date !== '' && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Parameter "date" must be in YYYY-MM-DD format (UTC), received "${date}"`)
+    }
 
-    const logs = await getAiAgentLogs(callid, date)
-    const logArray = Array.isArray(logs) ? logs : []
+    // The trace is only read to find the date when none is given
+    let dates = date ? [date] : []
+    let start = null
+    if (!date) {
+      let traceMessages
+      try {
+        traceMessages = await getSipTrace(callid)
+      } catch (error) {
+        throw new Error(`Could not read the SIP trace to infer the date (${error.message}) — pass "date" (YYYY-MM-DD, UTC)`)
+      }
+      const dated = (Array.isArray(traceMessages) ? traceMessages : []).filter(m => m.date)
+      if (dated.length > 0) {
+        start = dated[0].date
+        dates = aiAgentDates(start, dated[dated.length - 1].date)
+      }
+    }
+    if (dates.length === 0) {
+      throw new Error('Parameter "date" is required when the call has no SIP trace to take the date from (YYYY-MM-DD, UTC)')
+    }
+
+    const { date: found, rows } = await fetchAiAgentLogs(callid, dates)
+    const conversation = rows.length > 0 ? analyzeAiAgentConversation(rows, { start }) : null
 
     return {
       success: true,
       callid,
-      date,
-      has_ai_agent: logArray.length > 0,
-      log_count: logArray.length,
-      logs: logArray,
-      message: logArray.length > 0
-        ? `Found ${logArray.length} AI Agent log entries`
-        : 'No AI Agent logs found — call did not involve an AI Agent'
+      date: found,
+      date_source: date ? 'input' : 'trace',
+      has_ai_agent: rows.length > 0,
+      log_count: rows.length,
+      logs: rows,
+      conversation,
+      message: rows.length > 0
+        ? `Found ${rows.length} AI Agent log entries: ${summarizeAiAgentConversation(conversation)}`
+        : `No AI Agent logs found for ${dates.join(' or ')} — call did not involve an AI Agent`
     }
   } catch (error) {
     return {
@@ -1026,6 +1370,9 @@ export async function getAiAgentLogsHandler (args) {
 /**
  * Handler for the search_call_logs MCP tool
  *
+ * When an IP search finds nothing, the IP is checked against the firewall
+ * (checkFirewall) and the result is returned as `firewall`.
+ *
  * @param {Object} args - Tool arguments
  * @param {string} args.search - Search term (phone number, Call-ID, or IP address)
  * @returns {Promise<Object>} Search results
@@ -1037,14 +1384,26 @@ export async function searchCallLogsHandler (args) {
     const results = await searchCallLogs(search)
     const callArray = Array.isArray(results) ? results : []
 
+    // An IP with no calls may be dropped by the firewall before logging
+    let firewall = null
+    if (callArray.length === 0 && /^\d{1,3}(\.\d{1,3}){3}$/.test(search.trim())) {
+      try {
+        firewall = await checkFirewall(search.trim())
+      } catch (error) {
+        firewall = null
+      }
+    }
+
     return {
       success: true,
       result_count: callArray.length,
       calls: callArray,
       search_term: search,
+      ...(firewall ? { firewall } : {}),
       message: callArray.length > 0
         ? `Found ${callArray.length} matching call(s). Each result contains 'callid' and 'callidb' — use these with get_sip_trace or investigate_call for detailed debugging.`
-        : `No calls found matching "${search}". Try a different phone number, Call-ID, or IP address.`
+        : `No calls found matching "${search}". Try a different phone number, Call-ID, or IP address.` +
+          (firewall ? ` Firewall check: ${formatFirewallSummary(firewall)}` : '')
     }
   } catch (error) {
     return {
@@ -0,0 +1,187 @@
+/**
+ * SIP Call-Flow Renderer
+ *
+ * Turns the `call_flow` array from analyzeSipTrace into a ladder diagram with
+ * one column per participant (IP:port), arrows labelled with the method or
+ * response, and the delta since the previous message on every hop.
+ *
+ * Formats:
+ *   - mermaid  — `sequenceDiagram` text (Copilot chat, incident tickets)
+ *   - plantuml — `@startuml` sequence diagram
+ *   - ascii    — fixed-width ladder for plain-text channels
+ */
+
+/** Supported diagram formats. */
+export const CALL_FLOW_FORMATS = ['mermaid', 'plantuml', 'ascii']
+
+/**
+ * Whether a call-flow label is a SIP response (starts with a status code).
+ *
+ * @param {string} label - Call-flow label ("INVITE", "200 OK")
+ * @returns {boolean} True for responses
+ */
+function isResponse (label) {
+	return /^\d{3}\b/.test(label || '')
+}
+
+/**
+ * Formats a hop delta for an arrow label.
+ *
+ * @param {number} deltaMs - Milliseconds since the previous message
+ * @returns {string} "+12.5ms" or "+1.250s"
+ */
+function formatDelta (deltaMs) {
+	const value = Number(deltaMs) || 0
+	return value >= 1000 ? `+${(value / 1000).toFixed(3)}s` : `+${value.toFixed(1)}ms`
+}
+
+/**
+ * Collects participants in order of first appearance and assigns aliases.
+ *
+ * @param {Array<Object>} callFlow - call_flow entries
+ * @returns {Array<Object>} [{ address, alias }]
+ */
+function collectParticipants (callFlow) {
+	const participants = []
+	const seen = new Set()
+	for (const hop of callFlow) {
+		for (const address of [hop.from, hop.to]) {
+			if (seen.has(address)) continue
+			seen.add(address)
+			participants.push({ address, alias: `P${participants.length + 1}` })
+		}
+	}
+	return participants
+}
+
+/**
+ * Renders a call flow as a sequence diagram.
+ *
+ * @param {Array<Object>} callFlow - `call_flow` from analyzeSipTrace ({ label, from, to, delta_ms, time })
+ * @param {string} format - One of CALL_FLOW_FORMATS
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.title] - Diagram title (e.g. the Call-ID)
+ * @returns {string} Diagram text
+ * @throws {Error} If callFlow is not an array or format is unsupported
+ */
+export function renderCallFlow (callFlow, format, options = {}) {
+	if (!Array.isArray(callFlow)) {
+		throw new Error(`Parameter "callFlow" must be an array, received ${typeof callFlow}`)
+	}
+	if (!CALL_FLOW_FORMATS.includes(format)) {
+		throw new Error(`Unsupported call flow format "${format}" — use one of: ${CALL_FLOW_FORMATS.join(', ')}`)
+	}
+
+	const participants = collectParticipants(callFlow)
+	if (format === 'mermaid') return renderMermaid(callFlow, participants, options)
+	if (format === 'plantuml') return renderPlantUml(callFlow, participants, options)
+	return renderAscii(callFlow, participants, options)
+}
+
+/**
+ * Renders Mermaid `sequenceDiagram` text.
+ *
+ * @param {Array<Object>} callFlow - call_flow entries
+ * @param {Array<Object>} participants - Participants with aliases
+ * @param {Object} options - Rendering options
+ * @returns {string} Mermaid text
+ */
+function renderMermaid (callFlow, participants, options) {
+	const aliasOf = address => participants.find(p => p.address === address).alias
+	// Mermaid treats ";" as a statement separator and "#" as an entity escape
+	const escape = text => String(text).replace(/#/g, '#35;').replace(/;/g, '#59;')
+	const lines = ['sequenceDiagram']
+	if (options.title) lines.push(`  title ${escape(options.title)}`)
+	participants.forEach(p => lines.push(`  participant ${p.alias} as ${p.address}`))
+	callFlow.forEach(hop => {
+		const arrow = isResponse(hop.label) ? '-->>' : '->>'
+		lines.push(`  ${aliasOf(hop.from)}${arrow}${aliasOf(hop.to)}: ${escape(hop.label)} (${formatDelta(hop.delta_ms)})`)
+	})
+	return lines.join('\n')
+}
+
+/**
+ * Renders a PlantUML sequence diagram.
+ *
+ * @param {Array<Object>} callFlow - call_flow entries
+ * @param {Array<Object>} participants - Participants with aliases
+ * @param {Object} options - Rendering options
+ * @returns {string} PlantUML text
+ */
+function renderPlantUml (callFlow, participants, options) {
+	const aliasOf = address => participants.find(p => p.address === address).alias
+	const lines = ['@startuml']
+	if (options.title) lines.push(`title ${options.title}`)
+	participants.forEach(p => lines.push(`participant "${p.address}" as ${p.alias}`))
+	callFlow.forEach(hop => {
+		const arrow = isResponse(hop.label) ? '-->' : '->'
+		lines.push(`${aliasOf(hop.from)} ${arrow} ${aliasOf(hop.to)} : ${hop.label} (${formatDelta(hop.delta_ms)})`)
+	})
+	lines.push('@enduml')
+	return lines.join('\n')
+}
+
+/**
+ * Renders a fixed-width ASCII ladder.
+ *
+ * Each row shows the cumulative offset from the first message, then an arrow
+ * between the two participant columns labelled with the message and its delta.
+ *
+ * @param {Array<Object>} callFlow - call_flow entries
+ * @param {Array<Object>} participants - Participants with aliases
+ * @param {Object} options - Rendering options
+ * @returns {string} ASCII diagram
+ */
+function renderAscii (callFlow, participants, options) {
+	const labels = callFlow.map(hop => `${hop.label} ${formatDelta(hop.delta_ms)}`)
+	const widest = Math.max(0, ...labels.map(l => l.length + 6), ...participants.map(p => p.address.length + 2))
+	const columnWidth = Math.max(widest, 20)
+	const gutter = 12
+	const centre = i => gutter + i * columnWidth + Math.floor(columnWidth / 2)
+	const totalWidth = gutter + participants.length * columnWidth
+	const indexOf = address => participants.findIndex(p => p.address === address)
+
+	const blankRow = () => {
+		const row = new Array(totalWidth).fill(' ')
+		participants.forEach((p, i) => { row[centre(i)] = '|' })
+		return row
+	}
+	const put = (row, start, text) => {
+		for (let i = 0; i < text.length; i++) row[start + i] = text[i]
+	}
+
+	const lines = []
+	if (options.title) lines.push(options.title, '')
+
+	const header = new Array(totalWidth).fill(' ')
+	participants.forEach((p, i) => put(header, Math.max(0, centre(i) - Math.floor(p.address.length / 2)), p.address))
+	lines.push(header.join('').trimEnd())
+	lines.push(blankRow().join('').trimEnd())
+
+	let offsetMs = 0
+	callFlow.forEach((hop, index) => {
+		if (index > 0) offsetMs += Number(hop.delta_ms) || 0
+		const row = blankRow()
+		put(row, 0, `${(offsetMs / 1000).toFixed(3)}s`.padStart(gutter - 2))
+
+		const from = indexOf(hop.from)
+		const to = indexOf(hop.to)
+		const label = ` ${labels[index]} `
+		if (from === to) {
+			put(row, centre(from) + 1, `<-${label}(self)`)
+		} else {
+			const left = Math.min(centre(from), centre(to))
+			const right = Math.max(centre(from), centre(to))
+			for (let i = left + 1; i < right; i++) row[i] = '-'
+			if (from < to) row[right - 1] = '>'
+			else row[left + 1] = '<'
+			// Keep one shaft character clear on each side so the arrow head survives
+			const room = right - left - 5
+			const text = label.length > room ? label.slice(0, Math.max(0, room)) : label
+			put(row, left + 3 + Math.floor((room - text.length) / 2), text)
+		}
+		lines.push(row.join('').trimEnd())
+	})
+
+	return lines.join('\n')
+}
@@ -0,0 +1,222 @@
+/**
+ * Call Legs and Per-Leg Timing
+ *
+ * ConnexCS is a topology-hiding B2BUA: the customer → switch leg (ingress)
+ * and every switch → carrier attempt (egress) carry different Call-IDs. A
+ * trace fetched with `callidb` contains all of them, and this module splits
+ * it back into legs:
+ *
+ *   ingress   — the first INVITE; its source is the caller, its destination
+ *               the switch. Answered auth challenges are followed through
+ *               `superseded_by` to the INVITE that carried credentials.
+ *   attempts  — INVITEs the switch sends to anyone other than the caller,
+ *               in the order they were sent (route advance / failover).
+ *
+ * analyzeLegTiming() then separates the caller's post-dial delay into the
+ * part the switch added ("Induced PDD" in the Call ID detail view) and the
+ * part the answering carrier added:
+ *
+ *   ingress PDD = auth + routing + failed attempts + failover + carrier PDD + relay
+ *
+ * All times are milliseconds from the first ingress INVITE.
+ */
+
+/**
+ * Strips the port from an "ip:port" address.
+ *
+ * @param {string} address - "ip:port"
+ * @returns {string} IP
+ */
+export function ipOf (address) {
+	return String(address || '').replace(/:\d+$/, '')
+}
+
+/**
+ * Works out who is who: the first INVITE's source is the caller, its
+ * destination the entry point (switch). INVITEs the entry point sends to
+ * anyone else are egress attempts.
+ *
+ * @param {Array<Object>} transactions - Transactions from buildSipTransactions
+ * @returns {Object|null} { ingress, ingress_final_tx, caller_ip, entry_ip, egress } or null if no INVITE
+ */
+export function describeCallLegs (transactions) {
+	const invites = transactions.filter(tx => tx.method === 'INVITE')
+	if (invites.length === 0) return null
+
+	const ingress = invites[0]
+	const callerIp = ipOf(ingress.source)
+	const entryIp = ipOf(ingress.destination)
+
+	// Follow answered auth challenges to the request that replaced them
+	let finalTx = ingress
+	const byId = Object.fromEntries(transactions.map(tx => [tx.id, tx]))
+	while (finalTx.superseded_by && byId[finalTx.superseded_by]) finalTx = byId[finalTx.superseded_by]
+
+	const egress = invites.filter(tx => ipOf(tx.source) === entryIp && ipOf(tx.destination) !== callerIp && !tx.auth_retry_of)
+	return { ingress, ingress_final_tx: finalTx, caller_ip: callerIp, entry_ip: entryIp, egress }
+}
+
+/**
+ * Milliseconds between two transaction events (or raw times).
+ *
+ * @param {number|null} base - Reference time (epoch ms)
+ * @param {Object|number|null} event - Transaction event or epoch ms
+ * @returns {number|null} Rounded difference, or null if either side is unknown
+ */
+function since (base, event) {
+	const time = event && typeof event === 'object' ? event.time_ms : event
+	if (base === null || base === undefined || time === null || time === undefined) return null
+	return +(time - base).toFixed(3)
+}
+
+/**
+ * First ringback (180/183) on a transaction.
+ *
+ * @param {Object} tx - Transaction
+ * @returns {Object|null} Provisional response event
+ */
+function firstRinging (tx) {
+	return tx.provisional_responses.find(r => r.code === 180 || r.code === 183) || null
+}
+
+/**
+ * Finds the last transaction in an auth-retry chain.
+ *
+ * @param {Object} tx - First transaction of the chain
+ * @param {Object<string, Object>} byId - Transactions by id
+ * @returns {Object} Transaction that was finally answered (or abandoned)
+ */
+function lastOfChain (tx, byId) {
+	let last = tx
+	while (last.superseded_by && byId[last.superseded_by]) last = byId[last.superseded_by]
+	return last
+}
+
+/**
+ * Describes one egress attempt.
+ *
+ * @param {Object} first - First INVITE transaction of the attempt
+ * @param {Array<Object>} transactions - All transactions
+ * @param {Object<string, Object>} byId - Transactions by id
+ * @param {number} t0 - First ingress INVITE time (epoch ms)
+ * @returns {Object} Attempt timing
+ */
+function describeAttempt (first, transactions, byId, t0) {
+	const tx = lastOfChain(first, byId)
+	const ringing = firstRinging(tx)
+	const final = tx.final_response
+	const cancel = transactions.find(c => c.method === 'CANCEL' && c.call_id === tx.call_id && c.branch === tx.branch && c.source === tx.source)
+	const lastSent = tx.retransmissions.length > 0 ? tx.retransmissions[tx.retransmissions.length - 1] : tx.request
+
+	let outcome
+	if (final && final.code < 300) outcome = 'answered'
+	else if (cancel && (!final || final.code === 487 || cancel.request.time_ms <= final.time_ms)) outcome = 'cancelled'
+	else if (final) outcome = 'rejected'
+	else outcome = tx.provisional_responses.length > 0 ? 'proceeding' : 'no_response'
+
+	// When the switch stopped waiting on this carrier
+	const endEvent = outcome === 'cancelled' ? cancel.request : final || lastSent
+	const sentMs = since(t0, first.request)
+	const endedMs = since(t0, endEvent)
+
+	return {
+		call_id: tx.call_id,
+		destination: tx.destination,
+		transaction_ids: first === tx ? [tx.id] : [first.id, tx.id],
+		sent_ms: sentMs,
+		trying_ms: since(first.request.time_ms, tx.provisional_responses[0] || null),
+		pdd_ms: since(first.request.time_ms, ringing),
+		answer_ms: final && final.code < 300 ? since(first.request.time_ms, final) : null,
+		final_response: final ? { code: final.code, reason: final.reason || '' } : null,
+		outcome,
+		ended_ms: endedMs,
+		duration_ms: sentMs !== null && endedMs !== null ? +(endedMs - sentMs).toFixed(3) : null,
+		failover_ms: null,
+		message_ids: [first.request.message_id, ringing && ringing.message_id, final && final.message_id].filter(id => id !== null && id !== undefined)
+	}
+}
+
+/**
+ * Builds the per-leg timing model for a call.
+ *
+ * `switch_pdd_ms` is the caller's PDD minus the answering carrier's PDD —
+ * the delay the platform itself added (auth, routing, failed attempts and
+ * failover). When the call never reached a carrier (Class 5, or rejected
+ * by the switch) the whole PDD is switch-induced. When the trace holds no
+ * egress leg the carrier figures are null and a note says so.
+ *
+ * @param {Array<Object>} transactions - Transactions from buildSipTransactions
+ * @returns {Object|null} { ingress, attempts, answering_attempt, switch_pdd_ms, carrier_pdd_ms, failover_ms, breakdown, legs_correlated, notes }, or null if the trace has no INVITE
+ */
+export function analyzeLegTiming (transactions) {
+	const legs = describeCallLegs(transactions)
+	if (!legs) return null
+
+	const byId = Object.fromEntries(transactions.map(tx => [tx.id, tx]))
+	const t0 = legs.ingress.request.time_ms
+	const answeredTx = legs.ingress_final_tx
+	const ringing = firstRinging(answeredTx)
+	const final = answeredTx.final_response
+
+	const ingress = {
+		call_id: legs.ingress.call_id,
+		source: legs.ingress.source,
+		destination: legs.ingress.destination,
+		auth_ms: answeredTx === legs.ingress ? 0 : since(t0, answeredTx.request),
+		trying_ms: since(t0, answeredTx.provisional_responses[0] || null),
+		pdd_ms: since(t0, ringing),
+		setup_ms: final && final.code < 300 ? since(t0, final) : null,
+		final_response: final ? { code: final.code, reason: final.reason || '' } : null,
+		invite_message_id: legs.ingress.request.message_id,
+		ringing_message_id: ringing ? ringing.message_id : null
+	}
+
+	const attempts = legs.egress.map((tx, index) => ({ attempt: index + 1, ...describeAttempt(tx, transactions, byId, t0) }))
+	for (let i = 1; i < attempts.length; i++) {
+		const previous = attempts[i - 1]
+		if (previous.ended_ms !== null && attempts[i].sent_ms !== null) attempts[i].failover_ms = +(attempts[i].sent_ms - previous.ended_ms).toFixed(3)
+	}
+
+	// The attempt the caller's ringback came from: the last one that rang or answered
+	const answering = [...attempts].reverse().find(a => a.pdd_ms !== null || a.answer_ms !== null) || null
+	const carrierPdd = answering ? (answering.pdd_ms !== null ? answering.pdd_ms : answering.answer_ms) : null
+	// Caller-side alerting: ringback if relayed, otherwise the answer
+	const alerting = ingress.pdd_ms !== null ? ingress.pdd_ms : ingress.setup_ms
+	const before = answering ? attempts.slice(0, answering.attempt - 1) : attempts
+	const failover = attempts.slice(1, answering ? answering.attempt : attempts.length)
+		.reduce((sum, a) => sum + (a.failover_ms || 0), 0)
+
+	let switchPdd = null
+	let breakdown = null
+	if (answering && alerting !== null && carrierPdd !== null) {
+		switchPdd = +(alerting - carrierPdd).toFixed(3)
+		const routing = attempts[0].sent_ms - (ingress.auth_ms || 0)
+		const failed = before.reduce((sum, a) => sum + (a.duration_ms || 0), 0)
+		breakdown = {
+			auth_ms: ingress.auth_ms,
+			routing_ms: +routing.toFixed(3),
+			failed_attempts_ms: +failed.toFixed(3),
+			failover_ms: +failover.toFixed(3),
+			carrier_pdd_ms: carrierPdd,
+			relay_ms: +(alerting - answering.sent_ms - carrierPdd).toFixed(3)
+		}
+	} else if (attempts.length === 0 && alerting !== null) {
+		switchPdd = alerting
+	}
+
+	const notes = []
+	if (attempts.length === 0) notes.push('No egress INVITE in the trace — either the switch handled the call itself or the carrier legs were not fetched (pass callidb to getSipTrace)')
+	if (ingress.pdd_ms === null && ingress.setup_ms !== null) notes.push('No ringback was relayed to the caller; PDD is measured to the answer')
+
+	return {
+		ingress,
+		attempts,
+		answering_attempt: answering ? answering.attempt : null,
+		switch_pdd_ms: switchPdd,
+		carrier_pdd_ms: carrierPdd,
+		failover_ms: attempts.length > 1 ? +failover.toFixed(3) : null,
+		breakdown,
+		legs_correlated: attempts.some(a => a.call_id !== ingress.call_id),
+		notes
+	}
+}
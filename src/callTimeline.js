@@ -0,0 +1,367 @@
+/**
+ * Unified Call Timeline
+ *
+ * Every call-debug endpoint has its own shape and its own clock (`date`,
+ * `micro_ts`, `start_time`, `dt`, epoch seconds, offsets into a recording).
+ * This module maps them all onto one event schema so a call can be handed
+ * over as a single chronological document (carrier escalations, tickets):
+ *
+ *   {
+ *     timestamp: '2026-03-02T10:00:06.530Z',   // ISO 8601 UTC, ms precision (null if the source has no clock)
+ *     offset_ms: 6530,                          // from the call start (first trace row)
+ *     source: 'sip',                            // sip | class5 | ai_agent | transcript | rtcp | cdr
+ *     leg: '203.0.113.10:5060 -> 198.51.100.5:5060',
+ *     type: 'answer',                           // source-specific event type
+ *     summary: '200 OK — answered ...',
+ *     ref: 'log/trace#7'                        // endpoint and row / turn the event came from
+ *   }
+ *
+ * exportTimeline() writes the events as JSON Lines or CSV (TIMELINE_FIELDS
+ * order, RFC 4180 quoting).
+ */
+
+import { getSipTrace, getClass5Logs, getRtcpQuality, getTranscription, searchCdr, analyzeSipTrace, validateCallId } from './callDebugTools'
+import { resolveMessageTimes } from './sipTransactions'
+import { sipTimelineEvents, rtcpTimelineEvents, correlateTranscript } from './transcriptCorrelation'
+import { analyzeClass5Flow } from './class5Flow'
+import { analyzeRtcpTimeSeries } from './rtcpAnalysis'
+import { aiAgentDates, fetchAiAgentLogs, analyzeAiAgentConversation } from './aiAgentAnalysis'
+import { normalizeTranscript } from './transcription'
+import { findCdrRow } from './routeAdvance'
+import { parseTimeMs } from './recordFields'
+
+/** Canonical event fields, in export order. */
+export const TIMELINE_FIELDS = ['timestamp', 'offset_ms', 'source', 'leg', 'type', 'summary', 'ref']
+
+/** Event sources, in the order used to break timestamp ties. */
+export const TIMELINE_SOURCES = ['sip', 'class5', 'ai_agent', 'transcript', 'rtcp', 'cdr']
+
+/** Export formats. */
+export const TIMELINE_FORMATS = ['jsonl', 'csv']
+
+/** CDR fields read for the timeline. */
+const CDR_FIELDS = ['dt', 'callid', 'dest_cli', 'dest_number', 'duration', 'customer_id', 'customer_charge', 'provider_id', 'provider_charge']
+
+/**
+ * Creates a canonical timeline event.
+ *
+ * @param {Object} fields - Event fields
+ * @param {number|null} fields.time_ms - Epoch ms
+ * @param {number|null} startMs - Call start (epoch ms) that offset_ms is measured from
+ * @returns {Object} Event with every TIMELINE_FIELDS field present
+ */
+function timelineEvent (fields, startMs) {
+	const timeMs = fields.time_ms ?? null
+	return {
+		timestamp: timeMs !== null ? new Date(Math.round(timeMs)).toISOString() : null,
+		offset_ms: timeMs !== null && startMs !== null ? Math.round(timeMs - startMs) : null,
+		source: fields.source,
+		leg: fields.leg ?? null,
+		type: fields.type,
+		summary: fields.summary,
+		ref: fields.ref ?? null
+	}
+}
+
+/**
+ * Maps trace rows to timeline events: one per SIP message, typed with the
+ * call event it marks (invite, answer, hold, bye, ...) or as request / response.
+ *
+ * @param {Array<Object>} messages - log/trace rows
+ * @param {Object} analysis - analyzeSipTrace result for the rows
+ * @param {number|null} startMs - Call start (epoch ms)
+ * @returns {Array<Object>} Timeline events
+ */
+export function traceTimelineEvents (messages, analysis, startMs) {
+	const times = resolveMessageTimes(messages)
+	const marked = {}
+	for (const event of sipTimelineEvents(analysis, messages)) {
+		if (event.message_id !== null) marked[event.message_id] = event
+	}
+
+	return messages.map((row, index) => {
+		const id = row.id !== undefined ? row.id : index
+		const event = marked[id]
+		const response = /^\d{3}$/.test(String(row.method))
+		const leg = `${row.source_ip}:${row.source_port} -> ${row.destination_ip}:${row.destination_port}`
+		const line = response ? `${row.method} ${row.reply_reason || ''}`.trim() : String(row.method || '?')
+		return timelineEvent({
+			time_ms: times[index],
+			source: 'sip',
+			leg,
+			type: event ? event.type : (response ? 'response' : 'request'),
+			summary: event ? event.summary : `${line} ${leg}`,
+			ref: `log/trace#${id}`
+		}, startMs)
+	})
+}
+
+/**
+ * Maps a Class 5 flow to timeline events.
+ *
+ * @param {Object} flow - analyzeClass5Flow result
+ * @param {number|null} startMs - Call start (epoch ms)
+ * @returns {Array<Object>} Timeline events
+ */
+export function class5TimelineEvents (flow, startMs) {
+	return flow.flow.map(entry => timelineEvent({
+		time_ms: parseTimeMs(entry.time),
+		source: 'class5',
+		type: entry.category,
+		summary: entry.text,
+		ref: `log/class5#${entry.index}`
+	}, startMs))
+}
+
+/**
+ * Maps an AI Agent conversation to timeline events: caller utterances, agent
+ * responses, tool calls, barge-ins and the hand-off to a human.
+ *
+ * @param {Object} conversation - analyzeAiAgentConversation result (offsets from startMs)
+ * @param {number|null} startMs - Call start (epoch ms)
+ * @returns {Array<Object>} Timeline events
+ */
+export function aiAgentTimelineEvents (conversation, startMs) {
+	const base = startMs ?? parseTimeMs(conversation.start)
+	const timeOf = offset => offset !== null && offset !== undefined && base !== null ? base + offset : null
+	const events = []
+	for (const turn of conversation.turns) {
+		const ref = `log/ai-agent#turn${turn.turn}`
+		if (turn.caller) {
+			events.push(timelineEvent({ time_ms: timeOf(turn.caller.offset_ms), source: 'ai_agent', leg: 'caller', type: turn.barge_in ? 'barge_in' : 'caller_utterance', summary: `Caller: "${turn.caller.text}"`, ref }, startMs))
+		}
+		for (const call of turn.tool_calls) {
+			const outcome = call.error ? ` failed: ${call.error}` : ''
+			events.push(timelineEvent({ time_ms: timeOf(call.offset_ms), source: 'ai_agent', leg: 'agent', type: 'tool_call', summary: `Tool ${call.name}${outcome}`, ref }, startMs))
+		}
+		for (const response of turn.agent) {
+			const latency = response === turn.agent[0] && turn.latency_ms !== null ? ` (${turn.latency_ms}ms)` : ''
+			events.push(timelineEvent({ time_ms: timeOf(response.offset_ms), source: 'ai_agent', leg: 'agent', type: response.fallback ? 'fallback' : 'agent_response', summary: `Agent${latency}: "${response.text}"`, ref }, startMs))
+		}
+	}
+	if (conversation.handoff) {
+		const h = conversation.handoff
+		events.push(timelineEvent({ time_ms: timeOf(h.offset_ms), source: 'ai_agent', leg: 'agent', type: 'handoff', summary: `Handed off to a human${h.target ? ` (${h.target})` : ''} via ${h.via}`, ref: `log/ai-agent#turn${h.turn}` }, startMs))
+	}
+	return events
+}
+
+/**
+ * Maps transcript turns to timeline events.
+ *
+ * @param {Object} correlation - correlateTranscript result (offsets from startMs)
+ * @param {number|null} startMs - Call start (epoch ms)
+ * @returns {Array<Object>} Timeline events
+ */
+export function transcriptTimelineEvents (correlation, startMs) {
+	return correlation.timeline
+		.filter(e => e.source === 'transcript')
+		.map(e => timelineEvent({
+			time_ms: e.offset_ms !== null && startMs !== null ? startMs + e.offset_ms : null,
+			source: 'transcript',
+			leg: e.leg,
+			type: 'speech',
+			summary: e.summary,
+			ref: `transcribe#turn${e.turn}`
+		}, startMs))
+}
+
+/**
+ * Maps RTCP incidents to timeline events (start of each incident).
+ *
+ * @param {Object|null} timeSeries - analyzeRtcpTimeSeries result
+ * @param {number|null} startMs - Call start (epoch ms)
+ * @returns {Array<Object>} Timeline events
+ */
+export function rtcpIncidentTimelineEvents (timeSeries, startMs) {
+	return (timeSeries?.incidents || []).map(incident => timelineEvent({
+		time_ms: parseTimeMs(incident.start),
+		source: 'rtcp',
+		leg: incident.leg,
+		type: incident.type,
+		summary: incident.message,
+		ref: `log/rtcp#${incident.stream}`
+	}, startMs))
+}
+
+/**
+ * Maps a CDR row to start and end events.
+ *
+ * @param {Object} row - CDR row
+ * @param {number|null} startMs - Call start (epoch ms)
+ * @returns {Array<Object>} Timeline events
+ */
+export function cdrTimelineEvents (row, startMs) {
+	const begin = parseTimeMs(row.dt)
+	const duration = Number(row.duration)
+	const parties = `${row.dest_cli || '?'} -> ${row.dest_number || '?'}`
+	const charges = [
+		row.customer_id !== undefined && row.customer_id !== null ? `customer ${row.customer_id}${row.customer_charge !== undefined ? ` charged ${row.customer_charge}` : ''}` : null,
+		row.provider_id !== undefined && row.provider_id !== null ? `provider ${row.provider_id}${row.provider_charge !== undefined ? ` cost ${row.provider_charge}` : ''}` : null
+	].filter(Boolean).join(', ')
+	const events = [timelineEvent({ time_ms: begin, source: 'cdr', type: 'cdr_start', summary: `CDR ${parties}${charges ? `, ${charges}` : ''}`, ref: `cdr#${row.callid}` }, startMs)]
+	if (begin !== null && !isNaN(duration)) {
+		events.push(timelineEvent({ time_ms: begin + duration * 1000, source: 'cdr', type: 'cdr_end', summary: `CDR end after ${duration}s billed`, ref: `cdr#${row.callid}` }, startMs))
+	}
+	return events
+}
+
+/**
+ * Sorts timeline events: by timestamp, untimed events last, ties in
+ * TIMELINE_SOURCES order then input order.
+ *
+ * @param {Array<Object>} events - Timeline events from any source
+ * @returns {Array<Object>} New sorted array
+ */
+export function mergeTimelineEvents (events) {
+	const time = e => e.timestamp !== null ? new Date(e.timestamp).getTime() : Infinity
+	return events
+		.map((event, order) => ({ event, order }))
+		.sort((a, b) => (time(a.event) - time(b.event)) || (TIMELINE_SOURCES.indexOf(a.event.source) - TIMELINE_SOURCES.indexOf(b.event.source)) || a.order - b.order)
+		.map(({ event }) => event)
+}
+
+/**
+ * Quotes a CSV field (RFC 4180).
+ *
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField (value) {
+	if (value === null || value === undefined) return ''
+	const text = String(value)
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Exports timeline events as JSON Lines (one object per line) or CSV (header row, TIMELINE_FIELDS order).
+ *
+ * @param {Array<Object>} events - Timeline events
+ * @param {string} format - 'jsonl' or 'csv'
+ * @returns {string} Exported text
+ * @throws {Error} If the format is unknown
+ */
+export function exportTimeline (events, format) {
+	if (!TIMELINE_FORMATS.includes(format)) {
+		throw new Error(`Parameter "format" must be one of ${TIMELINE_FORMATS.join(', ')}, received "${format}"`)
+	}
+	if (format === 'jsonl') {
+		return events.map(e => JSON.stringify(Object.fromEntries(TIMELINE_FIELDS.map(f => [f, e[f] ?? null])))).join('\n') + (events.length > 0 ? '\n' : '')
+	}
+	const lines = [TIMELINE_FIELDS.join(',')]
+	for (const event of events) lines.push(TIMELINE_FIELDS.map(f => csvField(event[f])).join(','))
+	return lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * Handler for the get_call_timeline MCP tool
+ *
+ * Fetches every source for the call and merges them into one timeline. A
+ * source that is empty or fails is reported in `sources` and left out;
+ * only the SIP trace is required (it anchors the call start and the dates
+ * used to look up the AI Agent log and the CDR).
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.callid - SIP Call-ID (required)
+ * @param {string} [args.callidb] - Internal call identifier (optional)
+ * @param {string} [args.format] - Export format: jsonl (default) or csv
+ * @param {string|Array<string>} [args.sources] - Sources to include (comma separated, defaults to all)
+ * @returns {Promise<Object>} { success, callid, start_time, format, event_count, sources, events, content }
+ */
+export async function getCallTimelineHandler (args) {
+	const { callid, callidb } = args
+	const format = args.format || 'jsonl'
+
+	try {
+		validateCallId(callid, 'callid')
+		if (!TIMELINE_FORMATS.includes(format)) {
+			throw new Error(`Parameter "format" must be one of ${TIMELINE_FORMATS.join(', ')}, received "${format}"`)
+		}
+		const wanted = args.sources
+			? (Array.isArray(args.sources) ? args.sources : String(args.sources).split(',')).map(s => s.trim()).filter(Boolean)
+			: TIMELINE_SOURCES
+		const unknown = wanted.filter(s => !TIMELINE_SOURCES.includes(s))
+		if (unknown.length > 0) {
+			throw new Error(`Parameter "sources": unknown source(s) ${unknown.join(', ')} — use ${TIMELINE_SOURCES.join(', ')}`)
+		}
+
+		const traceData = await getSipTrace(callid, callidb)
+		const messages = Array.isArray(traceData) ? traceData : []
+		if (messages.length === 0) {
+			return {
+				success: false,
+				callid,
+				message: 'No SIP trace found — the trace anchors the timeline',
+				suggestions: [
+					'Verify the Call-ID with searchCallLogs',
+					'Traces are kept for a limited time; older calls may only have a CDR (searchCdr)'
+				]
+			}
+		}
+
+		const analysis = analyzeSipTrace(messages)
+		const startMs = resolveMessageTimes(messages)[0] ?? parseTimeMs(analysis.start_time)
+		const start = startMs !== null ? new Date(startMs).toISOString() : null
+		const sources = {}
+		const events = []
+
+		// Each source is optional: record what it contributed or why it did not
+		const collect = async (name, build) => {
+			if (!wanted.includes(name)) return
+			try {
+				const built = await build()
+				sources[name] = built.length > 0 ? { available: true, event_count: built.length } : { available: false }
+				events.push(...built)
+			} catch (error) {
+				sources[name] = { available: false, error: error.message }
+			}
+		}
+
+		let rtcpSeries = null
+		await collect('sip', async () => traceTimelineEvents(messages, analysis, startMs))
+		await collect('class5', async () => {
+			const records = await getClass5Logs(callid)
+			return Array.isArray(records) && records.length > 0 ? class5TimelineEvents(analyzeClass5Flow(records, { start }), startMs) : []
+		})
+		await collect('ai_agent', async () => {
+			const { rows } = await fetchAiAgentLogs(callid, aiAgentDates(analysis.start_time, analysis.end_time))
+			return rows.length > 0 ? aiAgentTimelineEvents(analyzeAiAgentConversation(rows, { start }), startMs) : []
+		})
+		await collect('rtcp', async () => {
+			const metrics = await getRtcpQuality(callid)
+			if (!Array.isArray(metrics) || metrics.length === 0) return []
+			rtcpSeries = analyzeRtcpTimeSeries(metrics, { codec: analysis.codecs[0], start })
+			return rtcpIncidentTimelineEvents(rtcpSeries, startMs)
+		})
+		await collect('transcript', async () => {
+			const transcript = normalizeTranscript(await getTranscription(callid), { start })
+			if (transcript.turns.length === 0) return []
+			const correlation = correlateTranscript(transcript, { sip_events: sipTimelineEvents(analysis, messages), rtcp_events: rtcpTimelineEvents(rtcpSeries), rtcp_available: !!rtcpSeries })
+			return transcriptTimelineEvents(correlation, startMs)
+		})
+		await collect('cdr', async () => {
+			const date = start ? start.slice(0, 10) : null
+			const row = date ? findCdrRow(await searchCdr(date, date, { callid, limit: 10, fields: CDR_FIELDS }), callid) : null
+			return row ? cdrTimelineEvents(row, startMs) : []
+		})
+
+		const merged = mergeTimelineEvents(events)
+		return {
+			success: true,
+			callid,
+			start_time: start,
+			format,
+			fields: TIMELINE_FIELDS,
+			event_count: merged.length,
+			sources,
+			events: merged,
+			content: exportTimeline(merged, format)
+		}
+	} catch (error) {
+		return {
+			success: false,
+			callid,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
@@ -0,0 +1,596 @@
+/**
+ * Class 5 Flow Reconstruction
+ *
+ * log/class5 holds one row per Class 5 event — an IVR node entered, a key
+ * pressed, a queue joined, a ConneXML verb run, a script error. This module
+ * turns those rows into a readable flow:
+ *
+ *   ivr         — nodes visited in order, time spent and visits per node, DTMF
+ *                 entered and whether the menu recognised it
+ *   queues      — each queue entry with wait time, answering agent and outcome
+ *                 (answered / abandoned / timeout)
+ *   conferences — joins and leaves per room
+ *   voicemail   — mailbox sessions and whether a message was left
+ *   connexml    — verbs executed, in order and counted
+ *   errors      — app / script errors
+ *
+ * The log's field names differ between Class 5 features, so rows are read
+ * tolerantly: each row is classified from its type / module / app / event
+ * text, and DTMF is taken from any row carrying digits (a ConneXML <Gather>
+ * is both a verb and a key press).
+ *
+ * Findings: stuck_ivr (the caller looped a node or never left the IVR),
+ * long_queue_abandon (hung up after a long wait), unrecognised_dtmf (digits
+ * the menu rejected or that were never matched) and script_error.
+ */
+
+import { getClass5Logs, validateCallId } from './callDebugTools'
+import { firstField, recordTimeMs } from './recordFields'
+
+/** Visits to one IVR node that count as the caller looping. */
+const STUCK_IVR_VISITS = 3
+
+/** Time (ms) in the final IVR node, with the call ending there, that counts as stuck. */
+const STUCK_IVR_MS = 60000
+
+/** Queue wait (ms) before an abandon counts as long. */
+const LONG_QUEUE_ABANDON_MS = 60000
+
+/** Queue wait (ms) before an abandon is critical. */
+const CRITICAL_QUEUE_ABANDON_MS = 300000
+
+/** ConneXML verbs, as written in the XML (matched case-insensitively). */
+const CONNEXML_VERBS = ['Response', 'Say', 'Play', 'Gather', 'Dial', 'Number', 'Sip', 'Record', 'Hangup', 'Redirect', 'Reject', 'Pause', 'Enqueue', 'Leave', 'Conference', 'Queue', 'Stream']
+
+/** Categories a row is classified into, in the order they are tested. */
+const CATEGORY_PATTERNS = [
+	['error', /error|exception|fatal|script.?fail|crash/],
+	['connexml', /connexml|cxml|\bxml\b/],
+	['voicemail', /voice.?mail|\bvm\b|mailbox/],
+	['conference', /conferenc|\bconf\b/],
+	['ai_agent', /ai.?agent|\bbot\b|llm|\bai\b/],
+	['queue', /queue|enqueue|call.?cent|agent/],
+	['dtmf', /dtmf|digit|keypress|key.?press/],
+	['ivr', /ivr|menu|node|prompt/]
+]
+
+/**
+ * Parses a row's data / detail payload, which may be an object or a JSON string.
+ *
+ * @param {Object} row - log/class5 row
+ * @returns {Object} Payload object ({} if none or not JSON)
+ */
+function recordData (row) {
+	const data = firstField(row, ['data', 'args', 'params', 'payload', 'detail', 'details'])
+	if (data && typeof data === 'object') return data
+	if (typeof data === 'string' && /^\s*[{[]/.test(data)) {
+		try {
+			const parsed = JSON.parse(data)
+			return parsed && typeof parsed === 'object' ? parsed : {}
+		} catch (error) {
+			return {}
+		}
+	}
+	return {}
+}
+
+/**
+ * Reads a true/false flag that may be absent.
+ *
+ * @param {*} value - Field value
+ * @returns {boolean|null} The flag, or null if absent
+ */
+function optionalFlag (value) {
+	if (value === undefined || value === null || value === '') return null
+	if (typeof value === 'string') return /^(1|true|yes|valid|matched|ok)$/i.test(value.trim())
+	return value === true || Number(value) === 1
+}
+
+/**
+ * Normalises a log/class5 row into a flow event.
+ *
+ * @param {Object} row - log/class5 row
+ * @param {number} index - Position in the log
+ * @returns {Object} { index, id, time, time_ms, category, event, node, digits, recognised, queue, agent, room, mailbox, verb, error, app, message, raw }
+ */
+export function normalizeClass5Record (row, index) {
+	const data = recordData(row)
+	const read = names => firstField(row, names) ?? firstField(data, names)
+	const verbName = read(['verb', 'cxml_verb', 'tag'])
+	const error = read(['error', 'exception', 'error_message', 'stack'])
+	const digits = read(['digits', 'dtmf', 'input', 'keys', 'pressed'])
+	const labels = [row.type, row.module, row.app_type, row.category, row.feature, row.event, row.action, row.name, verbName]
+		.filter(v => v !== undefined && v !== null && v !== '')
+		.map(v => String(v).toLowerCase())
+		.join(' ')
+
+	let category = 'other'
+	if (error) category = 'error'
+	else if (verbName) category = 'connexml'
+	else {
+		const match = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(labels))
+		if (match) category = match[0]
+		else if (digits !== null) category = 'dtmf'
+	}
+
+	const rawEvent = firstField(row, ['event', 'action', 'status', 'state']) ?? firstField(data, ['event', 'action', 'status', 'state'])
+	const verb = verbName
+		? CONNEXML_VERBS.find(v => v.toLowerCase() === String(verbName).toLowerCase()) || String(verbName)
+		: (category === 'connexml' && rawEvent ? CONNEXML_VERBS.find(v => v.toLowerCase() === String(rawEvent).toLowerCase()) || null : null)
+	const timeMs = recordTimeMs(row)
+
+	return {
+		index,
+		id: row.id ?? index,
+		time: timeMs !== null ? new Date(timeMs).toISOString() : null,
+		time_ms: timeMs,
+		category,
+		event: rawEvent !== null ? String(rawEvent).toLowerCase() : null,
+		node: read(['node', 'node_name', 'node_id', 'menu', 'step']),
+		digits: digits !== null ? String(digits) : null,
+		recognised: optionalFlag(read(['recognised', 'recognized', 'valid', 'matched'])),
+		queue: read(['queue', 'queue_name', 'queue_id']),
+		agent: read(['agent', 'agent_name', 'agent_id', 'extension']),
+		room: read(['conference', 'room', 'conference_id', 'bridge']),
+		mailbox: read(['mailbox', 'voicemail_box', 'box']),
+		verb,
+		error: error !== null ? String(error) : null,
+		app: read(['app', 'app_name', 'script', 'script_name', 'file']),
+		message: read(['message', 'msg', 'text', 'description']),
+		raw: row
+	}
+}
+
+/**
+ * Whether an event name matches a pattern.
+ *
+ * @param {Object} event - Normalised event
+ * @param {RegExp} pattern - Pattern tested against the event name
+ * @returns {boolean} True on a match
+ */
+function eventIs (event, pattern) {
+	return event.event !== null && pattern.test(event.event)
+}
+
+/** Event names per meaning. */
+const EVENTS = {
+	invalid: /invalid|no.?match|unrecogni[sz]ed|not.?recogni[sz]ed|wrong/,
+	noInput: /timeout|no.?input/,
+	matched: /^(match|select|valid|accept|route|option)/,
+	join: /enter|join|enqueue|start|wait|add/,
+	answer: /answer|connect|bridge|pick.?up|accept/,
+	abandon: /abandon|hang.?up|leave|exit|cancel|disconnect|left/,
+	timeout: /timeout|overflow|max.?wait|expire/,
+	leave: /leave|exit|end|kick|left|hang.?up|disconnect/,
+	saved: /save|recorded|stored|left|message/
+}
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+/**
+ * IVR nodes, DTMF and loops.
+ *
+ * A visit starts when the node changes or an "enter"/prompt event repeats the
+ * node. Digits are unrecognised when the row says so, when the next IVR event
+ * at the same node is invalid / no-match, or when nothing happened after them.
+ *
+ * @param {Array<Object>} events - Normalised events in time order
+ * @param {number|null} endMs - Time of the last event
+ * @returns {Object} { path, nodes, dtmf, no_input, stuck, stuck_node, stuck_reason }
+ */
+function buildIvr (events, endMs) {
+	const nodes = []
+	const byNode = {}
+	const path = []
+	let current = null
+	let noInput = 0
+
+	for (const event of events) {
+		if (event.category !== 'ivr' || event.node === null) continue
+		const name = String(event.node)
+		const repeat = name === current && eventIs(event, /enter|start|prompt|play|repeat|replay/)
+		if (name !== current || repeat) {
+			if (!byNode[name]) {
+				byNode[name] = { node: name, visits: 0, first_at: event.time, time_ms: 0, invalid: 0, no_input: 0 }
+				nodes.push(byNode[name])
+			}
+			byNode[name].visits++
+			path.push(name)
+			current = name
+		}
+		if (eventIs(event, EVENTS.invalid)) byNode[name].invalid++
+		if (eventIs(event, EVENTS.noInput)) {
+			byNode[name].no_input++
+			noInput++
+		}
+	}
+
+	// Time per node: from entering it until the next node, the next feature or (last node) the end of the log
+	const ivrEvents = events.filter(e => e.category === 'ivr' && e.node !== null)
+	const runs = []
+	for (const event of ivrEvents) {
+		const last = runs[runs.length - 1]
+		if (!last || last.node !== String(event.node)) runs.push({ node: String(event.node), start_ms: event.time_ms, index: event.index })
+	}
+	const lastFeature = [...events].reverse().find(e => ['ivr', 'queue', 'conference', 'voicemail', 'ai_agent'].includes(e.category))
+	let finalStay = null
+	runs.forEach((run, i) => {
+		if (run.start_ms === null) return
+		const next = runs[i + 1]
+		const exit = next
+			? next.start_ms
+			: (events.find(e => e.index !== run.index && e.time_ms !== null && e.time_ms >= run.start_ms && ['queue', 'conference', 'voicemail', 'ai_agent'].includes(e.category))?.time_ms ?? null)
+		if (exit !== null) {
+			byNode[run.node].time_ms += exit - run.start_ms
+		} else if (endMs !== null && lastFeature && lastFeature.category === 'ivr') {
+			finalStay = endMs - run.start_ms
+			byNode[run.node].time_ms += finalStay
+		}
+	})
+
+	// DTMF from any row carrying digits
+	const dtmf = []
+	events.forEach((event, i) => {
+		if (event.digits === null) return
+		let recognised = event.recognised
+		let reason = recognised === false ? 'rejected' : null
+		if (recognised === null) {
+			const next = events.slice(i + 1).find(e => e.category === 'ivr' || e.category === 'dtmf' || (e.category === 'connexml' && e.verb))
+			if (next && (next.category === 'ivr' || next.category === 'dtmf') && eventIs(next, EVENTS.invalid)) {
+				recognised = false
+				reason = 'no_match'
+			} else if (next && (eventIs(next, EVENTS.matched) || (next.node !== null && String(next.node) !== String(event.node ?? current)) || next.category === 'connexml')) {
+				recognised = true
+			} else if (!events.slice(i + 1).some(e => e.category !== 'dtmf')) {
+				recognised = false
+				reason = 'no_action'
+			}
+		}
+		if (event.category === 'ivr' && eventIs(event, EVENTS.invalid)) {
+			recognised = false
+			reason = 'no_match'
+		}
+		dtmf.push({ index: event.index, time: event.time, digits: event.digits, node: event.node !== null ? String(event.node) : current, verb: event.verb, recognised, reason })
+	})
+
+	// Stuck: a node looped, or the call ended in the IVR after a long time in one node
+	let stuckNode = null
+	let stuckReason = null
+	const looped = nodes.find(n => n.visits >= STUCK_IVR_VISITS)
+	if (looped) {
+		stuckNode = looped.node
+		stuckReason = `entered ${looped.visits} times`
+	} else if (finalStay !== null && finalStay >= STUCK_IVR_MS) {
+		stuckNode = runs[runs.length - 1].node
+		stuckReason = `call ended after ${Math.round(finalStay / 1000)}s in the node`
+	}
+
+	return { path, nodes, dtmf, no_input: noInput, stuck: stuckNode !== null, stuck_node: stuckNode, stuck_reason: stuckReason }
+}
+
+/**
+ * Queue entries with wait, agent and outcome. A queue still waiting when the
+ * log ends counts as abandoned at the last event.
+ *
+ * @param {Array<Object>} events - Normalised events in time order
+ * @param {number|null} endMs - Time of the last event
+ * @returns {Array<Object>} [{ queue, entered_at, answered_at, ended_at, wait_ms, agent, outcome, indexes }]
+ */
+function buildQueues (events, endMs) {
+	const entries = []
+	let open = null
+	const close = (outcome, event) => {
+		const at = event ? event.time_ms : endMs
+		open.ended_at = at !== null ? new Date(at).toISOString() : null
+		open.outcome = outcome
+		if (open.wait_ms === null && open.entered_ms !== null && at !== null) open.wait_ms = at - open.entered_ms
+		if (event) open.indexes.push(event.index)
+		open = null
+	}
+
+	for (const event of events) {
+		if (event.category !== 'queue' && !(event.category === 'connexml' && /^(Enqueue|Queue)$/.test(event.verb || ''))) continue
+		const name = event.queue !== null ? String(event.queue) : (open ? open.queue : 'queue')
+		if (open && open.outcome === null && open.answered_at === null && eventIs(event, EVENTS.answer)) {
+			open.answered_at = event.time
+			open.agent = event.agent !== null ? String(event.agent) : open.agent
+			if (open.entered_ms !== null && event.time_ms !== null) open.wait_ms = event.time_ms - open.entered_ms
+			open.indexes.push(event.index)
+			continue
+		}
+		if (open && eventIs(event, EVENTS.timeout)) {
+			close(open.answered_at ? 'answered' : 'timeout', event)
+			continue
+		}
+		if (open && eventIs(event, EVENTS.abandon)) {
+			close(open.answered_at ? 'answered' : 'abandoned', event)
+			continue
+		}
+		if (!open || (eventIs(event, EVENTS.join) && name !== open.queue)) {
+			if (open) close(open.answered_at ? 'answered' : 'transferred', event)
+			open = { queue: name, entered_at: event.time, entered_ms: event.time_ms, answered_at: null, ended_at: null, wait_ms: null, agent: null, outcome: null, indexes: [event.index] }
+			entries.push(open)
+		}
+	}
+	if (open) close(open.answered_at ? 'answered' : 'abandoned', null)
+
+	return entries.map(({ entered_ms: enteredMs, ...entry }) => entry)
+}
+
+/**
+ * Conference joins and leaves per room.
+ *
+ * @param {Array<Object>} events - Normalised events in time order
+ * @param {number|null} endMs - Time of the last event
+ * @returns {Array<Object>} [{ room, joined_at, left_at, duration_ms }]
+ */
+function buildConferences (events, endMs) {
+	const sessions = []
+	for (const event of events) {
+		if (event.category !== 'conference' && !(event.category === 'connexml' && event.verb === 'Conference')) continue
+		const room = event.room !== null ? String(event.room) : 'conference'
+		const open = sessions.find(s => s.room === room && s.left_ms === null)
+		if (open && eventIs(event, EVENTS.leave)) {
+			open.left_ms = event.time_ms
+		} else if (!open) {
+			sessions.push({ room, joined_ms: event.time_ms, left_ms: null })
+		}
+	}
+	return sessions.map(s => {
+		const left = s.left_ms ?? endMs
+		return {
+			room: s.room,
+			joined_at: s.joined_ms !== null ? new Date(s.joined_ms).toISOString() : null,
+			left_at: s.left_ms !== null ? new Date(s.left_ms).toISOString() : null,
+			duration_ms: s.joined_ms !== null && left !== null ? left - s.joined_ms : null
+		}
+	})
+}
+
+/**
+ * Voicemail sessions and whether a message was left.
+ *
+ * @param {Array<Object>} events - Normalised events in time order
+ * @returns {Array<Object>} [{ mailbox, started_at, ended_at, duration_ms, message_left }]
+ */
+function buildVoicemail (events) {
+	const sessions = []
+	let open = null
+	for (const event of events) {
+		if (event.category !== 'voicemail') continue
+		const mailbox = event.mailbox !== null ? String(event.mailbox) : (open ? open.mailbox : null)
+		if (!open || mailbox !== open.mailbox) {
+			open = { mailbox, started_ms: event.time_ms, ended_ms: event.time_ms, message_left: false }
+			sessions.push(open)
+		}
+		open.ended_ms = event.time_ms ?? open.ended_ms
+		if (eventIs(event, EVENTS.saved)) open.message_left = true
+	}
+	return sessions.map(s => ({
+		mailbox: s.mailbox,
+		started_at: s.started_ms !== null ? new Date(s.started_ms).toISOString() : null,
+		ended_at: s.ended_ms !== null ? new Date(s.ended_ms).toISOString() : null,
+		duration_ms: s.started_ms !== null && s.ended_ms !== null ? s.ended_ms - s.started_ms : null,
+		message_left: s.message_left
+	}))
+}
+
+/**
+ * One line per event for the readable flow.
+ *
+ * @param {Object} event - Normalised event
+ * @returns {string} Event text
+ */
+function describeEvent (event) {
+	const suffix = event.event ? ` (${event.event})` : ''
+	switch (event.category) {
+		case 'ivr': return `IVR ${event.node ?? ''}${suffix}${event.digits !== null ? ` digits ${event.digits}` : ''}`.replace('IVR  ', 'IVR ')
+		case 'dtmf': return `DTMF ${event.digits ?? '?'}${event.node !== null ? ` at ${event.node}` : ''}${event.recognised === false ? ' — not recognised' : ''}`
+		case 'queue': return `Queue ${event.queue ?? ''}${suffix}${event.agent !== null ? ` agent ${event.agent}` : ''}`
+		case 'conference': return `Conference ${event.room ?? ''}${suffix}`
+		case 'voicemail': return `Voicemail ${event.mailbox ?? ''}${suffix}`
+		case 'connexml': return `ConneXML <${event.verb || event.event || '?'}>${event.digits !== null ? ` digits ${event.digits}` : ''}${event.message ? ` ${event.message}` : ''}`
+		case 'error': return `Error${event.app ? ` in ${event.app}` : ''}: ${event.error || event.message || event.event || 'unknown'}`
+		case 'ai_agent': return `AI agent${suffix}${event.message ? ` ${event.message}` : ''}`
+		default: return `${event.raw.type || event.raw.module || 'event'}${suffix}${event.message ? ` ${event.message}` : ''}`
+	}
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * Reconstructs the Class 5 flow of a call from its log/class5 rows.
+ *
+ * @param {Array<Object>} records - log/class5 rows
+ * @param {Object} [options] - Options
+ * @param {string} [options.start] - Call start (e.g. the trace start) that offsets are measured from; defaults to the first row
+ * @returns {Object} Flow:
+ *   - {Array<string>} features - Categories present (ivr, dtmf, queue, conference, voicemail, connexml, ai_agent, error)
+ *   - {Array<Object>} flow - { index, time, offset_ms, category, text } per row
+ *   - {Object} ivr - { path, nodes, dtmf, no_input, stuck, stuck_node, stuck_reason }
+ *   - {Array<Object>} queues / conferences / voicemail
+ *   - {Object} connexml - { verbs: [{ verb, time, index }], counts }
+ *   - {Array<Object>} errors - { index, time, app, message }
+ *   - {Object} stats - Figures for issue rules (max_node_visits, unrecognised_dtmf, max_abandoned_wait_ms, errors ...)
+ *   - {Array<Object>} findings - { type, severity, message, indexes }
+ * @throws {Error} If records is not an array
+ */
+export function analyzeClass5Flow (records, options = {}) {
+	if (!Array.isArray(records)) {
+		throw new Error(`Parameter "records" must be an array, received ${typeof records}`)
+	}
+
+	const events = records.map(normalizeClass5Record)
+	// Stable sort by time; rows without a time keep their place
+	events.sort((a, b) => (a.time_ms === null || b.time_ms === null ? 0 : a.time_ms - b.time_ms) || a.index - b.index)
+
+	const times = events.map(e => e.time_ms).filter(t => t !== null)
+	const startParsed = options.start ? recordTimeMs({ date: options.start }) : null
+	const startMs = startParsed ?? (times.length > 0 ? times[0] : null)
+	const endMs = times.length > 0 ? times[times.length - 1] : null
+	const offset = ms => ms !== null && startMs !== null ? Math.round(ms - startMs) : null
+
+	const ivr = buildIvr(events, endMs)
+	const queues = buildQueues(events, endMs)
+	const conferences = buildConferences(events, endMs)
+	const voicemail = buildVoicemail(events)
+	const verbs = events.filter(e => e.verb).map(e => ({ verb: e.verb, time: e.time, index: e.index }))
+	const counts = {}
+	verbs.forEach(v => { counts[v.verb] = (counts[v.verb] || 0) + 1 })
+	const errors = events.filter(e => e.category === 'error').map(e => ({ index: e.index, time: e.time, offset_ms: offset(e.time_ms), app: e.app, message: e.error || e.message || e.event || 'unknown error' }))
+
+	const findings = []
+	if (ivr.stuck) {
+		const node = ivr.nodes.find(n => n.node === ivr.stuck_node)
+		findings.push({
+			type: 'stuck_ivr',
+			severity: 'warn',
+			message: `Caller stuck in IVR node "${ivr.stuck_node}": ${ivr.stuck_reason}${node && (node.invalid + node.no_input) > 0 ? ` (${node.invalid} invalid, ${node.no_input} no input)` : ''}`,
+			indexes: events.filter(e => e.category === 'ivr' && String(e.node) === ivr.stuck_node).map(e => e.index)
+		})
+	}
+	const unrecognised = ivr.dtmf.filter(d => d.recognised === false)
+	if (unrecognised.length > 0) {
+		findings.push({
+			type: 'unrecognised_dtmf',
+			severity: 'warn',
+			message: `DTMF not recognised: ${unrecognised.map(d => `"${d.digits}"${d.node ? ` at ${d.node}` : ''}${d.reason === 'no_action' ? ' (nothing happened after it)' : ''}`).join(', ')} — check the menu options and the DTMF mode (RFC 2833 / SIP INFO / in-band) on both legs`,
+			indexes: unrecognised.map(d => d.index)
+		})
+	}
+	for (const entry of queues) {
+		if (entry.outcome !== 'abandoned' || entry.wait_ms === null || entry.wait_ms < LONG_QUEUE_ABANDON_MS) continue
+		findings.push({
+			type: 'long_queue_abandon',
+			severity: entry.wait_ms >= CRITICAL_QUEUE_ABANDON_MS ? 'critical' : 'warn',
+			message: `Caller abandoned queue "${entry.queue}" after waiting ${Math.round(entry.wait_ms / 1000)}s without an agent answering`,
+			indexes: entry.indexes
+		})
+	}
+	if (errors.length > 0) {
+		findings.push({
+			type: 'script_error',
+			severity: 'critical',
+			message: `${errors.length} Class 5 script error(s): ${errors.slice(0, 3).map(e => `${e.app ? `${e.app}: ` : ''}${e.message}`).join('; ')}`,
+			indexes: errors.map(e => e.index)
+		})
+	}
+
+	const features = [...new Set(events.map(e => e.category).concat(ivr.dtmf.length > 0 ? ['dtmf'] : []))].filter(c => c !== 'other')
+	const abandoned = queues.filter(q => q.outcome === 'abandoned' && q.wait_ms !== null)
+	const answered = queues.filter(q => q.outcome === 'answered' && q.wait_ms !== null)
+
+	return {
+		record_count: records.length,
+		start: startMs !== null ? new Date(startMs).toISOString() : null,
+		end: endMs !== null ? new Date(endMs).toISOString() : null,
+		duration_ms: startMs !== null && endMs !== null ? endMs - startMs : null,
+		features,
+		flow: events.map(e => ({ index: e.index, time: e.time, offset_ms: offset(e.time_ms), category: e.category, text: describeEvent(e) })),
+		ivr,
+		queues,
+		conferences,
+		voicemail,
+		connexml: { verbs, counts },
+		errors,
+		stats: {
+			ivr_nodes: ivr.nodes.length,
+			max_node_visits: ivr.nodes.reduce((max, n) => Math.max(max, n.visits), 0),
+			dtmf_entries: ivr.dtmf.length,
+			unrecognised_dtmf: unrecognised.length,
+			queue_entries: queues.length,
+			max_answered_wait_ms: answered.length > 0 ? Math.max(...answered.map(q => q.wait_ms)) : null,
+			max_abandoned_wait_ms: abandoned.length > 0 ? Math.max(...abandoned.map(q => q.wait_ms)) : null,
+			conferences: conferences.length,
+			voicemail_sessions: voicemail.length,
+			connexml_verbs: verbs.length,
+			errors: errors.length
+		},
+		findings
+	}
+}
+
+/**
+ * Renders a Class 5 flow as text: one line per event with its offset, then findings.
+ *
+ * @param {Object} flow - analyzeClass5Flow result
+ * @returns {string} Multi-line flow
+ */
+export function formatClass5Flow (flow) {
+	const lines = flow.flow.map(step => `${step.offset_ms !== null ? `+${(step.offset_ms / 1000).toFixed(1)}s` : '?'} ${step.text}`)
+	if (flow.findings.length > 0) {
+		lines.push('', ...flow.findings.map(f => `[${f.severity.toUpperCase()}] ${f.message}`))
+	}
+	return lines.join('\n')
+}
+
+/**
+ * One-line summary of a Class 5 flow for the investigation debug summary.
+ *
+ * @param {Object} flow - analyzeClass5Flow result
+ * @returns {string} e.g. "IVR main -> sales; queue Sales abandoned after 95s; 2 ConneXML verbs"
+ */
+export function summarizeClass5Flow (flow) {
+	const parts = []
+	if (flow.ivr.path.length > 0) parts.push(`IVR ${flow.ivr.path.join(' -> ')}`)
+	if (flow.ivr.dtmf.length > 0) parts.push(`DTMF ${flow.ivr.dtmf.map(d => d.digits).join(' ')}`)
+	flow.queues.forEach(q => parts.push(`queue ${q.queue} ${q.outcome}${q.wait_ms !== null ? ` after ${Math.round(q.wait_ms / 1000)}s` : ''}${q.agent ? ` (agent ${q.agent})` : ''}`))
+	flow.conferences.forEach(c => parts.push(`conference ${c.room}${c.duration_ms !== null ? ` ${Math.round(c.duration_ms / 1000)}s` : ''}`))
+	flow.voicemail.forEach(v => parts.push(`voicemail ${v.mailbox ?? ''}${v.message_left ? ' (message left)' : ' (no message)'}`.replace('  ', ' ')))
+	if (flow.connexml.verbs.length > 0) parts.push(`${flow.connexml.verbs.length} ConneXML verb(s)`)
+	if (flow.errors.length > 0) parts.push(`${flow.errors.length} script error(s)`)
+	return parts.length > 0 ? parts.join('; ') : `${flow.record_count} Class 5 records`
+}
+
+// ============================================================================
+// MCP TOOL HANDLER
+// ============================================================================
+
+/**
+ * MCP Tool Handler: getClass5Flow
+ *
+ * Fetches log/class5 for a call and reconstructs the Class 5 flow.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.callid - SIP Call-ID (required)
+ * @returns {Promise<Object>} Flow with findings and a text rendering
+ */
+export async function getClass5FlowHandler (args) {
+	const { callid } = args
+
+	try {
+		validateCallId(callid, 'callid')
+
+		const data = await getClass5Logs(callid)
+		const records = Array.isArray(data) ? data : []
+		if (records.length === 0) {
+			return {
+				success: true,
+				callid,
+				call_type: 'class4',
+				message: 'No Class 5 records — this was a Class 4 call (no IVR, queue, conference, voicemail or app)'
+			}
+		}
+
+		const flow = analyzeClass5Flow(records)
+		return {
+			success: true,
+			callid,
+			call_type: 'class5',
+			...flow,
+			summary: summarizeClass5Flow(flow),
+			flow_text: formatClass5Flow(flow)
+		}
+
+	} catch (error) {
+		return {
+			success: false,
+			callid,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
@@ -0,0 +1,296 @@
+/**
+ * Compare Calls — Side-by-Side Call-ID Diff
+ *
+ * MCP equivalent of the logging UI's "Compare Call IDs" view: fetches the
+ * trace (and RTCP, when present) for two or more Call-IDs, reduces each to a
+ * comparable profile and reports which fields and INVITE headers differ.
+ *
+ * The first Call-ID is the reference — typically the call that works — so
+ * "this number works, that one doesn't" becomes a list of concrete
+ * differences.
+ */
+
+import {
+	getSipTrace,
+	getRtcpQuality,
+	analyzeSipTrace,
+	summarizeRtcpMetrics,
+	validateCallId
+} from './callDebugTools'
+import { parseSipMessage } from './sipTransactions'
+
+/** Maximum Call-IDs compared in one request (each costs two API calls). */
+const MAX_CALLS = 10
+
+/** INVITE headers that differ on every call and carry no diagnostic value. */
+const VOLATILE_HEADERS = ['via', 'call-id', 'cseq', 'content-length', 'max-forwards', 'record-route', 'route', 'identity']
+
+/** Profile fields compared between calls, in report order. */
+const COMPARED_FIELDS = [
+	'cli',
+	'dst',
+	'user_agent',
+	'source',
+	'switch',
+	'anyedge_host',
+	'protocols',
+	'codecs',
+	'negotiated_codecs',
+	'sip_code',
+	'sip_reason',
+	'connected',
+	'pdd_ms',
+	'setup_time_ms',
+	'auth_required',
+	'nat_detected',
+	'nat_type',
+	'x_cx_nat',
+	'x_orig_ip',
+	'mos',
+	'jitter_ms',
+	'packet_loss_pct'
+]
+
+// ============================================================================
+// PROFILE BUILDING
+// ============================================================================
+
+/**
+ * Reduces one call's trace (and optional RTCP metrics) to a comparable profile.
+ *
+ * @param {string} callid - Call-ID the data belongs to
+ * @param {Array<Object>} messages - log/trace rows
+ * @param {Array<Object>} [rtcpMetrics] - log/rtcp rows (optional)
+ * @returns {Object} Call profile (fields listed in COMPARED_FIELDS plus `invite_headers`)
+ */
+export function buildCallProfile (callid, messages, rtcpMetrics = []) {
+	const analysis = analyzeSipTrace(messages)
+	if (analysis.error) {
+		return { callid, available: false, error: analysis.error }
+	}
+
+	const invite = messages.find(m => m.method === 'INVITE') || null
+	const parsedInvite = invite && invite.msg ? parseSipMessage(invite.msg) : null
+	const headerValue = name => (parsedInvite && parsedInvite.headers[name] ? parsedInvite.headers[name].join(', ') : null)
+
+	const inviteHeaders = {}
+	if (parsedInvite) {
+		for (const [name, values] of Object.entries(parsedInvite.headers)) {
+			if (VOLATILE_HEADERS.includes(name)) continue
+			// Tags are random per call — compare From/To without them
+			inviteHeaders[name] = values.join(', ').replace(/;tag=[^;>,\s]+/gi, '')
+		}
+	}
+
+	const quality = Array.isArray(rtcpMetrics) && rtcpMetrics.length > 0 ? summarizeRtcpMetrics(rtcpMetrics) : null
+	const final = analysis.call_connected ? { code: 200, reason: 'OK' } : analysis.final_response
+
+	return {
+		callid,
+		available: true,
+		start_time: analysis.start_time,
+		end_time: analysis.end_time,
+		cli: analysis.from_user,
+		dst: analysis.to_user,
+		user_agent: invite ? invite.user_agent || headerValue('user-agent') : null,
+		source: invite ? `${invite.source_ip}:${invite.source_port}` : null,
+		switch: invite ? `${invite.destination_ip}:${invite.destination_port}` : null,
+		anyedge_host: analysis.anyedge_host,
+		protocols: analysis.protocols_used.join(', ') || null,
+		codecs: analysis.codecs.join(', ') || null,
+		negotiated_codecs: analysis.sdp.negotiated_codecs.join(', ') || null,
+		sip_code: final ? final.code : null,
+		sip_reason: final ? final.reason : null,
+		connected: analysis.call_connected,
+		pdd_ms: analysis.pdd_ms,
+		setup_time_ms: analysis.setup_time_ms,
+		auth_required: analysis.auth_required,
+		nat_detected: analysis.nat_detected,
+		nat_type: analysis.nat ? analysis.nat.classification : null,
+		x_cx_nat: headerValue('x-cx-nat'),
+		x_orig_ip: headerValue('x-orig-ip'),
+		mos: quality && quality.mos ? quality.mos.avg : null,
+		jitter_ms: quality && quality.jitter_ms ? quality.jitter_ms.avg : null,
+		packet_loss_pct: quality && quality.packet_loss_pct ? quality.packet_loss_pct.avg : null,
+		issues: analysis.issues,
+		invite_headers: inviteHeaders
+	}
+}
+
+// ============================================================================
+// DIFFING
+// ============================================================================
+
+/**
+ * Compares call profiles field by field and INVITE header by header.
+ *
+ * @param {Array<Object>} profiles - Profiles from buildCallProfile (first = reference)
+ * @returns {Object} Comparison:
+ *   - {Array<Object>} differences - Fields that differ ({ field, values: { callid: value } })
+ *   - {Array<string>} same - Fields identical across all calls
+ *   - {Array<Object>} header_differences - INVITE headers that differ or are missing ({ header, values })
+ *   - {string} summary - Human-readable summary
+ */
+export function compareCallProfiles (profiles) {
+	if (!Array.isArray(profiles)) {
+		throw new Error(`Parameter "profiles" must be an array, received ${typeof profiles}`)
+	}
+
+	const available = profiles.filter(p => p.available)
+	const valuesFor = pick => Object.fromEntries(available.map(p => [p.callid, pick(p)]))
+	const allEqual = values => new Set(Object.values(values).map(v => JSON.stringify(v))).size <= 1
+
+	const differences = []
+	const same = []
+	for (const field of COMPARED_FIELDS) {
+		const values = valuesFor(p => p[field] === undefined ? null : p[field])
+		if (allEqual(values)) same.push(field)
+		else differences.push({ field, values })
+	}
+
+	const headerNames = new Set()
+	available.forEach(p => Object.keys(p.invite_headers).forEach(name => headerNames.add(name)))
+	const headerDifferences = []
+	for (const header of [...headerNames].sort()) {
+		const values = valuesFor(p => p.invite_headers[header] === undefined ? null : p.invite_headers[header])
+		if (!allEqual(values)) headerDifferences.push({ header, values })
+	}
+
+	return {
+		differences,
+		same,
+		header_differences: headerDifferences,
+		summary: buildComparisonSummary(profiles, differences, headerDifferences)
+	}
+}
+
+/**
+ * Builds the human-readable comparison summary.
+ *
+ * @param {Array<Object>} profiles - All profiles (including unavailable ones)
+ * @param {Array<Object>} differences - Field differences
+ * @param {Array<Object>} headerDifferences - INVITE header differences
+ * @returns {string} Multi-line summary text
+ */
+function buildComparisonSummary (profiles, differences, headerDifferences) {
+	const reference = profiles.find(p => p.available)
+	const lines = [`Compared ${profiles.length} calls (reference: ${reference ? reference.callid : 'none available'})`]
+
+	profiles.forEach(p => {
+		lines.push(p.available
+			? `  ${p.callid}: ${p.sip_code || '?'} ${p.sip_reason || ''} — ${p.cli || '?'} → ${p.dst || '?'} via ${p.switch || '?'}`
+			: `  ${p.callid}: no trace (${p.error})`)
+	})
+
+	if (differences.length === 0 && headerDifferences.length === 0) {
+		lines.push('', 'No differences found in the compared fields or INVITE headers.')
+		return lines.join('\n')
+	}
+
+	if (differences.length > 0) {
+		lines.push('', '--- Field differences ---')
+		differences.forEach(d => {
+			lines.push(`${d.field}: ${Object.entries(d.values).map(([id, v]) => `${id}=${v === null ? '—' : v}`).join(' | ')}`)
+		})
+	}
+	if (headerDifferences.length > 0) {
+		lines.push('', '--- INVITE header differences ---')
+		headerDifferences.forEach(d => {
+			lines.push(`${d.header}: ${Object.entries(d.values).map(([id, v]) => `${id}=${v === null ? '(absent)' : v}`).join(' | ')}`)
+		})
+	}
+	return lines.join('\n')
+}
+
+// ============================================================================
+// MCP TOOL HANDLER
+// ============================================================================
+
+/**
+ * Normalises the callids argument into an array of Call-IDs.
+ *
+ * @param {string|Array<string>} callids - Comma/newline separated string or array
+ * @returns {Array<string>} Trimmed, de-duplicated Call-IDs
+ */
+function parseCallIds (callids) {
+	const list = Array.isArray(callids)
+		? callids
+		: typeof callids === 'string' ? callids.split(/[\s,]+/) : []
+	return [...new Set(list.map(id => String(id).trim()).filter(Boolean))]
+}
+
+/**
+ * MCP Tool Handler: compareCalls
+ *
+ * Fetches trace and RTCP data for each Call-ID and returns a structured diff.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string|Array<string>} args.callids - Two or more Call-IDs (comma separated string or array); first is the reference
+ * @returns {Promise<Object>} Comparison result with per-call profiles and differences
+ */
+export async function compareCallsHandler (args) {
+	try {
+		const callids = parseCallIds(args.callids)
+		if (callids.length < 2) {
+			throw new Error('Parameter "callids" must contain at least two distinct Call-IDs')
+		}
+		if (callids.length > MAX_CALLS) {
+			throw new Error(`Parameter "callids" accepts at most ${MAX_CALLS} Call-IDs (received ${callids.length})`)
+		}
+		callids.forEach((id, i) => validateCallId(id, `callids[${i}]`))
+
+		const profiles = []
+		for (const callid of callids) {
+			try {
+				const traceMessages = await getSipTrace(callid)
+				const messages = Array.isArray(traceMessages) ? traceMessages : []
+				if (messages.length === 0) {
+					profiles.push({ callid, available: false, error: 'No SIP trace data found' })
+					continue
+				}
+
+				// RTCP is optional — a missing or failing RTCP lookup must not hide the trace diff
+				let metrics = []
+				try {
+					const rtcpData = await getRtcpQuality(callid)
+					metrics = Array.isArray(rtcpData) ? rtcpData : []
+				} catch (error) {
+					metrics = []
+				}
+
+				profiles.push(buildCallProfile(callid, messages, metrics))
+			} catch (error) {
+				profiles.push({ callid, available: false, error: error.message })
+			}
+		}
+
+		const comparable = profiles.filter(p => p.available).length
+		if (comparable < 2) {
+			return {
+				success: false,
+				callids,
+				calls: profiles,
+				message: `Only ${comparable} of ${callids.length} calls have trace data — need at least two to compare`,
+				suggestions: [
+					'Verify the Call-IDs are correct (check for typos)',
+					'Traces are retained for 7 days only - calls may be too old',
+					'Use searchCallLogs to find Call-IDs by phone number'
+				]
+			}
+		}
+
+		return {
+			success: true,
+			callids,
+			reference_callid: profiles.find(p => p.available).callid,
+			calls: profiles,
+			...compareCallProfiles(profiles)
+		}
+
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
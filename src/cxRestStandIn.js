@@ -0,0 +1,65 @@
+/**
+ * Local cxRest Stand-In
+ *
+ * A tiny in-memory replacement for the authenticated cxRest client, used by
+ * offline tests together with setApiClient() from callDebugTools.js. Routes
+ * are keyed by "METHOD path" (path without the query string); each route is
+ * either a fixed response or a function of the request. Every request is
+ * recorded in `calls` so tests can assert what was sent.
+ *
+ * Unrouted requests resolve to [] — the same as an endpoint with no data.
+ */
+
+/**
+ * Parses the query string of an endpoint into an object.
+ *
+ * @param {string} endpoint - Endpoint with optional "?a=1&b=2"
+ * @returns {Object} { path, query }
+ */
+function splitEndpoint (endpoint) {
+  const [path, queryString] = String(endpoint).split('?')
+  const query = {}
+  if (queryString) {
+    for (const pair of queryString.split('&')) {
+      const [key, value = ''] = pair.split('=')
+      query[decodeURIComponent(key)] = decodeURIComponent(value)
+    }
+  }
+  return { path, query }
+}
+
+/**
+ * Creates a cxRest stand-in.
+ *
+ * @param {Object<string, *>} routes - Responses keyed by "GET log/trace", "POST cdr", ...
+ *   A function value is called with { method, path, query, params, body, count }
+ *   (count = how many times this route has been hit before) and may return a
+ *   value or a Promise; a thrown error rejects like a failed API call.
+ * @returns {Object} Client with get/post/put/delete and a `calls` log
+ */
+export function createCxRestStandIn (routes = {}) {
+  const calls = []
+  const hits = {}
+
+  const request = async (method, endpoint, payload) => {
+    const { path, query } = splitEndpoint(endpoint)
+    const key = `${method} ${path}`
+    const count = hits[key] || 0
+    hits[key] = count + 1
+
+    const entry = { method, path, query, params: method === 'GET' ? payload || null : null, body: method === 'GET' ? null : payload || null }
+    calls.push(entry)
+
+    if (!(key in routes)) return []
+    const route = routes[key]
+    return typeof route === 'function' ? route({ ...entry, count }) : route
+  }
+
+  return {
+    calls,
+    get: (endpoint, params) => request('GET', endpoint, params),
+    post: (endpoint, body) => request('POST', endpoint, body),
+    put: (endpoint, body) => request('PUT', endpoint, body),
+    delete: endpoint => request('DELETE', endpoint)
+  }
+}
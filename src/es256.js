@@ -0,0 +1,413 @@
+/**
+ * ES256 Signature Verification (offline)
+ *
+ * Minimal SHA-256, NIST P-256 ECDSA verification and X.509 public key
+ * extraction — enough to verify a STIR/SHAKEN PASSporT against a PEM
+ * certificate without network access or a crypto module (ScriptForge has
+ * neither). Verification only: no key generation or signing.
+ *
+ * Curve parameters: SEC 2 / FIPS 186-4 (secp256r1).
+ */
+
+import { base64ToBytes } from './binaryUtils'
+
+// ============================================================================
+// SHA-256
+// ============================================================================
+
+const SHA256_K = [
+	0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+	0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+	0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+	0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+	0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+	0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+	0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+	0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]
+
+/**
+ * Computes the SHA-256 digest of a byte array.
+ *
+ * @param {Uint8Array} bytes - Message bytes
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256 (bytes) {
+	const bitLength = bytes.length * 8
+	const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64
+	const data = new Uint8Array(paddedLength)
+	data.set(bytes)
+	data[bytes.length] = 0x80
+	// Message length fits in 53 bits; write it big-endian into the last 8 bytes
+	const high = Math.floor(bitLength / 0x100000000)
+	const low = bitLength >>> 0
+	for (let i = 0; i < 4; i++) {
+		data[paddedLength - 8 + i] = (high >>> (24 - i * 8)) & 0xff
+		data[paddedLength - 4 + i] = (low >>> (24 - i * 8)) & 0xff
+	}
+
+	const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]
+	const w = new Array(64)
+	const rotr = (x, n) => (x >>> n) | (x << (32 - n))
+
+	for (let block = 0; block < paddedLength; block += 64) {
+		for (let t = 0; t < 16; t++) {
+			const o = block + t * 4
+			w[t] = ((data[o] << 24) | (data[o + 1] << 16) | (data[o + 2] << 8) | data[o + 3]) >>> 0
+		}
+		for (let t = 16; t < 64; t++) {
+			const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3)
+			const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10)
+			w[t] = (w[t - 16] + s0 + w[t - 7] + s1) >>> 0
+		}
+
+		let [a, b, c, d, e, f, g, hh] = h
+		for (let t = 0; t < 64; t++) {
+			const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)
+			const ch = (e & f) ^ (~e & g)
+			const temp1 = (hh + S1 + ch + SHA256_K[t] + w[t]) >>> 0
+			const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)
+			const maj = (a & b) ^ (a & c) ^ (b & c)
+			const temp2 = (S0 + maj) >>> 0
+			hh = g
+			g = f
+			f = e
+			e = (d + temp1) >>> 0
+			d = c
+			c = b
+			b = a
+			a = (temp1 + temp2) >>> 0
+		}
+		h[0] = (h[0] + a) >>> 0
+		h[1] = (h[1] + b) >>> 0
+		h[2] = (h[2] + c) >>> 0
+		h[3] = (h[3] + d) >>> 0
+		h[4] = (h[4] + e) >>> 0
+		h[5] = (h[5] + f) >>> 0
+		h[6] = (h[6] + g) >>> 0
+		h[7] = (h[7] + hh) >>> 0
+	}
+
+	const digest = new Uint8Array(32)
+	h.forEach((word, i) => {
+		digest[i * 4] = word >>> 24
+		digest[i * 4 + 1] = (word >>> 16) & 0xff
+		digest[i * 4 + 2] = (word >>> 8) & 0xff
+		digest[i * 4 + 3] = word & 0xff
+	})
+	return digest
+}
+
+// ============================================================================
+// P-256 CURVE ARITHMETIC
+// ============================================================================
+
+const P = BigInt('0xffffffff00000001000000000000000000000000ffffffffffffffffffffffff')
+const N = BigInt('0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551')
+const B = BigInt('0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604b')
+const G = {
+	x: BigInt('0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296'),
+	y: BigInt('0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5')
+}
+
+const mod = (a, m) => {
+	const r = a % m
+	return r < BigInt(0) ? r + m : r
+}
+
+/**
+ * Modular inverse by the extended Euclidean algorithm.
+ *
+ * @param {bigint} a - Value to invert
+ * @param {bigint} m - Prime modulus
+ * @returns {bigint} a^-1 mod m
+ */
+function modInverse (a, m) {
+	let oldR = mod(a, m)
+	let r = m
+	let oldS = BigInt(1)
+	let s = BigInt(0)
+	while (r !== BigInt(0)) {
+		const q = oldR / r
+		const nextR = oldR - q * r
+		const nextS = oldS - q * s
+		oldR = r
+		r = nextR
+		oldS = s
+		s = nextS
+	}
+	return mod(oldS, m)
+}
+
+/**
+ * Doubles a Jacobian point (a = -3 formulas). `null` is the point at infinity.
+ *
+ * @param {Object|null} p - Point { x, y, z }
+ * @returns {Object|null} 2P
+ */
+function pointDouble (p) {
+	if (!p || p.y === BigInt(0)) return null
+	const delta = mod(p.z * p.z, P)
+	const gamma = mod(p.y * p.y, P)
+	const beta = mod(p.x * gamma, P)
+	const alpha = mod(BigInt(3) * (p.x - delta) * (p.x + delta), P)
+	const x = mod(alpha * alpha - BigInt(8) * beta, P)
+	const z = mod((p.y + p.z) * (p.y + p.z) - gamma - delta, P)
+	const y = mod(alpha * (BigInt(4) * beta - x) - BigInt(8) * gamma * gamma, P)
+	return { x, y, z }
+}
+
+/**
+ * Adds two Jacobian points.
+ *
+ * @param {Object|null} p - First point
+ * @param {Object|null} q - Second point
+ * @returns {Object|null} P + Q
+ */
+function pointAdd (p, q) {
+	if (!p) return q
+	if (!q) return p
+	const z1z1 = mod(p.z * p.z, P)
+	const z2z2 = mod(q.z * q.z, P)
+	const u1 = mod(p.x * z2z2, P)
+	const u2 = mod(q.x * z1z1, P)
+	const s1 = mod(p.y * q.z * z2z2, P)
+	const s2 = mod(q.y * p.z * z1z1, P)
+	if (u1 === u2) return s1 === s2 ? pointDouble(p) : null
+	const h = mod(u2 - u1, P)
+	const r = mod(s2 - s1, P)
+	const h2 = mod(h * h, P)
+	const h3 = mod(h * h2, P)
+	const u1h2 = mod(u1 * h2, P)
+	const x = mod(r * r - h3 - BigInt(2) * u1h2, P)
+	const y = mod(r * (u1h2 - x) - s1 * h3, P)
+	const z = mod(h * p.z * q.z, P)
+	return { x, y, z }
+}
+
+/**
+ * Computes u1*G + u2*Q in one pass (Shamir's trick) and returns the affine x.
+ *
+ * @param {bigint} u1 - Scalar for the generator
+ * @param {bigint} u2 - Scalar for the public key
+ * @param {Object} q - Affine public key { x, y }
+ * @returns {bigint|null} Affine x coordinate, or null at infinity
+ */
+function combinedMultiplyX (u1, u2, q) {
+	const gJ = { x: G.x, y: G.y, z: BigInt(1) }
+	const qJ = { x: q.x, y: q.y, z: BigInt(1) }
+	const gq = pointAdd(gJ, qJ)
+	const bits = Math.max(u1.toString(2).length, u2.toString(2).length)
+	let acc = null
+
+	for (let i = bits - 1; i >= 0; i--) {
+		acc = pointDouble(acc)
+		const shift = BigInt(i)
+		const b1 = (u1 >> shift) & BigInt(1)
+		const b2 = (u2 >> shift) & BigInt(1)
+		if (b1 && b2) acc = pointAdd(acc, gq)
+		else if (b1) acc = pointAdd(acc, gJ)
+		else if (b2) acc = pointAdd(acc, qJ)
+	}
+	if (!acc) return null
+	const zInv = modInverse(acc.z, P)
+	return mod(acc.x * zInv * zInv, P)
+}
+
+/**
+ * Whether an affine point lies on P-256.
+ *
+ * @param {Object} q - Point { x, y }
+ * @returns {boolean} True if y^2 = x^3 - 3x + b (mod p)
+ */
+function isOnCurve (q) {
+	if (q.x < BigInt(0) || q.x >= P || q.y < BigInt(0) || q.y >= P) return false
+	return mod(q.y * q.y, P) === mod(q.x * q.x * q.x - BigInt(3) * q.x + B, P)
+}
+
+/**
+ * Converts big-endian bytes to a BigInt.
+ *
+ * @param {Uint8Array} bytes - Big-endian bytes
+ * @returns {bigint} Unsigned integer
+ */
+function bytesToBigInt (bytes) {
+	let hex = ''
+	for (const b of bytes) hex += b.toString(16).padStart(2, '0')
+	return hex ? BigInt(`0x${hex}`) : BigInt(0)
+}
+
+// ============================================================================
+// ECDSA VERIFICATION
+// ============================================================================
+
+/**
+ * Splits an ES256 signature into r and s. JWS uses raw 64-byte r||s; a DER
+ * ECDSA-Sig-Value is also accepted for signatures taken from other tooling.
+ *
+ * @param {Uint8Array} signature - Signature bytes
+ * @returns {Object|null} { r, s } or null if the format is unrecognised
+ */
+function parseSignature (signature) {
+	if (signature.length === 64) {
+		return { r: bytesToBigInt(signature.subarray(0, 32)), s: bytesToBigInt(signature.subarray(32)) }
+	}
+	try {
+		const seq = readTlv(signature, 0)
+		if (seq.tag !== 0x30) return null
+		const r = readTlv(signature, seq.start)
+		const s = readTlv(signature, r.end)
+		if (r.tag !== 0x02 || s.tag !== 0x02) return null
+		return { r: bytesToBigInt(signature.subarray(r.start, r.end)), s: bytesToBigInt(signature.subarray(s.start, s.end)) }
+	} catch (error) {
+		return null
+	}
+}
+
+/**
+ * Verifies an ECDSA P-256 / SHA-256 signature.
+ *
+ * @param {Uint8Array} message - Signed bytes (for JWS: ASCII "header.payload")
+ * @param {Uint8Array} signature - Raw r||s (64 bytes) or DER signature
+ * @param {Object} publicKey - Affine public key { x, y } as BigInt
+ * @returns {boolean} True if the signature is valid
+ */
+export function verifyEs256 (message, signature, publicKey) {
+	if (!publicKey || !isOnCurve(publicKey)) return false
+	const sig = parseSignature(signature)
+	if (!sig) return false
+	const { r, s } = sig
+	if (r <= BigInt(0) || r >= N || s <= BigInt(0) || s >= N) return false
+
+	const e = bytesToBigInt(sha256(message))
+	const w = modInverse(s, N)
+	const x = combinedMultiplyX(mod(e * w, N), mod(r * w, N), publicKey)
+	return x !== null && mod(x, N) === r
+}
+
+// ============================================================================
+// DER / X.509
+// ============================================================================
+
+/** DER-encoded OIDs: id-ecPublicKey (1.2.840.10045.2.1) and prime256v1 (1.2.840.10045.3.1.7). */
+const OID_EC_PUBLIC_KEY = '2a8648ce3d0201'
+const OID_PRIME256V1 = '2a8648ce3d030107'
+
+/**
+ * Reads one DER TLV.
+ *
+ * @param {Uint8Array} bytes - DER bytes
+ * @param {number} offset - Offset of the tag byte
+ * @returns {Object} { tag, start, end } — start/end bound the value
+ * @throws {Error} If the TLV runs past the end of the input
+ */
+function readTlv (bytes, offset) {
+	const tag = bytes[offset]
+	let length = bytes[offset + 1]
+	let start = offset + 2
+	if (length & 0x80) {
+		const count = length & 0x7f
+		length = 0
+		for (let i = 0; i < count; i++) length = length * 256 + bytes[start + i]
+		start += count
+	}
+	const end = start + length
+	if (tag === undefined || end > bytes.length) throw new Error('Truncated DER structure')
+	return { tag, start, end }
+}
+
+/**
+ * Lists the child TLVs of a constructed DER value.
+ *
+ * @param {Uint8Array} bytes - DER bytes
+ * @param {Object} parent - Parent TLV from readTlv
+ * @returns {Array<Object>} Child TLVs
+ */
+function readChildren (bytes, parent) {
+	const children = []
+	let offset = parent.start
+	while (offset < parent.end) {
+		const child = readTlv(bytes, offset)
+		children.push(child)
+		offset = child.end
+	}
+	return children
+}
+
+const toHex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+
+/**
+ * Parses a UTCTime / GeneralizedTime value to an ISO string.
+ *
+ * @param {Uint8Array} bytes - DER bytes
+ * @param {Object} tlv - Time TLV
+ * @returns {string|null} ISO timestamp
+ */
+function parseDerTime (bytes, tlv) {
+	const text = String.fromCharCode(...bytes.subarray(tlv.start, tlv.end))
+	const match = tlv.tag === 0x17
+		? text.match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/)
+		: text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/)
+	if (!match) return null
+	let year = parseInt(match[1], 10)
+	if (tlv.tag === 0x17) year += year < 50 ? 2000 : 1900
+	return new Date(Date.UTC(year, +match[2] - 1, +match[3], +match[4], +match[5], +match[6])).toISOString()
+}
+
+/**
+ * Extracts the P-256 public key from a SubjectPublicKeyInfo.
+ *
+ * @param {Uint8Array} bytes - DER bytes
+ * @param {Object} spki - SubjectPublicKeyInfo TLV
+ * @returns {Object} { x, y } as BigInt
+ * @throws {Error} If the key is not an uncompressed P-256 EC key
+ */
+function parseSubjectPublicKeyInfo (bytes, spki) {
+	const [algorithm, bitString] = readChildren(bytes, spki)
+	const [oid, curve] = readChildren(bytes, algorithm)
+	if (toHex(bytes.subarray(oid.start, oid.end)) !== OID_EC_PUBLIC_KEY) {
+		throw new Error('Certificate key is not an EC public key')
+	}
+	if (!curve || toHex(bytes.subarray(curve.start, curve.end)) !== OID_PRIME256V1) {
+		throw new Error('Certificate key is not on curve P-256 (prime256v1)')
+	}
+	const point = bytes.subarray(bitString.start + 1, bitString.end)
+	if (point.length !== 65 || point[0] !== 0x04) {
+		throw new Error('Only uncompressed EC points are supported')
+	}
+	return { x: bytesToBigInt(point.subarray(1, 33)), y: bytesToBigInt(point.subarray(33)) }
+}
+
+/**
+ * Reads the P-256 public key (and validity window) from a PEM certificate or
+ * PEM public key.
+ *
+ * @param {string} pem - "-----BEGIN CERTIFICATE-----" or "-----BEGIN PUBLIC KEY-----" block
+ * @returns {Object} Key details:
+ *   - {Object} public_key - { x, y } as BigInt
+ *   - {string|null} not_before - Certificate validity start (ISO), null for a bare key
+ *   - {string|null} not_after - Certificate validity end (ISO), null for a bare key
+ * @throws {Error} If the PEM is missing or does not hold a P-256 key
+ */
+export function publicKeyFromPem (pem) {
+	const match = typeof pem === 'string' && pem.match(/-----BEGIN (CERTIFICATE|PUBLIC KEY)-----([\s\S]+?)-----END \1-----/)
+	if (!match) throw new Error('Expected a PEM "CERTIFICATE" or "PUBLIC KEY" block')
+	const der = base64ToBytes(match[2])
+	const outer = readTlv(der, 0)
+
+	if (match[1] === 'PUBLIC KEY') {
+		return { public_key: parseSubjectPublicKeyInfo(der, outer), not_before: null, not_after: null }
+	}
+
+	// Certificate ::= SEQUENCE { tbsCertificate, signatureAlgorithm, signature }
+	const tbs = readChildren(der, outer)[0]
+	const fields = readChildren(der, tbs)
+	const rest = fields[0].tag === 0xa0 ? fields.slice(1) : fields
+	// serialNumber, signature, issuer, validity, subject, subjectPublicKeyInfo
+	const validity = readChildren(der, rest[3])
+	return {
+		public_key: parseSubjectPublicKeyInfo(der, rest[5]),
+		not_before: parseDerTime(der, validity[0]),
+		not_after: parseDerTime(der, validity[1])
+	}
+}
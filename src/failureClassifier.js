@@ -0,0 +1,271 @@
+/**
+ * Call Failure Classifier
+ *
+ * Reduces a trace analysis to a single diagnosis of why the call failed or
+ * was released, using the release-reason catalogue in
+ * .github/instructions/call-debug.instructions.md:
+ *
+ *   downstream_bye        — caller hung up or cancelled
+ *   upstream_bye          — callee / carrier hung up
+ *   mi_termination        — switch cleared both legs because no media flowed
+ *   ping_timeout          — in-dialog OPTIONS (SIP Ping) went unanswered
+ *   auth_failure          — challenge not satisfied or credentials refused
+ *   no_route              — switch rejected the call without trying a carrier
+ *   carrier_rejection     — every carrier attempt was rejected
+ *   codec_mismatch        — 488/415/606 or no codec in common
+ *   firewall_no_response  — requests or the ACK never got through
+ *
+ * Every candidate that matches is scored; the highest score is the diagnosis
+ * and its score is the confidence (0-1). The rest are returned as
+ * alternatives so a low-confidence call can be checked by hand.
+ *
+ * Auth challenges that were answered with credentials (407 → INVITE with
+ * Proxy-Authorization) are followed through `superseded_by`, so a call that
+ * connects after a challenge is never diagnosed as an auth failure.
+ */
+
+import { parseSipMessage, getSipHeader } from './sipTransactions'
+import { describeCallLegs, ipOf } from './callLegs'
+
+/** Catalogue of diagnoses. `failure` is false for normal hang-ups. */
+export const FAILURE_CAUSES = {
+	downstream_bye: { label: 'Downstream BYE', category: 'signalling', failure: false, description: 'The caller hung up or cancelled the call' },
+	upstream_bye: { label: 'Upstream BYE', category: 'signalling', failure: false, description: 'The called party or carrier hung up' },
+	mi_termination: { label: 'MI Termination', category: 'media', failure: true, description: 'The switch cleared the call because no audio was detected between the parties' },
+	ping_timeout: { label: 'Ping Timeout', category: 'signalling', failure: true, description: 'SIP Ping is enabled and a party stopped answering OPTIONS' },
+	auth_failure: { label: 'Authentication failure', category: 'auth', failure: true, description: 'The authentication challenge was not answered or the credentials were refused' },
+	no_route: { label: 'No route', category: 'routing', failure: true, description: 'The switch rejected the call without trying any carrier' },
+	carrier_rejection: { label: 'Carrier rejection', category: 'routing', failure: true, description: 'Every carrier the call was sent to rejected it' },
+	codec_mismatch: { label: 'Codec mismatch', category: 'media', failure: true, description: 'The parties have no codec in common' },
+	firewall_no_response: { label: 'Firewall / no response', category: 'signalling', failure: true, description: 'SIP requests or the ACK were not answered — the peer is unreachable or a firewall/NAT is dropping packets' }
+}
+
+/** Final responses that mean the media offer was refused. */
+const CODEC_REJECTION_CODES = [415, 488, 606]
+
+/** Reason phrases that the switch uses when routing fails. */
+const NO_ROUTE_REASON = /rout|no (carrier|provider)|dial ?plan|no destination/i
+
+/** Reason header / phrase text naming a media timeout. */
+const MEDIA_TIMEOUT_REASON = /\bMI\b|media timeout|rtp timeout|no (media|audio|rtp)/i
+
+/**
+ * Collects message ids from transaction events.
+ *
+ * @param {...Object} events - Transaction events (null entries are skipped)
+ * @returns {Array<number|string>} Message ids
+ */
+function idsOf (...events) {
+	return events.filter(Boolean).map(e => e.message_id)
+}
+
+/**
+ * Reads the Reason header (or reason phrase) of a request from the raw trace.
+ *
+ * @param {Array<Object>} messages - log/trace rows
+ * @param {Object} tx - Transaction
+ * @returns {string} Reason header value, or ''
+ */
+function reasonHeaderOf (messages, tx) {
+	const row = messages[tx.request.index]
+	if (!row || !row.msg) return ''
+	const parsed = parseSipMessage(row.msg)
+	return (parsed && getSipHeader(parsed, 'reason')) || ''
+}
+
+/**
+ * Scores release reasons for a call that connected.
+ *
+ * @param {Object} analysis - analyzeSipTrace result
+ * @param {Array<Object>} messages - log/trace rows
+ * @param {Object} legs - describeCallLegs result
+ * @param {Function} add - Candidate collector (cause, confidence, evidence)
+ * @returns {void}
+ */
+function scoreConnected (analysis, messages, legs, add) {
+	const transactions = analysis.transactions
+	const noAck = analysis.retransmission_analysis.findings.find(f => f.type === 'ok_retransmission')
+	if (noAck) {
+		const tx = transactions.find(t => t.id === noAck.transaction_id)
+		add('firewall_no_response', 0.8, [{ detail: `200 OK retransmitted without an ACK on ${noAck.leg} — the ACK never got through (NAT or firewall on the caller side)`, message_ids: tx ? idsOf(tx.final_response, ...tx.final_response_retransmissions) : [] }])
+	}
+
+	const byes = transactions.filter(tx => tx.method === 'BYE')
+	if (byes.length === 0) return
+	const first = byes[0]
+	const fromIp = ipOf(first.source)
+	const egressIps = legs.egress.map(tx => ipOf(tx.destination))
+
+	if (fromIp === legs.caller_ip) {
+		add('downstream_bye', 0.9, [{ detail: `First BYE sent by the caller (${first.source})`, message_ids: idsOf(first.request) }])
+		return
+	}
+	if (egressIps.includes(fromIp)) {
+		add('upstream_bye', 0.9, [{ detail: `First BYE sent by the carrier (${first.source})`, message_ids: idsOf(first.request) }])
+		return
+	}
+	if (fromIp !== legs.entry_ip) return
+
+	// The switch started the teardown
+	const switchByes = byes.filter(tx => ipOf(tx.source) === legs.entry_ip && tx.request.index <= first.request.index + 4)
+	const bothLegs = legs.egress.length > 0 && switchByes.some(tx => ipOf(tx.destination) === legs.caller_ip) && switchByes.some(tx => egressIps.includes(ipOf(tx.destination)))
+	const pings = transactions.filter(tx => tx.method === 'OPTIONS' && tx.request.index < first.request.index && (!tx.final_response || tx.final_response.code >= 400))
+	const reason = switchByes.map(tx => reasonHeaderOf(messages, tx)).find(Boolean) || ''
+	const byeEvidence = { detail: `BYE sent by the switch (${first.source})${bothLegs ? ' on both legs' : ''}${reason ? ` — Reason: ${reason}` : ''}`, message_ids: idsOf(...switchByes.map(tx => tx.request)) }
+
+	if (pings.length > 0) {
+		add('ping_timeout', bothLegs ? 0.9 : 0.8, [
+			{ detail: `${pings.length} in-dialog OPTIONS to ${pings[0].destination} got no answer`, message_ids: pings.flatMap(tx => idsOf(tx.request, ...tx.retransmissions)) },
+			byeEvidence
+		])
+	}
+	if (MEDIA_TIMEOUT_REASON.test(reason)) {
+		add('mi_termination', 0.9, [byeEvidence])
+	} else if (bothLegs && pings.length === 0) {
+		add('mi_termination', 0.7, [byeEvidence, { detail: 'Neither party sent a BYE first and no SIP Ping failed — consistent with the media inactivity timer' }])
+	} else if (!noAck && pings.length === 0) {
+		// Single leg captured: the switch may be relaying the far end's BYE
+		add('upstream_bye', 0.55, [byeEvidence, { detail: 'Only one leg is in the trace — the switch is probably relaying a BYE from the far end' }])
+		add('mi_termination', 0.4, [byeEvidence])
+	}
+}
+
+/**
+ * Scores failure causes for a call that never connected.
+ *
+ * @param {Object} analysis - analyzeSipTrace result
+ * @param {Object} legs - describeCallLegs result
+ * @param {Function} add - Candidate collector (cause, confidence, evidence)
+ * @returns {void}
+ */
+function scoreFailed (analysis, legs, add) {
+	const transactions = analysis.transactions
+	const finalTx = legs.ingress_final_tx
+	const final = finalTx.final_response
+	const code = final ? final.code : null
+	const challenged = finalTx !== legs.ingress
+
+	// Caller cancelled — only a CANCEL for an INVITE that was already
+	// proceeding; one for an unanswered INVITE is the sender giving up
+	const cancel = transactions.find(tx => tx.method === 'CANCEL' && ipOf(tx.source) === legs.caller_ip && transactions.some(invite =>
+		invite.method === 'INVITE' && invite.source === tx.source && invite.branch === tx.branch && invite.provisional_responses.length > 0
+	))
+	if (cancel || code === 487) {
+		add('downstream_bye', cancel ? 0.9 : 0.75, [{ detail: cancel ? `CANCEL sent by the caller (${cancel.source}) before answer` : '487 Request Terminated — the caller cancelled', message_ids: idsOf(cancel && cancel.request, final) }])
+	}
+
+	// Authentication
+	if (code === 401 || code === 407) {
+		add('auth_failure', 0.9, [{ detail: challenged ? `Credentials were challenged again (${code}) — wrong username/password or realm` : `${code} challenge was never answered with credentials`, message_ids: idsOf(legs.ingress.request, final) }])
+	} else if (code === 403 && challenged) {
+		add('auth_failure', 0.85, [{ detail: `403 ${final.reason} after the caller sent credentials — password or account refused`, message_ids: idsOf(finalTx.request, final) }])
+	}
+
+	// Media
+	const codecRejects = transactions.filter(tx => tx.method === 'INVITE' && tx.final_response && CODEC_REJECTION_CODES.includes(tx.final_response.code))
+	const noSharedCodec = analysis.sdp.risks.find(r => r.type === 'no_shared_codec')
+	if (codecRejects.length > 0 || noSharedCodec) {
+		const evidence = codecRejects.map(tx => ({ detail: `${tx.final_response.code} ${tx.final_response.reason} from ${tx.destination}`, message_ids: idsOf(tx.final_response) }))
+		if (noSharedCodec) evidence.push({ detail: noSharedCodec.message })
+		add('codec_mismatch', codecRejects.length > 0 && noSharedCodec ? 0.95 : 0.85, evidence)
+	}
+
+	// Nothing answered
+	const silent = transactions.filter(tx => tx.method === 'INVITE' && tx.state === 'no_response')
+	if (silent.length > 0) {
+		const timerB = analysis.retransmission_analysis.findings.find(f => f.type === 'timer_b_timeout')
+		add('firewall_no_response', timerB ? 0.9 : 0.8, silent.map(tx => ({
+			detail: `INVITE to ${tx.destination} got no response at all (${tx.retransmissions.length + 1} copies)`,
+			message_ids: idsOf(tx.request, ...tx.retransmissions)
+		})))
+	} else if (code === 408) {
+		add('firewall_no_response', 0.6, [{ detail: '408 Request Timeout — the next hop did not answer', message_ids: idsOf(final) }])
+	}
+
+	// Routing
+	const attempts = legs.egress.filter(tx => tx.final_response)
+	const rejected = attempts.filter(tx => tx.final_response.code >= 300 && !tx.superseded_by && !CODEC_REJECTION_CODES.includes(tx.final_response.code) && tx.final_response.code !== 487)
+	if (legs.egress.length === 0 && code >= 400 && ![401, 407, 487, 408].includes(code) && !CODEC_REJECTION_CODES.includes(code) && !(code === 403 && challenged)) {
+		const named = NO_ROUTE_REASON.test(final.reason)
+		add('no_route', named ? 0.9 : (code === 403 ? 0.5 : 0.65), [{ detail: `Switch answered ${code} ${final.reason} without sending an INVITE to any carrier`, message_ids: idsOf(legs.ingress.request, final) }])
+		if (code === 403) {
+			add('auth_failure', 0.55, [{ detail: '403 Forbidden without a challenge — IP authentication or account restriction', message_ids: idsOf(final) }])
+		}
+	}
+	if (rejected.length > 0 && rejected.length === attempts.length) {
+		add('carrier_rejection', 0.85, rejected.map(tx => ({ detail: `${tx.destination} rejected with ${tx.final_response.code} ${tx.final_response.reason}`, message_ids: idsOf(tx.request, tx.final_response) })))
+	}
+}
+
+/**
+ * Classifies why a call failed or was released.
+ *
+ * @param {Object} analysis - analyzeSipTrace result
+ * @param {Array<Object>} messages - The log/trace rows the analysis was built from
+ * @returns {Object} Diagnosis:
+ *   - {string} diagnosis - Key of FAILURE_CAUSES, or "unknown"
+ *   - {string} label - Human-readable cause
+ *   - {string|null} category - Finding category of the cause
+ *   - {boolean} failure - False for normal hang-ups
+ *   - {string} description - What the cause means
+ *   - {number} confidence - 0-1
+ *   - {Array<Object>} evidence - [{ detail, message_ids }]
+ *   - {Array<Object>} alternatives - Other matching causes [{ diagnosis, confidence }]
+ *   - {boolean} connected - Whether the call connected
+ *   - {Object|null} final_response - Final response to the caller (auth challenges followed)
+ */
+export function classifyCallFailure (analysis, messages = []) {
+	const unknown = extra => ({
+		diagnosis: 'unknown',
+		label: 'Unknown',
+		category: null,
+		failure: false,
+		description: 'The trace does not match a known failure or release pattern',
+		confidence: 0,
+		evidence: [],
+		alternatives: [],
+		connected: !!(analysis && analysis.call_connected),
+		final_response: null,
+		...extra
+	})
+	if (!analysis || analysis.error) return unknown({ evidence: [{ detail: 'No trace analysis available' }] })
+
+	const legs = describeCallLegs(analysis.transactions)
+	if (!legs) return unknown({ evidence: [{ detail: 'No INVITE in the trace' }] })
+
+	const candidates = []
+	const add = (cause, confidence, evidence) => {
+		const existing = candidates.find(c => c.diagnosis === cause)
+		if (existing && existing.confidence >= confidence) return
+		if (existing) candidates.splice(candidates.indexOf(existing), 1)
+		candidates.push({ diagnosis: cause, confidence, evidence })
+	}
+
+	if (analysis.call_connected) scoreConnected(analysis, messages, legs, add)
+	else scoreFailed(analysis, legs, add)
+
+	const final = legs.ingress_final_tx.final_response
+	const finalResponse = final ? { code: final.code, reason: final.reason } : null
+	if (candidates.length === 0) {
+		return unknown({
+			final_response: finalResponse,
+			evidence: [{ detail: analysis.call_connected ? 'Call connected and no teardown was captured' : 'No failure pattern matched the trace' }]
+		})
+	}
+
+	const ranked = candidates.map((c, order) => ({ ...c, order })).sort((a, b) => b.confidence - a.confidence || a.order - b.order)
+	const best = ranked[0]
+	const cause = FAILURE_CAUSES[best.diagnosis]
+	return {
+		diagnosis: best.diagnosis,
+		label: cause.label,
+		category: cause.category,
+		failure: cause.failure,
+		description: cause.description,
+		confidence: best.confidence,
+		evidence: best.evidence.map(e => ({ detail: e.detail, message_ids: e.message_ids || [] })),
+		alternatives: ranked.slice(1).map(c => ({ diagnosis: c.diagnosis, confidence: c.confidence })),
+		connected: analysis.call_connected,
+		final_response: finalResponse
+	}
+}
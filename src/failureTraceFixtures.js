@@ -0,0 +1,214 @@
+/**
+ * Failure Trace Fixtures
+ *
+ * A labelled corpus of log/trace rows for the call failure classifier
+ * (failureClassifier.js): one trace per release reason / failure cause, each
+ * with the diagnosis the classifier is expected to return. Traces with two
+ * legs carry the customer → switch leg and the switch → carrier leg(s) with
+ * different Call-IDs, as a topology-hiding B2BUA produces them.
+ *
+ * Built with buildTrace from sipTraceFixtures.js and the same RFC 5737
+ * addresses.
+ */
+
+import {
+  buildTrace,
+  sdpBody,
+  authChallengeConnectedTrace,
+  inviteTimeoutTrace,
+  okRetransmissionNoAckTrace,
+  CUSTOMER,
+  SWITCH,
+  CARRIER_A,
+  CARRIER_B
+} from './sipTraceFixtures'
+
+/** Caller number used by the corpus. */
+const CLI = '441234567890'
+
+/**
+ * Customer → switch → carrier A call that connects; `teardown` steps are
+ * appended after the ACKs (step indexes continue from 9).
+ *
+ * Steps 0-8: customer INVITE (0), 100 (1), switch INVITE to carrier A (2),
+ * 100 (3), 180 (4), 200 (5), switch ACK (6), 200 to customer (7), customer ACK (8).
+ *
+ * @param {string} name - Call-ID prefix
+ * @param {string} dst - Dialled number
+ * @param {Array<Object>} teardown - Steps after the call is up
+ * @returns {Array<Object>} log/trace rows
+ */
+function connectedTwoLegTrace (name, dst, teardown) {
+  const legB = `${name}-b@198.51.100.5`
+  return buildTrace({ callid: `${name}@203.0.113.10`, from_user: CLI, to_user: dst }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: `z9hG4bK-${name}-1`, cseq: 1, fromTag: 'cust', sdp: sdpBody({ ip: '203.0.113.10', port: 16000, codecs: ['PCMA', 'PCMU'] }) },
+    { at: 4, reply: 0, code: 100, reason: 'Trying' },
+    { at: 30, from: SWITCH, to: CARRIER_A, method: 'INVITE', branch: `z9hG4bK-${name}-2`, cseq: 101, fromTag: 'sw', callid: legB, sdp: sdpBody({ ip: '198.51.100.5', port: 30000, codecs: ['PCMA', 'PCMU'] }) },
+    { at: 60, reply: 2, code: 100, reason: 'Trying' },
+    { at: 1200, reply: 2, code: 180, reason: 'Ringing', toTag: 'carrier' },
+    { at: 5200, reply: 2, code: 200, reason: 'OK', toTag: 'carrier', sdp: sdpBody({ ip: '192.0.2.21', port: 40000, codecs: ['PCMA'] }) },
+    { at: 5210, from: SWITCH, to: CARRIER_A, method: 'ACK', branch: `z9hG4bK-${name}-3`, cseq: 101, fromTag: 'sw', toTag: 'carrier', callid: legB },
+    { at: 5220, reply: 0, code: 200, reason: 'OK', toTag: 'sw-a', sdp: sdpBody({ ip: '198.51.100.5', port: 30002, codecs: ['PCMA'] }) },
+    { at: 5250, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: `z9hG4bK-${name}-4`, cseq: 1, fromTag: 'cust', toTag: 'sw-a' }
+  ].concat(teardown.map(step => step.callid === 'b' ? { ...step, callid: legB } : step)))
+}
+
+/**
+ * Carrier hangs up: BYE from carrier A, relayed by the switch to the customer.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function upstreamByeTrace () {
+  return connectedTwoLegTrace('fx-upbye', '15553330001', [
+    { at: 95000, from: CARRIER_A, to: SWITCH, method: 'BYE', branch: 'z9hG4bK-up-5', cseq: 7, fromTag: 'carrier', toTag: 'sw', callid: 'b', fromUser: '15553330001', toUser: CLI },
+    { at: 95010, reply: 9, code: 200, reason: 'OK' },
+    { at: 95020, from: SWITCH, to: CUSTOMER, method: 'BYE', branch: 'z9hG4bK-up-6', cseq: 2, fromTag: 'sw-a', toTag: 'cust', fromUser: '15553330001', toUser: CLI },
+    { at: 95060, reply: 11, code: 200, reason: 'OK' }
+  ])
+}
+
+/**
+ * No media between the parties: the switch tears down both legs itself with
+ * a Reason header naming the media timeout.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function miTerminationTrace () {
+  const reason = ['Reason: Q.850;cause=102;text="MI Termination: no media received"']
+  return connectedTwoLegTrace('fx-mi', '15553330002', [
+    { at: 65250, from: SWITCH, to: CUSTOMER, method: 'BYE', branch: 'z9hG4bK-mi-5', cseq: 2, fromTag: 'sw-a', toTag: 'cust', fromUser: '15553330002', toUser: CLI, headers: reason },
+    { at: 65251, from: SWITCH, to: CARRIER_A, method: 'BYE', branch: 'z9hG4bK-mi-6', cseq: 102, fromTag: 'sw', toTag: 'carrier', callid: 'b', headers: reason },
+    { at: 65290, reply: 9, code: 200, reason: 'OK' },
+    { at: 65300, reply: 10, code: 200, reason: 'OK' }
+  ])
+}
+
+/**
+ * SIP Ping enabled: the switch's in-dialog OPTIONS to the customer go
+ * unanswered, so it tears the call down on both legs.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function pingTimeoutTrace () {
+  return connectedTwoLegTrace('fx-ping', '15553330003', [
+    { at: 35250, from: SWITCH, to: CUSTOMER, method: 'OPTIONS', branch: 'z9hG4bK-pi-5', cseq: 2, fromTag: 'sw-a', toTag: 'cust', fromUser: '15553330003', toUser: CLI },
+    { at: 35750, repeat: 9 },
+    { at: 36750, repeat: 9 },
+    { at: 38750, repeat: 9 },
+    { at: 42750, repeat: 9 },
+    { at: 67250, from: SWITCH, to: CUSTOMER, method: 'BYE', branch: 'z9hG4bK-pi-6', cseq: 3, fromTag: 'sw-a', toTag: 'cust', fromUser: '15553330003', toUser: CLI },
+    { at: 67251, from: SWITCH, to: CARRIER_A, method: 'BYE', branch: 'z9hG4bK-pi-7', cseq: 102, fromTag: 'sw', toTag: 'carrier', callid: 'b' },
+    { at: 67300, reply: 15, code: 200, reason: 'OK' }
+  ])
+}
+
+/**
+ * Caller gives up while ringing: CANCEL from the customer, 487 on both legs.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function callerCancelTrace () {
+  const legB = 'fx-cancel-b@198.51.100.5'
+  return buildTrace({ callid: 'fx-cancel@203.0.113.10', from_user: CLI, to_user: '15553330004' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-ca-1', cseq: 1, fromTag: 'cust' },
+    { at: 4, reply: 0, code: 100, reason: 'Trying' },
+    { at: 30, from: SWITCH, to: CARRIER_A, method: 'INVITE', branch: 'z9hG4bK-ca-2', cseq: 101, fromTag: 'sw', callid: legB },
+    { at: 1200, reply: 2, code: 180, reason: 'Ringing', toTag: 'carrier' },
+    { at: 1210, reply: 0, code: 180, reason: 'Ringing', toTag: 'sw-a' },
+    { at: 14000, from: CUSTOMER, to: SWITCH, method: 'CANCEL', branch: 'z9hG4bK-ca-1', cseq: 1, fromTag: 'cust' },
+    { at: 14005, reply: 5, code: 200, reason: 'OK' },
+    { at: 14010, from: SWITCH, to: CARRIER_A, method: 'CANCEL', branch: 'z9hG4bK-ca-2', cseq: 101, fromTag: 'sw', callid: legB },
+    { at: 14040, reply: 7, code: 200, reason: 'OK' },
+    { at: 14050, reply: 2, code: 487, reason: 'Request Terminated', toTag: 'carrier' },
+    { at: 14060, reply: 0, code: 487, reason: 'Request Terminated', toTag: 'sw-a' },
+    { at: 14080, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-ca-1', cseq: 1, fromTag: 'cust', toTag: 'sw-a' }
+  ])
+}
+
+/**
+ * Customer answers the 407 challenge with wrong credentials and is refused.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function authRejectedTrace () {
+  return buildTrace({ callid: 'fx-authfail@203.0.113.10', from_user: CLI, to_user: '15553330005' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-af-1', cseq: 1, fromTag: 'cust' },
+    { at: 6, reply: 0, code: 407, reason: 'Proxy Authentication Required', toTag: 'sw-407', headers: ['Proxy-Authenticate: Digest realm="connexcs", nonce="n1"'] },
+    { at: 9, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-af-1', cseq: 1, fromTag: 'cust', toTag: 'sw-407' },
+    { at: 25, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-af-2', cseq: 2, fromTag: 'cust', headers: ['Proxy-Authorization: Digest username="1001", realm="connexcs", nonce="n1", response="bad0"'] },
+    { at: 31, reply: 3, code: 403, reason: 'Forbidden', toTag: 'sw-403' },
+    { at: 34, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-af-2', cseq: 2, fromTag: 'cust', toTag: 'sw-403' }
+  ])
+}
+
+/**
+ * Switch finds no route for the dialled number and never sends an egress INVITE.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function noRouteTrace () {
+  return buildTrace({ callid: 'fx-noroute@203.0.113.10', from_user: CLI, to_user: '8819999999' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-nr-1', cseq: 1, fromTag: 'cust' },
+    { at: 4, reply: 0, code: 100, reason: 'Trying' },
+    { at: 45, reply: 0, code: 404, reason: 'No Routes Available', toTag: 'sw-nr' },
+    { at: 50, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-nr-1', cseq: 1, fromTag: 'cust', toTag: 'sw-nr' }
+  ])
+}
+
+/**
+ * Both carriers reject the call (503 then 403); the switch relays 503.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function carrierRejectionTrace () {
+  const legA = 'fx-reject-b1@198.51.100.5'
+  const legB = 'fx-reject-b2@198.51.100.5'
+  return buildTrace({ callid: 'fx-reject@203.0.113.10', from_user: CLI, to_user: '4930555000' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-rj-1', cseq: 1, fromTag: 'cust' },
+    { at: 4, reply: 0, code: 100, reason: 'Trying' },
+    { at: 30, from: SWITCH, to: CARRIER_A, method: 'INVITE', branch: 'z9hG4bK-rj-2', cseq: 101, fromTag: 'sw1', callid: legA },
+    { at: 410, reply: 2, code: 503, reason: 'Service Unavailable', toTag: 'ca' },
+    { at: 415, from: SWITCH, to: CARRIER_A, method: 'ACK', branch: 'z9hG4bK-rj-2', cseq: 101, fromTag: 'sw1', toTag: 'ca', callid: legA },
+    { at: 430, from: SWITCH, to: CARRIER_B, method: 'INVITE', branch: 'z9hG4bK-rj-3', cseq: 201, fromTag: 'sw2', callid: legB },
+    { at: 800, reply: 5, code: 403, reason: 'Forbidden', toTag: 'cb' },
+    { at: 805, from: SWITCH, to: CARRIER_B, method: 'ACK', branch: 'z9hG4bK-rj-3', cseq: 201, fromTag: 'sw2', toTag: 'cb', callid: legB },
+    { at: 820, reply: 0, code: 503, reason: 'Service Unavailable', toTag: 'sw-rj' },
+    { at: 830, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-rj-1', cseq: 1, fromTag: 'cust', toTag: 'sw-rj' }
+  ])
+}
+
+/**
+ * Customer offers G.729 only; the carrier rejects with 488 and the switch relays it.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function codecRejectedTrace () {
+  const legB = 'fx-488-b@198.51.100.5'
+  return buildTrace({ callid: 'fx-488@203.0.113.10', from_user: CLI, to_user: '15553330006' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-cm-1', cseq: 1, fromTag: 'cust', sdp: sdpBody({ ip: '203.0.113.10', port: 16000, codecs: ['G729'] }) },
+    { at: 4, reply: 0, code: 100, reason: 'Trying' },
+    { at: 30, from: SWITCH, to: CARRIER_A, method: 'INVITE', branch: 'z9hG4bK-cm-2', cseq: 101, fromTag: 'sw', callid: legB, sdp: sdpBody({ ip: '198.51.100.5', port: 30000, codecs: ['G729'] }) },
+    { at: 300, reply: 2, code: 488, reason: 'Not Acceptable Here', toTag: 'carrier', headers: ['Warning: 304 carrier "Media type not available"'] },
+    { at: 305, from: SWITCH, to: CARRIER_A, method: 'ACK', branch: 'z9hG4bK-cm-2', cseq: 101, fromTag: 'sw', toTag: 'carrier', callid: legB },
+    { at: 320, reply: 0, code: 488, reason: 'Not Acceptable Here', toTag: 'sw-cm' },
+    { at: 330, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-cm-1', cseq: 1, fromTag: 'cust', toTag: 'sw-cm' }
+  ])
+}
+
+/**
+ * Labelled corpus: every trace with the diagnosis the classifier should return.
+ * `connected` is the expected analyzeSipTrace().call_connected.
+ */
+export const FAILURE_FIXTURE_CORPUS = [
+  { name: 'auth_then_connect_caller_bye', expected: 'downstream_bye', connected: true, trace: authChallengeConnectedTrace },
+  { name: 'caller_cancel', expected: 'downstream_bye', connected: false, trace: callerCancelTrace },
+  { name: 'carrier_bye', expected: 'upstream_bye', connected: true, trace: upstreamByeTrace },
+  { name: 'mi_termination', expected: 'mi_termination', connected: true, trace: miTerminationTrace },
+  { name: 'ping_timeout', expected: 'ping_timeout', connected: true, trace: pingTimeoutTrace },
+  { name: 'auth_rejected', expected: 'auth_failure', connected: false, trace: authRejectedTrace },
+  { name: 'no_route', expected: 'no_route', connected: false, trace: noRouteTrace },
+  { name: 'carrier_rejection', expected: 'carrier_rejection', connected: false, trace: carrierRejectionTrace },
+  { name: 'codec_rejected', expected: 'codec_mismatch', connected: false, trace: codecRejectedTrace },
+  { name: 'carrier_no_response', expected: 'firewall_no_response', connected: false, trace: inviteTimeoutTrace },
+  { name: 'ack_never_arrives', expected: 'firewall_no_response', connected: true, trace: okRetransmissionNoAckTrace }
+]
@@ -0,0 +1,460 @@
+/**
+ * Structured Findings
+ *
+ * Turns the trace, RTCP, Class 5, AI Agent and transcript analyses into finding objects that an
+ * assistant can weigh, instead of a flat list of strings:
+ *
+ *   {
+ *     code: 'sip_timer.timer_b_timeout',        // stable identifier
+ *     severity: 'critical',                     // info | warn | critical
+ *     category: 'signalling',                   // signalling | media | auth | routing
+ *     source: 'trace',                          // trace | rtcp | class5 | ai_agent | transcript
+ *     message: 'INVITE ... got no response ...',
+ *     evidence: { message_ids: [3, 4, 5], values: { ... } },
+ *     next_tool: { tool: 'getSipTrace', args: { callid, format: 'ascii' } },
+ *     doc: 'https://docs.connexcs.com/...'
+ *   }
+ *
+ * Threshold findings come from the issue rules (issueRules.js); the rest are
+ * mapped from the failure classifier (failureClassifier.js) and the
+ * analysers' own findings (sipTimers.js, sdpAnalysis.js, stirShaken.js,
+ * natAnalysis.js, the RTCP incidents from rtcpAnalysis.js, the Class 5
+ * flow from class5Flow.js, the AI Agent conversation from aiAgentAnalysis.js
+ * and the transcript correlation from transcriptCorrelation.js).
+ * rankFindings() orders them by severity and identifyRootCause() picks the
+ * most likely cause.
+ */
+
+import { RULE_SEVERITIES, RULE_CATEGORIES } from './issueRules'
+import { ipOf } from './callLegs'
+
+/** Finding severities, least to most severe. */
+export const FINDING_SEVERITIES = RULE_SEVERITIES
+
+/** Finding categories. */
+export const FINDING_CATEGORIES = RULE_CATEGORIES
+
+/**
+ * Codes that describe the outcome of a call rather than its cause. They are
+ * only named as the root cause when nothing more specific was found.
+ */
+const OUTCOME_CODES = ['trace.call_failed']
+
+/** Documentation links for analyser findings. */
+const ANALYSER_DOCS = {
+	sip_timer: 'https://docs.connexcs.com/guides/tshoot-signal/',
+	sdp: 'https://docs.connexcs.com/guides/tshoot-media/',
+	stir_shaken: 'https://docs.connexcs.com/setup/information/stir-shaken/',
+	nat: 'https://docs.connexcs.com/far-end-nat-traversal/',
+	rtcp: 'https://docs.connexcs.com/guides/tshoot-media/'
+}
+
+/** Category and documentation per Class 5 flow finding type. */
+const CLASS5_FINDINGS = {
+	stuck_ivr: { category: 'routing', doc: 'https://docs.connexcs.com/class5/creating-ivr/' },
+	unrecognised_dtmf: { category: 'media', doc: 'https://docs.connexcs.com/class5/creating-ivr/' },
+	long_queue_abandon: { category: 'routing', doc: 'https://docs.connexcs.com/class5/call-center/' },
+	script_error: { category: 'routing', doc: 'https://docs.connexcs.com/class5/' }
+}
+
+/** Category of each AI Agent conversation finding type. */
+const AI_AGENT_CATEGORIES = {
+	slow_response: 'media',
+	barge_in: 'media',
+	long_silence: 'media',
+	repeated_fallback: 'routing',
+	tool_error: 'routing',
+	human_handoff: 'routing'
+}
+
+/**
+ * Creates a finding, validating severity and category.
+ *
+ * @param {Object} fields - Finding fields (code, severity, category, source, message, evidence, next_tool, doc)
+ * @returns {Object} Finding with every field present
+ * @throws {Error} If code/message is missing or severity/category is unknown
+ */
+export function createFinding (fields) {
+	if (!fields || typeof fields.code !== 'string' || fields.code === '') {
+		throw new Error('Finding "code" is required')
+	}
+	if (!FINDING_SEVERITIES.includes(fields.severity)) {
+		throw new Error(`Finding "${fields.code}": severity must be one of ${FINDING_SEVERITIES.join(', ')} (received ${fields.severity})`)
+	}
+	if (!FINDING_CATEGORIES.includes(fields.category)) {
+		throw new Error(`Finding "${fields.code}": category must be one of ${FINDING_CATEGORIES.join(', ')} (received ${fields.category})`)
+	}
+	return {
+		code: fields.code,
+		severity: fields.severity,
+		category: fields.category,
+		source: fields.source || null,
+		message: fields.message || fields.code,
+		evidence: {
+			message_ids: (fields.evidence && fields.evidence.message_ids) || [],
+			values: (fields.evidence && fields.evidence.values) || {}
+		},
+		next_tool: fields.next_tool || null,
+		doc: fields.doc || null
+	}
+}
+
+/**
+ * Creates a finding from an analyser's output. An entry that fails
+ * validation becomes an info finding naming the error, so one bad entry
+ * does not discard the rest of the analysis.
+ *
+ * @param {Object} fields - Finding fields, as for createFinding
+ * @returns {Object} Finding
+ */
+function analyserFinding (fields) {
+	try {
+		return createFinding(fields)
+	} catch (error) {
+		const given = fields || {}
+		return createFinding({
+			code: 'finding.invalid',
+			severity: 'info',
+			category: 'signalling',
+			source: given.source,
+			message: `${error.message} — finding skipped`,
+			evidence: { values: { code: given.code ?? null, severity: given.severity ?? null, category: given.category ?? null } }
+		})
+	}
+}
+
+/**
+ * Converts triggered issue rules into findings.
+ *
+ * @param {Array<Object>} triggered - Output of evaluateIssueRules
+ * @param {Object<string, Array>} [messageIds] - Evidence message ids per rule id
+ * @returns {Array<Object>} Findings
+ */
+function findingsFromRules (triggered, messageIds = {}) {
+	return (triggered || []).map(rule => analyserFinding({
+		code: rule.id,
+		severity: rule.severity,
+		category: rule.category,
+		source: rule.source,
+		message: rule.message,
+		evidence: { message_ids: messageIds[rule.id] || [], values: rule.evidence },
+		next_tool: rule.next_tool,
+		doc: rule.doc
+	}))
+}
+
+/**
+ * Lists the message ids that make up a transaction (request, retransmissions, responses, ACK).
+ *
+ * @param {Object} tx - Transaction from buildSipTransactions
+ * @returns {Array<number|string>} Message ids in trace order
+ */
+function transactionMessageIds (tx) {
+	if (!tx) return []
+	const events = [tx.request, ...tx.retransmissions, ...tx.provisional_responses, tx.final_response, ...tx.final_response_retransmissions, tx.ack]
+	return events.filter(Boolean).sort((a, b) => a.index - b.index).map(e => e.message_id)
+}
+
+/**
+ * Message ids backing the built-in trace rules.
+ *
+ * @param {Object} analysis - analyzeSipTrace result
+ * @returns {Object<string, Array>} Message ids per rule id
+ */
+function traceRuleMessageIds (analysis) {
+	const timing = analysis.leg_timing
+	const failed = analysis.transactions
+		.filter(tx => tx.final_response && tx.final_response.code >= 400)
+		.map(tx => tx.final_response)
+		.sort((a, b) => b.index - a.index)[0]
+
+	return {
+		'trace.high_pdd': timing ? [timing.ingress.invite_message_id, timing.ingress.ringing_message_id].filter(id => id !== undefined && id !== null) : [],
+		'trace.high_switch_pdd': timing ? [timing.ingress.invite_message_id, ...timing.attempts.flatMap(a => a.message_ids)] : [],
+		'trace.call_failed': failed ? [failed.message_id] : []
+	}
+}
+
+/**
+ * Builds findings from a trace analysis.
+ *
+ * @param {Object} analysis - analyzeSipTrace result
+ * @param {string} callid - Call-ID (for next_tool arguments)
+ * @returns {Array<Object>} Findings in analyser order
+ */
+export function collectTraceFindings (analysis, callid) {
+	if (!analysis || analysis.error) return []
+	const txById = Object.fromEntries(analysis.transactions.map(tx => [tx.id, tx]))
+	const traceTool = { tool: 'getSipTrace', args: { callid, format: 'ascii' } }
+	const findings = findingsFromRules(analysis.triggered_rules, traceRuleMessageIds(analysis))
+
+	for (const finding of analysis.retransmission_analysis.findings) {
+		findings.push(analyserFinding({
+			code: `sip_timer.${finding.type}`,
+			severity: finding.severity,
+			category: 'signalling',
+			source: 'trace',
+			message: finding.message,
+			evidence: { message_ids: transactionMessageIds(txById[finding.transaction_id]), values: { leg: finding.leg } },
+			next_tool: traceTool,
+			doc: ANALYSER_DOCS.sip_timer
+		}))
+	}
+
+	for (const risk of analysis.sdp.risks) {
+		findings.push(analyserFinding({
+			code: `sdp.${risk.type}`,
+			severity: risk.severity,
+			category: 'media',
+			source: 'trace',
+			message: `${risk.message} (${risk.leg})`,
+			evidence: { message_ids: transactionMessageIds(txById[risk.transaction_id]), values: { leg: risk.leg } },
+			next_tool: { tool: 'getSipTrace', args: { callid } },
+			doc: ANALYSER_DOCS.sdp
+		}))
+	}
+
+	for (const finding of analysis.stir_shaken.findings) {
+		const identity = analysis.stir_shaken.identities.find(id => id.leg === finding.leg)
+		findings.push(analyserFinding({
+			code: `stir_shaken.${finding.type}`,
+			severity: finding.severity,
+			category: 'auth',
+			source: 'trace',
+			message: `STIR/SHAKEN: ${finding.message}`,
+			evidence: {
+				message_ids: identity ? [identity.message_id] : [],
+				values: identity ? { attestation: identity.attestation, orig_tn: identity.orig_tn, iat_age_seconds: identity.iat_age_seconds } : {}
+			},
+			next_tool: { tool: 'getSipTrace', args: { callid } },
+			doc: ANALYSER_DOCS.stir_shaken
+		}))
+	}
+
+	for (const finding of analysis.nat ? analysis.nat.findings : []) {
+		findings.push(analyserFinding({
+			code: `nat.${finding.type}`,
+			severity: finding.severity,
+			category: finding.type === 'signalling' || finding.type === 'header_mismatch' ? 'signalling' : 'media',
+			source: 'trace',
+			message: finding.message,
+			evidence: { message_ids: finding.message_ids, values: { classification: analysis.nat.classification, far_end_nat_traversal: analysis.nat.advice.far_end_nat_traversal, direct_media: analysis.nat.advice.direct_media } },
+			next_tool: { tool: 'getRtpServerGroups', args: {} },
+			doc: ANALYSER_DOCS.nat
+		}))
+	}
+
+	return findings
+}
+
+/**
+ * The peer that stopped answering: the destination of an unanswered INVITE,
+ * or the caller whose ACK never arrived.
+ *
+ * @param {Object} analysis - analyzeSipTrace result
+ * @returns {string|null} Peer IP address
+ */
+function unreachablePeerIp (analysis) {
+	const transactions = analysis.transactions || []
+	const silent = transactions.find(tx => tx.method === 'INVITE' && tx.state === 'no_response')
+	if (silent) return ipOf(silent.destination)
+	const noAck = (analysis.retransmission_analysis?.findings || []).find(f => f.type === 'ok_retransmission')
+	const tx = noAck ? transactions.find(t => t.id === noAck.transaction_id) : null
+	return tx ? ipOf(tx.source) : null
+}
+
+/**
+ * Suggested follow-up tool for each failure diagnosis.
+ *
+ * @param {string} diagnosis - FAILURE_CAUSES key
+ * @param {Object} analysis - analyzeSipTrace result
+ * @param {string} callid - Call-ID
+ * @returns {Object|null} { tool, args } or null for normal hang-ups
+ */
+function diagnosisNextTool (diagnosis, analysis, callid) {
+	const final = analysis.final_response
+	switch (diagnosis) {
+		case 'auth_failure': return { tool: 'searchCallLogs', args: { search: analysis.from_user || callid } }
+		case 'no_route': return { tool: 'simulateCall', args: { dst: analysis.to_user } }
+		case 'carrier_rejection': return { tool: 'searchDocumentation', args: { query: final ? `SIP ${final.code} ${final.reason}` : 'carrier rejection' } }
+		case 'codec_mismatch': return { tool: 'getSipTrace', args: { callid } }
+		case 'firewall_no_response': {
+			const ip = unreachablePeerIp(analysis)
+			return ip ? { tool: 'checkFirewall', args: { ip } } : { tool: 'getSipTrace', args: { callid, format: 'ascii' } }
+		}
+		case 'mi_termination': return { tool: 'getCallQuality', args: { callid } }
+		case 'ping_timeout': return { tool: 'getSipTrace', args: { callid } }
+		default: return null
+	}
+}
+
+/**
+ * Turns a failure-classifier diagnosis into a finding. Failures on calls that
+ * never connected are critical, failures after answer are warnings and normal
+ * hang-ups are info.
+ *
+ * @param {Object} diagnosis - classifyCallFailure result
+ * @param {Object} analysis - analyzeSipTrace result
+ * @param {string} callid - Call-ID (for next_tool arguments)
+ * @returns {Object|null} Finding, or null when the diagnosis is unknown
+ */
+export function diagnosisFinding (diagnosis, analysis, callid) {
+	if (!diagnosis || diagnosis.diagnosis === 'unknown') return null
+	return analyserFinding({
+		code: `diagnosis.${diagnosis.diagnosis}`,
+		severity: !diagnosis.failure ? 'info' : diagnosis.connected ? 'warn' : 'critical',
+		category: diagnosis.category,
+		source: 'trace',
+		message: `${diagnosis.label}: ${diagnosis.evidence[0] ? diagnosis.evidence[0].detail : diagnosis.description} (${Math.round(diagnosis.confidence * 100)}% confidence)`,
+		evidence: {
+			message_ids: diagnosis.evidence.flatMap(e => e.message_ids),
+			values: { confidence: diagnosis.confidence, final_response: diagnosis.final_response, alternatives: diagnosis.alternatives }
+		},
+		next_tool: diagnosisNextTool(diagnosis.diagnosis, analysis, callid),
+		doc: 'https://docs.connexcs.com/guides/call-disconnection-reasons/'
+	})
+}
+
+/**
+ * Builds findings from an RTCP summary and the incidents of its time series.
+ *
+ * @param {Object|null} summary - summarizeRtcpMetrics result
+ * @param {Object|null} [timeSeries] - analyzeRtcpTimeSeries result
+ * @param {string} [callid] - Call-ID, for the suggested next tool
+ * @returns {Array<Object>} Findings
+ */
+export function collectRtcpFindings (summary, timeSeries = null, callid = null) {
+	const findings = summary ? findingsFromRules(summary.triggered_rules) : []
+	if (!timeSeries) return findings
+
+	for (const incident of timeSeries.incidents) {
+		findings.push(analyserFinding({
+			code: `rtcp_incident.${incident.type}`,
+			severity: incident.severity,
+			category: 'media',
+			source: 'rtcp',
+			message: incident.message,
+			evidence: { values: { stream: incident.stream, leg: incident.leg, direction: incident.direction, start: incident.start, end: incident.end, duration_ms: incident.duration_ms, peak: incident.peak } },
+			next_tool: incident.type === 'rtt_step' ? { tool: 'getRtpServerGroups', args: {} } : { tool: 'getCallQuality', args: { callid } },
+			doc: ANALYSER_DOCS.rtcp
+		}))
+	}
+	return findings
+}
+
+/**
+ * Builds findings from the Class 5 section of an investigation: triggered
+ * class5 rules, then the flow's own findings (stuck IVR, long queue abandon,
+ * unrecognised DTMF, script errors).
+ *
+ * @param {Object|null} class5 - investigateCallHandler `class5` section
+ * @param {string} [callid] - Call-ID, for the suggested next tool
+ * @returns {Array<Object>} Findings
+ */
+export function collectClass5Findings (class5, callid = null) {
+	if (!class5) return []
+	const findings = findingsFromRules(class5.triggered_rules)
+	for (const finding of class5.flow ? class5.flow.findings : []) {
+		findings.push(analyserFinding({
+			code: `class5.${finding.type}`,
+			severity: finding.severity,
+			category: CLASS5_FINDINGS[finding.type]?.category || 'signalling',
+			source: 'class5',
+			message: finding.message,
+			evidence: { values: { record_indexes: finding.indexes } },
+			next_tool: { tool: 'getClass5Flow', args: { callid } },
+			doc: CLASS5_FINDINGS[finding.type]?.doc || null
+		}))
+	}
+	return findings
+}
+
+/**
+ * Builds findings from an AI Agent conversation (slow responses, barge-ins,
+ * long silences, repeated fallbacks, failed tool calls, hand-off to a human).
+ *
+ * @param {Object|null} conversation - analyzeAiAgentConversation result
+ * @param {string} [callid] - Call-ID, for the suggested next tool
+ * @param {string} [date] - log/ai-agent date the conversation was read from
+ * @returns {Array<Object>} Findings
+ */
+export function collectAiAgentFindings (conversation, callid = null, date = null) {
+	if (!conversation) return []
+	return conversation.findings.map(finding => analyserFinding({
+		code: `ai_agent.${finding.type}`,
+		severity: finding.severity,
+		category: AI_AGENT_CATEGORIES[finding.type] || 'routing',
+		source: 'ai_agent',
+		message: finding.message,
+		evidence: { values: { turns: finding.turns } },
+		next_tool: { tool: 'getAiAgentLogs', args: date ? { callid, date } : { callid } },
+		doc: 'https://docs.connexcs.com/class5/ai-agent/'
+	}))
+}
+
+/**
+ * Builds findings from a transcript correlation: audio complaints in the
+ * conversation, and whether they line up with RTCP incidents or SIP media
+ * changes.
+ *
+ * @param {Object|null} correlation - correlateTranscript result
+ * @param {string} [callid] - Call-ID, for the suggested next tool
+ * @returns {Array<Object>} Findings
+ */
+export function collectTranscriptFindings (correlation, callid = null) {
+	if (!correlation) return []
+	return correlation.findings.map(finding => analyserFinding({
+		code: `transcript.${finding.type}`,
+		severity: finding.severity,
+		category: 'media',
+		source: 'transcript',
+		message: finding.message,
+		evidence: {
+			message_ids: finding.sip_events.map(e => e.message_id).filter(id => id !== null),
+			values: { turns: finding.turns, incidents: finding.incidents, sip_events: finding.sip_events }
+		},
+		next_tool: { tool: 'getCallQuality', args: { callid } },
+		doc: ANALYSER_DOCS.rtcp
+	}))
+}
+
+/**
+ * Orders findings by severity (critical first), keeping analyser order within a severity.
+ *
+ * @param {Array<Object>} findings - Findings
+ * @returns {Array<Object>} New array of findings, each with a 1-based `rank`
+ */
+export function rankFindings (findings) {
+	const weight = finding => FINDING_SEVERITIES.indexOf(finding.severity)
+	return findings
+		.map((finding, order) => ({ finding, order }))
+		.sort((a, b) => weight(b.finding) - weight(a.finding) || a.order - b.order)
+		.map(({ finding }, index) => ({ ...finding, rank: index + 1 }))
+}
+
+/**
+ * Picks the most likely root cause from ranked findings.
+ *
+ * The highest-ranked warn/critical finding wins, except that an outcome
+ * ("Call failed: 503") yields to a cause of the same severity (Timer B
+ * timeout, no shared codec, ...).
+ *
+ * @param {Array<Object>} ranked - Output of rankFindings
+ * @returns {Object|null} { code, severity, category, message, evidence, next_tool } or null if nothing above info
+ */
+export function identifyRootCause (ranked) {
+	const actionable = ranked.filter(f => f.severity !== 'info')
+	if (actionable.length === 0) return null
+	const top = actionable[0]
+	const cause = OUTCOME_CODES.includes(top.code)
+		? actionable.find(f => f.severity === top.severity && !OUTCOME_CODES.includes(f.code)) || top
+		: top
+	return {
+		code: cause.code,
+		severity: cause.severity,
+		category: cause.category,
+		message: cause.message,
+		evidence: cause.evidence,
+		next_tool: cause.next_tool
+	}
+}
@@ -0,0 +1,282 @@
+/**
+ * Firewall / Blocked-IP Investigation
+ *
+ * A call that never shows up in logging may have been dropped by the switch
+ * firewall (Setup > Advanced > Firewall) before it was logged. This module
+ * checks an IP against the three firewall lists:
+ *
+ *   block       — GET setup/firewall/block       blocked addresses, manual or
+ *                                                 automatic (flood / scan detection)
+ *   whitelist   — GET setup/firewall/whitelist   addresses exempt from automatic blocking
+ *   rate limit  — GET setup/firewall/rate-limit  per-address packet / CPS limits
+ *
+ * Entries may hold a single address or a CIDR range and are matched locally,
+ * so an IP inside a blocked /24 is reported too. The owning customer comes
+ * from switch/ip via searchByIp, the same lookup searchCustomers uses.
+ */
+
+import { getApi } from './callDebugTools'
+import { searchByIp } from './searchCustomer'
+import { firstField } from './recordFields'
+
+/** Firewall list endpoints, keyed by list. */
+const FIREWALL_ENDPOINTS = {
+	block: 'setup/firewall/block',
+	whitelist: 'setup/firewall/whitelist',
+	rate_limit: 'setup/firewall/rate-limit'
+}
+
+const REGEX_IPV4 = /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/
+
+/**
+ * Normalize API response to array format
+ * @param {any} data - Data from API
+ * @returns {Array} Normalized array
+ */
+function normalizeToArray (data) {
+	return Array.isArray(data) ? data : (data ? [data] : [])
+}
+
+/**
+ * Validates an IPv4 address parameter.
+ *
+ * @param {*} ip - Value to validate
+ * @returns {string} Trimmed address
+ * @throws {Error} If the value is not a dotted-quad IPv4 address
+ */
+export function validateIpv4 (ip) {
+	if (!ip || typeof ip !== 'string' || ip.trim() === '') {
+		throw new Error('Parameter "ip" is required but was not provided')
+	}
+	const trimmed = ip.trim()
+	if (!REGEX_IPV4.test(trimmed) || trimmed.split('.').some(o => Number(o) > 255)) {
+		throw new Error(`Parameter "ip" must be an IPv4 address, received "${trimmed}"`)
+	}
+	return trimmed
+}
+
+/**
+ * Converts a dotted-quad address to an unsigned 32-bit integer.
+ *
+ * @param {string} ip - IPv4 address
+ * @returns {number|null} Address as an integer, or null if malformed
+ */
+function ipToInt (ip) {
+	const octets = String(ip).split('.').map(Number)
+	if (octets.length !== 4 || octets.some(o => isNaN(o) || o < 0 || o > 255)) return null
+	return ((octets[0] << 24) >>> 0) + (octets[1] << 16) + (octets[2] << 8) + octets[3]
+}
+
+/**
+ * Whether an address falls inside a firewall entry's address or CIDR range.
+ *
+ * @param {string} ip - IPv4 address to test
+ * @param {string} entry - "a.b.c.d" or "a.b.c.d/nn"
+ * @returns {boolean} True when the entry covers the address
+ */
+export function ipMatchesEntry (ip, entry) {
+	const [base, bits] = String(entry || '').trim().split('/')
+	const target = ipToInt(ip)
+	const network = ipToInt(base)
+	if (target === null || network === null) return false
+	const prefix = bits === undefined ? 32 : parseInt(bits, 10)
+	if (isNaN(prefix) || prefix < 0 || prefix > 32) return false
+	const mask = prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0
+	return ((target & mask) >>> 0) === ((network & mask) >>> 0)
+}
+
+/**
+ * Normalises a firewall list entry. Fields are read tolerantly since manual
+ * and automatic entries are recorded differently.
+ *
+ * @param {Object} row - Firewall list row
+ * @returns {Object} { id, address, reason, source, created, expires, active, hits, limit, server }
+ */
+export function normalizeFirewallEntry (row) {
+	const expires = firstField(row, ['expires', 'expiry', 'until', 'expire_at'])
+	const expiresMs = expires !== null ? new Date(expires).getTime() : NaN
+	return {
+		id: firstField(row, ['id']),
+		address: firstField(row, ['ip', 'cidr', 'address', 'network', 'host']),
+		reason: firstField(row, ['reason', 'description', 'notes', 'comment', 'rule']),
+		source: firstField(row, ['source', 'type', 'origin', 'created_by']),
+		created: firstField(row, ['created', 'dt', 'date', 'blocked_at', 'created_at']),
+		expires,
+		active: isNaN(expiresMs) || expiresMs > Date.now(),
+		hits: firstField(row, ['hits', 'count', 'packets', 'blocked_count']),
+		limit: firstField(row, ['limit', 'rate', 'cps', 'pps', 'max']),
+		server: firstField(row, ['server', 'server_id', 'switch', 'zone'])
+	}
+}
+
+/**
+ * Fetches one firewall list and keeps the entries covering an IP.
+ *
+ * @param {string} list - FIREWALL_ENDPOINTS key
+ * @param {string} ip - IPv4 address
+ * @returns {Promise<Array<Object>>} Matching normalised entries
+ */
+async function fetchMatchingEntries (list, ip) {
+	const api = getApi()
+	const rows = normalizeToArray(await api.get(FIREWALL_ENDPOINTS[list], { ip, _limit: 1000 }))
+	return rows.map(normalizeFirewallEntry).filter(entry => ipMatchesEntry(ip, entry.address))
+}
+
+// ============================================================================
+// CHECK
+// ============================================================================
+
+/**
+ * Checks an IP against the firewall lists and names its owner.
+ *
+ * Status precedence: an active block wins (a whitelisted IP that is also
+ * blocked is reported as blocked, with a note), then whitelisted, then
+ * rate-limited, then clear. Lists that cannot be read are listed in
+ * `unavailable`. Without the block list nothing can rule a block out, so the
+ * status is 'unknown' whenever it is unread, and the firewall is only said
+ * not to be dropping the IP when every list was read.
+ *
+ * @param {string} ip - IPv4 address
+ * @returns {Promise<Object>} Firewall status:
+ *   - {string} status - blocked / whitelisted / rate_limited / clear / unknown
+ *   - {Array<Object>} blocks / whitelist / rate_limits - Matching entries
+ *   - {Object|null} block - The active block: { reason, blocked_at, expires, source, address }
+ *   - {Object|null} owner - { customers, ip_entries } from switch/ip, or null if not assigned or the lookup failed
+ *   - {string|null} owner_lookup_error - Why the switch/ip lookup failed, or null
+ *   - {Array<string>} unavailable - Lists that could not be read
+ *   - {Array<string>} advice - What to do next
+ * @throws {Error} If ip is not a valid IPv4 address
+ */
+export async function checkFirewall (ip) {
+	const address = validateIpv4(ip)
+	const lists = {}
+	const unavailable = []
+	for (const list of Object.keys(FIREWALL_ENDPOINTS)) {
+		try {
+			lists[list] = await fetchMatchingEntries(list, address)
+		} catch (error) {
+			lists[list] = []
+			unavailable.push(list)
+		}
+	}
+
+	let owner = null
+	let ownerError = null
+	try {
+		const lookup = await searchByIp(address)
+		if (lookup.success) {
+			owner = {
+				customers: (lookup.customers || []).map(c => ({ id: c.customer?.id ?? null, name: c.customer?.name ?? null })),
+				ip_entries: (lookup.customers || []).map(c => c.ipEntry).filter(Boolean)
+			}
+		} else if (lookup.matchType !== 'none') {
+			ownerError = lookup.error || 'switch/ip lookup failed'
+		}
+	} catch (error) {
+		ownerError = error.message || 'switch/ip lookup failed'
+	}
+
+	const activeBlocks = lists.block.filter(e => e.active)
+	const whitelisted = lists.whitelist.length > 0
+	const rateLimited = lists.rate_limit.length > 0
+	let status
+	if (unavailable.includes('block')) status = 'unknown'
+	else if (activeBlocks.length > 0) status = 'blocked'
+	else if (whitelisted) status = 'whitelisted'
+	else if (rateLimited) status = 'rate_limited'
+	else status = 'clear'
+
+	const block = activeBlocks[0] || null
+	const advice = []
+	if (status === 'blocked') {
+		advice.push(`Remove the block in Setup > Advanced > Firewall${block.address !== address ? ` (the range ${block.address} covers this IP)` : ''}, then have the customer retry`)
+		if (!whitelisted && owner) advice.push('The IP belongs to a customer — whitelist it so automatic flood / scan detection does not block it again')
+		if (whitelisted) advice.push('The IP is also whitelisted — the block still applies; remove it explicitly')
+	} else if (status === 'rate_limited') {
+		advice.push('Traffic above the rate limit is dropped before logging — raise the limit or spread the customer\'s call rate')
+	} else if ((status === 'clear' || status === 'whitelisted') && unavailable.length === 0) {
+		advice.push('The firewall is not dropping this IP — if calls still do not appear in logging, request a pcap from the sender to confirm traffic reaches the platform')
+	}
+	if (unavailable.length > 0) {
+		advice.push(`Could not read the ${unavailable.join(', ')} list(s) — check this IP in Setup > Advanced > Firewall before ruling the firewall out`)
+	}
+	if (ownerError) {
+		advice.push(`The switch/ip owner lookup failed (${ownerError}) — search customers by this IP before assuming it is unassigned`)
+	} else if (!owner) {
+		advice.push('No customer has this IP in switch/ip — calls from it fail IP authentication even when the firewall lets them through')
+	}
+	if (lists.block.length > activeBlocks.length) {
+		advice.push(`${lists.block.length - activeBlocks.length} expired block(s) found — the IP was blocked in the past`)
+	}
+
+	return {
+		ip: address,
+		status,
+		blocked: status === 'blocked',
+		whitelisted,
+		rate_limited: rateLimited,
+		block: block ? { address: block.address, reason: block.reason, blocked_at: block.created, expires: block.expires, source: block.source } : null,
+		blocks: lists.block,
+		whitelist: lists.whitelist,
+		rate_limits: lists.rate_limit,
+		owner,
+		owner_lookup_error: ownerError,
+		unavailable,
+		advice
+	}
+}
+
+/**
+ * Renders a firewall check as one line.
+ *
+ * @param {Object} result - checkFirewall result
+ * @returns {string} Summary text
+ */
+export function formatFirewallSummary (result) {
+	const owner = result.owner && result.owner.customers.length > 0
+		? ` Owned by ${result.owner.customers.map(c => c.name || `customer ${c.id}`).join(', ')}.`
+		: result.owner_lookup_error ? ' Owner unknown (switch/ip lookup failed).' : ' Not assigned to any customer.'
+	switch (result.status) {
+		case 'blocked':
+			return `${result.ip} is BLOCKED${result.block.blocked_at ? ` since ${result.block.blocked_at}` : ''}${result.block.reason ? ` (${result.block.reason})` : ''}${result.block.expires ? `, until ${result.block.expires}` : ''}.${owner}`
+		case 'whitelisted':
+			return `${result.ip} is whitelisted.${owner}`
+		case 'rate_limited':
+			return `${result.ip} is rate-limited${result.rate_limits[0].limit !== null ? ` (${result.rate_limits[0].limit})` : ''}.${owner}`
+		case 'clear':
+			return `${result.ip} is not blocked, whitelisted or rate-limited.${owner}`
+		default:
+			return `Firewall status of ${result.ip} is unknown: the ${result.unavailable.join(', ')} list(s) could not be read.${owner}`
+	}
+}
+
+// ============================================================================
+// MCP TOOL HANDLER
+// ============================================================================
+
+/**
+ * MCP Tool Handler: checkFirewall
+ *
+ * Reports whether an IP is blocked, whitelisted or rate-limited, when and why
+ * it was blocked, and which customer owns it.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.ip - IPv4 address (required)
+ * @returns {Promise<Object>} Firewall status with owner and advice
+ */
+export async function checkFirewallHandler (args) {
+	try {
+		const result = await checkFirewall(args.ip)
+		return {
+			success: true,
+			...result,
+			summary: formatFirewallSummary(result)
+		}
+
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
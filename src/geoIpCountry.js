@@ -0,0 +1,1123 @@
+/**
+ * Offline IPv4 → Country Table
+ *
+ * Country-level geolocation for the media-zone recommender, bundled as a
+ * module so no lookup service is called at runtime.
+ *
+ *   IP_COUNTRY_RUNS   — the IPv4 space in /18 blocks, run-length encoded as
+ *                       ISO 3166-1 alpha-2 code + run length (base 36); "--"
+ *                       is unallocated. Each block takes the country holding
+ *                       most of its addresses.
+ *   COUNTRY_CENTROIDS — name and geographic centre of each country
+ *
+ * Sources:
+ *   - @ip-location-db/geo-whois-asn-country 2.3.2026061719 (2026-06-17): RIR
+ *     whois and ASN data. Data source licensed under CC BY 4.0 by the Number
+ *     Resource Organization (https://www.nro.net/).
+ *   - countries-db 1.2.0 (MIT, Manuel de la Torre; GeoNames country centres).
+ *
+ * About 4% of addresses sit in a /18 whose majority country differs from
+ * theirs, and a country is one point: a US address lands in Kansas whichever
+ * coast it is on. Regenerate from the same packages to refresh.
+ */
+
+/** Block size: the table stores one country per /18. */
+const BLOCK_BITS = 18
+
+/**
+ * IANA special-purpose ranges that never geolocate, as [network, prefix length].
+ * Registry data lists some documentation ranges under the holder of
+ * the surrounding block (203.0.113.0/24 as AU).
+ */
+const SPECIAL_PURPOSE = [
+	['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+	['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+	['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+	['224.0.0.0', 4], ['240.0.0.0', 4]
+]
+
+/** Name, latitude and longitude of each country in IP_COUNTRY_RUNS. */
+export const COUNTRY_CENTROIDS = {
+	AD: ['Andorra', 42.55, 1.58],
+	AE: ['United Arab Emirates', 23.75, 54.5],
+	AF: ['Afghanistan', 33, 66],
+	AG: ['Antigua and Barbuda', 17.05, -61.8],
+	AL: ['Albania', 41, 20],
+	AM: ['Armenia', 40.25, 45],
+	AO: ['Angola', -12.5, 18.5],
+	AR: ['Argentina', -34, -64],
+	AT: ['Austria', 47.33, 13.33],
+	AU: ['Australia', -25, 135],
+	AW: ['Aruba', 12.5, -69.97],
+	AZ: ['Azerbaijan', 40.5, 47.5],
+	BA: ['Bosnia and Herzegovina', 44.25, 17.83],
+	BB: ['Barbados', 13.16, -59.55],
+	BD: ['Bangladesh', 24, 90],
+	BE: ['Belgium', 50.75, 4.5],
+	BF: ['Burkina Faso', 12.5, -1.67],
+	BG: ['Bulgaria', 42.67, 25.25],
+	BH: ['Bahrain', 26.03, 50.55],
+	BI: ['Burundi', -3.5, 30],
+	BJ: ['Benin', 9.5, 2.25],
+	BM: ['Bermuda', 32.33, -64.74],
+	BN: ['Brunei', 4.5, 114.67],
+	BO: ['Bolivia', -17, -65],
+	BQ: ['Bonaire, Sint Eustatius and Saba', 12.21, -68.29],
+	BR: ['Brazil', -10, -55],
+	BS: ['Bahamas', 25.04, -77.37],
+	BT: ['Bhutan', 27.5, 90.5],
+	BW: ['Botswana', -22, 24],
+	BY: ['Belarus', 53, 28],
+	BZ: ['Belize', 17.25, -88.75],
+	CA: ['Canada', 60.11, -113.64],
+	CD: ['Congo', -2.5, 23.5],
+	CG: ['Congo', -1, 15.5],
+	CH: ['Switzerland', 47, 8.01],
+	CI: ['Ivory Coast', 8, -5.5],
+	CK: ['Cook Islands', -21.25, -159.78],
+	CL: ['Chile', -30, -71],
+	CM: ['Cameroon', 6, 12.5],
+	CN: ['China', 35, 105],
+	CO: ['Colombia', 4, -73.25],
+	CR: ['Costa Rica', 10, -84],
+	CU: ['Cuba', 22, -79.5],
+	CV: ['Cabo Verde', 16, -24],
+	CW: ['Curaçao', 12.17, -68.97],
+	CY: ['Cyprus', 35, 33],
+	CZ: ['Czechia', 49.75, 15],
+	DE: ['Germany', 51.5, 10.5],
+	DJ: ['Djibouti', 11.83, 42.5],
+	DK: ['Denmark', 56, 10],
+	DO: ['Dominican Republic', 19, -70.67],
+	DZ: ['Algeria', 28, 3],
+	EC: ['Ecuador', -1.25, -78.25],
+	EE: ['Estonia', 59, 26],
+	EG: ['Egypt', 27, 30],
+	ES: ['Spain', 40, -4],
+	ET: ['Ethiopia', 9, 39.5],
+	FI: ['Finland', 64, 26],
+	FJ: ['Fiji', -18, 178],
+	FO: ['Faroe Islands', 62, -7],
+	FR: ['France', 46, 2],
+	GA: ['Gabon', -1, 11.75],
+	GB: ['United Kingdom', 54.76, -2.7],
+	GE: ['Georgia', 42, 43.5],
+	GF: ['French Guiana', 4, -53],
+	GG: ['Guernsey', 49.45, -2.58],
+	GH: ['Ghana', 8.1, -1.2],
+	GI: ['Gibraltar', 36.13, -5.35],
+	GL: ['Greenland', 72, -40],
+	GM: ['Gambia', 13.5, -15.5],
+	GN: ['Guinea', 10.83, -10.67],
+	GP: ['Guadeloupe', 16.25, -61.58],
+	GQ: ['Equatorial Guinea', 1.7, 10.5],
+	GR: ['Greece', 39, 22],
+	GT: ['Guatemala', 15.5, -90.25],
+	GU: ['Guam', 13.48, 144.82],
+	GY: ['Guyana', 5, -59],
+	HK: ['Hong Kong', 22.25, 114.17],
+	HN: ['Honduras', 15, -86.5],
+	HR: ['Croatia', 45.17, 15.5],
+	HT: ['Haiti', 19.08, -72.3],
+	HU: ['Hungary', 47, 20],
+	ID: ['Indonesia', -5, 120],
+	IE: ['Ireland', 53, -8],
+	IL: ['Israel', 31.5, 34.75],
+	IM: ['Isle of Man', 54.25, -4.5],
+	IN: ['India', 22, 79],
+	IQ: ['Iraq', 33, 44],
+	IR: ['Iran', 32, 53],
+	IS: ['Iceland', 65, -18],
+	IT: ['Italy', 42.83, 12.83],
+	JE: ['Jersey', 49.22, -2.12],
+	JM: ['Jamaica', 18.17, -77.25],
+	JO: ['Jordan', 31, 36],
+	JP: ['Japan', 35.69, 139.75],
+	KE: ['Kenya', 1, 38],
+	KG: ['Kyrgyzstan', 41.5, 75],
+	KH: ['Cambodia', 13, 105],
+	KN: ['Saint Kitts and Nevis', 17.33, -62.75],
+	KR: ['South Korea', 36.5, 127.75],
+	KW: ['Kuwait', 29.5, 47.75],
+	KY: ['Cayman Islands', 19.5, -80.67],
+	KZ: ['Kazakhstan', 48, 68],
+	LA: ['Laos', 18, 105],
+	LB: ['Lebanon', 33.83, 35.83],
+	LI: ['Liechtenstein', 47.17, 9.53],
+	LK: ['Sri Lanka', 7.75, 80.75],
+	LR: ['Liberia', 6.5, -9.5],
+	LS: ['Lesotho', -29.5, 28.25],
+	LT: ['Lithuania', 55.42, 24],
+	LU: ['Luxembourg', 49.75, 6.17],
+	LV: ['Latvia', 57, 25],
+	LY: ['Libya', 28, 17],
+	MA: ['Morocco', 32, -6],
+	MC: ['Monaco', 43.73, 7.42],
+	MD: ['Moldova', 47.25, 28.58],
+	ME: ['Montenegro', 42.75, 19.25],
+	MG: ['Madagascar', -20, 47],
+	MH: ['Marshall Islands', 7.11, 171.24],
+	MK: ['North Macedonia', 41.67, 21.75],
+	ML: ['Mali', 18, -2],
+	MM: ['Myanmar', 21, 96],
+	MN: ['Mongolia', 46, 105],
+	MO: ['Macao', 22.16, 113.56],
+	MQ: ['Martinique', 14.67, -61],
+	MR: ['Mauritania', 20.25, -10.5],
+	MT: ['Malta', 35.92, 14.43],
+	MU: ['Mauritius', -20.3, 57.58],
+	MV: ['Maldives', 3.2, 73],
+	MW: ['Malawi', -13.5, 34],
+	MX: ['Mexico', 23, -102],
+	MY: ['Malaysia', 2.5, 112.5],
+	MZ: ['Mozambique', -18.25, 35],
+	NA: ['Namibia', -22, 17],
+	NC: ['New Caledonia', -21.5, 165.5],
+	NE: ['Niger', 18, 9],
+	NG: ['Nigeria', 10, 8],
+	NI: ['Nicaragua', 13, -85],
+	NL: ['Netherlands', 52.25, 5.75],
+	NO: ['Norway', 62, 10],
+	NP: ['Nepal', 28, 84],
+	NR: ['Nauru', -0.52, 166.93],
+	NZ: ['New Zealand', -42, 174],
+	OM: ['Oman', 21, 57],
+	PA: ['Panama', 9, -80],
+	PE: ['Peru', -10, -75.25],
+	PF: ['French Polynesia', -15, -140],
+	PG: ['Papua New Guinea', -6, 147],
+	PH: ['Philippines', 13, 122],
+	PK: ['Pakistan', 30, 70],
+	PL: ['Poland', 52, 20],
+	PR: ['Puerto Rico', 18.25, -66.5],
+	PS: ['Palestine', 31.92, 35.2],
+	PT: ['Portugal', 39.69, -8.13],
+	PY: ['Paraguay', -23.33, -58],
+	QA: ['Qatar', 25.5, 51.25],
+	RE: ['Réunion', -21.1, 55.6],
+	RO: ['Romania', 46, 25],
+	RS: ['Serbia', 44.82, 20.46],
+	RU: ['Russia', 60, 100],
+	RW: ['Rwanda', -2, 30],
+	SA: ['Saudi Arabia', 25, 45],
+	SC: ['Seychelles', -4.58, 55.67],
+	SD: ['Sudan', 16, 30],
+	SE: ['Sweden', 62, 15],
+	SG: ['Singapore', 1.37, 103.8],
+	SI: ['Slovenia', 46.08, 15],
+	SK: ['Slovakia', 48.67, 19.5],
+	SL: ['Sierra Leone', 8.5, -11.5],
+	SM: ['San Marino', 43.94, 12.45],
+	SN: ['Senegal', 14.5, -14.25],
+	SO: ['Somalia', 6, 48],
+	SR: ['Suriname', 4, -56],
+	ST: ['Sao Tome and Principe', 1, 7],
+	SV: ['El Salvador', 13.83, -88.92],
+	SX: ['Sint Maarten', 18.04, -63.07],
+	SY: ['Syria', 35, 38],
+	SZ: ['Eswatini', -26.5, 31.5],
+	TD: ['Chad', 15, 19],
+	TG: ['Togo', 8.67, 1.08],
+	TH: ['Thailand', 15.5, 101],
+	TJ: ['Tajikistan', 39, 71],
+	TM: ['Turkmenistan', 39.75, 59.67],
+	TN: ['Tunisia', 34, 9],
+	TR: ['Turkey', 39, 35],
+	TT: ['Trinidad and Tobago', 11, -61],
+	TV: ['Tuvalu', -8.52, 179.15],
+	TW: ['Taiwan', 24, 121],
+	TZ: ['Tanzania', -6, 35],
+	UA: ['Ukraine', 49, 32],
+	UG: ['Uganda', 1.25, 32.5],
+	US: ['United States of America', 39.76, -98.5],
+	UY: ['Uruguay', -33, -56],
+	UZ: ['Uzbekistan', 41.67, 63.83],
+	VA: ['Holy See', 41.9, 12.45],
+	VE: ['Venezuela', 8, -66],
+	VI: ['Virgin Islands (US)', 18.35, -64.98],
+	VN: ['Vietnam', 16.17, 107.83],
+	WS: ['Samoa', -13.8, -172.13],
+	YE: ['Yemen', 15.5, 47.5],
+	ZA: ['South Africa', -29, 24],
+	ZM: ['Zambia', -14.33, 28.5],
+	ZW: ['Zimbabwe', -19, 29.75]
+}
+
+/** Country per /18 block, run-length encoded (see the module header). */
+const IP_COUNTRY_RUNS = [
+	'--sgCN1JP1TH2CN1JP1TH2CN2TH2CN6TH2JP4IN8CN4MY4CN2TH2KR4CNgKRgTH4JP4IN8CNwMY2SG1HK1JP4TW8HK4PH4IN8AUk',
+	'CN4TH8CNgVNgCNwHK8JP8CNgJPwCN1sKR1sJPgCN8HK1SG1HK2CN4AU4gTW1sKR8BR1US2ES1US2TH2CNoGB4IN4CN1cTW4KR4CNo',
+	'KR5cUScFR1gNLkDE1NL5GB1NL5FR1US1LT1US1LT1US3DE2US2DE1US3DE4FI4DE4FI4IT1sAEgILgUS1DE1US1NL2FR1PL1GB1D',
+	'E2IT1NL1DE1ES1DE1ES1RUgSEwKZwPTgGRgSAgRUgGBwDKwITwGBwDKgKZgESwIRgNOgES4NL4ES8ITgDE1sIR1sITwDE1sGBwIT1s',
+	'DEwSEwSG8USfFR1IN8GBgUS1cAUgAE8USgKRoDE2IE2GB2US6KR1US1ZA1BH1SG1AU1JP1BR1CN1US23DE1sUS1sCAgUS8NZ8AUg',
+	'INgJPgUSgDEwUSdcIEwUSg0HK2SGaAU4US14GB8BR4AE8CH8SE8ZA8BR4QA8CAcNL4FR4NO4FR4NO4NL4KR4DE4KR4US1DE7INcJ',
+	'P8HK8SG8AUoBRbUS1CAcIEeNL2FR8IN4JPcKR8NO8ZA8SE4IN4SE4CH4US4BR4CA4KR4NL2IE2IT4FR4GB4NO4US4AU4BR4CA4IN4',
+	'JP4US4KR4QA4NL2IE2US4IN4CA4US4GB4FR4HK4ZA4AU4US4SY4UA1DE3RU1GB1RO2RU4DEgRU1IT1LB1RU1DE5NL1DE1NL1IQ1I',
+	'T1TR2ROgRUgLT4OM4IR2RS1IR1CA1IS1BE2TRgRU1DE1IL1NL1IL4AEaDE1OM1DK4KZ2ES1IR1RU3DE1OM8AE2HU2FR2HR1FR1ES4',
+	'SA4RU2NL1SA1PT1BA1RU1PS1RU1TR2GB2AE1DE1RU1TR8FRgIR5GB1BG2GR8ES1MD1DK1DE1LB1FR1PL1RU1UA4RU1ES1RU1KZ1U',
+	'S2JP2AE1GB1DE1FR1DE2IR2DE1KZ1RU1HU1GBwIReDE2KZ4RU1IT1AM2US4GB1NL1RU2GB8SA4RO1ES1DE1GB1IT1sDE1RU1DE1B',
+	'Y1RU2GB1RU1IT1US1GB1IL1DK4RU1NL1BG1FR1US4IR4AE4SAgIR1sRUgNL2AT1SA1IT1GB1BA1AZ1ES1PL1IR1SY1FR4RUwCH1R',
+	'U1IT1GR1CH2DE1RU1DE8GB3HU1CH1BA1RU2GB3SE1GB4GE2IT1GB1NL1GB1RU1GB1ES2DE1IT1SY4SA4SC1IT1RO1US1PT1RU1DE1',
+	'FR1DE2ES1GB1IR4US4OM4SA4RUgITgRU1IT1GB1PL5US4DE1RU1DE2TR8NL2GE2LV1DK1IT1DE1US1IT1NL1GB1DE2GB1ES1DE1U',
+	'S1FR1DE3RU1US1PL8DK4GB1RU1HU2RU6FR1RU1IR4AZ4AEgFR4AZ4GB2IR1FR1GB2DE1RU1NL1IR3PL2IR6GR4HU4ES4RU2HU1NL1',
+	'UA4IR1kSG8ES8FR1PL1GB1TR1RU8TR4DE8IRwLV8LT8SAgUA4PT2IT1RU1IR2KZ1AZ1KZ4ES1GB3DE1GB1TR1DE3HK1SE1YE1NL1',
+	'UA1RU1US1z4SG2gCN2SG4mUS1sSG8HK4SG6PH1SG3KR1SGdHK4SGcUS2SGaUSiKR1SA1US4KR1SA1US3IN1USbIN1US4BE2USgkG',
+	'BkUS4GB8AE4US8GB4DE4US4GB4US4GB8US8GB4US4GB1US7AE4ID4US4TH4GBcBE4US4SA4NL4GB4SA4GB8CA4US8AE4US4GB4US8',
+	'HK4GB4AE4USoGB4USgGB4US4GB8USgGB4AE4USgDE4DK4DE4UScDE8SA4USsGB4US8SE4USgGB8US4GB4DE1USbIT4US5GB1US1G',
+	'B1USwGB1US7GB4US4SA8USg--sgUS1owFRgGBgUSgSEgUS4SE4AU8USgSEgUScSG2US6NL2IE2HK1AU2IE1IN2JP1US4HK1JP1US1',
+	'NL1US1IE4HK2AU2SG4AU1US3JP2US2IE4NL8USlGB1US5CA1USgNL2US2HK1IE1NL6US1sJPgUS4GBcUScGB4KR8IN8USoGB8USg',
+	'DE2FR1DE1US1DE1USaSG4US4AU4USkBH4US4SE4UScJP8DE4US4IN4US38JP8US8JPgINwJP4KR4AU8SGgUS1cSG8JP8INgAUgGBg',
+	'ZAgJP1US7SG8USgKR2HK2NZ1AU1MY2AU4JP4KRgJPwCN1sKR74INgSG4JP4IN2AU1JP1CN2sJP2KR6CN8JP8CN8HK4NZ1AU1SE1A',
+	'U1KR4INkCN1sVN3kIN1JP1PK1MY1JP4IN8CN8HK8AUgCN8KR4TH4CN1sVN3kUSbgZA4US2oJP4USkAU8US1sJP4UScCA8US8IT8U',
+	'S8KR8US8JP4USoCA4USwBH8US8FR4US4IL1US1NZ1UShCA4US14IN8CA4USsES8US9PL1IN1US5CA8FR4UScBR8US8ID8US4CA4F',
+	'R8US8ZA4US18IN4US1oDE1USfSE4US4CH8US8IT4US4BH8AU8ZA4US2cAU8CA4US4CA8US4SG1USbGB8CH8US1cJP4US4ID8US3k',
+	'IN8US2wAU4US1oSG8USgCN8IL4UScSEgUS8CA4US4AU4UScBH4UScKR1USvSE4US1oJP8US7fCA1US4iDK2US8IE9US1IL1US1GB1',
+	'US8DE1US3FR2DE1IT1FR2IT1US2IE1US6GB4ES1GB1US1IN4US3IL1US1IL2GB1US1GB1US6CN3US1SG4US5SG1US6AU4US4JP3U',
+	'S5AU3US1JP1HK2TH1US2HK1US1CN2US1CN5USf9GB1IN1US2IN1US9DE1US8wIN8US30DE1USrDE1BR1US1ES1US1MY1US1IE1US1',
+	'FR1KR1AU1CA1JP1CA1AU1ES8IT4US30GB4US4GBgSG4US4SGoUS10DE4US8DEgUS8CN8US8CN8GBgUScGB4JPwDE8USoDEwIEgUS2o',
+	'BRgUSv4GB4US4HK4US4NL4AU4SG2HK2US4NL4US8AU4US4NL2IE2US8NL4MY4JP4FR4US4QA4US4NL4SG1HK1SG1HK1US4GB4JP4',
+	'AU4US8NL4US5IN1USbAU1US2AU1AE1US1AU1US1IE1US3AU1CA1GB1IN1AU1FR1US2KR1US1IN1US3AU1CA1JP1SG1US1IN1US1J',
+	'P1SG1US1AE1US4JP1AE1US4JP2CA2US2GB2NL1GB1NL2US4DE4AU4IE2NL2US4NL4US4GB2AU2US8NL4US4CA2JP2UScNL2IE2GB4',
+	'US4AU4NL4US4NL4FR2AE2US4NL4GB4JP4DE4US8NL2IE2UScNL4ZA4US4JP4GB4SE4AU4IE2NL2US5NL1USiNO4NL4US4NL4CA4I',
+	'E2NL2US4NL2IE2GB4US8FR2US6DE4US8CA4GB4USkIE2NL2US8NL4USxIN1BR1US1pCA4US7DE1USoNL4US4GB4US4ZA4US4IE4A',
+	'U4US8DE4US8QA4AE4CA4USwSG1UScHK3JP1US1AU2US1HK1US1JP1US1SG1US2IE1US1SG1AU1IN4AU2IN2KR2JP2SG2BR2AE1KR3',
+	'IN1SG1BR2IN2SG2FR2CH2CA2KR2BR2US4IE1US1AE2CH2IN4HK2SG2BR4IN4CH4US4JP4AU4SG4AU4KR4PL4AE2FR2IL4DE4IN4C',
+	'A4US4JP4IE4NL4US4BR4AU4US4NL4UScAE4IE2NL2IN4US8IE2NL2HK4SE4US8JP4IN4US8HK2SG2AU4KR4CH4NO4US8GB4HK4US1mo',
+	'CA8US1bCA1US5zCA1USgDE2US1AF1US6RU1FR1US2CA1US3CA1USiHK1NL2US1SG1US8IE1US1HK1US2AU1IE1JP1US1HK1USbCA1',
+	'US1SG1CA1US9NL4US4RU2US1RU1US5nCA1USkCA1USeCA1US66CA1USjJP2CA4USmGB1USr--1US5CA3USbCA1US4hCA8USaDE1U',
+	'S6PS1USmCA2US7CA1US3BS1US5CA3US1JP1CA2US5CA1US4CA4USoCAyUSeCA1cUS5CA1US1CA1US17CA1US4CA1UScCA1USaCA8',
+	'USgCA4USsCA4USrCA1US8NL4TR4DE4RS4US5CA1US1CA4US1CA1US7CA5US5CA1US9CA2USeCA4US4BR2US2CA1USdCA2US1CA3U',
+	'S4oCAgUS3CA1US4BS1US3CA2USiCA4US1CA1US6CA2USqCA4US6CA2US2CA6UScFR1US2CA1BS1CA1US2AR4US8CA1US1CA2USwC',
+	'A2BS1CA1US4CA2US12GBsgUSsgJP1AU1IN2KR4VN8INgCN2oAU8NP2JP2KR4CN1cIN4PH4HK1AU1CN2TWcSG1AU1IN1CN1TH4INw',
+	'VN1sJP1tSG1KR1AU1IN4JP3CN1AU2CN2JP1TW1KRaCN4SG4TW4HK2CN1JP1IN4PH4IN1PH1MO2JP2PH2ID1KR1JP1SG1CN2KR4CN1',
+	'JP3MV1SG1CN2KR2JP1KR7IN1KR8JP4CN1JP4KR2AU1IN1FJ1TW1HK1AU1KR4SG1MY1KR1JP2HK1JP3AU1CN8TH4MY1AU1TH1JP1d',
+	'CN4TH4MY4TW1JP1BD2CN1cKR2oCN4wJPgKRwTWwINgNZ4AU2JP2TH4ZA1KR1IN2US2dcPL4US6IR2SK1NL1IT1GB1ES4RO4GB1RU1',
+	'PL2FI1IR2SI1RU4SY4LI1RU1CH3MK1PL2DE1GB1UA2RU1IE1RU1BG1RO1IR1IT1ES1SE1IT1SI2DEgNL8GB1DE1PT2RU4GB1SE1D',
+	'E1IR1DE1IR1GB1RU1IT8RU1GB1CZ1RU1KG1AE1RU2CZ4MD1UA1BE1CZ1FRwRU5UA1PL1RU1PL1UA1DE1RU1UA3RU2AL1IL1TR1NO2',
+	'HR2HU4BA1DE1RU1DE1GBwKR2ID2US1LT1AE1US1ID8PLgUSmDE2US1DE3GBkUS8GB14IE8GBlDE1GB6LT1BR1US1IN1FR1GB1US2',
+	'GBoUS4GB2gPL1UA1RU3UA1RU6UA2RU2CZ1RU5AT1RU2UA1RU4UA1RU1NLgTRgUA4TR4GE4HR4RU1CZ2RU1NL4DE4NL4GR4CY4IL4',
+	'TR4ITgNL8RU8CH8SA8IL4KZ1TR1CZ2IR1SK1UA1DE1AZ2KZ1HU1DE2PL1RU5PL8TR2BA2FR1RU1TR2PL8RU8PL8DE1NL1IR1RU1G',
+	'B1DK1GB2TR1RU2PL1IE1DE1NL2ITgGE1CZ1RU1SE1IT1SY1GB1SE1IToTR2IE1RU1NL4UA4KW4AU1RU2ME1GB4TR4NL1IT1RU2SE5',
+	'DE1IS2TR2IL1RU3BG1SE1GB1ES1BE1CZ1CH1NO1DE1TH1KW2ES1DE1AE4GB1CY1RU1HR3GR1FI1AE8DE2RU1GB3ES2CZ1ES1GB2T',
+	'R2BA2DE3kUSq8AU8USugIN1IL1US1ES1FR1US1SG1NL1MX1US1SG2US6KR1US5NL8USgNL4GB1US1NL2BE2IN2DE2TH2US4IT4QA4',
+	'US2CA4US4SG2US1KR1BE2US10DE2NL2US4NL2BE1US1ZA4US8BE4GB2BR2DE2AU2USoCA1KR1IN2US8KR1ID1US1GB1MX2SE2US2',
+	'BE2US2BE2USwBE4US5KR3CH4US14BEgTW8US8JP6US6SG3AU1FI4GB2DE2NL8HK4IN4US4CA1US1BR2US2HK2JP4USaIN2ID4USa',
+	'JP2US2GB2US4DE2USzAU1PL2US4PL2CA1USnSG2US5SG2US6ID1US2AU4CA4IN4USkTW4US8BE4DE2NL2GB2SG2US2SG2US8JP4N',
+	'L2GB2US8HK2US2BR1AU2BR1CA1US5GB1JP1IT4FR4BE4US4SG1NL2KR1DE4UScFR4ES4IL4SA4USwES4CL4US1SG1US2NL4DE4IN1',
+	'JP1US2DE2USgDE2US3CA1NL2US5uIE1sUS4oES4US4ES8US2wJPwUS1tFR1US66IT4US4IN4US4DEgUS1sGBgFR8CA8US6TW1US5',
+	'BE3JP1US4AU1GB1JP1BE1US3BE1USeTW2BE4US6SG1GB1BR1DE2SG1US1BR1US2JP2IN2AU1US1TW2US4CA2US2NL4BE4US2BE1T',
+	'W1US1DE2IN1US8BE4US8JP2SG1AU1GB2NL2CA1US1HK1BR1KR2CH2FI1US1JP2US4ID2US4HK2US1JP1TW2USoFI4US2TW2US2GB1',
+	'US9BE2US2TW1DE1GB1SG1BR1US5TW1USdBE2SG2US1HK1BE2US1BE1GB1DE1US1JP1US2IN1AU1US6GB2DE2US2SG1BR1USgIL1U',
+	'SfCN8JP8CNgJPwCN2dID1KH2KR8CN14VN1ID3CN4JPgCNwID3kCNe8TW1sJPwCNgNP8CN4IN4CH1NL1LT2RU3AE1SE8DE8GR4US4',
+	'PS2BA1PL1RU3IT1NL1IT1ESmUS1FI1SA2BY2IQ1JO1RU2FR1SE1RU1IR1FR1ES1RUgDE4SA1UA1DE1IE1AZ1AL1MD1NO1FI4OM2R',
+	'U1PT1RU2ES2PL8IR1IT1GR2FI4TR1MD1KW2RO1CH1ES2KWgOM8SA8CZ1BY1NO1RU1BY4GB1ES1SE1UA1PL4CZ1NL1SY2DE2RU2DE8',
+	'UAgSA4UA4DE1NL1FR7GB1FR2AZ2DE2BE4BG2IR2FRwES1RU2FR1UA4NL4MT1MD1DK1RU1HU2RU1PS1TR1IT2CZ1RU8DE1sDK5FR1',
+	'NL2IR2RU1PL1KZ2SA1IThSAgPL8RU4MM2PK1BD1RU8DE2AZ1IR1UA4ITgDE3RO1SA4RU2ME1GB1TR1JO1SE1US1SAgPL2GB1DK1I',
+	'R4PL1TR1FI1GB1BH2PL1RU1ESgFI4IR4DE4NL1RU1UA1RU5SA4IL4RU2RO1BG1RUgIR2NL1DE1CY4KZ8GB1SK1ES1GB1RU1NL1IR1',
+	'NL1TR8IR4FR1EE1BG1AM1ES4IT4FRgIT4FR18ITwBE8QA1AM1IT2FR4RU1GB1CZ2PT4RU2PL2HU1IR1NO2RUgSEgNO1RU1OM2DE4',
+	'PL1JO1IR2UA1BA1GB1RU7ITaSE1RU1QA2DE2PL1RU1QA8BYgSA8ES2KG1CY1FI4GB2RU1HU1IR1DE1UA1CZ1ES8SA4PL4IT8PL1R',
+	'U1DE1IE1UA4DE1ES1RU2KW4GE2RU2MD1PL1GE2HU4IR1NL1RU2IQgSAgNL1GB1HR2AE4TR4SE1DE1PL6US4SE4NL2RO2GB1AM1CH1',
+	'GB1NO4IR8USdCA1BR1VE1UScAR1US2CL1US8IN1AR1USbCA1US7CA2USbCA1US2AR1US5CA1US1AR1US8CA2US4PE2VE2UScCA1U',
+	'S5CA1US3IN2US9CA1US2CA1US1MX1CA1USdCA1US9GT1US8DO2US2CA1US8ID1US1CN1US6MX1US1LY1US1BR1US1DO1AR1US1VE1',
+	'US1AR1US5ID1US8IT1PE1US1IL1US5MX2US3CA1US6CA1VE2CA2US8CA1US3MX1USfCA1US3CA1USdCA1US9HK1US2MX1USaIN1C',
+	'A1USmCA1USwMX1USvCA1US2yCA1US8CA1USpPE1USeCA2US7CA1US14CA4US5AR1MX1US5CA1AR1US3AR1US1DO1USbCA1UScVE4',
+	'USgVE4US2VE1CA1US4CA2US4CA1UShNL4HK1USjCA1US4MX1US3IN1US4DO2CA1US6CO1CA4US7MX1US5VE1US1VE1US8OM1CO1U',
+	'S1MX1USvVE1USeBR1US3BR1US1aPE1US1BR1SE1US5PE1US11CL1BR1US1AR1HK4USbCA1US6DE2HK4US2NL1USfVE1US1DE4US3',
+	'BR1US4LY1US3CA1IL1PE1OM1US1AR1US6CN4TW4JP8KRgTWwKR1sPK3kCN50HK2SG2JP8KR1sCN74ID74US1wGB4UScGB4UScGB4',
+	'USsGB8US38IN1US5SG1US8NL5IE2US1IE1US8CN8NL1JP1USkFR1US2IN1US3IN1GB1JP1US2KR1AU1US1HK1US6IE2US1CA1US3',
+	'CA1US2IE1US5CA1US1FR1KR1US2SG1US4NL1US28MY1IE1US2IE2NL1US3NL3AU1JP2US4ZA1US3NL2US3ZA1NL1SG1GB1AE1USd',
+	'AE1US4AE1US1CN2US1CN1AU2ZA1AU1IE2US3sCN4USoGBcAE4UScCA8US1kIN2US2uGB4US1kMX1CA1US1qGB4USoZA3kEG1sZA11',
+	'ZW1ZA1--1NG4TZ4ZM4ZA4TN4ZM1ZA1MG1NA1EG8CI1AT1ZA1GH1SD1CI1NG1--1EG8MW2AO2ZA2NG2--1ZM1ZA1MU1ZA1ML1NG1T',
+	'Z1BJ1LY1ZA2CI1CG1UG1NG1ZA1NG1ZA4MZ1CI1ZA1CI2ZA5KE8SN8ZA2MU1SZ1ZA3ZW1LR1ZA1NG1BJ1MW1NG1MA1ZA1--4KE8EG4',
+	'MA2CM2TZ2--2MZ4SD4DZ1sZA1sEGgZAgMU4MA4NE1BF1MR1MZ1GH1CI1KE2MAgZAwEG8--4GH2EG2ZA8GA8MU1sEG4ZA4EG8ZA8N',
+	'A4ZA4NG4ZA4RW4EG4MG1MR1TZ1ZA1NG1ZA1CI1CD1NG1NA1MU1CI3ZA1MU1ZAgEG4RW4NA1MU1ZA1MU1EG4DZ8ZA1CI1SD1CM1ZA1',
+	'NG1NE1ML1SZ1CM1TZ1ZA1CM2NA1MA1NG1CI1EG1ZA1CI1KE1MU1CI1ZA1LY1SN1ZA1KE1SD1CI1--1GH1--1UG1AO1GH1MU1GA1C',
+	'I1KE2MU2ZA2RE2SN2MA2KE3CI2ZM1ZA2NG2CM1CI1SD1NA1EG1GH1SN1NA1NG1CI1UG1NG1TZ1MU1TZ1MZ1ZW1ZA4AO1ZA1NG2EG1',
+	'TNwEGwSD8LY1NG1CI1ZA1CD4--4CI2--2ZA8MAgLYgCN1TW1CN3VN1CN2HK8CNgKR4gCN1cSG8CN3AU1CN4TW1sCN8KR4JP1CN1f',
+	'VN1CN7HK4CN2JP2CNgINwVNwCNgJPgCN1sJPwMYgCN3kMYgCNwHK4CN2HK2CN4cAU4CN1kSGe8HK1SG1KR1TH1HK4US3JP1DE1RU3',
+	'SG1HK3JP1KR1ID1JP1SG3HK3US1BR1CN14HK1US1SG6CNgBR1SG1US1IN1US2JP1SG1HK6KR2SG4DE2BR1ID1DE2RU2SG2US1HK1',
+	'SG4IN2HK2US2HK2SG2HK1JP1TH1SG1KR1BR1DE1US1JP1ID1SG2US2SG4HK1US1HK1SGnID1SG1US1HK1US1SG1CN2oKRgIN8JP8',
+	'THgTW8US8MY8ID4US4AU4US4JP8CN2IN1CN1IN3CNcMY1CN1IN1CN2IN1CN1IN1CN4IN1JPgCNdIN3HK1CNcHK1CN1HK1JP4AU3B',
+	'D1CN2IN2CN8HK1TH1CN1IN1CN4HK2IN1CN1IN1AU1HK1IN1JP4CN6IN1CN1USsgJP4US4CA5US3BRgES1NL1US2NL1DE1NL1RU1D',
+	'E1RU1NL1RU1NL1RU1US2DE2ES1DE2IT2DE1NL1DE2ES2DE1CY1FR1US1sJP1UStDE1US4CN1US5CA1US4FR1US1CA6US19GB1US2',
+	'VN1USiCA1US1CA1US4ID1IN1KR1IN1CN1DK1BR2GB1NL1US1IT1RU1NL1GB1RU1CO1BR1CO1--5BR8US2CA4US3CA1US2JP2GB2U',
+	'S2SG1JP2US3CA2US1SG1US4FR1RU1DE1RU1US1FR1RU1FR1NL3DE1NL1DE2NL2FR1RU1NL1DE1RU1FR1DE1US1CY1NL1US1NL2DE1',
+	'RU1NL2FR1DE1GB1RU1DE1IR1RU1DE2US2NL1ES1DE1GB1FR1DE1NL1DE1US1DE1ES1GB1RU1NL2DE2NL1US1EG1sIN1KR2CN2IN1',
+	'CN2IN7CN1IN2HK1IN3VN1IN6CN1IN4HK1IN4CNbIN2HK1CN1IN1VN1IN1CN1IN4CN1IN1US1DE2ES1DE1GB1NL1RU1NL1IT1RU1D',
+	'E1RU1DE1HK1NL2DE1RU1IT1NL1GB1NL2US2NL1DE1US1NL1DE2HK1NL1DE1GB2NL1FR1US1DE1US1NL1US1RU2DE1TR1DE1RU1NL1',
+	'GB1NL1RU1DE1GB1DE1US1IT1GB1ES1GB2DE1RU1NL1GB1ES1DE1US1GB1NL1GB2DE3ES1RU1DE1NL1ES1US1DE1NL1FR1US1NL2D',
+	'E1US2FR1NL1US1ES1GB1DE3RU1DE2US1GB1DE1NL1DE1ES1DE2NL1RU1DE1NL1IR1DE1NL1DE2TR1PL1IE1NL1DE1GB1NL1DE1BR1l',
+	'MX1BR1ySC1US1HK1SChHK1SC7HK2SC1IT1HK1SC1US1PE1SC2KH1HK1SC1US1HK2MY2SC5PH1SC2US1SC3US2SC4GHgZMgMAgZA1',
+	'MU1ZA3TW1ZA1BJ1ZA2GH2US4BR1pAR1BR2EGwIN1CN1IN1CN2IN2CN1IN1CN2IN2CNjRU4TR8--3HK1DE8ES4IE4CZ4NO4BG4MT4',
+	'GR4CZ4CH4NO4RU2CH1BG1NL1FR1GB5FR1SI1FR2LB1TR1GB1RO1GB1DE1SE1NL1PL1DE1US1IE1FR1SI1NL1RU1DE1ESgIT1DE1R',
+	'U1GB1DE2RU2DE2FI1IT1RU1GB2FR1IR1RU1DK1PS1UA1CZ1GB1ME1GB1IR2KZ1FR1YE1BA1HU1RU1LT1KZ1PL1IT1ES1RU1UA1RU1',
+	'SA1GB1DE1RU1UA1EE1ES1RS1BG1SY1OM1DE1RU1PL1IR1RU1BH1RU1KZ1GB1PS1GB1RU2SA1NL1IT1RU1PL1TR1RU2UA1RU1NO1R',
+	'U1BG1CZ1RU5GE2SA2PT2RU2IR2IE1JP1SA2RU2SY2BY2MT2SI2MD2BG2BY4AT2SY2FI2SY2SE2DE2PS2GB2RU6FI2UA2RU2GB8NO8',
+	'GB8US2HK1AM5RU8AT8PL8DE20UA4RO4UA4AL4IR4GB1DE3PT1IT1IR1GB1GR4TR4FR4TR4HU4DE4LV4US4RU4PL8DE8IL8UA8IL8',
+	'SI8AT8CH8DE4NL4AM4EE4FI4UA4PL4CZ4ES4IE3SG1RU4HU4CH4IT4DE4IR2SA1GB1NL8RU8PL2RU2SA1UA1RU1HK1UA2RU1SK1R',
+	'U3AT1SA8TR8NO8RU9UA1RU3ME1RU1YE1RU1SE1FR1AM1SI1DE1RU1FI1SI1IR1UA1RU2FR1DE2MD1RU1NL1RU1DE1RU1IR1CZ1US8',
+	'PL8RU1UA2RU2US1UA1CZ1RU2UA1PL1RU1UA2RU1GR8BE8RU8FR1NL1DE2FR1US1RU1GB1SA2BH2UA2JO2PL2KW2RU2PL2RU2HR2D',
+	'E2PT2GR2DE2BY2RU2FR8SE8TR8CY2GR2CY4UA8LT2FR1US2LT1US2PL8AT8GB4IR4IL4UA4NO4SY4RO4US4BY4MK4FR4UA4AT4TR4',
+	'ES4DEcGB1RU1GB1RU1GB1DE1GB1NO1RU2GB1DE2RU2BG1SA2NO1SE1NL1GB1FR1DE1--1HK1IT1RU1BG1GB1IT1RU1TR1HR1ES1I',
+	'T1GB1DE1RU1DE1GB1SE1RU1DE1RU1BG1GB1DE1BG1PL1GP1PL1BA1SE1PL1IS1SA2RS2RU2AM2RU2PL2NL1DE1RU1NL2PS1DE2IR2',
+	'RU1PL1SE2GR2GB2FR1AT1IR1SI1PL1JO1RU1BG1HU1GB1UA1RU2NO1LT1RU1SA1KG1DE1GB1DE1NL1DE3SE1RU2IT1GB1US1NL1F',
+	'R1FI1USwIN8US4IN4UScIN4US1gINcUS2cIT4CA8US8ESoDEwNZ4DE4US20CN40SGgUScsIN4USioGB3kUS4ID2GB2US8GBcNL4U',
+	'S2GB2DE4US4DE4US7JP1US4NL4US1GB1US1GB1NL2IE1NL1JP4US5GB1US1GB1US1GB3US4AU4US8JP4US1GB3FR2GB2US4IE2NL2',
+	'US4GB3kBD1TH1MN1HK1KR4AU8CNgKRgDE8IN8KR1sIN1sTH8KR1IN1KR1NZ1US4CNgKRwCN3kJP1sCN1cMY8NP4AU4SG1HK1JP1K',
+	'R1JP4HK8JPgINgCN8KR8PHwCNgKH1IN2JP1PH4TW8KR1sAU2oINwCNgJP4HK1VN1TWqCNgNZgTHgCNgIT1KR2MY1TH4JP1KR3CN1',
+	'JP1KR1CN1JPgNP4SG4KR2VN2KR4IN8JPgKR4AU4US28GB3US1GB1US1CA1US49SA8US8CA10US1cNL4USoCA4FR1USjCAgUS1qCA2',
+	'US4SA4USf4DE4GB8DE4IL4US4GB8US4GB4US4GB3FR1SE4NO3GB5FR4IL8US4GB4SE8DE8GB4DEwGB4CH4DE4SA4IE4FR1GB1FR2',
+	'SA4DE4GBcFR8DE8ES8DE4US4GB4TW4GB8AU4US4IL4BR4DE4GBsFR2PL1FR1DE8GB4DEcFR4US4FR1GB1FR2US4CA4UScFR2PL2I',
+	'L8UScDE2GB2US4FR4ES4US4ES8CH4USkDE4FR2CH2GB1IE2GB2NL3GB4CH4DE4GB4DE4GB4AE4US8GB4DE4US4IT4US4NO4DEcNL4',
+	'US4GB4DEcGB4US4GB8US4GB4NL6GB1NL3FR2US4GBcUS2GB2NL4GB2NL2GB1HK1US2GBcDEgCH4GB4DE8FR8US4CA4AU2SG2ES1G',
+	'B1NL2SAoSE4IE4DE8NO8US8FR4IT2GB2US8IE8US8IE8US8GB8UScDE2GB2US8GB4IE4GB8USwFR4SA4DEoSA4GB4US8CA4SA4DE8',
+	'USgGB8US8GB4SA4US8GB8US4GB2US1GB9US8GB8US8RU4GB4SA8FR8US1sIEgUSwDE8IE8US1lFR1US2FR4IEgUSgGB4DEcCA4US4',
+	'AUgIN4BR4JP8USgSG4US4SG8KR8CNgUSwIE2US6GB1CA1US3IN1AU1USmTW1IN1USuAU1UScNL2IE2US1GB1SG1US2BR1USiIT1U',
+	'S3GB1US1IE1NL1SG1SE1US1IE1US1JP1US5CA1USgSG1US5CN8USgIN1US1FR1NL2US3CA1US1IE2CA2HK1SG1IN3JP1KR1US4IE1',
+	'GB1NL2US1FR1US2IT1US8IE2AU1JP1US3SG1US1NL1US1NL1US7GB1USeCA1IE3CA1US2IE1US1NL3IE2AU1UShSG4IE4US4NL4U',
+	'S8IE4US8IN4US4NL4HK2JP1US9NL2IE2USiIN1US1HK2US4JP1US5SG3AU1US7AU1US8JPwUSwIEwUS8IE2US2JP1US1SG1US1SG8',
+	'USoCA2US3CA1HK2SG2US2KR4NL2US2CA1US1NL2US4CA1US3IE2NL2CA1SG1US1AU1USgCA1US4AU1UScJP1USaIN1USfJP1USaD',
+	'EsgUS1oGB4US8GB4US4BR8USkGB4US4GB4USoFRcCA4USoCN2USuTW8USwJP8AU4USkIEsAU4US1cJP2US2DE4BR4JP4USwGB4US18',
+	'KR8US4GB4USwGB4USgGB4US4GB4UScGB4US14JP4US2SG2US6AU2IE8US1cJP4SG4IE8USoJP4SG4KR8US1cIE8UScJP4USoAU4B',
+	'R4USwIE8US8IE4US4CN8USgIE8US8BR8USgJP4USsIE8JPcSG4AU8SG8UStkSG8US68MY2US2MY8US4kCA4US18BR2US2BRcUS30',
+	'JP4US80SE4US30CH4BE4CH8BEgCHkGB4CH8GBgCH4BE4CHkGB4CH8BE8CH4GB4CH4BE4GB4CH4BE4CH8GBoBE4CH4GB8CH4GB4CH4',
+	'GB8CHkGBcUS4DE4BEkUS4BEcUS4BEgUS8BE8US4DE4BE4UScBE4US4BE4US8DE4BEcDE4BE4DE4US8DEwUS1sFR2GB1PL1DE2FR6',
+	'IT1FR3US4ES1DE2GB1CA4US4IE8UScIE10UScNL4US4SG4CL4US4HK2SG2IN4CH2GB6US5GB7UScNL4US4TW2GBaUS4SE2GB2US4',
+	'CN8US8JPgGB8CH8BE4CH4BE5SG1BE1DE1GB4US4BE8US4BE4US4BE8US4BE8US4BE4CH4BE1wCH8GB4CHcBE4CH8BE8CH4BE4CH4',
+	'BE4GB8BE8GB8CH4US4CH4US4CH4BE4US4CH8BE8GB4JP2GB2IN4JPcAU8THgJP8CN1cMY6PK2NZ4KR4CN3sTH2HK2SG1KR1PK2CN8',
+	'IN2BE1BR1PH4JP4PH2MY2KRwJP8CN2TH1HK1CN4IN1AU3JP4TW4KR1CN1JPyAU3SG1TH2PH1KH1JP4TW2CNaKR8AUwJP8TW8CNgK',
+	'RwCNwTH8JP3KR1MY4KRgCN4KR2AU1JP3SG1KR1TH2AF1JP1KRgHK8CN8JPgAU1sHK8AU8KR5AU1TH2SG4JP4KR4SG4VN8JPgCN3k',
+	'KR1sCN1sKR3kCN5sJPbKR1JP4IN1cAUaTW2PK4TW8JP4CNkTW1sJP1sIN8JP8HK8KR4CN2US1KR1CN2KR1HK1CN3VN1AU4CN4JPg',
+	'INoJP4AU4JPgCNgIN14KR8HK4SG4JP4CN2JP1AU1CNaoJP1sMYsCN4JPsCN4JPaoCN3kJP8CN8KR8TW8CN2oAUwCN8NZ4CN4JPgA',
+	'UcIN4TW6CN2MO4CN4TWgCN4KR2CN2IN2US1JP1CN4INgHK1MY1JP1KR1ID2PK1JP1MY3BN1JP2TH2AU2DE1SG1PH2AU2HK4IN2JP1',
+	'VN1IN2JP2SG4US1SG1JP1CN1HK4SG2IN6HK4TH4TW4JPsCN2PH1VN1AU2CN2TW8KR1cJP6CN1JP5TH2CN1KR1CNwTW1cAU8TW8KR1k',
+	'JP7CN1AU4JP4TH8HK8ID4AU2IN2KR1sJP1sCN74JP2oTW1sCNoHK8CNgHK4PH1JP1AU1JP1IN4ID1KRzIL4GR4CH4US1GB1SE1GB1',
+	'FR1DE1BE2SE2RU2GB8FR1KE1DE2IE4US8NL1CY1CH2SE2GB1AT1ES8UA1RU1NO2IE4IT8SE4PL2NL2ES4FR4DE1CZ1GB2NL1GB1H',
+	'K1GB1DE8PT4TR2PL2GB8CH1GB1ES2RU4FR8ES8GR4FR4DE1GB1AT2DE1NL3ES8CZ1GB1DK1FI1NL4AT8CH1DE1PT2GB6NO1GB1US4',
+	'DEgGB4ES4NL8GB2IR2RU1FI1DK1RE1LU2FR2NO1RU1LV1SE1RU1UA1GB2SE2CH1EE1DK4DE1GB3DE1BA1RU1EG1RU1GB1FI1PL1N',
+	'O4FI4US1DE1GB1NL1FR1BG1GB1NO1GR6DE2RU4GB1CZ1IE1HU1US1FI3DK4DE1HU1FI1SE1EScLV1LB1CZ1SE1LV2FR1IT5ES2PL2',
+	'BE2SE2AM1PL1GB1RU1IL4DE4NO4DE1AT1NL1DE1IT4SE2DE6IT1ES2NO1IT4ES2AT2NL1IT1FR1HU1IT2US1NO1GB2NO1DE1GR4U',
+	'S4RU1GB1RU1NL1FI1RU1FR2DK4NL1TR1CH1SE1RU1DE1CZ1NL1IT4DE2PL2DE2NL2BA1RU1NO1DE1EG4SE4AT2DE1DK1DE1RU1ES2',
+	'RU4SE4SA4GB1RO1PL1CH1RU4IT4GBcSE4DE1IT1GB2FR1GB1NL1PL1GB4NL8GB1NL1PL1NL1GB2DE2EG2DK2GB8DE4EG4AT1EG1N',
+	'L1GB1CZ1RU1NO1PL1FI4DE9GB1IS1NL1DE4FR4RU1PL1RU1FI1UA1SA1IT2KW4ES4CY1RU1DE1RU1DEsFR8MK4NL4ES2GB1US1RU1',
+	'NL1FI1HU1NL4CH4CZ1SK1SE1DE1IT1PT1SK1GR1IT4CH2FR1GB5MT1GB1RU1GB1ES8RU1BG1DE1NO1IT1CZ1NL2AT4NL4GB4PL1S',
+	'E1DE1SE1RU3PL1RU2FI2DE1FR1GB3CH1GB3FR1ZA1BE1NL1GB1FR1GBhRU1NL1FR1DE1IR1EG1RS1BE1NL8IT4DE1BE1FI1SK1DK8',
+	'GB1NL3SE1HU1FR1IQ1CH8FI1NL1BG1ES1IT1BE1RU1LV1DE4NL4GB4BH1NO1UZ1CZ1FR4IT5NL2LT1RU2GB1BE1DE4KW4NL1FI1D',
+	'E3GR1AZ1RO1AT4IL4DE1IT1CH1MK1UA1MD1BG1NL1GB8DEgCY4CH1PT1US2DE4RU1RO1GB1OM1GB4BE1GB1PL2CN4BE4FI9NL3GB4',
+	'RS1FI1CZ1CH1IT1FR1EG1FI1DK8UA1FR1PL1TR1BR1CZ1DE6SE4TR2FI2PT1AT1RU1GB1NL6MA2GBgUS3kIEgUSb0CA1USwJM1US38',
+	'HK1USdDE1sUS2oHKwUS2iDE1US1iCA1US5CA1US6CA1USvCA1US4SA1US5CA1USwCA1US5NO1USgDO1US2JP1US3CA4USvCA1IE1',
+	'US1IE1US5SG1US3CA1US15CA2USaCA1USeJP1US7SA1US5CA1US9CA1USdCA1USgCA2US13CA3US8HK1USnCA2US6CA1US1CA1US1',
+	'CA3US16KR1US1CA1UScCA4USeHK1US2CA1UStFR1US14GB2CA1SA1UScCA2US11BS1US3CA1US2oCL1IN1US8CA1PR1US4CA4US2',
+	'BR1UScCA1US3PR1US4CA1US4DE1US1hCA1US5CA1USeGB1US1yCA1US1NL1ES2US1DE1ES1US3IN1US1CAgUSfCA1US6PR2US12C',
+	'A1USeCA1US8CA1US1CA1US3GB1US3INgUScCA2US18CH1US6IN1IQ2FI4US7PR1US1lCA1US1PR1CA1FR1CA2USyBB2US3CA1USa',
+	'NL1US10CA1US14HK4US9BS1US1cIE1CA1USgCAgUS7CA1US6SE1USxFI8CA1US2CA1DE1US66HK2USiHK1US10AU1HK1US83IN1U',
+	'SzCA1US2ZA2US2IL1US1SA2US5CA1USrZA1US1CA1USgCA2US1gCA1US7CA2US4CA4USyCA2PR4US2CA1USvCA1US1AR1US15CA2',
+	'US2IT1USqCA1UScES1US1oSG1US1CA1US1DK1DO2USfCA1US5CA1USqCA1USnAE2US6SA1US3CA1US13CA1US1CA8US2CA2US1iC',
+	'A1US1CA2USjCA1USaCA2UScCA1UShCA1USaCA1USmCA1USdCA1USkGB1USaCA4US7CA1US1CA1US1gCA1US8CA1US6CA2US5CY1U',
+	'S9CA1US1mCA2USaCA1US3BS1UStCA1USpCA1USgCA1USqZA1US2lHK4US7CA1US1CA1US3mCA1USeCA1US10CAgUS9rBR1US3oCA4',
+	'USuCA1US8PR1US3CA1US1CA1US5PR1US4CA1US5KZ1US3CA1US6CA1US3CA1US6CA1US1CA1US1CA1US2CA1US6CA1ES1UShCA2U',
+	'S3PR2CA2US4CA2USeCA1USa9CA1US9CA2US4CA1USvCN1US77CAwUScMX4US2kCA2USaCA4US3DE1US2sCA1US3AT4CL3USpAU3U',
+	'S1IE4US4ES4US15CA1USuGBwUS1kCY1UScCA1US4CA1US1CA2USoCA1BM1USxCA1US9CA1USaCA2US27CA1USnAG1UShBR1USuCA4',
+	'US1CA1US9BB1USoBB1US13CA4US8GB4US1MV1US6uCAgMM1USlCA2USaCA1USaCA2US2HK1CA2US2cCA1IR1US6CA3US5GB8US3f',
+	'CN1US2CN1UScCN1US2CN1US4xCAwUS7CA1US3SE1UScCA2US12CAwUSwCA28US7mIE1NL1ID4US8ES4TW4US89AU1US3gCA2US10',
+	'CA4US4CA2USchCN2USgCN1US2CN1USdaCA1US3CA2USxCA1US3CA1US3CA1USfGB2USmBB1UScCA1US4JM4US14CA8USlCA1USiP',
+	'R2US2CA1BB1US6CA4GB4US2CA1US1SC2US1SC1US1CA1JP1SG1US8BR1US1BR1MY1BR1US1DE1IN1DE1MY1US1MY1CH4US80CAwD',
+	'E4IE2NL1US1IT4USwKR2US1vCA1US8qCA2USePK1USsxCA1USxCAgUS3kCA4US2CA2US8HK2US2HK4US8CAgUS2hCA1US1CA1US4z',
+	'CA1US1sIE2GB2US8AU2GB2AT2GB6AE2GB12ZA2US2CH4AE4BR4USsCA2USiJP4GB4IE2NL2US24CA4US4CA1USpCA1USdCA4USeC',
+	'A1USuKY1US6IN8JP4KR2USqIE2NL2USkNO2US1NO1SE4CH1US1CH2AE4USgPL4US5uGR1US87FR1US3lCA7US1CAoUSbrCA1US2C',
+	'A1US1CA2US6FR1US1DE1MY1US5kCAwUS4SG2US4CA2US1CA2US6CA1USjuDE1sNOgDEmMT2ES8MK8SA8IT2FR2DK4RU8US2IR2DE2',
+	'RU2SI2LV2RU2IT2RU2NO2RU4FI2LB2IT2RU2GB2SY2PL2RU2PL2RS2DE2UA2CZ4GR4RU8UA4SE4PT4PL4CHgNLgSA2DE2PL4DK2R',
+	'U2US1DE1TR2GB2DK2GR2BH2BG2NO1GB1BG2MT2DE1US1NL1RU2GB2ES1RU1CH1RU1FR1RU1GB1RU1DE1BG1GB1BG1DE1BG1IR1GB1',
+	'BA1BG1CZ1BG1BA1LT1SA1RU1PL1AT2SE2RO2IR2RU6US1IT1FR4BG4GB2FI2UA1RU1UA1RU2NO1PL1UA1IT1PL1GB1MD1DE1LT1D',
+	'E1SA1US1RU1PS1RU1TR1GB1TR1CZ1LV1RU1RO1CZ1LT1IT1SI1RU2GB1RU1NL1GBwFR1IR1GB1CZ1RS1FI1RU1SE1RU2NO1RU1SE1',
+	'GB2IE1IT1RU1GB1RU1UA1BE1CH1FI1SE1AE1HU1NO1SI1BG1HU1GB1USgATgUA4RU1UA1US8UA1RU1ILgFR3kNL1sDE1sFR1sESg',
+	'DKgSEgRU1IT1RU1DE1BA1LT1GB1RU1ME1NL1UA1NO1FI1RU1TR1SA1ESwRU1SE1RU1DE1RU1EE1GB1DK1RU1HU1SI1RU1KG1MD1L',
+	'B1RU1PL1RU1SA1CZ1PL1IR1CZ1CH1IT1BG1RU1BA3IT1RU1GB1SE1RU1FR1RU1BE1DK1LT1RU1AT1IT1DE1DK1RU1DK1ES1SE1RU1',
+	'GB1BG1JO1GB1FR1RU1GB1LB1CH1RU1SA1DK1RU2NLgPLgHRgITgPLgMXgIE4FI1DEbBEgRU1GB1RU2UA1RU2GB1NO1IT1UA2NL1F',
+	'I1UA2PL1EE1BA1LV1RU2PT1BE1ES1PL1RS1RU3PL1RU1GB8DE8RU8IR8GB1FR1IT1GB1CZ1RU1FR2DE8CZ8DE14LTwSE1sCZ4RU4',
+	'SE4BG4LV4RU4GB4GR4PL4KW4BG4NO4HU4SA4DE4SA4RO8SK8QA8CZ4NL4AT4TW2GB2RU8SE1RU1CZ1RU1NL1AM1GB1IR1SA1BH1C',
+	'H1BE1IR1DE1RU1GG1FR1sBG2CZ2BE2GB2PT2BG2HU2PL2AT2RU2MT2PL2IT2HR2TR2IE2GB1ES1CZ1RU1UA1YE1IE1PT1IT1DE1R',
+	'U1SA1HU1RU1GE1RU2DE1NL1RU1GB1SK1LU1GB1BG1AT2RU1PL1DK1IE1GBxPL1AT1FR1IE1RU1DE1DK1IE1BG1PL1LV1KW1CH1SY1',
+	'FR1RU1NO1DK1CZ1DK1MK1LT1CZ1GB1LT1GB1CY1RU1FR1PL1KW1IT1TR3kFR3kUSsFRcGP4FR2cIT74GB8USoES1GB3US4GB4US4',
+	'SE4GBcFR1sPL4IE4IT1ES1RU3GB1NL1RU1BG4RS4SE4GR4RU8AL4GR4ES2US1ES1KH4UA1RU1UA1RU5ES8RO8ES8RO8RU2HU4US2',
+	'HU2RU2GB2TR2BG2UA2IE2MK2RU2MK2IR2US2GRgBG1RU1DE1BE1FI1RU2PL1RU2JO1RU1NO1RU1PL1UA1SE2RU2FR2RU2SE4PL2R',
+	'U2DE1RU1IE2FR1RU1GB1FR1BA1RU1CH1SE1RU2FR1IE1ES1sNO8PL8RU8GR8PT8SA1NL1RU1FR1ES1NO1HU1FI1RU2SA1HU1PL1R',
+	'U1GB1JO1RU2DE1FR1RU1RS1IR1PL1ILwPLwDE74GBwFRwITwES1sGBwPLwNL8ES8NL8DK8FI1HU1AT1NL1RU1BA1BE1GB1DE1RU2',
+	'EE1RU1US1FR1RU1GB1SE1DE1IT1GB1NL1RU1DE1LV1UA1DE1US1GB1DK1RU2SE1BG1DE1RU1UA1RU1ES1IT1GB1IL1CH1FI1AT1G',
+	'B1EG1AT1IT2RU1GB2US1FO1MT1UA1RU1DE1RU1CZ1GB2NL1DK1RU1BG1RU1DE1ES1FI1DE1RU1NL1RU1DE1CH1DE1GE1RU1DE1GB1',
+	'ES1DE2GB1NL1DE2RO1DE1CH1GB1GH1GB1SK1DE1SE1DK1GB1NO1GB1RU2DE1RU1CZ1DE1DK1ES1UA1SE1RU1LU1SE1RU1IE1IT2R',
+	'S1ES1NL1DE1GB1ZA1HU1FI1GB1RO8HU8NL8ES8IT8GR8ATcNLjRU1IT8FR8ATgFR8US8DE3kDKwGB8SE4DE4PT4ES3US1ES4GBcI',
+	'L8ITgKW4FR4FI4DE4CZ4GB4DE4IR4GBgDKgBE8NO6US2ITgDK2CH1DE1DK2GB1DE1IR1IT1IR2IT3CZ1NO8FR8SE8CH8FIgES4GB3',
+	'IN1DE4AE4DE4GB4IL4GB4NO2LV2IE2LV2RU2GB2EE2GB2FR2BE2RU2DE2GB1PL1HK1SA1NO2SE2RU1GB1FR1RU1KZ1CH1BH1DE1I',
+	'R1RU1DE1NL1DE1RU1UA1DE1RU1SE1PL1DE1FR1DE2AT1DE1RU1FI1RU1GB1RU1LU1NL1NG1FI1RU1FR1GB1DZ1RU2CZ1RU3GB1ES1',
+	'RU1SE1PL1GB1RU1IT1RU1ES1IR1DE1RU2CH1SE1GB1UA1RU1GB1ES1HU1NO1CZ1FR1GB1RU3GB2CZ1DE1GB1RU1AT1--1NL1CY1R',
+	'U1IL1RU1GB1AT1CH1TR1PL1GB1DE1LT1DK1CH1TR2SE2RU2ES2EG2AT2DE2BE2IR2RO2RU2CH2FR2DE2IS2PL2DE1FI1AT1HU1NL1',
+	'DE1UA1FI1NL1RO1RU1PL1CZ1RU1GB1DK1GB1DE2RU1IT1DE1NL1SE1RU1CI1RO1RU4NL2RU2GB1RU1IT1DE1AT1PL1GB1RU1SE2G',
+	'B1IT1CZ1IR1DE1RU2NL1GB1IT3RU1PL1RU1GB2IR2ES1sFRwIT8NL8ES8CH8FRgCNgITgGBgFR4IT4BE8PT4GB1NL1GB1NL1GB8D',
+	'E1RU1SK1IT1RO1RU1SE1DE2FI1GB1DE1RU1CZ1IR1GB1DE1FR1ES1LU1FR1BA1SE1GB1RU1SE1RU1GB1RU1ES1RU1PL1GB1sIT1s',
+	'GB3kDE2HU2RU1CZ1DK1BG1RU2TR1UA1RU4BE8NO8GB2PL2BE2DE2GB2SE2NL2GB2US1ES1NL4DE2IT2GB2NO1NL1FI2RU8GB8RO8',
+	'HU8ES4FR4GR4GB4BE4AT4PL4NO4MA4PT4FR4RU4RO4FI4LV4GB4RU2SE1RU1IT1DE1GB1CH1ES4JP4NLgIT2SA1RS1FI2DE2PL2D',
+	'E2RU2KZ2TRgSE4AT4IL4PL4FR4CH4RU4AT4SE1sBEwFRwGB2cDE4AL4DEcJP4DE4GB4DE4GBxUS2IL1GB4NL1US3GB1IL3GBgDE4',
+	'TR4IT1sFRgGB8SE1ES1SE2GB4NLgROgIL8DE8IT8ES1VE2ES1GB4ITgNLgSE1DE1FR1RU1FR1DE2RU1FR1DE1ES1DE1SE2CZ1IR1',
+	'CZ1SE1SY1DE1FR1BG1NG1NL1CY2IL1PS1AT1BG1DK1FI1ITgGB3SG1GB4SG2GB1SG1GB4RU1IS1JE1IT1MC1GB2IT1RU1AL1RU1C',
+	'Z1KZ1PL1SE2RU1NO1ES1CY1LI1SE1CZ1RS1DE1GB1RU1FI1DE1SK1RU1SK1FRw--2FI2US1GB1EG2FI1CH1ES2EE2HU2HR2GB4FI2',
+	'NO2DK1IT1DE2LT2GB1CH1SE1NL1RO1BG1RU1SY1RU1FR1BE1GB1PL1NL1PL1DE2RU1LT1RU1DE1FI1HU1IE1FR1CZ1RU1GB1IT1B',
+	'E1PL1DK1ES1RU1CZ1UA1DE1PL1SE1TR1RU1NO1GB1CH1GB1RU1BG1SA1GB1IS1NO1NL1SI1AT1RU2HU1TR1NL1AT1FR1MR1TR1RU1',
+	'GB8PT8CN8US2ID1US1ES4PL4NL4RU4GB4NO4FR4IL4SA4NLcGB4NLkPL4OM4RU4DK1DE1US1IR1FI4SE8ITwAT1NL1IT1DE1IT1L',
+	'V1RU1HR1AZ1ES1AT1NO1RU1DE1IE1FI1GB1RU2NO1FI1FR1CH1SE1LT1DE1RU1DE1NO1NL1FI2RU2KZ2NL2EG2CZ2RU2GB2FI2NL2',
+	'RU2PS2DE1AE1DE2GB2UA2DE2CZ1RU1RO1RS1CZ1RU1SE1BY1FR1BE1RO1DE2GB1GE1DK1DE1JO1BE1DE1PS1IT1ES2SE1SI1PL1D',
+	'E1GB1UZ1IT1FI1FR4NL4AT4GB4CH4IS4TR4ES4FR3kPL3kES3kAT8TR4GB4NL1PL1AT1CH1RU2UZ1RU1IE8DKgCHgNLwDKwKW2NL2',
+	'DE1CH1ES2GB2NL2LU2LV2FI2GB2SG1PH1SA2FI2RU2IT2RO2GBgNO8AE8FRgDE8TH2NO1FR1NL1GB1TR1GB1IRgDEgUS8IL4HR4P',
+	'T4DE4BE4DE4GB1DE1FR1RU1DE1CH1GB3DE1GB1TR1AM1HR1RU1IT1SE4DE1IE1FR2GB1PL3RU1FI1PL1RU1FR1PL1PT1CH1SE1FR1',
+	'PL1FI1GB1RU1FI2ES1IT1IE1GR1CZ1BG1GB1FI1RU1NL1IT1RU1CH1FI1SE1GB1DE1GB1DK1GB1FRwCL8US8AT4ES4SE1RU1CH1R',
+	'O1RU2FR1NL1CY1PL1SK1SE1DE1FR1DE1RU1DE1GB2UA1LT1RU1DE1RU2SE1FR1CH1IS1FR1ES1CH1PT1SE1IE1RU1IT1AT1PL1ES1',
+	'EE1SE5LV1SE3LV1SE1LT2EE1SE6LT1SErLT1SE2LT1SEaEE1FR1sCZ4SE4IE4IT4GR4ES4FR4AT4FI1GB2AT1RU1BE2GB2SE1GB1',
+	'MD1RU1NL1RU1SE1IT1RU1DE1IE1RU1DE1DK1RU1LU1RU1CH1RU1SE1DE1PT2IT8SE8BG2GB1CH1CA1IL1RU2PL2ES4GB2NL4SE4R',
+	'U4GR4DE4RU4PL4RU4CZ2PT2LV2SE2NO1PL1RU2DE1RU1NO2PS2GB4FI2DE2RU2NL2ES2SEwHUgFRgGB1SA1GB6PL4DE4GB8FR4LT4',
+	'ES1CH1RU1NO1RU1TR1BE1SE1ES1JO1IT1GB2CZ1SE1DE1CH1AL1FI1GB1HU1RU1GB1BG2FR1GB1RU1GB1DE1SE1PT1NLwLT3US1I',
+	'T4FI4NL4EG4FR2US2PL2NO1DE1NL1DE1US1SI1DE1BG1PL2SI2NL2RU2CZ2GB2BG2TR2DE2GB4DE2US1LT1SK2RU1IR1NO2US2NO4',
+	'EE4TR1RU1GB1RU1EE1RU1SI1NO2NL1US1RU2UZ1BG1RU1LT1SE1FR1CH1DEwGBwCHcUS4ESgNL4GB4NLoES8PT8GB8IL8FRwNLgI',
+	'LgATgNL4RO4DE8ESwDE74BEwDE6RU1BG1NO4IE4RU4PL1NL1FR1GR1HU4DE3GB1NOwSEgIT8GB8HU8CH8IL8FI8ES2RO2EG2GB2P',
+	'L1FI1NO2SA2GB1SE1HU2ES2RU2LV2DK2BG2RO1FR1FI2LT1FI1IT1KZ1IR1CH1NL2DE1CZ1BG1RU1SE1RO1NO1NL1RU1CZ1NL1SE1',
+	'NL1SK1DE1LV1NL1DE1GB1FR1NL1RO1FR1IT1FIgBG1DE1RU1GB1CH1RU1IT1FI1GR1DE1FR1RU1MT1DK1BH1SI1CHwSE1DE1CH1-',
+	'-1RO1IR1TJ1GB1SI1BE1NL1DE1SE1PL1BG1SE1US1GB1FR1RU1AT1CZ1DE1GB1BG1PL1FR1DE1IR1RU2LV1DE4NL4IT4NO4IT4RU4',
+	'DE4FI4DK2SE2DE4BE2RU2BE2DK2RU1BE1PL1RU1TR1FI1KZ1EE1SE1MK1SE1RU1AT1GB1FR2IT1sES1sIL8HU8FR8CZ8GRgFIgDKg',
+	'ESgDE1NO1RU1IT1NO1SE1IT1US1CH1NL1AT1GB1IE1ES1BG1RU2GB1NL1GB1RU1DE1RU1LU1RU1HR1BA1IT1GB2RU1FR1TR1sES1',
+	'LB1NO1DE1KG1PS1RU4DE1UA1DE1AE1GI1RU1GB1IS1IT2PL1RU1FR1SE1GB1BG1RU1BG1GB2DE2ROgATgPL4DK2SA2BG2IL2FI2C',
+	'A1JP1AZ2CZ1DE1GB2IR2FI2IE2CZ2SK2GB1DE1GB1US1GB2IS1IT1PT8RUgNLmMH1SG1US4DE4ES4EE2TR2OM4ES1NL1IL1ES1FI8',
+	'FR2NL2DE1TR1GB1IT1CZgNOgFRgRUgDEwPS1FR1DK1IM1IR4RO4BG2US1BG1FI1SE2GB5DE1NL1DE2DK4RU1ES1RU1FR1CZ1KZ1A',
+	'T1PL1SE1SA1SE1FI1SE1DE1SA1CH1SA1NO1BG1EE1DE2SE1IS1IR1RU1UA1PL1AT1DE2GB1NO4BE4PL1DK1RU2NL1FR1DK2RO1IR1',
+	'RO2DE4LT4CZ4ES1US1DE1IT1DE1RU2US1GB4MY4GB4US4DEaSK2FI2ES1BG1CH2DK2ES2PL2IS2DE2NO2PL4GB1NL3UA2SEwDE1A',
+	'T1LT1MT1DE1RU2FR1RU2GB1BE1SE1GB1IT1RU2DK1RU1DE1AT1FR1SA1SK1ES1HU1AT1SE1RU1CZ1IT1IR1PTwSK4RU4IL4ES4NO4',
+	'EE4LV4CZ1LV1BG1BE1GB3kHR8RO8QA8LT3US1BE4IEwDK2NL2CZ4FI4SA4DK4GB8IR4DE2AT2IR2BY2SI2DK2AT2HU2SA2FI2SI2',
+	'CZ2RU2NO1QA1GB1PL1US1CZ1FR1sNL18GB4NLgAEgLT4HU4RU4DE4IR2RO1IR1RO2IR1RO4MD1RO1IR2RO1JO2TR2IR1ES1IT1RU3',
+	'IT1SK1RU1UA1GB1PL1US8FI8CHgROwGB74FR3sUS4FR38IT3kIE1sDKwUS1CY1DK7ES1DKmBEgILgDK8GB8KZ1SA1US1UA1DEcTW4',
+	'GB4SG3GB3SG1GB2SG1GB5SG1GB4US4FRgFIgPL2SE2HU2BG2EE2FR2PL1LV1US1NL1FR2FI2PL2SA2GB2CH2PT2RU2DK4PL4DE4I',
+	'R4FI4SA4LV4ES4GBgDK1BG1RS1PL1RU1GB1RU1GB1NO1DE1BG1RU1SG1GB1SI1RU1BG7DE9TH2ES6BG4GB4DE74IE1GB1DE1UZ1D',
+	'E4GB4NL4PT4SK4IE4PL3NL1AE8GR8PLgNLwESwGB2RU4DE2LV2RU2SE2BG2RU2CY2HU2RU2DE2SA2FR4IE1CZ1IT1US1NL4DE4ES4',
+	'RU1GB1FI1ES1GB2DE2IT1DE1FR1GB1RU1PL3RU1FR1RU1LU1IT1SE1AM1RU1HU1RU1GB2KZ1BG1AT1GB1RU1JE1UA1SK1DE1CH1R',
+	'U1NL1BG1GB1LV1PL1KZ1LT1IR1AT1NO1PL1MD1US1RU1GB1SE1RU2IT1NL1RU1NL1RU1IR1SE1FR1NO1HR1IE1RU1SE1NL1RU1NO1',
+	'IM1RU1MC1RU1MD1FR1KZ1ES3kIT3kDE1sSE1IT1BG1DE1SA1CZ1GG1RU1GB1RU1GB1ES1GL1DK1SE1RU1NO1ES1NO1RU1CH1NL1F',
+	'I1RU1SY1RU1FI1RU1BG1RU1ES2NOwGB1SE3GB8DE4CZgUSwFIgAT8LT8FRwDE4SE4DE4SE4HU4DE8RU2LV1UA1FRwGB8CZ4IT2RU2',
+	'ES2FI2IS2IT2DE2GB3RU1US1RU1DE8UA8PL4PT4RO4NL4FR3kFIgEE4GR2BE2DE4PL4SI2RU2BH2RU2FR2GB2MT2BG2RU2KZ2DE2',
+	'RU4SE2HR2LU2NL1CZ1DE1GB1DE1MC1SA1HU1RU1PT1GB1GE1GB2NL2SK1DK1GB1RU1SA2CH1FR1DE1UA1PT1GB2DE1RU1DE1LT3U',
+	'S1DE4RU1DE1NL1RU1FR4PL4NL4LT8TR3kDE8FR8SA8ES8NOgDEgFR1IE1DE1AT1HR1FI1IS1ES1RO1IE1RU1FI1TR1IE1UA1DE1R',
+	'U3GB2DE1RU1IT1RU1CZ1RU3RS1RU2CZ4BG2PL2AT2ES1PT1FI2DE2MD2DE1RU1CZ2ES2FR2NL2CZ1RU1AT1GB1IR1ES1IT1MD1RO4',
+	'IR1MD1IR1MD2FR1RO3GB1RO2IR1RO2IR1RO1IR1ES1RO1ES1MD1ES1IT1LT1RO3IR1MD1RO1IR1RO1MD1IR1RO2IR1RO2ES1RO1I',
+	'R1RO5ES1IT1RO1IT1ES1RO1IR1RO1USwDEcUS4ES8US4DE4PL1sFR1sIT8NL8IE8CZ8AT1RU1IS1DK1GB1IT1RU1NL1FI1BG1GB1',
+	'RU1GB1RU1DE1RU1SA1RU1LB1PL1RU1PT1RU3NL1DE1RS1LV1CZ1RU1BA1RU8PT8LT1US6LT1IT8ROgIE1NL1RO2DE1NL1DE2SE2T',
+	'H1IE3TH1DE1ESgHUgRO8IL8ES8SI8DE1SA1IR1AT1DE1GB1RU1GB1NL1UZ1BA1DE1SA1HU1OM1AZ1BH1HU1IT1RU1RO1MD1DE1NL1',
+	'GB1DK2HK1PL1GB1RU1NO1PTgFRgSE2IS2PL4NO2UA2RU2DE2HR4IR2RO2FI2DE2FI2GB2FR1DE1GB2RU4FR4PL4HR4SK4PL4RU4C',
+	'Z8RU8PT8DE8IE1UA1DK1AU1FR1AT1FR1MK1PL1IT1DE1RU1MD1GB1CZ1PL1NL1RU1IT1PL1RU1YE1RU1SE1FI1CZ1IT1BG1NO1DE1',
+	'PL1RU1USgIR4GB4IR8NL2PL2LV2HR2DE2GB2KW2CZ2RU2DE1IE1MK2NL2PL1CH1GB3RU1NL1CH1RU4UA4GR4QA4SI4GB2US1GB1P',
+	'T4BG4RS4CH4KZ5IR1AZ1IR1NL4RU1EE1IT1RU1GB1IT1RU4HU2FRgPLgGE1RU3DK1DE1CZ1SE1GB1IE1FR1PL1CZ1IR1RU1EE1SE1',
+	'FI1CH1UZ1RU1IL1SA1KG1PL1DE1RO2CZ1PL1RU1DK1GBgDEgGB1RU1NL1RU2LT1RU3DE1RU2HU1RU2GB1UA1RU1TR1BG1RU1SE1B',
+	'G1RU1US1NO1LV1RU1NL1RU1GB1NL1FR74SK2FR3iUS4FR3gLV1SEdLV1SE5LV2SE1LV1LT1SE3LT4SE4LT2SE2LT4LV4LT4SE6LT2',
+	'SE8NL4AT4IT4SA4JP4RU8GB2AT2DE2SY2RU2BG2GB2RU2PL2RU4SI2TR8ES1sSK1CZvDK8DE8RU8EE8GB3kSE1sGB1sDE7kFRgAEg',
+	'RUgIT8HU8GB1CH1GB2SG1GB3BE8FR4DE4UA1PL2LV1FR4BG2IR2TR4PL4EE4DEgDK8GB1PL1IT1RU1AM1RU1GB1RU1HU4LV2RU2I',
+	'Q1IR1DE1TR1RU2DE2RU1DE1IR1GB1DE1RU2GB1SG2US2GB4ATgES8AT8HU4FR4RU4NO1NL1PL2UA4GB4ES4SK4SEcEE2SE2GB1US1',
+	'DE1RU2AT1IR2FR4NO1CH1NO1KZ1IE2DE4HU2CH2GR2CZ2BG2GR2KW2AT2NL2LV1RU2PL1RU1GB1RU1IT1SY1HU1RU1DK1SE1FI1P',
+	'L1UA1RU1EE1HU1PL1RU1KZ1SA1HU1SK1RS1BG1NL1NO1RU1BY1PL1FI1RS1PL2GB1FR1GE1GB1FIwFR1sBEwNL1IR1NO1CY1KZ1R',
+	'U1IR1SI1GB1NO1AT1JO1ES1AD1RS1IT1LV1FR1UZ1RU1PL1RU1UA1PL1CH1RU2DE1BA1SK1SE1RU1DE1RU1UA1PL1NL1PL1RU3GB1',
+	'RU2RO1NL1RU1DE1PL1UA2RU1UA1RU3DE1PL1DE1RU2PL1GB1RU1UA1PL1RU1UA1RU2UA1RU5UA1RU3DE1RU4PL1RU4PL1RU5DE1G',
+	'B1RU2PL1RU1PL1UA1RU9DE2RU2NL1RU1GB1PL1RU1UA1RU7NL1PL1RU3PL1RU3PL1RU7UA1RU4UA1PL2RU1PL1RU1PL1RU4PL1UA1',
+	'RU1UA1RU1PL1RU2PL1RU1PL1RU1PL1RU2DE1RU1NL1RU4PL1RU2PL2RU2PL1RU4PL1RU2UA1RU2PL1RU3PL1RU4UA1PL1RU9PL1G',
+	'B1RU1PL3UA1RU2AZ1MD1RU1UA2RU1ES1UA2RU1UA1PL1CZ1UA1RU1ES1RU1PL1UA1SI1RU4DE8UA1DE1ES1SE1IR4ITgGBhIN1ZA1',
+	'GB1DE3NL1GB8US8GB2gSEgRU2BA2SI2RU2UZ1CZ1RU2SE1RU3GB8RU1SE1RU1DE2DK1RU1ES1TR8KZ8SA1GB1BE1NL1LV1FR1RU1',
+	'KZ1US1DE1RU3GE1DE1IE1SK1GB1UA1HU1MK1RU1SI1ES2RU1GB1GE1RU1MK1RO1PL1ESgAL1DE1PL1DE1TR1CZ1FR1US1GB1KG1L',
+	'T1DK1TR1RU1GB1AT1NLsUS2GB1NL1DEwROwFRwAEgRU8FR8CHgNLgUS5UA3IR1ES1MD6DE8GB1RU2DE1US1ES1GB2NLcFR1NL3RUg',
+	'FR74UScDEkUS8JP8DEcGB4DE1cNO8FR4LU1RU1IT2DEwGBcNL4GBhLV1CZ1SK1RU1GE1BA1RU3GB1IR1FR1RU1IT1CZ1SE1SI1RS1',
+	'SE1SK1HU1FR1SK1DK1IT1RU2BG4AT2RU2US1UA1HU2PT2LU2MT2IE2DE2RU2JO2CZ1RU1NL2SE2RU4FR3kIT4gUSwRU8AT8BY8RS8',
+	'RU1IT1RU1DE2TR1GB1PL1DK1RU1DE1RU1GB1TR1IT1IQ1SE1RU1DE1RU1DE1ES1FR1GB1IT1GB1RU1TR1NL1GB1RU1NL1GB8SA4C',
+	'Z4RU4IT4PT4SI4DE4PL4FI4IE4PT4CY4IR4AT4SA4RO1MD1RO5ES1RO2GB1IR1MD4IR2MD1NL1DE1ES1IR1ES1IR2MD2US2RU2GB2',
+	'GP2DE2RO2BG2RU4NO2BY2NL2IR1UA1LB2UA2US1DExHRwITwGB2BG2CZ2RU2NL2PL2TR2BG2ES4RU1PL1RU2FR1SE1RU2PL1HR1P',
+	'L1RU1DKiSE1DKdSA8UA1RU1UA1RU5IL8RU2GB2RU1PL2UA1FR1DK1ES1PL1RU1DE1GE1LV1SA1RU1DK1UA1NO1RU1IT1PL1RU1BA1',
+	'PL1US1DE1CZ1PL1RU2TR1SE1FR1FI1RU1BG1UA1PS1NO1DE1DK1CZ1KZ1RU2GB1RS1IT1DE1NL1RU2CH1RU1IT1FR1RU3IT1RU1C',
+	'Z1DE1NL1RU2KW1NL1BE1DE74GB1sAT1DE1CH2MT4DK4RU4AZ4HU4FI4FR4IR2RU6BG2RU1YE1UA2HU2RU6KW2GB2LV2GB1DE1RU2',
+	'ITgUSgPL4RU4PL4GE4HU4RU1UA2RU1NL1DE1PT1CY1SY4SA8RU8RO8TR8AEgPTgGRwRU1BE1DE1GB1PS1IT1TR1RU1IT1HK1IR1C',
+	'Z1RU1PL1RU1NL1BH1UA1ES1GB1RU3SA1CH1TR1PL1RU2TR1DE1BH1IT1sSAgLV1DE1FR1RU1FI1RU1IR1BG1TR2IT1IE1NL1SI1N',
+	'L1SE1BEwCZ8DE8GBgTRgPL1NL2RU2DE1FR1GB1IT1GB1IT1GB1RS1IT1RU2KW8DE4GI1US1GR1GB1PT8DE9SE1SK1RU2SE1GE1RU2',
+	'DK1RU1TR1DE1NO1MD1BG1SE1SI1RU2IT1UZ1PL1SY1RU1GB2NL1RU1FR1RU1FR1DKwPL4UA4PL1RU1US1UA1BG8NL4RU2UA1RU3I',
+	'L2ITwNLgPL4GBcUS1IT1ES1DE1RO2IT2UA8RU8IR7DE1IR4OM1IT1GB2LV2DE2LB2FR1KW1RU2IL2DK2RS2RU2BG1HK1CN2SE2US2',
+	'GB2US1GB7IL4GB8RU1IT1GB1RU1IT1RU1GB1DE1AEwNLwDEwBEgES1GB1NL1RU1NL1GB2RU2IT1RU1UA1PL1UA1RU1NL1RU8SE4T',
+	'R4GB2BG2FI1DE1RU2FR8PL1RU1UA1GE1RU1CZ1GR1RU2CZ1RU1NL1RU1MD1RU2UA1LT1HK1CH1SE1IE1RU1AT1NO1SE1PL1EE1RU1',
+	'GB1FR1RU1UA1ES1HU2JO2DE2BA2HR1DE1RU2PL2LU2SY2RU2HR2SE2PL2RU2SE2TR1sESwRU10DE4NO4IL4US1NL3RU4IR4ES4CN8',
+	'BG8IE8RU1UZ1RU1CZ3RU1CZ1PLgRUgKZgESgIR2RU2MD2TR2KW2RU2UA2RU2LV2RU2PT2US2RU2TR2RUcIT8RO8RU8SE1RU1IR1C',
+	'Z1DE1RU1FR1RU1GB1KZ1CZ1RU4IE1RU1BH1RU2NL1TM1RS1CZ1MK1IL1AZ1RU1BG1KG1SI1BG1DEgPTgNLoSK8GE2RU4SK2RU6AL2',
+	'PL2RU2SE2UA2RU2IT2BG2NO1FR1DEwESwGB1BY1RU1DE2GB1RU1ES1DE1GB1RU1GB1RU1DE1RU1GB1UAcGB1UA3PT2FR2RU2GE2M',
+	'Q2GB1RU5FR1SE1IT1AM1RU1FR1GB1RU1ES1DE1TR1RU3CZ1SE1GBwRU1CH1NL1GB1EE1MD1RU2DK1RU2GB1ME1PL1NL1SE1MK1RU1',
+	'BA1DE2IT1FR2UA1PL1BG1RU1SY1IQ1RU1SI1PL4RU4IR4RU4BG4RU4GB1DK3RU4FR1HU1DE1BG1CA1IT1RU1ES1FR1NL1RU1IQ1R',
+	'U1HU1FR1PL1GB1RU1PT1JO1TR1CZ1RU1TR1IT1RU1DE1RU1PL1JP1FR1GB1FR2SI2GB1US1SA4HR2RU2NL1GB1RS2MK2RU5CZ1BE2',
+	'RU2TR2SAgRUgSE1sDE4SE3DK1FR4NL4SY4RU4FR1BG1DE2PL1RU3FI8SA8RU8DE8IT3kAU1US1SG1US1CA4UStKH1OM1US15CAgU',
+	'SpTH1CA1US1iCA1US1CA1UScCAwUSsCA1US1CA1US6vCA2US7CA1USmkCA1US2CA1US3kCAgUSn4NL4FR8DE1US1DE2US8IN4IE2',
+	'NL2US2wBR1US2AE1US2sCA1USfSE4US4IN4US1dCA1USdmSE1US7fAE1US5ZA1ID1CA4IE8US2BH1UShIN1US70SE1US4CA1US4h',
+	'CA2USqCA4USwCA5cUS4tCA1US2a--74USe8IN1AU1TW2KR1JP3IN2JP1AU1TW4CNgTWwCN1sHK1SG2HK1SG1KR1CN16CL1HK1SG1',
+	'BR1US4SG1MX1SA1PH1SG4CN8JP1PK1JP2TH4CN4VN1KR1IN1NZ1CN4KR2JP2ITgUS8IT8CN1lSG1HK2KR4CN1sJP1VN1CN2JP1SG1',
+	'JP2NZ4VN1MY1GU2NZ3SG1NC1CN1KR2JP1CN1JP2AU4CNgTH8JP1CN1JP6AUwCNsSG4CN1ID1JP2CNsTWgJPgCN1sAU3kCN14KR4J',
+	'P2CN1JP1CNgIN1sCN14SG1CN1AU2KR4CN1kKR4CNgID4KEwEGwMGoGH1ZA1RW1ZA1BF1ZA3TNwZA8UG4RE4ZA8LY1ZA1BJ1NG1ZA4',
+	'EGwMAwEGwZA2TG2ZA8NG1ZA2CI1ZA3MG1LY2ZA2MW8MAwUGwNGwMAwTNwMUwSDwTN1ZA2NG1ZA1CG1ZA5AO1ZA1NG3ZAcSC2ZA1N',
+	'G1CIgZA2GM1KE1CG1ZA3GA4SL2SD2ZMwTNwMUgZA2SN1ZA3BW1ZA1KE8TNwGH2MU1ZA4ZW1BFcSD4ZA4--4EGw--14ZA5KE2AO1K',
+	'E1ZA1KE1ZA1KE1ZA2TZ1ZA6KE1ZA3KE1ZA6KE1ZA9NG1ZA3KE1TZ1KE1ZA2KE1ZAcNG1ZAmMU1sTNgCMgZAwAU4HK1IN1MY1AU1J',
+	'P3CN1JP1CN2ID1JP1SG1KR1IN1PH1AU1JP1CN1JP2HK1AU1VN1IN2CN2ID1AU1ID1AU1VN1BD1VN1AU1ID2IN1KR1HK1ID1IN1AU2',
+	'MY1ID1JP1IN1JP1BD1ID1HK1IN1SG1CN1JP1AU1HK1IN1CN1IN1ID1IN2ID1AU2IN2CN3IN2JP1ID2AU2IN1AU1ID1CN2ID4AU1I',
+	'D1IN2CN1ID1CN1HK1IN1ID1IN2ID1IN1CN1HK1AU1ID3IN1ID1IN1AU1ID1AU1HK1IN1ID1CN2PK1ID2CNdIN1HK1IN1ID1IN1CN3',
+	'JP1CN4HK1IN2CN4JP1TH1CN1IN2CN1ID1CN1IN3ID1CN1HK1CN1IN1CNaIN1CN1IN2SG1IN3CN1AU1CN1HK1IN1CN4IN2KR2IN1C',
+	'N2IN2CN3IN4ID1IN2ID1CN2VN1IN1JP1INfHK1IN1CN1IN2CNeIN5CN3IN2VN1HK1VN1IN1VN1HK1IN5HK1CN1IN1CN6AU1CN3VN1',
+	'IN3CN1IN2ID1CN1ID1IN3VN2ID2IN1ID1CN2IN1CN1IN1ID1IN1ID1IN4VN1IN2VN1IN4CN1IN3ID1IN1CN1BD1IN1HK1ID1CN1I',
+	'N3BD1CN1IN2ID1IN1CN3IN1CN2VN1ID1IN2CN5IN2ID1IN1CN1IN3ID1AU1CN2IN2CN5IN2CN3IN1CN1IN2CN2ID1CN2IN1CN1ID2',
+	'IN1CN2IN1AU1IN1CN2IN1ID1IN1ID2IN2CN1ID1IN1CN1IN2ID1CN1IN2ID1CN1VN1IN1ID2IN1BD1IN3ID3IN1CN1BD1IN1ID2I',
+	'N1BD2ID2IN1HK1BD1AU1IN2CN1IN1ID1IN4CN1ID1IN1TW1ID1IN4CN1IN2BD1IN1ID2IN1ID1IN1TW1ID2TW2IN1ID5IN1CN1ID1',
+	'BD1AU1IN1ID1IN2VN1--4ID1IN1TW1BD1TW2ID1VN1ID2BD1ID1IN1CN1IN4BD1IN1BD1IN2BD1ID1IN1CN2ID1IN2BD1IN3JP1I',
+	'D1VN1BD1IN6ID1IN1AU1IN2ID3IN1CN1ID6IN1ID2IN1ID3BD2ID1IN1ID2IN1ID1IN1ID1IN1ID2IN1ID8IN1ID3IN1CN1ID1VN1',
+	'ID1VN1IN1ID3IN4VN1ID1IN1ID1IN5ID1IN6ID1IN4ID2IN1ID1IN7ID4IN2ID7IN4ID2IN1ID4IN6ID1IN7ID1IN8ID3IN3ID1I',
+	'N2ID1IN5ID1IN3VN1IN5ID1IN2ID2IN1ID1IN1ID1IN3ID1IN3ID2IN6ID1IN1ID1IN1ID2IN1ID1IN2BD1IN1ID1IN1ID2CN3IN3',
+	'HK1CN1IN9CN1IN5AU2CN1BD1CN1VN1IN5CNdIN2CN1IN1CN2IN2CN1IN7CN2IN3AU1IN2CN1IN2CN1HK1IN3CN3IN1CN4IN1HK1I',
+	'N2CN3IN2CN1IN3CN1IN3CN2IN1CN1IN1CN1IN3CN6VN1CN8IN1ID1IN7KR1IN2AU1IN1ID1CN1IN1HK1IN1CN1IN1HK1CN2IN1KR1',
+	'IN1CN1IN2HK1IN1HK1AU3CN1IN1ID1AU1CN1IN2ID1CN1IN1CN4ID1CN2VN1CN3IN1CN1IN1CN1VN1IN1CN1IN5NZ1IN2NZ1ID1C',
+	'N2IN2HK1JP1IN1CN1BD1AU1IN2ID1VN1AU1JP1CN1IN1ID1JP1HK1ID1AU1IN1AU1IN3CN1IN1AU1IN2CN1IN5CN1IN3AU1IN1CN1',
+	'IN1CN1IN6US2lNL1US1wNL2BR1IE1US1IE1US4SG2US6NL1IE1US2NL1IE1US4NL1US1tID1US1JP1SG1US6AU1SG1US48DE1IT1',
+	'JP1FR1US40CA2US5DE1USsDE2USeBE2US1TW1US4CAaUS2SC1US2CA1US8CA4USaRU1US31CA2US4CA2UScBE2TW2USkCA4US9HK1',
+	'US3AU1US3AU1US3IN3USaJP1NL1JP1US1SG2USkCA2US5JP1US6CA1USxDE1SA1US2CA4USgFR2US8CA1US1CA4USeCA2US6DE1U',
+	'S1DE1US2CA1GP1CA1USmZA1sMU1sEG1sKE1sMA1sEG1sDZ1sNG1sMA3kKEwAOwZA8RW2--2RW1--3EGgZAgMAgEG1sZA2gKE8NA4',
+	'ZA4MW4CI2DZ1NG1ZA8SD8ZA1sCN2TH2TW4CNwKR2SG2CN44KR2GB1FR2KR1BR1ES1CN4IN4CN1cTW8IN8AUgJP8CN8INgCN1sKRw',
+	'TWgCN28JP74IN3kCN1sKR1sUSoCA1US2vGB3kUS9lSC1US2CA1US7JP4USkCA4US4CA2USq--8US6CA2USgCN8US6CA2UScLU2ES2',
+	'USnCA3USeaCA4US74IEwID8US8BR4NLcUS21CA2US3CA1US1--4UScCA2US8CA1US2CA1US2CA8US2CA1US3CA1USeDE1US2CA8U',
+	'S88FR3kNLwDEwPTgITgDKgHR2RU2HU2RU2FR2RU2BH2RU2ILgDE1RU4DE1IT1FR1NL1IT1GB1DE1NL1GB2RU1CZ1NL2RU2GB1AT1',
+	'CZ1SE1TJ1RU1GB1CZ1DE1RU2IEgCZ8SA8DE8UA8BE8DE8RS8RU2NL1RU1UA1RU1PL1RU1ROwSE1GB1UA1BG1HU1RU2CY1CH1FR1R',
+	'U2PL1BG1NL1CZ1FI1UA1GB1NO1DE1NO1GB2LV1RU1HU1NL1RU3RS1ITwRU1LU1RU1BG1US1RS1BG2CZ1RS1FR1IR1SI1GB1RU1CZ1',
+	'RU2SE1RU1IE1DE1IR1PL1RU1AT1BY1RU1AZ1IQ1RU1SI1BE1sGB1sBG2IL2RU2BH2UA2IR2NO2BA1RU1CZ2CH2RU2BA2SA2RO2ES2',
+	'RU2IT2RU2GB2RU4GB2RU2SA2RU2GE2RU2PL2RU2GB2BA2GB6AE4GR4NO4GB8SI4CZ4RU4MD4IL4RU8NO4FR4RU4DE8RU8PL2RU6R',
+	'S1RU1DK1RU1PL2BG1NO1GB1RU2NL1IR1RU1NL1RU2CZ1DK1CH1NO1FR1IR1RU1GB2FI2FR2ES1RU1KZ1SA1RU1PL1RU1PL1RU1UA1',
+	'FR1sIQ1CZ1GB2RU1SE1IR1RU1IL1RU1DE1RU1HR1UA1ES1RU1GB1ME1SE1TR1UA1RU3SK1IR1RU1DE1PL1CA1CZ1GB1NL1ES1DE1',
+	'FR1GB1CZ1DE1RU2ES1RU1GB1DE1NL1RU1DE1JP1RU1BE1RU2UA1DE1JO1FR1RU1SE1CZ1IR1GB1US1DE1FI4PL4GR4PL4CN4RS4G',
+	'B4NO4CZ4GB4DE4UA4RU4IL4RU4IE4JPgHK1KR1JP3AU1KR2CN8KRwCNgAUgTWwAU8NP1KR1US2KR4PKgCNgKR1JP2KRdCN4TH4IN1',
+	'JP1TW1JP1CNcJP2PH6CN14JP8KRgCN8JP2MY1KH1CN5KR1IN1CN3TH6HK4CN1cJP1SG1KR2CN1PH1KR1PK1CN3sJPwIDgAU1cCNo',
+	'JP4MY4JPgTH4KR2JP2CN8THgJP1KR1IN1CN3AU1CN1AU8CN5cINgCNgJP1ID1JP6SG1KR1JP1SG1HK2PH1IN1CN8YE1MX1AU1US2',
+	'ID1AU1US1CN8wUS1JP3SG2KR1JP1CN4AU1ID1JP1KR1PH1CN1JP2NZ4TW8CNwTWgTH4CN4JP8PK1RU3JP6MY1PH1SG2KR1SG1IN2',
+	'PK1SG1IN4ID8JP1sCNoKR2KH1AU1JP1CN2SG1CNkJP1PH1AU1IN1CN4oJP8CN4KR2JP2CN1cTW8CN8JPgCN2oJP8KR8AU4SG2CN6',
+	'TH1SG1LK1JP1CNwJPdCN2TW1JPgTW1sCN7kJPgKR1VN1KR2CNcKR8VN1TW1ID1JP1IN4CN2oTW8KRdIN1CN2IN4CNsHKcKR1TW1T',
+	'H1KR1CN18KR3IN1LK8JP2KR2JPdKR1JP1KR1AU4TH8KR5cCNgIN3KR1VN4PH6SG2PH1cKR5HK1AU2KR4ID4KRwCN4oKR1SG1HK2B',
+	'D2ID1CNtPH4NC1FJ1JP2KR1NC1TW1SG1VN6MY2CNgHK4US2KR4IN1US1CN4JP1cCNwVN1MO1CN1KR1TH4CNmKR1LK1KR5AU1TW2C',
+	'N7kJP1KR7CN1cJP1sVN3kID1KR1JP2IN4CN8TW4JP1KR1JP2KR6NP2CNcIR2ES1PK1CNgJP1CN7MY8CN1ID1JP1HK1CN2JP2CN8K',
+	'R8CN3sHKgID1sJPsNZ4TWgCN4KR3SG1KR1AU1KR2BD1JP1IN2TW1sJPgKR8CN8USgCN10JP3NC1KR8AUsID1CN1IN2CN34KR3PH1',
+	'TH4CN2KR2CN1JP1AU1KR1CNuSG1CN1IDwTH4JP1KR1US1KR1BD4TH4CN4MY4JP4CN4TW8CN8TW4KR1CN2KR1JP3GU1IN4JP5sCN8',
+	'AU2PH1JP1KR1ID1KRyCN5cKR2oCNoJP1TW1JP3KR1TH1JP1CNgJPgKR8AU1PK1SG2TW4CN28AU4JP4SG4TH4KR4AU1KR1IN1JP1A',
+	'U4KR4VNwTWgCN1LA1MV1US1PH1ID1KR1CN1KR4TH4KRwINgCNwIN1cCNgAU1ID1JP6HK2NC1KR1BD4AUgMYgKR14JP1AU1PH6CN1c',
+	'KR2HK1IN1KR4JP8MY4JP3TW1AU1CN1JP2PK1US1JP2CNwUS2JP1US4JP1AU1KR1ID2JP4CNgIN8PK3AU1IN1NZ1AU2NZ8CN5kIN1s',
+	'PK1MY1JP2CN18JP1LK1SG2CN4SG8CN1sKR1sHK8CN1IN1PH2SG4CNoPK2JP1TH1TW4CNgJP8CN2US1HK1KR2JP2GU1IN1CN1BD1C',
+	'N6JP2PK4INgCNgJPcGB2JP2KR4CN4SGeKR1JP1AU1PK1ID1JP6AU1JP1HK1PH2KR2JP4CN4VN1sCNoVN2TW1JP1IN4KRwCN79JP1',
+	'IN1JP1CNcMY2JP1SG1CN7NZ1KR8DE8CN2HK2CN4ID1HK1IN1ID1CNkKR1ID1KH1AU1ID1CN4SG1CNmJPgCN1sAU4TW4CNwAU5CN1',
+	'NZ1HK1CN8JP2CN2AU1KR1CN2VNwCNwKR8SG1HK1JP2TW4AU1JP1SG1KR1CN2sJP4TH4CNcUS4KR4JP1KR1AU1KR1ID4JP2KR1AU1',
+	'TW4CN6SG1PH1CN1oJP1CN2fINgCN8PK1ID1AU1JP1ID1TW1JP1VN1JP3ID1SG4CN8JP8KR8CNwAU1CN6TH1VN2CN2KR4CN17PK1C',
+	'N6cIN74JP2oCNcJP2SG1VN1CNgKR3kCNcAU1JP1KR1BD1VNgCN14ID1JP1NZ2JP4CN8JP8CN8NZ4KR2ID1JP1NZ8IN8IDcHK1ID1',
+	'TW2MY8CN1AU1IN2JP2HK1KR1JPcHK1VN1PK1MY1JPgCN1oAU2CN1KRhCNgID8AU7KR1HKgCNgNZ8TW4JP10TW1cTHgKR4JP4CN4B',
+	'D4CNkIN4CNcSG4CNcHK1CNrSG8CNoAUgCN8SG7CN1KRwCNsTWcKR8JPcCN4JP8CN4JP4CN1lID1CNmHK2SG1HK1AU1HK1AU1HK1C',
+	'N2JP2AU2ID2US3ES1US1HK1US2TW4NZ1AU1VN1TW1CN4KR2AU1VN1AU1KR1VN1CNlJPdCN3HK8TW1PK1KR1JP1TH2JP1CN16TH1K',
+	'R1SG1IN4CN8TH4JP4CNwSG2KR2CN8KR1TH1CNfTH1JP1KRxJP4PK2SG7KR2SG1TH4AU2TW2CNcNL4KR1IN1JP1ID1JP4CNwPHgCNw',
+	'JPgCN8MY1ID1MY1TH1PH4CN40BD1US1KR1JP1KR4JP4IN3CN1PKyBN1TW1KR1AU1CNqJPwCN1sKR3kNZ2JP2AU4IN8JPgCN8SG4I',
+	'D1FJ1CN1KR1HK8JPwHK8CNgAU2ID1IN1CN24AUwCNgPH4AU1PH1JP1AU1CN28BD1KR2JP5CNgINwCNxVN1CN2KR4JP8CN1cJP1AU2',
+	'HK1PH1NP1JP2CNcJP4CN8TW3kCNwNZ1KR1CN1JP1CN2JP2AU1IN1JP1IN1MYcKR4JP2CN1KR1AU1sID3kCN75KR3PH1KR1JPaCN8',
+	'SG8CN40AU8CN1IN1CNeJP1KR1TW1KR1CN4ID2CN2KR4PH2AU1KR1CN1KR2GU1CNbPH1HK4CNgKRgCNgNZgCN8KR4AU2CN1NZ1JPw',
+	'KR4CN4NZ4US4JP4US3JP1US1JP3US1JP1US2PH8NZ8ID1KR1CN3JP1ID1KR1JP20MYgKRcPH1KR2AU1KR74CNwAU1KR1JP1AU1CN4',
+	'HK8CNgAU1sCN1sINwCNgKR9TW1KR2CN4KR1CN3JP4PH8CNiZA1CN5HK2CN4SG2CNcIN4JP1sKR1sCN5KR1AU1JP3IN2CN4PHgNZw',
+	'CN3sIN4TW1AU1KR3TW1MO2KR4CN2JP6AUwCNgTWcCN4TWwKR4VN1PK1AU1KR1JPoCNwTW1PH1CN2JP4TW8AU4GB4AU8JP3CN1KR4',
+	'TH8CNgIN34CNwJP8CN4AU1KR3ID1CN1AU1JP1MN1AU1TW2KR1AU1KR6CNgJP1sCN2pJP2SG1JPcUS1KR1US1KR1JP4TW1SA1KR2L',
+	'K1MY1JP2TW1JP1CN1TW1JP2HK2DE8CN1cVN1sKR1sJP4BD1SG1CN2JP1PF1AU1JP1AU2TW2CN18IN4CN3uKR2TW1KR1CN3NZ1KR1',
+	'JP1CN4AU4CN2JP1AU1JPgIN1PH1KR1JP1KR4TW4KR4CN2oAU1MY1IN2CNcKRgCN3kMV1CN1JP2CN1oTWgCN8JP4KR2CN2BD1KR1A',
+	'U1US1IN4HK8TW8CN8AUgKRgJP1cKR8JP4LK2ID2CNgINgTW8CN2TH1JP1AU4CNgKR4CN4KR8TW2IN2ID1HK1IN1ID1JP1KR3NZ1H',
+	'K1JP2KRgIN4KR4TW1CN1PH1NZ1IN4TWkMY4CNgJP4AU2PH2CNgJP3US2JP1US2JP8KR3CN3TW1PK1IN4CN4JPyCN2JP3NP1CN4LK4',
+	'JP8KR4CN1JP1AU1JP1KR1sCNaSG1JP1CN4KR1CN1KR2CN18KR4BR2EG1TR1MY4PH2JPiCNwJPwPHgJP1TW2JP1PK1AU1JP6KR4CNw',
+	'THcINcCN14KRgJPoKR1JP5CN2AUaJP2CN8ID1IN1KR2JP6TW1SG1IN2HK1JP1VN1NZ1TH2PH1SG1ID1HK1JP4CNwAUgCNgAU1sCN8',
+	'KR4ID2KR1MV1CN4US1SG1KR4US1DE1KR1TW1KR2CNwJPwKR4PH2HK1KR1TW6JP2CN2bPG1JP4CN4KR2SG1CN1HK4JP4AU1SG1JP5',
+	'IN1CN2KH1HK1CNcGB4IN4CN1AU1KR2JP4US1JP5US1JP6CH1JP6PH4JP4AU2KR2JPwINwTHgJPcMO1JP1KR1CN1tJPyUS2KR4VN1',
+	'JP1CN2HK4KR2PH2KR2CN3IN3AU1IN1AU2CN3wIN4JPgCN2oKR3kIDwAU4CN4JP4CN4JPgKR1sJP1sCN1KR1ID1KR2PK1AU1KR1CN8',
+	'PH2VN2CN2ID1AF1VN1AU1JP1HK1CN1JP1HK2CNwTW14VN8NZgKR1dJP2SG1AU1US3AU2CN2AU4JP5uPH1JPf9US8JP1wPH2JP2US4',
+	'JP1oUS4JP4US4JP8US4JP14US8JP1c--sgRO1RU2CY1USoDE4USwGB4USkJP4USgJP8US14NO4GB6AF2US4CA4US4IT4USsJP4US18',
+	'BY1DE1IR1PT1IT8RUwDK1SE1DK2US2DK2FR8USoGB4SE4USkFR4SG4UScGB4US4CA4USkSG4US4CN4USuIT2USsUA4US8IT1PL1F',
+	'R1SA1US4CA4AT8US8KR4USgIL4DE2FR1BY1CH8US4CA4US3gDE4US4CH8USgAU4IN4UScCA4US10NL1SG3US4BR4US8RU2AT1FR1',
+	'US10FI4US1wGB4CA4SA4USkGB4US8GB4US8DE4UScAU4IE2NL2USgCM4US14GB8DE4US8SE4US4NG4US4FR4USkDE4AT4CN4US8G',
+	'B4US1gDZ2BF2US14NG4UScJP4USoGB4US4DE8US8DE4USgAU4US10FR4US4VE4UScAU4US4AU4CA4US8CA4US4FR4DE4FR4US1wG',
+	'H1RE1AO2US8NL4SG4AU4CA4CH4US8CH4US8GB4JP4UScMW4US4DK4DE4USgBR1UScGB1AE1SE1IT1US8AU1US1KR1USgDE1US1IL1',
+	'DE1US10GB4UScCA4US4FR4US4NO4SE4US4AU4FRkUS4DE4USoCH8UScFR4USgCN4UG1NG1ZA1BW1DE4US4SA4US8CN4US3SG1US4',
+	'DE4GB4US4DE4USiCA1USdIN1HK2SG1KR1SG1HK1IN1USgLS2ZA2DE4GB4USkNOcUSgDE4US4JP4USgKR4US4UA1FR1IT1SY1US1k',
+	'CA4US10IT4IN4US4SE4UScGB4JP8US8NL4USkGR2GB1HU1USkUA2RU2USgJP4US4AU4US8CH8DE4JP4CA4US8FR4NO4US4JP4USc',
+	'DE4US4DE4US8IT2NL1IT1FR4US8CH4DE4FR4US8JP4GB4NL4US8CH4FR3HU1US4AU4US8FR4US4SE4US4AU4US4BE4PH4US4CA4U',
+	'S8GB1IT1SE2US4NL4CA4US4NL4AU4UScFR4US8NZ4US4CH4US8JP8AU4US8DE4US8IT4US4NL14GB4DE4UScJP4US4AU4US8JP4G',
+	'B4US4NL4US1DE1KR1DE1US6SA2US1kCA4DE2SY1US9DE4US4DE2DK1BG1IT2US6FI4US4FR4US4IT4RU1GB1IQ2AU4NZ1DE2AU1U',
+	'S8AU4USkBG4US4ES4US4IS4GB4US5BE1USiNZ4UScAU4US8CH4US4DKgSE4FIkSE14US4GB4US5IE1USaIT4US9CA1US2RU1DE1R',
+	'U1IR1BR4IT4US7sBR4US2oSE4US4DE4BR4US4CH4US4CA4UScBR4US8GB4JP8IT4SE8CH2AZ1IQ1USuNL2UScJP4AT4US4CA14USc',
+	'GB3US5JP4USgCH4US4IT4NL4UScDE4FI4BR4CA4NO2GB2DK8LU4US8DE4AU4US4AU4DE4NL4IT4DE4FI4MX4US4NL4AU4UScAU4U',
+	'S8DE8USkCA4BR4USkCA4NZ4US4SE4JP4FI4UScNL4US4JP4UScAU4US8DE4BR4AE2US1TR1US4NL4US5PH1US2GB4FI2NL2US8GB4',
+	'CA4US4DE4CA4AU4NL4USgAU4US4AU8DE4US4JP4US8GB4US8FR4BR4US74IL1oUS7cGB2US2GB4US1SG1US6FR4NO4US8GB4IN4F',
+	'I4CA4PE4USoNL2IE2FRkUS4FI4USgDE4US8JP4DE4NZ4JP4US4PE4GB4DE8UScPE4UScDE4UScDE4US8CA20NL4CA4JP4US8CA4U',
+	'S3DE1FR4US4NL4DE8CN4US4AU4USxRS1US1NL1GB4US4CA4MX8US8PE4DE4US4MX4BR4JPsgAL1RU1OM2DEcUScAU4US10BY4AU4',
+	'DE2RU1GE1US4CH4UScSE4US4NL4DE4US4DE4UScDE4YE4GB4FI4UScCA4USkNO4USoBE4UScBE4FR4DE8UScGB1SG1GB1BR1USiA',
+	'E1UShKR4DE4USgDE4US4GB4UScCA4US8GE2RU1IT1DEsSE2NL1IE1DE1cUS4PL4US8AU4US4CA4US4DE3FR1US9DE1JP1HK1USmG',
+	'B1CA1US4DE4US18GB4NL4AU4NL8DE4AU4IE2NL2US4GB4US4CA4US4DE4US4FR8AU1HK1AU1HK1JP4USsDE8US4DE1CL3UScCN4D',
+	'E4US4AU4US4JP4US8GB4BE4US1KR1USaNL4US4CA4GB4USgTH4USaAU1US9PR4NL4US8FR4US4TW4US3DE1US4AU4FR4GB4FR4USg',
+	'GB8NL8US8GB4IE4FR4USwTH4JP4US4SA4USkDE4FR4DE4US4UA4USkHU2RU1DE1CA4US8GBkUSgCA4IN4USkCA4UScCA4US6sGB8',
+	'US4GB4US4NL4US8GB4US1cRU1UA1RU2USgGB8US4GB8SE4GB8US4GB8UScFR2DE2US15RO1US1CA1US1cJP4US2cSG4US10FI4US4',
+	'GB4US4GB4US14GB4US2kDE4GB4UScSE4GBoUScIN4NL2IE2US4GBgUS4GB8US4GBcUSgGBcUSc8SG1JP1US3sNL2PR4US8GB4USg',
+	'AU8SE4GB3IT1US4PH4CA4UScSE4NO4USgLV2RU2US8DE4LU4US18IN4AU4JP4US14JP4DE4US4IE4USgIE4US20IT1PT1FR1GB1U',
+	'SaKH1US5DE4NL4IN8RU2NL2USiPH2UScDE4US1GB1USfBR1USqRO4US1oCA4US4NL4USkAU1USwCH3US4FI4CH4--4USgJP4US8I',
+	'E4GB4US8NO4US8GB4USgNL8US4SE4VN1IN2PK1SE8CH4SC2UG2MW4UScKR4USgGB4FR4US4--4USkCA4US10AU4NO4CA4US4FI4I',
+	'N4CZ4US8ES4UScGB4US8GB4AU4US4AU4UScMW4US2SG1NL1US2NL2US8NL4FR4CA4USoFR4US6BR2SG4NO4US6IE2US8CH4USwAU4',
+	'US4CA4UScJP4AU4US4CH4AU4ZA4UScGB4FI4US8AU4USg--4AU4US4NL1ES1US1NL1US2CA2US14CA4US8HK4US4IE4US4DE4FR4',
+	'GB4MW4USsIT4GB4US4CA4AT4USgGB4ZA8US4NO4GB4AU4US1GB1JP2GB1NL1GB6DE4NL4US4DE4US10CA4US18DE4US4DE8US4GB4',
+	'US4BJ4BR4US4JP1SG1DE1US5ES4US4SE4AU4US8CA8US8SE4US4PL2RU2US8HK4US4FR4AT4US4AU8USg--4USkBR4GB8US4GB4I',
+	'T4US4SK1US3AU4UScBE4US8CA4USsBR4US8NO4FR4JP4US4IT4US5DE1GB1US9--4US4CA4US4SG4US4AU4US4--4AU4CH3US1CA4',
+	'US5PH2USpJP1USbBR4US4FR4BR4US4BR4ES4JP4FR4SE4GB8SE4JP4USkCA4UScBR8CA4GB4BR1AR1BR6US4DE1NL1GB1NL1USfC',
+	'A1US4AU4CH4IT4US4IL4US5kBR8CHkUS8AU4FR4US6CA1US1CH4US2DEaUS4GB4BR4AT4CH4USgNZ4JP4GB4CA4SE4FI4AU4CA4B',
+	'R4US4CHkUS4CH8US8FR4AT4SE4US4NZ4UScSG4US8GB4JP4DEcUS4GB1JP1GB2RU1UA1NL1US1GB8IN1BD1ID1IN1GB4US4BR4ID4',
+	'DEgIN1AU1CN1IN1DEcCN4DE1sRE4DE4ES1GB2DE9US1g--4DK2IE1DE1US4ES3DE1CA4US4DE4US8ZA4FR4US8CA4SE4IN2DE1SG1',
+	'UScNL4SA2US6DE4USsFI4DE4USgNZ4US4BR4PT4US2IN1ZA1US4AU4UScBE4GR4NL4USgFI4NO4CA4FR1US2RU1JP4US4CA4US4N',
+	'O1sUS4SE4FI4FR4UScIT4CN4AU4US4AU4GB4AU4US1PH3USbCY1US8KW4CA4GB4US1DE1US2NO4US8CN4GB4KR4US4JP4GB4JP4C',
+	'N4NL4FI4FR4CN4FR4US4SG1JP1DE1GB1AU4NO4BE4GB4IN4AU4US4CN4US8CA4DE4TW4CN4US4CH1AT1US2TR4US1NZ1SG1US9CN4',
+	'GB4US4CN4US4GB4CN4US1PK1PS1US1--4IDgCN28AU4CN4AU4CNcGB4TW4CN4US4CN8ID4US4AU4US2oID8US88CN4US4FR4AT4A',
+	'U4CA4JP4US4AU4SE8DE1SE3USkTW4FR8US4TW4GB4USsIT4CA1USbTW3cUSgCN4USgMX4TH4AE1GB1US2FI4USsAU4US4CA4US8I',
+	'T4US4SE4US4AU4US8DE4USsCN4US4DE4US8CA4USoAR4US4CA4US10IE4US4CNcUS8CN4US8ID4US14CN4US8JP4GB2US6CA4USa',
+	'HK1USdCN4KR1GB1CA1IN1US4CN4US8CN4US4IN1SG1US1IN1CN4US8CN8US8AU4US4CN4GB1NO1GB1NO1GB4DEoMT2RU1GB1DE8F',
+	'R2ID1HK1DE7oSE4DEcRO4US4DEkGB4NL4FR4DE2FR2BE4GB4NL1GB1DE1NL1DE8UA1US1NL1RU1US4--4US4RU1LB1GB2US8IT4C',
+	'A4UScDE4US4FR4US4CA8US4AU4US10DE4US4AU4US1RU1GB1RU1BE8NL1AM1HR2NL4HR1UA1NL1GB1US4TH1USbGB4DK1GB1DK1N',
+	'L1NO3FR1US4DE1GB1JP1SE1US3IN1US1kGB2JP2US2SA2UScAU4DE4GB2CZ1UA1CH4FI4US8FR4NL4US4JP4SA4US1cFI4US4FR4',
+	'NO1US1GB2TR4UScDE4AT4US4AT4USgFI4US1kKR4US3NL1US4IL4FR4GB4--4SG4USoGR4UScGB4US4AU4AT4GB4UScCH4IT4US4',
+	'NL4SE4US4GR2FR1SI1US4CAcUS3CApUS4CA3kFR1US1CA12US4CA4US4CAcUS4CAgUS4CAgSG4CAoUS4CA4US3SG1CAoCN4CA4US4',
+	'CA8US4CA4US2NL1US1CA18US4CAkUS4CA1wUS4CAaDE2US4CA8US4CA15US3CA2US2CAkSA2US2CA20US4CA1sUS4CA4US4CA4US4',
+	'CA4US8CAgUS4CA5US3CA10US1CA1US6CAkDE4CA1cUS4CA1cSA4USkCA4US8BR4USwPH4USgTR4US30DE1SG1US1DE1US6PH2US8',
+	'IE4US4--4AT4FI4GB8BR4USdDE1GB2USkCN4US3GB1US2kHK4JP4US4AU1SG1SA2DE4JP4US4NZ4NO4US4CH4USoBRcUSwGB4SE4',
+	'AU4US4NL4UScJP4FR4US4ZA4BE4AT4US3ES1USg--4BR4US2gZA4AT4US4DE8US8GB4US4BE4USgAU4US4NLgCH4USsAU4JP4USo',
+	'FR4US7SG1US8JP4BR4--4US4AT4US8BR4GB8USkAU4SE4--4USkAT4IT4GB4USoGR4GB4US8SE4AU4IE4US4GB4US8SG1US3AT4U',
+	'S8KR4UScGB4US8BR4CN4JP4US1CH1US6FI4US4AU4CN4USgCN4UScIN4UScSE5GB1SE2CR1BR3CR4US1KR1IN1CH1US8SE4USgGB4',
+	'BR1US5CA2US7IN1USgDE4US4NL4--4UScHK1BD1AU1CN1UScCN4AU4NL4AU4FR4SE4USkSE4PT4AT4NZ4US10DE4US8ID3IN1US8',
+	'GB4US4NO4CH4SA2US2GB4US6SG2US5FR1JP1USdNL4US4AU4GB4US18AU4USwNL4FJ4US4TR4CN4GB3NL1US7GB1NO4US8AU18USg',
+	'DE4US20NO4FR4USqCA2GB4US8NL4NO4GB1NL1ES1NL1NOcUS18NO4CA4USgMY4CH4UScFR4AU4RU4US4AT1US1AT2NL4UScJP4HK4',
+	'US8CA4AU4USlHK1USmHK1US1zBE4US2IL1UShNL4CN4NL6ES2NL10NO1DE1NLaEE1SE1IT1DE1NL8US4NL20GB4NLcAT1US1GB1C',
+	'H1NL8GB4NL8DE4NLwUS4NLgBE4NL20US1GB1DE2NL8SA4NL54GB8NL4US4GB4NL4oGB1kUS4CA4NL2w--4NLgLT1US1SG1NL1US1',
+	'GB1US2DE4FR4GB4DE4GB4DE4FR4CH4GB4CH4SE4HU4PL4FRcSE3GB1FR4DE4AT4CH4GB4FI4FR4SY2KZ2CH4SE4CH4DE8RU1OM1K',
+	'Z1BG1DE2LU1DE1US4NO4LU4CH4USoAU4USuDE1US5SE4US2wIT4US4NL4JP4DE4UScJP2KR1CN1US4--4PL2FR2DE4US4--4US4Z',
+	'A4US4GB2RU2CH4US8RO1US7NO4US8SE4USgGB4FI4US4CL4UScGB4TH1US7GB4USoGB4US4JP4IT4GB4CZ4US1NL1GB1BE1NL4GB4',
+	'NL4DE4AT4CH4HU4USkAU4JP4AU4FI4RU2BY1RU1UScGR4USoCA4US4IT4BR4US4CH4UScDE4ZA4US8AU1--3US14CL4US8RU2ES2',
+	'CH4JP4FI4GB4US4BR4USgGB4US4NZ4NO4SE4US2SG1US1BE4GB8AU4GB4US4CL1US3ZA4FR4US4GB1CH1NL1RU1US8GB4US8GB4N',
+	'O4PT4GB4AU5CN1GM2US1gAT4FI4SI4NO4US8CH4US8ES4LU4AU4US8NO4US4VI4GB4CH4US4ZAcUS4DE4BR1USnIT4USkRU1DE1S',
+	'E2IE4FR4US4SA4US4DE8GB1MK1BA1GE1USoKR4HU4HK4US4AU4US4NL1BE1GB2SE8BR2CA1US19GR4DE1SE1US2DK4KZ4US4CZ8U',
+	'SsAU4US4KR4FI4RU4KR8US8TH4US4GR4US2IT2DE4USkCH4USgBR4AU4LU4US4AU4USoAU4GB5DE1FR1CH1UScSA4ES8US4CHcGB4',
+	'NL2GB1NL1RS4US2JP2US1IN1US1BE1FR4GR4ES4US4FRcUS4GR4USoAU4ZA4NO8US4GB4USgGB4US8IT4NL4US4AT4US4FR4USgA',
+	'U4USaFR2US2SG1USlDE4GB4US4SG4US4GBoUS6DE1US5ES4JP4MY4US5IN1US2HK1ES1DE2IT8UScCH4UScFR4DE4FR4US4SK4JP4',
+	'UScSE4NL4US8GB4US4SE4US4GB6US1GB1US8JP4GB4CA4US4FR4GB4US8AU4GB4US8DE4USgAU4FR4AU8SK4GB4FR4USgSE4USsC',
+	'ZgSK4ILkUSkGB4USoFR4CZ4IE4CA3US9DO4US4SE4ES4US8HU4SG4US4sKY2US2SA2AM1US1GB4DE4US4ES4UScFR4US8PT4US1C',
+	'A1US6HK1PF1SG1US1JP8PT4CN4PT4US2DE1USpGB4US4PL4NO8USgGB4US1cDO4PE2HT2DO4USkJP4LU4SA4US4CA4US9CA1US2C',
+	'A4NOoUS1aLT1US1SE4US4SE4US4NO4US8FR4US4AU2HK1PH1US8SE4US8OM4USwSE4JP4USsFR4US2CA1USlGB4US4--4US8GB4A',
+	'U4US8GB4US4CH4USsAU4CH4GB4AT4US4NL4MX2dSG1MX1AR1MXhBR1MXaUS2MX2aDE4GB1NO1GB3FR1GB2US4DO4TR4US8GE2IT1',
+	'KZ1US5GB1USxGB1USmGB1USaGB3USgKZ4US2SG1US7PH1USfGB1TR1US7ES1USdGB1DE2CN4USsIL4US2AR1TR1US2HK1US9AF2J',
+	'P2US4CA4US8NL4US8RU1SI1IT1BG1GB4USsGB1US2GB1US8ES4UScAR1US1AR1US9DE4USgGB2TR1IT1AR2US3HK1US6PT4US1ES1',
+	'USuCA4US1GB1US6GB1US1DE1GB1USeIL1US1GB2US2ID4SA4ID4US8ID4US5CA1US1CA1USdCA1USqCH1AZ1SI1--1US8SG4US2C',
+	'O1US5IT4CH4BE4AU4UScIT4TR4US8NL2USaNL4KW4AT4USgIE4US1RU2BE1GB4PL4IE4US10AU4US8GB4AU4DE4US8GB4AU4US2G',
+	'BaUS2GB2US2GBiUS4GB2US6GB4US4GBoFI4GB4US4HU2JO2DE4FR4DE4GB4DEgNO4GR2NL2DE4DK4DEmUS2DE1hSA1MX1FR1DE6S',
+	'G1US1GB4DE9US1DEaGB4DEoUS1CA1US2DE8FR4US8GB4RU1CZ1AZ1IQ1CN4JPgDE1JP1HK2JP3tUS1HK2JPuUS1JP56TH1JPmAU4',
+	'UScCA4NO4IN4US4SG1HK1TH1KR1USkCN4TW8UScCN8USkES4IN4US8SE4USkCN8GR4USgIT8JP4US8KR4AU4USoCN4US8BRkUSsA',
+	'U4US4FR4US8IT4USgKR4US4VEkUS4AU4USkKR4USkAU4GB4CH4GB4AU4USkCH4ES4US8IT4USkCN4UScSE4GB1ES1IN1AU5US1BR1',
+	'US1JP1USkIN4GB4UScES1DE1US2CN4US4ES4US4JP4US4CN4JP4US4BE2NL1BE1US8PL4CN4RU1HU1IT8GB2IT8kFR4IT1wGB4IT8',
+	'USgFI4FR1DE1GB2USwPL2FR2USgCH4USaPK1USdFR4US4GB4AU4US8GB4US4TR4DE4US10SG4USoSG4US8SE4NO4IN1BD1IN2US18',
+	'GB4US4--4SA4US4--4DE4SE4AU4US4GB4US4ES4CH4NL4US8NO4US4DE4US8SG4US1yNZ2GB8UScSK1--vGBwIRgGB1RU1IQ1GB1',
+	'BG2KZ1ES1IR8AE1US1AE3US1JP2AE8GB1AE6US1AE1US1AE1US1HK2US2PL1US1CH2GB2BY2TR4BG4DE1RU1SE1HR1AE4SA8DO4U',
+	'S3hPH1HK2USfAF1US1GB1USeES2US4SG2US10IN4AT2DE1US9INgUSkNO2US1AU1HU4IN1CH1GB1KR1US7JP1DE1JP1US1KR1GB4',
+	'US4DK4CL4US4AU4FR4GB4US8FR4US4AU4BR4UScCH4GB1DE1ES1US1NO4AU4BR4NO8DK4CH4US4AU4KR4US4HK4SG4HK6CN2GB4Z',
+	'A8MU4ZAgUS4GB4DK4US6JP2ID4US1oDE4US4CN4US4GB4CL4UScDE4UScAU4GB4KR4GB4US4NL4NZ4US8UY4USoTH4US4JP4DO8A',
+	'RgCLcHK4US2oCOoCU8US20SG4US5NO1FR2US4CL4AR1CL1CR2CA4US1GB1BR2US1BR1US4SG2US1GB3BR1LT1BR2US4BR2US2BR1s',
+	'CN4FI4US4CN4US4SI4US10NO4US4DE4US4PL4SG4US1gCNgUSkCA4NO4USoIR1CH1IR1ES1CA1DE1US2CA1FR1JP1US4PA1US4NL2',
+	'TR2USeID1DE1USoCA1BR1AR1US1CA4USsDE1ID1USeRU3KZ1USsSE4BE4US8LU1DE1IS1FR1DE5SA1DEeBE4CN4DE4CN4USkAU4C',
+	'H8NO4NZ4SE4US8JP4US4PK4CN8JPf4GA1--1UG1NA1MU8US1MU1CA1MU1US4MU8FR1US2MU1GB1HK1CN2US1MU2US1KR4MU4US1M',
+	'U1US2MU3US1CH1DE1CH1GB5ZA4US3MU4SG1MU1CN1MU9US1MU2CA1ID1MUeSG1MU1CA1MU2MX1US2MU1US3MU1US4MU1DE1MU3GB4',
+	'JP8MU5US1MU2US2MU1US1MU2US1MU3VE1MU3GB1MU2OM1VE1MU9US1MU5VE1MU6GB1MU5DE1MU3FR1US1MU5GB1MU5US1MUfGR1M',
+	'U2PK1ES1MU1OM1ES1MUaGB1MU5ES1MU3BR1CA1US2ZA2AO2NG1ZA3RE4CI1RW1TD1NG1ZA4KE1CM1SC1ZA1MU1CI1AO2ZA1TZ1CM1',
+	'UG1ZA4TZ8KEgPK2SC3HK1SC1PK1HK1SC2US1SC2US1NL1US1MY1HK1SC3HK3SC2HK1SC4US1HK1DO2SC2HK1SC2US3SC1SG1SC7H',
+	'K1PH2US1ID1US1SC1VE1SC1VE2SDwTNwGA4NG4ZA2--2ZA2KE1SO1GA2AO2--1NG1ZA1BI1NG2ML1AO1BI1SZ1ZA1GA1GH1NG1MG1',
+	'MU1DZ4KE8SN8MG2CM1ZA1TZ1LY1AO2EG1sMAwKEwGH1sEG1sPK4US2DE1SC1US1DE1HK1US1SC1HK1DE1MY1DE1SC1SG1SC6PK1U',
+	'S2SC1US2NL1VN1SC1ZA2SC4US1SC1US2HK3SC6HK1SC1HK1SC1TW1HK2SC1TW1US1TW1PK1DE3SC2HK1SC5HK2US2SC9HK2SC1US1',
+	'HK1SC1BR1SC4US4HK1PE1SC3HK1SC1KR1SC2US1HK1SC1PE2SC2DE1US1UA1SC1US1SC2UGwCIgEGgDZ1sZM4US6FR1CH1CA4SE4',
+	'USkCA4--4TZ2EG1GH1US8CA4US1sNZ4US1cDE4USwES4NO4DE4US8NZ4AU4US4SG4UScCH4US8SG4US4AU4US4AT4US1oAO4UScN',
+	'G2ZA2US18CH4US10NL4US1oGB4FR4PL2FR1US9GB4US1PH1HK2US1SA1CA1US5FR4US8AU8GB4US1cPL4ZA4JP4US2oIT4US4AU4',
+	'USgGB4US4CA4US4SD4US4GB4UScGB4US5CA1US2AU4US4GR4US4NO4ES4BR4RU1UA1RU2US14TR4UScNO4CH4US4KR4GB4ZA10USg',
+	'GB4USaJP1US1GB4DE4GM4US4IT4US1CA1US2--4LS1ZA1GH1ZA1USsZA4--4FI4CA4US4NZ4IT4US4AU4PL4FR4UScAU4GB4US4C',
+	'H4US8FR4US8BN4US8CA4ES4US8LY1TG1ZA2USgGB4CA4US2CA1US9GB4SE4AU4SE4NO4US4IT4US8CA4AT4HK2VN1SG1US4GB4NZ4',
+	'USgDE1US1DE1AT1US4NZ4US1gNL4US1gCL4USwCH4USsNL4CH4NO4US4FR4US1kLU4US4CH4US4CZ4US10KR4IT4NZ4NL4USgZA4',
+	'TZgEG74SC4HK1SC8HK1RU1SC7US2SC1HK1SC1US1SC4VE4US4SC6HK2SC1HK1SC1VE1SC2HK2SC4US1HK1US2HK1SC1HK2US1SC2',
+	'US1SC1US4SC1US1SC3HK1SC3US2SC2PL1HK1SC1HK1SC2US2DO2US2SC6HK1SC1US2SC1MX2SC5HK2SC3ZA1SC2CN4JPhUS3JPgI',
+	'N1ID3JPfUS1ID4JP8CN4JP4ID4US4RU1ES1RU2FR4FI4PL4CH4ITcUS4GB4IN28CA1USzCN4US4JPcID4JPcUS2JP16GB4JP4GB8',
+	'IN1TH1AU1ID1BR4US4ES4US4DE4US4AR4US4FI4GB6US1GB1IS1ES2NL1US4FR4EC4JP20CN1IN1CN1IN1JP4US4CN4US4FI4GB4',
+	'US8AU4FI4USoFR4US2MX1CO1IT4US4GB4US8CH2FR2FI4US8JP4CN4US8BR1USfAU4CN4IS4PL4FR4US4CH4DE8BE4US8GB1CZ1U',
+	'S1GB1CH4FR4US4SE4GB5FR1BE1GB1US4BH4GB4AT4US4TH4FI2SE2HU4USeCA1JP1RU4UScIE4US4JP4BE4UScKR4US8FI4US8GB4',
+	'US4JP4US8CA1USbAU4US1oIN4GB4US5DE1US2GB4USgGB4NO4US7SG1US4BH4US8CA4GB1US7AT4US4NO4US1JP3US4GB4CO4US4',
+	'CN4US2kMX4GB4US18NOgAU4GB2US2ES4GB4KR4AU4RU2TH1RU1IT4US4ES4FR4US8GB4--4UScIR2IT1BG1US4CN4US4PH2US6LU4',
+	'US4PL4--4US4CA4USkPL4UScCN4US2SA1USxAU4FI4US4SE4US4GB1US2GB1US8MX4US4ES4US5JP2NL1IT4US8SE4US1CA1US6T',
+	'H4ES4IT4US4NO4USoGB4USgGB8SE4FI4CA4LT4US4FI4HK4CH4USpPS1SG1NZ1US8GB4IN4UScIT4NO8US4GB4UScFR4US4ES4US4',
+	'RU4BN4PT4CA4US8LUgCL4US4ES3BO1US1NL3SE4US8DE4US3FR1US1GB1US2DE1KR1GB2KG1DE1KG2HK4USsFRcSK4CZ4SK4CZ4S',
+	'K4JP20CH4JP4GB4US4AT1FR1DE2US8GB4US4FR4CH4ES4US8GB4FR4CH4FI4GB4US1fKR1NO4HU4RU4CL4AE8US4RU1FR1RU1IT1',
+	'SA4US4CA4UScCA4SE4NL4UScCH4AU1US1SG1AU1US4GB4MX4UScGB1TR1US2CA4CH4AU4US4DE4CA1US3CN4US1JP3CH4GB4FR4C',
+	'A8GB4UScSE4USsNL4US4DE1US7FR4DE4AU4US6MX1US1CA4US8NO4US4NL4USgGB1USfDE4US8SE4AU4US4CN4USgJP4NO4US8FR4',
+	'--4GB4US8DE1US3VE4US4GB4RU4US4FR4USgDE1NL1GB1US1GB4US4CH4GB4US8SE4US4DE4USaCL1US5GB4US8NZ1TW1US1NL1U',
+	'S14GB4US4NO4UScIE4US2DE1US9HK1SG1HK1TH1USgSG2AU1JP1CH4US4TR2UA2ES4LV4IT4US4FR4FI4US4DE4US4CH4UScUA4U',
+	'S4NO4USgGB4CH4US4GB4NO4US4GB4US4CA4US4CA4US4CH4US3FR1US10SE4US4TH4SE4NL3RU1DE4AU4GB2USaHK4US8CA1US7P',
+	'L4CA4AU4CA4US4IT4JP4US4IT4US8NO4FR4US4GB4UScSG2US1NL1UA4US4CN4US4JP4US8CA4CH4USgES4UScCH4US1GB1USaGB4',
+	'USsGB2NL1GB1IT1CH3RU2IT1FI1MU2SN1ZA1UScSG4GB4IE4US4GB8US4JPwUS1ZA1ID1BR1HK1BR3JP4ID4JP8IN1VN1ID2JPgV',
+	'N1IN1VN1IN1US7CA1USkGB4US4GR4UScDE10CH4DEkCH4DE4CHcAU4US4IT4NO8US4DE4FI4US8JP4TR4US4MA4IT4US3SA1IT4U',
+	'SePH1US1CH4JP4US8MA8US4FR4UScSG4IT4CH4RS4DE4US8FR4GB4MA4CA4USoCG4HU4ZAiGA1ZA1CI4ZAgUS30NG4US4CI8TNgM',
+	'A28IT4--4GM8--4JP8IN1VN1ID1IN1JPcVN4JPwDE4JP4IN1US2CN1JP8US4AU4GB4US8IS4US8DE2SG2US4JP4CZcCH4IT4US4S',
+	'G1AU3US4AO8NG2ZA2US4FR4US9FR1AU1US5JP4GB4US4ID1--3JP5IN1BR2JPcNA2--1TG1JPsVN3IN1JP8UScHN1BQ1HT1HN1US4',
+	'GB4FR4NO4AT4USbAU1TR4CO4US4GB4USgGB4CO4US4CH4US4AR1GF1BO2GB4BR4CL4US4IT4US4NZ4GB4US8JP1AU1JP6US3DE1U',
+	'S4DE4US1GB1USaFI4DE4AU4USgFR4PH4AU4US1NL1DE1GB1SE4HR4SE4US4BO4US8BE4US8CH4US4MO4NZ4GB4ES4US8SA4GB1US3',
+	'ES4GB8US4GB4US4CH4BR4US4HK4US2TH2NL14JPgUS1FR2USpRU2US1CH1FR8UScAT4ES4GB4USaCA1US1ES4SG4IN1KR2SG1US4',
+	'CN3DE1US2IN1US1KR4ZA4US4--4SG4USgCL4PE4USkBO4MY4VE4CA4MY4AU4US8AU4IT4BR4UScAU4US3CA1UScGB4NL4US2sCA4',
+	'US8CA4US4CN4AR4USaCA1US9VE4UScTH4USoCN4USgVE4UScCA4US4DE4US4GB4USwSG4PT4UScVE4UScCL4USsTH4US4IN1VN1I',
+	'N1VN1US8SA4KW4US8VE4CA2USeIN3BD1USoGB4US4GB4CN4USgFR2DE2US4CH4US4CH4US4AT4CH4US18FR4USgJP2US12CA4US4',
+	'DE4IN4USkRU1DE3USsCA4US1oCH4US20CN4CA4USkNZ4US10VE4USkSG2ID1SG1US14CA4USaSA2US8AUcUSwCA8US5mCA2USbCA1',
+	'US4wCN4GB4UScFR4US4ID2NZ1ID1AU4FR4AR4US8TW28US4NO4USsJPkAU2NZ2JPg--4CN3IN1JPcSG4JPcIN3ID1FRyIE2FRmIL1',
+	'DE1FR2IE2FR6DE2FR2gUS4FR1bUS1FR6US2ES4US4GB2US6EG4IN4US8CN4US4AU4ID1IN1ID1IN1US4JP1cCN4JPsUS8KR4US8C',
+	'A4GB4SE4US4SI4GB4CH4IT4BE4GB4US3DE1GB8CH4GB9KR3FR8NO4NL4BR4CN4CR4CN4KR4US7CA1USoAU4USaMX1US9ZA10CN4U',
+	'ScJPkKR4JP8--4JPkKR4IN4JPcBT1IN3CN4KR4US8AU8USkKR4USsCL4US8CL4USgKR4KZ4FR8AT4SE4FI4GB4FR4SI4SE8GB8FI4',
+	'CH4BE4DE24BE4GB4SE4GB8KZ2GB1DE1BR4PR4JP4US8JP4US4SE4UScJP1SG1US1IN1AU4USkDEcUSsJPcUS4UY4US4AU4US4CL4',
+	'SG4US4AU4FR4UScBR4US8ZA4US5HK1US1DE1US6DE2US2GB2US8CL4AU4CL4US4IN4US4CA4USkAU4UScAU4US8TH4USwKR8PL8C',
+	'H4FR4IT4FR8DE4GB4SE4GB5EG1KH1VN1FI1NL1IR1DE5NL4FI4IT4GB4US8ZAoUScZA4USgZA3RE1JP8BR4IN4US4CA4US14FR2G',
+	'B1BY1US44CY1RU1IR2US4gZA4US8ZAcUS8ZAgAU4US4JP4GB4LY2ZA2GB4--4US8SG4US1DE1US1NL1US8ZA4USkAU4US14IN8USk',
+	'ZA3US1TN8--gZMwUS4GB2US1GB1UScAU4US8CZ4ZA3NG1US8JP4US4RO4USkNZ2HK1IN1US4AU4UScKE1MZ1--1ZA1US8JP4US8J',
+	'P4US4NI4IN1ID1IN2JP4VN1IN3JP4USkJP4USkNL4CA4US8AU4US1gKR8USsKR4AU4ZAsUSgHK2US1SG1US14ZA4UScRE4UScSG1',
+	'USrZA4US4CL8US4CA4KR4AU4UScAU4US8KR4USsHK4US8NZ4USc--4CM8US4KR4USgDE4US4PH2IT1FR1US4CH4USiDE1US1AU4K',
+	'R4US4ZA3SC1US1DE1US2ZA4USoAU4JP8KR8CA2US1DE1KR4UScJE4USgZA4DE1US1bCHgUS3kCA4US2GB2US1eCA2US4AU4NZ4US10',
+	'CL4UScKR4US4HK4US4NZ4US4ZA4US4SA4US1cJP4US8KR8US4--4US6FR1SG1US4CL4CN4US8BO4UScJP8AU4--4UScKR4US9cCO4',
+	'US30CO4US1wCO4US14CA4USmIL1US15CL4US4AU4US4CA2oUYwUSsDE1US2SG1US8CA4USoNL4UShFR1SA2DE4US2CA1USdCA4USk',
+	'GB4US3GB1US1CA1SA2US8IN1AU1IN2DE1US1DE2TW4US8UY4US8SA4US8CA4US4UY4USoAU4US8BR1USbCA4AU4UScVE4USgCN4U',
+	'S1wBO4USgGB4USiGB1US1CH4JP4US9SG1USa--4UScKH1JP1AU1TH1USoGB4US8CN4US1fNL1GB1SG1GB2US4ID4US8AU4US20CA4',
+	'UScGB4US4DE4US4DE4US1gBR8US4AR4US4CA1US7BR4AU4US6lIE1US6NL2SG1HK1USoHK4USgSG1BR1US2ZA4PA4KR4--4SC8US4',
+	'AR4US8DE2US1GB1US8ZA4BR4USgTW4AR4USfCA1AR4USgHK4KR1SG1US1IN1US8JP1AU1US1ID1USgKR4UScDE4TH4BR4US4GU4U',
+	'S8KR4US4ZA4US4AU4KR4AU4US4AU4UScAU1CA1BR1JP1TR4US2AU2US4ZA4US4IN3UShSA2USaAU8KR4ZA4USgCN4UScZA4MX4US4',
+	'BW4IE2USeZA4UScCO4USgBR4US2PT2UScAU4KW4KR4USkBRgAU4ES1GB1LT2US8IT4US8BR4ZA4US8ZA8--4USkAU4US4KR4US2F',
+	'R1US7RU2UScAR4BR8US8CL1BR1CL2BR4US4GT4US3CA1USsSV4USgKR8US8AU4LR1ZA1RE1MW1US4MX4ZA8US3cCHoIN4CH4DE4C',
+	'HcUS4NLgCH4US8CH4US8d--3ZA4USpHK1SG1US5SG4US4KR4USsSA2IN1US1IN4USwCU4GA1NG1ZA2US4kAU4ZA4USkKR1sIQ2US1m',
+	'ZA4US1k--4ZA4BR4USxMY1US5CA1USqCH2CL4USiNL2US4MX4USsSG4USgMY4US1cAR4US1CA1USuCH4USeAU2US4BR4UScMX4USs',
+	'BRsUSjCA1USk--4USmSA2US2SE2US8JP4US30DE1SA1US1uBR4USgAR4US4AU4USsSG4US8RU4MX4USkCA4UScCN4USvJP1US18C',
+	'A3USmCH1US1DE1USgAR4US28BR4US4BR4US8CH8BR8USgBReMX1BR1US5JP1USeES1US3BR4BE4SG8JP8THgCNwFR4DE4FR4HU4D',
+	'K4NL4DE1PL1RU1US1NO4DE4CH2SE1RU1BE4CH4GBcHU4SE4CH1FR1GB2CN1kIN1sUS18GB4INgCN1sTHwCN2oUS8sSG4CN1sVN3k',
+	'US1sAU1sUS43HK1US8NL1US11IR2US3CN1US8CA1US2VI1US7CA1USoCA1US5SG2US7CA1US2CA2USmCA2US1JP1DE2CA1DE1AU1',
+	'JP1US1sJP8USgGB3kSE4CH8AE8GBcUS20GB8SG4FR4US8JP4US8MX4NZ4MY4IN4NL4US4NL4US8NZ4IE2NL2US4JP4US4ZA4US4N',
+	'L4US4IT4USaJP1US5CA8US1dIN1SE1IT1BR1JP1US3SE1US5JP1GB1IN1SG1DE1JP1SG1US1IN1JP1ES1NO1US1FR1USrFR4USzN',
+	'L1US3CA1US3gCAgUS13CA2USefCAwUS1sGB4USkCA4US8NL1US1CA1US3CA2US2PR1US2CA2FR1USaPR2US1fPR1US10CA4US2CA1',
+	'USpCA3US3CA1US5FR1US3CA2US6CA1USfCAwUS32CA2US5sCAwUS1sCAwUS1cGB4USjCA1US3CA1US4SA1US7CA4USckCN34JP1S',
+	'G1JP2BD1US1BD2CN8AUwIN4KR1JP1SG1JP1CNcHK1AU2KR1CN5kTWgKH2IN1JP1IN4CN4ID1VN1JPaAF1KR1CN2PK1KR1JP1PK1J',
+	'P8YE1US1SA2TW1JP1CN1TW1KR1sJPwMY14CN14SG4LK4KR1IN1NC1PH1HK4CN1sPH2KR1SG1JP4CN4JP4TWgJP2CN1AU1CNsKR74',
+	'DEwUA4DE4GB1CH1SE2NO4BG1RU1IL6RU8SAgDK2GB1US1DK6NL1DK5GBgDE1ES1JO6TR4FR4IT1JP1RU1SA1TR4JP1IE3GB4UAgT',
+	'RgSA8EE2GB1CH1SA4RUiCL1DE1TR2RU2TR8RU1ES1NL1DE1JO1ES1DE1IS1NL1GB1GR2RU4BY4IE2AT1SK1HR1RU1BE1RU1HU4KZ4',
+	'PS1RU1IR2AT4UA1PS1FR1RS1SEgFI4GE4GB1GE1CZ1NL1NO4SI4RU2HU2PT8ESwTRgGR3CY1FI4DE8RU1AT1PL1ES1PL1AE1RU1E',
+	'S1UA2RU1KZ1RU4UA1RU1US1ES1IR1RU1PL1UA1RU1SK1CZ1UA2RU1CY1NL1UA1ES1RU2UA4RU3UA1RU2IT1RU1UA1KZ1RU5DE1UA1',
+	'RU3UA1RU1PL1NO1UA1RU5UA1RU5PL1RU3US1UA1RUaPL1UA1RU2UA1RU1FR1RU2PL1RU3UA1CA1PL1GB1IR1RU1KG1RU1KZ1RU2D',
+	'E1RU4DE1UA1RO1CH4FR74RUoDE8IT8QA8AE8IT8RUwTRkRU1PL1GE2BG1ES1KZ1RU1PT1RO1NL1RO1SA8HU2RU2TR2FR1GB1ILgT',
+	'R10HU1IQ1UA1RU1IToGBwBR1US1BR5US1BR7US1HK1BRdUS1BR29DE8BR70CR1BR1zDE4BR14DE4BR4sDE4BR10USgBR2fUS1BR1',
+	'US1BR3US1BRiUS8HK8BR15FR1BR6MX16BR1EC1BR4MX1kPY8COgDE1sIM1PL1FR1IE1CZ2RU1GB1RU1SK1NL1TR1FR1DE1IT1DE2',
+	'IT1RU3SE1PL1FI1RU1CH1FR1RU1DE1RO1GB1IT1DEgSEgFR8RU8PL8CH8SK8PL8RUgHU4RU4BE8SY4KW4UA4FI4PL4RU2ES1RU1S',
+	'I4GR4ES4KW4GB2NL2DE4RUwNO1RU2CZ1PL1SA1FR1SE1NO1RU2UA1RU2FI1BG1AZ1MD1DE1RU1BA1DE1JO1CZ1RU1GB1AM1SE1RS1',
+	'SI1GB1US1SA8CH4US4NL8SA8KZgUS1UA3GB1US1UAaSG8US4GB4SGgDE8SG4JP1GB1US2SEgATgBEgBYwSG2US1DE1RU5YE1PS1S',
+	'A1IR4FR1MD2DK1UA4GE4LB4UA8RO4ES4RU8DE4SK4BE8GR8RS8UA8QA8BY2RU4DK2ES2US2BE1US1RU1DK1RU3UA1RU2PL1UA1HR2',
+	'SG1AM1KW2RU4NL1DE1RU2BY2NO2HU2UA2AT2PT2RU4IE2MD2BY2SY1RU1BG2FR2NL1RU1US2SY2SI2BY2RU2IR2CH2SE2AL2MD1I',
+	'T1RUgPLgRUgATgCHwDEgRUgFR1DE1RU1GI1BA1RU1CZ1RU3UA2RU1IT1RU1GB1PL1RU1PL1RU3PL1RU1PL1PS1PL1RU1IR1RU1UA1',
+	'PL1UA1RU6PL1RU2HR1PL3RU2RSgNLwNO4TR4RU4PL4IE1SE1GB1RU2AZ1ES1RU2KZ1GB1IR1PL1GB1PL1ES1TRwCZ1RU1IT1FR1D',
+	'E1RU1NL1IT1CH1GB1DE4FI1FR1PL1RU1IR1RU1GR1SY1SK1RS1DE1LU1RS1BG1DE1GB1FR1RU1BR2AR2CO4CLcSV4PE8CL8BR8COg',
+	'BR8CO8VEgUYwCO8BR8ARoBR3BZ1BR1AR1PA1DO1VEgBR4EC1AR1BR2CO2CR2SV1CO1BR1AR1DO8BR8CL8BO8AR1CL1BR1AR1AW1A',
+	'R1HK1US1AR4BR3AR1US4IN1US2ID1CA2LT1US4LT1BR5US3SG8BRdcSG4BR2USaSG4US1LT1US1LT1US1LT1US1LT1US2LT1US1B',
+	'R40US1LT1US1BR2CH1BR2US8BR1hUS2BR2US3BR1US2BR1JP74KRwMYgCNgKRgCNcSG3HK1CNgJP1KR1US1AU1VN4AU1AF1MO1JP1',
+	'AU2CN3mTH4SG2CN6KR1JP1HK1JP1KRgCNwJPgIN1AU1JP1CN1US1MN1CN1PK1AU2HK1KR1IN4CN2oTW8IN1ID1PK1CN1IN4TH4US2',
+	'AU2KR4TH4CNiHK1IN1JP1KR1AU1NZ1PHoJPiAU2CNcTWgCN8KR2BD1CN1KR1IN1BD2CN8JP1AU1IN1TH1SG4AU4TW8HK4JP8AU1J',
+	'P1AU1CN5KRwPH4CN2HK1KR1SA4JP1CN1TR1AU1KRgID2SG2ID1kSG4AR1wVEcAR1cCO8VE8DO8PA4EC4PY4AW1GY1BR1AR1CL8ARg',
+	'CO1sPEgCOgCLgBR8AR1vPY1ARxUY1ARyEC8GT1BO1AR2HN2BO2ARgPYwCO3kCLgARwCL8CO1GT1AR1BR1EC4PE4AR1BZ1BO1PE1P',
+	'A8VEwTT2BO1EC1BR2GT1AR1CL4BR4AR1BR1CO2CRcEC4PA3AR1EC6AR1GY1CL4ES4CL8COgVE4AR2GT2HN4EC4CL4BR4US5IE1US2',
+	'BRxAR1US1PE1AR1CO1BR1AR1CL4BO4ARgCO2BR5PE1COgAR8CO1sID1sHK2ID1CN1TH4CN2IN1PH1IN2SG2JPcID2IN1JP1NZgUSc',
+	'KR4CN1sJP1BD1NZ1IN1CN4KR1TH1SG1JP1CN4TH8CN2NZ1MY1SG4INkCN4MY8IN1sCN1gMO1NP1TH2IN8CN68HK8NZ4TW4IN4CN4',
+	'JP8HK1CN1AU1JP1LK1KR7JP2KR2JPwKR4TW1KR1JP1GU1CN8PK1sKRwCNwKR2oTH4TWcJP2CN2KR2IN1KR1CN5HK1AU2CNwJPgKR1',
+	'BD1KR2ID4CN4ID1AU1KR2CN80JPoMY2KR2JP4VN6FJ1SG1IN8CN8JP3KR1IN1HK2IN1TH8SG2KR1JP1VN1ID1VN1KR1CNgKR3kCN4s',
+	'MY4CNgJP5MN1JP2HK8JP8CN1LA1JP6CN80US2gTH4US4kCAwUS14TH4US1fCA1US18CA4US40CAwUSwCAgUSoJM1US6CA1UScCA1',
+	'US8zRU1--3PL1RU1DE3RU1DE1GB1NO1GB1RU1IR1GB4DE1GB1RU1IT1PL1DE1GB1RU1CZ1FR1NO1GB1IT1FR1DE1RU1DE1RU1DE1',
+	'RU2GB1RU1NL1RU1IR1DE1IT1FR1RU1GB1RU3GB2RU1DE1GB2FR1RU1DE1GB1RU3GB1RU3DK1RU2PL1ES1DE1TR1IT1DE1GB1ES1R',
+	'U1DK1NL1FR1NL2IT1GB1DE1GB1PL1ES1FR1ES1RU1GB1FR1PL1RU1DE1IT1GB1RU1DE1NO1RU1GB1RU1GB1RU1NL1GB1NL1GB1FR1',
+	'IT1GB1IT1RU1IT1ES1RU1FR1RU2GB1PL1GB1RU1SE1FR1NL1CZ1RU1GB2NL1GB1RU1GB1RU1DE1GB1DE1NL1CH1RU1NL1RU1ES1D',
+	'E1GB1NL1PL1DE2FR1GB1RU1NL1ES1DE1GB1RU2GB1RU3GB1FR1RU1GB1UA1ES1DE1NL1IT1GB1DE1FR1DE1RU2DE1NL5RU1DE1PL1',
+	'DE1GB2ES1IT1RU1FR1ES2NL1PL1IT1AT1NL1RU2GB1NL1IT1PL1DE1RU1GB1DE2RU1DE1NL1DE1NL1IR1DE1FR1GB1IE1GB1ES1D',
+	'E1IT1GB1RU1FR1GB1IT1RU1DE2FR1DE2GB1FR1RU1NL1GB1DE1RU1IT3DE1RU1DE2GB1RU1FR1SE1DE1ES1NL1DE2NL1ES1FR1CH1',
+	'AT1DE1NL1GB3DE1NL1GB1NL1ES1NL1GB1RU1SE1AT1ES1AT1NL1DE1GB1CZ1GB1FR2CH2DE1GB1RU1DE1NL1FR1NL1DE1RU2GB1E',
+	'S1RU1GB1RU1PL1GB1ES1RU1ES1CH1NL1GB1DE1RU1IT1AZ1GB2DE1RS1NL2GB1IR1GB1IR1GB1IT1RU1SE1DE1GB1CH1IT1UA1RU1',
+	'FR1ES1AD1FR1NL1GB1ES1FR1NL1DE2RU1FR1DE1GB1DK1DE3GB1IT1DE1IR1ES1RU1PL1GB1ES1DE3NL1RU1NL2DE1IT2GB2NL1G',
+	'B2LB1DE1IT1DE1FR1GB2RU1CZ1RU1GB1IT2GB1NL1DE3NL2DE1FR1GB1NL1GB1KZ1DE1RO1GB1DE1IR1ES1GB1CH1NL1DE4NL2RU1',
+	'DE1RU1NL1MD1RU1GB2DE1NL1DE1ES1GB1IR1FR1IR1DE2CH1IT1DE1GB2RU1DE1NL2ES1DE2CZ1GB1US1GB1IR1NL1FR1DE1FR1N',
+	'L1RU1DE1FR2IR1DE1GB3IT1US1GB2IR1IT1NL1FR1GB3PL1GB1RU1GB1US1GB1ES1DE1RU1DE2IT1LB1IR2US1GB1DE1GB3IT1ES1',
+	'DE1IR1GB2PL1IR2DE1NL1ES1RU1FR1IR2IT1GB1FR1ES1DE3GB1DE3IT1RU1DE1IT1FR1GB1DE1GB1DE1GB1ES2DE1GB1DE1CZ1R',
+	'U2PL1DE1SE1DE2PL1RU1ES1CH1DE1GB1RU1ES1IT2ES1SE1DE1NL1GB1FR1US1GB2NL1ES1GB1DE2RU1IT1DE1RU1DE1GB1FR1NL1',
+	'IT1BG1RU1FR1RU1CZ1RU1CH1ES1GB3DE2NL1GB1PL1IT1DE1SE1DE1FR1TR1ES1RU1GB1ES3GB1HR1UA1GB2IT1DE1DK1ES1FR1D',
+	'E1IT2DE1IT1NL1RU1ES1DE2ES1DE1RU1ES1DE2HU1GB1NL1DE3ES1FR1SA1DE1IT1GB1US1IT1RO1RU1DE1CH1GB1SE1FR1IR1US1',
+	'FR1DE1IT1GB2IR1DE1GB1DE1FR1US1DE1PL1NL1DE1FR1DE2NL1US1PL1NL1RU1NL1IT1TR1DE1RU1IR1GB1FR1RU1BE1IE1ES1F',
+	'R1DE1SK1NL1DE1IT1DE2ES1RU4ES1GB1NL1GB1RU1DE5GB1IT2FR1UA1IL1FR1IR1NL1ES1DE1RU3NL1PL1GB1ES1DE1NL1ES1GB1',
+	'FR1DE2FR1DE1SE1US1FR1GB1RU3DE1ES2UA1ES1DE1NL2ES1DE1ES1RU2ES1SY1FR1PL1IT1DE1RU1AE1ES1GB1CH1NL1GB1FR1D',
+	'E1ES1SE1IT1ES1IT1GB1DE1GB1DE2NL1RU1FR1RU1NO1DE1NL1FR1GB1ES1NL1IT2FR1ES1NL1DE2FR1ES1DE3NO1DE4GB1NL1DE1',
+	'IT1ES1IT1ES1RU1DE3ES1CH1DE1ES1DE1IR1DE1RU1DE2IT1UA1IT1DE1RU1GB1NL1ES2FR2DE1FR1DE1ES1IT1NL1DE1GB1FR1K',
+	'Z1DE1US1BG1DE1FR1ES1GB1TR1DE1ES1NL1GB1DE1ES1PL1DE1GB3ES1NL2DE1FR1IT1ES1NL1US1GB1IT1PL1DE1PL1FR1RO1ES2',
+	'FR1ES2US1ES2DE1NL1GB2DK1RU1US1DE1GB2NL1DE1GB1IT1ES1DE1ES1NL1UA1GB1DE2GB1FR1ES1PL1DE1RU1UA1ES1FR1PL1A',
+	'T1RU1PL1CH1ES2NL1PL1IT1RU1ES1RU2ES1DE2BG1DE1GB1IT1FR1GB1ES1DE1FR1DE2CH1ES1BG1DE2UA1DE2NL1ES1GB1FR1RU1',
+	'US1ES1NL1FR1ES1GB1ES2DE1GB1FR1GB1FR1ES1RU1DE1IT1DE1TR1ES1DE1ES2GB1ES1FR1RU1GB1RU1PL1NL1DE1GB1UA1NL1D',
+	'E1DK1GB1CO2AR2NI1DO1CO1AR1BO2HN1PY1EC4CR1AR1EC4PA1AR1DO8UY4CLcAR8VE4CR4PY8AR8CL8AR8VE9BR1VE2BO2COiCR1',
+	'SV1HN1CR1AR1DO1EC1AR1CLgAR8CL8EC4CO2EC2TT8EC8UYwARyCR2EC1AR1CL2EC4CL4ECgPAgNI8CL8COwVEwMX1CO1MX1AW1C',
+	'OcAR4EC4CO6CLiARgCOwDO4CO2AR1BO1AR2gCOgCL1AR3DO8GT4AR8CO8CL4AR8CO2CR2PEgVEgCOgCLgCR7AR1EC4HN1CR1SR2C',
+	'O8AR6CO2VEiPA2AW1CL1AW1GT1HT2AR1CW1AR4BR5cHK2BR1SG1US3HK1US2IN1US1BR1HK1US4IN1US5GB1TR1BR2PA1BR1US1B',
+	'R1pUS1BRnUS2BR2US1BR1US1BR1US1BR2US1BR2pUS2BR1US1LT1US2SG3US1BR13US1BR1LT1US1BR5US3BR2dUS1DE1MY1US8T',
+	'W1BR4wDE1US1DE1US1BR4LT1BR1US2BR1DE1IN1MY1MX5sBRgMX7wBR4RU1UA1KZ1RU1DE4RS4TR4GR4BE4HU4FR4ITwRUgATgROb',
+	'ES1RO4GBgRU4PL4NL1DE3RU4HU4PT4TR4GB4DE4TR4LU1NL3RU4MK1BE1HU2AT4DE4PL4SAwTRgCHgDE1IT1RU1DE1RU2GB1RU1D',
+	'E1GB1OM2FI4DE1RU3LT4KW8IQ1NL1AZ1NL1FR1DE1RU1GR1DE1GB1US1GB1RU1IR1CZ1RU1ESgPTgESgNLgCZ1FR1DE1RU2BE1US1',
+	'PT1ES1DE1RU2DE1RU1NL1ES1DE1sPL1SK1LV1RU2NO1RU1UZ1RU1PL1DK1RU1LU1FR1UA1AM1IT1CZ1RU1BH1FI1SA1PL1AT1BE1',
+	'IR1DE1AT1TR1RU1GB1SA1SK1DK1IL1CZ1PL1SE1IR1GE1PL1NL1SE1CZ1FI1FR1GE1PL1TR1BG1NO1BA1HR1GB1PL1PT1RU1NL1E',
+	'S1NO1PL1GB1HU1FI1RU2PL2HR2GE2FR2CZ2MD2CN2SA2TR2SY2RU4CZ2OM2US2DE2IR2PL2BH1BE1DE2MD2SA2SY2PT2OM2IE2FR2',
+	'NL2HU4RU2DE8PL8SEgIT8CH8HU8IR8SY4PS4RU4UA4GB2RU1ES1FR4NL2GB1SG1SK4RU4GE4RU4ES4MT2GB1AT1RO4DE4CZ4DKwC',
+	'H8RU8BE8UA2RU6DEgSIgNLwES1IR5DE1YE1DE1IR7MD1IR3FR1IR3GB1MY1IR1RO3IR2ITgUS2GB1US1GB8IL4FR2SA2RU2PS2RU2',
+	'NL2RU2ES1AZ1DK2IT2IR2SY2US2SI2FR2UA2RUgKW4MD4FI4SG1UA1ES1UA1NL1YE1GB1RO3SE1RO1RU9DK1RU2DE5BA1PL1KZ1S',
+	'Y1JO1ES1KZ1SA8PT8PL2HR2IR2AZ2RU2BG2RU2RS2BR7HK1BRxUS1BR6US1LT1US6BR14LT1HK1US6BR9BO1BR7US1BR2US1BR2U',
+	'S1BR1sUS5LT1US2BR28US8BR5US2BR2US1BR1US1BRoFR4US8BR28AU4LT1HK1USaBR28MX87BR1MX60CO1DO1UY1GT1AR1CO3AR2',
+	'CW1PY1AR3CO1HN1CL1CW1CL1AR1HN1SV1PA1VE1CU1DO1AR2CO2AR2CL1PE1CO1AR1BR1VE1CO1CR2EC3BO1AR2EC1PE1AR1DO1C',
+	'O2CL1AR2BO1AR1PA1CO1BR1VE1ARhCLcPY4COoAR8PAgVEgPEgCLgARgCO1BR1PY1DO1SV1HN1SV1HN1CL4AR4GT4SV2EC1AR1TT8',
+	'CO8SV4EC4UY4COsVEwGY2DO2PE4CL4BR2TT2CO8SV8CW4BR4CO4CL4HN2US1SG1TT2CO1AR1DO2EC1VE1CL2EC2CL2CO2AR1CO3S',
+	'R2AR1CL1SV1UY1CO2CL8SX1HT1PE1CO1VE1CO1BR1AR1BO1AR1PY1AR5NI1AR1NL1GT1BO1AR1HN1AR1UY1BR1CL1AR2BR1CO1BO1',
+	'MX1CO1CL1EC1AR1EC1BR1AR3BR1CW1CL1CR1AR1PE1CL1AR4BR1HT1CO1PEgSV1EC1AR1HT1CL2CO1CW1AR1DO1AR2EC1AR1VE1B',
+	'R1AR1DO1AR2COePY2BO4HN1CO1EC5CO1UYgARgPA8VE4CO2GT2COgGT8SV4CL2AR1CO1EC4VE2CL2EC8COgCLkCO4DO8VEcCR2CL1',
+	'BO1ARwBO2BR1CL1BO1AR1NI1HN1CO2AR6NI2CO1AR1CW1SX1AR2BO4PE4ARwCL3AR1BZ2AR2VE14CL8AR4CL1CR1AR2NI4TT4EC4',
+	'CL4AR2PE1VE1CO2CL2PA8AR8PE8ARwPEwCO4CR4CO8ARgCOwUS1BR1USeBR40HK1BR1US2BR8SG4DE1US3LT1USbBR1sCO1sARoB',
+	'R8COwUS4AR4CO2PE1NI1EC8US4AR1CO1HN1CO1AR1HN1COyCLwBRgCLgBR1sCO1sBRoUY4BR50US8HK4BR1US3BR2US2BR1US1BR1',
+	'US3LT1US2BR1US1BR1US8BR6US1BR12NL1BR2US1BR5IE1BR1US7BR1US1IE1US1BR1US1AU1BR1uUS2CA2US4GB4USgSA4US3IN1',
+	'USoIR4US2SE1CA1USgSE4US3BR1US15CH1FR1CH1US8SE4CH4DK4USaCH1US9DE1USbJP4US4FI4JP8DE1US9FR2UScFI1USvDK4',
+	'US5NO1US6FR2US2SE4TW4US6AU1US1CA4US2DE1USpFI2TW1US3IT1US9NL4US4FI4UScFR4US4CA1US1CA2ZA4US4FI4CA4US1G',
+	'B1MX2US4FI1US4FI1USaIT4US1IT1US1FI1DE2SK1US1DE4UScNL4ILkUS8SE4GB3USbDE2FI1USbDE1US3FI4UScFR4IT1US4FI1',
+	'USaCA4BR2CN2BR4ZA8RU1BR1CN2RU1DE1ZA1BR1US9SE1AU1US10ES1USdCA1US2RU2PL1RU1FI3US1AT4SE4DE4IT4AU4US8CA1',
+	'US1GB1USbJP2US1CA1US2SE4US11CA2USlTW4US4FI4US4FR2US2CA4US4CA1US18CA1USgCA1FR1UScJP4CA4USaCA2US1BO1USc',
+	'CA2US6MY2USeAU1USbCA2US4CA1US5HK1USaCA1USaJP4UScLK2GB1CA1US2CA2USaCA1USdNL1PL1RU1UA1IE4SI4DK1SE1DK2I',
+	'S4CH4HU4DE4CH4GB1SE1SG1DK1SEoDE6GB1DE6RU1DE1UA1DEvRU1DEgGB2NL1RU1PL1RU3PL1DE1RU1PL1GB1SG1GBaSE1GB7EE4',
+	'SE1GB1DE2GB1IT7SE8AT4DK1CH3FRkBE4FRgBE3DE1PL4GBgFIcNL4BG1LV1BG2NO4FR2IT2NO4CH8BE4NO2BE2IT4SI4NL8AT8S',
+	'G1JP1GB2AT4CZcSK4DK8NO4PL1HU1NO2GR4UA1PL1UA1RU1FI4TN2IE1SI1DExGB2RU1DE1RU1FR1PL1UA1RU2PL1RU1UA2RU1DE1',
+	'NL1DE1UA1IS1PL1UA1PL1DE1UA2DE1UA1DE1RU1DE1CN4GB4JP2AU1JP2AU1JP1GB1JP1AU1ES1AU1JP2GB2JP2DE2CN1AU1JP2I',
+	'E4BE4DE1SA1US3AE1US2RU1SY3ES4PT4ES4GBoCH8PT8SI1DE1RU1NL1FR4TR4NL3DE1FI8ESiDE1ES1DE1FR1US1NL1PL1RU1CZ1',
+	'SE1DE1PL1IR1RU1ES8AT4DE4NO8DE8NO8DK8SE1GB2AT1CZ4FI8LU2RU1DE1RU4AT8NL8DE8NL1DE1NL6IE2LV1IT1CZ4SEgFI8A',
+	'T5RU1US1AT1MT1JO1KW1CH1NG1DE1SI1DE1BE8GB2RU1GB1IT1PL1CH1KZ1MA1DZ1GH1SE1GB4DE8HR4FI4RU1PL1GB1DE1FR1GB1',
+	'DE1US1CH1FR1DE2PL1GB1IE1GB1ITgFIgNOgLT1SE7GR2GB1GR1LT3NO5SE1FR1GB1BE1CH8HU8RO3HU1EG1IT1LB1DE1AT2RU1A',
+	'T1FI4RO8RU8SE8PT4GB4PL1DE1RU1DE1PL2UA1RO1GB4SE4FR1DE1RU1GB4TR1BE8CH8FRoES1DE2RU1TR4UA1RU1DE2SK3RU1FRg',
+	'GB2FR1DE1BE4LV1DE1RU1DE1PL1GB1DE2NL2GB2DK1CH3GB1UA1CH1DE1NL4SE4DE4SEcNO2DK2IT5US3SE8CH2AT1DE5NL4TR4R',
+	'U1UA2RU1CH1NL1PL1DE1ES2CY1GR1DE2RU1DE1GB5PL1GB7DE1GB6AT4FR1CH1PT1CH1DE4CH4GB1CH3CY1GB1CY1GB5UA4NL4GB3',
+	'IE1SE4AT3DE6RU2CZ1FR4DE4NL4TR1NO1RU1KW1DE4CH4FR4SY1RU2SY1DE4GB4DE1LU1GB8GR2DE4PT4GB4RU4SE4NL1GB1NL1E',
+	'S1GB4SE4GBgDE8BE4RU1PT1FR1IT1GBgRU8FI4NL1RU1CZ1RU1HU1GB1DE1RU1FI4IL4JP4PL4US1SE1GB1US1DE8AT4DE4FR4DE4',
+	'FI4GB5RO3SE4NL4RO1GB2RU1ES1MT1IE1AT5CZ4NL4FI1SE1FI6GB2AT2DE6SE2DE4IT2PL1FR1PT1DE1GB1FR1AT4FR2GB1IT1N',
+	'L1DE1NL1DE1NLcCH4IE3GB1LB1GB1LB1PL1DE4GBgSE4DE4US4RU2AZ1RU1FI8DE8ES3GB1BG4FI4NO2GB1HU1IS4DE2SE1DE1FR2',
+	'UA1DE1CH5US3HU1CZ1MK1ES1GB1RO1RU1PL1NL4SI1GB1AT1HR1GB1SE1DE1RO1GR1RU1CY1LU1GB4DE1RU1DE2FI4MT1AD1AT1B',
+	'Y1GB4SK4GB1FR1DE1GB1US4DE2FR1DE1GB2US1DE1RU1NL1JO1US1AT4FR4GB7PL1AE4NL4DEhGB3FR1IT1AT1GR1NL4ES2US2DE4',
+	'PL4DK1CZ1DK1DE1IT1SM1AT1FR1IT8RU4NO1UA1DE1UA1FI4GB4RU4CH4DK4AU1JP1AU2GB1DE1FR1GB1DE3US1GB1NL3FI4DE4F',
+	'R4GBgEE1MT1PL1MA1GB4FR4GB4AT4CH4PT4FI4CZ5SE1NO1CZ1FR4FI4GB8SE4GR4ES4GB8AU3JP1ES4IR4RU4GB4CZ4NL4CH4DE4',
+	'AT4DE1SG1DEaSE8GB1SA1GB2DK4FI8RU1NL1GB1IT9DE4IT1DE3RU1GB1RU1GB1NO4SI4FR4FI8GB1DE1BE2FR4DK4BE2NO6GB1L',
+	'V1GB1RU1FR1AT1UA1RU1US2DE1US1UA1ES1RU1FR5IE1FR1NL1GB1PT1GB1PL1DE1RU4GB1LU1FI1GB6RU1SK1AT1BE1GB1LV2RU1',
+	'GB1CY1DE1CH2FR1CH1BE1RU1ES1FI1DE4RU1NL1NO2RU4NL1CH1SK1DE1GB2SG2PT1SE1LT1MD1PT4DK1DE1UA1CM1FR4GB2MK1A',
+	'T1GB4RU1SK2FR1HR4DE4IT6DE2NL1FR1NL1TR1RU1BG1DE1RU1US1DE1NL2IT1DE1FR2DE4RU1GB1DE1NL1CZ2KW1DE1PT1SG1GB1',
+	'NL1DK4FR1RU2SE1EG1LU1IT1SE1GB4IT4GR1SK1TR1FR1CZ2DK1SI1CH6UA1RU1BY1GB1DE1EE1DE1FR1GB1AT1DE4ES4RU1DK1S',
+	'E1RU1ES4HU4ES4RU1GB1AT1GB6DE1IT1UA1DE4RU1DE1LV1GB1DE2NL1CZ1AT1NL1UA1RU1CH4SE1RU1ME1GB1SE4FR2RU1FR1NO1',
+	'GB1RU2CH1GB1CZ1RU1DE4SK1DE1GB1IT1NL4FI1GB2BE1NL1DE1NL2ES8MC1RU1SE1IT1CH1GB1NL1FR1GB2SK1DE1GB4KZ1DE1P',
+	'L1DK1FR4SE4DK2NL1DE1NL1VN1US1MY1TR4RU2PL1RU1GB4DE1CZ1RU1DE1SK2RU2GB4US2RU2YE1DE1IT1PL1BE2PL1NL1AT1RU2',
+	'IT1GR2DK1GB1SK1RU1SK1DE1GB4SE4FR4GB4IT4GBgNL8DE1IT2AT1HU4GB1CH1TR1LB1CZ4LV1FR1UA1ES1FR4PL8DE1FR1GB2D',
+	'E4IT4NL4LV1BE1GB1CZ1AT1ES2CZ1DEhRU1NL1CZ1NL4GB1GR1BE1IT1RU4FR4RU1ES2RU1GB1GR1CH1GB1FR2DE1RU1PL4GB2IT1',
+	'DE1PT1UA2DE1NO4DE2PL1UA1CH4TR4GB3DE1CH1BE1GB1RU1DE4IR1RU1SK1FR1GB4FI4GB1DE1GB1PL5RU4GB8FR4US1TR3FI4G',
+	'B4UZ1MT1DE1RU1NO4FR1CH1FR1DE1RU5GB1CH1BE1SE4PL4FI4GB3GI1GR2GB1FR1SK4NL4GR1AT1FI1RU1GB4NL2HK1NL1GB4TR8',
+	'CH4DE1PL1DE1UA1RS1CZ1SE1RU1DE4GB1DE3IR2NO1FI1PL1LT1RU1IT1GB1DE1GB1DE1HU1DK1BE1RU1DE4CH4PL4GB4PL2RO1U',
+	'A1GR1RU1CH1ES1DE1GB1RU2AT2DE2NL4GB8SE4FI4SE4HU4DE1FR1GB1RU1DE4FR1KE1AT1CH1DE4NO4PL4IT1NL1GB2BE4RU8PL1',
+	'IT1RU1SI1RU2UA1RU1NL4GB4US2TR1FR1DK4GB1CH1ES1RU1GB4LU1FI1RU2GB4FR8BA1BY1RU1DE1IT4GB4NO1PL1DE2CH1DE2K',
+	'W1DE4HU4AE4BG1RU1UA1IT3DK2GB2DE6PL1UA1DE2ES4FI8BE1RU1DE1FI1RU4NL8SE1PL2DE5TR1FI1LV1GI1DE2PT1PL1SI1CH1',
+	'DE1IT1US4FR1GB1DE1GB1DK4DE1AM1CZ1SI1GR4SE1RS1DE1US1DE4US2PL1NO1FI4UG4ZA2MU1SD1ZA3EG1MU1ZA2MU1ZAwIN1M',
+	'U2MA1ZA8SA1ZA3SCgNA1DZ1MU2ZAoMU2NG2ZA5MU1ZA1AO1ZA8MU3ZAtMU2CI1NG1ZA4MU1ZA1--2ZA1TZ1UG1KE1ZA2NA1ZA1CI2',
+	'TZ1ZA1MU1TZ1ZA1ZM1ZA1NG1CI1ZA5MU4SN1ZA1MZ1ZA3US2--gZAgMU4ZA2SC1ZA1--8MA3kKE1sMA1sEG3k--wTGgGHgTNgCIg',
+	'TNgETgMU2ZA1--dZAgKE1NG1MA1CD1GH1CI2KE1EG2SD1KE1TN4EG8MA4NG1--1KE1SN1ZAwNA1MU1ZA2MA4EG8NG4EG4NG4ZA4T',
+	'N1sZAo--4ZA9TZ1ZA1AO1ZA1CI1ZA3SC1ZAiTN3kEG3kZA5cDZwEGwMAgEGgKEgDZgMAgAO1TG1MG1CI1MG1NG1CI1GN1EG8TZ4M',
+	'A4ET4ZA1MU1ML1CI1ZA1ET1KE1NG1UG1ZA1RW1ZA1MZ1MG1--1SC1CM1NG1ST1CI1EGwZAwKEwZA8TZ8NA4CD2LS1ZA1GH8EGwDZw',
+	'SD8NG4KE1ZA1AT1MU1ZM8NE1GQ1CG2SL1US1LY1MG1AO8MZ8ZM1SO1LS1--1ZA1GH1UG1TZ1EG8MUgZA8MA4MR1GA1ZA1CI1KE4N',
+	'A4NG1NA1ZA2MZ4ZA4KE4TN4UG1BF1ZA1CI1TN4DJ2AO2GA1ZA1GM1CI1RW2NA2TN4ZA4EG4MA4KE4MZ4TZ4SD2GH2SD4NG1GH1MA2',
+	'KE2LS1SD1NG1GH1CV1NG1US7CA1US1CA1US12AR1US3JP1USdCA2US4--8UStCA1USmCA8US1iCA2US6CA2US6CA1US1CA4ZA1US1',
+	'ZA2US6PT2US6CA2US12HK1US2HK1USfCA2US17CA2USqCA2USgCA4USoCA4US44CZ4AU4US6JP1US1tCAqUS1KN1CA8US3dCA1US3u',
+	'CA4USiCH2USeGB2US12CA2US4HK1US2fCAgUS1kCZ8US6CA1USpGB4US8CH4USoCA4US14CA4US1cCA5US1CA2US3kGB4USsCA4U',
+	'S4cCA4USwCA4US10CA4US1eCA1USeCA3IL4USwCA2US1CAhUS20CA4USsCA4US8CA4DE1US2CA1USaPS1USlBR1MX1CL1AR2CO1V',
+	'E1AR1UY1CL1HT1CL1AR2CO1HN1MX1BR1MX1PE1PR1AR1VE1AR1EC1CL1CO1GT1SX1EC1AR1EC1VE4CR1BR2CL2PE1BR1MX1BR1CL1',
+	'VE2GT1MX1CO1AR1MX2SV1CO1MX1CL3BR1US3MX1AR3BRgCO4CL4MX4CO1BR1EC2CO2EC2AR2CO1CW1CLcUS1CO1GT1CL2PE1VE1C',
+	'O1AR3BZ1MX7BR1VE2GT1VE1MX4PE4MX5BR1MX2UY4AR7DO1AR4VE4AR4PA4AR4PE4BR1AR3PR1BB1AR1BR1AR4MX4BR2MX1BR1CL4',
+	'AR2CU1CL1MX8US1BO1UY1CO1AR4PE4AR4US1NI1PE2AR3EC1MXgCL1AR1MX1AR2CO1AR6UY1BR1VE1CL5CO2AR1CL3CO1VE1CO2V',
+	'E1PA1MXgCO1BR1AR8VE2CL4VE4SV1AR2CL5BO4DO4PE1CO1AR1CO1VE2CL3CR2CO1MX4VE2CO1EC1MX7BR8US1BRnUS1CL4AR2BO2',
+	'PE2BR2EC1AR1PE1AR1TT1AR1BR1UY1VE4PE1EC1CO1AR1CL6AR1CL4HT1CO1AR4BR1PA1AR1CO4AR4CO6GT1BO1CL4PE4AR2CR1C',
+	'O1PE1AR3CL1AR1CW1UY2AR1EC3CL1AR6BR1gIN1BR57MX3BRlMX1BRbUS4BR2dUS1BRiUS4MX1BR3US4BRtUS1BR7MX1BRaMX1BR3',
+	'US4BR24US4HK4BR4EE1BR3US8BR1US1BRhUS1BR2HK1BRdUS4BR10US4BRaUS1BR7US1BR1pUS1BR1US2BR1US3BRoUS1BR1US1B',
+	'RxDE1BR17US2BR2US4BR12US1BRhUS2BR6MX3xBR2MX10BR1MXvBR1MX5BR1BO1MXsBR2MX5BR1MXaBR1MX1iARoBR4EC4CO8CLg',
+	'HN1CO1AR2CR1wVEgAR8CL8CO1BR1GT1AR1PY1EC1UY1CO1EC1PA1CL1PA1EC1AR1CL1CO3AR1CU1UY1TT1CO1CL1BR1BO1CL6PAg',
+	'CO4AW2DO2PE4AR4CO8AR3EC1AR4CL3CO1CR4VE1TT1EC1CL5PE4CL4VE8CO8CL4SV4VE8ARoNZ1AU1HK1US1PG1HK1SG1MV1NZ1T',
+	'V1SG1JP1AU2TW1PF1WS1AU1CN1HK1BD1JP1PK1TW1AU3ID1NZ1AU3JP1TH1CN1PH1AU1MY1IN1NZ1AU1CN1AU2JP5AU3JP4NZ1CN1',
+	'AU2JPkNZ1CN1KR2IN1MN1JP1SG1KR1JP1NC1BD1JPgNZ4TH8KR8JPgNZ8CN4TW4IN2HK2IN2TH1CN1JP2SG2TH1ID2SG1TH1PK1A',
+	'U1TH1HK4CN1ID1AU1IN1PK1ID2TH1JP4NZ8JP1ID1HK1ID1JP1SG1JP1HK1AU1IN1BD1ID1IN4HK1SG1AU1JP1NZ1IN1SG1IN1ID1',
+	'PH1TH1CN1AU1ID3AU1PK1JP1ID1JP1AU1JP1HK1PK1CN1JP1DE1KH1IN1AU1HK1SG1IN1SG1PK1HK4CK1AU1IN1HK5JP1AU1HK3A',
+	'U1IN1KR1PK1HK1PH1LK1CN1NP1PK1JP1IN1JP1DE1HK2CN1AU1ID1SG1JP1AU1NZ1JP1CN1AU1NZ1MY1HK1MY1CN1HK2SG1JP1HK1',
+	'ID1HK2SG1PH1NZ1JP1NP1JP2SG1HK1AU2TH1ID1SG1IN1HK5IN1AU1JP1HK1CN1PH1HK6AU1HK1MO1JP1IN1MY1NC1ID1HK1GU1I',
+	'N2NZ1IN1DE1PH1CN1PF1PH1CN1ID1IN1JP1CN2AU1PH1IN1ID1JP1AU1ID1AU1SG1JP3SG1ID1JP1CN2wJP1CN1JP2MU1HK1GU1H',
+	'K1JP1AU1PH1JP1AU1CN1PK1HK2TW1SG1JP1CN1JP1CN2GU2SG2TH1AU2IN1CN1HK2CN2IN2MN1TW4KR1MY1TH1SG1NZ1HK1IN1AU1',
+	'JP4SG1AU1KR1CN1ID1AU1LA1IN1AU1IN1PH1AU4TH1JP1HK1TW1JP1IN3PK1AU1IN1PK1TH1CN1JP1TH1JP1IN2BT1JP1TW4ID1M',
+	'Y1ID2JP1US1PK1ID2CN1SG1IN1CN1ID2IN1CN1ID2CN1FJ1GU1CN1MY1ID1BN1ID2CN1HK1ID3AU1NZ1TW1ID2AU1HK1SG4JP1IN1',
+	'SG1CN1ID2CN1AU1ID2AU1IN1BN1TW1IN1SG1AU2US1JP1MY1JP2ID1SG1PK1KR1PH1IN1JP1IN1JP1MY1US1TW1CN1SG3NP1SG3J',
+	'P1AU1SG1CN1BD1ID1JP2NZ1HK1MN1CN2ID1JP2MY1SG1JP1AU1SG1TW1ID1AU1CN1TW1CN1NZ1JP1MO3PH1JP1TH2SG1HK1JP1IN2',
+	'MY1JP1TW2MN1IN1CN1JP1ID1NZ1CN1AU2SG1HK2TH1JP1AU1CN1ID1AU1TH2MYkCN1HK1JP2MY4AU1CN1IN2CN1sJP5cAUdCN1AUl',
+	'CN1AU2iCN1AU5CN1AU2qCN1AU8HK4AUcTW1cAU1JP1IN1PH1TW2HK1ID1HK2TW1JP1CN1NZ1TW2CN1HK1CN1HK1SG1MM1KR1US1P',
+	'H1MY1AU1BD1ID1HK1KR1AU1HK1AU1PH1SG1HK4CN2HK1JP1AU2PH2IN1US1IN1CN1JP1AU1NZ1AU1KR1IN1CN2TW1CN1HK1IN2SG1',
+	'MY1AU1CN5LK1AU1IN1JP1SG1CN2NZ9IN1HK1NR1CN1ID1PK1IN1AU1CN1KR1AU1IN2PK1AUaPH1JP2HK1JP1CN1AU1MY4CN2TH2A',
+	'U4KR1IN1NZ3JP1AU5JP2AU1IN1BD1TH2VN1AU1JP1TH1NZ1JP1LK1IN1PH1MY1SG9TH1NZ1CN1VN1CN3SG1JP1SG2MY2TH1AU1IN1',
+	'AU3SG1AU1IN1KR1PK1JP1IN2SGcPK1ID1AU1KR1AU1HK1AU1IN1PK1KR1TH1ID1AU1PH2HK1CN1AU1IN1AU1TW2JP2AU3IN1PK1T',
+	'W1HK1JPpMY1HK1AU1CN1LK1AU1SG1AU2KH1TH2CN1HK1IN1TW1TH5NC1SG2CN1JP1TH3AU1SG2TH9CN2JP1IN1ID1TH1AU1THbCN1',
+	'TH4AU1IN1TH6JP1HK1PH1CN1US1AU2CN1VN4JP2VN1TW1AU4JP4AU2CN1AU1JP1PH1NZ2CN1JP1MY1HK2SG1HK2JP1KR1TH2NZ1P',
+	'T1JP1AU1PH1TH3AU1KR1NZ2HK1CN1AU1JP1KR1PK1CN4KH1HK1PH4JPoNZ1JP1HK3TH2AU1HK4TW2CN1IN1TH1HK1AU1TW1JP1LK1',
+	'KH1CN1ID1PH1IN1AU1CN2AU1JP1CN1AU1JP1IN1HK2IN1AU2JP1HK2VN1CN3AU1JP1IN6HK4IN8AU3IN1AU3JP1TW8VN1CN3AU4T',
+	'W1CN4AU1SG2TH2JP1AU1KR1AU1VN2TW1NZ1SG1JP2KR1AU1IN1AU3PH1AU5PH1PK1KR1JP4AU2ID1KR1HK4AUcTW1AU2JP2KR1MY1',
+	'HK1KR3kUSfID1US1kIR4CA4US28CA8USpCA1US6CA4ID1US3bCAcUS1wCA4US14CA4US2sCA4US23AR1US16FI2USkCA4US1cCA4',
+	'UScCA4USsAR1CO1CL1MX1US10CA4USqBR1USxCA8US10DE1BS1US2CA2US6CA4USgCA4USi0CA4US1ePK1US1dHK4US4MX2USyCH4',
+	'CA4US8CAgUSgCA4USdCA1US6CA8US5SY1US2CA7UScBB1USlMX1US1eCA4US8CA5US2CA1US1SA1US1aCA4US4HK4IN4USaVE1PK1',
+	'IN1US1VE2US3DO1JP1USzCA4US38BR1CD1US2BR4US4CA4US4CA4USoJP1USwBR1VE1US1dCA4USwBR1US3AR1US7CA4US28CA4U',
+	'SsCA4USoCA1USrCA1US1CA2US3CA1UScMX2US1eAU1US1fHK4US2CA1UShCA4USgCA4US7CA1US6CA1US1CAcUSoCA4US5CA1BM1',
+	'US1NL1US7CA1US1bES1US5ES1US11AG1USjKR1UShCA1US1hHK1US3SG4USrGB1USaCA1US1hCA4USiCA1USeHK1USqCA1US3CA4',
+	'US14CA8US16HK1US3CA2US1dCA1US2CA4USeJP2ES1US1nCA4UStDE1USsCA2USkCA4GB4UScCA4USgCA2US2eCA4US4AU1CA1USq',
+	'SA4UShSG1CA1USoDE1USdAU1US4CA1US5CA6US6CA4US8CA1US2CA1USsBE4HK2US7SA1US4CA1US4FR1UStCA1ES1US4CA1USgC',
+	'A6USkCA1US2--1USbJM1PR1CA1USkCA1USnCA4US8CA4USoHK4US5CA1BM1US1CA1USbIL1US5ES2US8CA4US18MX3CL1MX4UScC',
+	'A4USmDE1US6DE1US4DE2US5DE3US2HK1US2DE1US6DE1NL1US7DE1US5DE2US5DE1US4DE1USaNL1US1NL1US2NL1US5NL2US2NL2',
+	'US2BM1US1NL1US3NL1USaHK1UStCA1US1pDE1US4qCA1US1CA1US1CA1US5CA1US2CA1US6CA1US13CA1US6CA1US5CA1USeCA1U',
+	'SoCA2US68CA4US8sCA4US8HK8UScAR4US1CO1US2CA4US5JP1CA1US9CA1US1FR1USjCA1USdCA4USeHK1US5CA1GB1US1CA1US8',
+	'NL1US2DE1USaCA1US4NL1US8PE2USjCA1US6CA8US1CA1US5DE1USdAG1US6BR1PE1US15CA1US1oCA1US7CA4US2CA1US2CA2PR1',
+	'USbTT1USaGB1CA1US8GB4US8CA1US4CA1US5CA1US12CA2USkCA4UShDE1US2CA2US2CA1USsCA1UShCA1US6CA1DE1CA1USeCA1',
+	'USaCA2US8CA1US16CA1US2NL1CA1US1CA1USoCA1US5CA5USpMX1UShCA1US1CA1US1aCA1US8CA1US5GB4US8CA2US1CA1ZA1US6',
+	'CA1US1CA1US1CA1US5CA1USlMV1US3CA1USaCA1US2CA1USfCA1US1VI1USeCA1US1CA4US2CA1IT1USuCA1US1JM1USbCA1USzH',
+	'K1US9CA1USlAU2HK2TH1PH1JP1AU1CN1VN1PK1JP1HK4PH2TH1US1CN1PH1CN1HK5FJ1IN1JP2AUgCN8PH1CN6AU1PH1IN1CN1KR1',
+	'TW2HK2IN3AU1MY4JP4CN8SG1PH1AU1PH1SG3JP1CN2kNZ3JP1AU8CNcNZ8PK1IN1JP1CN1HK1JP2KR1TW1kCNsJP1CN1ID1CN1SG1',
+	'KR1AU1JP5CN8AU4TW4NZ2TH2AU1ID1CN1KR1JP5US1AU1JP1KR48JP5cHK8KRoHK4NZ1AU1JP1CN1MY8JPgTW1KR1TW2SG1JP1AU2',
+	'JP4MY4JPgTWeTH1JP1KRgTW5HK1TW2IN2ID1KR1JP1KR1IN6TH1PH3IN4AU4KRwJP1sTWkVN2HK2NZ1TH3JP2SG1AU1JP34TWgMY8',
+	'AUoKR3kCNwTWwCN2oKR1sJP1sCN1uSG1CN1pKR9sDE1RU1SD1MD1NL1UA1GB1RU1GB1DE1SA1TR1SE1UA1RU1LV1IT1CH1CZ1DE2',
+	'RU1BG1SK1RU1DE3EE1IT1DE1RU1DE1ES1DE3ES1AT1GB1DK4SG1CZ1RU1SY1RU2TR1LT1RU1MK1KZ1GB1PL1ES1IT1RU1TR1RU1U',
+	'A1DE1RU1IR1HU1RU2AT1NO1IT1DE2NO1DE1RU1GB1KZ1NL1RU1CZ1DE1NO1RU1DE2ES1GB1ES1IT1UA1GB1RU1FR1CH1IT1GB1CZ1',
+	'LU1CH1IL1SE1NL1SA2UA1NL1DK1AT1DE1CZ1GB1MD1CH1SE1DE1TR1IT1IL1GG1SI1RU1IS1TR1CY1GB1IT1DE1US1SE1RU2PL1N',
+	'O1IR1JO1RU1DE1ID1CH1JO1RO1IT1BG1ES1GB1LB1DE1SK1DK1FR1DE1RU1SA1PL1IT1BG1FR1AT1CH1HU1LB1RU2CH1GB1CH1GB1',
+	'UA1CH1DE1KW1DE1GB1FR1GB1RU2DE1RU1BG1IT1RU2IT2RU1CZ1LT1AZ1FR1IT1DE1RU2PL1KE1ES1GB1BG2FI2DE1HU1CH1PL1L',
+	'T1IT1BF1AT1RU1GB1DE2FI1DK1GB1GR1ES1UA1PT1CH1US1GB1MT1MD1TR1ES1RU1SA1TR1DE1GB1RU1LT1RU1CH1ES1CH1GM1AT1',
+	'DE1NL4GB1DE1FR1DE1FI1DE2SE1CN2GB1TR1DE1RU1TR1CZ1DE1LU1DE1FI1RU1CZ1PL1AT1FI1DE1IL1BE1GB1RU1AT1GB1SA1G',
+	'B1BG1GR1BE1NO1CZ1DE1OM1DE1GE1BG1SE1AM1SE1GB3CH1RU1BG1SE1RU2KZ1SA1RU1DE1VA1IT1RU1QA1IT1DE1ES1NL1DE1BE1',
+	'ES1DE1UA1CZ1ES1DE1SK1GB1ES2GB2FR1UA1RU1NL1FR1NL2GB1NL1DE1BR1SE1FR1GH1FI1IR1DE2PL1GB1DE1PL1AT1DK1DE2E',
+	'S1GB1DE2IT1FI1DE1CH1PL1IT1SE1RU1HU1NL1RU1HR1DE1GB1RO1SA1RU1FI1IT1DE1AT1FR1IQ1ES1HU1KZ1DE1RU1KG1DE1DK2',
+	'TR1DK1LB1TR1FR2DE2GB1NG1RU1SA1CH1ES1SI1DE1SA1IT1DE1GB1FR1CH1SI1IT2RU1ES1FR1SE2GB1DE1PL1PS1PL1ES1EE1F',
+	'R1SE1RU1AT1GB1TR1HU1RU1CH1PL1RU1IT1MK1GB1DE1CZ1ES1GB1DE1SE1KG1DK1DE1UA1BE1GB2FR1DE3TR1IT1GB1NL1DE1SE1',
+	'BG1SA1LT1DE1IL1CH1JO1SI1SA1DE1GB1SA1EE1RU1MK1NL1RU1IR1GB1IT1DE1GB1RU1LT1DE1PL1BE1IT1NL2RU1DE1AT1GB1T',
+	'R1GB1NO2PL1IQ1CH1DE2PL1NL2ES4FR1IE1CN2DK4IT4GB1DE1GB4TR2GB1HK1GB6NL4GB4SA4GB8IT4NL1LV1ES2IL4DE4ES4FI1',
+	'RO1OM1FR1CH2IE2GB4DE1FI3IL4SE5GR1AT2NL4TR2KZ2FR4TR4FR4GB2CZ1GB4NL1PL4GB2CH2GB1IT1SE1GB1ES4RU4IT1NL1L',
+	'U2BE1ES3DE8GB1NO1ES6IT4DE4GB2US2TR8RU4IT4UA1NL3IL4FR2PL2SE4PL2NL1FI1AT2GB1ES1DE8AT4NL2GB2RU2GB2DE2IT2',
+	'BE4PL4RU8FR8GB4SK2AT1FR5IL4RS4DE8NL1CH1PL2DE2NL2GR4NL4GB4FR4SE4IT4GB2DE2GB1HK1SG2FI4SE4CH2SA2IT4MA2S',
+	'E2DE4GB4RU4GB8DE6BE2GB2ES2FI4DE4GB8ES8RU1ES1CH2BE1RU1BG2FR4IL2SI2AT4IT1GB1DK1SE1NL4IT2BE2GB4KG1AT1GB2',
+	'DK4CH4PL4IT4FI4SE4RU2GB2CH4GB4GR2NO2TR8CH4US4ES4GB8CH4ES4PL1RU1PL2PS4CY4IL4DE2ES2NL4FR4GB4PT4TR4SE4B',
+	'G1HU1GR2DE1GB1PL2JP2GB1US1CZ2GB2DE4RU1SE1IT1LV1PT4DE4RU4PL4IT4RU2ES2FI4CZ4PT2FR1DE1GB4FR3DE1AT2RU2NL3',
+	'KW1GB2EE2FR4ES4GB6DE2GB4FR4AE4TR4FR4IT4NL4AT4GB4BE4SE4NL4NO2GB2NL4GB4FR1ET1CH2FR4IL4PT4RU4ES4DE4GB1F',
+	'R1NL2PT4SEgDEgUS4PL1DE1NL2TR4NL4PL8GB4RU2SE4RU2GB2SK2IT4DE1GB1DK2NL4RU4GB4RU6SE6AT2FR3BA1BG2IT2PL2NL4',
+	'ES1AT1IE2DE4ESgSE2LV1SE9LT2SE1LT1GBgPL2RU3UA3RU1UA2RU1FR1UA1GB1UA1SEgNL3SE1NL4BE8GBgNLgRU1TR1DE1RU1D',
+	'K1GB1CZ1NL1UA1QA1GB1FI1RU1EG1SE1DE1AE1RU1BE1NL1ME1DE1GB1CH1ES1IT1PL1RU1DE1RU2DE1NL1FR1IT1SA1IM1RS1BE1',
+	'DE1FR1RU1FI1PT1JO1FR1DE1RU1IT1DK1GR1RU1PT1SE1RU1ES1SE1NO1CH1RU1GB1SI1GB1DE2IT1CH1FR1RU1BG1KG1FI1CH1D',
+	'E1GB1PT1DE1HR1ES1RU1GB1TR1DE1ES1RU1DE1BG1IT1AT1RU1SE1AT1RU1CZ1NO1SK1FR1EG1RU1IT1NO1DE1TR2AZ1SN1RO1UA1',
+	'CZ1DE1PL1RU1NL1UA1GB1RU1DE1FI1AT1GE1RU1DE1CH1PL1LT1GB1DK1RU1DE2UA1NL1SI1PL1TR1FR1CH1AT1DE1ES1HU1NL1S',
+	'E1AT1ES1DE2SE1GB1DE1GB1RU1GB2SA1FR1BG1NO1IS1RU1EE1DE1RU1DE1FI1UA1FR1US1GB1RU1DE1ES1RU1NL1IT1GB1RU1AZ1',
+	'ZA1NO1DE1AT1FI1SE1UA1DK1US1GB1IT1LV1DE1GB1IR2IS1FR1RO1RU1BE1ES1DE3IT1SE1ES1DE1NL1EE1SE1PL1FR1RU1ES1S',
+	'K1HU1FR1IT1DE1AT1DE2IT1DE1PL1NL1SA1NO1SE1GB1DE1GB1FR1PL1TR1UA1IT1DE1NO1SE1NO1US1GP1US1NL1KW1CH1RU1LT1',
+	'IS1IE1PT1RU1DE1HR1BG1CZ1PL1FI1ES1RU1CH1BE1NL1GB1TR1ES1CZ1IR1ES1PL1CZ1NL1ME1CH1DE1NL1HU1LT1NL1GB2IT1R',
+	'S1IT1SE1GB1PL1GE1DE1SE1CH1ES2TR1US1OM1HR1IE1DE1NO1FR1IT1DE1IT1LB1SE2IT1PT1GB3NL1DE1NL3CY1IR1DE1GB1AT1',
+	'NL1IT1DE1FR1IT1GB1RU1CZ1SA1TR1KZ1BE1DE1SE1GB1IT1EG1IT2IS1BE1DE1BG1FI1SE1FR1SK1IT2DE1PL1GB1FI1SY1DE1I',
+	'T1MT1DE1PL1FR1GB2EE1BE1RU1ES1IS1DE1CZ1RU1DE1CH2NL1FR1HU1PL1FR4BE4AT1NO1GB1IT1BG1RU1LT1CZ1ES1PL1NL1UA1',
+	'FR1RU1PT1GB1AT1GB1ES1SI1SA1UZ1IT1GB1UA1ES1BG1PL1TR1DE1CH1RU1IT1RO1IE1NL1RU1NO1IT1RU1GB1CZ2AT1SA1GB1N',
+	'O2DK3GB1CH1PL1TR1SE1IE1NO1IE1DE1RS1AT1DE1BG1PL2DE1RU2GB1SE1RU1TR1RU1FI1IT1FR1PS1GB1RS1FR4YE1GB2BE1NL2',
+	'RU3SE1TR1GB1GR1NL1GB2SI1FI1TR1CZ1GB1BE1FR1RU1DE1RU1DE1LT1GB1SI1GB1HU1IT1US1TR1DE1IT2NG1GB1US1lrCA1JP1',
+	'US1CA1US11CA2US2SG1CA1US8CA1US6JP1US6CA1US6CA1US6DO1BR1US9DE1USkCA1USeCA1USmCA1US1CA1US10CA1US8CA2USq',
+	'CA2US4CA1USkCA1USeCA1USlCA1US2zCA3UShCA2US1CA1USaHK1US5AU1US1CA1HK1US3HK1US6CA2US7CA1US9CA1US6NL1US6',
+	'CA1US1CA1USxCA1US1lJP1US2CA3US2CL1US7CA1USxCA1US9CA1USnCA2USpCA4US4CA1US1CA1US6CA1US7CA1USxHK1US6CA2',
+	'US2CA1USrCA1US9CA8US4CA2US5CA1US2GB1UShCA1UScCA1US7CA2USrGT1SG1US4CA4UScHK1US8MX1US3CA1US8CY1US9JP1U',
+	'S1PE1AR1US8PH1US1IT1US5CA1US9CA1US2CA1US8CA2US4DEwGB1RU1NO1CH1DE2PL1GB1DE1SE1GB1RO1IT1ES1DE1CZ1GB1RU1',
+	'IT1UA1NO1ES1GB1SE1RU1CH1GB1RU2GB1RU2FR1MK1RS1SE1NO1SE1RU1BH1IT2RU1NO1AT1GR1DE1FR1GB1RU1UA1CH1BY1IN1A',
+	'L1NL1NO2CH1DE1NL1RU2BA1DE1FR1BA1DE1AZ1DE2RU2NL1MD1FR1CY1IT1SE1DE1IM1IT1PL1RU1CZ1IT1TZ1ZA1BE1GB1PL1UA1',
+	'DE1LU1GB1TR1GB1sDEgEGgITgNL1US2CL1IT1ES2DE1NL8CZ1DE1RU1IT1RU1HU1GB1RS1DE1RU1CZ1IR1RU1SE1CH1PL1NL1NO1',
+	'DE1AT1FR1DE1RU4DE2DK1DE1RU2SE1SI1GB1DE2GB1AL1IT1RU1PL1DK1DE1IE1SE1BG1ES1AM1KZ1ES1UA1US1GA1NL1FI1IE1T',
+	'R1DE1FI1RU1BG1HU1CH1DE1sPLgNLoRU8FR8DE6GB1BE1RU1FR1IE1FI1AM1BE1PL1FR1RU1DE1RU2SE1DE2NL1ES1AT1RU1DK1B',
+	'E1RU1PL1LU1NO1RU1GB1CH1NL1PL1FR1DE1NLgESgFR4PT4ES4TR4IL4IT4GB8BE4GB7RO1EG4NL1DE1FI2IT4SE1GB1KR1GB1US4',
+	'JO1NO1DE1PL1MT1GB2SK1RU1GB1DE1IT1RU1GB1IT1FR1CH1ES1NL1RU1NL4RU1GB1SE1CH1FR1RU1IS1DE1FI4PL4GB1DE3GB4R',
+	'O2GB2DK4GB4US2EE2DE4GB4CH4GB4AE8NL4FR4CH1RU1PL2GB1IT1CH1TR1NL1RU1NO2RU1IT1GB1NO1DE1IR1DE1IT1PL1RU1DE1',
+	'PL1RU1SE1RU1FR1RU1IL1RU1DE1GB6US2JP4GB6FR1US1GB1DE1FR6IE4DEwCH8IT1NL1CZ1IL1DE1RU1GR1NL1GB1AT1IT1GB1R',
+	'U1PL1CZ1RU1GB1SE1IT1ES1IT1LV1DE1RU1ITgGBgSEwHK1US1ES1DE4GB1IR8ITgDE3kCN3kTW4US2JP2TW8KRgJPwKRwCN4mKR1',
+	'CN9ID1CN3NZ2KR2HK8CNoJP4MY4JP3kKR1sTW1sJPwTW4AU2JP1CN1SG4TW4HKgCN1sMY4KR4TW8SG4HK4AU8JP1sKRwCNwIN4CN4',
+	'HK4JP4HK8MX1IE3HK4JP74IN8JP8TWgCN4HK2JP2SG6JP2HKgTW8CN4EG1MX1CN2TWgNZ8TW1IN1AU2TW2IN2MYaJP2MY4JP3kCN3k',
+	'JP68CN2oKR8CNoKRwJP40US8JPgCH8JP28KR3kJPkAU3CN1JP4KR4JPwCNgKR1cTW1sJPkKR4JPaCN2JP4CN8JP5AU1JP4IN1HK1',
+	'JP4CN5cJP1sINgTW8KR4CN1VN1CN2SG1CN1HK2AU4CN4AUoHK4CN8AU8HK4JP2ID1LK1CNkAU4JP4SG4CN1fJP1CNcJPbkTW2AU1',
+	'PK1VN1AU2JP1CN8HKgSG1TH1CNeVN1KR1JP1ID1VN1JP1KR1AU1IN8CN8KR3gTW4JP8CN1cJPwCN5cJP3kCN8wKR30TH4ID4CN4P',
+	'H2CN2PH4CN1sJPwNZgTW8JP8CNgSG6LK1ID1HK8CN68JPsKR1JP3KRwCN14TW6KR2VNgCN1sHKgCN8TW8TH4PH1SG1JP1TH1IN1T',
+	'W1KR2AU1JP1ID1TH1MY2KR2JP2US1IN9KR3kCN60HKaCN2HK2CN2HK4PK2HK1CNpHK1KR7JPgTWwCN28ID4JP1US1KR2CN8KRwIN1s',
+	'CN8KR8IN4HK4CN8TW4CNcTHgCNwJPgCN8KR4JP2IN1JP1LK1IN1rCN1cAU1JP1CN2KR4CN2HK1CN3HK1KR1--pa8'
+].join('')
+
+/** Decoded runs: first block of each run and its country, built on first lookup. */
+let runTable = null
+
+/**
+ * Converts a dotted IPv4 address to an unsigned 32-bit number.
+ *
+ * @param {string} ip - IPv4 address
+ * @returns {number|null} Address as a number, or null if malformed
+ */
+function ipToNumber (ip) {
+	const octets = String(ip ?? '').trim().split('.')
+	if (octets.length !== 4 || octets.some(o => !/^\d{1,3}$/.test(o) || Number(o) > 255)) return null
+	return octets.reduce((n, o) => n * 256 + Number(o), 0)
+}
+
+/**
+ * Expands IP_COUNTRY_RUNS into sorted run starts for binary search.
+ *
+ * @returns {Object} { starts, countries }
+ */
+function decodeRuns () {
+	const starts = []
+	const countries = []
+	let block = 0
+	for (const [, country, length] of IP_COUNTRY_RUNS.matchAll(/([A-Z]{2}|--)([0-9a-z]+)/g)) {
+		starts.push(block)
+		countries.push(country === '--' ? null : country)
+		block += parseInt(length, 36)
+	}
+	return { starts, countries }
+}
+
+/**
+ * Whether an address falls in an IANA special-purpose range.
+ *
+ * @param {number} value - Address as a number
+ * @returns {boolean} True for private, loopback, documentation, multicast etc.
+ */
+function isSpecialPurpose (value) {
+	return SPECIAL_PURPOSE.some(([network, bits]) => {
+		const size = 2 ** (32 - bits)
+		return Math.floor(value / size) === Math.floor(ipToNumber(network) / size)
+	})
+}
+
+/**
+ * Looks up the country of an IPv4 address.
+ *
+ * @param {string} ip - IPv4 address
+ * @returns {string|null} ISO 3166-1 alpha-2 code, or null for special-purpose, unallocated or malformed addresses
+ */
+export function countryOfIp (ip) {
+	const value = ipToNumber(ip)
+	if (value === null || isSpecialPurpose(value)) return null
+	if (!runTable) runTable = decodeRuns()
+	const block = Math.floor(value / 2 ** (32 - BLOCK_BITS))
+	const { starts, countries } = runTable
+	let low = 0
+	let high = starts.length - 1
+	while (low < high) {
+		const mid = Math.ceil((low + high) / 2)
+		if (starts[mid] <= block) low = mid
+		else high = mid - 1
+	}
+	return countries[low]
+}
@@ -0,0 +1,457 @@
+/**
+ * Issue Detection Rules
+ *
+ * Declarative rules that turn trace / RTCP / Class 5 analysis into issues,
+ * replacing the thresholds that used to be hard-coded in analyzeSipTrace and
+ * summarizeRtcpMetrics.
+ *
+ * A rule:
+ *   {
+ *     id: 'rtcp.low_mos',                      // unique, stable id
+ *     severity: 'warn',                        // info | warn | critical
+ *     source: 'rtcp',                          // trace | rtcp | class5 — analysis the condition reads
+ *     category: 'media',                       // signalling | media | auth | routing (optional)
+ *     when: { field: 'mos.avg', op: '<', value: 3.5 },
+ *     message: 'Low MOS: {mos.avg} (< {threshold} threshold)',
+ *     doc: 'https://docs.connexcs.com/guides/tshoot-media/',
+ *     next_tool: { tool: 'getCallQuality', args: { callid: '{callid}' } }   // optional suggested follow-up
+ *   }
+ *
+ * Conditions: { field, op, value } with op one of > >= < <= == != in exists
+ * missing matches, or { all: [...] } / { any: [...] } / { not: {...} }.
+ * `field` is a dot path into the source analysis. Message placeholders
+ * `{path}` read the same analysis; `{threshold}` is the value of a single
+ * condition. String values in `next_tool.args` are rendered the same way, and
+ * may also use `{callid}`.
+ *
+ * Per-deployment override (read once per process): the ISSUE_RULES
+ * environment variable, inline JSON holding an array of rules (replaces the
+ * defaults) or an object:
+ *   { "rules": [...], "override": { "rtcp.low_mos": { "when": { "value": 4.0 } } }, "disable": ["trace.nat_detected"] }
+ * where `rules` are added (replacing defaults with the same id), `override`
+ * patches default rules by id and `disable` removes them. An invalid
+ * override does not break analysis: the defaults are used instead and the
+ * error is reported by issueRulesWarning().
+ */
+
+/** Valid rule severities, least to most severe. */
+export const RULE_SEVERITIES = ['info', 'warn', 'critical']
+
+/** Analyses a rule may read. */
+export const RULE_SOURCES = ['trace', 'rtcp', 'class5']
+
+/** Finding categories a rule may report under. */
+export const RULE_CATEGORIES = ['signalling', 'media', 'auth', 'routing']
+
+/** Category used when a rule does not name one. */
+const DEFAULT_CATEGORY = { trace: 'signalling', rtcp: 'media', class5: 'signalling' }
+
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!=', 'in', 'exists', 'missing', 'matches']
+
+/** Built-in rules — the thresholds previously hard-coded in callDebugTools.js, plus switch-induced PDD. */
+export const DEFAULT_ISSUE_RULES = [
+	{
+		id: 'trace.high_pdd',
+		severity: 'warn',
+		source: 'trace',
+		category: 'signalling',
+		when: { field: 'pdd_ms', op: '>', value: 5000 },
+		message: 'High Post-Dial Delay: {pdd_ms}ms (>{threshold}ms)',
+		doc: 'https://docs.connexcs.com/guides/tshoot-signal/',
+		next_tool: { tool: 'getSipTrace', args: { callid: '{callid}', format: 'ascii' } }
+	},
+	{
+		id: 'trace.high_switch_pdd',
+		severity: 'warn',
+		source: 'trace',
+		category: 'routing',
+		when: { field: 'leg_timing.switch_pdd_ms', op: '>', value: 2000 },
+		message: 'High switch-induced PDD: {leg_timing.switch_pdd_ms}ms (>{threshold}ms) spent before the answering carrier was reached — check failed attempts and failover',
+		doc: 'https://docs.connexcs.com/guides/tshoot-signal/',
+		next_tool: { tool: 'getSipTrace', args: { callid: '{callid}', format: 'ascii' } }
+	},
+	{
+		id: 'trace.call_failed',
+		severity: 'critical',
+		source: 'trace',
+		category: 'signalling',
+		when: { all: [{ field: 'call_connected', op: '==', value: false }, { field: 'final_response', op: 'exists' }] },
+		message: 'Call failed: {final_response.code} {final_response.reason}',
+		doc: 'https://docs.connexcs.com/guides/call-disconnection-reasons/',
+		next_tool: { tool: 'searchDocumentation', args: { query: 'SIP {final_response.code} {final_response.reason}' } }
+	},
+	{
+		id: 'trace.nat_detected',
+		severity: 'info',
+		source: 'trace',
+		category: 'media',
+		when: { field: 'nat_detected', op: '==', value: true },
+		message: 'NAT detected ({nat.label}) — verify media path and Far-End NAT Traversal configuration',
+		doc: 'https://docs.connexcs.com/far-end-nat-traversal/',
+		next_tool: { tool: 'getRtpServerGroups', args: {} }
+	},
+	{
+		id: 'rtcp.low_mos',
+		severity: 'warn',
+		source: 'rtcp',
+		category: 'media',
+		when: { field: 'mos.avg', op: '<', value: 3.5 },
+		message: 'Low MOS: {mos.avg} (< {threshold} threshold)',
+		doc: 'https://docs.connexcs.com/guides/tshoot-media/',
+		next_tool: { tool: 'getCallQuality', args: { callid: '{callid}' } }
+	},
+	{
+		id: 'rtcp.high_jitter',
+		severity: 'warn',
+		source: 'rtcp',
+		category: 'media',
+		when: { field: 'jitter_ms.avg', op: '>', value: 30 },
+		message: 'High jitter: {jitter_ms.avg}ms (> {threshold}ms threshold)',
+		doc: 'https://docs.connexcs.com/guides/tshoot-media/',
+		next_tool: { tool: 'getCallQuality', args: { callid: '{callid}' } }
+	},
+	{
+		id: 'rtcp.packet_loss',
+		severity: 'warn',
+		source: 'rtcp',
+		category: 'media',
+		when: { field: 'packet_loss_pct.avg', op: '>', value: 1 },
+		message: 'Packet loss: {packet_loss_pct.avg}% (> {threshold}% threshold)',
+		doc: 'https://docs.connexcs.com/guides/tshoot-media/',
+		next_tool: { tool: 'getCallQuality', args: { callid: '{callid}' } }
+	},
+	{
+		id: 'rtcp.high_rtt',
+		severity: 'warn',
+		source: 'rtcp',
+		category: 'media',
+		when: { field: 'rtt_ms.avg', op: '>', value: 300 },
+		message: 'High RTT: {rtt_ms.avg}ms (> {threshold}ms threshold)',
+		doc: 'https://docs.connexcs.com/setup/settings/servers/',
+		next_tool: { tool: 'getRtpServerGroups', args: {} }
+	}
+]
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validates a condition tree.
+ *
+ * @param {Object} condition - Rule condition
+ * @param {string} ruleId - Rule id for error messages
+ * @returns {void}
+ * @throws {Error} If the condition is malformed
+ */
+function validateCondition (condition, ruleId) {
+	if (!condition || typeof condition !== 'object') {
+		throw new Error(`Rule "${ruleId}": condition must be an object`)
+	}
+	if (condition.all || condition.any) {
+		const list = condition.all || condition.any
+		if (!Array.isArray(list) || list.length === 0) {
+			throw new Error(`Rule "${ruleId}": "all"/"any" must be a non-empty array of conditions`)
+		}
+		list.forEach(c => validateCondition(c, ruleId))
+		return
+	}
+	if (condition.not) {
+		validateCondition(condition.not, ruleId)
+		return
+	}
+	if (typeof condition.field !== 'string' || condition.field === '') {
+		throw new Error(`Rule "${ruleId}": condition "field" must be a non-empty dot path`)
+	}
+	if (!OPERATORS.includes(condition.op)) {
+		throw new Error(`Rule "${ruleId}": unsupported operator "${condition.op}" — use one of: ${OPERATORS.join(', ')}`)
+	}
+	if (condition.op === 'in' && !Array.isArray(condition.value)) {
+		throw new Error(`Rule "${ruleId}": operator "in" needs an array value`)
+	}
+	if (['>', '>=', '<', '<='].includes(condition.op) && !(typeof condition.value === 'number' && Number.isFinite(condition.value))) {
+		throw new Error(`Rule "${ruleId}": operator "${condition.op}" needs a finite number value (received ${JSON.stringify(condition.value)})`)
+	}
+	if (condition.op === 'matches') {
+		// Compiled here so a bad pattern rejects the rule set instead of throwing inside every trace analysis
+		if (typeof condition.value !== 'string') {
+			throw new Error(`Rule "${ruleId}": operator "matches" needs a regular expression string`)
+		}
+		try {
+			RegExp(condition.value, 'i')
+		} catch (error) {
+			throw new Error(`Rule "${ruleId}": "matches" pattern is not a valid regular expression: ${error.message}`)
+		}
+	}
+}
+
+/**
+ * Validates a single rule.
+ *
+ * @param {Object} rule - Rule definition
+ * @returns {Object} The same rule
+ * @throws {Error} If a required property is missing or invalid
+ */
+export function validateRule (rule) {
+	if (!rule || typeof rule !== 'object') {
+		throw new Error(`Rule must be an object, received ${typeof rule}`)
+	}
+	if (typeof rule.id !== 'string' || rule.id.trim() === '') {
+		throw new Error('Rule "id" is required and must be a non-empty string')
+	}
+	if (!RULE_SEVERITIES.includes(rule.severity)) {
+		throw new Error(`Rule "${rule.id}": severity must be one of ${RULE_SEVERITIES.join(', ')} (received ${rule.severity})`)
+	}
+	if (!RULE_SOURCES.includes(rule.source)) {
+		throw new Error(`Rule "${rule.id}": source must be one of ${RULE_SOURCES.join(', ')} (received ${rule.source})`)
+	}
+	if (typeof rule.message !== 'string' || rule.message === '') {
+		throw new Error(`Rule "${rule.id}": message is required`)
+	}
+	if (rule.category !== undefined && !RULE_CATEGORIES.includes(rule.category)) {
+		throw new Error(`Rule "${rule.id}": category must be one of ${RULE_CATEGORIES.join(', ')} (received ${rule.category})`)
+	}
+	if (rule.next_tool !== undefined && (!rule.next_tool || typeof rule.next_tool.tool !== 'string')) {
+		throw new Error(`Rule "${rule.id}": next_tool must be an object with a "tool" name`)
+	}
+	validateCondition(rule.when, rule.id)
+	return rule
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Merges a rule-set override into the default rules.
+ *
+ * @param {Array<Object>|Object} override - Array (replace) or { rules, override, disable }
+ * @param {Array<Object>} defaults - Default rules
+ * @returns {Array<Object>} Effective rules
+ * @throws {Error} If the override is malformed
+ */
+export function mergeIssueRules (override, defaults = DEFAULT_ISSUE_RULES) {
+	if (Array.isArray(override)) return override.map(validateRule)
+	if (!override || typeof override !== 'object') {
+		throw new Error('Issue rule set must be an array of rules or an object with rules/override/disable')
+	}
+
+	if (override.disable !== undefined && (!Array.isArray(override.disable) || override.disable.some(id => typeof id !== 'string'))) {
+		throw new Error('Issue rule "disable" must be an array of rule ids')
+	}
+	const disabled = new Set(override.disable || [])
+	const patches = override.override || {}
+	const added = (override.rules || []).map(validateRule)
+	const addedIds = new Set(added.map(r => r.id))
+
+	for (const id of Object.keys(patches)) {
+		if (!defaults.some(r => r.id === id)) {
+			throw new Error(`Issue rule override targets unknown rule "${id}"`)
+		}
+	}
+
+	const merged = defaults
+		.filter(rule => !disabled.has(rule.id) && !addedIds.has(rule.id))
+		.map(rule => {
+			const patch = patches[rule.id]
+			if (!patch) return rule
+			const when = patch.when && !patch.when.all && !patch.when.any && !patch.when.not
+				? { ...rule.when, ...patch.when }
+				: patch.when || rule.when
+			return validateRule({ ...rule, ...patch, id: rule.id, when })
+		})
+
+	return merged.concat(added)
+}
+
+/**
+ * Loads the effective rule set from the environment.
+ *
+ * @param {Object} [options] - Loader options
+ * @param {Object} [options.env] - Environment (defaults to process.env)
+ * @returns {Object} { rules, origin } — origin is "default" or "env"
+ * @throws {Error} If the override JSON is invalid or contains an invalid rule
+ */
+export function loadIssueRules (options = {}) {
+	const env = options.env || (typeof process !== 'undefined' ? process.env : {}) || {}
+
+	if (env.ISSUE_RULES && String(env.ISSUE_RULES).trim() !== '') {
+		let override
+		try {
+			override = JSON.parse(env.ISSUE_RULES)
+		} catch (error) {
+			throw new Error(`Issue rules from ISSUE_RULES are not valid JSON: ${error.message}`)
+		}
+		return { rules: mergeIssueRules(override), origin: 'env' }
+	}
+	return { rules: DEFAULT_ISSUE_RULES, origin: 'default' }
+}
+
+let activeRules = null
+let loadError = null
+
+/**
+ * Returns the rule set for this process, loading it on first use. An invalid
+ * ISSUE_RULES override falls back to the default rules (cached like a good
+ * one, so it is not re-parsed on every call); the error is kept for
+ * issueRulesWarning().
+ *
+ * @returns {Array<Object>} Effective rules
+ */
+export function getIssueRules () {
+	if (!activeRules) {
+		try {
+			activeRules = loadIssueRules().rules
+			loadError = null
+		} catch (error) {
+			activeRules = DEFAULT_ISSUE_RULES
+			loadError = error.message
+		}
+	}
+	return activeRules
+}
+
+/**
+ * Explains why the configured override was ignored, if it was.
+ *
+ * @returns {string|null} Warning text, or null when the override (or the defaults) loaded cleanly
+ */
+export function issueRulesWarning () {
+	getIssueRules()
+	return loadError ? `ISSUE_RULES ignored, using the default issue rules: ${loadError}` : null
+}
+
+/**
+ * Clears the cached rule set so the next getIssueRules() re-reads the environment.
+ *
+ * @returns {void}
+ */
+export function resetIssueRules () {
+	activeRules = null
+	loadError = null
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Reads a dot path from an object.
+ *
+ * @param {Object} root - Object to read
+ * @param {string} path - Dot path ("mos.avg")
+ * @returns {*} Value, or undefined if any segment is missing
+ */
+function readPath (root, path) {
+	return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), root)
+}
+
+/**
+ * Evaluates a condition tree against an analysis.
+ *
+ * @param {Object} condition - Rule condition
+ * @param {Object} data - Source analysis
+ * @returns {boolean} True if the condition holds
+ */
+function evaluateCondition (condition, data) {
+	if (condition.all) return condition.all.every(c => evaluateCondition(c, data))
+	if (condition.any) return condition.any.some(c => evaluateCondition(c, data))
+	if (condition.not) return !evaluateCondition(condition.not, data)
+
+	const actual = readPath(data, condition.field)
+	const expected = condition.value
+	const present = actual !== undefined && actual !== null
+	switch (condition.op) {
+		case 'exists': return present
+		case 'missing': return !present
+		case '==': return actual === expected
+		case '!=': return actual !== expected
+		case 'in': return expected.includes(actual)
+		case 'matches': return present && new RegExp(expected, 'i').test(String(actual))
+		default:
+			if (!present || typeof actual !== 'number') return false
+			if (condition.op === '>') return actual > expected
+			if (condition.op === '>=') return actual >= expected
+			if (condition.op === '<') return actual < expected
+			return actual <= expected
+	}
+}
+
+/**
+ * Collects the leaf conditions of a condition tree.
+ *
+ * @param {Object} condition - Rule condition
+ * @returns {Array<Object>} Leaf { field, op, value } conditions
+ */
+function leafConditions (condition) {
+	if (condition.all || condition.any) return (condition.all || condition.any).flatMap(leafConditions)
+	if (condition.not) return leafConditions(condition.not)
+	return [condition]
+}
+
+/**
+ * Fills `{path}` / `{threshold}` placeholders in a rule template.
+ *
+ * @param {string} template - Message or next_tool argument
+ * @param {Object} rule - Rule definition
+ * @param {Object} data - Source analysis
+ * @param {Object} context - Extra placeholder values ({ callid })
+ * @returns {string} Rendered text
+ */
+function renderTemplate (template, rule, data, context) {
+	return template.replace(/\{([\w.]+)\}/g, (match, path) => {
+		let value = path === 'threshold' ? rule.when.value : readPath(data, path)
+		if ((value === undefined || value === null) && path in context) value = context[path]
+		return value === undefined || value === null ? '' : String(value)
+	}).trim()
+}
+
+/**
+ * Renders a rule's suggested follow-up tool call.
+ *
+ * @param {Object} rule - Rule definition
+ * @param {Object} data - Source analysis
+ * @param {Object} context - Extra placeholder values ({ callid })
+ * @returns {Object|null} { tool, args } or null when the rule has none
+ */
+function renderNextTool (rule, data, context) {
+	if (!rule.next_tool) return null
+	const args = {}
+	for (const [name, value] of Object.entries(rule.next_tool.args || {})) {
+		args[name] = typeof value === 'string' ? renderTemplate(value, rule, data, context) : value
+	}
+	return { tool: rule.next_tool.tool, args }
+}
+
+/**
+ * Runs every rule for one source against its analysis.
+ *
+ * @param {string} source - trace, rtcp or class5
+ * @param {Object|null} data - Analysis for that source (rules are skipped when null)
+ * @param {Array<Object>} [rules] - Rules to run (defaults to getIssueRules())
+ * @param {Object} [context] - Extra placeholder values, e.g. { callid }
+ * @returns {Array<Object>} Triggered rules: { id, severity, source, category, message, doc, evidence, next_tool }
+ *   (`evidence` holds the value of every field the condition read)
+ */
+export function evaluateIssueRules (source, data, rules = getIssueRules(), context = {}) {
+	if (!data) return []
+	return rules
+		.filter(rule => rule.source === source && evaluateCondition(rule.when, data))
+		.map(rule => {
+			const evidence = {}
+			for (const leaf of leafConditions(rule.when)) {
+				const value = readPath(data, leaf.field)
+				if (value !== undefined) evidence[leaf.field] = value
+			}
+			return {
+				id: rule.id,
+				severity: rule.severity,
+				source: rule.source,
+				category: rule.category || DEFAULT_CATEGORY[rule.source],
+				message: renderTemplate(rule.message, rule, data, context),
+				doc: rule.doc || null,
+				evidence,
+				next_tool: renderNextTool(rule, data, context)
+			}
+		})
+}
@@ -1,4 +1,20 @@
-import { getApi } from './callDebugTools'
+import { getApi, getRtpServerGroups } from './callDebugTools'
+import { firstField } from './recordFields'
+
+/** Utilisation (%) of a zone's capacity that raises a warning. */
+const UTILISATION_WARN_PCT = 80
+
+/** Utilisation (%) of a zone's capacity that is critical. */
+const UTILISATION_CRITICAL_PCT = 95
+
+/** Server fields holding capacity (concurrent media sessions), in preference order. */
+const CAPACITY_FIELDS = ['max_channels', 'capacity', 'max_sessions', 'max_calls', 'channels_max', 'limit']
+
+/** Server fields holding current usage, in preference order. */
+const USAGE_FIELDS = ['channels', 'active_channels', 'sessions', 'active_sessions', 'calls', 'current_channels', 'usage']
+
+/** Server fields linking a server to its rtp-group, in preference order. */
+const GROUP_FIELDS = ['rtp_group_id', 'group_id', 'rtp_group', 'zone_id']
 
 /**
  * Error response helper
@@ -18,6 +34,276 @@ function normalizeToArray (data) {
 	return Array.isArray(data) ? data : (data ? [data] : [])
 }
 
+/**
+ * Reads the first numeric field present on an object.
+ *
+ * @param {Object} obj - Source object
+ * @param {Array<string>} names - Candidate field names, in preference order
+ * @returns {number|null} Value, or null
+ */
+function numberField (obj, names) {
+	const value = firstField(obj, names)
+	const number = value === null ? NaN : Number(value)
+	return isNaN(number) ? null : number
+}
+
+/**
+ * Whether a status / flag field is switched on. A missing status counts as active.
+ *
+ * @param {*} value - Field value
+ * @param {boolean} whenMissing - Result when the field is absent
+ * @returns {boolean} True for 1 / true / "active" / "enabled" / "yes"
+ */
+function isOn (value, whenMissing) {
+	if (value === undefined || value === null || value === '') return whenMissing
+	if (typeof value === 'string' && isNaN(Number(value))) return /^(active|enabled?|yes|true|on|up)$/i.test(value.trim())
+	return value === true || Number(value) > 0
+}
+
+/**
+ * Finds the rtp-group record of a server: by group ID field, else by the
+ * server's zone matching the group name.
+ *
+ * @param {Object} server - setup/rtp row
+ * @param {Array<Object>} groups - setup/server/rtp-group rows
+ * @returns {Object|null} Group record, or null if none matches
+ */
+export function findServerGroup (server, groups) {
+	const groupId = firstField(server, GROUP_FIELDS)
+	if (groupId !== null) {
+		const byId = groups.find(g => String(g.id) === String(groupId))
+		if (byId) return byId
+	}
+	const zone = String(server.zone || '').trim().toLowerCase()
+	if (!zone) return null
+	return groups.find(g => String(g.name || '').trim().toLowerCase() === zone) || null
+}
+
+/**
+ * Follows a group's `alt` failover chain until it ends or loops.
+ *
+ * @param {Object} group - rtp-group record
+ * @param {Array<Object>} groups - All rtp-group records
+ * @returns {Array<Object>} [{ id, name, location, active }] in failover order, excluding the group itself
+ */
+export function buildAltChain (group, groups) {
+	const chain = []
+	const seen = new Set([String(group.id)])
+	let next = group.alt
+	while (next !== undefined && next !== null && String(next) !== '0' && String(next) !== '' && !seen.has(String(next))) {
+		seen.add(String(next))
+		const alt = groups.find(g => String(g.id) === String(next))
+		if (!alt) {
+			chain.push({ id: next, name: null, location: null, active: false, missing: true })
+			break
+		}
+		chain.push({ id: alt.id, name: alt.name || null, location: alt.location || null, active: isOn(alt.status, true) })
+		next = alt.alt
+	}
+	return chain
+}
+
+/**
+ * Rolls RTP servers up by zone with capacity vs usage, and flags zones at risk.
+ *
+ * Servers are joined to their rtp-group (see findServerGroup); servers with no
+ * matching group are grouped by their `zone` text. Capacity and usage are
+ * summed over active servers that report both.
+ *
+ * Flags per zone:
+ *   - no_active_servers (critical) — every server in the zone is down
+ *   - single_server (warn)         — one active server: no redundancy inside the zone
+ *   - no_elastic (info; warn at UTILISATION_WARN_PCT) — the group cannot scale out
+ *   - high_utilisation (warn / critical at UTILISATION_CRITICAL_PCT)
+ *   - no_failover (warn)           — no active group in the alt chain
+ *   - no_capacity_data (info)      — servers report no capacity/usage figures
+ *   - partial_capacity_data (info) — some active servers are missing from the totals
+ *
+ * @param {Array<Object>} servers - setup/rtp rows
+ * @param {Array<Object>} groups - setup/server/rtp-group rows
+ * @returns {Object} { zones, totals, flagged, unjoined_servers }
+ */
+export function summarizeRtpHealth (servers, groups) {
+	const byZone = new Map()
+	const unjoined = []
+
+	for (const server of servers) {
+		const group = findServerGroup(server, groups)
+		if (!group) unjoined.push(server.alias || server.id)
+		const key = group ? `group:${group.id}` : `zone:${server.zone || 'unknown'}`
+		if (!byZone.has(key)) byZone.set(key, { group, zone: group ? (group.name || server.zone || `Group ${group.id}`) : (server.zone || 'Unknown zone'), servers: [] })
+		byZone.get(key).servers.push(server)
+	}
+
+	const zones = []
+	for (const entry of byZone.values()) {
+		const { group } = entry
+		const serverRows = entry.servers.map(server => {
+			const active = isOn(firstField(server, ['status', 'enabled', 'active']), true)
+			return {
+				id: server.id ?? null,
+				alias: server.alias || null,
+				ip: firstField(server, ['ip', 'public_ip', 'address', 'host']),
+				active,
+				capacity: numberField(server, CAPACITY_FIELDS),
+				usage: numberField(server, USAGE_FIELDS),
+				elastic: isOn(server.elastic, false)
+			}
+		})
+		const active = serverRows.filter(s => s.active)
+		// A server with capacity but no usage would count as idle and hide saturation
+		const reporting = active.filter(s => s.capacity !== null && s.usage !== null)
+		const capacity = reporting.length > 0 ? reporting.reduce((sum, s) => sum + s.capacity, 0) : null
+		const usage = reporting.length > 0 ? reporting.reduce((sum, s) => sum + s.usage, 0) : null
+		const utilisation = capacity ? +(usage / capacity * 100).toFixed(1) : null
+		const elastic = group ? isOn(group.elastic, false) : serverRows.some(s => s.elastic)
+		const altChain = group ? buildAltChain(group, groups) : []
+		const failoverZones = altChain.filter(a => a.active)
+
+		const flags = []
+		const flag = (type, severity, message) => flags.push({ type, severity, message })
+		if (active.length === 0) {
+			flag('no_active_servers', 'critical', `No active servers (${serverRows.length} configured)`)
+		} else if (active.length === 1) {
+			flag('single_server', 'warn', `Only one active server (${active[0].alias || active[0].id}) — no redundancy within the zone`)
+		}
+		if (utilisation !== null && utilisation >= UTILISATION_CRITICAL_PCT) {
+			flag('high_utilisation', 'critical', `${utilisation}% of capacity in use (${usage} / ${capacity})`)
+		} else if (utilisation !== null && utilisation >= UTILISATION_WARN_PCT) {
+			flag('high_utilisation', 'warn', `${utilisation}% of capacity in use (${usage} / ${capacity})`)
+		}
+		if (!elastic) {
+			const busy = utilisation !== null && utilisation >= UTILISATION_WARN_PCT
+			flag('no_elastic', busy ? 'warn' : 'info', busy ? 'No elastic capacity — the zone cannot scale out under this load' : 'No elastic capacity — the zone cannot scale out')
+		}
+		if (group && failoverZones.length === 0) {
+			flag('no_failover', 'warn', altChain.length > 0 ? 'The alt failover chain has no active group' : 'No alt failover group')
+		}
+		if (active.length > 0 && reporting.length === 0) {
+			flag('no_capacity_data', 'info', 'Servers report no capacity or usage figures')
+		} else if (reporting.length < active.length) {
+			const missing = active.filter(s => !reporting.includes(s)).map(s => s.alias || s.id)
+			flag('partial_capacity_data', 'info', `${missing.join(', ')} report${missing.length === 1 ? 's' : ''} no capacity or usage — left out of the totals`)
+		}
+
+		const severities = flags.map(f => f.severity)
+		zones.push({
+			zone: entry.zone,
+			group: group ? {
+				id: group.id,
+				name: group.name || null,
+				location: group.location || null,
+				status: group.status ?? null,
+				elastic,
+				transcoding: isOn(group.transcoding, false),
+				max_server_per_sip: group.max_server_per_sip ?? null
+			} : null,
+			server_count: serverRows.length,
+			active_servers: active.length,
+			capacity,
+			usage,
+			headroom: capacity !== null ? capacity - usage : null,
+			utilisation_pct: utilisation,
+			alt_chain: altChain,
+			failover_headroom: null,
+			health: severities.includes('critical') ? 'critical' : (severities.includes('warn') ? 'warn' : 'ok'),
+			flags,
+			servers: serverRows
+		})
+	}
+
+	// Spare capacity in the first active failover zone
+	for (const zone of zones) {
+		const firstAlt = zone.alt_chain.find(a => a.active)
+		const target = firstAlt ? zones.find(z => z.group && String(z.group.id) === String(firstAlt.id)) : null
+		if (target) zone.failover_headroom = { zone: target.zone, headroom: target.headroom }
+	}
+
+	const rank = { critical: 0, warn: 1, ok: 2 }
+	zones.sort((a, b) => (rank[a.health] - rank[b.health]) || (b.utilisation_pct ?? -1) - (a.utilisation_pct ?? -1) || a.zone.localeCompare(b.zone))
+
+	const sum = field => zones.some(z => z[field] !== null) ? zones.reduce((total, z) => total + (z[field] || 0), 0) : null
+	return {
+		zones,
+		totals: {
+			zones: zones.length,
+			servers: servers.length,
+			active_servers: zones.reduce((total, z) => total + z.active_servers, 0),
+			capacity: sum('capacity'),
+			usage: sum('usage')
+		},
+		flagged: zones.filter(z => z.health !== 'ok').map(z => z.zone),
+		unjoined_servers: unjoined
+	}
+}
+
+/**
+ * Renders one line per zone for the health view.
+ *
+ * @param {Object} zone - summarizeRtpHealth zone
+ * @returns {string} e.g. "Frankfurt 2 [warn]: 2/3 servers active, 1840/2000 (92%) in use, failover Germany (Frankfurt 1) — ..."
+ */
+function formatZoneHealth (zone) {
+	const usage = zone.capacity !== null
+		? `, ${zone.usage}/${zone.capacity} (${zone.utilisation_pct}%) in use, ${zone.headroom} free`
+		: ''
+	const chain = zone.alt_chain.length > 0
+		? `, failover ${zone.alt_chain.map(a => `${a.name || a.id}${a.active ? '' : ' (inactive)'}`).join(' -> ')}`
+		: ''
+	const issues = zone.flags.filter(f => f.severity !== 'info').map(f => f.message)
+	return `${zone.zone} [${zone.health}]: ${zone.active_servers}/${zone.server_count} servers active${usage}${chain}${issues.length > 0 ? ` — ${issues.join('; ')}` : ''}`
+}
+
+/**
+ * Health view of the RTP servers: servers grouped by zone, joined to their
+ * rtp-group, with capacity vs usage, the alt failover chain and risk flags.
+ *
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.zone - Optional: Only zones whose name contains this text
+ * @returns {Object} Response with zones, totals and one summary line per zone
+ */
+export async function listRTPServerHealth (filters = {}) {
+	try {
+		const api = getApi()
+		const servers = normalizeToArray(await api.get('setup/rtp'))
+
+		let groups = []
+		let groupsError = null
+		try {
+			groups = normalizeToArray(await getRtpServerGroups())
+		} catch (error) {
+			groupsError = error.message
+		}
+
+		const health = summarizeRtpHealth(servers, groups)
+		let zones = health.zones
+		const zoneFilter = filters.zone || filters.geozone
+		if (zoneFilter) {
+			const zoneQuery = zoneFilter.toLowerCase().trim()
+			zones = zones.filter(z => z.zone.toLowerCase().includes(zoneQuery) || (z.group && String(z.group.location || '').toLowerCase() === zoneQuery))
+		}
+
+		const flagged = zones.filter(z => z.health !== 'ok')
+		const message = zones.length === 0
+			? (zoneFilter ? `No RTP zone matching "${zoneFilter}"` : 'No RTP servers found')
+			: `${zones.length} RTP zone(s), ${flagged.length} flagged${flagged.length > 0 ? `: ${flagged.map(z => z.zone).join(', ')}` : ''}`
+
+		return {
+			success: true,
+			mode: 'health',
+			zones,
+			totals: health.totals,
+			unjoined_servers: health.unjoined_servers,
+			groups_error: groupsError,
+			summary: zones.map(formatZoneHealth),
+			message,
+			filters: zoneFilter ? { zone: zoneFilter } : {}
+		}
+	} catch (error) {
+		return errorResponse(`Failed to build RTP server health: ${error.message}`)
+	}
+}
+
 /**
  * Fetch and filter RTP servers with optional filters
  * Returns a list of available RTP (Real-time Transport Protocol) servers
@@ -117,12 +403,17 @@ export async function listRTPServers (filters = {}) {
  * @param {string} data.zone - Optional: Filter by zone (e.g., 'Frankfurt 2 (High Capacity)')
  * @param {string} data.geozone - Optional: Alias for zone parameter
  * @param {string} data.alias - Optional: Filter by server alias/name
+ * @param {boolean} data.health - Optional: Group by zone with capacity, failover chain and risk flags
  * @returns {Object} Response with RTP servers
  */
 export async function listRTPServersMain (data) {
-	const { server_id, zone, geozone, alias } = data || {}
+	const { server_id, zone, geozone, alias, health } = data || {}
 
 	try {
+		if (health === true || health === 'true' || health === 1) {
+			return await listRTPServerHealth({ zone, geozone })
+		}
+
 		// Create filters object - all filtering is done in listRTPServers
 		const filters = {}
 
@@ -10,6 +10,7 @@
  *   Suite C — Customer tools (searchCustomers, balance, topup, packages, rate cards, RTP servers)
  *   Suite D — Stats tools (profitability, call stats, destination stats)
  *   Suite E — Documentation tools (searchDocumentation + getDocumentation)
+ *   Suite F — Offline analysers and tools (fixture traces from sipTraceFixtures.js, cxRestStandIn.js in place of the API)
  *
  * Set the VERBOSE environment variable to "true" (in cx.env or shell) for
  * full result objects. Omit it or set to any other value for concise CI output.
@@ -39,6 +40,31 @@ import { testListCustomersByProfitability } from './testListCustomersByProfitabi
 import { testCustomerCallStatistics } from './testCustomerCallStatistics'
 import { testCustomerDestinationStatistics } from './testCustomerDestinationStatistics'
 import { testDocumentation } from './testDocumentation'
+import { testSipTransactions } from './testSipTransactions'
+import { testSipTimers } from './testSipTimers'
+import { testSdpAnalysis } from './testSdpAnalysis'
+import { testStirShaken } from './testStirShaken'
+import { testCallFlowRenderer } from './testCallFlowRenderer'
+import { testCompareCalls } from './testCompareCalls'
+import { testSimulateCall } from './testSimulateCall'
+import { testIssueRules } from './testIssueRules'
+import { testFindings } from './testFindings'
+import { testFailureClassifier } from './testFailureClassifier'
+import { testCallLegs } from './testCallLegs'
+import { testRouteAdvance } from './testRouteAdvance'
+import { testNatAnalysis } from './testNatAnalysis'
+import { testRegistrationDebug } from './testRegistrationDebug'
+import { testFirewall } from './testFirewall'
+import { testRtcpAnalysis } from './testRtcpAnalysis'
+import { testMediaZone } from './testMediaZone'
+import { testRtpServerHealth } from './testRtpServerHealth'
+import { testClass5Flow } from './testClass5Flow'
+import { testAiAgentConversation } from './testAiAgentConversation'
+import { testTranscriptionSearch } from './testTranscriptionSearch'
+import { testTranscriptCorrelation } from './testTranscriptCorrelation'
+import { testCallTimeline } from './testCallTimeline'
+import { testPcapExport } from './testPcapExport'
+import { testPcapImport } from './testPcapImport'
 import { getSipTrace, getSipTraceHandler, investigateCallHandler } from './callDebugTools'
 import { searchCustomers, getLastTopup } from './searchCustomer'
 import { getCustomerRateCards, getRateCardDetails } from './rateCard'
@@ -311,12 +337,42 @@ export async function main () {
     { name: 'documentation', func: testDocumentation }
   ]
 
+  // Suite F — Offline analysers (fixture traces, no API calls)
+  const suiteF = [
+    { name: 'sip_transactions', func: testSipTransactions },
+    { name: 'sip_timers', func: testSipTimers },
+    { name: 'sdp_analysis', func: testSdpAnalysis },
+    { name: 'stir_shaken', func: testStirShaken },
+    { name: 'call_flow_renderer', func: testCallFlowRenderer },
+    { name: 'compare_calls', func: testCompareCalls },
+    { name: 'simulate_call', func: testSimulateCall },
+    { name: 'issue_rules', func: testIssueRules },
+    { name: 'findings', func: testFindings },
+    { name: 'failure_classifier', func: testFailureClassifier },
+    { name: 'call_legs', func: testCallLegs },
+    { name: 'route_advance', func: testRouteAdvance },
+    { name: 'nat_analysis', func: testNatAnalysis },
+    { name: 'registration_debug', func: testRegistrationDebug },
+    { name: 'firewall', func: testFirewall },
+    { name: 'rtcp_analysis', func: testRtcpAnalysis },
+    { name: 'media_zone', func: testMediaZone },
+    { name: 'rtp_server_health', func: testRtpServerHealth },
+    { name: 'class5_flow', func: testClass5Flow },
+    { name: 'ai_agent_conversation', func: testAiAgentConversation },
+    { name: 'transcription_search', func: testTranscriptionSearch },
+    { name: 'transcript_correlation', func: testTranscriptCorrelation },
+    { name: 'call_timeline', func: testCallTimeline },
+    { name: 'pcap_export', func: testPcapExport },
+    { name: 'pcap_import', func: testPcapImport }
+  ]
+
   const suites = [
     { label: 'A', tests: suiteA },
     { label: 'B', tests: suiteB },
     { label: 'C', tests: suiteC },
     { label: 'D', tests: suiteD },
-    { label: 'E', tests: suiteE }
+    { label: 'E', tests: suiteE },
+    { label: 'F', tests: suiteF }
   ]
 
   for (let si = 0; si < suites.length; si++) {
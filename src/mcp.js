@@ -6,7 +6,7 @@
  *
  * Run with: cx run callDebugMcp
  *
- * 23 MCP Tools:
+ * 35 MCP Tools:
  *   === Call Debugging Tools ===
  *   1. search_call_logs       — Search logs by phone/IP/date (log) — START HERE to find calls
  *   2. search_cdr             — Search CDR (completed calls) by date — Find successful calls when logs show failures
@@ -22,7 +22,7 @@
  *   10. searchCustomers      — Search customers by ID/name/SIP/IP
  *   11. getCustomerBalance  — Get customer balance and credit info
  *   12. getLastTopup        — Get customer's most recent top-up payment
- *   13. listRtpServers      — List RTP servers with filtering options
+ *   13. listRtpServers      — List RTP servers with filtering options; health mode rolls capacity up by zone
  *  14. getCustomerPackages  — Get packages assigned to a customer with filtering
  * 15. getCustomerRateCards  — Get rate cards assigned to a customer
  * 16. getRateCardDetails    — Get complete details of a specific rate card
@@ -38,6 +38,20 @@
  * 22. getDocumentation — Retrieve the full content of a documentation article using its path.
  * 23. searchDocumentation — Search the system documentation, help articles, API docs, and knowledge base.
  *
+ * === Advanced call debugging tools
+ * 24. compareCalls — Side-by-side diff of two or more Call-IDs (trace + RTCP)
+ * 25. simulateCall — Run a routing simulation and investigate the resulting SIM Call-ID
+ * 26. getRouteAdvance — Carrier failover timeline: each provider attempt, its response and why the switch moved on
+ * 27. searchRegistrations — Search register logs by SIP username or IP, with the owning customer
+ * 28. getRegistrationTrace — Analyse a REGISTER trace: auth challenges, expiry/refresh, Contact bindings, NAT keep-alive
+ * 29. checkFirewall — Is an IP blocked, whitelisted or rate-limited; when and why it was blocked; who owns it
+ * 30. recommendMediaZone — Rank RTP groups by estimated media latency between customer and carrier, with failover and transcoding
+ * 31. getClass5Flow — Class 5 flow: IVR nodes and DTMF, queue waits, conference, voicemail, ConneXML verbs, script errors
+ * 32. searchTranscriptions — Scan call transcriptions for keywords / regular expressions, hits with Call-ID and offset
+ * 33. getCallTimeline — Merge trace, Class 5, AI Agent, transcript, RTCP and CDR events into one timeline (JSON Lines / CSV)
+ * 34. exportTracePcap — Synthesise a pcap / pcapng (base64) or sngrep-style text from the SIP trace
+ * 35. importPcap — Analyse a customer pcap / pcapng: SIP as log/trace rows through analyzeSipTrace, RTP loss/jitter, Call-IDs matched in the logs
+ *
  * API Endpoints (see .github/instructions/call-debug.instructions.md):
  *   - log?s={search}                          ? Search call logs by phone/IP/callid
  *   - cdr?date={date}&cli={cli}&dst={dst}     ? Search CDR (completed calls) by date
@@ -47,6 +61,8 @@
  *   - setup/server/rtp-group                  ? RTP server groups/zones
  *   - transcribe?s={callid}                   ? Call transcription (if enabled)
  *   - log/ai-agent?callid={callid}&d={date}   ? AI agent logs (if AI agent was used)
+ *   - log/register?s={search}                 ? Register logs by SIP username or IP
+ *   - setup/firewall/{block,whitelist,rate-limit} ? Firewall lists (Setup > Advanced > Firewall)
  */
 
 import { McpServer } from 'cxMcpServer'
@@ -70,6 +86,17 @@ import { getCustomerCallStatistics } from './connexcsCustomerStats'
 import { getCustomerDestinationStatistics } from './connexcsDestinationStats'
 import { getDocumentation } from './getDocumentation'
 import { searchDocumentation } from './searchDocumentation'
+import { compareCallsHandler } from './compareCalls'
+import { simulateCallHandler } from './simulateCall'
+import { getRouteAdvanceHandler } from './routeAdvance'
+import { searchRegistrationsHandler, getRegistrationTraceHandler } from './registrationDebug'
+import { checkFirewallHandler } from './firewall'
+import { recommendMediaZoneHandler } from './mediaZone'
+import { getClass5FlowHandler } from './class5Flow'
+import { searchTranscriptionsHandler } from './transcription'
+import { getCallTimelineHandler } from './callTimeline'
+import { exportTracePcapHandler } from './pcapExport'
+import { importPcapHandler } from './pcapImport'
 
 
 // ============================================================================
@@ -81,7 +108,7 @@ const mcp = new McpServer('ConnexCS Call Debug', '1.0.0', true)
 // Tool 1: Search Call Logs
 mcp.addTool(
   'searchCallLogs',
-  'Search ConnexCS call logs by phone number, Call-ID, or IP address. Returns routing objects with full call details including Call-IDs. **START HERE** to find calls before debugging. Use the returned "callid" and "callidb" with get_sip_trace or investigate_call. The search is flexible — searches across CLI, called numbers, Call-IDs, and IP addresses. Endpoint: log?s={search}',
+  'Search ConnexCS call logs by phone number, Call-ID, or IP address. Returns routing objects with full call details including Call-IDs. **START HERE** to find calls before debugging. Use the returned "callid" and "callidb" with get_sip_trace or investigate_call. The search is flexible — searches across CLI, called numbers, Call-IDs, and IP addresses. When an IP search finds nothing, the IP is checked against the firewall and the result is returned as "firewall". Endpoint: log?s={search}',
   searchCallLogsHandler
 )
   .addParameter('search', 'string', 'Phone number, Call-ID, or IP address to search for', true)
@@ -116,16 +143,18 @@ mcp.addTool(
 // Tool 4: Get SIP Trace
 mcp.addTool(
   'getSipTrace',
-  'Fetch and analyze SIP trace for a call. Returns full SIP flow with timing, auth, NAT detection, codecs, and identified issues. PRIMARY debugging tool — every call has trace data (7 days retention). Use this first when debugging any call. Endpoint: log/trace',
+  'Fetch and analyze SIP trace for a call. Returns full SIP flow with timing, per-leg timing across the B2BUA (ingress leg vs each carrier attempt, switch-induced PDD vs carrier PDD, failover time between carriers — pass callidb to include the carrier legs), auth, NAT classification (X-CX-NAT/X-Orig-IP/X-NAT-IDX/X-LB-SEC plus Contact, Via received/rport and SDP c= vs packet source → no NAT / signalling-only / media / double-NAT risk, with Far-End NAT Traversal and direct media advice), codecs, RFC 3261 transactions (request, provisional/final responses, timing, retransmissions) and dialogs, timer-aware retransmission diagnosis per leg (Timer A/B/E/F/G/H backoff, timeouts, missing ACKs, 200 OK retransmissions), SDP offer/answer negotiation per leg (negotiated codec, media IP/port, direction, telephone-event) with one-way-audio risks (private c= address, 0.0.0.0 hold, no shared codec), STIR/SHAKEN Identity decoding (attestation, orig/dest vs From/To, stale iat, offline ES256 signature verification when certificate_pem is supplied), and identified issues. Set format to get a Mermaid/PlantUML/ASCII call-flow diagram. PRIMARY debugging tool — every call has trace data (7 days retention). Use this first when debugging any call. Endpoint: log/trace',
   getSipTraceHandler
 )
   .addParameter('callid', 'string', 'SIP Call-ID (required, non-empty, max 255 chars)', true)
-  .addParameter('callidb', 'string', 'Internal call identifier (optional)', false)
+  .addParameter('callidb', 'string', 'Internal call identifier (optional) — includes the carrier legs, which carry their own Call-IDs', false)
+  .addParameter('certificate_pem', 'string', 'STIR/SHAKEN signer certificate in PEM format — verifies the Identity header signature offline (optional)', false)
+  .addParameter('format', 'string', 'Also render the call flow as a ladder diagram with per-hop deltas (optional): "mermaid" pastes straight into Copilot chat and incident tickets, "plantuml" for PlantUML sequence diagrams, "ascii" for plain-text ladders', false)
 
 // Tool 5: Get Call Quality
 mcp.addTool(
   'getCallQuality',
-  'Fetch RTCP quality metrics for a call. Returns MOS (Mean Opinion Score), jitter, packet loss, and RTT statistics with quality assessment. Only available if RTCP was enabled on both call endpoints. Use to diagnose audio quality issues. Endpoint: log/rtcp',
+  'Fetch RTCP quality metrics for a call. Returns MOS (Mean Opinion Score), jitter, packet loss, and RTT statistics with quality assessment, plus the reports split into streams by leg and SSRC/direction, each with a time series, and incidents with start/end times: loss bursts, audio dropouts, jitter spikes, RTT step changes and one-way audio. MOS is estimated with the E-model (R-factor) when the platform did not supply one. Only available if RTCP was enabled on both call endpoints. Use to diagnose audio quality issues, especially one-way audio and "audio dropped for 10 seconds" complaints that averages hide. Endpoint: log/rtcp',
   getCallQualityHandler
 )
   .addParameter('callid', 'string', 'SIP Call-ID (required, non-empty, max 255 chars)', true)
@@ -133,11 +162,14 @@ mcp.addTool(
 // Tool 6: Investigate Call
 mcp.addTool(
   'investigateCall',
-  'Perform comprehensive call investigation combining SIP trace + Class 5 logs + RTCP quality. Determines call type (Class 4 vs Class 5), analyzes full call flow, checks quality metrics, and provides unified debug summary with all identified issues. Use as single-command full investigation. Endpoints: log/trace + log/class5 + log/rtcp',
+  'Perform comprehensive call investigation combining SIP trace + Class 5 logs + RTCP quality. Determines call type (Class 4 vs Class 5), analyzes full call flow (including SDP negotiation and STIR/SHAKEN Identity), reconstructs the Class 5 flow (IVR/DTMF, queue, conference, voicemail, ConneXML, script errors) and, for Class 5 calls with an AI Agent, the agent conversation (turns, latency, barge-ins, silences, fallbacks, hand-off to a human), optionally aligns the transcript with SIP events and RTCP incidents on one timeline (caller saying "can you hear me?" while packet loss peaked), checks quality metrics, classifies why the call failed or was released (downstream/upstream BYE, MI termination, ping timeout, auth failure, no route, carrier rejection, codec mismatch, firewall/no response) with a confidence score and the SIP messages that support it, and returns structured findings (code, severity info/warn/critical, category signalling/media/auth/routing, evidence message ids or metric values, suggested next tool call) ranked by severity, with the most likely root cause and a unified debug summary. Use as single-command full investigation. Endpoints: log/trace + log/class5 + log/ai-agent + log/rtcp (+ transcribe)',
   investigateCallHandler
 )
   .addParameter('callid', 'string', 'SIP Call-ID (required, non-empty, max 255 chars)', true)
   .addParameter('callidb', 'string', 'Internal call identifier (optional)', false)
+  .addParameter('certificate_pem', 'string', 'STIR/SHAKEN signer certificate in PEM format — verifies the Identity header signature offline (optional)', false)
+  .addParameter('format', 'string', 'Also render the call flow as a ladder diagram with per-hop deltas (optional): "mermaid" pastes straight into Copilot chat and incident tickets, "plantuml" for PlantUML sequence diagrams, "ascii" for plain-text ladders', false)
+  .addParameter('include_transcript', 'boolean', 'Also fetch the transcription and put it on one timeline with SIP events (answer, re-INVITE, hold, BYE) and RTCP incidents, anchored at the trace start; caller audio complaints ("can you hear me?") are matched to them (optional)', false)
 
 // Tool 7: Get RTP Server Groups
 mcp.addTool(
@@ -149,7 +181,7 @@ mcp.addTool(
 // Tool 8: Get Transcription
 mcp.addTool(
   'getTranscription',
-  'Fetch transcription data for a call. Returns text transcription if transcription was enabled on the call. Only returns data if transcription was active. Use to review call contents for quality assurance, training, or compliance. Endpoint: transcribe',
+  'Fetch transcription data for a call. Returns the raw transcription plus speaker-labelled, timestamped turns (caller / callee, offset in ms) if transcription was enabled on the call. Only returns data if transcription was active. To scan many calls for phrases use searchTranscriptions. Use to review call contents for quality assurance, training, or compliance. Endpoint: transcribe',
   getTranscriptionHandler
 )
   .addParameter('callid', 'string', 'SIP Call-ID (required, non-empty, max 255 chars)', true)
@@ -157,11 +189,11 @@ mcp.addTool(
 // Tool 9: Get AI Agent Logs
 mcp.addTool(
   'getAiAgentLogs',
-  'Fetch AI Agent interaction logs for a call. Returns AI Agent logs if an AI Agent was handling the call. Only returns data if AI Agent was involved. Use to debug AI-assisted calls and review agent behavior. **Date must be in UTC time** (YYYY-MM-DD format). Endpoint: log/ai-agent',
+  'Fetch AI Agent interaction logs for a call and rebuild the conversation turn by turn: caller utterance, agent response, tool calls and response latency per turn. Flags slow responses, barge-ins (caller talking over the agent), long silences, repeated fallbacks (agent not understanding), failed tool calls and hand-off to a human. Only returns data if AI Agent was involved. **Date must be in UTC time** (YYYY-MM-DD format); if omitted it is taken from the SIP trace start. Endpoint: log/ai-agent',
   getAiAgentLogsHandler
 )
   .addParameter('callid', 'string', 'SIP Call-ID (required, non-empty, max 255 chars)', true)
-  .addParameter('date', 'string', 'Date in YYYY-MM-DD format UTC (e.g. 2026-02-09)', true)
+  .addParameter('date', 'string', 'Date in YYYY-MM-DD format UTC (e.g. 2026-02-09). Optional — inferred from the SIP trace start time', false)
 
 // ============================================================================
 // CUSTOMER MANAGEMENT TOOLS (from mcpRavi)
@@ -196,13 +228,14 @@ mcp.addTool(
 // Tool 13: List RTP Servers
 mcp.addTool(
   'listRtpServers',
-  'Retrieves a detailed list of available RTP (Real-time Transport Protocol) servers that are operational and ready to handle voice/video traffic. Can be filtered by geozone, zone, server ID, or alias. Returns comprehensive server details including location, capacity, status, and configuration.',
+  'Retrieves a detailed list of available RTP (Real-time Transport Protocol) servers that are operational and ready to handle voice/video traffic. Can be filtered by geozone, zone, server ID, or alias. Returns comprehensive server details including location, capacity, status, and configuration. With health=true, servers are grouped by zone and joined to their rtp-group: capacity vs usage, utilisation and headroom per zone, the alt failover chain with the failover zone\'s headroom, and flags for zones with a single active server, no elastic capacity, high utilisation or no failover. Use for "is Frankfurt about to run out of media capacity?". Endpoints: setup/rtp + setup/server/rtp-group',
   listRTPServersMain
 )
   .addParameter('geozone', 'string', 'Optional: Filter by geozone (alias for zone). Examples: "North America", "Europe", "Frankfurt 2 (High Capacity)"', false)
   .addParameter('zone', 'string', 'Optional: Filter by zone (e.g., "Frankfurt 2 (High Capacity)")', false)
   .addParameter('server_id', 'number', 'Optional: Filter by specific server ID', false)
   .addParameter('alias', 'string', 'Optional: Filter by server alias/name (server hostname)', false)
+  .addParameter('health', 'boolean', 'Optional: Group by zone with capacity vs usage, alt failover chain and risk flags instead of listing servers', false)
 
 // Tool 14: Get Customer Packages
 mcp.addTool(
@@ -309,6 +342,134 @@ mcp.addTool(
   .addParameter('query', 'string', 'Search query (e.g., "how to add rate card")', true)
   .addParameter('limit', 'number', 'Maximum number of results to return (1-100). Default: 10', false, 10)
 
+// ============================================================================
+// ADVANCED CALL DEBUGGING TOOLS
+// ============================================================================
+
+// Tool 24: Compare Calls
+mcp.addTool(
+  'compareCalls',
+  'Compare two or more Call-IDs side by side, like the logging UI "Compare Call IDs" view. Fetches each SIP trace (and RTCP if present) and diffs user agent, source/switch address, AnyEdge host, protocol, offered and negotiated codecs, SIP code/reason, PDD, setup time, auth, NAT flags (X-CX-NAT, X-Orig-IP), MOS/jitter/loss, and every INVITE header. Put the working call first — it is the reference. Use for "this number works, that one doesn\'t". Endpoints: log/trace + log/rtcp',
+  compareCallsHandler
+)
+  .addParameter('callids', 'string', 'Two or more Call-IDs separated by commas, working (reference) call first (max 10)', true)
+
+// Tool 25: Simulate Call
+mcp.addTool(
+  'simulateCall',
+  'Run a routing simulation and investigate the result. Submits the dialled number, CLI, switch IP, customer IP, registered user and routing engine, waits for the simulated call (Call-ID starting with SIM) to appear in logging, then runs the full investigateCall analysis on it. Use after a routing fix to verify it end-to-end without placing a real call. Endpoints: log/simulate + log + log/trace + log/class5 + log/rtcp',
+  simulateCallHandler
+)
+  .addParameter('dst', 'string', 'Dialled number to simulate (required)', true)
+  .addParameter('cli', 'string', 'CLI/ANI (origination number)', false)
+  .addParameter('switch_ip', 'string', 'Switch IP the call should traverse', false)
+  .addParameter('customer_ip', 'string', 'Customer IP the call originates from', false)
+  .addParameter('registered_user', 'string', 'Registered SIP user (extension), if the customer authenticates by username', false)
+  .addParameter('routing_engine', 'string', 'Routing engine (regional zone) to run the simulation on', false)
+  .addParameter('wait_seconds', 'number', 'How long to wait for the SIM log entry (1-60). Default: 20', false, 20)
+
+// Tool 26: Route Advance
+mcp.addTool(
+  'getRouteAdvance',
+  'Reconstruct carrier failover (route advance) for a call. Lists each provider attempt in order with destination IP, response code, time spent, failover gap and why the switch moved on (no response and cancelled, rejected with a code, answered), matched to provider_id/card from the log routing object (egress_routing) and the CDR. Also lists routes that were never tried. Use for "why did my call go to the third-choice carrier?". Pass callidb so the trace includes the carrier legs. Endpoints: log/trace + log + cdr',
+  getRouteAdvanceHandler
+)
+  .addParameter('callid', 'string', 'Ingress SIP Call-ID (required, non-empty, max 255 chars)', true)
+  .addParameter('callidb', 'string', 'Internal call identifier — includes the carrier legs, which carry their own Call-IDs', false)
+
+// Tool 27: Search Registrations
+mcp.addTool(
+  'searchRegistrations',
+  'Search the register logs by SIP username or IP address. Returns each REGISTER (code, expires, source IP:port, user agent), a per-username summary (attempts, accepted, failures, IPs, last registration) and the owning customer from switch/user (username) or switch/ip (IP). Use for "my phone won\'t register" before fetching a trace. Endpoints: log/register + switch/user + switch/ip + customer',
+  searchRegistrationsHandler
+)
+  .addParameter('search', 'string', 'SIP username or IPv4 address the device registers with (required)', true)
+
+// Tool 28: Registration Trace
+mcp.addTool(
+  'getRegistrationTrace',
+  'Fetch and analyse the REGISTER trace of a device. Reports the auth outcome (challenged, credentials rejected = wrong password, challenge unanswered, 403, no response), requested vs granted expiry and refresh intervals (binding lapsed), Contact bindings (private Contact, NAT mapping changing between refreshes) and NAT keep-alive (OPTIONS/NOTIFY on the REGISTER Call-ID, unanswered pings, none behind NAT). Checks the SIP user exists in switch/user. Endpoints: log/trace + switch/user + customer',
+  getRegistrationTraceHandler
+)
+  .addParameter('callid', 'string', 'Call-ID of the REGISTER dialog, from searchRegistrations (required, non-empty, max 255 chars)', true)
+
+// Tool 29: Check Firewall
+mcp.addTool(
+  'checkFirewall',
+  'Check an IP against the switch firewall (Setup > Advanced > Firewall). Reports whether it is blocked, whitelisted or rate-limited (CIDR ranges included), when and why it was blocked (automatic flood/scan detection or manual) and until when, past expired blocks, and which customer owns the IP (switch/ip). Use when a call is missing from logging or a peer never answers. searchCallLogs runs this automatically when an IP search finds nothing. Endpoints: setup/firewall/block + setup/firewall/whitelist + setup/firewall/rate-limit + switch/ip + customer',
+  checkFirewallHandler
+)
+  .addParameter('ip', 'string', 'IPv4 address to check (required)', true)
+
+// Tool 30: Recommend Media Zone
+mcp.addTool(
+  'recommendMediaZone',
+  'Recommend the RTP media zone (server group) that adds the least latency between a customer and its carrier. Takes a call (customer media IP from the SDP, carrier from the answering attempt — pass callidb) or a customer IP / customer ID plus carrier IPs. Geolocates IPs offline by country from a bundled registry table, placed at the country\'s centre (override with customer_location / carrier_location), estimates RTT customer → zone → carrier per group (lon, ams, fra, nyc, sfo, sgp, blr), calibrates against the call\'s RTCP RTT, penalises a distant or missing alt failover group, and ranks groups without transcoding last when the legs need different codecs. Endpoints: log/trace + log/rtcp + setup/server/rtp-group + switch/ip',
+  recommendMediaZoneHandler
+)
+  .addParameter('callid', 'string', 'SIP Call-ID to take the endpoints from (this or customer_ip / customer_id is required)', false)
+  .addParameter('callidb', 'string', 'Internal call identifier — includes the carrier legs', false)
+  .addParameter('customer_ip', 'string', 'Customer media or signalling IP (instead of a call)', false)
+  .addParameter('customer_id', 'string', 'Customer ID — its switch/ip addresses are used (instead of a call)', false)
+  .addParameter('carrier_ips', 'string', 'Carrier IPs, comma separated (default: from the trace)', false)
+  .addParameter('customer_location', 'string', 'Known customer location: zone code (lon, ams, fra, nyc, sfo, sgp, blr) or ISO country code (e.g. GB, IN, US)', false)
+  .addParameter('carrier_location', 'string', 'Known carrier location: zone code or ISO country code, as customer_location', false)
+  .addParameter('transcoding', 'boolean', 'Whether the legs need transcoding (default: detected from the negotiated codecs)', false)
+
+// Tool 31: Class 5 Flow
+mcp.addTool(
+  'getClass5Flow',
+  'Reconstruct the Class 5 flow of a call from log/class5: IVR nodes visited (visits, time per node), DTMF entered and whether the menu recognised it, queue entries with wait time, answering agent and outcome (answered/abandoned/timeout), conference joins/leaves, voicemail (message left or not), ConneXML verbs executed and app script errors. Flags stuck IVRs (node looped or call ended in a menu), long queue abandons, unrecognised DTMF and script errors. Returns a readable timeline (flow_text). investigateCall includes the same flow for Class 5 calls. Endpoint: log/class5',
+  getClass5FlowHandler
+)
+  .addParameter('callid', 'string', 'SIP Call-ID (required, non-empty, max 255 chars)', true)
+
+// Tool 32: Search Transcriptions
+mcp.addTool(
+  'searchTranscriptions',
+  'Scan the transcriptions of many calls for keywords/phrases or regular expressions — compliance phrases ("this call may be recorded"), abusive language, cancellation requests. Calls come from the CDR (answered calls in a UTC date range, optionally one customer) or a list of Call-IDs. Each hit returns the Call-ID, speaker, offset into the call and the surrounding text; counts per term and per call are included. One transcription request per call, so at most max_calls calls are scanned. Endpoints: cdr + transcribe',
+  searchTranscriptionsHandler
+)
+  .addParameter('keywords', 'string', 'Comma-separated keywords or phrases, matched case-insensitively as whole words (keywords or patterns required)', false)
+  .addParameter('patterns', 'string', 'Regular expression (case-insensitive, max 200 chars, no nested repeats such as (a+)+), or a JSON array of them', false)
+  .addParameter('start_date', 'string', 'Start date YYYY-MM-DD (UTC) — required unless callids is given', false)
+  .addParameter('end_date', 'string', 'End date YYYY-MM-DD (UTC, defaults to start_date)', false)
+  .addParameter('customer_id', 'number', 'Only scan this customer\'s calls (optional)', false)
+  .addParameter('callids', 'string', 'Comma-separated Call-IDs to scan instead of a CDR search (optional)', false)
+  .addParameter('speaker', 'string', 'Only match what one side said: caller or callee (optional)', false)
+  .addParameter('max_calls', 'number', 'Maximum calls to scan (default 50, max 200)', false, 50)
+
+// Tool 33: Call Timeline
+mcp.addTool(
+  'getCallTimeline',
+  'Merge everything recorded for a call into one chronological timeline: SIP messages (typed as invite/ringing/answer/hold/bye...), Class 5 flow steps, AI Agent turns and tool calls, transcript turns, RTCP incidents and the CDR start/end. Every source has its own time field (date, micro_ts, start_time, epoch seconds, recording offsets); each event is normalised to { timestamp (ISO UTC), offset_ms (from the call start), source, leg, type, summary, ref (endpoint#row) }. Sources that are empty or fail are listed in sources and left out. Content is exported as JSON Lines or CSV for tickets and carrier escalations. Requires the SIP trace (7 days retention). Endpoints: log/trace + log/class5 + log/ai-agent + transcribe + log/rtcp + cdr',
+  getCallTimelineHandler
+)
+  .addParameter('callid', 'string', 'The SIP Call-ID', true)
+  .addParameter('callidb', 'string', 'Internal call identifier — include the carrier legs in the SIP events (optional)', false)
+  .addParameter('format', 'string', 'Export format for content (optional): "jsonl" (default) for one JSON event per line, "csv" for spreadsheets', false, 'jsonl')
+  .addParameter('sources', 'string', 'Comma-separated sources to include: sip, class5, ai_agent, transcript, rtcp, cdr (default all)', false)
+
+// Tool 34: Export Trace PCAP
+mcp.addTool(
+  'exportTracePcap',
+  'Export the SIP trace of a call as a capture file for carriers: each log/trace row becomes an Ethernet/IPv4/UDP or TCP packet with valid lengths and checksums and its micro_ts timestamp, written as libpcap or pcapng and returned base64-encoded (decode and save as the returned filename, then open in Wireshark or sngrep). format=text renders the same messages as sngrep-style text instead. Synthesised from the logged messages: MAC addresses are derived from the IPs, TCP has no handshake and TLS/WSS rows are written as plaintext SIP. IPv6 rows are skipped and listed. Endpoint: log/trace',
+  exportTracePcapHandler
+)
+  .addParameter('callid', 'string', 'The SIP Call-ID', true)
+  .addParameter('callidb', 'string', 'Internal call identifier — include the carrier legs (optional)', false)
+  .addParameter('format', 'string', 'Export format (optional): "pcap" (libpcap, default), "pcapng", or "text" (sngrep-style)', false, 'pcap')
+
+// Tool 35: Import PCAP
+mcp.addTool(
+  'importPcap',
+  'Analyse a capture the customer took on their side (PBX, SBC, phone): accepts a base64 pcap or pcapng (Ethernet/VLAN, Linux SLL, raw IP or loopback; IPv4 fragments and TCP streams reassembled), extracts every SIP message into log/trace-shaped rows and runs each Call-ID through the same analysis as getSipTrace (transactions, timing, auth, SDP, issues). RTP streams are grouped by SSRC, tied to calls through their SDP, and get estimated packet loss (sequence gaps), RFC 3550 jitter, max gap and an E-model MOS. Each Call-ID is then looked up with searchCallLogs (falling back to the dialled number within 5 minutes), returning our callid/callidb so both sides of the call can be compared with getSipTrace or compareCalls. SIP over TLS/WSS and SRTP cannot be read. Endpoint: log (lookup only)',
+  importPcapHandler
+)
+  .addParameter('pcap', 'string', 'Base64-encoded pcap or pcapng file (max 20 MB decoded)', true)
+  .addParameter('lookup_logs', 'boolean', 'Match the captured Call-IDs against our call logs (default true)', false, true)
+  .addParameter('include_messages', 'boolean', 'Return the extracted log/trace-shaped rows per call (default true)', false, true)
+
 
 
 
@@ -0,0 +1,595 @@
+/**
+ * Media-Zone Proximity Recommender
+ *
+ * Media can be anchored in any RTP server group (Customer > Routing > Media >
+ * Media Proxy); the least latency is added by a zone on the path between the
+ * customer and the carrier — for a customer in Bangalore and a carrier in New
+ * York, Bangalore or New York. This module ranks the RTP groups for a call:
+ *
+ *   endpoints   — the customer's and carriers' media IPs, from the trace (SDP
+ *                 c= when public, else the signalling address) or from input
+ *   geolocation — country of each IP from an offline registry table
+ *                 (geoIpCountry), placed at the country's centre; no lookup
+ *                 service is called
+ *   latency     — great-circle distance over fibre with a route-inflation
+ *                 factor, calibrated against the call's RTCP RTT when known
+ *   ranking     — estimated RTT customer → zone → carrier, plus a penalty for
+ *                 a distant (or missing) `alt` failover group; groups without
+ *                 `transcoding` are ineligible when the legs need different codecs
+ *
+ * A country is one point: a US address lands mid-continent whichever coast it
+ * is on, and cloud ranges are registered where the provider is, not where the
+ * server runs. Pass customer_location / carrier_location when the real
+ * location is known.
+ */
+
+import { getApi, getSipTrace, getRtcpQuality, getRtpServerGroups, analyzeSipTrace, validateCallId } from './callDebugTools'
+import { analyzeRtcpTimeSeries } from './rtcpAnalysis'
+import { describeCallLegs, ipOf } from './callLegs'
+import { isPrivateAddress } from './sdpAnalysis'
+import { countryOfIp, COUNTRY_CENTROIDS } from './geoIpCountry'
+import { firstField } from './recordFields'
+
+/** RTP group location codes (setup/server/rtp-group `location`) and where they are. */
+export const ZONE_LOCATIONS = {
+	lon: { name: 'London', lat: 51.51, lon: -0.13 },
+	ams: { name: 'Amsterdam', lat: 52.37, lon: 4.9 },
+	fra: { name: 'Frankfurt', lat: 50.11, lon: 8.68 },
+	nyc: { name: 'New York', lat: 40.71, lon: -74.01 },
+	sfo: { name: 'San Francisco', lat: 37.77, lon: -122.42 },
+	sgp: { name: 'Singapore', lat: 1.35, lon: 103.82 },
+	blr: { name: 'Bangalore', lat: 12.97, lon: 77.59 }
+}
+
+/** Propagation speed in fibre, km per ms (about two thirds of c). */
+const FIBRE_KM_PER_MS = 200
+
+/** Real routes are longer than the great circle by roughly this factor. */
+const ROUTE_INFLATION = 1.5
+
+/** Fixed one-way overhead per hop (access network, queuing), in ms. */
+const HOP_OVERHEAD_MS = 2
+
+/** Share of the extra RTT on failover to the `alt` group added to a zone's score. */
+const ALT_PENALTY_WEIGHT = 0.25
+
+/** Score penalty (ms) for a zone with no usable `alt` failover group. */
+const NO_ALT_PENALTY_MS = 15
+
+/** Bounds of the RTCP calibration factor applied to the distance model. */
+const CALIBRATION_RANGE = [1, 3]
+
+const REGEX_IPV4 = /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/
+
+/**
+ * Normalize API response to array format
+ * @param {any} data - Data from API
+ * @returns {Array} Normalized array
+ */
+function normalizeToArray (data) {
+	return Array.isArray(data) ? data : (data ? [data] : [])
+}
+
+/**
+ * Parses a list of IPv4 addresses given as an array or a comma/space separated string.
+ *
+ * @param {string|Array<string>} value - Addresses
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {Array<string>} Addresses, de-duplicated
+ * @throws {Error} If an entry is not a valid IPv4 address
+ */
+function parseIpList (value, paramName) {
+	const items = Array.isArray(value) ? value : String(value ?? '').split(/[\s,]+/)
+	const ips = []
+	for (const item of items.map(i => String(i).trim()).filter(Boolean)) {
+		if (!REGEX_IPV4.test(item) || item.split('.').some(o => Number(o) > 255)) {
+			throw new Error(`Parameter "${paramName}" must hold IPv4 addresses, received "${item}"`)
+		}
+		if (!ips.includes(item)) ips.push(item)
+	}
+	return ips
+}
+
+// ============================================================================
+// GEOLOCATION AND LATENCY
+// ============================================================================
+
+/**
+ * Places an IPv4 address in a country.
+ *
+ * @param {string} ip - IPv4 address
+ * @returns {string|null} ISO 3166-1 alpha-2 code, or null for private, reserved or unallocated addresses
+ */
+export function geolocateIp (ip) {
+	if (!ip || !REGEX_IPV4.test(ip) || isPrivateAddress(ip)) return null
+	const country = countryOfIp(ip)
+	return country && COUNTRY_CENTROIDS[country] ? country : null
+}
+
+/**
+ * Resolves a location given as a zone code or country code.
+ *
+ * @param {string} value - ZONE_LOCATIONS code (e.g. "blr") or ISO 3166-1 alpha-2 code (e.g. "GB")
+ * @returns {Object|null} { key, name, lat, lon }, or null if unknown
+ */
+function resolveLocation (value) {
+	const key = String(value ?? '').trim()
+	if (ZONE_LOCATIONS[key.toLowerCase()]) return { key: key.toLowerCase(), ...ZONE_LOCATIONS[key.toLowerCase()] }
+	const country = COUNTRY_CENTROIDS[key.toUpperCase()]
+	return country ? { key: key.toUpperCase(), name: country[0], lat: country[1], lon: country[2] } : null
+}
+
+/**
+ * Great-circle distance between two points.
+ *
+ * @param {Object} a - { lat, lon }
+ * @param {Object} b - { lat, lon }
+ * @returns {number} Distance in km
+ */
+function distanceKm (a, b) {
+	const rad = deg => deg * Math.PI / 180
+	const dLat = rad(b.lat - a.lat)
+	const dLon = rad(b.lon - a.lon)
+	const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2
+	return 2 * 6371 * Math.asin(Math.sqrt(h))
+}
+
+/**
+ * Estimated round-trip time between two points.
+ *
+ * @param {Object} a - { lat, lon }
+ * @param {Object} b - { lat, lon }
+ * @returns {number} RTT in ms (uncalibrated)
+ */
+export function estimateRttMs (a, b) {
+	const oneWay = distanceKm(a, b) * ROUTE_INFLATION / FIBRE_KM_PER_MS + HOP_OVERHEAD_MS
+	return +(2 * oneWay).toFixed(1)
+}
+
+/**
+ * Places an endpoint: an explicit location wins over geolocating its IP.
+ *
+ * @param {string|null} ip - Endpoint IP
+ * @param {string} source - Where the IP came from (sdp, signalling, input, switch/ip)
+ * @param {string} [override] - Zone or country code supplied by the caller
+ * @returns {Object} { ip, source, location, location_source, name, lat, lon } (location null if unknown)
+ */
+function placeEndpoint (ip, source, override) {
+	const given = override ? resolveLocation(override) : null
+	if (override && !given) {
+		throw new Error(`Unknown location "${override}" — use a zone code (${Object.keys(ZONE_LOCATIONS).join(', ')}) or an ISO country code (e.g. GB, IN)`)
+	}
+	if (given) return { ip, source, location: given.key, location_source: 'input', name: given.name, lat: given.lat, lon: given.lon }
+	const country = geolocateIp(ip)
+	if (!country) return { ip, source, location: null, location_source: null, name: null, lat: null, lon: null }
+	const [name, lat, lon] = COUNTRY_CENTROIDS[country]
+	return { ip, source, location: country, location_source: 'geo_ip', name, lat, lon }
+}
+
+/**
+ * Estimated media-path RTT through a point: customer → point → slowest carrier.
+ *
+ * @param {Object} point - { lat, lon }
+ * @param {Object|null} customer - Placed customer endpoint (ignored if unplaced)
+ * @param {Array<Object>} carriers - Placed carrier endpoints (unplaced ones ignored)
+ * @param {number} factor - Calibration factor
+ * @returns {Object} { customer_ms, carrier_ms, total_ms } (null parts when that side is unknown)
+ */
+function pathRtt (point, customer, carriers, factor) {
+	const scaled = ms => +(ms * factor).toFixed(1)
+	const customerMs = customer && customer.location ? scaled(estimateRttMs(customer, point)) : null
+	const placed = carriers.filter(c => c.location)
+	const carrierMs = placed.length > 0 ? Math.max(...placed.map(c => scaled(estimateRttMs(c, point)))) : null
+	const total = customerMs === null && carrierMs === null ? null : +((customerMs ?? 0) + (carrierMs ?? 0)).toFixed(1)
+	return { customer_ms: customerMs, carrier_ms: carrierMs, total_ms: total }
+}
+
+// ============================================================================
+// CALL INPUTS
+// ============================================================================
+
+/**
+ * Reads the endpoints and codec needs of a call from its trace analysis.
+ *
+ * The customer's media address is the c= of its first offer when public; a
+ * private c= (NAT) falls back to the signalling source. Carriers are the
+ * answering egress attempt, or every attempted destination if none answered.
+ *
+ * @param {Object} analysis - analyzeSipTrace result
+ * @returns {Object} { customer: {ip, source}|null, carriers: [{ip, source}], media_ip, codecs_by_leg, transcoding_required }
+ */
+export function extractMediaEndpoints (analysis) {
+	const legs = describeCallLegs(analysis.transactions || [])
+	const negotiations = analysis.sdp?.negotiations || []
+	const audioOf = n => n.media.find(m => m.type === 'audio') || null
+	const addressIp = address => address ? ipOf(address) : null
+
+	let customer = null
+	let mediaIp = null
+	if (legs) {
+		const ingress = negotiations.find(n => ipOf(n.offer_from) === legs.caller_ip && ipOf(n.answer_from) === legs.entry_ip)
+		const offered = ingress ? addressIp(audioOf(ingress)?.offer_address) : null
+		customer = offered && !isPrivateAddress(offered)
+			? { ip: offered, source: 'sdp' }
+			: { ip: legs.caller_ip, source: 'signalling' }
+		mediaIp = ingress ? addressIp(audioOf(ingress)?.answer_address) : null
+	}
+
+	const carriers = []
+	if (legs && legs.egress.length > 0) {
+		const answered = legs.egress.filter(tx => tx.final_response && tx.final_response.code < 300)
+		for (const tx of (answered.length > 0 ? answered : legs.egress)) {
+			const ip = ipOf(tx.destination)
+			if (!carriers.some(c => c.ip === ip)) carriers.push({ ip, source: 'signalling' })
+		}
+	}
+
+	const codecsByLeg = {}
+	for (const n of negotiations) {
+		const codec = audioOf(n)?.negotiated_codec
+		if (codec && !codecsByLeg[n.leg]) codecsByLeg[n.leg] = codec.toUpperCase()
+	}
+
+	return {
+		customer,
+		carriers,
+		media_ip: mediaIp && !isPrivateAddress(mediaIp) ? mediaIp : null,
+		codecs_by_leg: codecsByLeg,
+		transcoding_required: new Set(Object.values(codecsByLeg)).size > 1
+	}
+}
+
+/**
+ * Average RTCP RTT per leg. Leg "a" (or the ingress Call-ID) faces the
+ * customer, leg "b" (or callidb) the carrier; the slowest stream of a leg counts.
+ *
+ * @param {Object} timeSeries - analyzeRtcpTimeSeries result
+ * @param {string} callid - Ingress Call-ID
+ * @param {string} [callidb] - Internal call identifier
+ * @returns {Object|null} { customer_rtt_ms, carrier_rtt_ms, rtt_ms } or null without RTT
+ */
+export function measuredLegRtt (timeSeries, callid, callidb) {
+	const byLeg = { customer: null, carrier: null }
+	for (const stream of timeSeries.streams) {
+		const avg = stream.stats?.rtt_ms?.avg
+		if (avg === undefined || avg === null) continue
+		const leg = String(stream.leg ?? '').toLowerCase()
+		const side = leg === 'b' || (callidb && stream.leg === callidb) ? 'carrier' : (leg === 'a' || stream.leg === callid || leg === '' ? 'customer' : null)
+		if (side && (byLeg[side] === null || avg > byLeg[side])) byLeg[side] = avg
+	}
+	if (byLeg.customer === null && byLeg.carrier === null) return null
+	return {
+		customer_rtt_ms: byLeg.customer,
+		carrier_rtt_ms: byLeg.carrier,
+		rtt_ms: byLeg.customer !== null && byLeg.carrier !== null ? +(byLeg.customer + byLeg.carrier).toFixed(1) : null
+	}
+}
+
+// ============================================================================
+// RANKING
+// ============================================================================
+
+/**
+ * Whether an RTP group is switched on. Groups without a status are assumed active.
+ *
+ * @param {Object} group - setup/server/rtp-group row
+ * @returns {boolean} False for status 0 / false / "inactive" / "disabled"
+ */
+function isActiveGroup (group) {
+	const status = group.status
+	if (status === undefined || status === null || status === '') return true
+	if (typeof status === 'string' && /^(inactive|disabled|off)$/i.test(status.trim())) return false
+	return !(status === false || Number(status) === 0)
+}
+
+/**
+ * Whether a flag field (transcoding, elastic) is set.
+ *
+ * @param {*} value - Field value
+ * @returns {boolean} True for 1 / true / "1" / "yes"
+ */
+function flagSet (value) {
+	return value === true || Number(value) === 1 || /^(yes|true|enabled?)$/i.test(String(value ?? ''))
+}
+
+/**
+ * Ranks RTP groups by estimated media latency between the endpoints.
+ *
+ * Score = estimated RTT through the zone + ALT_PENALTY_WEIGHT × the extra RTT
+ * on failover to its `alt` group (NO_ALT_PENALTY_MS without a usable one).
+ * Groups that cannot transcode are ineligible when transcoding is required and
+ * rank after every eligible group. Ties go to the zone nearer the customer.
+ *
+ * @param {Array<Object>} groups - setup/server/rtp-group rows
+ * @param {Object} endpoints - Placed endpoints
+ * @param {Object|null} endpoints.customer - Placed customer endpoint
+ * @param {Array<Object>} endpoints.carriers - Placed carrier endpoints
+ * @param {Object} [options] - Ranking options
+ * @param {boolean} [options.transcoding_required] - Legs need different codecs
+ * @param {number} [options.calibration] - Factor applied to every estimate (default 1)
+ * @returns {Object} { candidates, excluded }
+ */
+export function rankMediaZones (groups, endpoints, options = {}) {
+	const factor = options.calibration ?? 1
+	const customer = endpoints.customer
+	const carriers = endpoints.carriers || []
+	const byId = Object.fromEntries(groups.map(g => [String(g.id), g]))
+	const zoneOf = group => {
+		const code = String(firstField(group, ['location', 'location_code', 'code']) ?? '').trim().toLowerCase()
+		return ZONE_LOCATIONS[code] ? { code, ...ZONE_LOCATIONS[code] } : null
+	}
+
+	const candidates = []
+	const excluded = []
+	for (const group of groups) {
+		const zone = zoneOf(group)
+		const base = { group_id: group.id ?? null, name: group.name ?? null, location: zone ? zone.code : (group.location ?? null) }
+		if (!isActiveGroup(group)) {
+			excluded.push({ ...base, reason: 'inactive' })
+			continue
+		}
+		if (!zone) {
+			excluded.push({ ...base, reason: 'unknown_location' })
+			continue
+		}
+
+		const path = pathRtt(zone, customer, carriers, factor)
+		const transcoding = flagSet(group.transcoding)
+		const eligible = !options.transcoding_required || transcoding
+		const notes = []
+
+		let failover = null
+		const altGroup = group.alt !== undefined && group.alt !== null && String(group.alt) !== '0' && String(group.alt) !== String(group.id)
+			? byId[String(group.alt)] || null
+			: null
+		const altZone = altGroup && isActiveGroup(altGroup) ? zoneOf(altGroup) : null
+		let penalty = NO_ALT_PENALTY_MS
+		if (altZone) {
+			const altPath = pathRtt(altZone, customer, carriers, factor)
+			const extra = Math.max(0, (altPath.total_ms ?? 0) - (path.total_ms ?? 0))
+			penalty = +(ALT_PENALTY_WEIGHT * extra).toFixed(1)
+			failover = { group_id: altGroup.id, name: altGroup.name ?? null, location: altZone.code, estimated_rtt_ms: altPath.total_ms, extra_rtt_ms: +extra.toFixed(1) }
+			if (extra > 50) notes.push(`Failover to ${altGroup.name || altZone.name} adds ~${Math.round(extra)} ms`)
+		} else {
+			notes.push(altGroup ? `Failover group ${group.alt} is inactive or has no known location` : 'No failover (alt) group')
+		}
+		if (!eligible) notes.push('Cannot transcode — the legs negotiated different codecs')
+		if (flagSet(group.elastic)) notes.push('Elastic capacity')
+
+		candidates.push({
+			...base,
+			zone: zone.name,
+			estimated_rtt_ms: path.total_ms,
+			legs: { customer_ms: path.customer_ms, carrier_ms: path.carrier_ms },
+			score: +((path.total_ms ?? 0) + penalty).toFixed(1),
+			eligible,
+			transcoding,
+			elastic: flagSet(group.elastic),
+			failover,
+			notes
+		})
+	}
+
+	candidates.sort((a, b) => (b.eligible - a.eligible) || (a.score - b.score) || ((a.legs.customer_ms ?? 0) - (b.legs.customer_ms ?? 0)))
+	candidates.forEach((c, i) => { c.rank = i + 1 })
+	return { candidates, excluded }
+}
+
+/**
+ * Calibrates the distance model against the RTT measured on the current media path.
+ *
+ * @param {Object|null} measured - measuredLegRtt result
+ * @param {Object} current - Placed current media server
+ * @param {Object|null} customer - Placed customer endpoint
+ * @param {Array<Object>} carriers - Placed carrier endpoints
+ * @returns {Object|null} { factor, measured_ms, modelled_ms }, or null when it cannot be compared
+ */
+function calibrate (measured, current, customer, carriers) {
+	if (!measured || !current.location) return null
+	const model = pathRtt(current, customer, carriers, 1)
+	let measuredMs = null
+	let modelledMs = null
+	if (measured.rtt_ms !== null && model.customer_ms !== null && model.carrier_ms !== null) {
+		measuredMs = measured.rtt_ms
+		modelledMs = model.total_ms
+	} else if (measured.customer_rtt_ms !== null && model.customer_ms !== null) {
+		measuredMs = measured.customer_rtt_ms
+		modelledMs = model.customer_ms
+	} else if (measured.carrier_rtt_ms !== null && model.carrier_ms !== null) {
+		measuredMs = measured.carrier_rtt_ms
+		modelledMs = model.carrier_ms
+	}
+	if (measuredMs === null || !modelledMs) return null
+	const factor = Math.min(CALIBRATION_RANGE[1], Math.max(CALIBRATION_RANGE[0], measuredMs / modelledMs))
+	return { factor: +factor.toFixed(2), measured_ms: measuredMs, modelled_ms: modelledMs }
+}
+
+/**
+ * Fetches the IPs a customer authenticates from (switch/ip).
+ *
+ * @param {string|number} customerId - Customer ID
+ * @returns {Promise<Array<string>>} IPv4 addresses
+ */
+async function customerIps (customerId) {
+	const api = getApi()
+	const rows = normalizeToArray(await api.get('switch/ip', { company_id: customerId, _limit: 1000 }))
+	return rows
+		.filter(row => row.company_id === undefined || String(row.company_id) === String(customerId))
+		.map(row => firstField(row, ['ip', 'address', 'host']))
+		.filter(ip => ip && REGEX_IPV4.test(ip))
+}
+
+// ============================================================================
+// MCP TOOL HANDLER
+// ============================================================================
+
+/**
+ * MCP Tool Handler: recommendMediaZone
+ *
+ * Ranks the RTP server groups for a call — or for a customer and its carriers
+ * — by estimated media latency, with failover and transcoding taken into account.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.callid] - SIP Call-ID (this or customer_ip / customer_id is required)
+ * @param {string} [args.callidb] - Internal call identifier, to include the carrier legs
+ * @param {string} [args.customer_ip] - Customer media/signalling IP
+ * @param {string|number} [args.customer_id] - Customer ID; its switch/ip addresses are used
+ * @param {string|Array<string>} [args.carrier_ips] - Carrier IPs (comma separated)
+ * @param {string} [args.customer_location] - Known customer location (zone code or ISO country code)
+ * @param {string} [args.carrier_location] - Known carrier location (zone code or ISO country code)
+ * @param {boolean} [args.transcoding] - Whether the legs need transcoding (overrides the trace)
+ * @returns {Promise<Object>} Ranked candidate zones with a recommendation
+ */
+export async function recommendMediaZoneHandler (args) {
+	const { callid, callidb, customer_ip, customer_id, carrier_ips, customer_location, carrier_location, transcoding } = args
+
+	try {
+		let customerIp = null
+		let customerSource = 'input'
+		let carrierIps = carrier_ips !== undefined && carrier_ips !== null && carrier_ips !== '' ? parseIpList(carrier_ips, 'carrier_ips') : []
+		let carrierSource = 'input'
+		let traceInputs = null
+		let measured = null
+
+		if (callid) {
+			validateCallId(callid, 'callid')
+			const messages = normalizeToArray(await getSipTrace(callid, callidb))
+			if (messages.length === 0) {
+				return {
+					success: false,
+					callid,
+					message: `No SIP trace found for Call-ID "${callid}"`,
+					suggestions: [
+						'Check the Call-ID with searchCallLogs — traces are kept for 7 days',
+						'Or pass customer_ip (or customer_id) and carrier_ips instead of a Call-ID'
+					]
+				}
+			}
+			traceInputs = extractMediaEndpoints(analyzeSipTrace(messages))
+			if (traceInputs.customer) {
+				customerIp = traceInputs.customer.ip
+				customerSource = traceInputs.customer.source
+			}
+			if (carrierIps.length === 0) {
+				carrierIps = traceInputs.carriers.map(c => c.ip)
+				carrierSource = 'signalling'
+			}
+			try {
+				const metrics = normalizeToArray(await getRtcpQuality(callid))
+				if (metrics.length > 0) measured = measuredLegRtt(analyzeRtcpTimeSeries(metrics), callid, callidb)
+			} catch (error) {
+				measured = null
+			}
+		}
+
+		if (customer_ip) {
+			customerIp = parseIpList(customer_ip, 'customer_ip')[0] ?? null
+			customerSource = 'input'
+		} else if (!customerIp && customer_id !== undefined && customer_id !== null && customer_id !== '') {
+			customerIp = (await customerIps(customer_id))[0] ?? null
+			customerSource = 'switch/ip'
+			if (!customerIp && !customer_location) {
+				return {
+					success: false,
+					customer_id,
+					message: `Customer ${customer_id} has no IPs in switch/ip`,
+					suggestions: ['Pass customer_ip, or customer_location if the customer registers by username']
+				}
+			}
+		}
+		if (!callid && !customerIp && !customer_location) {
+			throw new Error('Parameter "callid" or "customer_ip" (or "customer_id") is required')
+		}
+
+		const customer = placeEndpoint(customerIp, customerSource, customer_location)
+		const carriers = carrierIps.length > 0
+			? carrierIps.map(ip => placeEndpoint(ip, carrierSource, carrier_location))
+			: (carrier_location ? [placeEndpoint(null, 'input', carrier_location)] : [])
+		if (!customer.location && !carriers.some(c => c.location)) {
+			const unplaced = [customer.ip, ...carriers.map(c => c.ip)].filter(Boolean)
+			return {
+				success: false,
+				callid: callid || null,
+				endpoints: { customer, carriers },
+				message: `Could not geolocate the customer or any carrier${unplaced.length > 0 ? ` (${unplaced.join(', ')})` : ''} — media zones cannot be ranked without a location on at least one side`,
+				suggestions: [
+					'Pass customer_location and/or carrier_location (zone code such as lon or nyc, or an ISO country code)',
+					'Private or CGNAT addresses cannot be geolocated — pass the public IP as customer_ip / carrier_ips',
+					carriers.length === 0 ? 'Pass callidb (or carrier_ips) so the carrier side can be placed' : null
+				].filter(Boolean)
+			}
+		}
+
+		const groups = normalizeToArray(await getRtpServerGroups())
+		if (groups.length === 0) {
+			return {
+				success: false,
+				message: 'No RTP server groups found',
+				suggestions: ['Check Setup > Settings > RTP groups — media zones must be configured before they can be ranked']
+			}
+		}
+
+		const transcodingRequired = transcoding !== undefined && transcoding !== null && transcoding !== ''
+			? flagSet(transcoding)
+			: !!traceInputs?.transcoding_required
+		const current = placeEndpoint(traceInputs?.media_ip ?? null, 'sdp')
+		const calibration = calibrate(measured, current, customer.location ? customer : null, carriers)
+		const { candidates, excluded } = rankMediaZones(groups, { customer: customer.location ? customer : null, carriers }, {
+			transcoding_required: transcodingRequired,
+			calibration: calibration ? calibration.factor : 1
+		})
+
+		const caveats = []
+		if (!customer.location) caveats.push(`Customer IP ${customer.ip || '(unknown)'} could not be geolocated — ranked on the carrier side only; pass customer_location`)
+		if (carriers.length === 0) caveats.push('No carrier IP — ranked on the customer side only; pass callidb or carrier_ips')
+		else if (carriers.some(c => !c.location)) caveats.push(`Carrier IP ${carriers.filter(c => !c.location).map(c => c.ip).join(', ')} could not be geolocated; pass carrier_location`)
+		if ([customer, ...carriers].some(e => e.location_source === 'geo_ip')) caveats.push('Geolocation is by country, placed at its centre — a cloud or multinational range may be elsewhere; pass customer_location / carrier_location')
+		if (!calibration) caveats.push('Estimates are uncalibrated — no RTCP RTT for the current media path')
+
+		const best = candidates.find(c => c.eligible) || null
+		const currentEstimate = current.location ? pathRtt(current, customer.location ? customer : null, carriers, calibration ? calibration.factor : 1).total_ms : null
+		const currentRtt = measured?.rtt_ms ?? currentEstimate
+		if (best && currentRtt !== null && best.estimated_rtt_ms !== null) best.saving_ms = +(currentRtt - best.estimated_rtt_ms).toFixed(1)
+
+		let summary
+		if (!best) {
+			summary = candidates.length > 0
+				? 'No RTP group can transcode — enable transcoding on a group or align the codecs on both legs'
+				: 'No active RTP group with a known location to rank'
+		} else {
+			summary = `Recommended media zone: ${best.name || best.zone} (${best.location}) — ~${best.estimated_rtt_ms} ms estimated media RTT` +
+				(best.legs.customer_ms !== null && best.legs.carrier_ms !== null ? ` (customer ${best.legs.customer_ms} ms, carrier ${best.legs.carrier_ms} ms)` : '') +
+				(best.saving_ms > 0 ? `, ~${best.saving_ms} ms less than the current path` : '') +
+				(best.failover ? `. Fails over to ${best.failover.name || best.failover.location} (~${best.failover.estimated_rtt_ms} ms)` : '. No failover group') +
+				'. Set it in Customer > Routing > Media > Media Proxy.'
+		}
+
+		return {
+			success: true,
+			callid: callid || null,
+			endpoints: { customer, carriers },
+			transcoding_required: transcodingRequired,
+			codecs_by_leg: traceInputs?.codecs_by_leg ?? null,
+			current: {
+				media_ip: current.ip,
+				location: current.location,
+				measured_rtt_ms: measured?.rtt_ms ?? null,
+				customer_rtt_ms: measured?.customer_rtt_ms ?? null,
+				carrier_rtt_ms: measured?.carrier_rtt_ms ?? null,
+				estimated_rtt_ms: currentEstimate
+			},
+			calibration,
+			candidates,
+			excluded,
+			recommendation: best,
+			caveats,
+			summary
+		}
+
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
@@ -0,0 +1,368 @@
+/**
+ * NAT and Media-Path Analysis
+ *
+ * Works out whether the parties of a call sit behind NAT, and how, from two
+ * kinds of evidence:
+ *
+ *   ConnexCS headers   — X-CX-NAT (true/false), X-Orig-IP (source before the
+ *                        load balancer), X-NAT-IDX (NAT detection index) and
+ *                        X-LB-SEC (present when the packet came through the
+ *                        load balancer)
+ *   Address checks     — Contact, Via sent-by / received / rport and SDP c=
+ *                        compared with the IP the packet actually came from
+ *
+ * ConnexCS documents X-NAT-IDX only as "NAT detection index and details".
+ * Decoding it is a heuristic: the index is read as a Kamailio nat_uac_test
+ * bitmask (https://www.kamailio.org/docs/modules/stable/modules/nathelper.html#nathelper.f.nat_uac_test —
+ * 1 = private Contact, 2 = Via differs from source, 4 = private Via,
+ * 8 = private SDP, 16 = Via port differs from source port, ...), which the
+ * switch is not confirmed to use. Decoded flags are marked
+ * `decode: 'heuristic'`, labelled as such in the evidence, and never raise
+ * the classification above signalling-only on their own.
+ *
+ * Each remote party (the caller, and every carrier that answered) is
+ * classified, and the call takes the worst class:
+ *
+ *   none        — addresses match the packet source
+ *   signalling  — SIP headers carry private / mismatched addresses, SDP is public
+ *   media       — SDP c= is private: RTP must be latched by the media proxy
+ *   double      — two NAT layers (CGNAT, private Via received=, different private networks)
+ *
+ * The result says whether Far-End NAT Traversal is needed and whether
+ * direct media (RTP bypassing the ConnexCS media servers) is safe.
+ */
+
+import { parseSipMessage, getSipHeader, parseVia } from './sipTransactions'
+import { parseSdp, isPrivateAddress } from './sdpAnalysis'
+import { describeCallLegs } from './callLegs'
+
+/** NAT classes, least to most severe. */
+export const NAT_CLASSIFICATIONS = ['none', 'signalling', 'media', 'double']
+
+/** Human-readable NAT class labels. */
+const NAT_LABELS = {
+	none: 'No NAT',
+	signalling: 'Signalling-only NAT',
+	media: 'Media NAT',
+	double: 'Double-NAT risk'
+}
+
+/** X-NAT-IDX bits, assuming Kamailio nat_uac_test flag values (heuristic, see the module header). */
+const NAT_IDX_FLAGS = [
+	{ bit: 1, flag: 'contact_private', description: 'Contact holds a private address' },
+	{ bit: 2, flag: 'via_mismatch', description: 'Via address differs from the packet source' },
+	{ bit: 4, flag: 'via_private', description: 'Via holds a private address' },
+	{ bit: 8, flag: 'sdp_private', description: 'SDP holds a private address' },
+	{ bit: 16, flag: 'via_port_mismatch', description: 'Via port differs from the source port' },
+	{ bit: 32, flag: 'contact_mismatch', description: 'Contact address differs from the packet source' },
+	{ bit: 64, flag: 'contact_port_mismatch', description: 'Contact port differs from the source port' }
+]
+
+/** Documentation for the advice. */
+const NAT_DOC = 'https://docs.connexcs.com/far-end-nat-traversal/'
+
+/**
+ * Whether an address is in the RFC 6598 shared (carrier-grade NAT) range.
+ *
+ * @param {string} ip - IPv4 address
+ * @returns {boolean} True for 100.64.0.0/10
+ */
+function isSharedAddress (ip) {
+	const match = String(ip || '').match(/^100\.(\d{1,3})\./)
+	return !!match && +match[1] >= 64 && +match[1] <= 127
+}
+
+/**
+ * Splits "host:port" (or a SIP URI) into host and port.
+ *
+ * @param {string|null} value - host[:port] or sip:user@host[:port];params
+ * @returns {{ host: (string|null), port: (number|null) }} Host and port
+ */
+export function splitHostPort (value) {
+	if (!value) return { host: null, port: null }
+	const hostPart = String(value).replace(/^<|>$/g, '').replace(/^sips?:/i, '').replace(/^[^@]*@/, '').split(/[;>?]/)[0]
+	const match = hostPart.match(/^\[?([^\]]+?)\]?(?::(\d+))?$/)
+	return match ? { host: match[1], port: match[2] ? parseInt(match[2], 10) : null } : { host: null, port: null }
+}
+
+/**
+ * Whether a value looks like an IPv4 address.
+ *
+ * @param {string|null} host - Host
+ * @returns {boolean} True for dotted-quad addresses
+ */
+function isIpv4 (host) {
+	return /^\d{1,3}(\.\d{1,3}){3}$/.test(String(host || ''))
+}
+
+// ============================================================================
+// HEADERS
+// ============================================================================
+
+/**
+ * Parses X-CX-NAT into a boolean.
+ *
+ * @param {string|null} value - Header value
+ * @returns {boolean|null} true/false, or null if absent or unrecognised
+ */
+export function parseCxNat (value) {
+	if (value === null || value === undefined) return null
+	const text = String(value).trim().toLowerCase()
+	if (['true', '1', 'yes', 'on'].includes(text)) return true
+	if (['false', '0', 'no', 'off'].includes(text)) return false
+	return null
+}
+
+/**
+ * Parses X-NAT-IDX: a leading NAT detection index, optionally followed by
+ * details. The flags are a heuristic decode of the index (see the module header).
+ *
+ * @param {string|null} value - Header value
+ * @returns {Object|null} { raw, index, flags, decode: 'heuristic', details } or null if absent
+ */
+export function parseNatIdx (value) {
+	if (value === null || value === undefined || String(value).trim() === '') return null
+	const raw = String(value).trim()
+	const match = raw.match(/^(\d+)\s*[;,:\s]?\s*(.*)$/)
+	const index = match ? parseInt(match[1], 10) : null
+	return {
+		raw,
+		index,
+		flags: index === null ? [] : NAT_IDX_FLAGS.filter(f => (index & f.bit) !== 0).map(f => f.flag),
+		decode: 'heuristic',
+		details: match ? (match[2] || null) : raw
+	}
+}
+
+/**
+ * Reads the ConnexCS NAT headers from the first message that carries each.
+ *
+ * @param {Array<Object>} parsedRows - [{ row, parsed }] for every trace row
+ * @returns {Object} { x_cx_nat, x_cx_nat_raw, x_orig_ip, x_nat_idx, x_lb_sec, message_ids }
+ */
+function readNatHeaders (parsedRows) {
+	const first = name => parsedRows.find(p => getSipHeader(p.parsed, name) !== null) || null
+	const cxNat = first('x-cx-nat')
+	const origIp = first('x-orig-ip')
+	const natIdx = first('x-nat-idx')
+	const lbSec = first('x-lb-sec')
+	const rawCxNat = cxNat ? getSipHeader(cxNat.parsed, 'x-cx-nat') : null
+
+	return {
+		x_cx_nat: parseCxNat(rawCxNat),
+		x_cx_nat_raw: rawCxNat,
+		x_orig_ip: origIp ? getSipHeader(origIp.parsed, 'x-orig-ip').trim() : null,
+		x_nat_idx: natIdx ? parseNatIdx(getSipHeader(natIdx.parsed, 'x-nat-idx')) : null,
+		// The hash itself is a secret — only report that the load balancer stamped the packet
+		x_lb_sec: !!lbSec,
+		message_ids: [...new Set([cxNat, origIp, natIdx, lbSec].filter(Boolean).map(p => p.row.id))]
+	}
+}
+
+// ============================================================================
+// ADDRESS CHECKS
+// ============================================================================
+
+/**
+ * Compares one message's Contact, Via and SDP addresses with its packet source.
+ *
+ * @param {Object} row - log/trace row
+ * @param {Object} parsed - parseSipMessage(row.msg)
+ * @param {string} role - 'caller' or 'carrier'
+ * @param {string|null} origIp - X-Orig-IP, used as the source for the caller when present
+ * @returns {Object} Endpoint check result
+ */
+function checkEndpoint (row, parsed, role, origIp) {
+	const relayed = role === 'caller' && origIp && isIpv4(origIp) && origIp !== row.source_ip
+	const sourceIp = relayed ? origIp : row.source_ip
+	const sourcePort = relayed ? null : Number(row.source_port) || null
+
+	const contact = splitHostPort(getSipHeader(parsed, 'contact'))
+	const via = parsed.is_request ? parseVia(getSipHeader(parsed, 'via')) : null
+	const viaHost = via ? splitHostPort(via.sent_by) : { host: null, port: null }
+	const sdp = parseSdp(parsed.body)
+	const audio = sdp ? sdp.media.find(m => m.type === 'audio') : null
+	const sdpAddress = audio ? audio.connection_address : sdp ? sdp.connection_address : null
+
+	const checks = {
+		source_shared: isSharedAddress(sourceIp),
+		contact_private: isPrivateAddress(contact.host),
+		contact_mismatch: isIpv4(contact.host) && contact.host !== sourceIp,
+		via_private: isPrivateAddress(viaHost.host),
+		via_mismatch: isIpv4(viaHost.host) && viaHost.host !== sourceIp,
+		via_port_mismatch: sourcePort !== null && viaHost.port !== null && viaHost.port !== sourcePort,
+		received_private: !!(via && via.received && isPrivateAddress(via.received)),
+		sdp_private: isPrivateAddress(sdpAddress) && sdpAddress !== '0.0.0.0',
+		sdp_mismatch: isIpv4(sdpAddress) && sdpAddress !== '0.0.0.0' && sdpAddress !== sourceIp
+	}
+
+	const privateNetworks = new Set([contact.host, viaHost.host, via && via.received, sdpAddress]
+		.filter(ip => isPrivateAddress(ip))
+		.map(ip => ip.split('.').slice(0, 2).join('.')))
+
+	const evidence = []
+	if (checks.source_shared) evidence.push(`source ${sourceIp} is in the carrier-grade NAT range (100.64.0.0/10)`)
+	if (checks.received_private) evidence.push(`Via received=${via.received} is private — another NAT sits in front of this device`)
+	if (privateNetworks.size > 1) evidence.push(`private addresses from ${privateNetworks.size} different networks (${[...privateNetworks].map(n => `${n}.x.x`).join(', ')})`)
+	if (checks.contact_private || checks.contact_mismatch) evidence.push(`Contact ${contact.host}${contact.port ? `:${contact.port}` : ''} ${checks.contact_private ? 'is private' : `differs from source ${sourceIp}`}`)
+	if (checks.via_private || checks.via_mismatch) evidence.push(`Via sent-by ${via.sent_by} ${checks.via_private ? 'is private' : `differs from source ${sourceIp}`}`)
+	if (checks.via_port_mismatch) evidence.push(`Via port ${viaHost.port} differs from source port ${sourcePort}`)
+	if (checks.sdp_private) evidence.push(`SDP c=${sdpAddress} is private`)
+	else if (checks.sdp_mismatch) evidence.push(`SDP c=${sdpAddress} differs from signalling source ${sourceIp} (separate media address)`)
+
+	let classification = 'none'
+	if (checks.source_shared || checks.received_private || privateNetworks.size > 1) classification = 'double'
+	else if (checks.sdp_private) classification = 'media'
+	else if (checks.contact_private || checks.contact_mismatch || checks.via_private || checks.via_mismatch || checks.via_port_mismatch) classification = 'signalling'
+
+	return {
+		role,
+		address: `${row.source_ip}:${row.source_port}`,
+		message_id: row.id,
+		source_ip: sourceIp,
+		relayed_by_load_balancer: !!relayed,
+		contact: contact.host ? `${contact.host}${contact.port ? `:${contact.port}` : ''}` : null,
+		via: via ? { sent_by: via.sent_by, received: via.received, rport: via.rport } : null,
+		sdp_address: sdpAddress,
+		checks,
+		classification,
+		evidence
+	}
+}
+
+/**
+ * Picks the message that best describes a carrier's addresses: its answer,
+ * otherwise its first response with a Contact.
+ *
+ * @param {Object} tx - Egress INVITE transaction
+ * @param {Array<Object>} parsedRows - [{ row, parsed }] per trace row
+ * @returns {Object|null} { row, parsed } or null
+ */
+function carrierMessage (tx, parsedRows) {
+	const responses = [tx.final_response, ...tx.provisional_responses].filter(Boolean)
+	const answer = tx.final_response && tx.final_response.code < 300 ? parsedRows[tx.final_response.index] : null
+	if (answer && answer.parsed) return answer
+	const withContact = responses.map(r => parsedRows[r.index]).find(p => p && p.parsed && getSipHeader(p.parsed, 'contact'))
+	return withContact || null
+}
+
+// ============================================================================
+// ADVICE
+// ============================================================================
+
+/**
+ * Far-End NAT Traversal / direct media advice for a NAT class.
+ *
+ * @param {string} classification - NAT_CLASSIFICATIONS entry
+ * @param {boolean} separateMedia - SDP c= is public but not the signalling address
+ * @returns {Object} { far_end_nat_traversal, direct_media, message, doc }
+ */
+function natAdvice (classification, separateMedia) {
+	switch (classification) {
+		case 'double':
+			return {
+				far_end_nat_traversal: 'required',
+				direct_media: 'unsafe',
+				message: 'Enable Far-End NAT Traversal and keep media on the ConnexCS RTP servers; disable SIP ALG on the customer router and use short registration / keep-alive intervals so both NAT pinholes stay open',
+				doc: NAT_DOC
+			}
+		case 'media':
+			return {
+				far_end_nat_traversal: 'required',
+				direct_media: 'unsafe',
+				message: 'Enable Far-End NAT Traversal so the media server latches RTP to the real source address; direct media will give one-way or no audio',
+				doc: NAT_DOC
+			}
+		case 'signalling':
+			return {
+				far_end_nat_traversal: 'recommended',
+				direct_media: separateMedia ? 'caution' : 'safe',
+				message: `Enable Far-End NAT Traversal so replies and in-dialog requests go to the source address rather than the Contact; the SDP address is public, so direct media ${separateMedia ? 'can work but the media address differs from the signalling address — test both directions' : 'is safe'}`,
+				doc: NAT_DOC
+			}
+		default:
+			return {
+				far_end_nat_traversal: 'not_needed',
+				direct_media: separateMedia ? 'caution' : 'safe',
+				message: separateMedia
+					? 'No NAT detected; media is sent from a different public address than signalling, so check firewalls allow RTP from it before enabling direct media'
+					: 'No NAT detected; Far-End NAT Traversal is not needed and direct media is safe',
+				doc: NAT_DOC
+			}
+	}
+}
+
+/**
+ * Analyses NAT for every remote party of a call.
+ *
+ * @param {Array<Object>} messages - log/trace rows in chronological order
+ * @param {Array<Object>} transactions - Transactions from buildSipTransactions for the same rows
+ * @returns {Object} NAT analysis:
+ *   - {Object} headers - Parsed X-CX-NAT / X-Orig-IP / X-NAT-IDX / X-LB-SEC
+ *   - {Array<Object>} endpoints - Per-party address checks and class
+ *   - {string} classification - Worst class across parties (none | signalling | media | double)
+ *   - {string} label - Human-readable class
+ *   - {boolean} nat_detected - Any NAT evidence, including X-CX-NAT: true
+ *   - {Object} advice - { far_end_nat_traversal, direct_media, message, doc }
+ *   - {Array<Object>} findings - { type, severity, message, message_ids }
+ */
+export function analyzeNat (messages, transactions) {
+	const parsedRows = messages.map(row => ({ row, parsed: row.msg ? parseSipMessage(row.msg) : null }))
+	const headers = readNatHeaders(parsedRows.filter(p => p.parsed))
+	const legs = describeCallLegs(transactions)
+	const endpoints = []
+
+	if (legs) {
+		const callerRow = parsedRows[legs.ingress.request.index]
+		if (callerRow && callerRow.parsed) endpoints.push(checkEndpoint(callerRow.row, callerRow.parsed, 'caller', headers.x_orig_ip))
+		for (const tx of legs.egress) {
+			const answer = carrierMessage(tx, parsedRows)
+			if (answer && !endpoints.some(e => e.address === `${answer.row.source_ip}:${answer.row.source_port}`)) {
+				endpoints.push(checkEndpoint(answer.row, answer.parsed, 'carrier', null))
+			}
+		}
+	}
+
+	let classification = endpoints.reduce((worst, e) => NAT_CLASSIFICATIONS.indexOf(e.classification) > NAT_CLASSIFICATIONS.indexOf(worst) ? e.classification : worst, 'none')
+	const evidence = endpoints.flatMap(e => e.evidence.map(text => `${e.role} ${e.address}: ${text}`))
+
+	// The switch's own NAT detection counts even when the headers we can see look
+	// clean; the X-NAT-IDX decode is a heuristic, so it only ever implies signalling NAT
+	const idxFlags = headers.x_nat_idx ? headers.x_nat_idx.flags : []
+	if ((headers.x_cx_nat === true || idxFlags.length > 0) && classification === 'none') classification = 'signalling'
+	if (headers.x_cx_nat === true) evidence.push('X-CX-NAT: true — the switch detected NAT')
+	if (idxFlags.length > 0) evidence.push(`X-NAT-IDX ${headers.x_nat_idx.index} (heuristic decode as Kamailio nat_uac_test flags, unconfirmed for ConnexCS): ${NAT_IDX_FLAGS.filter(f => idxFlags.includes(f.flag)).map(f => f.description).join('; ')}`)
+	if (headers.x_cx_nat === false && classification !== 'none') evidence.push('X-CX-NAT: false, but the addresses above disagree with the packet source')
+
+	const separateMedia = endpoints.some(e => e.checks.sdp_mismatch && !e.checks.sdp_private)
+	const advice = natAdvice(classification, separateMedia)
+	const findings = []
+	if (classification !== 'none') {
+		const messageIds = [...new Set(endpoints.filter(e => e.classification !== 'none').map(e => e.message_id).concat(headers.message_ids))]
+		findings.push({
+			type: classification,
+			severity: classification === 'signalling' ? 'info' : 'warn',
+			message: `${NAT_LABELS[classification]} — ${advice.message}`,
+			message_ids: messageIds
+		})
+	}
+	if (headers.x_cx_nat === false && classification !== 'none') {
+		findings.push({
+			type: 'header_mismatch',
+			severity: 'info',
+			message: `X-CX-NAT says false but the trace shows ${NAT_LABELS[classification].toLowerCase()}`,
+			message_ids: headers.message_ids
+		})
+	}
+
+	return {
+		headers,
+		endpoints,
+		classification,
+		label: NAT_LABELS[classification],
+		nat_detected: classification !== 'none' || headers.x_cx_nat === true,
+		evidence,
+		advice,
+		findings
+	}
+}
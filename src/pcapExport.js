@@ -0,0 +1,471 @@
+/**
+ * PCAP Export of SIP Traces
+ *
+ * Carriers ask for a pcap. log/trace rows carry everything needed to
+ * synthesise one: addresses, ports, transport, micro_ts and the raw message.
+ * Each row becomes an Ethernet / IPv4 / UDP or TCP frame with valid lengths
+ * and checksums, written as libpcap (microsecond timestamps) or pcapng, and
+ * returned base64-encoded so it opens directly in Wireshark or sngrep. The
+ * same packets can also be rendered as sngrep-style text.
+ *
+ * Synthesised, not captured: MAC addresses are derived from the IP
+ * (02:00:a.b.c.d), TCP streams have no handshake, and TLS / WSS rows are
+ * written as the plaintext SIP the switch logged.
+ */
+
+import { getSipTrace, validateCallId } from './callDebugTools'
+import { resolveMessageTimes } from './sipTransactions'
+import { bytesToBase64, utf8ToBytes, bytesToUtf8 } from './binaryUtils'
+
+/** Export formats. */
+export const PCAP_EXPORT_FORMATS = ['pcap', 'pcapng', 'text']
+
+/** Link-layer header type for Ethernet (pcap / pcapng). */
+export const LINKTYPE_ETHERNET = 1
+
+/** Snapshot length written to the file headers. */
+export const PCAP_SNAPLEN = 262144
+
+/** libpcap magic number, microsecond timestamps. */
+export const PCAP_MAGIC = 0xa1b2c3d4
+
+/** pcapng block types. */
+export const PCAPNG_BLOCK = { SHB: 0x0a0d0d0a, IDB: 0x00000001, EPB: 0x00000006 }
+
+/** pcapng byte-order magic. */
+export const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d
+
+/** IP protocol numbers. */
+const IP_PROTOCOL = { tcp: 6, udp: 17 }
+
+const ETHERNET_HEADER_LENGTH = 14
+const IPV4_HEADER_LENGTH = 20
+const UDP_HEADER_LENGTH = 8
+const TCP_HEADER_LENGTH = 20
+const IPV4_MAX_LENGTH = 65535
+
+/** MIME type and file extension per format. */
+const FORMAT_FILES = {
+	pcap: { mime_type: 'application/vnd.tcpdump.pcap', extension: 'pcap' },
+	pcapng: { mime_type: 'application/x-pcapng', extension: 'pcapng' },
+	text: { mime_type: 'text/plain', extension: 'txt' }
+}
+
+// ============================================================================
+// PACKETS
+// ============================================================================
+
+/**
+ * Parses a dotted-quad IPv4 address.
+ *
+ * @param {string} address - IPv4 address
+ * @returns {Array<number>|null} Four octets, or null if not IPv4
+ */
+export function parseIpv4 (address) {
+	const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(String(address ?? '').trim())
+	if (!match) return null
+	const octets = match.slice(1).map(Number)
+	return octets.every(o => o <= 255) ? octets : null
+}
+
+/**
+ * Maps a trace row's transport to the IP protocol carrying it.
+ *
+ * @param {string} protocol - log/trace protocol (UDP, TCP, TLS, WS, WSS)
+ * @returns {string} 'udp' or 'tcp'
+ */
+function transportOf (protocol) {
+	return /^udp$/i.test(String(protocol || 'UDP')) ? 'udp' : 'tcp'
+}
+
+/**
+ * Converts trace rows to packets in capture order. Rows without IPv4
+ * addresses or ports are skipped and listed.
+ *
+ * @param {Array<Object>} messages - log/trace rows
+ * @returns {Object} { packets: [{ message_id, time_us, transport, protocol, source_ip, source_port, destination_ip, destination_port, payload, text }], skipped: [{ message_id, reason }] }
+ */
+export function tracePackets (messages) {
+	const times = resolveMessageTimes(messages)
+	const packets = []
+	const skipped = []
+
+	messages.forEach((row, index) => {
+		const id = row.id !== undefined ? row.id : index
+		const source = parseIpv4(row.source_ip)
+		const destination = parseIpv4(row.destination_ip)
+		const sourcePort = Number(row.source_port)
+		const destinationPort = Number(row.destination_port)
+		if (!source || !destination) {
+			skipped.push({ message_id: id, reason: `not an IPv4 packet (${row.source_ip} -> ${row.destination_ip})` })
+			return
+		}
+		if (!(sourcePort > 0 && sourcePort < 65536) || !(destinationPort > 0 && destinationPort < 65536)) {
+			skipped.push({ message_id: id, reason: `missing or invalid port (${row.source_port} -> ${row.destination_port})` })
+			return
+		}
+		const micro = Number(row.micro_ts)
+		const timeUs = micro > 1e14 ? Math.round(micro) : (times[index] !== null ? Math.round(times[index] * 1000) : null)
+		if (timeUs === null) {
+			skipped.push({ message_id: id, reason: 'no timestamp' })
+			return
+		}
+		const text = String(row.msg ?? '')
+		packets.push({
+			message_id: id,
+			time_us: timeUs,
+			transport: transportOf(row.protocol),
+			protocol: String(row.protocol || 'UDP').toUpperCase(),
+			source_ip: String(row.source_ip).trim(),
+			source_port: sourcePort,
+			destination_ip: String(row.destination_ip).trim(),
+			destination_port: destinationPort,
+			payload: utf8ToBytes(text),
+			text
+		})
+	})
+
+	// Stable: rows logged at the same microsecond keep their order
+	packets.sort((a, b) => a.time_us - b.time_us)
+	return { packets, skipped }
+}
+
+/**
+ * Internet checksum (RFC 1071) over one or more byte ranges.
+ *
+ * @param {Array<Uint8Array>} parts - Byte ranges, summed as one stream
+ * @returns {number} 16-bit checksum
+ */
+export function internetChecksum (parts) {
+	let sum = 0
+	let odd = null
+	for (const part of parts) {
+		for (let i = 0; i < part.length; i++) {
+			if (odd === null) {
+				odd = part[i]
+			} else {
+				sum += (odd << 8) | part[i]
+				odd = null
+			}
+		}
+	}
+	if (odd !== null) sum += odd << 8
+	while (sum > 0xffff) sum = (sum & 0xffff) + Math.floor(sum / 0x10000)
+	return (~sum) & 0xffff
+}
+
+/**
+ * Builds an Ethernet / IPv4 / UDP or TCP frame for a packet. TCP sequence
+ * numbers run on per direction, acknowledging everything the other side sent.
+ *
+ * @param {Object} packet - tracePackets entry
+ * @param {Object} state - Shared across a file: { ip_id, tcp: { [flow]: next_seq } }
+ * @returns {Object} { frame: Uint8Array, truncated: boolean }
+ */
+export function buildFrame (packet, state) {
+	const src = parseIpv4(packet.source_ip)
+	const dst = parseIpv4(packet.destination_ip)
+	const tcp = packet.transport === 'tcp'
+	const transportLength = tcp ? TCP_HEADER_LENGTH : UDP_HEADER_LENGTH
+	const maxPayload = IPV4_MAX_LENGTH - IPV4_HEADER_LENGTH - transportLength
+	const payload = packet.payload.length > maxPayload ? packet.payload.subarray(0, maxPayload) : packet.payload
+	const ipLength = IPV4_HEADER_LENGTH + transportLength + payload.length
+
+	const frame = new Uint8Array(ETHERNET_HEADER_LENGTH + ipLength)
+	const view = new DataView(frame.buffer)
+
+	// Ethernet: locally administered MACs derived from the addresses
+	frame.set([0x02, 0x00, ...dst], 0)
+	frame.set([0x02, 0x00, ...src], 6)
+	view.setUint16(12, 0x0800)
+
+	// IPv4
+	const ip = ETHERNET_HEADER_LENGTH
+	state.ip_id = ((state.ip_id || 0) + 1) & 0xffff
+	frame[ip] = 0x45
+	view.setUint16(ip + 2, ipLength)
+	view.setUint16(ip + 4, state.ip_id)
+	view.setUint16(ip + 6, 0x4000)
+	frame[ip + 8] = 64
+	frame[ip + 9] = IP_PROTOCOL[packet.transport]
+	frame.set(src, ip + 12)
+	frame.set(dst, ip + 16)
+	view.setUint16(ip + 10, internetChecksum([frame.subarray(ip, ip + IPV4_HEADER_LENGTH)]))
+
+	// UDP / TCP
+	const l4 = ip + IPV4_HEADER_LENGTH
+	view.setUint16(l4, packet.source_port)
+	view.setUint16(l4 + 2, packet.destination_port)
+	if (tcp) {
+		state.tcp = state.tcp || {}
+		const flow = `${packet.source_ip}:${packet.source_port}>${packet.destination_ip}:${packet.destination_port}`
+		const reverse = `${packet.destination_ip}:${packet.destination_port}>${packet.source_ip}:${packet.source_port}`
+		const seq = state.tcp[flow] ?? 1
+		state.tcp[flow] = (seq + payload.length) % 0x100000000
+		view.setUint32(l4 + 4, seq)
+		view.setUint32(l4 + 8, state.tcp[reverse] ?? 1)
+		frame[l4 + 12] = (TCP_HEADER_LENGTH / 4) << 4
+		frame[l4 + 13] = 0x18 // PSH, ACK
+		view.setUint16(l4 + 14, 65535)
+	} else {
+		view.setUint16(l4 + 4, UDP_HEADER_LENGTH + payload.length)
+	}
+	frame.set(payload, l4 + transportLength)
+
+	const segmentLength = transportLength + payload.length
+	const pseudo = new Uint8Array(12)
+	pseudo.set(src, 0)
+	pseudo.set(dst, 4)
+	pseudo[9] = IP_PROTOCOL[packet.transport]
+	new DataView(pseudo.buffer).setUint16(10, segmentLength)
+	const checksum = internetChecksum([pseudo, frame.subarray(l4, l4 + segmentLength)])
+	// A computed UDP checksum of zero is sent as all ones (RFC 768)
+	view.setUint16(l4 + (tcp ? 16 : 6), !tcp && checksum === 0 ? 0xffff : checksum)
+
+	return { frame, truncated: payload.length < packet.payload.length }
+}
+
+// ============================================================================
+// FILE FORMATS
+// ============================================================================
+
+/**
+ * Concatenates byte arrays.
+ *
+ * @param {Array<Uint8Array>} chunks - Byte arrays
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes (chunks) {
+	const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0))
+	let offset = 0
+	for (const chunk of chunks) {
+		out.set(chunk, offset)
+		offset += chunk.length
+	}
+	return out
+}
+
+/**
+ * Writes packets as a libpcap file (little-endian, microsecond timestamps, Ethernet).
+ *
+ * @param {Array<Object>} packets - tracePackets entries
+ * @returns {Object} { bytes: Uint8Array, truncated: number }
+ */
+export function writePcap (packets) {
+	const header = new Uint8Array(24)
+	const h = new DataView(header.buffer)
+	h.setUint32(0, PCAP_MAGIC, true)
+	h.setUint16(4, 2, true)
+	h.setUint16(6, 4, true)
+	h.setUint32(16, PCAP_SNAPLEN, true)
+	h.setUint32(20, LINKTYPE_ETHERNET, true)
+
+	const state = {}
+	const chunks = [header]
+	let truncated = 0
+	for (const packet of packets) {
+		const { frame, truncated: cut } = buildFrame(packet, state)
+		if (cut) truncated++
+		const record = new Uint8Array(16)
+		const r = new DataView(record.buffer)
+		r.setUint32(0, Math.floor(packet.time_us / 1e6), true)
+		r.setUint32(4, packet.time_us % 1e6, true)
+		r.setUint32(8, frame.length, true)
+		r.setUint32(12, frame.length, true)
+		chunks.push(record, frame)
+	}
+	return { bytes: concatBytes(chunks), truncated }
+}
+
+/**
+ * Builds a pcapng block: type, total length, body (padded to 32 bits), total length.
+ *
+ * @param {number} type - Block type
+ * @param {Uint8Array} body - Block body
+ * @returns {Uint8Array} Block bytes
+ */
+function pcapngBlock (type, body) {
+	const padded = Math.ceil(body.length / 4) * 4
+	const block = new Uint8Array(12 + padded)
+	const view = new DataView(block.buffer)
+	view.setUint32(0, type, true)
+	view.setUint32(4, block.length, true)
+	block.set(body, 8)
+	view.setUint32(8 + padded, block.length, true)
+	return block
+}
+
+/**
+ * Encodes pcapng options (code, length, value padded to 32 bits), ending with opt_endofopt.
+ *
+ * @param {Array<Array>} options - [code, string value] pairs
+ * @returns {Uint8Array} Options bytes
+ */
+function pcapngOptions (options) {
+	const chunks = []
+	for (const [code, value] of options) {
+		const data = utf8ToBytes(value)
+		const option = new Uint8Array(4 + Math.ceil(data.length / 4) * 4)
+		const view = new DataView(option.buffer)
+		view.setUint16(0, code, true)
+		view.setUint16(2, data.length, true)
+		option.set(data, 4)
+		chunks.push(option)
+	}
+	chunks.push(new Uint8Array(4))
+	return concatBytes(chunks)
+}
+
+/**
+ * Writes packets as a pcapng file: one section, one Ethernet interface
+ * (default microsecond resolution), an Enhanced Packet Block per packet
+ * carrying the trace row id as its comment.
+ *
+ * @param {Array<Object>} packets - tracePackets entries
+ * @param {Object} [options] - File options
+ * @param {string} [options.comment] - Section comment (e.g. the Call-ID)
+ * @returns {Object} { bytes: Uint8Array, truncated: number }
+ */
+export function writePcapng (packets, options = {}) {
+	const shbFixed = new Uint8Array(16)
+	const shb = new DataView(shbFixed.buffer)
+	shb.setUint32(0, PCAPNG_BYTE_ORDER_MAGIC, true)
+	shb.setUint16(4, 1, true)
+	shb.setUint16(6, 0, true)
+	shb.setInt32(8, -1, true) // section length unknown
+	shb.setInt32(12, -1, true)
+	const shbOptions = [[4, 'ConnexCS call debug (synthesised from log/trace)']]
+	if (options.comment) shbOptions.unshift([1, options.comment])
+
+	const idbFixed = new Uint8Array(8)
+	const idb = new DataView(idbFixed.buffer)
+	idb.setUint16(0, LINKTYPE_ETHERNET, true)
+	idb.setUint32(4, PCAP_SNAPLEN, true)
+
+	const state = {}
+	const chunks = [
+		pcapngBlock(PCAPNG_BLOCK.SHB, concatBytes([shbFixed, pcapngOptions(shbOptions)])),
+		pcapngBlock(PCAPNG_BLOCK.IDB, concatBytes([idbFixed, pcapngOptions([[2, 'log/trace']])]))
+	]
+	let truncated = 0
+	for (const packet of packets) {
+		const { frame, truncated: cut } = buildFrame(packet, state)
+		if (cut) truncated++
+		const fixed = new Uint8Array(20)
+		const view = new DataView(fixed.buffer)
+		view.setUint32(0, 0, true)
+		view.setUint32(4, Math.floor(packet.time_us / 0x100000000), true)
+		view.setUint32(8, packet.time_us % 0x100000000, true)
+		view.setUint32(12, frame.length, true)
+		view.setUint32(16, frame.length, true)
+		const data = new Uint8Array(Math.ceil(frame.length / 4) * 4)
+		data.set(frame)
+		chunks.push(pcapngBlock(PCAPNG_BLOCK.EPB, concatBytes([fixed, data, pcapngOptions([[1, `log/trace#${packet.message_id}`]])])))
+	}
+	return { bytes: concatBytes(chunks), truncated }
+}
+
+/**
+ * Renders packets as sngrep-style text: a "date time source -> destination"
+ * line above each message, messages separated by a blank line.
+ *
+ * @param {Array<Object>} packets - tracePackets entries
+ * @returns {string} Text export
+ */
+export function renderSngrepText (packets) {
+	return packets.map(packet => {
+		const iso = new Date(Math.floor(packet.time_us / 1000)).toISOString()
+		const stamp = `${iso.slice(0, 10).replace(/-/g, '/')} ${iso.slice(11, 19)}.${String(packet.time_us % 1e6).padStart(6, '0')}`
+		const body = bytesToUtf8(packet.payload).replace(/\r\n/g, '\n').replace(/\n+$/, '')
+		return `${stamp} ${packet.source_ip}:${packet.source_port} -> ${packet.destination_ip}:${packet.destination_port}\n${body}\n`
+	}).join('\n')
+}
+
+/**
+ * Exports trace rows in one of PCAP_EXPORT_FORMATS.
+ *
+ * @param {Array<Object>} messages - log/trace rows
+ * @param {string} format - pcap, pcapng or text
+ * @param {Object} [options] - Export options
+ * @param {string} [options.comment] - pcapng section comment
+ * @returns {Object} { format, encoding ('base64' | 'utf8'), content, byte_length, packet_count, skipped, truncated, first_packet, last_packet }
+ * @throws {Error} If the format is unknown
+ */
+export function exportTracePcap (messages, format, options = {}) {
+	if (!PCAP_EXPORT_FORMATS.includes(format)) {
+		throw new Error(`Parameter "format" must be one of ${PCAP_EXPORT_FORMATS.join(', ')}, received "${format}"`)
+	}
+	const { packets, skipped } = tracePackets(messages)
+	const span = {
+		packet_count: packets.length,
+		first_packet: packets.length > 0 ? new Date(Math.floor(packets[0].time_us / 1000)).toISOString() : null,
+		last_packet: packets.length > 0 ? new Date(Math.floor(packets[packets.length - 1].time_us / 1000)).toISOString() : null,
+		skipped
+	}
+
+	if (format === 'text') {
+		const content = renderSngrepText(packets)
+		return { format, encoding: 'utf8', content, byte_length: utf8ToBytes(content).length, truncated: 0, ...span }
+	}
+	const { bytes, truncated } = format === 'pcap' ? writePcap(packets) : writePcapng(packets, options)
+	return { format, encoding: 'base64', content: bytesToBase64(bytes), byte_length: bytes.length, truncated, ...span }
+}
+
+/**
+ * Handler for the export_trace_pcap MCP tool
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.callid - SIP Call-ID (required)
+ * @param {string} [args.callidb] - Internal call identifier — include the carrier legs
+ * @param {string} [args.format] - pcap (default), pcapng or text
+ * @returns {Promise<Object>} { success, callid, format, filename, mime_type, encoding, content, byte_length, packet_count, first_packet, last_packet, skipped, notes }
+ */
+export async function exportTracePcapHandler (args) {
+	const { callid, callidb } = args
+	const format = args.format || 'pcap'
+
+	try {
+		validateCallId(callid, 'callid')
+		if (!PCAP_EXPORT_FORMATS.includes(format)) {
+			throw new Error(`Parameter "format" must be one of ${PCAP_EXPORT_FORMATS.join(', ')}, received "${format}"`)
+		}
+
+		const traceData = await getSipTrace(callid, callidb)
+		const messages = Array.isArray(traceData) ? traceData : []
+		if (messages.length === 0) {
+			return {
+				success: false,
+				callid,
+				message: 'No SIP trace found for this Call-ID',
+				suggestions: [
+					'Verify the Call-ID with searchCallLogs',
+					'Traces are kept for a limited time; older calls cannot be exported'
+				]
+			}
+		}
+
+		const exported = exportTracePcap(messages, format, { comment: `Call-ID: ${callid}` })
+		const notes = []
+		const secure = [...new Set(tracePackets(messages).packets.map(p => p.protocol).filter(p => p === 'TLS' || p === 'WSS' || p === 'WS'))]
+		if (secure.length > 0) notes.push(`${secure.join('/')} rows are written as plaintext SIP over TCP — Wireshark may need "Decode As… SIP" on those ports`)
+		if (exported.skipped.length > 0) notes.push(`${exported.skipped.length} trace row(s) could not be written (see skipped)`)
+		if (exported.truncated > 0) notes.push(`${exported.truncated} message(s) exceeded the IPv4 packet size and were truncated`)
+		if (format !== 'text') notes.push('Synthesised from log/trace: MAC addresses are derived from the IPs and TCP has no handshake')
+
+		const file = FORMAT_FILES[format]
+		return {
+			success: true,
+			callid,
+			filename: `${callid.replace(/[^A-Za-z0-9._-]+/g, '_')}.${file.extension}`,
+			mime_type: file.mime_type,
+			...exported,
+			notes
+		}
+	} catch (error) {
+		return {
+			success: false,
+			callid,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
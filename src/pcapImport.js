@@ -0,0 +1,933 @@
+/**
+ * PCAP Import and Analysis
+ *
+ * Customers send captures from their PBX. This module reads a base64
+ * libpcap / pcapng file, extracts the SIP messages into log/trace-shaped
+ * rows (so analyzeSipTrace and every tool built on it work unchanged),
+ * estimates loss and jitter for the RTP streams, and optionally looks the
+ * Call-IDs up with searchCallLogs so the customer's side of a call can be
+ * compared with ours.
+ *
+ * Parsing is pure — only the log lookup touches the API:
+ *
+ *   capture → link layer (Ethernet / VLAN, Linux SLL / SLL2, raw IP, BSD loopback)
+ *           → IPv4 (fragments reassembled) / IPv6
+ *           → UDP datagrams and TCP streams (in-order, retransmissions dropped)
+ *           → SIP messages (Content-Length framing on TCP) and RTP packets
+ *
+ * RTP figures are estimates from one capture point: loss is counted from
+ * sequence gaps, jitter is the RFC 3550 interarrival jitter at the capture
+ * point. SIP over TLS / WSS and SRTP payloads cannot be read.
+ */
+
+import { searchCallLogs, analyzeSipTrace } from './callDebugTools'
+import { parseSipMessage, getSipHeader } from './sipTransactions'
+import { parseSdp, STATIC_PAYLOAD_TYPES } from './sdpAnalysis'
+import { estimateMos } from './rtcpAnalysis'
+import { base64ToBytes, bytesToUtf8 } from './binaryUtils'
+import { PCAP_MAGIC, PCAPNG_BLOCK, PCAPNG_BYTE_ORDER_MAGIC } from './pcapExport'
+import { firstField, parseTimeMs } from './recordFields'
+
+/** Link-layer header types understood by the reader. */
+export const LINK_TYPES = { NULL: 0, ETHERNET: 1, RAW: 101, LINUX_SLL: 113, IPV4: 228, IPV6: 229, LINUX_SLL2: 276 }
+
+/** libpcap magic number, nanosecond timestamps. */
+const PCAP_MAGIC_NS = 0xa1b23c4d
+
+/** pcapng Simple Packet Block (no timestamp). */
+const PCAPNG_SPB = 0x00000003
+
+/** Packets a stream needs to count as RTP when no SDP announced its address. */
+export const RTP_MIN_PACKETS = 10
+
+/** Call-IDs looked up with searchCallLogs per import. */
+export const MAX_LOG_LOOKUPS = 20
+
+/** Maximum capture size accepted (decoded bytes). */
+export const MAX_CAPTURE_BYTES = 20 * 1024 * 1024
+
+/** How far apart (ms) a log record and the captured INVITE may be for a dialled-number match. */
+export const LOG_MATCH_WINDOW_MS = 5 * 60 * 1000
+
+/** Call key for SIP messages without a Call-ID header. */
+const NO_CALL_ID = '(no Call-ID)'
+
+/** Start line of a SIP request or response. */
+const SIP_START_LINE = /^(?:[A-Za-z]+ \S+ SIP\/2\.0|SIP\/2\.0 \d{3}\b)/
+
+/** Largest SIP message taken off a TCP stream; a longer header block or Content-Length is skipped. */
+export const MAX_SIP_MESSAGE_BYTES = 64 * 1024
+
+// ============================================================================
+// CAPTURE FILES
+// ============================================================================
+
+/**
+ * Reads the packet records of a libpcap or pcapng file (either byte order).
+ *
+ * @param {Uint8Array} bytes - Capture file
+ * @returns {Object} { format, link_types, packets: [{ index, time_us, link_type, data }], notes }
+ * @throws {Error} If the file is neither pcap nor pcapng
+ */
+export function readCapture (bytes) {
+	if (!(bytes instanceof Uint8Array) || bytes.length < 24) {
+		throw new Error('Capture is too short to be a pcap or pcapng file')
+	}
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length)
+	const magic = view.getUint32(0, true)
+	if (magic === PCAPNG_BLOCK.SHB) return readPcapng(bytes, view)
+
+	const bigMagic = view.getUint32(0, false)
+	const little = magic === PCAP_MAGIC || magic === PCAP_MAGIC_NS
+	if (!little && bigMagic !== PCAP_MAGIC && bigMagic !== PCAP_MAGIC_NS) {
+		throw new Error(`Not a pcap or pcapng file (magic 0x${bigMagic.toString(16).padStart(8, '0')})`)
+	}
+	const nano = (little ? magic : bigMagic) === PCAP_MAGIC_NS
+	const linkType = view.getUint32(20, little) & 0xffff
+	const packets = []
+	const notes = []
+
+	let offset = 24
+	while (offset + 16 <= bytes.length) {
+		const seconds = view.getUint32(offset, little)
+		const fraction = view.getUint32(offset + 4, little)
+		const length = view.getUint32(offset + 8, little)
+		if (offset + 16 + length > bytes.length) {
+			notes.push(`Capture truncated: last record at byte ${offset} is incomplete`)
+			break
+		}
+		packets.push({
+			index: packets.length,
+			time_us: seconds * 1e6 + (nano ? Math.floor(fraction / 1000) : fraction),
+			link_type: linkType,
+			data: bytes.subarray(offset + 16, offset + 16 + length)
+		})
+		offset += 16 + length
+	}
+	return { format: 'pcap', link_types: [linkType], packets, notes }
+}
+
+/**
+ * Reads a pcapng file: sections, interfaces (link type, if_tsresol) and
+ * Enhanced / Simple Packet Blocks.
+ *
+ * @param {Uint8Array} bytes - Capture file
+ * @param {DataView} view - View over bytes
+ * @returns {Object} { format, link_types, packets, notes }
+ */
+function readPcapng (bytes, view) {
+	const packets = []
+	const notes = []
+	const linkTypes = new Set()
+	let little = true
+	let interfaces = []
+	let offset = 0
+
+	while (offset + 12 <= bytes.length) {
+		const type = view.getUint32(offset, true)
+		if (type === PCAPNG_BLOCK.SHB) {
+			const order = view.getUint32(offset + 8, true)
+			if (order !== PCAPNG_BYTE_ORDER_MAGIC && order !== 0x4d3c2b1a) {
+				notes.push(`pcapng section at byte ${offset} has an unknown byte-order magic`)
+				break
+			}
+			little = order === PCAPNG_BYTE_ORDER_MAGIC
+			interfaces = []
+		}
+		const length = view.getUint32(offset + 4, little)
+		if (length < 12 || length % 4 !== 0 || offset + length > bytes.length) {
+			notes.push(`Capture truncated: pcapng block at byte ${offset} is incomplete`)
+			break
+		}
+		const blockType = view.getUint32(offset, little)
+
+		if (blockType === PCAPNG_BLOCK.IDB) {
+			const linkType = view.getUint16(offset + 8, little)
+			let unitsPerSecond = 1e6
+			// Options: code, length, value padded to 32 bits
+			for (let o = offset + 16; o + 4 <= offset + length - 4;) {
+				const code = view.getUint16(o, little)
+				const size = view.getUint16(o + 2, little)
+				if (code === 0) break
+				if (code === 9 && size >= 1) {
+					const resolution = bytes[o + 4]
+					unitsPerSecond = resolution & 0x80 ? Math.pow(2, resolution & 0x7f) : Math.pow(10, resolution)
+				}
+				o += 4 + Math.ceil(size / 4) * 4
+			}
+			interfaces.push({ link_type: linkType, units_per_second: unitsPerSecond })
+			linkTypes.add(linkType)
+		} else if (blockType === PCAPNG_BLOCK.EPB) {
+			// 28 bytes of header and the trailing length around the packet data
+			const captured = length >= 32 ? view.getUint32(offset + 20, little) : null
+			if (captured === null || 28 + captured > length - 4) {
+				notes.push(`pcapng packet block at byte ${offset} is malformed (captured length beyond the block) — skipped`)
+				offset += length
+				continue
+			}
+			const iface = interfaces[view.getUint32(offset + 8, little)]
+			if (iface) {
+				const units = view.getUint32(offset + 12, little) * 0x100000000 + view.getUint32(offset + 16, little)
+				packets.push({
+					index: packets.length,
+					time_us: Math.floor(units / (iface.units_per_second / 1e6)),
+					link_type: iface.link_type,
+					data: bytes.subarray(offset + 28, offset + 28 + captured)
+				})
+			}
+		} else if (blockType === PCAPNG_SPB) {
+			const iface = interfaces[0]
+			const captured = Math.min(view.getUint32(offset + 8, little), length - 16)
+			if (iface) packets.push({ index: packets.length, time_us: null, link_type: iface.link_type, data: bytes.subarray(offset + 12, offset + 12 + captured) })
+		}
+		offset += length
+	}
+	if (packets.some(p => p.time_us === null)) notes.push('Simple Packet Blocks carry no timestamp; their messages are placed by capture order')
+	return { format: 'pcapng', link_types: [...linkTypes], packets, notes }
+}
+
+// ============================================================================
+// LINK, NETWORK AND TRANSPORT LAYERS
+// ============================================================================
+
+/**
+ * Strips the link-layer header.
+ *
+ * @param {number} linkType - LINK_TYPES value
+ * @param {Uint8Array} data - Frame
+ * @returns {Uint8Array|null} IP packet, or null if not IPv4/IPv6
+ */
+export function stripLinkLayer (linkType, data) {
+	const u16 = at => (data[at] << 8) | data[at + 1]
+	const byEtherType = (etherType, at) => etherType === 0x0800 || etherType === 0x86dd ? data.subarray(at) : null
+
+	if (linkType === LINK_TYPES.ETHERNET) {
+		let at = 12
+		// 802.1Q / 802.1ad tags
+		while (at + 4 <= data.length && (u16(at) === 0x8100 || u16(at) === 0x88a8)) at += 4
+		return at + 2 <= data.length ? byEtherType(u16(at), at + 2) : null
+	}
+	if (linkType === LINK_TYPES.LINUX_SLL) return data.length >= 16 ? byEtherType(u16(14), 16) : null
+	if (linkType === LINK_TYPES.LINUX_SLL2) return data.length >= 20 ? byEtherType(u16(0), 20) : null
+	if (linkType === LINK_TYPES.NULL) {
+		// Address family in host byte order: 2 = IPv4, 24/28/30 = IPv6
+		const family = data[0] || data[3]
+		return data.length >= 4 && [2, 24, 28, 30].includes(family) ? data.subarray(4) : null
+	}
+	if (linkType === LINK_TYPES.RAW || linkType === LINK_TYPES.IPV4 || linkType === LINK_TYPES.IPV6) return data
+	return null
+}
+
+/**
+ * Formats an IPv6 address (RFC 5952: lower case, longest zero run compressed).
+ *
+ * @param {Uint8Array} bytes - 16 bytes
+ * @returns {string} IPv6 address
+ */
+function formatIpv6 (bytes) {
+	const groups = []
+	for (let i = 0; i < 16; i += 2) groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16))
+	let best = { start: -1, length: 0 }
+	for (let i = 0; i < 8;) {
+		if (groups[i] !== '0') { i++; continue }
+		let j = i
+		while (j < 8 && groups[j] === '0') j++
+		if (j - i > best.length && j - i > 1) best = { start: i, length: j - i }
+		i = j
+	}
+	if (best.start === -1) return groups.join(':')
+	return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.length).join(':')}`
+}
+
+/**
+ * Parses an IPv4 or IPv6 header.
+ *
+ * @param {Uint8Array} data - IP packet
+ * @returns {Object|null} { version, source, destination, protocol, payload, fragment: { key, offset, more } | null }, or null if malformed
+ */
+export function parseIpPacket (data) {
+	if (data.length < 1) return null
+	const version = data[0] >> 4
+
+	if (version === 4 && data.length >= 20) {
+		const headerLength = (data[0] & 0x0f) * 4
+		const total = (data[2] << 8) | data[3]
+		// Offloaded captures can record a total length of 0
+		const end = total >= headerLength && total <= data.length ? total : data.length
+		if (headerLength < 20 || headerLength > end) return null
+		const source = Array.from(data.subarray(12, 16)).join('.')
+		const destination = Array.from(data.subarray(16, 20)).join('.')
+		const flags = (data[6] << 8) | data[7]
+		const fragmentOffset = (flags & 0x1fff) * 8
+		const more = (flags & 0x2000) !== 0
+		const id = (data[4] << 8) | data[5]
+		return {
+			version,
+			source,
+			destination,
+			protocol: data[9],
+			payload: data.subarray(headerLength, end),
+			fragment: more || fragmentOffset > 0 ? { key: `${source}>${destination}#${id}#${data[9]}`, offset: fragmentOffset, more } : null
+		}
+	}
+
+	if (version === 6 && data.length >= 40) {
+		const payloadLength = (data[4] << 8) | data[5]
+		const end = payloadLength > 0 && 40 + payloadLength <= data.length ? 40 + payloadLength : data.length
+		let next = data[6]
+		let at = 40
+		// Hop-by-hop, routing and destination options; fragments are not reassembled
+		while ((next === 0 || next === 43 || next === 60) && at + 8 <= end) {
+			const size = (data[at + 1] + 1) * 8
+			next = data[at]
+			at += size
+		}
+		if (next === 44 || at > end) return null
+		return {
+			version,
+			source: formatIpv6(data.subarray(8, 24)),
+			destination: formatIpv6(data.subarray(24, 40)),
+			protocol: next,
+			payload: data.subarray(at, end),
+			fragment: null
+		}
+	}
+	return null
+}
+
+/**
+ * Collects IPv4 fragments and returns the reassembled payload once every
+ * byte up to the last fragment has arrived.
+ *
+ * @param {Object} pending - Fragments in progress, keyed by fragment.key (mutated)
+ * @param {Object} ip - parseIpPacket result with a fragment
+ * @returns {Uint8Array|null} Reassembled payload, or null while incomplete
+ */
+function reassembleFragment (pending, ip) {
+	const entry = pending[ip.fragment.key] || (pending[ip.fragment.key] = { parts: [], total: null })
+	entry.parts.push({ offset: ip.fragment.offset, bytes: ip.payload })
+	if (!ip.fragment.more) entry.total = ip.fragment.offset + ip.payload.length
+	if (entry.total === null) return null
+
+	entry.parts.sort((a, b) => a.offset - b.offset)
+	let covered = 0
+	for (const part of entry.parts) {
+		if (part.offset > covered) return null
+		covered = Math.max(covered, part.offset + part.bytes.length)
+	}
+	if (covered < entry.total) return null
+
+	const payload = new Uint8Array(entry.total)
+	for (const part of entry.parts) payload.set(part.bytes.subarray(0, Math.max(0, entry.total - part.offset)), part.offset)
+	delete pending[ip.fragment.key]
+	return payload
+}
+
+/**
+ * Joins two byte arrays.
+ *
+ * @param {Uint8Array} a - First bytes
+ * @param {Uint8Array} b - Bytes appended
+ * @returns {Uint8Array} a followed by b
+ */
+function appendBytes (a, b) {
+	const out = new Uint8Array(a.length + b.length)
+	out.set(a, 0)
+	out.set(b, a.length)
+	return out
+}
+
+/**
+ * Finds the end of the SIP header block (CRLF CRLF, or LF LF).
+ *
+ * @param {Uint8Array} bytes - Stream bytes
+ * @returns {Object|null} { end, separator } - end is the index of the separator
+ */
+function findHeaderEnd (bytes) {
+	for (let i = 0; i + 1 < bytes.length; i++) {
+		if (bytes[i] === 0x0d && bytes[i + 1] === 0x0a && bytes[i + 2] === 0x0d && bytes[i + 3] === 0x0a) return { end: i, separator: 4 }
+		if (bytes[i] === 0x0a && bytes[i + 1] === 0x0a) return { end: i, separator: 2 }
+	}
+	return null
+}
+
+/**
+ * Whether a SIP start line begins at an offset. Start lines are ASCII, so
+ * only a short preview is read and nothing is UTF-8 decoded.
+ *
+ * @param {Uint8Array} bytes - Payload or stream bytes
+ * @param {number} [start] - Offset to test
+ * @returns {boolean} True for a request or status line
+ */
+function startsSipMessage (bytes, start = 0) {
+	if (!(bytes[start] >= 0x41 && bytes[start] <= 0x5a)) return false
+	return SIP_START_LINE.test(String.fromCharCode(...bytes.subarray(start, Math.min(bytes.length, start + 256))))
+}
+
+/**
+ * Takes the complete SIP messages off the front of a TCP stream buffer
+ * (Content-Length framing, RFC 3261 §18.3). Keep-alive CRLFs are skipped;
+ * a buffer that does not start with a SIP start line is resynchronised on
+ * the next one. A message over MAX_SIP_MESSAGE_BYTES is skipped rather than
+ * buffered, so an oversized Content-Length cannot stall the stream.
+ *
+ * @param {Uint8Array} buffer - Stream bytes not yet consumed
+ * @returns {Object} { messages: Array<string>, rest: Uint8Array }
+ */
+export function splitSipStream (buffer) {
+	const messages = []
+	let rest = buffer
+	for (;;) {
+		let start = 0
+		while (start < rest.length && (rest[start] === 0x0d || rest[start] === 0x0a)) start++
+		rest = rest.subarray(start)
+		if (rest.length === 0) break
+
+		if (!startsSipMessage(rest)) {
+			// Joined mid-message: skip to the next line that starts a SIP message, or drop what cannot be placed
+			let next = -1
+			for (let i = rest.indexOf(0x0a); i !== -1 && next === -1; i = rest.indexOf(0x0a, i + 1)) {
+				if (startsSipMessage(rest, i + 1)) next = i + 1
+			}
+			if (next === -1) return { messages, rest: new Uint8Array(0) }
+			rest = rest.subarray(next)
+			continue
+		}
+
+		const head = findHeaderEnd(rest.subarray(0, MAX_SIP_MESSAGE_BYTES))
+		if (!head) {
+			if (rest.length > MAX_SIP_MESSAGE_BYTES) return { messages, rest: new Uint8Array(0) }
+			break
+		}
+		const headers = bytesToUtf8(rest.subarray(0, head.end))
+		const lengthMatch = /^(?:content-length|l)[ \t]*:[ \t]*(\d+)/im.exec(headers)
+		const bodyLength = lengthMatch ? Number(lengthMatch[1]) : 0
+		const total = head.end + head.separator + bodyLength
+		if (total > MAX_SIP_MESSAGE_BYTES) {
+			// Skip the headers; the body is passed over by resynchronising on the next start line
+			rest = rest.subarray(head.end + head.separator)
+			continue
+		}
+		if (rest.length < total) break
+		messages.push(bytesToUtf8(rest.subarray(0, total)))
+		rest = rest.subarray(total)
+	}
+	return { messages, rest }
+}
+
+/**
+ * Parses an RTP header when the datagram looks like RTP (version 2, not an
+ * RTCP packet type).
+ *
+ * @param {Uint8Array} data - UDP payload
+ * @returns {Object|null} { ssrc, seq, timestamp, payload_type, marker, payload_length }
+ */
+export function parseRtpHeader (data) {
+	if (data.length < 12 || data[0] >> 6 !== 2) return null
+	// Second byte 192-223 is an RTCP packet type (SR, RR, SDES, BYE, APP, RTPFB, PSFB, XR…), RFC 5761 §4
+	if (data[1] >= 192 && data[1] <= 223) return null
+	const payloadType = data[1] & 0x7f
+	let headerLength = 12 + (data[0] & 0x0f) * 4
+	if (data[0] & 0x10) {
+		if (data.length < headerLength + 4) return null
+		headerLength += 4 + ((data[headerLength + 2] << 8) | data[headerLength + 3]) * 4
+	}
+	if (headerLength > data.length) return null
+	return {
+		ssrc: '0x' + ((data[8] << 24 | data[9] << 16 | data[10] << 8 | data[11]) >>> 0).toString(16).padStart(8, '0'),
+		seq: (data[2] << 8) | data[3],
+		timestamp: (data[4] << 24 | data[5] << 16 | data[6] << 8 | data[7]) >>> 0,
+		payload_type: payloadType,
+		marker: (data[1] & 0x80) !== 0,
+		payload_length: data.length - headerLength
+	}
+}
+
+/**
+ * Walks every packet of a capture and extracts SIP messages and RTP
+ * candidates.
+ *
+ * @param {Object} capture - readCapture result
+ * @returns {Object} { sip: [{ time_us, protocol, source_ip, source_port, destination_ip, destination_port, msg }], rtp: [{ time_us, flow, source, destination, ...parseRtpHeader }], stats }
+ */
+export function extractCapture (capture) {
+	const sip = []
+	const rtp = []
+	const stats = { packets: capture.packets.length, ip: 0, udp: 0, tcp: 0, skipped_link: 0, fragments_pending: 0, tcp_gaps: 0, tcp_retransmissions: 0, tcp_non_sip: 0 }
+	const fragments = {}
+	const streams = {}
+
+	for (const packet of capture.packets) {
+		const ipData = stripLinkLayer(packet.link_type, packet.data)
+		const ip = ipData ? parseIpPacket(ipData) : null
+		if (!ip) {
+			stats.skipped_link++
+			continue
+		}
+		stats.ip++
+		let payload = ip.payload
+		if (ip.fragment) {
+			payload = reassembleFragment(fragments, ip)
+			if (!payload) continue
+		}
+
+		if (ip.protocol === 17 && payload.length >= 8) {
+			stats.udp++
+			const sourcePort = (payload[0] << 8) | payload[1]
+			const destinationPort = (payload[2] << 8) | payload[3]
+			const udpLength = (payload[4] << 8) | payload[5]
+			const data = payload.subarray(8, udpLength >= 8 && udpLength <= payload.length ? udpLength : payload.length)
+			const endpoints = { source_ip: ip.source, source_port: sourcePort, destination_ip: ip.destination, destination_port: destinationPort }
+
+			if (startsSipMessage(data)) {
+				sip.push({ time_us: packet.time_us, protocol: 'UDP', ...endpoints, msg: bytesToUtf8(data) })
+				continue
+			}
+			const header = parseRtpHeader(data)
+			if (header) rtp.push({ time_us: packet.time_us, flow: `${ip.source}:${sourcePort} > ${ip.destination}:${destinationPort}`, ...endpoints, ...header })
+		} else if (ip.protocol === 6 && payload.length >= 20) {
+			stats.tcp++
+			const sourcePort = (payload[0] << 8) | payload[1]
+			const destinationPort = (payload[2] << 8) | payload[3]
+			const seq = (payload[4] << 24 | payload[5] << 16 | payload[6] << 8 | payload[7]) >>> 0
+			const flags = payload[13]
+			const segment = payload.subarray(Math.min((payload[12] >> 4) * 4, payload.length))
+			let data = segment
+			const key = `${ip.source}:${sourcePort}>${ip.destination}:${destinationPort}`
+			const stream = streams[key] || (streams[key] = { next: null, buffer: new Uint8Array(0), sip: false })
+
+			if (flags & 0x02) {
+				stream.next = (seq + 1) >>> 0
+				stream.buffer = new Uint8Array(0)
+				stream.sip = false
+				continue
+			}
+			if (data.length === 0) continue
+			if (stream.next !== null) {
+				const ahead = (seq - stream.next) | 0
+				if (ahead < 0) {
+					// Retransmission: keep only bytes not seen yet
+					if (-ahead >= data.length) {
+						stats.tcp_retransmissions++
+						continue
+					}
+					data = data.subarray(-ahead)
+				} else if (ahead > 0) {
+					// Lost segment: the partial message cannot be completed
+					stats.tcp_gaps++
+					stream.buffer = new Uint8Array(0)
+				}
+			}
+			stream.next = (seq + segment.length) >>> 0
+			if (!stream.sip) {
+				// Decode a stream only from a segment that opens a SIP message: TLS and other TCP traffic is passed over
+				let start = 0
+				while (start < data.length && (data[start] === 0x0d || data[start] === 0x0a)) start++
+				if (start === data.length) continue
+				if (!startsSipMessage(data, start)) {
+					stats.tcp_non_sip++
+					continue
+				}
+				stream.sip = true
+			}
+			const { messages, rest } = splitSipStream(appendBytes(stream.buffer, data))
+			stream.buffer = rest
+			for (const msg of messages) {
+				sip.push({ time_us: packet.time_us, protocol: 'TCP', source_ip: ip.source, source_port: sourcePort, destination_ip: ip.destination, destination_port: destinationPort, msg })
+			}
+		}
+	}
+	stats.fragments_pending = Object.keys(fragments).length
+	return { sip, rtp, stats }
+}
+
+// ============================================================================
+// SIP → log/trace ROWS
+// ============================================================================
+
+/**
+ * Reads the user part of a SIP URI in a header or Request-URI. A malformed
+ * percent escape is kept as written rather than failing the whole capture.
+ *
+ * @param {string|null} value - Header value or URI
+ * @returns {string|null} User part
+ */
+function uriUser (value) {
+	const match = /(?:sips?|tel):([^@;>\s]+)/i.exec(String(value || ''))
+	if (!match) return null
+	try {
+		return decodeURIComponent(match[1])
+	} catch (error) {
+		return match[1]
+	}
+}
+
+/**
+ * Converts extracted SIP messages to log/trace-shaped rows, in capture order.
+ *
+ * @param {Array<Object>} messages - extractCapture sip entries
+ * @returns {Array<Object>} Rows { id, date, micro_ts, delta, callid, method, reply_reason, ruri, ruri_user, from_user, to_user, user_agent, source_ip, source_port, destination_ip, destination_port, protocol, msg }
+ */
+export function toTraceRows (messages) {
+	let previous = null
+	return messages.map((message, index) => {
+		const parsed = parseSipMessage(message.msg)
+		const header = name => parsed ? getSipHeader(parsed, name) : null
+		const micro = message.time_us
+		const row = {
+			id: index + 1,
+			date: micro !== null ? new Date(Math.floor(micro / 1000)).toISOString() : null,
+			micro_ts: micro,
+			delta: micro !== null && previous !== null ? micro - previous : 0,
+			callid: header('call-id'),
+			method: parsed ? (parsed.is_request ? parsed.method : String(parsed.status_code)) : null,
+			reply_reason: parsed && !parsed.is_request ? parsed.reason || '' : '',
+			ruri: parsed && parsed.is_request ? parsed.request_uri : null,
+			ruri_user: parsed && parsed.is_request ? uriUser(parsed.request_uri) : null,
+			from_user: uriUser(header('from')),
+			to_user: uriUser(header('to')),
+			user_agent: header('user-agent') || header('server'),
+			source_ip: message.source_ip,
+			source_port: message.source_port,
+			destination_ip: message.destination_ip,
+			destination_port: message.destination_port,
+			protocol: message.protocol,
+			msg: message.msg
+		}
+		if (micro !== null) previous = micro
+		return row
+	})
+}
+
+// ============================================================================
+// RTP STREAMS
+// ============================================================================
+
+/**
+ * Media addresses announced in SDP, with the payload types offered on them.
+ *
+ * @param {Array<Object>} rows - Trace rows of one call
+ * @returns {Object} { [ip:port]: { [payload_type]: { name, clock_rate } } }
+ */
+function sdpEndpoints (rows) {
+	const endpoints = {}
+	for (const row of rows) {
+		const parsed = parseSipMessage(row.msg)
+		const sdp = parsed ? parseSdp(parsed.body) : null
+		for (const media of sdp?.media || []) {
+			if (!media.connection_address || !media.port) continue
+			const codecs = endpoints[`${media.connection_address}:${media.port}`] || (endpoints[`${media.connection_address}:${media.port}`] = {})
+			for (const codec of media.codecs) codecs[codec.payload_type] = { name: codec.name, clock_rate: codec.clock_rate }
+		}
+	}
+	return endpoints
+}
+
+/**
+ * Estimates loss and jitter for one RTP stream (one flow and SSRC).
+ *
+ * Loss counts sequence numbers never seen (extended over wrap-around);
+ * jitter is the RFC 3550 §6.4.1 interarrival jitter on the stream's main
+ * payload type.
+ *
+ * @param {Array<Object>} packets - RTP packets of the stream, in arrival order
+ * @param {Object} [codecs] - { [payload_type]: { name, clock_rate } } from SDP
+ * @returns {Object} { packets, payload_type, codec, clock_rate, clock_rate_assumed, expected, lost, loss_pct, duplicates, out_of_order, jitter_ms, max_jitter_ms, max_gap_ms, duration_ms, mos_estimate }
+ */
+export function analyzeRtpStream (packets, codecs = {}) {
+	const counts = {}
+	for (const p of packets) counts[p.payload_type] = (counts[p.payload_type] || 0) + 1
+	const payloadType = Number(Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0])
+	const known = codecs[payloadType] || STATIC_PAYLOAD_TYPES[payloadType] || null
+	const clockRate = known && known.clock_rate ? known.clock_rate : 8000
+
+	// Sequence numbers extended over the 16-bit wrap
+	const seen = new Set()
+	let highest = null
+	let lowest = null
+	let duplicates = 0
+	let outOfOrder = 0
+	for (const p of packets) {
+		const extended = highest === null ? p.seq : highest + ((((p.seq - (highest & 0xffff)) + 0x8000) & 0xffff) - 0x8000)
+		if (seen.has(extended)) {
+			duplicates++
+			continue
+		}
+		seen.add(extended)
+		if (highest !== null && extended < highest) outOfOrder++
+		highest = highest === null ? extended : Math.max(highest, extended)
+		lowest = lowest === null ? extended : Math.min(lowest, extended)
+	}
+	const expected = highest - lowest + 1
+	const lost = Math.max(0, expected - seen.size)
+
+	// Interarrival jitter in timestamp units
+	let jitter = 0
+	let maxJitter = 0
+	let previous = null
+	let maxGap = 0
+	let lastArrival = null
+	for (const p of packets) {
+		if (p.time_us === null) continue
+		if (lastArrival !== null) maxGap = Math.max(maxGap, p.time_us - lastArrival)
+		lastArrival = p.time_us
+		if (p.payload_type !== payloadType) continue
+		if (previous) {
+			const arrival = (p.time_us - previous.time_us) * clockRate / 1e6
+			const sent = (p.timestamp - previous.timestamp) | 0
+			jitter += (Math.abs(arrival - sent) - jitter) / 16
+			maxJitter = Math.max(maxJitter, jitter)
+		}
+		previous = p
+	}
+	const toMs = units => Math.round(units / clockRate * 1000 * 100) / 100
+	const timed = packets.filter(p => p.time_us !== null)
+	const lossPct = expected > 0 ? Math.round(lost / expected * 10000) / 100 : 0
+	const codec = known ? known.name : `PT${payloadType}`
+
+	return {
+		packets: packets.length,
+		payload_type: payloadType,
+		codec,
+		clock_rate: clockRate,
+		clock_rate_assumed: !(known && known.clock_rate),
+		expected,
+		lost,
+		loss_pct: lossPct,
+		duplicates,
+		out_of_order: outOfOrder,
+		jitter_ms: toMs(jitter),
+		max_jitter_ms: toMs(maxJitter),
+		max_gap_ms: Math.round(maxGap / 1000),
+		duration_ms: timed.length > 1 ? Math.round((timed[timed.length - 1].time_us - timed[0].time_us) / 1000) : 0,
+		mos_estimate: estimateMos({ rtt_ms: null, jitter_ms: toMs(jitter), packet_loss_pct: lossPct, codec })?.mos ?? null
+	}
+}
+
+/**
+ * Groups RTP packets into streams and analyses them. A stream counts when
+ * SDP announced one of its addresses or it has at least RTP_MIN_PACKETS
+ * packets.
+ *
+ * @param {Array<Object>} rtp - extractCapture rtp entries
+ * @param {Object} endpoints - { [callid]: sdpEndpoints result }
+ * @returns {Array<Object>} Streams { id, source, destination, ssrc, callid, sdp_matched, first_packet, ...analyzeRtpStream }
+ */
+export function analyzeRtpStreams (rtp, endpoints) {
+	const groups = {}
+	for (const packet of rtp) {
+		const key = `${packet.flow}#${packet.ssrc}`
+		;(groups[key] || (groups[key] = [])).push(packet)
+	}
+
+	const streams = []
+	for (const packets of Object.values(groups)) {
+		const first = packets[0]
+		const source = `${first.source_ip}:${first.source_port}`
+		const destination = `${first.destination_ip}:${first.destination_port}`
+		const callid = Object.keys(endpoints).find(id => endpoints[id][destination] || endpoints[id][source]) || null
+		if (!callid && packets.length < RTP_MIN_PACKETS) continue
+		const codecs = callid ? { ...endpoints[callid][source], ...endpoints[callid][destination] } : {}
+		streams.push({
+			id: `s${streams.length + 1}`,
+			source,
+			destination,
+			ssrc: first.ssrc,
+			callid,
+			sdp_matched: !!callid,
+			first_packet: first.time_us !== null ? new Date(Math.floor(first.time_us / 1000)).toISOString() : null,
+			...analyzeRtpStream(packets, codecs)
+		})
+	}
+	return streams
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * Analyses a capture: SIP calls (log/trace rows + analyzeSipTrace per
+ * Call-ID) and RTP streams. Pure — no API calls.
+ *
+ * @param {Uint8Array} bytes - pcap or pcapng file
+ * @returns {Object} { format, link_types, packet_count, sip_message_count, calls: [{ callid, message_count, start_time, from_user, to_user, final_response, messages, analysis, rtp_streams }], rtp_streams, stats, notes }
+ * @throws {Error} If the file cannot be read
+ */
+export function analyzeCapture (bytes) {
+	const capture = readCapture(bytes)
+	const { sip, rtp, stats } = extractCapture(capture)
+
+	// Untimed (Simple Packet Block) messages keep capture order
+	const rows = toTraceRows(sip.map((m, i) => ({ ...m, order: i })).sort((a, b) => (a.time_us ?? Infinity) - (b.time_us ?? Infinity) || a.order - b.order))
+	const byCall = {}
+	for (const row of rows) {
+		const id = row.callid || NO_CALL_ID
+		;(byCall[id] || (byCall[id] = [])).push(row)
+	}
+
+	const endpoints = {}
+	for (const [callid, callRows] of Object.entries(byCall)) endpoints[callid] = sdpEndpoints(callRows)
+	const streams = analyzeRtpStreams(rtp, endpoints)
+
+	const calls = Object.entries(byCall).map(([callid, callRows]) => {
+		const analysis = analyzeSipTrace(callRows)
+		return {
+			callid,
+			message_count: callRows.length,
+			start_time: analysis.start_time,
+			from_user: analysis.from_user,
+			to_user: analysis.to_user,
+			final_response: analysis.final_response,
+			messages: callRows,
+			analysis,
+			rtp_streams: streams.filter(s => s.callid === callid).map(s => s.id)
+		}
+	})
+
+	const notes = [...capture.notes]
+	if (stats.skipped_link > 0) notes.push(`${stats.skipped_link} packet(s) were not IPv4/IPv6 on a supported link type (${capture.link_types.join(', ')})`)
+	if (stats.fragments_pending > 0) notes.push(`${stats.fragments_pending} fragmented datagram(s) could not be reassembled`)
+	if (stats.tcp_non_sip > 0) notes.push(`${stats.tcp_non_sip} TCP segment(s) outside SIP streams (TLS or other traffic) were skipped`)
+	if (stats.tcp_gaps > 0) notes.push(`${stats.tcp_gaps} gap(s) in TCP streams — messages spanning them were dropped`)
+	if (sip.length === 0) notes.push('No SIP found — SIP over TLS/WSS is encrypted and cannot be read from a capture')
+
+	return {
+		format: capture.format,
+		link_types: capture.link_types,
+		packet_count: capture.packets.length,
+		sip_message_count: rows.length,
+		calls,
+		rtp_streams: streams,
+		stats,
+		notes
+	}
+}
+
+/**
+ * Looks a captured call up with searchCallLogs: by Call-ID first, then by
+ * the dialled number within LOG_MATCH_WINDOW_MS of the captured start (the
+ * PBX's Call-ID is not ours when it sits behind another hop).
+ *
+ * @param {Object} call - analyzeCapture call
+ * @returns {Promise<Object>} { matched, match_type ('callid' | 'number_time' | null), matches: [{ callid, callidb, record }], error }
+ */
+async function matchCallLogs (call) {
+	try {
+		const byId = await searchCallLogs(call.callid)
+		const exact = (Array.isArray(byId) ? byId : []).filter(r => r.callid === call.callid || r.callidb === call.callid)
+		if (exact.length > 0) {
+			return { matched: true, match_type: 'callid', matches: exact.map(r => ({ callid: r.callid, callidb: r.callidb ?? null, record: r })) }
+		}
+
+		const startMs = parseTimeMs(call.start_time)
+		const number = call.to_user
+		if (!number || startMs === null) return { matched: false, match_type: null, matches: [] }
+		const byNumber = await searchCallLogs(number)
+		const near = (Array.isArray(byNumber) ? byNumber : []).filter(r => {
+			const time = parseTimeMs(firstField(r, ['dt', 'date', 'start_time', 'created', 'time']))
+			return time !== null && Math.abs(time - startMs) <= LOG_MATCH_WINDOW_MS
+		})
+		return { matched: near.length > 0, match_type: near.length > 0 ? 'number_time' : null, matches: near.map(r => ({ callid: r.callid, callidb: r.callidb ?? null, record: r })) }
+	} catch (error) {
+		return { matched: false, match_type: null, matches: [], error: error.message }
+	}
+}
+
+/**
+ * One-line summary of a captured call.
+ *
+ * @param {Object} call - analyzeCapture call
+ * @param {Array<Object>} streams - All RTP streams
+ * @returns {string} Summary
+ */
+function summarizeCapturedCall (call, streams) {
+	const final = call.final_response ? `${call.final_response.code} ${call.final_response.reason}`.trim() : 'no final response'
+	const own = streams.filter(s => s.callid === call.callid)
+	const worst = own.reduce((w, s) => (w === null || s.loss_pct > w.loss_pct ? s : w), null)
+	const media = own.length > 0 ? `, ${own.length} RTP stream(s), worst loss ${worst.loss_pct}% / jitter ${Math.max(...own.map(s => s.jitter_ms))} ms` : ', no RTP captured'
+	return `${call.callid}: ${call.from_user || '?'} -> ${call.to_user || '?'}, ${call.message_count} SIP message(s), ${final}${media}`
+}
+
+/**
+ * Handler for the import_pcap MCP tool
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.pcap - Base64 pcap or pcapng file (required)
+ * @param {boolean} [args.lookup_logs] - Match the Call-IDs with searchCallLogs (default true)
+ * @param {boolean} [args.include_messages] - Return the log/trace-shaped rows (default true)
+ * @returns {Promise<Object>} { success, format, packet_count, sip_message_count, call_count, calls, rtp_streams, stats, notes, summary }
+ */
+export async function importPcapHandler (args) {
+	const { pcap } = args
+	const lookupLogs = args.lookup_logs !== false
+	const includeMessages = args.include_messages !== false
+
+	try {
+		if (!pcap || typeof pcap !== 'string') {
+			throw new Error('Parameter "pcap" is required and must be a base64-encoded pcap or pcapng file')
+		}
+		const bytes = base64ToBytes(pcap.replace(/^data:[^,]*,/, ''))
+		if (bytes.length > MAX_CAPTURE_BYTES) {
+			throw new Error(`Parameter "pcap": capture is ${bytes.length} bytes, the limit is ${MAX_CAPTURE_BYTES} — filter it to the call (e.g. sngrep or "tshark -Y sip || rtp") first`)
+		}
+
+		const result = analyzeCapture(bytes)
+		if (result.calls.length === 0 && result.rtp_streams.length === 0) {
+			return {
+				success: false,
+				format: result.format,
+				packet_count: result.packet_count,
+				message: 'No SIP messages or RTP streams found in the capture',
+				notes: result.notes,
+				suggestions: [
+					'Capture on the interface that carries SIP (UDP/TCP 5060 or the PBX\'s SIP port)',
+					'SIP over TLS or WSS is encrypted — capture unencrypted SIP or export decrypted traffic'
+				]
+			}
+		}
+
+		const calls = []
+		for (const [index, call] of result.calls.entries()) {
+			const logs = lookupLogs && index < MAX_LOG_LOOKUPS && call.callid !== NO_CALL_ID ? await matchCallLogs(call) : null
+			calls.push({
+				callid: call.callid,
+				message_count: call.message_count,
+				start_time: call.start_time,
+				from_user: call.from_user,
+				to_user: call.to_user,
+				final_response: call.final_response,
+				call_connected: call.analysis.call_connected,
+				rtp_streams: call.rtp_streams,
+				analysis: call.analysis,
+				...(includeMessages ? { messages: call.messages } : {}),
+				logs,
+				next_tool: logs && logs.matches.length > 0
+					? { tool: 'getSipTrace', args: { callid: logs.matches[0].callid, ...(logs.matches[0].callidb ? { callidb: logs.matches[0].callidb } : {}) } }
+					: null,
+				summary: summarizeCapturedCall(call, result.rtp_streams)
+			})
+		}
+		const notes = [...result.notes]
+		if (lookupLogs && result.calls.length > MAX_LOG_LOOKUPS) notes.push(`Only the first ${MAX_LOG_LOOKUPS} Call-IDs were looked up in the logs`)
+
+		return {
+			success: true,
+			format: result.format,
+			link_types: result.link_types,
+			packet_count: result.packet_count,
+			sip_message_count: result.sip_message_count,
+			call_count: calls.length,
+			calls,
+			rtp_streams: result.rtp_streams,
+			stats: result.stats,
+			notes,
+			summary: calls.map(c => c.summary).join('\n')
+		}
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
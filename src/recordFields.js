@@ -0,0 +1,73 @@
+/**
+ * Record Field Helpers
+ *
+ * The log endpoints (log/trace, log/rtcp, log/class5, log/ai-agent,
+ * transcribe, cdr, switch/ip ...) name the same value differently from one
+ * row shape to the next, so records are read tolerantly: the first field
+ * present from a list of candidates, an IP pulled out of whatever address
+ * form was recorded, and times in any of the formats the endpoints use.
+ */
+
+/** Time fields of a log row, in preference order. */
+const TIME_FIELDS = ['date', 'dt', 'time', 'timestamp', 'created']
+
+/**
+ * Reads the first field present on an object.
+ *
+ * @param {Object} obj - Source object
+ * @param {Array<string>} names - Candidate field names, in preference order
+ * @returns {*} Field value, or null
+ */
+export function firstField (obj, names) {
+	for (const name of names) {
+		if (obj && obj[name] !== undefined && obj[name] !== null && obj[name] !== '') return obj[name]
+	}
+	return null
+}
+
+/**
+ * Pulls the IPv4 address out of an IP, host:port or SIP URI value.
+ *
+ * @param {*} value - Address-like value
+ * @returns {string|null} IPv4 address
+ */
+export function extractIp (value) {
+	const match = String(value || '').match(/\b(\d{1,3}(?:\.\d{1,3}){3})\b/)
+	return match ? match[1] : null
+}
+
+/**
+ * Parses a time value to epoch milliseconds: ISO strings, "YYYY-MM-DD
+ * HH:MM:SS" (UTC, as the log endpoints record it), epoch seconds,
+ * milliseconds or microseconds (micro_ts).
+ *
+ * @param {*} value - Time value
+ * @returns {number|null} Epoch ms, or null if unparseable
+ */
+export function parseTimeMs (value) {
+	if (value === undefined || value === null || value === '') return null
+	const number = typeof value === 'number' ? value : (/^\d+(\.\d+)?$/.test(String(value)) ? Number(value) : NaN)
+	if (!isNaN(number)) {
+		if (number > 1e14) return number / 1000
+		if (number > 1e11) return number
+		return number * 1000
+	}
+	const text = String(value)
+	const parsed = new Date(text.includes('T') || /Z$|[+-]\d\d:?\d\d$/.test(text) ? text : text.replace(' ', 'T') + 'Z').getTime()
+	return isNaN(parsed) ? null : parsed
+}
+
+/**
+ * Time of a log row in epoch milliseconds, from the first time field that parses.
+ *
+ * @param {Object} row - Log row
+ * @param {Array<string>} [names] - Time fields, in preference order (default date, dt, time, timestamp, created)
+ * @returns {number|null} Epoch ms, or null if the row has no time
+ */
+export function recordTimeMs (row, names = TIME_FIELDS) {
+	for (const name of names) {
+		const parsed = parseTimeMs(row[name])
+		if (parsed !== null) return parsed
+	}
+	return null
+}
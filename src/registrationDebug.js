@@ -0,0 +1,660 @@
+/**
+ * Registration Debugging
+ *
+ * Answers "why won't my phone register / stay registered?" from two sources:
+ *
+ *   Register logs   — GET log/register?s={search}, one row per REGISTER the
+ *                     switch received, searchable by SIP username or IP
+ *   REGISTER trace  — GET log/trace?callid={callid}, the REGISTER dialog of a
+ *                     device (refreshes reuse the Call-ID)
+ *
+ * The trace analysis covers the four things that break registrations:
+ *
+ *   auth       — digest challenges, credentials rejected (wrong password),
+ *                challenges never answered, 403 / no response
+ *   expiry     — requested vs granted Expires, refresh interval vs the
+ *                granted expiry (a late refresh lets the binding lapse)
+ *   bindings   — Contact addresses, private Contacts, the NAT mapping
+ *                (source IP:port) changing between refreshes
+ *   keep-alive — OPTIONS / NOTIFY pings on the REGISTER Call-ID that keep a
+ *                UDP NAT pinhole open between refreshes
+ *
+ * Owners are cross-referenced against switch/user and switch/ip through
+ * searchCustomer.js, so an unknown SIP user is reported as such.
+ */
+
+import { getApi, getSipTrace, validateCallId } from './callDebugTools'
+import { buildSipTransactions, parseSipMessage, getSipHeader, parseVia } from './sipTransactions'
+import { isPrivateAddress } from './sdpAnalysis'
+import { splitHostPort } from './natAnalysis'
+import { searchBySipUser, searchByIp } from './searchCustomer'
+import { firstField } from './recordFields'
+
+/** Register log search endpoint. */
+const REGISTER_LOG_ENDPOINT = 'log/register'
+
+/** Typical UDP NAT mapping lifetime, in seconds — pinholes idle longer than this close. */
+const NAT_PINHOLE_S = 60
+
+/** Methods a device may send on its REGISTER Call-ID to keep the pinhole open. */
+const KEEP_ALIVE_METHODS = ['OPTIONS', 'NOTIFY']
+
+const REGEX_IPV4 = /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/
+
+/**
+ * Parses an integer field, returning null for anything else.
+ *
+ * @param {*} value - Raw value
+ * @returns {number|null} Integer value
+ */
+function toInt (value) {
+	const n = parseInt(value, 10)
+	return isNaN(n) ? null : n
+}
+
+/**
+ * Reads a quoted or bare parameter from a digest header.
+ *
+ * @param {string|null} value - Authorization / WWW-Authenticate value
+ * @param {string} name - Parameter name
+ * @returns {string|null} Parameter value
+ */
+function digestParam (value, name) {
+	if (!value) return null
+	const match = String(value).match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|([^,\\s]+))`, 'i'))
+	return match ? (match[1] !== undefined ? match[1] : match[2]) : null
+}
+
+/**
+ * Lists the Contact bindings of a REGISTER or its response, with their
+ * expires= parameter when present.
+ *
+ * @param {Object|null} parsed - Result of parseSipMessage
+ * @returns {Array<{ uri: string, host: (string|null), port: (number|null), expires: (number|null), wildcard: boolean }>} Bindings
+ */
+function parseContacts (parsed) {
+	const values = parsed && parsed.headers && parsed.headers.contact ? parsed.headers.contact : []
+	const contacts = []
+	for (const value of values) {
+		for (const part of String(value).split(/,(?=\s*(?:<|"|sips?:|\*))/)) {
+			const text = part.trim()
+			if (!text) continue
+			if (text === '*') {
+				contacts.push({ uri: '*', host: null, port: null, expires: null, wildcard: true })
+				continue
+			}
+			const uriMatch = text.match(/<([^>]+)>/)
+			const uri = uriMatch ? uriMatch[1] : text.split(';')[0]
+			const params = uriMatch ? text.slice(text.indexOf('>') + 1) : text.slice(uri.length)
+			const expires = params.match(/;\s*expires\s*=\s*(\d+)/i)
+			const { host, port } = splitHostPort(uri)
+			contacts.push({ uri, host, port, expires: expires ? parseInt(expires[1], 10) : null, wildcard: false })
+		}
+	}
+	return contacts
+}
+
+// ============================================================================
+// REGISTER LOG SEARCH
+// ============================================================================
+
+/**
+ * Searches the register logs by SIP username or IP address.
+ * GET log/register?s={search}
+ *
+ * @param {string} search - SIP username or IPv4 address
+ * @returns {Promise<Array<Object>>} Register log rows
+ * @throws {Error} If search is empty
+ */
+export function searchRegistrationLogs (search) {
+	if (!search || typeof search !== 'string' || search.trim() === '') {
+		throw new Error('Parameter "search" is required and must be a non-empty SIP username or IP address')
+	}
+	const api = getApi()
+	return api.get(`${REGISTER_LOG_ENDPOINT}?s=${encodeURIComponent(search.trim())}`)
+}
+
+/**
+ * Normalises a register log row. Fields are read tolerantly since the log
+ * carries whatever the registrar recorded.
+ *
+ * @param {Object} row - Register log row
+ * @returns {Object} { callid, date, username, ip, port, contact, user_agent, expires, code, reason, registered }
+ */
+export function normalizeRegistrationRow (row) {
+	const code = toInt(firstField(row, ['code', 'sip_code', 'response_code', 'status_code', 'status']))
+	const expires = toInt(firstField(row, ['expires', 'expiry', 'expire']))
+	return {
+		callid: firstField(row, ['callid', 'call_id']),
+		date: firstField(row, ['date', 'dt', 'time', 'created']),
+		username: firstField(row, ['username', 'user', 'sip_user', 'from_user', 'to_user']),
+		ip: firstField(row, ['source_ip', 'ip', 'received', 'src_ip']),
+		port: toInt(firstField(row, ['source_port', 'port', 'src_port'])),
+		contact: firstField(row, ['contact', 'contact_uri']),
+		user_agent: firstField(row, ['user_agent', 'ua', 'useragent']),
+		expires,
+		code,
+		reason: firstField(row, ['reason', 'sip_reason', 'reply_reason', 'message']),
+		registered: code !== null ? code >= 200 && code < 300 && expires !== 0 : null
+	}
+}
+
+/**
+ * Summarises register log rows per username.
+ *
+ * @param {Array<Object>} rows - Normalised register log rows
+ * @returns {Array<Object>} One entry per username: { username, attempts, registered, failed, codes, ips, user_agents, last }
+ */
+export function summarizeRegistrations (rows) {
+	const byUser = {}
+	for (const row of rows) {
+		const key = row.username || '(unknown)'
+		const entry = byUser[key] || (byUser[key] = { username: row.username, attempts: 0, registered: 0, failed: 0, codes: {}, ips: [], user_agents: [], last: null })
+		entry.attempts++
+		if (row.registered === true) entry.registered++
+		if (row.code !== null && row.code >= 300 && row.code !== 401 && row.code !== 407) entry.failed++
+		if (row.code !== null) entry.codes[row.code] = (entry.codes[row.code] || 0) + 1
+		if (row.ip && !entry.ips.includes(row.ip)) entry.ips.push(row.ip)
+		if (row.user_agent && !entry.user_agents.includes(row.user_agent)) entry.user_agents.push(row.user_agent)
+		if (!entry.last || String(row.date || '') > String(entry.last.date || '')) entry.last = row
+	}
+	return Object.values(byUser)
+}
+
+// ============================================================================
+// REGISTER TRACE ANALYSIS
+// ============================================================================
+
+/**
+ * Describes one REGISTER transaction.
+ *
+ * @param {Object} tx - REGISTER transaction from buildSipTransactions
+ * @param {Array<Object>} messages - log/trace rows
+ * @returns {Object} Registration attempt
+ */
+function describeRegister (tx, messages) {
+	const row = messages[tx.request.index]
+	const parsed = parseSipMessage(row.msg)
+	const final = tx.final_response
+	const response = final ? parseSipMessage(messages[final.index].msg) : null
+
+	const contacts = parseContacts(parsed)
+	const expiresHeader = toInt(getSipHeader(parsed, 'expires'))
+	const requested = contacts.find(c => c.expires !== null)
+	const granted = parseContacts(response).find(c => c.expires !== null)
+	const responseExpires = toInt(getSipHeader(response, 'expires'))
+	const requestedExpires = requested ? requested.expires : expiresHeader
+	const authorization = getSipHeader(parsed, 'authorization') || getSipHeader(parsed, 'proxy-authorization')
+	const challenge = getSipHeader(response, 'www-authenticate') || getSipHeader(response, 'proxy-authenticate')
+	const via = parseVia(getSipHeader(parsed, 'via'))
+	const origIp = getSipHeader(parsed, 'x-orig-ip')
+
+	return {
+		transaction_id: tx.id,
+		time: tx.request.time,
+		offset_ms: tx.request.offset_ms,
+		time_ms: tx.request.time_ms,
+		source: tx.source,
+		source_ip: origIp ? origIp.trim() : row.source_ip,
+		source_port: row.source_port,
+		protocol: row.protocol || null,
+		user_agent: getSipHeader(parsed, 'user-agent') || row.user_agent || null,
+		aor: row.to_user || null,
+		code: final ? final.code : null,
+		reason: final ? final.reason : null,
+		has_credentials: tx.has_credentials,
+		auth_username: digestParam(authorization, 'username'),
+		challenged: tx.auth_challenged,
+		realm: digestParam(challenge, 'realm'),
+		stale_nonce: /\bstale\s*=\s*"?true/i.test(challenge || ''),
+		requested_expires: requestedExpires,
+		granted_expires: granted ? granted.expires : responseExpires,
+		contacts,
+		via_sent_by: via ? via.sent_by : null,
+		unregister: requestedExpires === 0 || contacts.some(c => c.wildcard),
+		message_ids: [tx.request.message_id].concat(tx.retransmissions.map(r => r.message_id), final ? [final.message_id] : [])
+	}
+}
+
+/**
+ * Works out the authentication outcome.
+ *
+ * result:
+ *   registered            — the last REGISTER was accepted
+ *   unregistered          — the last REGISTER removed the binding (Expires: 0)
+ *   credentials_rejected  — credentials were challenged again (wrong password / username)
+ *   challenge_unanswered  — challenged but the device never sent credentials
+ *   forbidden             — 403 (user disabled, IP not allowed, wrong realm)
+ *   rejected              — any other failure response
+ *   no_response           — the registrar never answered
+ *
+ * @param {Array<Object>} attempts - Registration attempts
+ * @returns {Object} { result, challenges, credentials_rejected, stale_nonces, username, realm }
+ */
+function analyzeAuth (attempts) {
+	const last = attempts[attempts.length - 1]
+	const rejectedCreds = attempts.filter(a => a.has_credentials && a.challenged && !a.stale_nonce)
+	const lastCode = last.code
+
+	let result
+	if (lastCode === null) result = 'no_response'
+	else if (lastCode >= 200 && lastCode < 300) result = last.unregister ? 'unregistered' : 'registered'
+	else if (lastCode === 401 || lastCode === 407) result = last.has_credentials && !last.stale_nonce ? 'credentials_rejected' : 'challenge_unanswered'
+	else if (lastCode === 403) result = 'forbidden'
+	else result = 'rejected'
+
+	return {
+		result,
+		challenges: attempts.filter(a => a.challenged).length,
+		credentials_rejected: rejectedCreds.length,
+		stale_nonces: attempts.filter(a => a.stale_nonce).length,
+		username: (attempts.find(a => a.auth_username) || {}).auth_username || null,
+		realm: (attempts.find(a => a.realm) || {}).realm || null
+	}
+}
+
+/**
+ * Builds the Contact binding history from accepted REGISTERs.
+ *
+ * @param {Array<Object>} accepted - Accepted (2xx) registration attempts
+ * @returns {Array<Object>} { contact, private_contact, sources, first_seen_ms, last_seen_ms, registrations }
+ */
+function buildBindings (accepted) {
+	const bindings = []
+	for (const attempt of accepted) {
+		for (const contact of attempt.contacts.filter(c => !c.wildcard)) {
+			let binding = bindings.find(b => b.contact === contact.uri)
+			if (!binding) {
+				binding = { contact: contact.uri, private_contact: isPrivateAddress(contact.host), sources: [], first_seen_ms: attempt.offset_ms, last_seen_ms: attempt.offset_ms, registrations: 0 }
+				bindings.push(binding)
+			}
+			const source = `${attempt.source_ip}:${attempt.source_port}`
+			if (!binding.sources.includes(source)) binding.sources.push(source)
+			binding.last_seen_ms = attempt.offset_ms
+			binding.registrations++
+		}
+	}
+	return bindings
+}
+
+/**
+ * Collects keep-alive requests sent on the REGISTER Call-ID.
+ *
+ * @param {Array<Object>} transactions - Transactions from buildSipTransactions
+ * @param {string|null} callId - REGISTER Call-ID
+ * @returns {Object} { methods, sent, answered, unanswered, intervals_s, max_interval_s, message_ids }
+ */
+function analyzeKeepAlive (transactions, callId) {
+	const pings = transactions.filter(tx => KEEP_ALIVE_METHODS.includes(tx.method) && (!callId || tx.call_id === callId))
+	const intervals = []
+	for (let i = 1; i < pings.length; i++) {
+		const a = pings[i - 1].request.time_ms
+		const b = pings[i].request.time_ms
+		if (a !== null && b !== null) intervals.push(+((b - a) / 1000).toFixed(1))
+	}
+	const unanswered = pings.filter(tx => !tx.final_response)
+	return {
+		methods: [...new Set(pings.map(tx => tx.method))],
+		sent: pings.length,
+		answered: pings.length - unanswered.length,
+		unanswered: unanswered.length,
+		intervals_s: intervals,
+		max_interval_s: intervals.length > 0 ? Math.max(...intervals) : null,
+		message_ids: unanswered.map(tx => tx.request.message_id)
+	}
+}
+
+/**
+ * Analyses the REGISTER dialog of a device.
+ *
+ * @param {Array<Object>} messages - log/trace rows in chronological order
+ * @returns {Object|null} Registration analysis, or null when the trace holds no REGISTER:
+ *   - {string|null} aor - Address-of-record user (To user)
+ *   - {Object} device - { ip, port, protocol, user_agent }
+ *   - {string} status - registered / unregistered / failed
+ *   - {Array<Object>} registrations - One entry per REGISTER transaction
+ *   - {Object} auth - analyzeAuth result
+ *   - {Object} expiry - { requested_s, granted_s, refresh_intervals_s, lapsed }
+ *   - {Array<Object>} bindings - Contact bindings from accepted REGISTERs
+ *   - {boolean} behind_nat - Contact or Via disagrees with the packet source
+ *   - {boolean} nat_rebinding - The source IP:port changed between accepted REGISTERs
+ *   - {Object} keep_alive - analyzeKeepAlive result
+ *   - {Array<Object>} findings - { type, severity, message, message_ids }
+ *   - {string} summary - One-paragraph text summary
+ * @throws {Error} If messages is not an array
+ */
+export function analyzeRegistrationTrace (messages) {
+	if (!Array.isArray(messages)) {
+		throw new Error(`Parameter "messages" must be an array, received ${typeof messages}`)
+	}
+
+	const { transactions } = buildSipTransactions(messages)
+	const registers = transactions.filter(tx => tx.method === 'REGISTER')
+	if (registers.length === 0) return null
+
+	const attempts = registers.map(tx => describeRegister(tx, messages))
+	const last = attempts[attempts.length - 1]
+	const auth = analyzeAuth(attempts)
+	const accepted = attempts.filter(a => a.code !== null && a.code >= 200 && a.code < 300 && !a.unregister)
+	const bindings = buildBindings(accepted)
+	const keepAlive = analyzeKeepAlive(transactions, registers[0].call_id)
+	const findings = []
+
+	// Expiry and refresh
+	const granted = accepted.length > 0 ? accepted[accepted.length - 1].granted_expires : null
+	const requested = last.requested_expires
+	const refreshes = []
+	let lapsed = false
+	for (let i = 1; i < accepted.length; i++) {
+		const previous = accepted[i - 1]
+		const interval = +((accepted[i].time_ms - previous.time_ms) / 1000).toFixed(1)
+		refreshes.push(interval)
+		if (previous.granted_expires !== null && interval > previous.granted_expires) {
+			lapsed = true
+			findings.push({
+				type: 'binding_lapsed',
+				severity: 'critical',
+				message: `Refresh came ${interval}s after the previous registration but the binding was granted for ${previous.granted_expires}s — the device was unreachable for ${+(interval - previous.granted_expires).toFixed(1)}s`,
+				message_ids: previous.message_ids.concat(accepted[i].message_ids)
+			})
+		}
+	}
+	const shortened = accepted.find(a => a.requested_expires !== null && a.granted_expires !== null && a.granted_expires < a.requested_expires)
+	if (shortened) {
+		findings.push({
+			type: 'expiry_shortened',
+			severity: 'info',
+			message: `Device asked for ${shortened.requested_expires}s, registrar granted ${shortened.granted_expires}s — the device must refresh on the granted value`,
+			message_ids: shortened.message_ids
+		})
+	}
+
+	// Auth
+	const authMessageIds = attempts.filter(a => a.challenged || a.code === 403).flatMap(a => a.message_ids)
+	if (auth.result === 'credentials_rejected' || (auth.credentials_rejected > 0 && auth.result !== 'registered')) {
+		findings.push({
+			type: 'credentials_rejected',
+			severity: 'critical',
+			message: `Credentials${auth.username ? ` for "${auth.username}"` : ''} were challenged again ${auth.credentials_rejected} time(s) — wrong password, or the digest username does not match the SIP user`,
+			message_ids: authMessageIds
+		})
+	} else if (auth.result === 'challenge_unanswered') {
+		findings.push({
+			type: 'challenge_unanswered',
+			severity: 'critical',
+			message: 'Registrar challenged the REGISTER but the device never answered with credentials — no password configured, or the realm does not match',
+			message_ids: authMessageIds
+		})
+	} else if (auth.result === 'forbidden') {
+		findings.push({
+			type: 'forbidden',
+			severity: 'critical',
+			message: 'Registration rejected with 403 Forbidden — the SIP user is disabled, the source IP is not allowed for it, or the domain is wrong',
+			message_ids: last.message_ids
+		})
+	} else if (auth.result === 'no_response') {
+		findings.push({
+			type: 'no_response',
+			severity: 'critical',
+			message: 'The registrar never answered the REGISTER — check the firewall and that the device targets the right IP and port',
+			message_ids: last.message_ids
+		})
+	} else if (auth.result === 'rejected') {
+		findings.push({
+			type: 'rejected',
+			severity: 'critical',
+			message: `Registration rejected with ${last.code} ${last.reason || ''}`.trim(),
+			message_ids: last.message_ids
+		})
+	}
+
+	// Contact bindings and NAT
+	const viaHost = splitHostPort(last.via_sent_by).host
+	const privateBinding = bindings.find(b => b.private_contact) || null
+	const contactMismatch = last.contacts.some(c => c.host && !c.wildcard && c.host !== last.source_ip)
+	const behindNat = !!privateBinding || contactMismatch || (!!viaHost && viaHost !== last.source_ip)
+	if (privateBinding) {
+		findings.push({
+			type: 'private_contact',
+			severity: 'info',
+			message: `Contact ${privateBinding.contact} is a private address — calls reach the device only through the NAT mapping at ${privateBinding.sources.join(', ')}`,
+			message_ids: accepted.find(a => a.contacts.some(c => c.uri === privateBinding.contact)).message_ids
+		})
+	}
+	const activeBindings = [...new Set((accepted.length > 0 ? accepted[accepted.length - 1].contacts : []).filter(c => !c.wildcard).map(c => c.uri))]
+	if (activeBindings.length > 1) {
+		findings.push({
+			type: 'multiple_bindings',
+			severity: 'info',
+			message: `${activeBindings.length} Contact bindings are registered for the AOR — calls fork to all of them`,
+			message_ids: accepted[accepted.length - 1].message_ids
+		})
+	}
+	const sources = [...new Set(accepted.map(a => `${a.source_ip}:${a.source_port}`))]
+	const natRebinding = sources.length > 1
+	if (natRebinding) {
+		findings.push({
+			type: 'nat_rebinding',
+			severity: 'warn',
+			message: `Source address changed between refreshes (${sources.join(' → ')}) — the NAT mapping expired, so calls sent to the old mapping before the refresh were lost`,
+			message_ids: accepted.flatMap(a => a.message_ids)
+		})
+	}
+
+	// Keep-alive
+	const udp = !last.protocol || String(last.protocol).toUpperCase() === 'UDP'
+	const longestIdle = Math.max(granted || 0, ...refreshes)
+	if (behindNat && udp && keepAlive.sent === 0 && longestIdle > NAT_PINHOLE_S) {
+		findings.push({
+			type: 'no_keep_alive',
+			severity: 'warn',
+			message: `Device is behind NAT over UDP and idles up to ${longestIdle}s between REGISTERs with no keep-alive on this Call-ID — enable NAT keep-alive (OPTIONS / CRLF) on the device or SIP ping on the switch, or lower the expiry to ${NAT_PINHOLE_S}s`,
+			message_ids: last.message_ids
+		})
+	} else if (behindNat && keepAlive.max_interval_s !== null && keepAlive.max_interval_s > NAT_PINHOLE_S) {
+		findings.push({
+			type: 'keep_alive_too_slow',
+			severity: 'warn',
+			message: `Keep-alives are up to ${keepAlive.max_interval_s}s apart — longer than a typical ${NAT_PINHOLE_S}s NAT mapping`,
+			message_ids: last.message_ids
+		})
+	}
+	if (keepAlive.unanswered > 0) {
+		findings.push({
+			type: 'keep_alive_unanswered',
+			severity: 'warn',
+			message: `${keepAlive.unanswered} of ${keepAlive.sent} keep-alive(s) got no response — the path between device and switch dropped packets`,
+			message_ids: keepAlive.message_ids
+		})
+	}
+
+	const status = auth.result === 'registered' ? 'registered' : auth.result === 'unregistered' ? 'unregistered' : 'failed'
+	const result = {
+		call_id: registers[0].call_id,
+		aor: last.aor,
+		device: { ip: last.source_ip, port: last.source_port, protocol: last.protocol, user_agent: last.user_agent },
+		status,
+		registrations: attempts.map(({ time_ms, via_sent_by, ...rest }) => rest),
+		auth,
+		expiry: {
+			requested_s: requested,
+			granted_s: granted,
+			refresh_intervals_s: refreshes,
+			lapsed
+		},
+		bindings,
+		behind_nat: behindNat,
+		nat_rebinding: natRebinding,
+		keep_alive: keepAlive,
+		findings
+	}
+	result.summary = formatRegistrationSummary(result)
+	return result
+}
+
+/**
+ * Renders a registration analysis as text.
+ *
+ * @param {Object} analysis - analyzeRegistrationTrace result (without summary)
+ * @returns {string} Summary text
+ */
+function formatRegistrationSummary (analysis) {
+	const parts = [`${analysis.aor || 'Device'} at ${analysis.device.ip}:${analysis.device.port}: ${analysis.status} after ${analysis.registrations.length} REGISTER(s)`]
+	if (analysis.auth.challenges > 0) parts.push(`${analysis.auth.challenges} challenge(s), ${analysis.auth.credentials_rejected} with credentials rejected`)
+	if (analysis.expiry.granted_s !== null) parts.push(`granted ${analysis.expiry.granted_s}s${analysis.expiry.requested_s !== null ? ` (asked ${analysis.expiry.requested_s}s)` : ''}`)
+	if (analysis.behind_nat) parts.push(analysis.keep_alive.sent > 0 ? `behind NAT, ${analysis.keep_alive.sent} keep-alive(s)` : 'behind NAT, no keep-alive seen')
+	const problems = analysis.findings.filter(f => f.severity !== 'info')
+	return parts.join('; ') + '.' + (problems.length > 0 ? ' ' + problems.map(f => f.message).join('. ') + '.' : '')
+}
+
+// ============================================================================
+// OWNER CROSS-REFERENCE
+// ============================================================================
+
+/**
+ * Looks up the owner of a SIP username (switch/user) or IP (switch/ip).
+ * Lookup failures are reported in the result rather than thrown.
+ *
+ * @param {string} search - SIP username or IPv4 address
+ * @returns {Promise<Object>} { type, found, match_type, switch_user, customers, error }
+ */
+export async function lookupRegistrationOwner (search) {
+	const byIp = REGEX_IPV4.test(String(search).trim())
+	const lookup = byIp ? await searchByIp(String(search)) : await searchBySipUser(String(search))
+	const customers = lookup.customer
+		? [{ id: lookup.customer.id ?? null, name: lookup.customer.name ?? null }]
+		: (lookup.customers || lookup.matches || []).map(m => ({ id: m.customer?.id ?? null, name: m.customer?.name ?? null }))
+
+	return {
+		type: byIp ? 'ip' : 'sip_user',
+		found: lookup.success === true,
+		match_type: lookup.matchType || null,
+		switch_user: lookup.switchUser || null,
+		customers,
+		error: lookup.success ? null : lookup.error || null
+	}
+}
+
+// ============================================================================
+// MCP TOOL HANDLERS
+// ============================================================================
+
+/**
+ * MCP Tool Handler: searchRegistrations
+ *
+ * Searches the register logs by SIP username or IP, summarises the attempts
+ * per username and names the owning customer.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.search - SIP username or IPv4 address (required)
+ * @returns {Promise<Object>} Register log rows, per-user summary and owner
+ */
+export async function searchRegistrationsHandler (args) {
+	try {
+		const search = typeof args.search === 'string' ? args.search.trim() : args.search
+		const results = await searchRegistrationLogs(search)
+		const rows = (Array.isArray(results) ? results : []).map(normalizeRegistrationRow)
+
+		let owner = null
+		try {
+			owner = await lookupRegistrationOwner(search)
+		} catch (error) {
+			owner = null
+		}
+
+		if (rows.length === 0) {
+			return {
+				success: false,
+				search_term: search,
+				owner,
+				message: `No registrations found matching "${search}"`,
+				suggestions: [
+					'Verify the SIP username or IP (the device may register with a different username)',
+					owner && !owner.found ? `No ${owner.type === 'ip' ? 'IP' : 'SIP user'} entry exists for "${search}" — create it on the customer before the device can register` : 'The device may not be reaching the switch at all — run check_firewall with its public IP and verify the SIP server address it is configured with',
+					'Register logs are short-lived - ask the customer to reboot or re-register the device, then search again'
+				]
+			}
+		}
+
+		return {
+			success: true,
+			search_term: search,
+			result_count: rows.length,
+			users: summarizeRegistrations(rows),
+			registrations: rows,
+			owner,
+			message: `Found ${rows.length} registration(s). Use get_registration_trace with a callid to analyse auth, expiry and NAT keep-alive.`
+		}
+
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
+
+/**
+ * MCP Tool Handler: getRegistrationTrace
+ *
+ * Fetches the REGISTER trace for a Call-ID, analyses auth, expiry, Contact
+ * bindings and keep-alive, and checks the SIP user exists in switch/user.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.callid - Call-ID of the REGISTER dialog (required)
+ * @returns {Promise<Object>} Registration analysis with findings and owner
+ */
+export async function getRegistrationTraceHandler (args) {
+	try {
+		const { callid } = args
+		validateCallId(callid, 'callid')
+
+		const traceMessages = await getSipTrace(callid)
+		const messages = Array.isArray(traceMessages) ? traceMessages : []
+		const analysis = messages.length > 0 ? analyzeRegistrationTrace(messages) : null
+		if (!analysis) {
+			return {
+				success: false,
+				callid,
+				message: messages.length === 0 ? 'No SIP trace data found for this Call-ID' : 'The trace for this Call-ID holds no REGISTER messages',
+				suggestions: [
+					'Use search_registrations with the SIP username or IP to find the REGISTER Call-ID',
+					'Traces are retained for 7 days only',
+					'For call failures use get_sip_trace or investigate_call instead'
+				]
+			}
+		}
+
+		const username = analysis.auth.username || analysis.aor
+		let owner = null
+		if (username) {
+			try {
+				owner = await lookupRegistrationOwner(username)
+			} catch (error) {
+				owner = null
+			}
+		}
+		if (owner && owner.match_type === 'none') {
+			analysis.findings.unshift({
+				type: 'unknown_sip_user',
+				severity: 'critical',
+				message: `No SIP user "${username}" exists in switch/user — the registrar cannot authenticate it`,
+				message_ids: analysis.registrations[0].message_ids
+			})
+			analysis.summary = formatRegistrationSummary(analysis)
+		}
+
+		return {
+			success: true,
+			callid,
+			...analysis,
+			owner
+		}
+
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
@@ -0,0 +1,280 @@
+/**
+ * Route Advance — Carrier Failover Reconstruction
+ *
+ * When a call tries several providers in turn, the trace holds one outbound
+ * INVITE (with its own Call-ID) per attempt. This module turns the egress
+ * attempts from callLegs.js into an ordered timeline — destination, response,
+ * time spent and why the switch moved on — and matches each attempt to a
+ * provider:
+ *
+ *   routing  — the `egress_routing` list of the log routing object (searchCallLogs),
+ *              matched by destination IP, or by position when the counts agree
+ *   cdr      — the CDR row's `provider_id`, which names the carrier that
+ *              carried the call (the answering attempt)
+ *
+ * Answers "why did my call go to the third-choice carrier?" from the MCP.
+ */
+
+import { getSipTrace, searchCallLogs, searchCdr, analyzeSipTrace, validateCallId } from './callDebugTools'
+import { ipOf } from './callLegs'
+import { firstField, extractIp } from './recordFields'
+
+/** Fields read from a CDR row for provider matching. */
+const CDR_FIELDS = ['dt', 'callid', 'dest_number', 'duration', 'provider_id', 'provider_charge', 'branch_idx']
+
+// ============================================================================
+// ROUTING / CDR EXTRACTION
+// ============================================================================
+
+/**
+ * Extracts the egress route list for a call from searchCallLogs results.
+ *
+ * Route entries are read tolerantly — provider id from `provider_id` /
+ * `company_id`, address from `ip` / `host` / `dest` / `uri` — since the
+ * routing object carries whatever the routing engine recorded.
+ *
+ * @param {Array<Object>} logEntries - searchCallLogs results
+ * @param {string} callid - Ingress Call-ID
+ * @returns {Array<Object>} Routes in routing-engine order: { position, provider_id, provider_name, card_id, ip }
+ */
+export function extractEgressRoutes (logEntries, callid) {
+	const entries = Array.isArray(logEntries) ? logEntries : []
+	const entry = entries.find(e => (e.routing?.callid || e.callid) === callid) || null
+	const routes = entry && Array.isArray(entry.routing?.egress_routing) ? entry.routing.egress_routing : []
+
+	return routes.map((route, index) => ({
+		position: index + 1,
+		provider_id: firstField(route, ['provider_id', 'company_id', 'provider']),
+		provider_name: firstField(route, ['provider_name', 'company_name', 'name']),
+		card_id: firstField(route, ['card_id', 'card']),
+		ip: extractIp(firstField(route, ['ip', 'host', 'address', 'dest', 'destination', 'uri', 'sip_uri']))
+	}))
+}
+
+/**
+ * Finds the CDR row for a call.
+ *
+ * @param {Array<Object>} cdrRows - searchCdr results
+ * @param {string} callid - Ingress Call-ID
+ * @returns {Object|null} CDR row
+ */
+export function findCdrRow (cdrRows, callid) {
+	const rows = Array.isArray(cdrRows) ? cdrRows : []
+	return rows.find(row => row.callid === callid) || (rows.length === 1 ? rows[0] : null)
+}
+
+// ============================================================================
+// TIMELINE
+// ============================================================================
+
+/**
+ * Explains why the switch stopped on an attempt.
+ *
+ * @param {Object} attempt - Attempt from analyzeLegTiming
+ * @param {boolean} isLast - No later attempt was made
+ * @returns {string} Reason text
+ */
+function advanceReason (attempt, isLast) {
+	const spent = attempt.duration_ms !== null ? `${Math.round(attempt.duration_ms)}ms` : 'an unknown time'
+	const final = attempt.final_response
+	switch (attempt.outcome) {
+		case 'answered':
+			return 'Answered'
+		case 'rejected':
+			return `Rejected with ${final.code} ${final.reason}`.trim() + (isLast ? ' — no further routes tried' : ' — switch advanced to the next route')
+		case 'cancelled': {
+			const heard = attempt.pdd_ms !== null ? `Ringing but not answered within ${spent}` : attempt.trying_ms !== null ? `Trying but no ringback within ${spent}` : `No response within ${spent}`
+			return heard + (isLast ? ' — cancelled with no later route (the caller abandoned)' : ' — switch cancelled and advanced to the next route')
+		}
+		case 'no_response':
+			return isLast ? `No response after ${spent}` : `No response after ${spent} — switch advanced to the next route`
+		default:
+			return 'Still proceeding when the trace ended'
+	}
+}
+
+/**
+ * Matches attempts to egress routes: by destination IP first, then by
+ * position when the routing engine listed exactly as many routes as were tried.
+ *
+ * @param {Array<Object>} attempts - Attempts from analyzeLegTiming
+ * @param {Array<Object>} routes - extractEgressRoutes result
+ * @returns {Array<Object|null>} Matched route per attempt, with `match` ('ip' | 'order')
+ */
+function matchRoutes (attempts, routes) {
+	const used = new Set()
+	const matched = attempts.map(attempt => {
+		const route = routes.find(r => !used.has(r.position) && r.ip && r.ip === ipOf(attempt.destination))
+		if (!route) return null
+		used.add(route.position)
+		return { ...route, match: 'ip' }
+	})
+	if (routes.length === attempts.length) {
+		matched.forEach((route, i) => {
+			if (!route && !used.has(routes[i].position)) {
+				used.add(routes[i].position)
+				matched[i] = { ...routes[i], match: 'order' }
+			}
+		})
+	}
+	return matched
+}
+
+/**
+ * Builds the route-advance timeline for a call.
+ *
+ * @param {Object} analysis - analyzeSipTrace result (with `leg_timing`)
+ * @param {Object} [sources] - Provider data
+ * @param {Array<Object>} [sources.routes] - extractEgressRoutes result
+ * @param {Object|null} [sources.cdr] - CDR row for the call
+ * @returns {Object} { attempts, answered_attempt, untried_routes, provider_match, notes, summary }
+ */
+export function buildRouteAdvance (analysis, sources = {}) {
+	const routes = sources.routes || []
+	const cdr = sources.cdr || null
+	const timing = analysis && analysis.leg_timing
+	const egress = timing ? timing.attempts : []
+	const matched = matchRoutes(egress, routes)
+	const notes = []
+
+	const attempts = egress.map((attempt, i) => {
+		const route = matched[i]
+		return {
+			attempt: attempt.attempt,
+			call_id: attempt.call_id,
+			destination: attempt.destination,
+			destination_ip: ipOf(attempt.destination),
+			sent_ms: attempt.sent_ms,
+			code: attempt.final_response ? attempt.final_response.code : null,
+			response: attempt.final_response ? `${attempt.final_response.code} ${attempt.final_response.reason}`.trim() : null,
+			outcome: attempt.outcome,
+			time_spent_ms: attempt.duration_ms,
+			failover_ms: attempt.failover_ms,
+			reason: advanceReason(attempt, i === egress.length - 1),
+			provider_id: route ? route.provider_id : null,
+			provider_name: route ? route.provider_name : null,
+			card_id: route ? route.card_id : null,
+			route_position: route ? route.position : null,
+			provider_match: route ? route.match : null,
+			message_ids: attempt.message_ids
+		}
+	})
+
+	const answered = attempts.find(a => a.outcome === 'answered') || null
+	if (answered && cdr && cdr.provider_id !== undefined && cdr.provider_id !== null) {
+		if (answered.provider_id === null) {
+			answered.provider_id = cdr.provider_id
+			answered.provider_match = 'cdr'
+		} else if (String(answered.provider_id) !== String(cdr.provider_id)) {
+			notes.push(`Routing object names provider ${answered.provider_id} for ${answered.destination_ip}, but the CDR was billed to provider ${cdr.provider_id}`)
+		}
+	}
+
+	const triedPositions = new Set(attempts.map(a => a.route_position).filter(p => p !== null))
+	const untried = routes.filter(r => !triedPositions.has(r.position))
+	if (routes.length > 0 && attempts.some(a => a.provider_match === null)) notes.push('Some attempts could not be matched to a route in the routing object')
+	if (egress.length === 0) notes.push('No carrier attempts in the trace — pass callidb to include the carrier legs, or the switch handled the call itself')
+
+	return {
+		attempts,
+		answered_attempt: answered ? answered.attempt : null,
+		untried_routes: answered ? untried.filter(r => r.position > (answered.route_position || 0)) : untried,
+		failover_ms: timing ? timing.failover_ms : null,
+		provider_match: {
+			routing: routes.length > 0,
+			cdr: !!cdr,
+			cdr_provider_id: cdr ? cdr.provider_id ?? null : null,
+			cdr_branch_idx: cdr ? cdr.branch_idx ?? null : null
+		},
+		notes,
+		summary: formatRouteAdvance(attempts, answered)
+	}
+}
+
+/**
+ * Renders the timeline as text.
+ *
+ * @param {Array<Object>} attempts - Timeline attempts
+ * @param {Object|null} answered - Answering attempt
+ * @returns {string} Multi-line summary
+ */
+function formatRouteAdvance (attempts, answered) {
+	if (attempts.length === 0) return 'No carrier attempts in the trace.'
+	const lines = [answered
+		? `Answered on attempt ${answered.attempt} of ${attempts.length} (${answered.destination_ip}${answered.provider_id !== null ? `, provider ${answered.provider_id}` : ''}).`
+		: `No carrier answered after ${attempts.length} attempt(s).`]
+	attempts.forEach(a => {
+		const provider = a.provider_id !== null ? ` provider ${a.provider_id}${a.provider_name ? ` (${a.provider_name})` : ''}` : ''
+		lines.push(`${a.attempt}. +${Math.round(a.sent_ms)}ms ${a.destination_ip}${provider}: ${a.reason}`)
+	})
+	return lines.join('\n')
+}
+
+// ============================================================================
+// MCP TOOL HANDLER
+// ============================================================================
+
+/**
+ * MCP Tool Handler: getRouteAdvance
+ *
+ * Fetches the trace (both legs via callidb), the log routing object and the
+ * CDR row, and reconstructs the route-advance timeline. Routing and CDR
+ * lookups are optional — the timeline is still built from the trace alone.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.callid - Ingress SIP Call-ID (required)
+ * @param {string} [args.callidb] - Internal call identifier — needed to include the carrier legs
+ * @returns {Promise<Object>} Route-advance timeline
+ */
+export async function getRouteAdvanceHandler (args) {
+	try {
+		const { callid, callidb } = args
+		validateCallId(callid, 'callid')
+
+		const traceMessages = await getSipTrace(callid, callidb)
+		const messages = Array.isArray(traceMessages) ? traceMessages : []
+		if (messages.length === 0) {
+			return {
+				success: false,
+				callid,
+				message: 'No SIP trace data found for this Call-ID',
+				suggestions: [
+					'Verify the Call-ID is correct (check for typos)',
+					'Traces are retained for 7 days only - call may be too old',
+					'Use searchCallLogs to find the callid and callidb'
+				]
+			}
+		}
+		const analysis = analyzeSipTrace(messages)
+
+		// Provider data is optional — a failed lookup only loses the provider names
+		let routes = []
+		try {
+			routes = extractEgressRoutes(await searchCallLogs(callid), callid)
+		} catch (error) {
+			routes = []
+		}
+		let cdr = null
+		const date = analysis.start_time ? new Date(analysis.start_time).toISOString().slice(0, 10) : null
+		if (date) {
+			try {
+				cdr = findCdrRow(await searchCdr(date, date, { callid, limit: 10, fields: CDR_FIELDS }), callid)
+			} catch (error) {
+				cdr = null
+			}
+		}
+
+		return {
+			success: true,
+			callid,
+			callidb: callidb || null,
+			...buildRouteAdvance(analysis, { routes, cdr })
+		}
+
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
@@ -0,0 +1,474 @@
+/**
+ * RTCP Time-Series Analysis
+ *
+ * summarizeRtcpMetrics() reduces a call's RTCP reports to min/max/avg, which
+ * mixes both directions and both legs and hides short events — ten seconds of
+ * silence in a five-minute call barely moves the average. This module keeps
+ * the reports apart:
+ *
+ *   streams    — one per leg + SSRC (or source → destination / direction when
+ *                the report carries no SSRC), each with its own time series
+ *   incidents  — loss bursts, audio dropouts, jitter spikes and RTT step
+ *                changes, each with start / end timestamps
+ *   one-way    — a leg where one direction lost (nearly) everything while the
+ *                other was clean
+ *
+ * An RTCP report describes the interval since the previous report, so an
+ * incident starts at the report *before* the first bad one and ends at the
+ * last bad report.
+ *
+ * When the platform did not supply a MOS, it is estimated with a simplified
+ * ITU-T G.107 E-model from RTT, jitter and loss (estimateMos).
+ */
+
+import { getMessageTimeMs } from './sipTransactions'
+import { recordTimeMs } from './recordFields'
+
+/** Loss in one report (%) that counts as a loss burst. */
+const LOSS_BURST_PCT = 5
+
+/** Loss in one report (%) that counts as audio dropped. */
+const DROPOUT_PCT = 90
+
+/** Jitter (ms) above which a report is a spike, if also 3x the stream's median. */
+const JITTER_SPIKE_MS = 30
+
+/** RTT change (ms) from the stream's baseline that counts as a step, if also 50% of it. */
+const RTT_STEP_MS = 100
+
+/**
+ * Codec impairment values for the E-model (ITU-T G.113 Appendix I):
+ * equipment impairment Ie and packet-loss robustness Bpl (with PLC).
+ */
+const CODEC_IMPAIRMENT = {
+	PCMU: { ie: 0, bpl: 25.1 },
+	PCMA: { ie: 0, bpl: 25.1 },
+	G729: { ie: 11, bpl: 19.0 }
+}
+
+/** Codec assumed when the call's codec is unknown or not in CODEC_IMPAIRMENT. */
+const DEFAULT_CODEC = 'PCMU'
+
+/** Packetisation and codec look-ahead added to the one-way delay, in ms. */
+const CODEC_DELAY_MS = 20
+
+/**
+ * Reads the first numeric field present on a row.
+ *
+ * @param {Object} row - RTCP row
+ * @param {Array<string>} names - Candidate field names, in preference order
+ * @returns {number|null} Value, or null
+ */
+function numberField (row, names) {
+	for (const name of names) {
+		if (row[name] === undefined || row[name] === null || row[name] === '') continue
+		const n = Number(row[name])
+		if (!isNaN(n)) return n
+	}
+	return null
+}
+
+/**
+ * Median of a list of numbers.
+ *
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median (values) {
+	if (values.length === 0) return null
+	const sorted = [...values].sort((a, b) => a - b)
+	const mid = Math.floor(sorted.length / 2)
+	return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+// ============================================================================
+// E-MODEL
+// ============================================================================
+
+/**
+ * Estimates the R-factor and MOS from network metrics with a simplified
+ * ITU-T G.107 E-model:
+ *
+ *   d      = RTT / 2 + 2 × jitter + codec delay            (one-way, incl. jitter buffer)
+ *   Id     = 0.024 d + 0.11 (d − 177.3) H(d − 177.3)
+ *   Ie-eff = Ie + (95 − Ie) × Ppl / (Ppl + Bpl)
+ *   R      = 93.2 − Id − Ie-eff
+ *   MOS    = 1 + 0.035 R + 7·10⁻⁶ R (R − 60)(100 − R)
+ *
+ * @param {Object} metrics - Network metrics
+ * @param {number|null} [metrics.rtt_ms] - Round-trip time
+ * @param {number|null} [metrics.jitter_ms] - Interarrival jitter
+ * @param {number|null} [metrics.packet_loss_pct] - Packet loss percentage
+ * @param {string} [metrics.codec] - Codec name (PCMU, PCMA, G729); others are treated as G.711
+ * @returns {Object|null} { r_factor, mos, codec, codec_assumed }, or null when no metric is known
+ */
+export function estimateMos (metrics) {
+	const { rtt_ms: rtt, jitter_ms: jitter, packet_loss_pct: loss } = metrics || {}
+	if ([rtt, jitter, loss].every(v => v === null || v === undefined || isNaN(v))) return null
+
+	const requested = String((metrics && metrics.codec) || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+	const codec = CODEC_IMPAIRMENT[requested] ? requested : DEFAULT_CODEC
+	const { ie, bpl } = CODEC_IMPAIRMENT[codec]
+
+	const d = (Number(rtt) || 0) / 2 + 2 * (Number(jitter) || 0) + CODEC_DELAY_MS
+	const id = 0.024 * d + (d > 177.3 ? 0.11 * (d - 177.3) : 0)
+	const ppl = Math.min(Math.max(Number(loss) || 0, 0), 100)
+	const ieEff = ie + (95 - ie) * ppl / (ppl + bpl)
+	const r = 93.2 - id - ieEff
+
+	let mos
+	if (r <= 0) mos = 1
+	else if (r >= 100) mos = 4.5
+	else mos = 1 + 0.035 * r + 7e-6 * r * (r - 60) * (100 - r)
+
+	return {
+		r_factor: +r.toFixed(1),
+		mos: +Math.max(1, mos).toFixed(2),
+		codec,
+		codec_assumed: codec !== requested
+	}
+}
+
+// ============================================================================
+// STREAMS
+// ============================================================================
+
+/**
+ * Time of an RTCP row in epoch milliseconds.
+ *
+ * @param {Object} row - RTCP row
+ * @returns {number|null} Epoch ms, or null if the row has no time
+ */
+function rowTimeMs (row) {
+	if (row.micro_ts !== undefined && row.micro_ts !== null) return getMessageTimeMs(row)
+	return recordTimeMs(row)
+}
+
+/**
+ * Normalises the direction field of a report.
+ *
+ * @param {*} value - direction / dir value
+ * @returns {string|null} inbound / outbound, the raw value, or null
+ */
+function normalizeDirection (value) {
+	if (value === undefined || value === null || value === '') return null
+	const text = String(value).toLowerCase()
+	if (['in', 'rx', 'inbound', 'recv', 'received', 'ingress'].includes(text)) return 'inbound'
+	if (['out', 'tx', 'outbound', 'send', 'sent', 'egress'].includes(text)) return 'outbound'
+	return text
+}
+
+/**
+ * Reads one RTCP report into a sample.
+ *
+ * @param {Object} row - log/rtcp row
+ * @param {string} [codec] - Call codec for the E-model
+ * @returns {Object} Sample with stream identity and metrics
+ */
+function readSample (row, codec) {
+	const source = row.source_ip || row.src_ip ? `${row.source_ip || row.src_ip}${row.source_port || row.src_port ? `:${row.source_port || row.src_port}` : ''}` : null
+	const destination = row.destination_ip || row.dst_ip ? `${row.destination_ip || row.dst_ip}${row.destination_port || row.dst_port ? `:${row.destination_port || row.dst_port}` : ''}` : null
+
+	// The unit comes from the field: percentages as recorded, fraction_lost as
+	// the raw RTCP report field (0-255 = lost/256), loss ratios as 0-1
+	let loss = numberField(row, ['packet_loss', 'packet_loss_pct', 'loss'])
+	if (loss === null) {
+		const fraction = numberField(row, ['fraction_lost'])
+		if (fraction !== null) loss = fraction / 256 * 100
+	}
+	if (loss === null) {
+		const ratio = numberField(row, ['loss_ratio', 'packet_loss_ratio', 'loss_fraction'])
+		if (ratio !== null) loss = ratio * 100
+	}
+	const sample = {
+		time_ms: rowTimeMs(row),
+		leg: row.leg ?? row.callid ?? null,
+		ssrc: row.ssrc ?? row.sender_ssrc ?? null,
+		direction: normalizeDirection(row.direction ?? row.dir),
+		source,
+		destination,
+		mos: numberField(row, ['mos']),
+		jitter_ms: numberField(row, ['jitter', 'jitter_ms']),
+		packet_loss_pct: loss !== null ? +loss.toFixed(2) : null,
+		rtt_ms: numberField(row, ['rtt', 'rtt_ms'])
+	}
+	sample.mos_estimated = false
+	sample.r_factor = null
+	if (sample.mos === null) {
+		const estimate = estimateMos({ ...sample, codec })
+		if (estimate) {
+			sample.mos = estimate.mos
+			sample.r_factor = estimate.r_factor
+			sample.mos_estimated = true
+		}
+	}
+	return sample
+}
+
+/**
+ * Groups samples into streams by leg and SSRC (falling back to the address
+ * pair, then the direction).
+ *
+ * @param {Array<Object>} samples - Samples from readSample
+ * @returns {Array<Object>} Streams in order of first report
+ */
+function groupStreams (samples) {
+	const streams = []
+	const byKey = {}
+	for (const sample of samples) {
+		const flow = sample.ssrc !== null ? `ssrc:${sample.ssrc}` : sample.source || sample.destination ? `${sample.source}>${sample.destination}` : `dir:${sample.direction}`
+		const key = `${sample.leg}|${flow}`
+		if (!byKey[key]) {
+			byKey[key] = { id: `s${streams.length + 1}`, leg: sample.leg, ssrc: sample.ssrc, direction: sample.direction, source: sample.source, destination: sample.destination, samples: [] }
+			streams.push(byKey[key])
+		}
+		byKey[key].samples.push(sample)
+	}
+	for (const stream of streams) {
+		stream.samples.sort((a, b) => (a.time_ms ?? 0) - (b.time_ms ?? 0))
+	}
+	return streams
+}
+
+// ============================================================================
+// INCIDENTS
+// ============================================================================
+
+/**
+ * Groups consecutive bad samples into runs.
+ *
+ * @param {Array<Object>} samples - Stream samples in time order
+ * @param {Function} isBad - Sample predicate
+ * @returns {Array<{ from: number, to: number }>} Index ranges (inclusive)
+ */
+function findRuns (samples, isBad) {
+	const runs = []
+	let start = null
+	samples.forEach((sample, i) => {
+		if (isBad(sample)) {
+			if (start === null) start = i
+		} else if (start !== null) {
+			runs.push({ from: start, to: i - 1 })
+			start = null
+		}
+	})
+	if (start !== null) runs.push({ from: start, to: samples.length - 1 })
+	return runs
+}
+
+/**
+ * Builds an incident from a run of samples.
+ *
+ * @param {Object} stream - Stream
+ * @param {Object} run - { from, to } sample index range
+ * @param {string} type - Incident type
+ * @param {string} severity - info / warn / critical
+ * @param {string} metric - Sample field the incident is about
+ * @param {number|null} startMs - Timeline origin (epoch ms)
+ * @param {Object} [extra] - Extra fields
+ * @returns {Object} Incident
+ */
+function buildIncident (stream, run, type, severity, metric, startMs, extra = {}) {
+	const samples = stream.samples
+	const first = samples[run.from]
+	const last = samples[run.to]
+	// A report covers the interval since the previous one
+	const begin = run.from > 0 && samples[run.from - 1].time_ms !== null ? samples[run.from - 1].time_ms : first.time_ms
+	const end = last.time_ms
+	const values = samples.slice(run.from, run.to + 1).map(s => s[metric]).filter(v => v !== null)
+	const offset = ms => ms !== null && startMs !== null ? Math.round(ms - startMs) : null
+
+	return {
+		type,
+		severity,
+		stream: stream.id,
+		leg: stream.leg,
+		direction: stream.direction,
+		start: begin !== null ? new Date(begin).toISOString() : null,
+		end: end !== null ? new Date(end).toISOString() : null,
+		start_offset_ms: offset(begin),
+		end_offset_ms: offset(end),
+		duration_ms: begin !== null && end !== null ? Math.round(end - begin) : null,
+		reports: run.to - run.from + 1,
+		metric,
+		peak: values.length > 0 ? Math.max(...values) : null,
+		...extra
+	}
+}
+
+/**
+ * Detects loss, jitter and RTT incidents on one stream.
+ *
+ * @param {Object} stream - Stream with samples
+ * @param {number|null} startMs - Timeline origin (epoch ms)
+ * @returns {Array<Object>} Incidents
+ */
+function detectStreamIncidents (stream, startMs) {
+	const samples = stream.samples
+	const incidents = []
+
+	// Loss: dropouts (nearly everything lost) are reported on their own
+	for (const run of findRuns(samples, s => s.packet_loss_pct !== null && s.packet_loss_pct >= LOSS_BURST_PCT)) {
+		const dropout = samples.slice(run.from, run.to + 1).every(s => s.packet_loss_pct >= DROPOUT_PCT)
+		incidents.push(buildIncident(stream, run, dropout ? 'audio_dropout' : 'loss_burst', dropout ? 'critical' : 'warn', 'packet_loss_pct', startMs))
+	}
+
+	// Jitter spikes against the stream's own baseline
+	const jitterBaseline = median(samples.map(s => s.jitter_ms).filter(v => v !== null))
+	const spikeAt = Math.max(JITTER_SPIKE_MS, (jitterBaseline || 0) * 3)
+	for (const run of findRuns(samples, s => s.jitter_ms !== null && s.jitter_ms > spikeAt)) {
+		incidents.push(buildIncident(stream, run, 'jitter_spike', 'warn', 'jitter_ms', startMs, { baseline: jitterBaseline }))
+	}
+
+	// RTT steps: a sustained move away from the opening baseline
+	const opening = samples.map(s => s.rtt_ms).filter(v => v !== null).slice(0, 3)
+	const rttBaseline = median(opening)
+	if (rttBaseline !== null) {
+		const stepped = s => s.rtt_ms !== null && Math.abs(s.rtt_ms - rttBaseline) > Math.max(RTT_STEP_MS, rttBaseline * 0.5)
+		for (const run of findRuns(samples, stepped).filter(r => r.to > r.from)) {
+			const level = median(samples.slice(run.from, run.to + 1).map(s => s.rtt_ms).filter(v => v !== null))
+			incidents.push(buildIncident(stream, run, 'rtt_step', 'warn', 'rtt_ms', startMs, {
+				baseline: rttBaseline,
+				level,
+				persisted: run.to === samples.length - 1
+			}))
+		}
+	}
+
+	return incidents
+}
+
+/**
+ * Finds legs where one stream lost (nearly) everything while another was clean.
+ *
+ * @param {Array<Object>} streams - Streams
+ * @param {number|null} startMs - Timeline origin (epoch ms)
+ * @returns {Array<Object>} one_way_audio incidents
+ */
+function detectOneWayAudio (streams, startMs) {
+	const incidents = []
+	const legs = [...new Set(streams.map(s => s.leg))]
+	for (const leg of legs) {
+		const onLeg = streams.filter(s => s.leg === leg)
+		const lossOf = s => s.samples.map(x => x.packet_loss_pct).filter(v => v !== null)
+		const dead = onLeg.filter(s => lossOf(s).length > 0 && lossOf(s).every(v => v >= DROPOUT_PCT))
+		const healthy = onLeg.filter(s => lossOf(s).length > 0 && median(lossOf(s)) < LOSS_BURST_PCT)
+		for (const stream of dead) {
+			if (healthy.length === 0) continue
+			incidents.push(buildIncident(stream, { from: 0, to: stream.samples.length - 1 }, 'one_way_audio', 'critical', 'packet_loss_pct', startMs, {
+				healthy_streams: healthy.map(s => s.id)
+			}))
+		}
+	}
+	return incidents
+}
+
+/**
+ * Describes an incident in one sentence.
+ *
+ * @param {Object} incident - Incident
+ * @returns {string} Message
+ */
+export function describeIncident (incident) {
+	const where = [incident.leg !== null ? `leg ${incident.leg}` : null, incident.direction].filter(Boolean).join(' ')
+	const at = incident.start_offset_ms !== null ? ` at +${(incident.start_offset_ms / 1000).toFixed(1)}s` : incident.start ? ` at ${incident.start}` : ''
+	const lasting = incident.duration_ms !== null ? ` for ${(incident.duration_ms / 1000).toFixed(1)}s` : ''
+	const stream = `stream ${incident.stream}${where ? ` (${where})` : ''}`
+	switch (incident.type) {
+		case 'one_way_audio':
+			return `One-way audio: ${stream} lost ≥${DROPOUT_PCT}% of packets for the whole call while ${incident.healthy_streams.join(', ')} was clean`
+		case 'audio_dropout':
+			return `Audio dropped${lasting}${at} on ${stream} — up to ${incident.peak}% loss`
+		case 'loss_burst':
+			return `Packet loss burst${lasting}${at} on ${stream} — up to ${incident.peak}% loss`
+		case 'jitter_spike':
+			return `Jitter spike${lasting}${at} on ${stream} — up to ${incident.peak}ms (baseline ${incident.baseline}ms)`
+		case 'rtt_step':
+			return `RTT stepped from ${incident.baseline}ms to ${incident.level}ms${at} on ${stream}${incident.persisted ? ' and stayed there' : `${lasting}`} — media path changed`
+		default:
+			return `${incident.type}${at} on ${stream}`
+	}
+}
+
+/**
+ * Splits RTCP reports into per-leg, per-direction streams with a time series
+ * and incidents.
+ *
+ * @param {Array<Object>} metrics - log/rtcp rows
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.codec] - Negotiated codec, for the E-model MOS
+ * @param {number|string} [options.start] - Timeline origin (epoch ms or ISO, e.g. the trace start); defaults to the first report
+ * @returns {Object|null} Time-series analysis, or null when there are no reports:
+ *   - {Array<Object>} streams - { id, leg, ssrc, direction, source, destination, reports, start, end, mos_source, stats, series }
+ *   - {Array<Object>} incidents - { type, severity, stream, leg, direction, start, end, start_offset_ms, end_offset_ms, duration_ms, reports, metric, peak, message }, in time order
+ *   - {boolean} one_way_audio - A one_way_audio incident was found
+ *   - {string|null} mos_source - platform, e_model, mixed or null
+ * @throws {Error} If metrics is not an array
+ */
+export function analyzeRtcpTimeSeries (metrics, options = {}) {
+	if (!Array.isArray(metrics)) {
+		throw new Error(`Parameter "metrics" must be an array, received ${typeof metrics}`)
+	}
+	if (metrics.length === 0) return null
+
+	const samples = metrics.map(row => readSample(row, options.codec))
+	const streams = groupStreams(samples)
+	const times = samples.map(s => s.time_ms).filter(t => t !== null)
+	const origin = options.start !== undefined && options.start !== null ? new Date(options.start).getTime() : NaN
+	const startMs = !isNaN(origin) ? origin : (times.length > 0 ? Math.min(...times) : null)
+
+	const oneWay = detectOneWayAudio(streams, startMs)
+	const oneWayStreams = oneWay.map(i => i.stream)
+	const incidents = oneWay.concat(...streams.map(stream => detectStreamIncidents(stream, startMs)
+		.filter(i => !(oneWayStreams.includes(stream.id) && (i.type === 'audio_dropout' || i.type === 'loss_burst')))))
+	incidents.sort((a, b) => (a.start_offset_ms ?? 0) - (b.start_offset_ms ?? 0))
+	incidents.forEach(incident => { incident.message = describeIncident(incident) })
+
+	const stats = values => values.length === 0 ? null : {
+		min: Math.min(...values),
+		max: Math.max(...values),
+		avg: +(values.reduce((s, v) => s + v, 0) / values.length).toFixed(2)
+	}
+	const offset = ms => ms !== null && startMs !== null ? Math.round(ms - startMs) : null
+
+	const described = streams.map(stream => {
+		const estimated = stream.samples.filter(s => s.mos_estimated).length
+		const withMos = stream.samples.filter(s => s.mos !== null).length
+		return {
+			id: stream.id,
+			leg: stream.leg,
+			ssrc: stream.ssrc,
+			direction: stream.direction,
+			source: stream.source,
+			destination: stream.destination,
+			reports: stream.samples.length,
+			start: stream.samples[0].time_ms !== null ? new Date(stream.samples[0].time_ms).toISOString() : null,
+			end: stream.samples[stream.samples.length - 1].time_ms !== null ? new Date(stream.samples[stream.samples.length - 1].time_ms).toISOString() : null,
+			mos_source: withMos === 0 ? null : estimated === 0 ? 'platform' : estimated === withMos ? 'e_model' : 'mixed',
+			stats: {
+				mos: stats(stream.samples.map(s => s.mos).filter(v => v !== null)),
+				jitter_ms: stats(stream.samples.map(s => s.jitter_ms).filter(v => v !== null)),
+				packet_loss_pct: stats(stream.samples.map(s => s.packet_loss_pct).filter(v => v !== null)),
+				rtt_ms: stats(stream.samples.map(s => s.rtt_ms).filter(v => v !== null))
+			},
+			series: stream.samples.map(s => ({
+				offset_ms: offset(s.time_ms),
+				time: s.time_ms !== null ? new Date(s.time_ms).toISOString() : null,
+				mos: s.mos,
+				mos_estimated: s.mos_estimated,
+				r_factor: s.r_factor,
+				jitter_ms: s.jitter_ms,
+				packet_loss_pct: s.packet_loss_pct,
+				rtt_ms: s.rtt_ms
+			}))
+		}
+	})
+
+	const sources = [...new Set(described.map(s => s.mos_source).filter(Boolean))]
+	return {
+		streams: described,
+		incidents,
+		one_way_audio: oneWay.length > 0,
+		mos_source: sources.length === 0 ? null : sources.length === 1 ? sources[0] : 'mixed'
+	}
+}
@@ -0,0 +1,446 @@
+/**
+ * SDP Offer/Answer Analysis
+ *
+ * Parses SDP bodies from SIP trace messages (c=, m=, a=rtpmap, a=fmtp,
+ * a=ptime, a=sendrecv/sendonly/recvonly/inactive, a=rtcp, telephone-event)
+ * and pairs each offer with its answer per transaction (RFC 3264), reporting
+ * the negotiated codec, media address and direction for every leg.
+ *
+ * Flags the one-way-audio risks called out in the troubleshooting tree:
+ * private c= addresses, 0.0.0.0 / inactive holds and answers with no shared
+ * codec.
+ *
+ * Pure parsing — no API calls.
+ */
+
+import { parseSipMessage } from './sipTransactions'
+
+/** Static RTP/AVP payload types (RFC 3551) — used when no a=rtpmap is present. */
+export const STATIC_PAYLOAD_TYPES = {
+	0: { name: 'PCMU', clock_rate: 8000 },
+	3: { name: 'GSM', clock_rate: 8000 },
+	4: { name: 'G723', clock_rate: 8000 },
+	5: { name: 'DVI4', clock_rate: 8000 },
+	6: { name: 'DVI4', clock_rate: 16000 },
+	7: { name: 'LPC', clock_rate: 8000 },
+	8: { name: 'PCMA', clock_rate: 8000 },
+	9: { name: 'G722', clock_rate: 8000 },
+	10: { name: 'L16', clock_rate: 44100, channels: 2 },
+	11: { name: 'L16', clock_rate: 44100 },
+	12: { name: 'QCELP', clock_rate: 8000 },
+	13: { name: 'CN', clock_rate: 8000 },
+	15: { name: 'G728', clock_rate: 8000 },
+	18: { name: 'G729', clock_rate: 8000 },
+	34: { name: 'H263', clock_rate: 90000 }
+}
+
+/** Payload names that carry signalling/comfort noise rather than audio. */
+const NON_AUDIO_CODECS = ['TELEPHONE-EVENT', 'CN', 'RED', 'ULPFEC', 'RTX']
+
+/** SDP direction attributes. */
+const DIRECTIONS = ['sendrecv', 'sendonly', 'recvonly', 'inactive']
+
+// ============================================================================
+// SDP PARSING
+// ============================================================================
+
+/**
+ * Parses an SDP body.
+ *
+ * Session-level c= and direction apply to every m= line that does not
+ * override them. Codecs are resolved from a=rtpmap, falling back to the
+ * static payload type table.
+ *
+ * @param {string} body - SDP text (the body of a SIP message)
+ * @returns {Object|null} Parsed session, or null if body contains no SDP:
+ *   - {Object|null} origin - o= line ({ username, session_id, session_version, address })
+ *   - {string|null} connection_address - Session-level c= address
+ *   - {string} direction - Session-level direction (defaults to sendrecv)
+ *   - {Array<Object>} media - One entry per m= line ({ type, port, protocol, formats, connection_address, direction, codecs, ptime, maxptime, rtcp, rtcp_mux, telephone_event })
+ */
+export function parseSdp (body) {
+	if (typeof body !== 'string' || !/^v=/m.test(body)) return null
+
+	const session = {
+		origin: null,
+		session_name: null,
+		connection_address: null,
+		direction: 'sendrecv',
+		media: []
+	}
+	let current = null
+
+	for (const rawLine of body.split(/\r?\n/)) {
+		const line = rawLine.trim()
+		if (line.length < 2 || line[1] !== '=') continue
+		const type = line[0]
+		const value = line.slice(2)
+
+		if (type === 'm') {
+			const parts = value.split(/\s+/)
+			current = {
+				type: parts[0] || null,
+				port: parseInt(parts[1], 10),
+				protocol: parts[2] || null,
+				formats: parts.slice(3).filter(Boolean),
+				connection_address: null,
+				direction: null,
+				rtpmap: {},
+				fmtp: {},
+				ptime: null,
+				maxptime: null,
+				rtcp: null,
+				rtcp_mux: false
+			}
+			session.media.push(current)
+			continue
+		}
+
+		if (type === 'o' && !current) {
+			const parts = value.split(/\s+/)
+			session.origin = { username: parts[0] || null, session_id: parts[1] || null, session_version: parts[2] || null, address: parts[5] || null }
+		} else if (type === 's' && !current) {
+			session.session_name = value
+		} else if (type === 'c') {
+			const parts = value.split(/\s+/)
+			const address = (parts[2] || '').split('/')[0] || null
+			if (current) current.connection_address = address
+			else session.connection_address = address
+		} else if (type === 'a') {
+			applyAttribute(session, current, value)
+		}
+	}
+
+	session.media = session.media.map(m => finalizeMedia(m, session))
+	return session
+}
+
+/**
+ * Applies one a= attribute to the session or current media section.
+ *
+ * @param {Object} session - Session being built (mutated)
+ * @param {Object|null} media - Current media section (mutated), null at session level
+ * @param {string} value - Attribute text after "a="
+ * @returns {void}
+ */
+function applyAttribute (session, media, value) {
+	const colon = value.indexOf(':')
+	const name = (colon === -1 ? value : value.slice(0, colon)).trim().toLowerCase()
+	const arg = colon === -1 ? '' : value.slice(colon + 1).trim()
+
+	if (DIRECTIONS.includes(name)) {
+		if (media) media.direction = name
+		else session.direction = name
+		return
+	}
+	if (!media) return
+
+	if (name === 'rtpmap') {
+		const match = arg.match(/^(\d+)\s+([^/\s]+)\/(\d+)(?:\/(\d+))?/)
+		if (match) {
+			media.rtpmap[match[1]] = {
+				name: match[2],
+				clock_rate: parseInt(match[3], 10),
+				channels: match[4] ? parseInt(match[4], 10) : null
+			}
+		}
+	} else if (name === 'fmtp') {
+		const match = arg.match(/^(\d+)\s+(.*)$/)
+		if (match) media.fmtp[match[1]] = match[2].trim()
+	} else if (name === 'ptime') {
+		media.ptime = parseInt(arg, 10) || null
+	} else if (name === 'maxptime') {
+		media.maxptime = parseInt(arg, 10) || null
+	} else if (name === 'rtcp') {
+		const parts = arg.split(/\s+/)
+		media.rtcp = { port: parseInt(parts[0], 10) || null, address: parts[3] || null }
+	} else if (name === 'rtcp-mux') {
+		media.rtcp_mux = true
+	}
+}
+
+/**
+ * Resolves codecs, inherited connection address and direction for a media section.
+ *
+ * @param {Object} media - Raw media section
+ * @param {Object} session - Parsed session
+ * @returns {Object} Finalised media section
+ */
+function finalizeMedia (media, session) {
+	const codecs = media.formats.map(pt => {
+		const mapped = media.rtpmap[pt] || STATIC_PAYLOAD_TYPES[pt] || null
+		return {
+			payload_type: parseInt(pt, 10),
+			name: mapped ? mapped.name : `PT${pt}`,
+			clock_rate: mapped ? mapped.clock_rate : null,
+			channels: mapped && mapped.channels ? mapped.channels : null,
+			fmtp: media.fmtp[pt] || null
+		}
+	})
+	const telephoneEvent = codecs.find(c => c.name.toUpperCase() === 'TELEPHONE-EVENT') || null
+
+	return {
+		type: media.type,
+		port: isNaN(media.port) ? null : media.port,
+		protocol: media.protocol,
+		formats: media.formats,
+		connection_address: media.connection_address || session.connection_address,
+		direction: media.direction || session.direction,
+		codecs,
+		ptime: media.ptime,
+		maxptime: media.maxptime,
+		rtcp: media.rtcp,
+		rtcp_mux: media.rtcp_mux,
+		telephone_event: telephoneEvent
+			? { payload_type: telephoneEvent.payload_type, clock_rate: telephoneEvent.clock_rate, events: telephoneEvent.fmtp }
+			: null
+	}
+}
+
+// ============================================================================
+// ADDRESS HELPERS
+// ============================================================================
+
+/**
+ * Whether an IPv4 address is private, shared (CGNAT), link-local or loopback —
+ * i.e. not reachable from the public internet.
+ *
+ * @param {string} ip - IPv4 address
+ * @returns {boolean} True for RFC 1918, RFC 6598, link-local and loopback addresses
+ */
+export function isPrivateAddress (ip) {
+	if (!ip || typeof ip !== 'string') return false
+	const octets = ip.trim().split('.').map(Number)
+	if (octets.length !== 4 || octets.some(o => isNaN(o) || o < 0 || o > 255)) return false
+	const [a, b] = octets
+	return a === 10 ||
+		(a === 172 && b >= 16 && b <= 31) ||
+		(a === 192 && b === 168) ||
+		(a === 100 && b >= 64 && b <= 127) ||
+		(a === 169 && b === 254) ||
+		a === 127
+}
+
+/**
+ * Whether a c= address is the RFC 2543 hold address.
+ *
+ * @param {string|null} address - Connection address
+ * @returns {boolean} True for 0.0.0.0
+ */
+function isHoldAddress (address) {
+	return address === '0.0.0.0'
+}
+
+// ============================================================================
+// OFFER / ANSWER NEGOTIATION
+// ============================================================================
+
+/**
+ * Pairs every SDP offer with its answer and reports the negotiated media per leg.
+ *
+ * Offer/answer placement follows RFC 3264 / RFC 3261 13.2.1:
+ *   - offer in INVITE (or UPDATE)  → answer in the first reliable response with SDP (2xx, else 18x)
+ *   - no SDP in INVITE (late offer) → offer in 2xx, answer in the ACK
+ *
+ * @param {Array<Object>} messages - log/trace rows in chronological order
+ * @param {Array<Object>} transactions - Transactions from buildSipTransactions for the same rows
+ * @returns {Object} SDP analysis:
+ *   - {Array<Object>} negotiations - One entry per offer ({ transaction_id, leg, offer_from, answer_from, offer_in, answer_in, media, risks })
+ *   - {Array<string>} negotiated_codecs - Distinct audio codecs agreed across all legs
+ *   - {Array<Object>} risks - All one-way-audio risks ({ type, severity, leg, transaction_id, message })
+ * @throws {Error} If messages or transactions is not an array
+ */
+export function analyzeSdpNegotiation (messages, transactions) {
+	if (!Array.isArray(messages)) {
+		throw new Error(`Parameter "messages" must be an array, received ${typeof messages}`)
+	}
+	if (!Array.isArray(transactions)) {
+		throw new Error(`Parameter "transactions" must be an array, received ${typeof transactions}`)
+	}
+
+	const sdpAt = index => {
+		const row = messages[index]
+		if (!row || !row.msg) return null
+		const parsed = parseSipMessage(row.msg)
+		return parsed ? parseSdp(parsed.body) : null
+	}
+
+	const negotiations = []
+
+	for (const tx of transactions) {
+		if (tx.method !== 'INVITE' && tx.method !== 'UPDATE') continue
+
+		const requestSdp = sdpAt(tx.request.index)
+		const responses = tx.provisional_responses.concat(tx.final_response ? [tx.final_response] : [])
+		const successResponse = tx.final_response && tx.final_response.code < 300 ? tx.final_response : null
+		const reverseLeg = `${tx.destination} -> ${tx.source}`
+
+		if (requestSdp) {
+			// Prefer the 2xx answer; fall back to the last early-media answer
+			let answer = null
+			let answerIn = null
+			if (successResponse) {
+				answer = sdpAt(successResponse.index)
+				if (answer) answerIn = `${successResponse.code} ${successResponse.reason}`.trim()
+			}
+			if (!answer) {
+				for (let i = responses.length - 1; i >= 0; i--) {
+					const candidate = sdpAt(responses[i].index)
+					if (candidate && responses[i].code < 300) {
+						answer = candidate
+						answerIn = `${responses[i].code} ${responses[i].reason}`.trim()
+						break
+					}
+				}
+			}
+			negotiations.push(buildNegotiation(tx, tx.leg, tx.source, tx.destination, requestSdp, answer, tx.method, answerIn))
+		} else if (successResponse) {
+			const offer = sdpAt(successResponse.index)
+			if (!offer) continue
+			const ackTx = transactions.find(t => t.method === 'ACK' && t.call_id === tx.call_id && t.cseq === tx.cseq && t.source === tx.source)
+			const answer = ackTx ? sdpAt(ackTx.request.index) : null
+			negotiations.push(buildNegotiation(tx, reverseLeg, tx.destination, tx.source, offer, answer, `${successResponse.code} ${successResponse.reason}`.trim(), answer ? 'ACK' : null))
+		}
+	}
+
+	const negotiatedCodecs = new Set()
+	const risks = []
+	for (const n of negotiations) {
+		n.media.forEach(m => { if (m.negotiated_codec) negotiatedCodecs.add(m.negotiated_codec) })
+		risks.push(...n.risks)
+	}
+
+	return {
+		negotiations,
+		negotiated_codecs: [...negotiatedCodecs],
+		risks
+	}
+}
+
+/**
+ * Compares one offer with its answer.
+ *
+ * @param {Object} tx - Transaction carrying the exchange
+ * @param {string} leg - Leg label (offerer -> answerer)
+ * @param {string} offerFrom - Offerer ip:port
+ * @param {string} answerFrom - Answerer ip:port
+ * @param {Object} offer - Parsed offer SDP
+ * @param {Object|null} answer - Parsed answer SDP (null if none captured)
+ * @param {string} offerIn - Message that carried the offer
+ * @param {string|null} answerIn - Message that carried the answer
+ * @returns {Object} Negotiation entry
+ */
+function buildNegotiation (tx, leg, offerFrom, answerFrom, offer, answer, offerIn, answerIn) {
+	const risks = []
+	const addRisk = (type, severity, message) => risks.push({ type, severity, leg, transaction_id: tx.id, message })
+
+	const media = offer.media.map((offerMedia, i) => {
+		const answerMedia = answer ? answer.media[i] || null : null
+		const offerCodecs = audioCodecNames(offerMedia)
+		const answerCodecs = answerMedia ? audioCodecNames(answerMedia) : []
+		const shared = answerCodecs.filter(name => offerCodecs.includes(name))
+		const rejected = !!(answerMedia && answerMedia.port === 0)
+		const effective = answerMedia ? effectiveDirection(offerMedia.direction, answerMedia.direction) : null
+
+		const entry = {
+			type: offerMedia.type,
+			offer_address: `${offerMedia.connection_address}:${offerMedia.port}`,
+			answer_address: answerMedia ? `${answerMedia.connection_address}:${answerMedia.port}` : null,
+			offer_codecs: offerCodecs,
+			answer_codecs: answerCodecs,
+			shared_codecs: shared,
+			negotiated_codec: rejected ? null : (shared[0] || null),
+			direction: {
+				offer: offerMedia.direction,
+				answer: answerMedia ? answerMedia.direction : null,
+				effective
+			},
+			ptime: { offer: offerMedia.ptime, answer: answerMedia ? answerMedia.ptime : null },
+			rtcp: {
+				offer: offerMedia.rtcp_mux ? 'rtcp-mux' : (offerMedia.rtcp ? offerMedia.rtcp.port : null),
+				answer: answerMedia ? (answerMedia.rtcp_mux ? 'rtcp-mux' : (answerMedia.rtcp ? answerMedia.rtcp.port : null)) : null
+			},
+			telephone_event: {
+				offer: offerMedia.telephone_event ? offerMedia.telephone_event.payload_type : null,
+				answer: answerMedia && answerMedia.telephone_event ? answerMedia.telephone_event.payload_type : null
+			},
+			rejected
+		}
+
+		if (offerMedia.type !== 'audio') return entry
+
+		for (const [role, section, party] of [['offer', offerMedia, offerFrom], ['answer', answerMedia, answerFrom]]) {
+			if (!section) continue
+			const address = section.connection_address
+			if (isPrivateAddress(address)) {
+				addRisk('private_media_address', 'critical', `${role === 'offer' ? 'Offer' : 'Answer'} from ${party} advertises private media address ${address}:${section.port} — RTP cannot reach it without NAT traversal (one-way or no audio)`)
+			}
+			if (isHoldAddress(address)) {
+				addRisk('hold_address', 'warn', `${role === 'offer' ? 'Offer' : 'Answer'} from ${party} uses c=0.0.0.0 — media is on hold (RFC 2543 style)`)
+			}
+			if (section.direction === 'inactive' || section.direction === 'sendonly') {
+				addRisk('held_direction', 'info', `${role === 'offer' ? 'Offer' : 'Answer'} from ${party} sets a=${section.direction} — ${section.direction === 'inactive' ? 'no audio in either direction' : 'audio flows one way only (hold/music on hold)'}`)
+			}
+		}
+
+		if (!answer) {
+			addRisk('no_answer_sdp', 'info', `Offer from ${offerFrom} (${offerIn}) has no SDP answer in the trace`)
+		} else if (!answerMedia) {
+			addRisk('missing_answer_stream', 'warn', `Answer from ${answerFrom} has no m= line for offered ${offerMedia.type} stream ${i + 1}`)
+		} else if (rejected) {
+			addRisk('stream_rejected', 'critical', `Answer from ${answerFrom} rejected the ${offerMedia.type} stream (port 0) — no audio`)
+		} else if (shared.length === 0) {
+			addRisk('no_shared_codec', 'critical', `No shared codec: offer [${offerCodecs.join(', ')}] vs answer [${answerCodecs.join(', ')}] — expect 488 or silence`)
+		} else if (answerCodecs.some(name => !offerCodecs.includes(name))) {
+			addRisk('codec_not_offered', 'warn', `Answer from ${answerFrom} includes codecs not in the offer: ${answerCodecs.filter(n => !offerCodecs.includes(n)).join(', ')}`)
+		}
+		if (answerMedia && !rejected && effective && effective !== 'sendrecv' && offerMedia.direction === 'sendrecv') {
+			addRisk('one_way_direction', 'warn', `Negotiated direction is ${effective} for ${offerFrom} — audio will not flow both ways`)
+		}
+		if (answerMedia && offerMedia.telephone_event && !answerMedia.telephone_event) {
+			addRisk('dtmf_not_negotiated', 'info', `telephone-event offered by ${offerFrom} but not answered — RFC 2833 DTMF will fall back to in-band or fail`)
+		}
+		return entry
+	})
+
+	return {
+		transaction_id: tx.id,
+		leg,
+		offer_from: offerFrom,
+		answer_from: answerFrom,
+		offer_in: offerIn,
+		answer_in: answerIn,
+		media,
+		risks
+	}
+}
+
+/**
+ * Returns the audio codec names of a media section (excluding telephone-event, CN, RED...).
+ *
+ * @param {Object} media - Parsed media section
+ * @returns {Array<string>} Upper-case codec names in preference order
+ */
+function audioCodecNames (media) {
+	return media.codecs
+		.map(c => c.name.toUpperCase())
+		.filter(name => !NON_AUDIO_CODECS.includes(name))
+}
+
+/**
+ * Resolves the effective direction from the offerer's point of view.
+ *
+ * @param {string} offerDirection - Offer direction attribute
+ * @param {string} answerDirection - Answer direction attribute
+ * @returns {string} sendrecv, sendonly, recvonly or inactive
+ */
+function effectiveDirection (offerDirection, answerDirection) {
+	const canSend = d => d === 'sendrecv' || d === 'sendonly'
+	const canRecv = d => d === 'sendrecv' || d === 'recvonly'
+	const send = canSend(offerDirection) && canRecv(answerDirection)
+	const recv = canRecv(offerDirection) && canSend(answerDirection)
+	if (send && recv) return 'sendrecv'
+	if (send) return 'sendonly'
+	if (recv) return 'recvonly'
+	return 'inactive'
+}
@@ -0,0 +1,213 @@
+/**
+ * Call Simulation — Routing Simulation End-to-End
+ *
+ * Submits a routing simulation (dialled number, CLI, switch IP, customer IP,
+ * registered user, routing engine), waits for the resulting `SIM` Call-ID to
+ * appear in logging, and runs it through investigateCallHandler so a routing
+ * fix can be checked end-to-end from chat.
+ *
+ * See the Simulation section of .github/instructions/call-debug.instructions.md.
+ */
+
+import { getApi, searchCallLogs, investigateCallHandler } from './callDebugTools'
+
+/**
+ * Simulation endpoint. call-debug.instructions.md documents the simulation
+ * parameters and the `SIM` Call-ID prefix but not the API path; this is the
+ * logging-area path the Control Panel Simulate action is expected to use.
+ * Confirm against the CP API reference if simulations are not created.
+ */
+export const SIMULATE_ENDPOINT = 'log/simulate'
+
+/** Prefix of simulated Call-IDs. */
+export const SIM_CALLID_PREFIX = 'SIM'
+
+/** Default time to wait for the SIM log entry. */
+const DEFAULT_WAIT_SECONDS = 20
+
+/** Upper bound on wait_seconds. */
+const MAX_WAIT_SECONDS = 60
+
+/** Interval between log polls. */
+const POLL_INTERVAL_MS = 2000
+
+const REGEX_IPV4 = /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/
+
+/**
+ * Default sleep between polls.
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after ms
+ */
+function sleep (ms) {
+	return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validates and normalises simulation parameters.
+ *
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Simulation request body
+ * @throws {Error} If a parameter is missing or malformed
+ */
+export function buildSimulationRequest (args) {
+	const dst = args.dst !== undefined && args.dst !== null ? String(args.dst).trim() : ''
+	if (!dst) {
+		throw new Error('Parameter "dst" (dialled number) is required but was not provided')
+	}
+	if (!/^\+?[\d*#]+$/.test(dst)) {
+		throw new Error(`Parameter "dst" must be a dialled number (digits, optional leading +), received "${dst}"`)
+	}
+
+	const request = { dst }
+	if (args.cli !== undefined && args.cli !== null && String(args.cli).trim() !== '') {
+		request.cli = String(args.cli).trim()
+	}
+
+	for (const name of ['switch_ip', 'customer_ip']) {
+		if (args[name] === undefined || args[name] === null || args[name] === '') continue
+		const ip = String(args[name]).trim()
+		if (!REGEX_IPV4.test(ip) || ip.split('.').some(o => Number(o) > 255)) {
+			throw new Error(`Parameter "${name}" must be an IPv4 address, received "${ip}"`)
+		}
+		request[name] = ip
+	}
+
+	if (args.registered_user) request.registered_user = String(args.registered_user).trim()
+	if (args.routing_engine !== undefined && args.routing_engine !== null && args.routing_engine !== '') {
+		request.routing_engine = args.routing_engine
+	}
+	return request
+}
+
+// ============================================================================
+// ENDPOINT FUNCTIONS
+// ============================================================================
+
+/**
+ * Submits a routing simulation.
+ *
+ * @param {Object} request - Body from buildSimulationRequest
+ * @returns {Promise<Object>} API response (may already contain the SIM callid)
+ */
+export function submitSimulation (request) {
+	const api = getApi()
+	return api.post(SIMULATE_ENDPOINT, request)
+}
+
+/**
+ * Lists SIM Call-IDs currently in the logs for a dialled number.
+ *
+ * @param {string} dst - Dialled number
+ * @returns {Promise<Array<Object>>} Log entries whose callid starts with SIM
+ */
+async function findSimulatedEntries (dst) {
+	const results = await searchCallLogs(dst)
+	return (Array.isArray(results) ? results : [])
+		.filter(entry => typeof entry.callid === 'string' && entry.callid.startsWith(SIM_CALLID_PREFIX))
+}
+
+/**
+ * Extracts a SIM Call-ID from the submit response, if the API returned one.
+ *
+ * @param {*} response - Submit response
+ * @returns {Object|null} { callid, callidb } or null
+ */
+function simulatedCallFromResponse (response) {
+	const candidates = Array.isArray(response) ? response : [response]
+	for (const item of candidates) {
+		if (item && typeof item.callid === 'string' && item.callid.startsWith(SIM_CALLID_PREFIX)) {
+			return { callid: item.callid, callidb: item.callidb || null }
+		}
+	}
+	return null
+}
+
+// ============================================================================
+// MCP TOOL HANDLER
+// ============================================================================
+
+/**
+ * MCP Tool Handler: simulateCall
+ *
+ * 1. Snapshot existing SIM entries for the dialled number
+ * 2. Submit the simulation
+ * 3. Poll the logs until a new SIM Call-ID appears (or the wait runs out)
+ * 4. Run investigateCallHandler on it
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.dst - Dialled number (required)
+ * @param {string} [args.cli] - CLI/ANI
+ * @param {string} [args.switch_ip] - Switch IP the call should traverse
+ * @param {string} [args.customer_ip] - IP the call originates from
+ * @param {string} [args.registered_user] - SIP extension user
+ * @param {string|number} [args.routing_engine] - Routing engine / regional zone
+ * @param {number} [args.wait_seconds] - How long to wait for the SIM log entry (default 20, max 60)
+ * @param {Object} [options] - Test hooks
+ * @param {Function} [options.sleep] - Replacement for the poll delay
+ * @param {number} [options.poll_interval_ms] - Poll interval (default 2000)
+ * @returns {Promise<Object>} Simulation details and the investigation of the SIM call
+ */
+export async function simulateCallHandler (args, options = {}) {
+	const wait = options.sleep || sleep
+	const interval = options.poll_interval_ms || POLL_INTERVAL_MS
+
+	try {
+		const request = buildSimulationRequest(args)
+		const waitSeconds = Math.min(Math.max(Number(args.wait_seconds) || DEFAULT_WAIT_SECONDS, 1), MAX_WAIT_SECONDS)
+		const maxAttempts = Math.max(1, Math.ceil(waitSeconds * 1000 / interval))
+
+		const before = new Set((await findSimulatedEntries(request.dst)).map(e => e.callid))
+		const response = await submitSimulation(request)
+
+		let simulated = simulatedCallFromResponse(response)
+		let attempts = 0
+		while (!simulated && attempts < maxAttempts) {
+			attempts++
+			await wait(interval)
+			const entry = (await findSimulatedEntries(request.dst)).find(e => !before.has(e.callid))
+			if (entry) simulated = { callid: entry.callid, callidb: entry.callidb || null }
+		}
+
+		const simulation = {
+			request,
+			endpoint: SIMULATE_ENDPOINT,
+			callid: simulated ? simulated.callid : null,
+			callidb: simulated ? simulated.callidb : null,
+			poll_attempts: attempts,
+			waited_ms: attempts * interval
+		}
+
+		if (!simulated) {
+			return {
+				success: false,
+				simulation,
+				submit_response: response,
+				message: `No ${SIM_CALLID_PREFIX} Call-ID appeared in the logs for ${request.dst} within ${waitSeconds}s`,
+				suggestions: [
+					`Search the logs for ${request.dst} later with searchCallLogs — simulations can take a while to be written`,
+					'Check the switch IP and customer IP match a configured switch and customer',
+					'Run the simulation from the Control Panel (Logging → Call-ID → Simulate) to confirm it is accepted'
+				]
+			}
+		}
+
+		const investigation = await investigateCallHandler({ callid: simulated.callid, callidb: simulated.callidb || undefined })
+
+		return {
+			success: true,
+			simulation,
+			investigation
+		}
+
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}
@@ -0,0 +1,377 @@
+/**
+ * SIP Timer Analysis — Retransmission Diagnosis
+ *
+ * Checks each transaction from sipTransactions.js against the RFC 3261
+ * timers documented in call-debug.instructions.md:
+ *
+ *   - Timer A / E: request retransmission backoff (T1 doubling; non-INVITE capped at T2)
+ *   - Timer B / F: transaction timeout after 64*T1 with no final response
+ *   - Timer G:     non-2xx final response retransmitted because the ACK was not received
+ *   - Timer H:     ACK never arrived for a final response
+ *   - 2xx retransmission (RFC 3261 13.3.1.4): the far end never got the ACK for 200 OK
+ *
+ * Every finding names the leg ("ip:port -> ip:port") it applies to.
+ * Pure analysis — no API calls.
+ */
+
+/** RTT estimate (ms). */
+export const T1_MS = 500
+
+/** Maximum retransmission interval for non-INVITE requests and responses (ms). */
+export const T2_MS = 4000
+
+/** Timer B / F / H — transaction timeout (ms). */
+export const TRANSACTION_TIMEOUT_MS = 64 * T1_MS
+
+/** Transports on which the transport layer, not SIP, handles retransmission. */
+const RELIABLE_TRANSPORTS = ['TCP', 'TLS', 'WS', 'WSS', 'SCTP']
+
+/** Relative tolerance applied to expected retransmission intervals. */
+const INTERVAL_TOLERANCE = 0.3
+
+/** Absolute tolerance (ms) added to the relative tolerance for capture jitter. */
+const INTERVAL_SLACK_MS = 30
+
+/**
+ * Analyses retransmissions and timer expiry across all transactions of a trace.
+ *
+ * @param {Array<Object>} transactions - Transactions from buildSipTransactions
+ * @param {Object} [options] - Analysis options
+ * @param {number|null} [options.trace_end_ms] - Epoch ms of the last trace row; used to decide whether a timer had time to fire
+ * @param {number} [options.t1_ms] - Override T1 (defaults to 500ms)
+ * @returns {Object} Retransmission analysis:
+ *   - {number} t1_ms - T1 used for the expected backoff
+ *   - {Array<Object>} findings - One entry per problem ({ type, severity, leg, transaction_id, method, cseq, message, ... })
+ *   - {Array<Object>} legs - Per-leg counters ({ leg, retransmitted_requests, retransmitted_responses, findings })
+ * @throws {Error} If transactions is not an array
+ */
+export function analyzeRetransmissions (transactions, options = {}) {
+	if (!Array.isArray(transactions)) {
+		throw new Error(`Parameter "transactions" must be an array, received ${typeof transactions}`)
+	}
+
+	const t1 = options.t1_ms !== undefined ? Number(options.t1_ms) : T1_MS
+	if (isNaN(t1) || t1 <= 0) {
+		throw new Error(`Parameter "t1_ms" must be a positive number, received ${options.t1_ms}`)
+	}
+	const timeout = 64 * t1
+	const traceEnd = options.trace_end_ms !== undefined ? options.trace_end_ms : null
+	const findings = []
+	const legs = {}
+
+	const legEntry = leg => {
+		if (!legs[leg]) legs[leg] = { leg, retransmitted_requests: 0, retransmitted_responses: 0, findings: 0 }
+		return legs[leg]
+	}
+	const add = finding => {
+		findings.push(finding)
+		legEntry(finding.leg).findings++
+	}
+
+	for (const tx of transactions) {
+		const responseLeg = `${tx.destination} -> ${tx.source}`
+
+		// --- Request retransmissions (Timer A / E) ---
+		if (tx.retransmissions.length > 0) {
+			legEntry(tx.leg).retransmitted_requests += tx.retransmissions.length
+			add(checkRequestBackoff(tx, t1))
+		}
+
+		// --- Timer B / F: no final response ---
+		if (!tx.final_response && tx.method !== 'ACK') {
+			const timeoutFinding = checkTransactionTimeout(tx, timeout, traceEnd)
+			if (timeoutFinding) add(timeoutFinding)
+		} else if (tx.final_response && tx.final_response.code === 408 && tx.timing.final_response_ms !== null &&
+			tx.timing.final_response_ms >= timeout * (1 - INTERVAL_TOLERANCE)) {
+			add({
+				type: tx.method === 'INVITE' ? 'timer_b_timeout' : 'timer_f_timeout',
+				severity: 'critical',
+				leg: tx.leg,
+				transaction_id: tx.id,
+				method: tx.method,
+				cseq: tx.cseq,
+				elapsed_ms: tx.timing.final_response_ms,
+				message: `${tx.method} (CSeq ${tx.cseq}) on ${tx.leg} timed out — 408 after ${Math.round(tx.timing.final_response_ms)}ms matches Timer ${tx.method === 'INVITE' ? 'B' : 'F'} (64*T1 = ${timeout}ms); the far end never sent a final response`
+			})
+		}
+
+		if (tx.method !== 'INVITE' || !tx.final_response) {
+			if (tx.final_response_retransmissions.length > 0) legEntry(responseLeg).retransmitted_responses += tx.final_response_retransmissions.length
+			continue
+		}
+
+		// --- INVITE final responses: ACK handling (Timer G / H, 2xx retransmission) ---
+		const final = tx.final_response
+		if (tx.final_response_retransmissions.length > 0) {
+			legEntry(responseLeg).retransmitted_responses += tx.final_response_retransmissions.length
+		}
+
+		if (final.code >= 300) {
+			if (tx.final_response_retransmissions.length > 0) {
+				add(checkResponseBackoff(tx, responseLeg, t1, 'non2xx_retransmission'))
+			}
+			if (!tx.ack && hadTimeToAck(tx, traceEnd, timeout)) {
+				add({
+					type: 'timer_h_missing_ack',
+					severity: 'warn',
+					leg: tx.leg,
+					transaction_id: tx.id,
+					method: tx.method,
+					cseq: tx.cseq,
+					message: `No ACK for ${final.code} ${final.reason} (CSeq ${tx.cseq}) on ${tx.leg} — Timer H (64*T1) expiry; the ${final.code} is likely not reaching ${tx.source}`
+				})
+			}
+		} else {
+			const ackTx = findAckForSuccess(tx, transactions)
+			if (tx.final_response_retransmissions.length > 0) {
+				const finding = checkResponseBackoff(tx, responseLeg, t1, 'ok_retransmission')
+				if (!ackTx) {
+					finding.severity = 'critical'
+					finding.message += ` — no ACK was ever seen, ${tx.destination} will tear the call down after 64*T1`
+				} else {
+					finding.message += ` — ACK eventually arrived ${Math.round(ackTx.request.time_ms - final.time_ms)}ms after the 200 OK`
+				}
+				add(finding)
+			} else if (!ackTx && hadTimeToAck(tx, traceEnd, timeout)) {
+				add({
+					type: 'missing_ack',
+					severity: 'critical',
+					leg: tx.leg,
+					transaction_id: tx.id,
+					method: tx.method,
+					cseq: tx.cseq,
+					message: `No ACK for 200 OK (CSeq ${tx.cseq}) on ${tx.leg} — the call will be dropped by the answering side after 64*T1 (${timeout}ms)`
+				})
+			}
+		}
+	}
+
+	return {
+		t1_ms: t1,
+		findings,
+		legs: Object.values(legs)
+	}
+}
+
+/**
+ * Builds the expected retransmission interval schedule.
+ *
+ * @param {number} count - Number of intervals
+ * @param {number} t1 - T1 in ms
+ * @param {boolean} capAtT2 - True for non-INVITE requests and responses (cap at T2)
+ * @returns {Array<number>} Expected intervals in ms
+ */
+export function expectedBackoff (count, t1, capAtT2) {
+	const intervals = []
+	for (let i = 0; i < count; i++) {
+		const interval = t1 * Math.pow(2, i)
+		intervals.push(capAtT2 ? Math.min(interval, T2_MS) : interval)
+	}
+	return intervals
+}
+
+/**
+ * Compares observed intervals with the expected schedule.
+ *
+ * @param {Array<number>} observed - Observed intervals (ms)
+ * @param {Array<number>} expected - Expected intervals (ms)
+ * @returns {{ matches: boolean, deviations: Array<Object> }} Whether every interval is within tolerance, and the ones that are not
+ */
+function compareIntervals (observed, expected) {
+	const deviations = []
+	observed.forEach((actual, i) => {
+		const want = expected[i]
+		const allowed = want * INTERVAL_TOLERANCE + INTERVAL_SLACK_MS
+		if (Math.abs(actual - want) > allowed) {
+			deviations.push({ index: i + 1, observed_ms: actual, expected_ms: want, direction: actual < want ? 'early' : 'late' })
+		}
+	})
+	return { matches: deviations.length === 0, deviations }
+}
+
+/**
+ * Returns the intervals between an original send and its retransmissions.
+ *
+ * @param {Object} first - First event ({ time_ms })
+ * @param {Array<Object>} repeats - Retransmitted events ({ time_ms })
+ * @returns {Array<number>} Intervals in ms (rounded to 0.1ms)
+ */
+function intervalsOf (first, repeats) {
+	const times = [first].concat(repeats).map(e => e.time_ms).filter(t => t !== null && t !== undefined)
+	const intervals = []
+	for (let i = 1; i < times.length; i++) intervals.push(+(times[i] - times[i - 1]).toFixed(1))
+	return intervals
+}
+
+/**
+ * Checks request retransmissions against Timer A (INVITE) or Timer E (non-INVITE).
+ *
+ * @param {Object} tx - Transaction with at least one retransmission
+ * @param {number} t1 - T1 in ms
+ * @returns {Object} Finding
+ */
+function checkRequestBackoff (tx, t1) {
+	const isInvite = tx.method === 'INVITE'
+	const copies = tx.retransmissions.length + 1
+	const intervals = intervalsOf(tx.request, tx.retransmissions)
+	const expected = expectedBackoff(intervals.length, t1, !isInvite)
+	const provisional = tx.provisional_responses[0] || null
+
+	// Non-INVITE requests switch to T2 once a provisional arrives (RFC 3261 17.1.2.2)
+	if (!isInvite && provisional) {
+		const sends = [tx.request].concat(tx.retransmissions)
+		for (let i = 1; i < sends.length; i++) {
+			if (sends[i - 1].time_ms >= provisional.time_ms) expected[i - 1] = T2_MS
+		}
+	}
+
+	const comparison = compareIntervals(intervals, expected)
+	const timer = isInvite ? 'Timer A' : 'Timer E'
+	const reliable = RELIABLE_TRANSPORTS.includes(String(tx.protocol || '').toUpperCase())
+	const afterProvisional = isInvite && provisional
+		? tx.retransmissions.filter(r => r.time_ms > provisional.time_ms).length
+		: 0
+
+	let severity = 'warn'
+	let message = `${tx.method} retransmitted (${copies} copies, CSeq ${tx.cseq}) on ${tx.leg}`
+	if (reliable) {
+		message += ` over ${tx.protocol} — SIP must not retransmit on a reliable transport; check for duplicate sends or a proxy replaying requests`
+	} else if (comparison.matches) {
+		message += ` — intervals ${intervals.join('/')}ms follow ${timer} backoff; requests or their responses are being lost on this leg`
+	} else {
+		message += ` — intervals ${intervals.join('/')}ms do not follow ${timer} backoff (expected ${expected.join('/')}ms); the sender's T1 or timer handling is non-standard`
+	}
+	if (afterProvisional > 0) {
+		severity = 'critical'
+		message += `; ${afterProvisional} cop${afterProvisional === 1 ? 'y' : 'ies'} sent after a ${provisional.code} — the provisional response is not reaching ${tx.source}`
+	}
+	if (copies >= 7 && !reliable) severity = 'critical'
+
+	return {
+		type: reliable ? 'retransmission_on_reliable_transport' : 'request_retransmission',
+		severity,
+		leg: tx.leg,
+		transaction_id: tx.id,
+		method: tx.method,
+		cseq: tx.cseq,
+		copies,
+		intervals_ms: intervals,
+		expected_intervals_ms: expected,
+		matches_backoff: comparison.matches,
+		deviations: comparison.deviations,
+		message
+	}
+}
+
+/**
+ * Checks final response retransmissions (Timer G for non-2xx, RFC 3261 13.3.1.4 for 2xx).
+ *
+ * @param {Object} tx - INVITE transaction
+ * @param {string} responseLeg - Leg the response travels on
+ * @param {number} t1 - T1 in ms
+ * @param {string} type - Finding type ('non2xx_retransmission' or 'ok_retransmission')
+ * @returns {Object} Finding
+ */
+function checkResponseBackoff (tx, responseLeg, t1, type) {
+	const final = tx.final_response
+	const copies = tx.final_response_retransmissions.length + 1
+	const intervals = intervalsOf(final, tx.final_response_retransmissions)
+	const expected = expectedBackoff(intervals.length, t1, true)
+	const comparison = compareIntervals(intervals, expected)
+	const label = `${final.code} ${final.reason}`.trim()
+
+	return {
+		type,
+		severity: 'warn',
+		leg: responseLeg,
+		transaction_id: tx.id,
+		method: tx.method,
+		cseq: tx.cseq,
+		copies,
+		intervals_ms: intervals,
+		expected_intervals_ms: expected,
+		matches_backoff: comparison.matches,
+		deviations: comparison.deviations,
+		message: type === 'ok_retransmission'
+			? `${label} retransmitted (${copies} copies, CSeq ${tx.cseq}) on ${responseLeg} — ${tx.source} did not ACK the answer in time`
+			: `${label} retransmitted (${copies} copies, CSeq ${tx.cseq}) on ${responseLeg} — Timer G firing, the ACK from ${tx.source} is not arriving`
+	}
+}
+
+/**
+ * Decides whether a transaction without a final response hit Timer B/F.
+ *
+ * @param {Object} tx - Transaction with no final response
+ * @param {number} timeout - 64*T1 in ms
+ * @param {number|null} traceEnd - Epoch ms of the last trace row
+ * @returns {Object|null} Finding, or null for transactions that need no report
+ */
+function checkTransactionTimeout (tx, timeout, traceEnd) {
+	const sends = [tx.request].concat(tx.retransmissions)
+	const lastSend = sends[sends.length - 1]
+	const observedSpan = traceEnd !== null && tx.request.time_ms !== null ? traceEnd - tx.request.time_ms : null
+	const timer = tx.method === 'INVITE' ? 'B' : 'F'
+
+	// An INVITE that received a provisional waits for the callee — Timer B no longer applies
+	if (tx.method === 'INVITE' && tx.provisional_responses.length > 0) return null
+
+	const fullSchedule = tx.method === 'INVITE' ? sends.length >= 7 : sends.length >= 11
+	if ((observedSpan !== null && observedSpan >= timeout * (1 - INTERVAL_TOLERANCE)) || fullSchedule) {
+		return {
+			type: tx.method === 'INVITE' ? 'timer_b_timeout' : 'timer_f_timeout',
+			severity: 'critical',
+			leg: tx.leg,
+			transaction_id: tx.id,
+			method: tx.method,
+			cseq: tx.cseq,
+			copies: sends.length,
+			elapsed_ms: lastSend.time_ms !== null && tx.request.time_ms !== null ? +(lastSend.time_ms - tx.request.time_ms).toFixed(1) : null,
+			message: `${tx.method} (CSeq ${tx.cseq}) on ${tx.leg} got no response after ${sends.length} cop${sends.length === 1 ? 'y' : 'ies'} — Timer ${timer} (64*T1 = ${timeout}ms) expired; ${tx.destination} is unreachable or a firewall is dropping SIP`
+		}
+	}
+
+	if (tx.method === 'INVITE' || tx.method === 'BYE') {
+		return {
+			type: 'no_final_response',
+			severity: 'info',
+			leg: tx.leg,
+			transaction_id: tx.id,
+			method: tx.method,
+			cseq: tx.cseq,
+			copies: sends.length,
+			message: `${tx.method} (CSeq ${tx.cseq}) on ${tx.leg} has no final response in the trace, which ends before Timer ${timer} would fire`
+		}
+	}
+	return null
+}
+
+/**
+ * Whether the trace runs long enough after a final response for a missing
+ * ACK to be meaningful: Timer H (64*T1, with the configured T1) must have
+ * expired before the last trace row.
+ *
+ * @param {Object} tx - INVITE transaction with a final response
+ * @param {number|null} traceEnd - Epoch ms of the last trace row
+ * @param {number} timeout - 64*T1 in ms
+ * @returns {boolean} True if a missing ACK should be reported
+ */
+function hadTimeToAck (tx, traceEnd, timeout) {
+	if (traceEnd === null || tx.final_response.time_ms === null) return true
+	return traceEnd - tx.final_response.time_ms >= timeout
+}
+
+/**
+ * Finds the ACK transaction for a 2xx response to an INVITE.
+ *
+ * @param {Object} inviteTx - INVITE transaction answered with 2xx
+ * @param {Array<Object>} transactions - All transactions of the trace
+ * @returns {Object|null} ACK transaction or null if none was captured
+ */
+function findAckForSuccess (inviteTx, transactions) {
+	return transactions.find(tx =>
+		tx.method === 'ACK' &&
+		tx.call_id === inviteTx.call_id &&
+		(inviteTx.cseq === null || tx.cseq === null || tx.cseq === inviteTx.cseq) &&
+		tx.source.split(':')[0] === inviteTx.source.split(':')[0]
+	) || null
+}
@@ -0,0 +1,632 @@
+/**
+ * SIP Trace Fixtures
+ *
+ * Synthetic log/trace rows for testing the trace analysers offline. Each
+ * fixture is built from a short step list and produces rows with the same
+ * fields as the real log/trace endpoint (including a full raw `msg`), so the
+ * analysers exercise the same parsing paths they use in production.
+ *
+ * Addresses use the RFC 5737 documentation ranges.
+ */
+
+/** Customer UAC sending traffic into the switch. */
+export const CUSTOMER = { ip: '203.0.113.10', port: 5060 }
+
+/** ConnexCS switch (B2BUA). */
+export const SWITCH = { ip: '198.51.100.5', port: 5060 }
+
+/** First-choice carrier. */
+export const CARRIER_A = { ip: '192.0.2.20', port: 5060 }
+
+/** Second-choice carrier. */
+export const CARRIER_B = { ip: '192.0.2.40', port: 5060 }
+
+/** Third-choice carrier. */
+export const CARRIER_C = { ip: '192.0.2.60', port: 5060 }
+
+/** Default trace start used by all fixtures. */
+const DEFAULT_START = '2026-03-02T10:00:00.000Z'
+
+/**
+ * Builds log/trace rows from a list of fixture steps.
+ *
+ * Request steps: `{ at, from, to, method, branch, cseq, fromTag, toTag, headers, sdp, callid, ruriUser, viaSentBy, viaParams, contact }`
+ * Response steps: `{ at, reply, code, reason, toTag, headers, sdp, contact }` — `reply` is the index of the request step being answered
+ *
+ * `viaSentBy` / `contact` ("host:port") replace the packet source in the Via
+ * sent-by and Contact URI, and `viaParams` (e.g. ";received=10.0.0.1") is
+ * appended to the Via — for NAT fixtures where the headers disagree with the
+ * address the packet came from.
+ * Repeat steps: `{ at, repeat }` — re-sends an earlier step unchanged (retransmission)
+ *
+ * `at` is the offset from the trace start in milliseconds (fractions allowed).
+ *
+ * @param {Object} call - Call-level defaults
+ * @param {string} call.callid - Call-ID for every step without its own callid
+ * @param {string} call.from_user - Caller number
+ * @param {string} call.to_user - Called number
+ * @param {string} [call.start] - ISO start time (defaults to 2026-03-02T10:00:00Z)
+ * @param {string} [call.protocol] - Transport (defaults to UDP)
+ * @param {Array<Object>} steps - Fixture steps in chronological order
+ * @returns {Array<Object>} log/trace rows
+ * @throws {Error} If a response or repeat step references an unknown step
+ */
+export function buildTrace (call, steps) {
+  const startMs = new Date(call.start || DEFAULT_START).getTime()
+  const protocol = call.protocol || 'UDP'
+  const built = []
+  let previousMicro = null
+
+  steps.forEach((step, index) => {
+    let row
+    if (step.repeat !== undefined) {
+      const original = built[step.repeat]
+      if (!original) throw new Error(`Fixture step ${index} repeats unknown step ${step.repeat}`)
+      row = { ...original }
+    } else if (step.reply !== undefined) {
+      const request = built[step.reply]
+      if (!request) throw new Error(`Fixture step ${index} replies to unknown step ${step.reply}`)
+      row = buildResponseRow(call, request, step)
+    } else {
+      row = buildRequestRow(call, step, protocol)
+    }
+
+    const micro = Math.round((startMs + step.at) * 1000)
+    row.id = index + 1
+    row.micro_ts = micro
+    row.date = new Date(startMs + step.at).toISOString()
+    row.delta = previousMicro === null ? 0 : micro - previousMicro
+    previousMicro = micro
+    built.push(row)
+  })
+
+  return clean(built)
+}
+
+/**
+ * Builds a request row and its raw message.
+ *
+ * @param {Object} call - Call-level defaults
+ * @param {Object} step - Request step
+ * @param {string} protocol - Transport
+ * @returns {Object} log/trace row (without id/timing)
+ */
+function buildRequestRow (call, step, protocol) {
+  const callid = step.callid || call.callid
+  const ruriUser = step.ruriUser || call.to_user
+  const fromUser = step.fromUser || call.from_user
+  const toUser = step.toUser || call.to_user
+  const via = `SIP/2.0/${protocol} ${step.viaSentBy || `${step.from.ip}:${step.from.port}`};branch=${step.branch};rport${step.viaParams || ''}`
+  const fromHeader = `<sip:${fromUser}@${step.from.ip}>;tag=${step.fromTag}`
+  const toHeader = `<sip:${toUser}@${step.to.ip}>${step.toTag ? `;tag=${step.toTag}` : ''}`
+  const cseq = `${step.cseq} ${step.method}`
+  const body = step.sdp || ''
+  const lines = [
+    `${step.method} sip:${ruriUser}@${step.to.ip}:${step.to.port} SIP/2.0`,
+    `Via: ${via}`,
+    'Max-Forwards: 70',
+    `From: ${fromHeader}`,
+    `To: ${toHeader}`,
+    `Call-ID: ${callid}`,
+    `CSeq: ${cseq}`,
+    `Contact: <sip:${fromUser}@${step.contact || `${step.from.ip}:${step.from.port}`}>`,
+    `User-Agent: ${step.userAgent || call.user_agent || 'FixtureUA/1.0'}`
+  ].concat(step.headers || [])
+  if (body) lines.push('Content-Type: application/sdp')
+  lines.push(`Content-Length: ${body.length}`)
+
+  return {
+    callid,
+    method: step.method,
+    reply_reason: '',
+    ruri: `sip:${ruriUser}@${step.to.ip}:${step.to.port}`,
+    ruri_user: ruriUser,
+    from_user: fromUser,
+    to_user: toUser,
+    user_agent: step.userAgent || call.user_agent || 'FixtureUA/1.0',
+    source_ip: step.from.ip,
+    source_port: step.from.port,
+    destination_ip: step.to.ip,
+    destination_port: step.to.port,
+    protocol,
+    msg: lines.join('\r\n') + '\r\n\r\n' + body,
+    _via: via,
+    _from: fromHeader,
+    _to: toHeader,
+    _cseq: cseq
+  }
+}
+
+/**
+ * Builds a response row answering an earlier request row.
+ *
+ * @param {Object} call - Call-level defaults
+ * @param {Object} request - The request row being answered
+ * @param {Object} step - Response step
+ * @returns {Object} log/trace row (without id/timing)
+ */
+function buildResponseRow (call, request, step) {
+  const body = step.sdp || ''
+  const toHeader = step.toTag ? `${request._to.replace(/;tag=[^;]+/, '')};tag=${step.toTag}` : request._to
+  const lines = [
+    `SIP/2.0 ${step.code} ${step.reason}`,
+    `Via: ${request._via}`,
+    `From: ${request._from}`,
+    `To: ${toHeader}`,
+    `Call-ID: ${request.callid}`,
+    `CSeq: ${request._cseq}`,
+    `Server: ${step.userAgent || 'FixtureUAS/1.0'}`
+  ].concat(step.contact ? [`Contact: <sip:${request.to_user}@${step.contact}>`] : [], step.headers || [])
+  if (body) lines.push('Content-Type: application/sdp')
+  lines.push(`Content-Length: ${body.length}`)
+
+  return {
+    callid: request.callid,
+    method: String(step.code),
+    reply_reason: step.reason,
+    ruri: '',
+    ruri_user: '',
+    from_user: request.from_user,
+    to_user: request.to_user,
+    user_agent: step.userAgent || 'FixtureUAS/1.0',
+    source_ip: request.destination_ip,
+    source_port: request.destination_port,
+    destination_ip: request.source_ip,
+    destination_port: request.source_port,
+    protocol: request.protocol,
+    msg: lines.join('\r\n') + '\r\n\r\n' + body,
+    _via: request._via,
+    _from: request._from,
+    _to: toHeader,
+    _cseq: request._cseq
+  }
+}
+
+/**
+ * Removes the private helper fields used while building a fixture.
+ *
+ * @param {Array<Object>} rows - Rows from buildTrace
+ * @returns {Array<Object>} Rows shaped exactly like log/trace output
+ */
+function clean (rows) {
+  return rows.map(row => {
+    const { _via, _from, _to, _cseq, ...rest } = row
+    return rest
+  })
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * Customer INVITE challenged with 407, re-sent with credentials, then
+ * answered and cleared normally by the caller.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function authChallengeConnectedTrace () {
+  return buildTrace({ callid: 'fx-auth-ok@203.0.113.10', from_user: '441234567890', to_user: '15551234567' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-auth-1', cseq: 1, fromTag: 'cust1' },
+    { at: 8, reply: 0, code: 407, reason: 'Proxy Authentication Required', toTag: 'sw-407', headers: ['Proxy-Authenticate: Digest realm="connexcs", nonce="abc123"'] },
+    { at: 10, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-auth-1', cseq: 1, fromTag: 'cust1', toTag: 'sw-407' },
+    { at: 30, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-auth-2', cseq: 2, fromTag: 'cust1', headers: ['Proxy-Authorization: Digest username="1001", realm="connexcs", nonce="abc123", response="0f0f"'] },
+    { at: 34, reply: 3, code: 100, reason: 'Trying' },
+    { at: 1530, reply: 3, code: 180, reason: 'Ringing', toTag: 'sw-a' },
+    { at: 6530, reply: 3, code: 200, reason: 'OK', toTag: 'sw-a' },
+    { at: 6560, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-auth-3', cseq: 2, fromTag: 'cust1', toTag: 'sw-a' },
+    { at: 66560, from: CUSTOMER, to: SWITCH, method: 'BYE', branch: 'z9hG4bK-auth-4', cseq: 3, fromTag: 'cust1', toTag: 'sw-a' },
+    { at: 66580, reply: 8, code: 200, reason: 'OK', toTag: 'sw-a' }
+  ])
+}
+
+/**
+ * Customer INVITE retransmitted twice on UDP before the switch answers.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function inviteRetransmissionTrace () {
+  return buildTrace({ callid: 'fx-retrans@203.0.113.10', from_user: '441234567890', to_user: '15557654321' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-rt-1', cseq: 1, fromTag: 'cust2' },
+    { at: 500, repeat: 0 },
+    { at: 1500, repeat: 0 },
+    { at: 1520, reply: 0, code: 100, reason: 'Trying' },
+    { at: 2100, reply: 0, code: 183, reason: 'Session Progress', toTag: 'sw-b' },
+    { at: 4100, reply: 0, code: 486, reason: 'Busy Here', toTag: 'sw-b' },
+    { at: 4120, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-rt-1', cseq: 1, fromTag: 'cust2', toTag: 'sw-b' }
+  ])
+}
+
+/**
+ * Switch INVITE to a carrier that never answers: seven copies at the Timer A
+ * backoff, then the switch gives up (Timer B) and returns 408 to the customer.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function inviteTimeoutTrace () {
+  return buildTrace({ callid: 'fx-timeout@198.51.100.5', from_user: '441234567890', to_user: '4930123456' }, [
+    { at: 0, from: SWITCH, to: CARRIER_A, method: 'INVITE', branch: 'z9hG4bK-to-1', cseq: 10, fromTag: 'sw-to' },
+    { at: 500, repeat: 0 },
+    { at: 1500, repeat: 0 },
+    { at: 3500, repeat: 0 },
+    { at: 7500, repeat: 0 },
+    { at: 15500, repeat: 0 },
+    { at: 31500, repeat: 0 },
+    { at: 32000, from: SWITCH, to: CARRIER_A, method: 'CANCEL', branch: 'z9hG4bK-to-1', cseq: 10, fromTag: 'sw-to' }
+  ])
+}
+
+/**
+ * Call answered by the switch, but the customer's ACK never arrives: the
+ * 200 OK is retransmitted at T1 doubling (capped at T2) until the switch
+ * gives up and sends BYE.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function okRetransmissionNoAckTrace () {
+  return buildTrace({ callid: 'fx-noack@203.0.113.10', from_user: '441234567890', to_user: '15550001111' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-na-1', cseq: 1, fromTag: 'cust3' },
+    { at: 5, reply: 0, code: 100, reason: 'Trying' },
+    { at: 900, reply: 0, code: 180, reason: 'Ringing', toTag: 'sw-c' },
+    { at: 3000, reply: 0, code: 200, reason: 'OK', toTag: 'sw-c' },
+    { at: 3500, repeat: 3 },
+    { at: 4500, repeat: 3 },
+    { at: 6500, repeat: 3 },
+    { at: 10500, repeat: 3 },
+    { at: 14500, repeat: 3 },
+    { at: 35000, from: SWITCH, to: CUSTOMER, method: 'BYE', branch: 'z9hG4bK-na-2', cseq: 1, fromTag: 'sw-c', toTag: 'cust3', fromUser: '15550001111', toUser: '441234567890' },
+    { at: 35040, reply: 9, code: 200, reason: 'OK' }
+  ])
+}
+
+// ============================================================================
+// SDP FIXTURES
+// ============================================================================
+
+/** RTP/AVP payload types used by sdpBody for common codec names. */
+const FIXTURE_PAYLOAD_TYPES = { PCMU: 0, PCMA: 8, G722: 9, G729: 18 }
+
+/**
+ * Builds an SDP body for a single audio stream.
+ *
+ * @param {Object} media - Media description
+ * @param {string} media.ip - c= address
+ * @param {number} media.port - m= port
+ * @param {Array<string>} media.codecs - Codec names in preference order (PCMU, PCMA, G722, G729)
+ * @param {string} [media.direction] - Direction attribute (defaults to sendrecv)
+ * @param {boolean} [media.dtmf] - Offer telephone-event/8000 on payload 101
+ * @param {number} [media.version] - o= session version (defaults to 1)
+ * @returns {string} SDP text
+ */
+export function sdpBody (media) {
+  const formats = media.codecs.map(name => FIXTURE_PAYLOAD_TYPES[name])
+  if (media.dtmf) formats.push(101)
+  const lines = [
+    'v=0',
+    `o=fixture 1000 ${media.version || 1} IN IP4 ${media.ip}`,
+    's=-',
+    `c=IN IP4 ${media.ip}`,
+    't=0 0',
+    `m=audio ${media.port} RTP/AVP ${formats.join(' ')}`
+  ]
+  media.codecs.forEach(name => lines.push(`a=rtpmap:${FIXTURE_PAYLOAD_TYPES[name]} ${name}/8000`))
+  if (media.dtmf) {
+    lines.push('a=rtpmap:101 telephone-event/8000')
+    lines.push('a=fmtp:101 0-16')
+  }
+  lines.push('a=ptime:20')
+  lines.push(`a=${media.direction || 'sendrecv'}`)
+  return lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * Customer behind NAT offering a private c= address (with telephone-event);
+ * the switch answers from its public media address without DTMF. The
+ * switch → carrier leg negotiates normally.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function privateMediaTrace () {
+  return buildTrace({ callid: 'fx-private@203.0.113.10', from_user: '441234567890', to_user: '15552223333' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-pm-1', cseq: 1, fromTag: 'cust4', sdp: sdpBody({ ip: '192.168.1.20', port: 16000, codecs: ['PCMU', 'PCMA'], dtmf: true }) },
+    { at: 5, reply: 0, code: 100, reason: 'Trying' },
+    { at: 40, from: SWITCH, to: CARRIER_A, method: 'INVITE', branch: 'z9hG4bK-pm-2', cseq: 20, fromTag: 'sw-pm', callid: 'fx-private-b@198.51.100.5', sdp: sdpBody({ ip: '198.51.100.5', port: 30000, codecs: ['PCMU', 'PCMA'], dtmf: true }) },
+    { at: 1200, reply: 2, code: 200, reason: 'OK', toTag: 'carrier-pm', sdp: sdpBody({ ip: '192.0.2.21', port: 40000, codecs: ['PCMA'], dtmf: true }) },
+    { at: 1210, from: SWITCH, to: CARRIER_A, method: 'ACK', branch: 'z9hG4bK-pm-3', cseq: 20, fromTag: 'sw-pm', toTag: 'carrier-pm', callid: 'fx-private-b@198.51.100.5' },
+    { at: 1220, reply: 0, code: 200, reason: 'OK', toTag: 'sw-pm-a', sdp: sdpBody({ ip: '198.51.100.5', port: 30002, codecs: ['PCMA'] }) },
+    { at: 1250, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-pm-4', cseq: 1, fromTag: 'cust4', toTag: 'sw-pm-a' }
+  ])
+}
+
+/**
+ * Late-offer INVITE (no SDP) answered with an offer in the 200 OK and the
+ * answer in the ACK, followed by a re-INVITE that puts the call on hold with
+ * c=0.0.0.0 and a=sendonly.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function lateOfferHoldTrace () {
+  return buildTrace({ callid: 'fx-hold@203.0.113.10', from_user: '441234567890', to_user: '15554445555' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-ho-1', cseq: 1, fromTag: 'cust5' },
+    { at: 5, reply: 0, code: 100, reason: 'Trying' },
+    { at: 2000, reply: 0, code: 200, reason: 'OK', toTag: 'sw-ho', sdp: sdpBody({ ip: '198.51.100.5', port: 31000, codecs: ['PCMA', 'PCMU'], dtmf: true }) },
+    { at: 2030, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-ho-2', cseq: 1, fromTag: 'cust5', toTag: 'sw-ho', sdp: sdpBody({ ip: '203.0.113.10', port: 17000, codecs: ['PCMA'], dtmf: true }) },
+    { at: 20000, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-ho-3', cseq: 2, fromTag: 'cust5', toTag: 'sw-ho', sdp: sdpBody({ ip: '0.0.0.0', port: 17000, codecs: ['PCMA'], direction: 'sendonly', version: 2 }) },
+    { at: 20020, reply: 4, code: 200, reason: 'OK', toTag: 'sw-ho', sdp: sdpBody({ ip: '198.51.100.5', port: 31000, codecs: ['PCMA'], direction: 'recvonly', version: 2 }) },
+    { at: 20040, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-ho-4', cseq: 2, fromTag: 'cust5', toTag: 'sw-ho' }
+  ])
+}
+
+/**
+ * Switch offers G.729 only to a carrier that answers with PCMU — no codec in
+ * common, so the call connects without usable audio.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function noSharedCodecTrace () {
+  return buildTrace({ callid: 'fx-codec@198.51.100.5', from_user: '441234567890', to_user: '4930765432' }, [
+    { at: 0, from: SWITCH, to: CARRIER_B, method: 'INVITE', branch: 'z9hG4bK-nc-1', cseq: 5, fromTag: 'sw-nc', sdp: sdpBody({ ip: '198.51.100.5', port: 32000, codecs: ['G729'] }) },
+    { at: 30, reply: 0, code: 100, reason: 'Trying' },
+    { at: 2500, reply: 0, code: 200, reason: 'OK', toTag: 'carrier-nc', sdp: sdpBody({ ip: '192.0.2.41', port: 42000, codecs: ['PCMU'] }) },
+    { at: 2520, from: SWITCH, to: CARRIER_B, method: 'ACK', branch: 'z9hG4bK-nc-2', cseq: 5, fromTag: 'sw-nc', toTag: 'carrier-nc' }
+  ])
+}
+
+// ============================================================================
+// STIR/SHAKEN FIXTURES
+// ============================================================================
+
+/**
+ * Self-signed P-256 certificate (valid 2026-01-01 to 2028-01-01) whose key
+ * signed the fixture PASSporTs below.
+ */
+export const SHAKEN_TEST_CERTIFICATE = [
+  '-----BEGIN CERTIFICATE-----',
+  'MIIBPTCB5AIBATAKBggqhkjOPQQDAjArMRcwFQYDVQQDDA5TSEFLRU4gRml4dHVy',
+  'ZTEQMA4GA1UECgwHRXhhbXBsZTAeFw0yNjAxMDEwMDAwMDBaFw0yODAxMDEwMDAw',
+  'MDBaMCsxFzAVBgNVBAMMDlNIQUtFTiBGaXh0dXJlMRAwDgYDVQQKDAdFeGFtcGxl',
+  'MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAEnrYBLrFf1vSKN2uspoAYhgvE7ZD3',
+  '2umxBOlDiZiPice8HiWDM/P3rkAOQyBEMtzgOhhpyaAOnnZzIS7I/LQ4HzAKBggq',
+  'hkjOPQQDAgNIADBFAiEAg+c+SpKOGwaTt0SCpcc6B1+VTmyH2HT88cO2AWXFZdkC',
+  'ID3DNYJAbew2nqSsrbkOhlxClMyhhEigb97Dzvu9lKaA',
+  '-----END CERTIFICATE-----'
+].join('\n')
+
+/** A-attested PASSporT: orig 441234567890, dest 15556667777, iat = fixture start. */
+const SHAKEN_PASSPORT_A = 'eyJhbGciOiJFUzI1NiIsInBwdCI6InNoYWtlbiIsInR5cCI6InBhc3Nwb3J0IiwieDV1IjoiaHR0cHM6Ly9jZXJ0LmV4YW1wbGUub3JnL3NoYWtlbi5wZW0ifQ' +
+  '.eyJhdHRlc3QiOiJBIiwiZGVzdCI6eyJ0biI6WyIxNTU1NjY2Nzc3NyJdfSwiaWF0IjoxNzcyNDQ1NjAwLCJvcmlnIjp7InRuIjoiNDQxMjM0NTY3ODkwIn0sIm9yaWdpZCI6ImRlMzA1ZDU0LTc1YjQtNDMxYi1hZGIyLWViNmI5ZTU0NjAxNCJ9' +
+  '.L7qjs6ho6y52bEasQYb-TRuy6hq7pdg_72zCsSoL0CLCp8VUO4VHUTki5V-2G9ffGOfijjc1h45akim7cPtc9Q'
+
+/** C-attested PASSporT: orig 15550000000, dest 15558889999, iat = fixture start - 600s. */
+const SHAKEN_PASSPORT_C_STALE = 'eyJhbGciOiJFUzI1NiIsInBwdCI6InNoYWtlbiIsInR5cCI6InBhc3Nwb3J0IiwieDV1IjoiaHR0cHM6Ly9jZXJ0LmV4YW1wbGUub3JnL3NoYWtlbi5wZW0ifQ' +
+  '.eyJhdHRlc3QiOiJDIiwiZGVzdCI6eyJ0biI6WyIxNTU1ODg4OTk5OSJdfSwiaWF0IjoxNzcyNDQ1MDAwLCJvcmlnIjp7InRuIjoiMTU1NTAwMDAwMDAifSwib3JpZ2lkIjoiN2IxZTlhM2MtMmY0ZC00ZThhLTljNjEtMGQ1ZjJiOGU0YTE3In0' +
+  '.f34l4JvtopUhqVfpEBhESeGAr-wP1PVrPf-cui1CAMnTEE1uPElMzqtzwX1aVwIs8dspcZmtWjeux6UeCStgSw'
+
+/**
+ * Builds an Identity header line for a fixture PASSporT.
+ *
+ * @param {string} token - Compact PASSporT
+ * @returns {string} Identity header line
+ */
+function identityHeader (token) {
+  return `Identity: ${token};info=<https://cert.example.org/shaken.pem>;alg=ES256;ppt=shaken`
+}
+
+/**
+ * Carrier INVITE signed with a fresh A-attested PASSporT whose orig/dest
+ * match the From/To users.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function shakenSignedTrace () {
+  return buildTrace({ callid: 'fx-shaken-a@192.0.2.20', from_user: '441234567890', to_user: '15556667777' }, [
+    { at: 0, from: CARRIER_A, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-sh-1', cseq: 1, fromTag: 'carrier-sh', headers: [identityHeader(SHAKEN_PASSPORT_A)] },
+    { at: 500, repeat: 0 },
+    { at: 520, reply: 0, code: 100, reason: 'Trying' },
+    { at: 3000, reply: 0, code: 200, reason: 'OK', toTag: 'sw-sh' },
+    { at: 3020, from: CARRIER_A, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-sh-2', cseq: 1, fromTag: 'carrier-sh', toTag: 'sw-sh' }
+  ])
+}
+
+/**
+ * Carrier INVITE with a C-attested PASSporT signed ten minutes before the
+ * INVITE, for a different calling number than the From user.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function shakenStaleTrace () {
+  return buildTrace({ callid: 'fx-shaken-c@192.0.2.20', from_user: '441234567890', to_user: '15558889999' }, [
+    { at: 0, from: CARRIER_A, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-sc-1', cseq: 1, fromTag: 'carrier-sc', headers: [identityHeader(SHAKEN_PASSPORT_C_STALE)] },
+    { at: 30, reply: 0, code: 100, reason: 'Trying' },
+    { at: 900, reply: 0, code: 603, reason: 'Decline', toTag: 'sw-sc' },
+    { at: 920, from: CARRIER_A, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-sc-1', cseq: 1, fromTag: 'carrier-sc', toTag: 'sw-sc' }
+  ])
+}
+
+/**
+ * Same call as shakenSignedTrace, but the PASSporT carries the signature of
+ * a different token — the claims are intact, the signature must fail.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function shakenForgedTrace () {
+  const forged = SHAKEN_PASSPORT_A.split('.').slice(0, 2).concat(SHAKEN_PASSPORT_C_STALE.split('.')[2]).join('.')
+  return buildTrace({ callid: 'fx-shaken-forged@192.0.2.20', from_user: '441234567890', to_user: '15556667777' }, [
+    { at: 0, from: CARRIER_A, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-sf-1', cseq: 1, fromTag: 'carrier-sf', headers: [identityHeader(forged)] },
+    { at: 40, reply: 0, code: 100, reason: 'Trying' }
+  ])
+}
+
+// ============================================================================
+// ROUTE ADVANCE FIXTURES
+// ============================================================================
+
+/**
+ * Customer call that fails over twice before it connects: carrier A never
+ * answers and is cancelled after 3 s, carrier B rejects with 503, carrier C
+ * rings after 1 s and answers. The switch relays C's ringback and answer to
+ * the customer, who hangs up. Each carrier attempt has its own Call-ID.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function routeAdvanceTrace () {
+  const legA = 'fx-advance-b1@198.51.100.5'
+  const legB = 'fx-advance-b2@198.51.100.5'
+  const legC = 'fx-advance-b3@198.51.100.5'
+  return buildTrace({ callid: 'fx-advance@203.0.113.10', from_user: '441234567890', to_user: '4930111222' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-ra-1', cseq: 1, fromTag: 'cust-ra', sdp: sdpBody({ ip: '203.0.113.10', port: 16000, codecs: ['PCMA', 'PCMU'] }) },
+    { at: 4, reply: 0, code: 100, reason: 'Trying' },
+    { at: 30, from: SWITCH, to: CARRIER_A, method: 'INVITE', branch: 'z9hG4bK-ra-2', cseq: 101, fromTag: 'sw-ra1', callid: legA, sdp: sdpBody({ ip: '198.51.100.5', port: 30000, codecs: ['PCMA', 'PCMU'] }) },
+    { at: 530, repeat: 2 },
+    { at: 1530, repeat: 2 },
+    { at: 3000, from: SWITCH, to: CARRIER_A, method: 'CANCEL', branch: 'z9hG4bK-ra-2', cseq: 101, fromTag: 'sw-ra1', callid: legA },
+    { at: 3020, from: SWITCH, to: CARRIER_B, method: 'INVITE', branch: 'z9hG4bK-ra-3', cseq: 201, fromTag: 'sw-ra2', callid: legB, sdp: sdpBody({ ip: '198.51.100.5', port: 30002, codecs: ['PCMA', 'PCMU'] }) },
+    { at: 3400, reply: 6, code: 503, reason: 'Service Unavailable', toTag: 'carrier-b' },
+    { at: 3405, from: SWITCH, to: CARRIER_B, method: 'ACK', branch: 'z9hG4bK-ra-3', cseq: 201, fromTag: 'sw-ra2', toTag: 'carrier-b', callid: legB },
+    { at: 3420, from: SWITCH, to: CARRIER_C, method: 'INVITE', branch: 'z9hG4bK-ra-4', cseq: 301, fromTag: 'sw-ra3', callid: legC, sdp: sdpBody({ ip: '198.51.100.5', port: 30004, codecs: ['PCMA', 'PCMU'] }) },
+    { at: 3460, reply: 9, code: 100, reason: 'Trying' },
+    { at: 4420, reply: 9, code: 180, reason: 'Ringing', toTag: 'carrier-c' },
+    { at: 4430, reply: 0, code: 180, reason: 'Ringing', toTag: 'sw-ra' },
+    { at: 9430, reply: 9, code: 200, reason: 'OK', toTag: 'carrier-c', sdp: sdpBody({ ip: '192.0.2.61', port: 40000, codecs: ['PCMA'] }) },
+    { at: 9435, from: SWITCH, to: CARRIER_C, method: 'ACK', branch: 'z9hG4bK-ra-5', cseq: 301, fromTag: 'sw-ra3', toTag: 'carrier-c', callid: legC },
+    { at: 9440, reply: 0, code: 200, reason: 'OK', toTag: 'sw-ra', sdp: sdpBody({ ip: '198.51.100.5', port: 30006, codecs: ['PCMA'] }) },
+    { at: 9470, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-ra-6', cseq: 1, fromTag: 'cust-ra', toTag: 'sw-ra' },
+    { at: 69470, from: CUSTOMER, to: SWITCH, method: 'BYE', branch: 'z9hG4bK-ra-7', cseq: 2, fromTag: 'cust-ra', toTag: 'sw-ra' },
+    { at: 69480, reply: 17, code: 200, reason: 'OK', toTag: 'sw-ra' }
+  ])
+}
+
+// ============================================================================
+// NAT FIXTURES
+// ============================================================================
+
+/**
+ * Customer behind a NAT router that rewrites nothing: Via and Contact carry
+ * the phone's LAN address and port, but the SDP uses the public address
+ * (learned via STUN). The switch flagged it with X-CX-NAT / X-NAT-IDX.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function signallingNatTrace () {
+  return buildTrace({ callid: 'fx-nat-sig@203.0.113.10', from_user: '441234567890', to_user: '15551230001' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-ns-1', cseq: 1, fromTag: 'cust-ns', viaSentBy: '192.168.1.20:5062', contact: '192.168.1.20:5062', headers: ['X-CX-NAT: true', 'X-NAT-IDX: 19', 'X-LB-SEC: 9f2c1e77a0', 'X-Orig-IP: 203.0.113.10'], sdp: sdpBody({ ip: '203.0.113.10', port: 16000, codecs: ['PCMU'] }) },
+    { at: 5, reply: 0, code: 100, reason: 'Trying' },
+    { at: 900, reply: 0, code: 180, reason: 'Ringing', toTag: 'sw-ns' },
+    { at: 3000, reply: 0, code: 200, reason: 'OK', toTag: 'sw-ns', sdp: sdpBody({ ip: '198.51.100.5', port: 30000, codecs: ['PCMU'] }) },
+    { at: 3040, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-ns-2', cseq: 1, fromTag: 'cust-ns', toTag: 'sw-ns', viaSentBy: '192.168.1.20:5062', contact: '192.168.1.20:5062' }
+  ])
+}
+
+/**
+ * Customer behind two NATs (home router behind carrier-grade NAT): the Via
+ * carries a received= stamped by an inner SIP ALG with a 100.64/10 address,
+ * and Contact and SDP use different private networks.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function doubleNatTrace () {
+  return buildTrace({ callid: 'fx-nat-double@203.0.113.10', from_user: '441234567890', to_user: '15551230002' }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-nd-1', cseq: 1, fromTag: 'cust-nd', viaSentBy: '192.168.1.20:5060', viaParams: ';received=100.64.7.12', contact: '192.168.1.20:5060', headers: ['X-CX-NAT: true', 'X-NAT-IDX: 15'], sdp: sdpBody({ ip: '10.8.0.4', port: 16000, codecs: ['PCMU'] }) },
+    { at: 5, reply: 0, code: 100, reason: 'Trying' },
+    { at: 4000, reply: 0, code: 408, reason: 'Request Timeout', toTag: 'sw-nd' },
+    { at: 4040, from: CUSTOMER, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-nd-1', cseq: 1, fromTag: 'cust-nd', toTag: 'sw-nd', viaSentBy: '192.168.1.20:5060', viaParams: ';received=100.64.7.12' }
+  ])
+}
+
+/**
+ * Customer on a public address, relayed by the AnyEdge load balancer: the
+ * packet source is the load balancer, X-Orig-IP names the customer and
+ * X-CX-NAT is explicitly false.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function noNatLoadBalancedTrace () {
+  const anyEdge = { ip: '198.51.100.9', port: 5060 }
+  return buildTrace({ callid: 'fx-nat-none@203.0.113.10', from_user: '441234567890', to_user: '15551230003' }, [
+    { at: 0, from: anyEdge, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-nn-1', cseq: 1, fromTag: 'cust-nn', viaSentBy: '203.0.113.10:5060', contact: '203.0.113.10:5060', headers: ['X-CX-NAT: false', 'X-Orig-IP: 203.0.113.10', 'X-LB-SEC: 41d0be9c33', 'X-AnyEdge-Host: edge-lon-1'], sdp: sdpBody({ ip: '203.0.113.10', port: 16000, codecs: ['PCMA'] }) },
+    { at: 5, reply: 0, code: 100, reason: 'Trying' },
+    { at: 1100, reply: 0, code: 180, reason: 'Ringing', toTag: 'sw-nn' },
+    { at: 4000, reply: 0, code: 200, reason: 'OK', toTag: 'sw-nn', sdp: sdpBody({ ip: '198.51.100.5', port: 30000, codecs: ['PCMA'] }) },
+    { at: 4030, from: anyEdge, to: SWITCH, method: 'ACK', branch: 'z9hG4bK-nn-2', cseq: 1, fromTag: 'cust-nn', toTag: 'sw-nn', viaSentBy: '203.0.113.10:5060', contact: '203.0.113.10:5060' }
+  ])
+}
+
+// ============================================================================
+// REGISTRATION FIXTURES
+// ============================================================================
+
+/** Digest challenge sent by the switch registrar. */
+const REGISTER_CHALLENGE = 'WWW-Authenticate: Digest realm="sip.example.com", nonce="6f1c2a", algorithm=MD5, qop="auth"'
+
+/**
+ * Builds a digest Authorization header for a fixture REGISTER.
+ *
+ * @param {string} username - Digest username
+ * @returns {string} Authorization header line
+ */
+function registerCredentials (username) {
+  return `Authorization: Digest username="${username}", realm="sip.example.com", nonce="6f1c2a", uri="sip:198.51.100.5", response="0b4e7c", algorithm=MD5`
+}
+
+/**
+ * Phone behind a NAT router registering for an hour: challenged once, then
+ * registered with its LAN Contact. The refresh 55 minutes later arrives from
+ * a new NAT port — the router dropped the mapping in between — and no
+ * keep-alive is seen.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function natRegistrationTrace () {
+  const phone = { ip: '203.0.113.50', port: 40123 }
+  const rebound = { ip: '203.0.113.50', port: 40988 }
+  return buildTrace({ callid: 'fx-reg-nat@192.168.1.20', from_user: '1001', to_user: '1001', user_agent: 'Yealink SIP-T46U 108.86.0.20' }, [
+    { at: 0, from: phone, to: SWITCH, method: 'REGISTER', branch: 'z9hG4bK-rn-1', cseq: 1, fromTag: 'reg-rn', contact: '192.168.1.20:5062', viaSentBy: '192.168.1.20:5062', headers: ['Expires: 3600'] },
+    { at: 20, reply: 0, code: 401, reason: 'Unauthorized', toTag: 'sw-rn', headers: [REGISTER_CHALLENGE] },
+    { at: 60, from: phone, to: SWITCH, method: 'REGISTER', branch: 'z9hG4bK-rn-2', cseq: 2, fromTag: 'reg-rn', contact: '192.168.1.20:5062', viaSentBy: '192.168.1.20:5062', headers: ['Expires: 3600', registerCredentials('1001')] },
+    { at: 80, reply: 2, code: 200, reason: 'OK', toTag: 'sw-rn', headers: ['Contact: <sip:1001@192.168.1.20:5062>;expires=3600'] },
+    { at: 3300060, from: rebound, to: SWITCH, method: 'REGISTER', branch: 'z9hG4bK-rn-3', cseq: 3, fromTag: 'reg-rn', contact: '192.168.1.20:5062', viaSentBy: '192.168.1.20:5062', headers: ['Expires: 3600', registerCredentials('1001')] },
+    { at: 3300080, reply: 4, code: 200, reason: 'OK', toTag: 'sw-rn', headers: ['Contact: <sip:1001@192.168.1.20:5062>;expires=3600'] }
+  ])
+}
+
+/**
+ * Phone configured with the wrong password: every REGISTER with credentials
+ * is challenged again until the phone gives up.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function badPasswordRegistrationTrace () {
+  const phone = { ip: '203.0.113.60', port: 5060 }
+  return buildTrace({ callid: 'fx-reg-badpw@203.0.113.60', from_user: '1002', to_user: '1002' }, [
+    { at: 0, from: phone, to: SWITCH, method: 'REGISTER', branch: 'z9hG4bK-rb-1', cseq: 1, fromTag: 'reg-rb', headers: ['Expires: 300'] },
+    { at: 20, reply: 0, code: 401, reason: 'Unauthorized', toTag: 'sw-rb-1', headers: [REGISTER_CHALLENGE] },
+    { at: 60, from: phone, to: SWITCH, method: 'REGISTER', branch: 'z9hG4bK-rb-2', cseq: 2, fromTag: 'reg-rb', headers: ['Expires: 300', registerCredentials('1002')] },
+    { at: 80, reply: 2, code: 401, reason: 'Unauthorized', toTag: 'sw-rb-2', headers: [REGISTER_CHALLENGE] },
+    { at: 30060, from: phone, to: SWITCH, method: 'REGISTER', branch: 'z9hG4bK-rb-3', cseq: 3, fromTag: 'reg-rb', headers: ['Expires: 300', registerCredentials('1002')] },
+    { at: 30080, reply: 4, code: 401, reason: 'Unauthorized', toTag: 'sw-rb-3', headers: [REGISTER_CHALLENGE] }
+  ])
+}
+
+/**
+ * Softphone behind NAT that keeps its own pinhole open: it asks for 300 s,
+ * the registrar grants 120 s, the phone sends OPTIONS every 25 s on the same
+ * Call-ID and refreshes before the binding expires. The last OPTIONS goes
+ * unanswered.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+export function keepAliveRegistrationTrace () {
+  const phone = { ip: '203.0.113.70', port: 51000 }
+  const options = (at, n) => ({ at, from: phone, to: SWITCH, method: 'OPTIONS', branch: `z9hG4bK-rk-o${n}`, cseq: 10 + n, fromTag: 'reg-rk', contact: '10.1.1.5:5060', viaSentBy: '10.1.1.5:5060' })
+  return buildTrace({ callid: 'fx-reg-keepalive@10.1.1.5', from_user: '1003', to_user: '1003', user_agent: 'Zoiper rv2.10.20.6' }, [
+    { at: 0, from: phone, to: SWITCH, method: 'REGISTER', branch: 'z9hG4bK-rk-1', cseq: 1, fromTag: 'reg-rk', contact: '10.1.1.5:5060', viaSentBy: '10.1.1.5:5060', headers: ['Expires: 300', registerCredentials('1003')] },
+    { at: 25, reply: 0, code: 200, reason: 'OK', toTag: 'sw-rk', headers: ['Contact: <sip:1003@10.1.1.5:5060>;expires=120'] },
+    options(25000, 1),
+    { at: 25015, reply: 2, code: 200, reason: 'OK', toTag: 'sw-rk' },
+    options(50000, 2),
+    { at: 50015, reply: 4, code: 200, reason: 'OK', toTag: 'sw-rk' },
+    options(75000, 3),
+    { at: 100000, from: phone, to: SWITCH, method: 'REGISTER', branch: 'z9hG4bK-rk-2', cseq: 2, fromTag: 'reg-rk', contact: '10.1.1.5:5060', viaSentBy: '10.1.1.5:5060', headers: ['Expires: 300', registerCredentials('1003')] },
+    { at: 100025, reply: 7, code: 200, reason: 'OK', toTag: 'sw-rk', headers: ['Contact: <sip:1003@10.1.1.5:5060>;expires=120'] }
+  ])
+}
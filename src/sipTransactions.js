@@ -0,0 +1,606 @@
+/**
+ * SIP Transaction & Dialog Model
+ *
+ * Rebuilds RFC 3261 transactions and dialogs from log/trace rows so the
+ * analysers can tell a genuine retransmission (same transaction, sent again)
+ * apart from a new request such as an authenticated re-INVITE (new branch,
+ * new CSeq).
+ *
+ *   - Transaction: matched by top Via branch + sent-by + CSeq method (RFC 3261 17.1.3 / 17.2.3)
+ *   - Dialog: matched by Call-ID + From tag + To tag (RFC 3261 12)
+ *
+ * Pure parsing — no API calls.
+ */
+
+/** Compact header forms (RFC 3261 7.3.3) mapped to their full names. */
+const COMPACT_HEADERS = {
+	v: 'via',
+	i: 'call-id',
+	f: 'from',
+	t: 'to',
+	m: 'contact',
+	l: 'content-length',
+	c: 'content-type',
+	k: 'supported',
+	s: 'subject',
+	e: 'content-encoding',
+	o: 'event',
+	y: 'identity'
+}
+
+// ============================================================================
+// RAW MESSAGE PARSING
+// ============================================================================
+
+/**
+ * Parses a raw SIP message (the `msg` field of a log/trace row) into its
+ * start line, headers and body.
+ *
+ * Header names are lower-cased and compact forms are expanded. Every header
+ * maps to an array of values in the order they appear; comma-separated Via
+ * values are split into separate entries so index 0 is always the top Via.
+ *
+ * @param {string} raw - Full raw SIP message text
+ * @returns {Object|null} Parsed message, or null if raw is empty or not a string:
+ *   - {string} start_line - First line of the message
+ *   - {boolean} is_request - True for requests, false for responses
+ *   - {string|null} method - Request method (requests only)
+ *   - {string|null} request_uri - Request-URI (requests only)
+ *   - {number|null} status_code - Response status code (responses only)
+ *   - {string|null} reason - Response reason phrase (responses only)
+ *   - {Object<string, Array<string>>} headers - Header values keyed by lower-case name
+ *   - {string} body - Message body (SDP etc.), empty string if none
+ */
+export function parseSipMessage (raw) {
+	if (typeof raw !== 'string' || raw.trim() === '') return null
+
+	const normalized = raw.replace(/\r\n/g, '\n')
+	const splitAt = normalized.indexOf('\n\n')
+	const head = splitAt === -1 ? normalized : normalized.slice(0, splitAt)
+	const body = splitAt === -1 ? '' : normalized.slice(splitAt + 2)
+
+	const lines = head.split('\n')
+	const startLine = (lines.shift() || '').trim()
+	const headers = {}
+	let lastName = null
+
+	for (const line of lines) {
+		// Header folding — continuation lines start with whitespace
+		if (/^[ \t]/.test(line) && lastName) {
+			const values = headers[lastName]
+			values[values.length - 1] += ' ' + line.trim()
+			continue
+		}
+		const idx = line.indexOf(':')
+		if (idx === -1) continue
+
+		const rawName = line.slice(0, idx).trim().toLowerCase()
+		const name = COMPACT_HEADERS[rawName] || rawName
+		const value = line.slice(idx + 1).trim()
+
+		if (!headers[name]) headers[name] = []
+		if (name === 'via') {
+			value.split(',').map(v => v.trim()).filter(Boolean).forEach(v => headers[name].push(v))
+		} else {
+			headers[name].push(value)
+		}
+		lastName = name
+	}
+
+	const requestMatch = startLine.match(/^([A-Za-z]+)\s+(\S+)\s+SIP\/2\.0$/i)
+	const responseMatch = startLine.match(/^SIP\/2\.0\s+(\d{3})\s*(.*)$/i)
+
+	return {
+		start_line: startLine,
+		is_request: !!requestMatch,
+		method: requestMatch ? requestMatch[1].toUpperCase() : null,
+		request_uri: requestMatch ? requestMatch[2] : null,
+		status_code: responseMatch ? parseInt(responseMatch[1], 10) : null,
+		reason: responseMatch ? responseMatch[2].trim() : null,
+		headers,
+		body
+	}
+}
+
+/**
+ * Returns the first value of a header from a parsed SIP message.
+ *
+ * @param {Object|null} parsed - Result of parseSipMessage
+ * @param {string} name - Header name (case-insensitive, compact form accepted)
+ * @returns {string|null} First header value, or null if absent
+ */
+export function getSipHeader (parsed, name) {
+	if (!parsed || !parsed.headers || typeof name !== 'string') return null
+	const key = COMPACT_HEADERS[name.toLowerCase()] || name.toLowerCase()
+	const values = parsed.headers[key]
+	return values && values.length > 0 ? values[0] : null
+}
+
+/**
+ * Parses a single Via header value.
+ *
+ * @param {string} value - Via header value (e.g. "SIP/2.0/UDP 1.2.3.4:5060;branch=z9hG4bK1;rport=5060")
+ * @returns {Object|null} Parsed Via or null if value is empty:
+ *   - {string|null} transport - Transport token (UDP, TCP, TLS, WS...)
+ *   - {string|null} sent_by - host[:port] the request was sent from
+ *   - {string|null} branch - Transaction branch parameter
+ *   - {string|null} received - received= parameter (source IP seen by the next hop)
+ *   - {string|boolean|null} rport - rport= value, true if present without value, null if absent
+ */
+export function parseVia (value) {
+	if (!value || typeof value !== 'string') return null
+
+	const parts = value.split(';').map(p => p.trim())
+	const sentProtocol = parts.shift() || ''
+	const protoMatch = sentProtocol.match(/^SIP\s*\/\s*2\.0\s*\/\s*(\S+)\s+(\S+)/i)
+	const params = parseHeaderParams(parts)
+
+	return {
+		transport: protoMatch ? protoMatch[1].toUpperCase() : null,
+		sent_by: protoMatch ? protoMatch[2] : null,
+		branch: typeof params.branch === 'string' ? params.branch : null,
+		received: typeof params.received === 'string' ? params.received : null,
+		rport: params.rport === undefined ? null : params.rport
+	}
+}
+
+/**
+ * Parses a CSeq header value.
+ *
+ * @param {string} value - CSeq header value (e.g. "102 INVITE")
+ * @returns {{ seq: number, method: string }|null} Parsed CSeq or null if malformed
+ */
+export function parseCSeq (value) {
+	if (!value || typeof value !== 'string') return null
+	const match = value.trim().match(/^(\d+)\s+([A-Za-z]+)/)
+	if (!match) return null
+	return { seq: parseInt(match[1], 10), method: match[2].toUpperCase() }
+}
+
+/**
+ * Extracts the tag parameter from a From or To header value.
+ *
+ * @param {string} value - From/To header value
+ * @returns {string|null} Tag value or null if the header carries no tag
+ */
+export function extractTag (value) {
+	if (!value || typeof value !== 'string') return null
+	const match = value.match(/;\s*tag=([^;>\s,]+)/i)
+	return match ? match[1] : null
+}
+
+/**
+ * Parses ";name=value" header parameters into an object. Parameters without a
+ * value are set to true.
+ *
+ * @param {Array<string>} parts - Parameter strings (without the leading ";")
+ * @returns {Object<string, string|boolean>} Parameters keyed by lower-case name
+ */
+function parseHeaderParams (parts) {
+	const params = {}
+	for (const part of parts) {
+		if (!part) continue
+		const eq = part.indexOf('=')
+		if (eq === -1) {
+			params[part.toLowerCase()] = true
+		} else {
+			params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim()
+		}
+	}
+	return params
+}
+
+// ============================================================================
+// MESSAGE TIMING
+// ============================================================================
+
+/**
+ * Returns the time of a trace row in epoch milliseconds.
+ *
+ * Prefers `micro_ts` (microsecond precision, needed for retransmission
+ * intervals) and falls back to the ISO `date` field.
+ *
+ * @param {Object} row - log/trace row
+ * @returns {number|null} Epoch milliseconds (fractional when micro_ts is present), or null if unknown
+ */
+export function getMessageTimeMs (row) {
+	if (!row) return null
+	const micro = Number(row.micro_ts)
+	if (row.micro_ts !== undefined && row.micro_ts !== null && !isNaN(micro) && micro > 0) {
+		// micro_ts is microseconds since epoch; tolerate millisecond and second values
+		if (micro > 1e14) return micro / 1000
+		if (micro > 1e11) return micro
+		return micro * 1000
+	}
+	const parsed = new Date(row.date).getTime()
+	return isNaN(parsed) ? null : parsed
+}
+
+/**
+ * Resolves the time of every trace row in epoch milliseconds.
+ *
+ * Uses `micro_ts` where present. A row without `micro_ts` is placed `delta`
+ * microseconds after the previous row, so intervals stay precise even when
+ * only the ISO `date` (millisecond precision) is available for the first row.
+ *
+ * @param {Array<Object>} messages - log/trace rows in chronological order
+ * @returns {Array<number|null>} Epoch milliseconds per row (same index), null if unknown
+ * @throws {Error} If messages is not an array
+ */
+export function resolveMessageTimes (messages) {
+	if (!Array.isArray(messages)) {
+		throw new Error(`Parameter "messages" must be an array, received ${typeof messages}`)
+	}
+
+	const times = []
+	messages.forEach((row, index) => {
+		const hasMicro = row && row.micro_ts !== undefined && row.micro_ts !== null && Number(row.micro_ts) > 0
+		const delta = row ? Number(row.delta) : NaN
+		const previous = index > 0 ? times[index - 1] : null
+
+		if (!hasMicro && previous !== null && !isNaN(delta) && delta >= 0) {
+			times.push(previous + delta / 1000)
+		} else {
+			times.push(getMessageTimeMs(row))
+		}
+	})
+	return times
+}
+
+// ============================================================================
+// TRANSACTIONS & DIALOGS
+// ============================================================================
+
+/**
+ * Rebuilds SIP transactions and dialogs from log/trace rows.
+ *
+ * Requests are grouped by top Via branch, sent-by and CSeq method; a request
+ * seen again on the same hop is a retransmission, not a new transaction.
+ * Responses are matched to their transaction by the same key. An ACK for a
+ * non-2xx final response shares the INVITE branch and is folded into the
+ * INVITE transaction; an ACK for a 2xx is its own entry (RFC 3261 17.1.1.3).
+ *
+ * When a row has no raw `msg` the row fields are used and the old
+ * method/source/destination grouping is applied as a fallback.
+ *
+ * An INVITE challenged with 401/407 and followed by a new INVITE carrying
+ * credentials in the same dialog is linked via `auth_retry_of` /
+ * `superseded_by`, so it is never counted as a retransmission.
+ *
+ * @param {Array<Object>} messages - log/trace rows in chronological order
+ * @returns {Object} Transaction model:
+ *   - {Array<Object>} transactions - Transactions in order of first appearance
+ *   - {Array<Object>} dialogs - Dialogs in order of first appearance
+ *   - {Array<string|null>} message_transactions - Transaction id for each input row (same index)
+ *   - {number|null} trace_start_ms - Epoch ms of the first row
+ *   - {number|null} trace_end_ms - Epoch ms of the last row
+ * @throws {Error} If messages is not an array
+ */
+export function buildSipTransactions (messages) {
+	if (!Array.isArray(messages)) {
+		throw new Error(`Parameter "messages" must be an array, received ${typeof messages}`)
+	}
+
+	const transactions = []
+	const byKey = {}
+	const messageTransactions = []
+	const times = resolveMessageTimes(messages)
+	const startMs = times.length > 0 ? times[0] : null
+
+	messages.forEach((row, index) => {
+		const parsed = parseSipMessage(row.msg)
+		const info = describeRow(row, parsed, index, times[index], startMs)
+
+		if (info.is_request) {
+			const tx = handleRequest(info, transactions, byKey)
+			messageTransactions.push(tx ? tx.id : null)
+		} else {
+			const tx = handleResponse(info, transactions, byKey)
+			messageTransactions.push(tx ? tx.id : null)
+		}
+	})
+
+	for (const tx of transactions) finalizeTransaction(tx)
+	linkAuthRetries(transactions)
+	const dialogs = buildDialogs(transactions)
+
+	return {
+		transactions,
+		dialogs,
+		message_transactions: messageTransactions,
+		trace_start_ms: startMs,
+		trace_end_ms: times.length > 0 ? times[times.length - 1] : null
+	}
+}
+
+/**
+ * Collects the per-row facts needed for transaction matching.
+ *
+ * @param {Object} row - log/trace row
+ * @param {Object|null} parsed - Result of parseSipMessage(row.msg)
+ * @param {number} index - Row index in the trace
+ * @param {number|null} timeMs - Resolved time of this row (epoch ms)
+ * @param {number|null} startMs - Time of the first trace row (epoch ms)
+ * @returns {Object} Row description used by the request/response handlers
+ */
+function describeRow (row, parsed, index, timeMs, startMs) {
+	const code = parsed && parsed.status_code ? parsed.status_code : parseInt(row.method, 10)
+	const isRequest = parsed ? parsed.is_request : isNaN(code)
+	const topVia = parsed ? parseVia(getSipHeader(parsed, 'via')) : null
+	const cseq = parsed ? parseCSeq(getSipHeader(parsed, 'cseq')) : null
+
+	return {
+		index,
+		message_id: row.id !== undefined ? row.id : index,
+		time: row.date || null,
+		time_ms: timeMs,
+		offset_ms: timeMs !== null && startMs !== null ? +(timeMs - startMs).toFixed(3) : null,
+		is_request: isRequest,
+		method: isRequest ? ((parsed && parsed.method) || String(row.method || '').toUpperCase()) : null,
+		code: isRequest ? null : code,
+		reason: isRequest ? null : ((parsed && parsed.reason) || row.reply_reason || ''),
+		call_id: (parsed && getSipHeader(parsed, 'call-id')) || row.callid || null,
+		branch: topVia ? topVia.branch : null,
+		sent_by: topVia ? topVia.sent_by : null,
+		cseq,
+		from_tag: parsed ? extractTag(getSipHeader(parsed, 'from')) : null,
+		to_tag: parsed ? extractTag(getSipHeader(parsed, 'to')) : null,
+		from_user: row.from_user || null,
+		to_user: row.to_user || null,
+		has_credentials: !!(parsed && (getSipHeader(parsed, 'proxy-authorization') || getSipHeader(parsed, 'authorization'))),
+		source: `${row.source_ip}:${row.source_port}`,
+		destination: `${row.destination_ip}:${row.destination_port}`,
+		source_ip: row.source_ip,
+		destination_ip: row.destination_ip,
+		protocol: row.protocol || null
+	}
+}
+
+/**
+ * Builds the lookup key for a transaction.
+ *
+ * @param {Object} info - Row description
+ * @param {string} method - CSeq method the key is built for
+ * @param {string} hop - "requestSourceIp>requestDestinationIp"
+ * @returns {string} Transaction key
+ */
+function transactionKey (info, method, hop) {
+	if (info.branch) return `${info.branch}|${info.sent_by || ''}|${method}|${hop}`
+	// Fallback for rows without a raw message or RFC 2543 peers without a branch
+	const seq = info.cseq ? info.cseq.seq : 'legacy'
+	return `${info.call_id || ''}|${seq}|${method}|${hop}`
+}
+
+/**
+ * Matches a request row to an existing transaction or opens a new one.
+ *
+ * @param {Object} info - Row description
+ * @param {Array<Object>} transactions - Transactions built so far (mutated)
+ * @param {Object<string, Object>} byKey - Transaction lookup by key (mutated)
+ * @returns {Object} The transaction the request belongs to
+ */
+function handleRequest (info, transactions, byKey) {
+	const hop = `${info.source_ip}>${info.destination_ip}`
+	const method = info.method
+
+	// ACK for a non-2xx final response belongs to the INVITE transaction
+	if (method === 'ACK') {
+		const inviteTx = byKey[transactionKey(info, 'INVITE', hop)]
+		if (inviteTx && inviteTx.final_response && inviteTx.final_response.code >= 300) {
+			inviteTx.ack = inviteTx.ack || buildEvent(info)
+			return inviteTx
+		}
+	}
+
+	const key = transactionKey(info, method, hop)
+	const existing = byKey[key]
+	if (existing && (info.branch || info.cseq)) {
+		existing.retransmissions.push(buildEvent(info))
+		return existing
+	}
+	if (existing && !info.branch && !info.cseq && !existing.final_response) {
+		// No raw message to disambiguate — same method on the same hop before a
+		// final response is treated as a retransmission (legacy behaviour)
+		existing.retransmissions.push(buildEvent(info))
+		return existing
+	}
+
+	const tx = {
+		id: `tx${transactions.length + 1}`,
+		key,
+		method,
+		branch: info.branch,
+		cseq: info.cseq ? info.cseq.seq : null,
+		call_id: info.call_id,
+		from_tag: info.from_tag,
+		to_tag: info.to_tag,
+		from_user: info.from_user,
+		to_user: info.to_user,
+		protocol: info.protocol,
+		leg: `${info.source} -> ${info.destination}`,
+		source: info.source,
+		destination: info.destination,
+		has_credentials: info.has_credentials,
+		request: buildEvent(info),
+		retransmissions: [],
+		provisional_responses: [],
+		final_response: null,
+		final_response_retransmissions: [],
+		additional_final_responses: [],
+		ack: null,
+		timing: null,
+		auth_challenged: false,
+		auth_retry_of: null,
+		superseded_by: null
+	}
+	transactions.push(tx)
+	byKey[key] = tx
+	return tx
+}
+
+/**
+ * Matches a response row to its transaction.
+ *
+ * @param {Object} info - Row description
+ * @param {Array<Object>} transactions - Transactions built so far
+ * @param {Object<string, Object>} byKey - Transaction lookup by key
+ * @returns {Object|null} The matching transaction, or null if the request was not captured
+ */
+function handleResponse (info, transactions, byKey) {
+	// Responses travel back along the request's hop
+	const hop = `${info.destination_ip}>${info.source_ip}`
+	const cseqMethod = info.cseq ? info.cseq.method : null
+	let tx = null
+
+	if (cseqMethod) tx = byKey[transactionKey(info, cseqMethod, hop)] || null
+
+	if (!tx) {
+		// No raw message (or branch mismatch): attach to the latest open request on that hop
+		for (let i = transactions.length - 1; i >= 0; i--) {
+			const candidate = transactions[i]
+			if (candidate.method === 'ACK') continue
+			if (cseqMethod && candidate.method !== cseqMethod) continue
+			if (candidate.source === info.destination && candidate.destination === info.source) {
+				tx = candidate
+				break
+			}
+		}
+	}
+	if (!tx) return null
+
+	const event = { ...buildEvent(info), code: info.code, reason: info.reason, to_tag: info.to_tag }
+
+	if (info.code < 200) {
+		tx.provisional_responses.push(event)
+	} else if (!tx.final_response) {
+		tx.final_response = event
+		if (info.to_tag && !tx.to_tag) tx.to_tag = info.to_tag
+	} else if (tx.final_response.code === info.code && tx.final_response.to_tag === info.to_tag) {
+		tx.final_response_retransmissions.push(event)
+	} else {
+		// Forked 2xx or a late final response from another branch
+		tx.additional_final_responses.push(event)
+	}
+	return tx
+}
+
+/**
+ * Builds the compact event record stored on a transaction.
+ *
+ * @param {Object} info - Row description
+ * @returns {{ message_id: (number|string), index: number, time: (string|null), offset_ms: (number|null), time_ms: (number|null) }}
+ */
+function buildEvent (info) {
+	return {
+		message_id: info.message_id,
+		index: info.index,
+		time: info.time,
+		offset_ms: info.offset_ms,
+		time_ms: info.time_ms
+	}
+}
+
+/**
+ * Computes per-transaction timing relative to the first request.
+ *
+ * @param {Object} tx - Transaction (mutated)
+ * @returns {void}
+ */
+function finalizeTransaction (tx) {
+	const base = tx.request.time_ms
+	const since = event => (event && event.time_ms !== null && base !== null) ? +(event.time_ms - base).toFixed(3) : null
+	const firstProvisional = tx.provisional_responses[0] || null
+	const firstRinging = tx.provisional_responses.find(r => r.code === 180 || r.code === 183) || null
+
+	tx.timing = {
+		first_provisional_ms: since(firstProvisional),
+		first_ringing_ms: since(firstRinging),
+		final_response_ms: since(tx.final_response),
+		ack_ms: since(tx.ack)
+	}
+	tx.state = tx.final_response
+		? (tx.final_response.code < 300 ? 'completed' : 'failed')
+		: (tx.provisional_responses.length > 0 ? 'proceeding' : (tx.method === 'ACK' ? 'sent' : 'no_response'))
+	tx.auth_challenged = !!(tx.final_response && (tx.final_response.code === 401 || tx.final_response.code === 407))
+}
+
+/**
+ * Links challenged requests to the credentialed request that replaced them.
+ *
+ * @param {Array<Object>} transactions - Transactions (mutated)
+ * @returns {void}
+ */
+function linkAuthRetries (transactions) {
+	transactions.forEach((tx, i) => {
+		if (!tx.auth_challenged) return
+		const retry = transactions.slice(i + 1).find(next =>
+			next.method === tx.method &&
+			next.call_id === tx.call_id &&
+			next.source === tx.source &&
+			(!tx.from_tag || next.from_tag === tx.from_tag) &&
+			next.has_credentials &&
+			!next.auth_retry_of &&
+			(tx.cseq === null || next.cseq === null || next.cseq > tx.cseq)
+		)
+		if (retry) {
+			tx.superseded_by = retry.id
+			retry.auth_retry_of = tx.id
+		}
+	})
+}
+
+/**
+ * Groups transactions into dialogs keyed by Call-ID and the caller's From tag.
+ * Mid-dialog requests sent by the callee carry the tags swapped, so a
+ * transaction joins a dialog when either of its tags matches.
+ *
+ * @param {Array<Object>} transactions - Finalised transactions
+ * @returns {Array<Object>} Dialogs in order of first appearance
+ */
+function buildDialogs (transactions) {
+	const dialogs = []
+
+	for (const tx of transactions) {
+		if (!tx.call_id) continue
+		let dialog = dialogs.find(d => d.call_id === tx.call_id && (
+			(tx.from_tag && (tx.from_tag === d.from_tag || tx.from_tag === d.to_tag)) ||
+			(tx.to_tag && (tx.to_tag === d.from_tag || tx.to_tag === d.to_tag)) ||
+			(!tx.from_tag && !d.from_tag)
+		))
+
+		if (!dialog) {
+			dialog = {
+				id: null,
+				call_id: tx.call_id,
+				from_tag: tx.from_tag,
+				to_tag: null,
+				from_user: tx.from_user,
+				to_user: tx.to_user,
+				state: 'early',
+				established_at: null,
+				terminated_at: null,
+				transaction_ids: []
+			}
+			dialogs.push(dialog)
+		}
+		dialog.transaction_ids.push(tx.id)
+
+		const final = tx.final_response
+		if (tx.method === 'INVITE' && final && final.code >= 200 && final.code < 300) {
+			if (!dialog.established_at) dialog.established_at = final.time
+			if (final.to_tag && !dialog.to_tag) dialog.to_tag = final.to_tag
+			if (dialog.state !== 'terminated') dialog.state = 'confirmed'
+		} else if (tx.method === 'INVITE' && final && final.code >= 300 && dialog.state === 'early' && !tx.superseded_by) {
+			dialog.state = 'failed'
+		}
+		if (tx.method === 'BYE' || (tx.method === 'CANCEL' && final && final.code < 300)) {
+			dialog.state = 'terminated'
+			dialog.terminated_at = (final && final.time) || tx.request.time
+		}
+	}
+
+	for (const dialog of dialogs) {
+		dialog.id = `${dialog.call_id};from-tag=${dialog.from_tag || ''};to-tag=${dialog.to_tag || ''}`
+	}
+	return dialogs
+}
@@ -0,0 +1,280 @@
+/**
+ * STIR/SHAKEN Identity Analysis
+ *
+ * Decodes the PASSporT (RFC 8225 / RFC 8588) carried in the INVITE Identity
+ * header (RFC 8224) and checks it against the call:
+ *   - attestation level (A full / B partial / C gateway)
+ *   - orig / dest telephone numbers vs the From / To users
+ *   - iat freshness vs the time the INVITE was seen
+ *   - ES256 signature, verified offline when a PEM certificate is supplied
+ *
+ * The certificate named by x5u / info= is never fetched — pass its PEM in to
+ * verify the signature.
+ */
+
+import { parseSipMessage, getSipHeader, getMessageTimeMs } from './sipTransactions'
+import { base64ToBytes, bytesToUtf8, utf8ToBytes } from './binaryUtils'
+import { verifyEs256, publicKeyFromPem } from './es256'
+
+/** Maximum PASSporT age in seconds before it is considered stale (RFC 8224 §6.2.1). */
+export const IAT_MAX_AGE_SECONDS = 60
+
+/** SHAKEN attestation levels (ATIS-1000074). */
+const ATTESTATION_LEVELS = {
+	A: 'Full — the signer authenticated the customer and their right to use the calling number',
+	B: 'Partial — the signer authenticated the customer but not their right to use the calling number',
+	C: 'Gateway — the signer only knows where the call entered its network'
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Splits an Identity header value into the PASSporT and its parameters.
+ *
+ * @param {string} value - Identity header value ("<jwt>;info=<url>;alg=ES256;ppt=shaken")
+ * @returns {Object|null} { token, info_url, alg, ppt } or null if value is empty
+ */
+export function parseIdentityHeader (value) {
+	if (!value || typeof value !== 'string') return null
+	const [token, ...params] = value.trim().split(';')
+	const result = { token: token.trim(), info_url: null, alg: null, ppt: null }
+
+	for (const param of params) {
+		const eq = param.indexOf('=')
+		if (eq === -1) continue
+		const name = param.slice(0, eq).trim().toLowerCase()
+		const paramValue = param.slice(eq + 1).trim().replace(/^"|"$/g, '')
+		if (name === 'info') result.info_url = paramValue.replace(/^<|>$/g, '')
+		else if (name === 'alg') result.alg = paramValue
+		else if (name === 'ppt') result.ppt = paramValue
+	}
+	return result
+}
+
+/**
+ * Decodes a compact-form PASSporT JWT (without verifying it).
+ *
+ * @param {string} token - "header.payload.signature" in base64url
+ * @returns {Object} Decoded PASSporT:
+ *   - {Object} header - JOSE header ({ alg, ppt, typ, x5u })
+ *   - {Object} claims - PASSporT claims ({ attest, dest, iat, orig, origid })
+ *   - {string} signing_input - "header.payload" as signed
+ *   - {Uint8Array} signature - Signature bytes
+ * @throws {Error} If the token is not a three-part JWT whose header and claims are JSON objects
+ */
+export function decodePassport (token) {
+	const parts = typeof token === 'string' ? token.split('.') : []
+	if (parts.length !== 3) {
+		throw new Error('PASSporT must have three dot-separated parts (header.payload.signature)')
+	}
+
+	const decodePart = (part, label) => {
+		let value
+		try {
+			value = JSON.parse(bytesToUtf8(base64ToBytes(part)))
+		} catch (error) {
+			throw new Error(`PASSporT ${label} is not valid base64url JSON: ${error.message}`)
+		}
+		if (!value || typeof value !== 'object' || Array.isArray(value)) {
+			throw new Error(`PASSporT ${label} must be a JSON object`)
+		}
+		return value
+	}
+
+	return {
+		header: decodePart(parts[0], 'header'),
+		claims: decodePart(parts[1], 'claims'),
+		signing_input: `${parts[0]}.${parts[1]}`,
+		signature: base64ToBytes(parts[2])
+	}
+}
+
+/**
+ * Verifies a decoded PASSporT's ES256 signature against a PEM certificate.
+ *
+ * @param {Object} passport - Result of decodePassport
+ * @param {string} certificatePem - PEM certificate (or public key) of the signer
+ * @returns {Object} { verified, reason, certificate_not_before, certificate_not_after }
+ */
+export function verifyPassport (passport, certificatePem) {
+	let certificate
+	try {
+		certificate = publicKeyFromPem(certificatePem)
+	} catch (error) {
+		return { verified: false, reason: `Certificate unusable: ${error.message}`, certificate_not_before: null, certificate_not_after: null }
+	}
+
+	const result = {
+		verified: false,
+		reason: null,
+		certificate_not_before: certificate.not_before,
+		certificate_not_after: certificate.not_after
+	}
+
+	if (passport.header.alg !== 'ES256') {
+		result.reason = `Unsupported algorithm ${passport.header.alg} — SHAKEN requires ES256`
+		return result
+	}
+	if (!verifyEs256(utf8ToBytes(passport.signing_input), passport.signature, certificate.public_key)) {
+		result.reason = 'Signature does not match the certificate public key (claims altered or wrong certificate)'
+		return result
+	}
+
+	const iatMs = typeof passport.claims.iat === 'number' ? passport.claims.iat * 1000 : null
+	if (iatMs !== null && certificate.not_before && iatMs < new Date(certificate.not_before).getTime()) {
+		result.reason = `Signature valid, but iat is before the certificate's notBefore (${certificate.not_before})`
+		return result
+	}
+	if (iatMs !== null && certificate.not_after && iatMs > new Date(certificate.not_after).getTime()) {
+		result.reason = `Signature valid, but the certificate expired at ${certificate.not_after}`
+		return result
+	}
+
+	result.verified = true
+	result.reason = 'Signature valid for the supplied certificate'
+	return result
+}
+
+// ============================================================================
+// TRACE ANALYSIS
+// ============================================================================
+
+/**
+ * Compares a PASSporT telephone number with a SIP user part.
+ *
+ * Both sides are reduced to digits; a suffix match (at least 7 digits) is
+ * accepted so national and E.164 forms of the same number compare equal.
+ *
+ * @param {string|null} tn - PASSporT telephone number
+ * @param {string|null} user - SIP From/To user
+ * @returns {boolean} True if the numbers match
+ */
+function numbersMatch (tn, user) {
+	const a = String(tn || '').replace(/\D/g, '')
+	const b = String(user || '').replace(/\D/g, '')
+	if (!a || !b) return false
+	if (a === b) return true
+	const [shorter, longer] = a.length < b.length ? [a, b] : [b, a]
+	return shorter.length >= 7 && longer.endsWith(shorter)
+}
+
+/**
+ * Decodes and checks every Identity header on INVITEs in a trace.
+ *
+ * Retransmitted INVITEs carrying the same PASSporT on the same leg are
+ * reported once.
+ *
+ * @param {Array<Object>} messages - log/trace rows in chronological order
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.certificate_pem] - Signer certificate PEM; enables signature verification
+ * @param {number} [options.max_age_seconds] - iat freshness window (defaults to IAT_MAX_AGE_SECONDS)
+ * @returns {Object} STIR/SHAKEN analysis:
+ *   - {boolean} present - True if any INVITE carried an Identity header
+ *   - {Array<Object>} identities - One entry per distinct PASSporT ({ leg, message_id, attestation, orig_tn, dest_tn, origid, iat, checks, signature, ... })
+ *   - {Array<Object>} findings - Problems found ({ type, severity, leg, message })
+ */
+export function analyzeIdentity (messages, options = {}) {
+	if (!Array.isArray(messages)) {
+		throw new Error(`Parameter "messages" must be an array, received ${typeof messages}`)
+	}
+	const maxAge = options.max_age_seconds || IAT_MAX_AGE_SECONDS
+	const identities = []
+	const findings = []
+	const seen = new Set()
+
+	for (const row of messages) {
+		if (row.method !== 'INVITE' || !row.msg) continue
+		const parsed = parseSipMessage(row.msg)
+		const headerValue = parsed && getSipHeader(parsed, 'identity')
+		if (!headerValue) continue
+
+		const leg = `${row.source_ip}:${row.source_port} -> ${row.destination_ip}:${row.destination_port}`
+		const identityHeader = parseIdentityHeader(headerValue)
+		const dedupeKey = `${leg}|${identityHeader.token}`
+		if (seen.has(dedupeKey)) continue
+		seen.add(dedupeKey)
+
+		const addFinding = (type, severity, message) => findings.push({ type, severity, leg, message })
+
+		let passport
+		try {
+			passport = decodePassport(identityHeader.token)
+		} catch (error) {
+			identities.push({ leg, message_id: row.id, decode_error: error.message })
+			addFinding('passport_undecodable', 'critical', `Identity header on ${leg} could not be decoded: ${error.message}`)
+			continue
+		}
+
+		const { header, claims } = passport
+		const origTn = claims.orig ? claims.orig.tn || null : null
+		const destTn = claims.dest && claims.dest.tn ? [].concat(claims.dest.tn) : []
+		const inviteMs = getMessageTimeMs(row)
+		const iatAge = typeof claims.iat === 'number' && inviteMs !== null
+			? Math.round(inviteMs / 1000 - claims.iat)
+			: null
+
+		const checks = {
+			algorithm_es256: header.alg === 'ES256',
+			ppt_shaken: header.ppt === 'shaken',
+			orig_matches_from: numbersMatch(origTn, row.from_user),
+			dest_matches_to: destTn.some(tn => numbersMatch(tn, row.to_user) || numbersMatch(tn, row.ruri_user)),
+			iat_fresh: iatAge !== null && Math.abs(iatAge) <= maxAge
+		}
+
+		const signature = options.certificate_pem
+			? verifyPassport(passport, options.certificate_pem)
+			: { verified: null, reason: 'No certificate supplied — fetch the x5u certificate and pass certificate_pem to verify offline', certificate_not_before: null, certificate_not_after: null }
+
+		identities.push({
+			leg,
+			message_id: row.id,
+			algorithm: header.alg || null,
+			ppt: header.ppt || null,
+			certificate_url: header.x5u || identityHeader.info_url,
+			info_url: identityHeader.info_url,
+			attestation: claims.attest || null,
+			attestation_description: ATTESTATION_LEVELS[claims.attest] || null,
+			orig_tn: origTn,
+			dest_tn: destTn,
+			origid: claims.origid || null,
+			iat: claims.iat !== undefined ? claims.iat : null,
+			iat_time: typeof claims.iat === 'number' ? new Date(claims.iat * 1000).toISOString() : null,
+			iat_age_seconds: iatAge,
+			from_user: row.from_user || null,
+			to_user: row.to_user || null,
+			checks,
+			signature
+		})
+
+		if (!ATTESTATION_LEVELS[claims.attest]) {
+			addFinding('invalid_attestation', 'critical', `PASSporT on ${leg} has no valid attestation (attest=${claims.attest})`)
+		} else if (claims.attest === 'C') {
+			addFinding('gateway_attestation', 'warn', `PASSporT on ${leg} is C (gateway) attestation — terminating carriers may label or block the call`)
+		} else if (claims.attest === 'B') {
+			addFinding('partial_attestation', 'info', `PASSporT on ${leg} is B (partial) attestation — caller ID not verified by the signer`)
+		}
+		if (!checks.algorithm_es256) addFinding('unsupported_algorithm', 'critical', `PASSporT on ${leg} uses alg=${header.alg} — SHAKEN requires ES256`)
+		if (!checks.ppt_shaken) addFinding('not_shaken_passport', 'warn', `PASSporT on ${leg} has ppt=${header.ppt || 'none'} — expected "shaken"`)
+		if (!checks.orig_matches_from) addFinding('orig_mismatch', 'critical', `PASSporT orig ${origTn || 'missing'} does not match From user ${row.from_user || 'unknown'} on ${leg}`)
+		if (!checks.dest_matches_to) addFinding('dest_mismatch', 'critical', `PASSporT dest ${destTn.join(', ') || 'missing'} does not match To user ${row.to_user || 'unknown'} on ${leg}`)
+		if (iatAge === null) {
+			addFinding('iat_missing', 'critical', `PASSporT on ${leg} has no usable iat timestamp`)
+		} else if (!checks.iat_fresh) {
+			addFinding('stale_iat', 'critical', `PASSporT iat is ${iatAge}s ${iatAge > 0 ? 'older than' : 'ahead of'} the INVITE on ${leg} (limit ${maxAge}s) — verifiers will reject it as stale`)
+		}
+		if (header.x5u && identityHeader.info_url && header.x5u !== identityHeader.info_url) {
+			addFinding('certificate_url_mismatch', 'warn', `Identity info=${identityHeader.info_url} differs from PASSporT x5u=${header.x5u} on ${leg}`)
+		}
+		if (signature.verified === false) {
+			addFinding('signature_invalid', 'critical', `PASSporT signature on ${leg} failed verification: ${signature.reason}`)
+		}
+	}
+
+	return {
+		present: identities.length > 0,
+		identities,
+		findings
+	}
+}
@@ -0,0 +1,127 @@
+/**
+ * Test for the AI Agent conversation analyser (offline — fixture log/ai-agent rows, local cxRest stand-in)
+ */
+
+import { setApiClient, investigateCallHandler, getAiAgentLogsHandler } from './callDebugTools'
+import { analyzeAiAgentConversation, aiAgentDates } from './aiAgentAnalysis'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { authChallengeConnectedTrace } from './sipTraceFixtures'
+
+/**
+ * log/ai-agent timestamp at a second past 10:00:00 on the fixture date.
+ *
+ * @param {number} second - Seconds past 10:00:00
+ * @returns {string} "2026-03-02 10:mm:ss"
+ */
+function at (second) {
+  return new Date(Date.UTC(2026, 2, 2, 10, 0, second)).toISOString().replace('T', ' ').slice(0, 19)
+}
+
+/**
+ * Greeting, a slow balance lookup, a barge-in, two misunderstood turns, a
+ * 10 s silence and a transfer to the billing team.
+ */
+const CONVERSATION_ROWS = [
+  { date: at(2), role: 'assistant', text: 'Hello, how can I help you today?', duration: 2 },
+  { date: at(5), role: 'user', text: 'What is my balance?', duration: 1 },
+  { date: at(7), type: 'function_call', tool: 'get_balance', args: { account: '1001' }, result: '12.50' },
+  { date: at(10), role: 'assistant', text: 'Your balance is 12 pounds 50. Is there anything else I can help you with today?', duration: 6 },
+  { date: at(12), role: 'user', text: 'Yes, my invoice is wrong', interrupted: true, duration: 2 },
+  { date: at(15), role: 'assistant', text: 'Sorry, I didn\'t catch that. Could you repeat?', latency_ms: 900 },
+  { date: at(18), role: 'user', text: 'The invoice for March', duration: 2 },
+  { date: at(21), role: 'assistant', intent: 'fallback', text: 'I\'m not sure I understand.' },
+  { date: at(31), role: 'user', text: 'Can I speak to a person', duration: 2 },
+  { date: at(34), type: 'function_call', tool: 'transfer_call', args: { to: 'billing-queue' } },
+  { date: at(34), role: 'assistant', text: 'Transferring you to our billing team.' }
+]
+
+/**
+ * Rebuilds turns, detects barge-ins, silences, fallbacks and the hand-off,
+ * and checks the investigation and tool output
+ * @returns {Promise<Object>} Test result
+ */
+export async function testAiAgentConversation () {
+  try {
+    const failures = []
+
+    // 1. Turns, tool calls and latency
+    const conversation = analyzeAiAgentConversation(CONVERSATION_ROWS, { start: '2026-03-02T10:00:00.000Z' })
+    if (conversation.turns.length !== 5 || conversation.turns[0].caller !== null || conversation.stats.turns !== 4) failures.push(`turns: ${conversation.turns.length} / ${conversation.stats.turns}`)
+    const balance = conversation.turns[1]
+    if (balance.caller.text !== 'What is my balance?' || balance.tool_calls[0].name !== 'get_balance' || balance.latency_ms !== 4000) failures.push(`balance turn: ${JSON.stringify({ tools: balance.tool_calls, latency: balance.latency_ms })}`)
+    if (conversation.turns[2].latency_ms !== 900) failures.push(`reported latency: ${conversation.turns[2].latency_ms}`)
+    if (conversation.turns[0].agent[0].offset_ms !== 2000) failures.push(`offsets: ${conversation.turns[0].agent[0].offset_ms}`)
+
+    // 2. Barge-in, silence, repeated fallbacks and the hand-off
+    if (conversation.barge_ins.length !== 1 || conversation.barge_ins[0].turn !== 2 || conversation.barge_ins[0].overlap_ms !== 4000) failures.push(`barge-ins: ${JSON.stringify(conversation.barge_ins)}`)
+    if (conversation.silences.length !== 1 || conversation.silences[0].duration_ms !== 10000 || conversation.silences[0].after !== 'agent') failures.push(`silences: ${JSON.stringify(conversation.silences)}`)
+    if (conversation.fallbacks.map(f => f.turn).join(',') !== '2,3' || conversation.stats.max_consecutive_fallbacks !== 2) failures.push(`fallbacks: ${JSON.stringify(conversation.fallbacks)}`)
+    const handoff = conversation.handoff
+    if (!handoff || handoff.target !== 'billing-queue' || handoff.turn !== 4 || handoff.offset_ms !== 34000 || handoff.after_fallbacks !== 2) failures.push(`handoff: ${JSON.stringify(handoff)}`)
+    const types = conversation.findings.map(f => `${f.type}:${f.severity}`).join(',')
+    if (types !== 'slow_response:warn,barge_in:info,long_silence:warn,repeated_fallback:warn,human_handoff:info') failures.push(`findings: ${types}`)
+
+    // 3. A clean conversation raises nothing
+    const clean = analyzeAiAgentConversation(CONVERSATION_ROWS.slice(0, 4))
+    if (clean.findings.some(f => f.type !== 'slow_response') || clean.handoff !== null) failures.push(`clean: ${clean.findings.map(f => f.type)}`)
+
+    // 4. Dates: start date, plus the end date across midnight
+    if (aiAgentDates('2026-03-02 23:59:50', '2026-03-03 00:01:10').join(',') !== '2026-03-02,2026-03-03' || aiAgentDates('2026-03-02 10:00:00', '2026-03-02 10:05:00').length !== 1 || aiAgentDates(null).length !== 0) failures.push('aiAgentDates')
+
+    // 5. investigateCall: Class 5 call, AI log looked up by the trace date
+    const api = createCxRestStandIn({
+      'GET log/trace': authChallengeConnectedTrace(),
+      'GET log/class5': [{ date: at(1), type: 'ai_agent', event: 'start', agent: 'support-bot' }],
+      'GET log/ai-agent': ({ query }) => query.d === '2026-03-02' ? CONVERSATION_ROWS : []
+    })
+    setApiClient(api)
+    const investigation = await investigateCallHandler({ callid: 'ai-call' })
+    if (!investigation.ai_agent?.available || investigation.ai_agent.date !== '2026-03-02' || investigation.ai_agent.conversation.stats.turns !== 4) failures.push(`investigate: ${JSON.stringify(investigation.ai_agent && { date: investigation.ai_agent.date, error: investigation.ai_agent.error })}`)
+    const fallback = investigation.findings.find(f => f.code === 'ai_agent.repeated_fallback')
+    if (!fallback || fallback.source !== 'ai_agent' || fallback.next_tool.tool !== 'getAiAgentLogs' || fallback.next_tool.args.date !== '2026-03-02') failures.push(`investigate: fallback finding ${JSON.stringify(fallback)}`)
+    const summary = investigation.debug_summary.split('\n').find(l => l.startsWith('AI Agent:'))
+    if (!summary || !summary.includes('4 turn(s)') || !summary.includes('handed off to a human at +34.0s')) failures.push(`investigate: summary ${summary}`)
+
+    // 6. getAiAgentLogs without a date infers it from the trace; with one the trace is not fetched
+    const inferred = await getAiAgentLogsHandler({ callid: 'ai-call' })
+    if (!inferred.success || inferred.date !== '2026-03-02' || inferred.date_source !== 'trace' || inferred.logs.length !== CONVERSATION_ROWS.length || !inferred.conversation) failures.push(`inferred date: ${inferred.date} ${inferred.error}`)
+    const tracesBefore = api.calls.filter(c => c.path === 'log/trace').length
+    const explicit = await getAiAgentLogsHandler({ callid: 'ai-call', date: '2026-03-01' })
+    if (!explicit.success || explicit.has_ai_agent || explicit.date_source !== 'input' || explicit.conversation !== null) failures.push('explicit date')
+    if (api.calls.filter(c => c.path === 'log/trace').length !== tracesBefore) failures.push('explicit date: the SIP trace was still fetched')
+    const badDate = await getAiAgentLogsHandler({ callid: 'ai-call', date: '02/03/2026' })
+    if (badDate.success !== false || !badDate.error.includes('Parameter "date"')) failures.push('bad date accepted')
+
+    // 7. Class 4 call: AI log not looked up; no trace and no date is an error
+    setApiClient(createCxRestStandIn({ 'GET log/trace': authChallengeConnectedTrace() }))
+    const class4 = await investigateCallHandler({ callid: 'c4-call' })
+    if (class4.ai_agent !== null) failures.push('class4: AI log looked up')
+    setApiClient(createCxRestStandIn({}))
+    const noTrace = await getAiAgentLogsHandler({ callid: 'no-trace' })
+    if (noTrace.success !== false || !noTrace.error.includes('no SIP trace')) failures.push('no trace, no date accepted')
+
+    return {
+      tool: 'ai_agent_conversation',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'ai_agent_conversation',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testAiAgentConversation()
+}
@@ -0,0 +1,72 @@
+/**
+ * Test for SIP call-flow diagram rendering (offline — fixture traces, no API calls)
+ */
+
+import { renderCallFlow } from './callFlowRenderer'
+import { analyzeSipTrace, getSipTraceHandler } from './callDebugTools'
+import { privateMediaTrace } from './sipTraceFixtures'
+
+/**
+ * Tests Mermaid, PlantUML and ASCII rendering of a two-leg call flow
+ * @returns {Promise<Object>} Test result
+ */
+export async function testCallFlowRenderer () {
+  try {
+    const failures = []
+    const analysis = analyzeSipTrace(privateMediaTrace())
+    const flow = analysis.call_flow
+
+    // 1. Mermaid: one participant per IP:port, solid requests, dashed responses, deltas
+    const mermaid = renderCallFlow(flow, 'mermaid', { title: analysis.call_id })
+    if (!mermaid.startsWith('sequenceDiagram')) failures.push('mermaid: missing sequenceDiagram header')
+    if ((mermaid.match(/^ {2}participant /gm) || []).length !== 3) failures.push('mermaid: expected 3 participants')
+    if (!mermaid.includes('participant P3 as 192.0.2.20:5060')) failures.push('mermaid: carrier participant not declared')
+    if (!mermaid.includes('P2->>P3: INVITE (+35.0ms)')) failures.push('mermaid: switch → carrier INVITE arrow missing')
+    if (!mermaid.includes('P3-->>P2: 200 OK (+1.160s)')) failures.push('mermaid: carrier 200 OK response arrow missing')
+
+    // 2. PlantUML
+    const plantuml = renderCallFlow(flow, 'plantuml')
+    if (!plantuml.startsWith('@startuml') || !plantuml.endsWith('@enduml')) failures.push('plantuml: missing @startuml/@enduml')
+    if (!plantuml.includes('P2 --> P1 : 100 Trying (+5.0ms)')) failures.push('plantuml: 100 Trying arrow missing')
+
+    // 3. ASCII: header row, one row per message, arrow direction and offsets
+    const ascii = renderCallFlow(flow, 'ascii').split('\n')
+    if (ascii.length !== flow.length + 2) failures.push(`ascii: expected ${flow.length + 2} lines, got ${ascii.length}`)
+    if (!ascii[0].includes('203.0.113.10:5060') || !ascii[0].includes('192.0.2.20:5060')) failures.push('ascii: participant header missing')
+    const carrierOk = ascii.find(line => line.includes('200 OK +1.160s'))
+    if (!carrierOk || !carrierOk.includes('|<-') || !carrierOk.trimStart().startsWith('1.200s')) failures.push('ascii: carrier 200 OK row wrong')
+
+    // 4. Unsupported format
+    let rejected = false
+    try {
+      renderCallFlow(flow, 'svg')
+    } catch (error) {
+      rejected = true
+    }
+    if (!rejected) failures.push('unsupported format accepted')
+    const handled = await getSipTraceHandler({ callid: 'any-call', format: 'svg' })
+    if (handled.success !== false || !handled.error.includes('Parameter "format" must be one of: mermaid, plantuml, ascii')) failures.push(`getSipTrace: unsupported format ${handled.error}`)
+
+    return {
+      tool: 'call_flow_renderer',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      participants: 3,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'call_flow_renderer',
+      status: 'ERROR',
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testCallFlowRenderer()
+}
@@ -0,0 +1,76 @@
+/**
+ * Test for per-leg timing (offline — fixture traces, no API calls)
+ */
+
+import { analyzeSipTrace } from './callDebugTools'
+import { collectTraceFindings } from './findings'
+import { authChallengeConnectedTrace, routeAdvanceTrace } from './sipTraceFixtures'
+import { carrierRejectionTrace } from './failureTraceFixtures'
+
+/**
+ * Splits fixture traces into legs and checks the PDD breakdown
+ * @returns {Promise<Object>} Test result
+ */
+export async function testCallLegs () {
+  try {
+    const failures = []
+
+    // 1. Two failovers before carrier C answers
+    const advance = analyzeSipTrace(routeAdvanceTrace())
+    const timing = advance.leg_timing
+    if (timing.attempts.length !== 3) failures.push(`route advance: expected 3 attempts, got ${timing.attempts.length}`)
+    if (timing.attempts.map(a => a.outcome).join(',') !== 'cancelled,rejected,answered') failures.push(`route advance: outcomes ${timing.attempts.map(a => a.outcome)}`)
+    if (new Set(timing.attempts.map(a => a.call_id)).size !== 3 || !timing.legs_correlated) failures.push('route advance: attempts should keep their own Call-IDs')
+    if (advance.pdd_ms !== 4430) failures.push(`route advance: pdd_ms ${advance.pdd_ms}, expected the ringback relayed to the caller (4430)`)
+    if (advance.setup_time_ms !== 9440) failures.push(`route advance: setup_time_ms ${advance.setup_time_ms}, expected 9440`)
+    if (timing.answering_attempt !== 3 || timing.carrier_pdd_ms !== 1000) failures.push(`route advance: carrier PDD ${timing.carrier_pdd_ms} on attempt ${timing.answering_attempt}`)
+    if (timing.switch_pdd_ms !== 3430) failures.push(`route advance: switch-induced PDD ${timing.switch_pdd_ms}, expected 3430`)
+    if (timing.failover_ms !== 40 || timing.attempts[1].failover_ms !== 20) failures.push(`route advance: failover ${timing.failover_ms}`)
+    const b = timing.breakdown
+    const sum = b.auth_ms + b.routing_ms + b.failed_attempts_ms + b.failover_ms + b.carrier_pdd_ms + b.relay_ms
+    if (sum !== timing.ingress.pdd_ms) failures.push(`route advance: breakdown sums to ${sum}, ingress PDD is ${timing.ingress.pdd_ms}`)
+    if (b.failed_attempts_ms !== 3350) failures.push(`route advance: failed attempts ${b.failed_attempts_ms}ms`)
+
+    const switchPdd = advance.triggered_rules.find(r => r.id === 'trace.high_switch_pdd')
+    if (!switchPdd) failures.push('route advance: trace.high_switch_pdd not triggered')
+    const finding = collectTraceFindings(advance, advance.call_id).find(f => f.code === 'trace.high_switch_pdd')
+    if (!finding || finding.evidence.message_ids.length < 4) failures.push('route advance: switch PDD finding has no message evidence')
+
+    // 2. Auth round trip is part of the switch-side delay; no egress leg in the trace
+    const auth = analyzeSipTrace(authChallengeConnectedTrace()).leg_timing
+    if (auth.ingress.auth_ms !== 30 || auth.ingress.pdd_ms !== 1530) failures.push(`auth: auth_ms ${auth.ingress.auth_ms}, pdd_ms ${auth.ingress.pdd_ms}`)
+    if (auth.attempts.length !== 0 || auth.carrier_pdd_ms !== null || auth.switch_pdd_ms !== 1530) failures.push('auth: without egress legs the whole PDD is switch-induced')
+    if (!auth.notes.some(n => n.includes('callidb'))) failures.push('auth: missing note about fetching the carrier legs')
+
+    // 3. Every carrier rejects: attempts timed, no answering attempt
+    const rejected = analyzeSipTrace(carrierRejectionTrace()).leg_timing
+    if (rejected.attempts.length !== 2 || rejected.answering_attempt !== null || rejected.switch_pdd_ms !== null) failures.push('rejected: expected two rejected attempts and no PDD split')
+    if (rejected.attempts[1].failover_ms !== 20 || rejected.failover_ms !== 20) failures.push(`rejected: failover ${rejected.failover_ms}`)
+
+    // 4. No INVITE, no timing
+    if (analyzeSipTrace([{ callid: 'x', method: 'OPTIONS', source_ip: '192.0.2.1', source_port: 5060, destination_ip: '198.51.100.5', destination_port: 5060, date: '2026-03-02T10:00:00Z' }]).leg_timing !== null) failures.push('OPTIONS only: expected null leg_timing')
+
+    return {
+      tool: 'call_legs',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      switch_pdd_ms: timing.switch_pdd_ms,
+      breakdown: timing.breakdown,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'call_legs',
+      status: 'ERROR',
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testCallLegs()
+}
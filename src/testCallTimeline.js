@@ -0,0 +1,119 @@
+/**
+ * Test for the unified call timeline (offline — fixture trace, Class 5, RTCP, AI Agent, transcript and CDR, local cxRest stand-in)
+ */
+
+import { setApiClient } from './callDebugTools'
+import { getCallTimelineHandler, exportTimeline, mergeTimelineEvents } from './callTimeline'
+import { parseTimeMs } from './recordFields'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { lateOfferHoldTrace } from './sipTraceFixtures'
+
+/** Call start of the fixture trace. */
+const START_MS = Date.UTC(2026, 2, 2, 10, 0, 0)
+
+/**
+ * "YYYY-MM-DD HH:MM:SS" at a second past the fixture call start.
+ *
+ * @param {number} second - Seconds past 10:00:00
+ * @returns {string} Timestamp as log/class5 and log/rtcp write it
+ */
+function at (second) {
+  return new Date(START_MS + second * 1000).toISOString().replace('T', ' ').slice(0, 19)
+}
+
+/** Every source on its own clock: `date` strings, epoch seconds, recording offsets and CDR `dt`. */
+const SOURCES = {
+  'GET log/trace': lateOfferHoldTrace(),
+  'GET log/class5': [
+    { date: at(1), app: 'ivr', event: 'enter', node: 'main' },
+    { date: at(3), app: 'ivr', event: 'dtmf', digits: '1' }
+  ],
+  'GET log/rtcp': [5, 10, 15].map(second => ({ leg: 'a', ssrc: '0x1111', date: at(second), jitter: 5, packet_loss: second === 10 ? 15 : 0, rtt: 40 })),
+  'GET log/ai-agent': [
+    { timestamp: START_MS / 1000 + 4, role: 'assistant', text: 'Hello, how can I help?' },
+    { timestamp: START_MS / 1000 + 6, role: 'user', text: 'Billing, please' }
+  ],
+  'GET transcribe': [{ channel: 0, start: 9, end: 11, text: 'Hello, can you hear me?' }],
+  'POST cdr': [{ callid: 'fx-hold@203.0.113.10', dt: at(0), duration: 25, dest_cli: '441234567890', dest_number: '15554445555', customer_id: 7, customer_charge: 0.01 }]
+}
+
+/**
+ * Merges every source into one timeline and checks the schema, ordering and both exports
+ * @returns {Promise<Object>} Test result
+ */
+export async function testCallTimeline () {
+  try {
+    const failures = []
+
+    // 1. Time parsing across the endpoints' formats
+    const parsed = [at(2), '2026-03-02T10:00:02.000Z', START_MS / 1000 + 2, START_MS + 2000, (START_MS + 2000) * 1000].map(parseTimeMs)
+    if (!parsed.every(t => t === START_MS + 2000)) failures.push(`time parsing: ${parsed.join(',')}`)
+
+    // 2. All six sources on one clock, in time order
+    const api = createCxRestStandIn(SOURCES)
+    setApiClient(api)
+    const result = await getCallTimelineHandler({ callid: 'fx-hold@203.0.113.10' })
+    if (!result.success) throw new Error(result.error || result.message)
+    const missing = ['sip', 'class5', 'ai_agent', 'transcript', 'rtcp', 'cdr'].filter(s => !result.sources[s] || !result.sources[s].available)
+    if (missing.length > 0) failures.push(`sources missing: ${missing.join(', ')} ${JSON.stringify(result.sources)}`)
+    const order = result.events.map(e => `${e.source}:${e.type}@${e.offset_ms}`)
+    const expected = ['sip:invite@0', 'cdr:cdr_start@0', 'sip:response@5', 'class5:', 'sip:answer@2000', 'sip:request@2030', 'class5:', 'ai_agent:agent_response@4000', 'rtcp:', 'ai_agent:caller_utterance@6000', 'transcript:speech@11000', 'sip:hold@20000', 'sip:response@20020', 'sip:request@20040', 'cdr:cdr_end@25000']
+    if (order.length !== expected.length || expected.some((e, i) => !order[i].startsWith(e))) failures.push(`order: ${order.join(', ')}`)
+    const keys = Object.keys(result.events[0]).join(',')
+    if (keys !== 'timestamp,offset_ms,source,leg,type,summary,ref') failures.push(`schema: ${keys}`)
+    const hold = result.events.find(e => e.type === 'hold')
+    if (!hold || hold.timestamp !== '2026-03-02T10:00:20.000Z' || !hold.summary.includes('hold') || !/^log\/trace#/.test(hold.ref)) failures.push(`hold event: ${JSON.stringify(hold)}`)
+
+    // 3. JSON Lines: one parseable object per event
+    const lines = result.content.trim().split('\n')
+    if (result.format !== 'jsonl' || lines.length !== result.event_count || JSON.parse(lines[0]).type !== 'invite') failures.push(`jsonl: ${lines.length} line(s) for ${result.event_count} event(s)`)
+
+    // 4. CSV: header, quoting of commas and quotes
+    const csv = await getCallTimelineHandler({ callid: 'fx-hold@203.0.113.10', format: 'csv', sources: 'transcript,cdr' })
+    const rows = csv.content.split('\r\n')
+    if (rows[0] !== 'timestamp,offset_ms,source,leg,type,summary,ref' || rows.length !== 5) failures.push(`csv rows: ${rows.length} ${rows[0]}`)
+    if (!rows.includes('2026-03-02T10:00:11.000Z,11000,transcript,caller,speech,"caller: ""Hello, can you hear me?""",transcribe#turn0')) failures.push(`csv quoting: ${rows[2]}`)
+    if (csv.sources.sip || api.calls.filter(c => c.path === 'log/class5').length !== 1) failures.push('sources filter: only the requested sources should be fetched')
+
+    // 5. A failing source is reported, the rest still merge; untimed events sort last
+    setApiClient(createCxRestStandIn({ ...SOURCES, 'GET log/rtcp': () => { throw new Error('rtcp unavailable') } }))
+    const partial = await getCallTimelineHandler({ callid: 'fx-hold@203.0.113.10' })
+    if (!partial.success || partial.sources.rtcp.error !== 'rtcp unavailable' || partial.events.some(e => e.source === 'rtcp')) failures.push(`partial: ${JSON.stringify(partial.sources.rtcp)}`)
+    const merged = mergeTimelineEvents([{ timestamp: null, source: 'sip' }, { timestamp: '2026-03-02T10:00:00.000Z', source: 'cdr' }, { timestamp: '2026-03-02T10:00:00.000Z', source: 'sip' }])
+    if (merged.map(e => `${e.source}${e.timestamp ? '' : '?'}`).join(',') !== 'sip,cdr,sip?') failures.push(`merge order: ${JSON.stringify(merged)}`)
+
+    // 6. Errors: no trace, bad format
+    setApiClient(createCxRestStandIn({ 'GET log/trace': [] }))
+    const empty = await getCallTimelineHandler({ callid: 'unknown-call' })
+    if (empty.success || !empty.suggestions) failures.push('no trace: expected suggestions')
+    const badFormat = await getCallTimelineHandler({ callid: 'fx-hold@203.0.113.10', format: 'xml' })
+    if (badFormat.success || !badFormat.error.includes('Parameter "format"')) failures.push(`bad format: ${badFormat.error}`)
+    let threw = false
+    try { exportTimeline([], 'pdf') } catch (error) { threw = true }
+    if (!threw) failures.push('exportTimeline should reject an unknown format')
+
+    return {
+      tool: 'call_timeline',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: `${result.event_count} event(s) from ${Object.keys(result.sources).length} source(s)`,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'call_timeline',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testCallTimeline()
+}
@@ -0,0 +1,133 @@
+/**
+ * Test for the Class 5 flow analyser (offline — fixture log/class5 rows, local cxRest stand-in)
+ */
+
+import { setApiClient, investigateCallHandler } from './callDebugTools'
+import { analyzeClass5Flow, getClass5FlowHandler } from './class5Flow'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { authChallengeConnectedTrace } from './sipTraceFixtures'
+
+/**
+ * log/class5 timestamp at a second past 10:00:00 on the fixture date.
+ *
+ * @param {number} second - Seconds past 10:00:00
+ * @returns {string} "2026-03-02 10:mm:ss"
+ */
+function at (second) {
+  return new Date(Date.UTC(2026, 2, 2, 10, 0, second)).toISOString().replace('T', ' ').slice(0, 19)
+}
+
+/** Wrong key at the main menu, sales chosen, 95 s in the Sales queue, then a script error. */
+const IVR_QUEUE_RECORDS = [
+  { date: at(1), type: 'ivr', event: 'enter', node: 'main' },
+  { date: at(5), type: 'dtmf', digits: '9', node: 'main' },
+  { date: at(5), type: 'ivr', event: 'invalid', node: 'main' },
+  { date: at(6), type: 'ivr', event: 'enter', node: 'main' },
+  { date: at(10), type: 'dtmf', digits: '2', node: 'main' },
+  { date: at(10), type: 'ivr', event: 'enter', node: 'sales' },
+  { date: at(12), type: 'connexml', verb: 'say', data: '{"message":"Please hold"}' },
+  { date: at(13), type: 'queue', event: 'enter', queue: 'Sales' },
+  { date: at(108), type: 'queue', event: 'abandon', queue: 'Sales' },
+  { date: at(108), type: 'app', event: 'exception', app: 'sales-router', error: 'ReferenceError: agentLookup is not defined' }
+]
+
+/** The caller hears the main menu three times with no input, presses # and hangs up. */
+const STUCK_RECORDS = [
+  { date: at(0), type: 'ivr', event: 'enter', node: 'main' },
+  { date: at(8), type: 'ivr', event: 'timeout', node: 'main' },
+  { date: at(9), type: 'ivr', event: 'enter', node: 'main' },
+  { date: at(17), type: 'ivr', event: 'timeout', node: 'main' },
+  { date: at(18), type: 'ivr', event: 'enter', node: 'main' },
+  { date: at(22), type: 'dtmf', digits: '#' }
+]
+
+/** Answered after 20 s in the Support queue, a conference, then voicemail with a message. */
+const ANSWERED_RECORDS = [
+  { date: at(0), module: 'call_center', event: 'join', queue: 'Support' },
+  { date: at(20), module: 'call_center', event: 'agent_answer', queue: 'Support', agent: '1001' },
+  { date: at(50), module: 'call_center', event: 'hangup', queue: 'Support' },
+  { date: at(51), type: 'conference', event: 'join', room: 'board' },
+  { date: at(81), type: 'conference', event: 'leave', room: 'board' },
+  { date: at(82), type: 'voicemail', event: 'start', mailbox: '200' },
+  { date: at(100), type: 'voicemail', event: 'message_saved', mailbox: '200' }
+]
+
+/**
+ * Rebuilds IVR, queue, conference and voicemail flows and checks the findings
+ * @returns {Promise<Object>} Test result
+ */
+export async function testClass5Flow () {
+  try {
+    const failures = []
+
+    // 1. IVR with a wrong key, a long queue abandon and a script error
+    const flow = analyzeClass5Flow(IVR_QUEUE_RECORDS, { start: '2026-03-02T10:00:00.000Z' })
+    if (flow.ivr.path.join(' -> ') !== 'main -> main -> sales' || flow.ivr.nodes.find(n => n.node === 'main').visits !== 2) failures.push(`IVR path: ${flow.ivr.path}`)
+    if (flow.ivr.nodes.find(n => n.node === 'main').time_ms !== 9000) failures.push(`IVR time in main: ${flow.ivr.nodes.find(n => n.node === 'main').time_ms}`)
+    const dtmf = flow.ivr.dtmf.map(d => `${d.digits}:${d.recognised}`).join(',')
+    if (dtmf !== '9:false,2:true') failures.push(`DTMF: ${dtmf}`)
+    const queue = flow.queues[0]
+    if (!queue || queue.queue !== 'Sales' || queue.outcome !== 'abandoned' || queue.wait_ms !== 95000) failures.push(`queue: ${JSON.stringify(queue)}`)
+    if (flow.connexml.verbs.length !== 1 || flow.connexml.counts.Say !== 1) failures.push(`ConneXML: ${JSON.stringify(flow.connexml)}`)
+    if (flow.errors.length !== 1 || flow.errors[0].app !== 'sales-router') failures.push(`errors: ${JSON.stringify(flow.errors)}`)
+    const types = flow.findings.map(f => `${f.type}:${f.severity}`).join(',')
+    if (types !== 'unrecognised_dtmf:warn,long_queue_abandon:warn,script_error:critical') failures.push(`findings: ${types}`)
+    if (flow.flow[0].offset_ms !== 1000 || flow.flow[6].text !== 'ConneXML <Say> Please hold') failures.push(`flow: ${flow.flow[0].offset_ms} ${flow.flow[6].text}`)
+    if (flow.features.join(',') !== 'ivr,dtmf,connexml,queue,error') failures.push(`features: ${flow.features}`)
+
+    // 2. Stuck in the main menu; the final # did nothing
+    const stuck = analyzeClass5Flow(STUCK_RECORDS)
+    if (!stuck.ivr.stuck || stuck.ivr.stuck_node !== 'main' || stuck.ivr.no_input !== 2) failures.push(`stuck: ${JSON.stringify({ stuck: stuck.ivr.stuck, node: stuck.ivr.stuck_node, no_input: stuck.ivr.no_input })}`)
+    if (!stuck.findings.some(f => f.type === 'stuck_ivr' && f.message.includes('entered 3 times'))) failures.push('stuck: finding missing')
+    if (stuck.ivr.dtmf[0].recognised !== false || stuck.ivr.dtmf[0].reason !== 'no_action') failures.push(`stuck: final DTMF ${JSON.stringify(stuck.ivr.dtmf[0])}`)
+
+    // 3. Answered queue, conference and voicemail: nothing flagged
+    const answered = analyzeClass5Flow(ANSWERED_RECORDS)
+    const support = answered.queues[0]
+    if (!support || support.outcome !== 'answered' || support.wait_ms !== 20000 || support.agent !== '1001') failures.push(`answered queue: ${JSON.stringify(support)}`)
+    if (answered.conferences[0].room !== 'board' || answered.conferences[0].duration_ms !== 30000) failures.push(`conference: ${JSON.stringify(answered.conferences)}`)
+    if (!answered.voicemail[0] || !answered.voicemail[0].message_left || answered.voicemail[0].duration_ms !== 18000) failures.push(`voicemail: ${JSON.stringify(answered.voicemail)}`)
+    if (answered.findings.length !== 0) failures.push(`answered: unexpected findings ${answered.findings.map(f => f.type)}`)
+
+    // 4. investigateCall: flow, findings and debug summary
+    setApiClient(createCxRestStandIn({ 'GET log/trace': authChallengeConnectedTrace(), 'GET log/class5': IVR_QUEUE_RECORDS }))
+    const investigation = await investigateCallHandler({ callid: 'c5-call' })
+    if (investigation.call_type !== 'class5' || !investigation.class5.flow || investigation.class5.flow.flow[0].offset_ms !== 1000) failures.push('investigate: flow missing or not anchored at the trace start')
+    const abandon = investigation.findings.find(f => f.code === 'class5.long_queue_abandon')
+    if (!abandon || abandon.category !== 'routing' || abandon.next_tool.tool !== 'getClass5Flow' || abandon.evidence.values.record_indexes.join(',') !== '7,8') failures.push(`investigate: abandon finding ${JSON.stringify(abandon)}`)
+    if (!investigation.debug_summary.includes('Class 5: IVR main -> main -> sales; DTMF 9 2; queue Sales abandoned after 95s')) failures.push('investigate: Class 5 line missing from the debug summary')
+
+    // 5. getClass5Flow: rendered flow, and a Class 4 call
+    const tool = await getClass5FlowHandler({ callid: 'c5-call' })
+    if (!tool.success || tool.call_type !== 'class5' || !tool.flow_text.startsWith('+0.0s IVR main (enter)') || !tool.flow_text.includes('[CRITICAL] 1 Class 5 script error(s)')) failures.push(`tool: ${tool.flow_text}`)
+    setApiClient(createCxRestStandIn({}))
+    const class4 = await getClass5FlowHandler({ callid: 'c4-call' })
+    if (!class4.success || class4.call_type !== 'class4') failures.push('tool: Class 4 call')
+    const invalid = await getClass5FlowHandler({})
+    if (invalid.success !== false) failures.push('tool: missing callid accepted')
+
+    return {
+      tool: 'class5_flow',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: investigation.debug_summary.split('\n').find(l => l.startsWith('Class 5:')),
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'class5_flow',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testClass5Flow()
+}
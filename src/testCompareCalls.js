@@ -0,0 +1,79 @@
+/**
+ * Test for the compareCalls diff (offline — fixture traces, no API calls)
+ */
+
+import { buildCallProfile, compareCallProfiles } from './compareCalls'
+import { buildTrace, CUSTOMER, SWITCH } from './sipTraceFixtures'
+
+/**
+ * Builds a minimal call from the customer to the switch.
+ *
+ * @param {string} callid - Call-ID
+ * @param {string} toUser - Called number
+ * @param {string} userAgent - INVITE User-Agent
+ * @param {Array<string>} headers - Extra INVITE headers
+ * @param {Object} outcome - Final response { code, reason }
+ * @returns {Array<Object>} log/trace rows
+ */
+function fixtureCall (callid, toUser, userAgent, headers, outcome) {
+  return buildTrace({ callid, from_user: '441234567890', to_user: toUser, user_agent: userAgent }, [
+    { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: `z9hG4bK-${callid}`, cseq: 1, fromTag: `tag-${callid}`, headers },
+    { at: 10, reply: 0, code: 100, reason: 'Trying' },
+    { at: 1200, reply: 0, code: 180, reason: 'Ringing', toTag: 'sw' },
+    { at: 4000, reply: 0, code: outcome.code, reason: outcome.reason, toTag: 'sw' }
+  ])
+}
+
+/**
+ * Tests field and INVITE header differences between a working and a failing call
+ * @returns {Promise<Object>} Test result
+ */
+export async function testCompareCalls () {
+  try {
+    const failures = []
+
+    const good = buildCallProfile('good-call', fixtureCall('good-call', '15551110000', 'Softphone/2.0', ['P-Asserted-Identity: <sip:441234567890@203.0.113.10>'], { code: 200, reason: 'OK' }))
+    const bad = buildCallProfile('bad-call', fixtureCall('bad-call', '15552220000', 'Softphone/1.4', [], { code: 404, reason: 'Not Found' }))
+    const missing = { callid: 'missing-call', available: false, error: 'No SIP trace data found' }
+
+    const result = compareCallProfiles([good, bad, missing])
+    const fields = result.differences.map(d => d.field)
+
+    for (const expected of ['dst', 'user_agent', 'sip_code', 'sip_reason', 'connected']) {
+      if (!fields.includes(expected)) failures.push(`missing difference: ${expected}`)
+    }
+    for (const expected of ['cli', 'switch', 'protocols', 'pdd_ms']) {
+      if (!result.same.includes(expected)) failures.push(`${expected} should be identical`)
+    }
+    const codeDiff = result.differences.find(d => d.field === 'sip_code')
+    if (codeDiff && (codeDiff.values['good-call'] !== 200 || codeDiff.values['bad-call'] !== 404)) failures.push('sip_code values wrong')
+    if (codeDiff && 'missing-call' in codeDiff.values) failures.push('unavailable call included in field values')
+
+    const headers = result.header_differences.map(d => d.header)
+    if (!headers.includes('p-asserted-identity')) failures.push('P-Asserted-Identity difference not reported')
+    if (headers.includes('from') || headers.includes('call-id') || headers.includes('via')) failures.push(`volatile headers reported: ${headers.join(', ')}`)
+    if (!result.summary.includes('missing-call: no trace')) failures.push('summary does not mention the call without trace')
+
+    return {
+      tool: 'compare_calls',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      differences: fields,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'compare_calls',
+      status: 'ERROR',
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testCompareCalls()
+}
@@ -0,0 +1,77 @@
+/**
+ * Test for the call failure classifier (offline — labelled fixture corpus, local cxRest stand-in)
+ */
+
+import { analyzeSipTrace, investigateCallHandler, setApiClient } from './callDebugTools'
+import { classifyCallFailure, FAILURE_CAUSES } from './failureClassifier'
+import { FAILURE_FIXTURE_CORPUS, noRouteTrace } from './failureTraceFixtures'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { authChallengeConnectedTrace } from './sipTraceFixtures'
+
+/**
+ * Classifies every trace in the corpus and checks the 407-then-success flow
+ * @returns {Promise<Object>} Test result
+ */
+export async function testFailureClassifier () {
+  try {
+    const failures = []
+    const diagnoses = {}
+
+    // 1. Every labelled trace gets its expected diagnosis, with evidence
+    for (const fixture of FAILURE_FIXTURE_CORPUS) {
+      const messages = fixture.trace()
+      const analysis = analyzeSipTrace(messages)
+      const result = classifyCallFailure(analysis, messages)
+      diagnoses[fixture.name] = `${result.diagnosis} (${result.confidence})`
+
+      if (analysis.call_connected !== fixture.connected) failures.push(`${fixture.name}: call_connected=${analysis.call_connected}, expected ${fixture.connected}`)
+      if (result.diagnosis !== fixture.expected) failures.push(`${fixture.name}: diagnosed ${result.diagnosis}, expected ${fixture.expected}`)
+      if (!(result.confidence > 0.5 && result.confidence <= 1)) failures.push(`${fixture.name}: confidence ${result.confidence} out of range`)
+      if (result.evidence.length === 0 || !result.evidence.some(e => e.message_ids.length > 0)) failures.push(`${fixture.name}: no message evidence`)
+      if (!FAILURE_CAUSES[result.diagnosis] || result.label !== FAILURE_CAUSES[result.diagnosis].label) failures.push(`${fixture.name}: label missing`)
+    }
+
+    // 2. 407 challenge then success: final response is the 200, never an auth failure
+    const authAnalysis = analyzeSipTrace(authChallengeConnectedTrace())
+    if (!authAnalysis.final_response || authAnalysis.final_response.code !== 200) failures.push(`407-then-200: final_response ${JSON.stringify(authAnalysis.final_response)}`)
+    if (authAnalysis.issues.some(i => i.startsWith('Call failed'))) failures.push('407-then-200: reported as a failed call')
+    const authResult = classifyCallFailure(authAnalysis, authChallengeConnectedTrace())
+    if (authResult.diagnosis === 'auth_failure' || authResult.alternatives.some(a => a.diagnosis === 'auth_failure')) failures.push('407-then-200: auth_failure considered')
+
+    // 3. Unknown when nothing matches
+    if (classifyCallFailure({ error: 'No trace data available' }).diagnosis !== 'unknown') failures.push('no analysis: expected unknown')
+
+    // 4. investigateCall carries the diagnosis and uses it as the root cause
+    setApiClient(createCxRestStandIn({ 'GET log/trace': noRouteTrace() }))
+    const investigation = await investigateCallHandler({ callid: 'fx-noroute@203.0.113.10' })
+    if (!investigation.diagnosis || investigation.diagnosis.diagnosis !== 'no_route') failures.push('investigateCall: diagnosis missing')
+    if (!investigation.root_cause || investigation.root_cause.code !== 'diagnosis.no_route') failures.push(`investigateCall: root cause ${investigation.root_cause && investigation.root_cause.code}`)
+    if (investigation.root_cause && (investigation.root_cause.next_tool.tool !== 'simulateCall' || investigation.root_cause.next_tool.args.dst !== '8819999999')) failures.push('investigateCall: no_route should suggest simulateCall for the dialled number')
+    if (!investigation.debug_summary.includes('Diagnosis: No route')) failures.push('investigateCall: summary missing the diagnosis')
+
+    return {
+      tool: 'failure_classifier',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      corpus_size: FAILURE_FIXTURE_CORPUS.length,
+      diagnoses,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'failure_classifier',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testFailureClassifier()
+}
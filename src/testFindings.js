@@ -0,0 +1,118 @@
+/**
+ * Test for structured, ranked findings in investigateCall (offline — local cxRest stand-in, no API calls)
+ */
+
+import { investigateCallHandler, analyzeSipTrace, setApiClient } from './callDebugTools'
+import { createFinding, collectTraceFindings, rankFindings, identifyRootCause } from './findings'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { inviteTimeoutTrace, authChallengeConnectedTrace } from './sipTraceFixtures'
+
+/** RTCP rows with a low MOS (warn) and otherwise healthy metrics. */
+const LOW_MOS_RTCP = [
+  { mos: 3.0, jitter: 10, packet_loss: 0.2, rtt: 80 },
+  { mos: 3.2, jitter: 12, packet_loss: 0.1, rtt: 90 }
+]
+
+/** Healthy RTCP rows. */
+const GOOD_RTCP = [{ mos: 4.3, jitter: 4, packet_loss: 0, rtt: 40 }]
+
+/**
+ * Tests finding structure, severity ranking and root-cause selection
+ * @returns {Promise<Object>} Test result
+ */
+export async function testFindings () {
+  try {
+    const failures = []
+    const investigate = async (routes, callid) => {
+      setApiClient(createCxRestStandIn(routes))
+      return investigateCallHandler({ callid })
+    }
+
+    // 1. Unanswered INVITE (critical) outranks low MOS (warn); the classifier's diagnosis is the root cause
+    const timeout = await investigate({ 'GET log/trace': inviteTimeoutTrace(), 'GET log/rtcp': LOW_MOS_RTCP }, 'timeout-call')
+    const severities = timeout.findings.map(f => f.severity)
+    if (severities.indexOf('warn') !== -1 && severities.lastIndexOf('critical') > severities.indexOf('warn')) failures.push(`timeout: findings not ranked by severity (${severities.join(',')})`)
+    if (!timeout.root_cause || timeout.root_cause.code !== 'diagnosis.firewall_no_response' || timeout.root_cause.severity !== 'critical') failures.push(`timeout: root cause ${timeout.root_cause && timeout.root_cause.code}`)
+    const timerB = timeout.findings.find(f => f.code === 'sip_timer.timer_b_timeout')
+    if (!timerB) failures.push('timeout: Timer B finding missing')
+    else {
+      if (timerB.category !== 'signalling') failures.push(`timeout: Timer B category ${timerB.category}`)
+      if (timerB.evidence.message_ids.length !== 7) failures.push(`timeout: Timer B evidence has ${timerB.evidence.message_ids.length} message ids`)
+      if (!timerB.next_tool || timerB.next_tool.tool !== 'getSipTrace' || timerB.next_tool.args.callid !== 'timeout-call') failures.push('timeout: Timer B next tool missing')
+    }
+    const mos = timeout.findings.find(f => f.code === 'rtcp.low_mos')
+    if (!mos || mos.category !== 'media' || mos.evidence.values['mos.avg'] !== 3.1) failures.push('timeout: low MOS finding missing or without metric evidence')
+    if (mos && (mos.next_tool.tool !== 'getCallQuality' || mos.next_tool.args.callid !== 'timeout-call')) failures.push('timeout: low MOS next tool not rendered')
+    if (timeout.issues[0] !== timeout.findings[0].message) failures.push('timeout: issues not in ranked order')
+    if (!timeout.debug_summary.includes('Most likely root cause: Firewall / no response')) failures.push('timeout: summary does not name the root cause')
+
+    // 2. Healthy call — no findings, no "No quality issues detected" filler
+    const clean = await investigate({ 'GET log/trace': authChallengeConnectedTrace(), 'GET log/rtcp': GOOD_RTCP }, 'clean-call')
+    if (clean.root_cause !== null) failures.push(`clean: unexpected root cause ${clean.root_cause.code}`)
+    if (clean.issues.length > 0 || clean.rtcp.summary.issues.length > 0) failures.push(`clean: unexpected issues ${clean.issues.concat(clean.rtcp.summary.issues).join(' | ')}`)
+    if (!clean.debug_summary.includes('No issues detected.')) failures.push('clean: summary should say no issues')
+
+    // 3. Missing trace is itself a finding pointing at searchCallLogs
+    const missing = await investigate({}, 'missing-call')
+    const unavailable = missing.findings.find(f => f.code === 'trace.unavailable')
+    if (!unavailable || unavailable.next_tool.tool !== 'searchCallLogs' || unavailable.next_tool.args.search !== 'missing-call') failures.push('missing: trace.unavailable finding not returned')
+
+    // 4. An outcome ("Call failed") yields to a cause of the same severity
+    const ranked = rankFindings([
+      createFinding({ code: 'trace.nat_detected', severity: 'info', category: 'media', message: 'NAT' }),
+      createFinding({ code: 'trace.call_failed', severity: 'critical', category: 'signalling', message: 'Call failed: 488' }),
+      createFinding({ code: 'sdp.no_shared_codec', severity: 'critical', category: 'media', message: 'No shared codec' })
+    ])
+    if (ranked.map(f => f.rank).join(',') !== '1,2,3' || ranked[2].code !== 'trace.nat_detected') failures.push('ranking: info finding not last')
+    const cause = identifyRootCause(ranked)
+    if (!cause || cause.code !== 'sdp.no_shared_codec') failures.push(`root cause: expected sdp.no_shared_codec, got ${cause && cause.code}`)
+
+    // 5. Invalid findings are rejected
+    try {
+      createFinding({ code: 'x', severity: 'fatal', category: 'media' })
+      failures.push('validation: unknown severity accepted')
+    } catch (error) {
+      if (!error.message.includes('severity')) failures.push(`validation: wrong error ${error.message}`)
+    }
+
+    // 6. One invalid analyser entry is reported on its own; the other findings survive
+    const analysis = analyzeSipTrace(inviteTimeoutTrace())
+    analysis.retransmission_analysis.findings.push({ type: 'bogus', severity: 'fatal', leg: 'x', message: 'bad entry' })
+    const collected = collectTraceFindings(analysis, 'timeout-call')
+    const invalid = collected.find(f => f.code === 'finding.invalid')
+    if (!collected.some(f => f.code === 'sip_timer.timer_b_timeout')) failures.push('invalid entry: the valid findings were lost')
+    if (!invalid || invalid.severity !== 'info' || invalid.evidence.values.code !== 'sip_timer.bogus' || !invalid.message.includes('severity')) failures.push(`invalid entry: not reported (${JSON.stringify(invalid)})`)
+
+    return {
+      tool: 'findings',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      root_cause: timeout.root_cause ? timeout.root_cause.code : null,
+      failures
+    }
+
+  } catch (error) {
+    // 6. One invalid analyser entry is reported on its own; the other findings survive
+    const analysis = analyzeSipTrace(inviteTimeoutTrace())
+    analysis.retransmission_analysis.findings.push({ type: 'bogus', severity: 'fatal', leg: 'x', message: 'bad entry' })
+    const collected = collectTraceFindings(analysis, 'timeout-call')
+    const invalid = collected.find(f => f.code === 'finding.invalid')
+    if (!collected.some(f => f.code === 'sip_timer.timer_b_timeout')) failures.push('invalid entry: the valid findings were lost')
+    if (!invalid || invalid.severity !== 'info' || invalid.evidence.values.code !== 'sip_timer.bogus' || !invalid.message.includes('severity')) failures.push(`invalid entry: not reported (${JSON.stringify(invalid)})`)
+
+    return {
+      tool: 'findings',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testFindings()
+}
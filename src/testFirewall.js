@@ -0,0 +1,110 @@
+/**
+ * Test for the firewall check (offline — local cxRest stand-in)
+ */
+
+import { setApiClient, searchCallLogsHandler, investigateCallHandler } from './callDebugTools'
+import { checkFirewallHandler, ipMatchesEntry } from './firewall'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { inviteTimeoutTrace } from './sipTraceFixtures'
+
+/** Firewall lists: a blocked /24, an expired block, a whitelist entry and a rate limit. */
+const FIREWALL_ROUTES = {
+  'GET setup/firewall/block': [
+    { id: 1, ip: '203.0.113.0/24', reason: 'SIP scan detected (REGISTER flood)', source: 'auto', created: '2026-03-01 22:14:09' },
+    { id: 2, ip: '198.51.100.77', reason: 'Manual block', created: '2025-11-02 09:00:00', expires: '2025-12-02 09:00:00' }
+  ],
+  'GET setup/firewall/whitelist': [{ id: 5, ip: '198.51.100.77', reason: 'Carrier signalling' }],
+  'GET setup/firewall/rate-limit': [{ id: 9, ip: '192.0.2.99', limit: '20 cps' }],
+  'GET switch/ip': ({ params }) => params.ip === '203.0.113.10' ? [{ ip: '203.0.113.10', company_id: 42 }] : [],
+  'GET customer/42': { id: 42, name: 'Acme Telecom' }
+}
+
+/**
+ * Checks blocked, whitelisted and rate-limited IPs and the searchCallLogs hook
+ * @returns {Promise<Object>} Test result
+ */
+export async function testFirewall () {
+  try {
+    const failures = []
+
+    // 1. CIDR matching
+    if (!ipMatchesEntry('203.0.113.10', '203.0.113.0/24') || ipMatchesEntry('203.0.114.10', '203.0.113.0/24') || !ipMatchesEntry('192.0.2.99', '192.0.2.99') || ipMatchesEntry('192.0.2.9', 'not-an-ip')) failures.push('ipMatchesEntry')
+
+    // 2. Blocked by an automatic range block, owned by a customer
+    setApiClient(createCxRestStandIn(FIREWALL_ROUTES))
+    const blocked = await checkFirewallHandler({ ip: '203.0.113.10' })
+    if (!blocked.success || blocked.status !== 'blocked' || blocked.block.reason !== 'SIP scan detected (REGISTER flood)' || blocked.block.blocked_at !== '2026-03-01 22:14:09') failures.push(`blocked: ${JSON.stringify(blocked.block)}`)
+    if (!blocked.owner || blocked.owner.customers[0].name !== 'Acme Telecom') failures.push(`blocked: owner ${JSON.stringify(blocked.owner)}`)
+    if (!blocked.advice.some(a => a.includes('203.0.113.0/24')) || !blocked.advice.some(a => a.includes('whitelist'))) failures.push(`blocked: advice ${blocked.advice}`)
+    if (!blocked.summary.startsWith('203.0.113.10 is BLOCKED since 2026-03-01 22:14:09') || !blocked.summary.includes('Acme Telecom')) failures.push(`blocked: summary ${blocked.summary}`)
+
+    // 3. Expired block and whitelisted: not blocked, past block reported
+    const whitelisted = await checkFirewallHandler({ ip: '198.51.100.77' })
+    if (whitelisted.status !== 'whitelisted' || whitelisted.blocks.length !== 1 || whitelisted.blocks[0].active) failures.push(`whitelisted: ${whitelisted.status}`)
+    if (!whitelisted.advice.some(a => a.includes('expired block'))) failures.push('whitelisted: expired block not reported')
+
+    // 4. Rate-limited, no owner
+    const limited = await checkFirewallHandler({ ip: '192.0.2.99' })
+    if (limited.status !== 'rate_limited' || limited.owner !== null || !limited.advice.some(a => a.includes('switch/ip'))) failures.push(`rate limited: ${limited.status} ${limited.advice}`)
+
+    // 5. One list unreadable; all lists unreadable
+    setApiClient(createCxRestStandIn({ ...FIREWALL_ROUTES, 'GET setup/firewall/block': () => { throw new Error('forbidden') } }))
+    const partial = await checkFirewallHandler({ ip: '203.0.113.10' })
+    if (partial.status !== 'unknown' || partial.unavailable.join(',') !== 'block') failures.push(`partial: ${partial.status} unavailable=${partial.unavailable}`)
+    if (partial.advice.some(a => a.includes('not dropping')) || !partial.advice.some(a => a.includes('Could not read the block list'))) failures.push(`partial: advice ${partial.advice}`)
+    if (!partial.summary.includes('unknown: the block list(s) could not be read')) failures.push(`partial: summary ${partial.summary}`)
+    setApiClient(createCxRestStandIn({ ...FIREWALL_ROUTES, 'GET setup/firewall/rate-limit': () => { throw new Error('forbidden') } }))
+    const noRateLimits = await checkFirewallHandler({ ip: '192.0.2.50' })
+    if (noRateLimits.status !== 'clear' || noRateLimits.advice.some(a => a.includes('not dropping'))) failures.push(`rate-limit list unread: ${noRateLimits.status} ${noRateLimits.advice}`)
+    const down = () => { throw new Error('unavailable') }
+    setApiClient(createCxRestStandIn({ 'GET setup/firewall/block': down, 'GET setup/firewall/whitelist': down, 'GET setup/firewall/rate-limit': down }))
+    if ((await checkFirewallHandler({ ip: '203.0.113.10' })).status !== 'unknown') failures.push('all lists down: expected unknown')
+
+    // 6. A failed owner lookup is not reported as an unassigned IP
+    setApiClient(createCxRestStandIn({ ...FIREWALL_ROUTES, 'GET switch/ip': () => { throw new Error('timeout') } }))
+    const lookupFailed = await checkFirewallHandler({ ip: '192.0.2.99' })
+    if (!lookupFailed.owner_lookup_error || lookupFailed.advice.some(a => a.includes('No customer has this IP')) || !lookupFailed.summary.includes('Owner unknown')) failures.push(`owner lookup failed: ${lookupFailed.owner_lookup_error} ${lookupFailed.advice}`)
+
+    // 7. Invalid IP
+    const invalid = await checkFirewallHandler({ ip: '203.0.113.300' })
+    if (invalid.success !== false || !invalid.error.includes('Parameter "ip"')) failures.push('invalid IP accepted')
+
+    // 8. searchCallLogs: an IP with no calls runs the check, a number does not
+    const api = createCxRestStandIn(FIREWALL_ROUTES)
+    setApiClient(api)
+    const byIp = await searchCallLogsHandler({ search: '203.0.113.10' })
+    if (!byIp.firewall || byIp.firewall.status !== 'blocked' || !byIp.message.includes('is BLOCKED')) failures.push('searchCallLogs: firewall check not run for an IP with no calls')
+    const byNumber = await searchCallLogsHandler({ search: '441234567890' })
+    if (byNumber.firewall || api.calls.filter(c => c.path.startsWith('setup/firewall')).length !== 3) failures.push('searchCallLogs: firewall check should only run for IP searches')
+
+    // 9. A carrier that never answers points the root cause at checkFirewall
+    setApiClient(createCxRestStandIn({ 'GET log/trace': inviteTimeoutTrace() }))
+    const timeout = await investigateCallHandler({ callid: 'timeout-call' })
+    const next = timeout.root_cause && timeout.root_cause.next_tool
+    if (!next || next.tool !== 'checkFirewall' || next.args.ip !== '192.0.2.20') failures.push(`timeout: next tool ${JSON.stringify(next)}`)
+
+    return {
+      tool: 'firewall',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: blocked.summary,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'firewall',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testFirewall()
+}
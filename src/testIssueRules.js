@@ -0,0 +1,134 @@
+/**
+ * Test for the declarative issue rule engine (offline — fixture traces and RTCP rows, no API calls)
+ */
+
+import { analyzeSipTrace, summarizeRtcpMetrics, investigateCallHandler, setApiClient } from './callDebugTools'
+import { DEFAULT_ISSUE_RULES, loadIssueRules, mergeIssueRules, evaluateIssueRules, getIssueRules, resetIssueRules } from './issueRules'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { authChallengeConnectedTrace } from './sipTraceFixtures'
+
+/** RTCP rows with MOS 3.2, jitter 20ms, loss 2%, RTT 150ms. */
+const RTCP_ROWS = [
+  { mos: 3.1, jitter: 18, packet_loss: 1.5, rtt: 140 },
+  { mos: 3.3, jitter: 22, packet_loss: 2.5, rtt: 160 }
+]
+
+/**
+ * Tests default thresholds, ISSUE_RULES overrides, rule validation and the
+ * fallback to the defaults when the override is invalid
+ * @returns {Promise<Object>} Test result
+ */
+export async function testIssueRules () {
+  try {
+    const failures = []
+    const idsOf = triggered => triggered.map(r => r.id).sort().join(',')
+
+    // 1. Defaults reproduce the old hard-coded thresholds
+    const defaults = loadIssueRules({ env: {} })
+    if (defaults.origin !== 'default' || defaults.rules !== DEFAULT_ISSUE_RULES) failures.push('empty env: defaults not used')
+    const quality = summarizeRtcpMetrics(RTCP_ROWS, { rules: defaults.rules })
+    if (idsOf(quality.triggered_rules) !== 'rtcp.low_mos,rtcp.packet_loss') failures.push(`default rtcp rules: fired ${idsOf(quality.triggered_rules)}`)
+    if (!quality.issues.includes('Low MOS: 3.2 (< 3.5 threshold)')) failures.push(`default rtcp rules: MOS message ${quality.issues[0]}`)
+    if (quality.overall_quality !== 'poor') failures.push(`default rtcp rules: quality ${quality.overall_quality}`)
+    const lowMos = quality.triggered_rules.find(r => r.id === 'rtcp.low_mos')
+    if (lowMos && (lowMos.severity !== 'warn' || !lowMos.doc)) failures.push('default rtcp rules: severity/doc link missing')
+
+    const connected = analyzeSipTrace(authChallengeConnectedTrace(), { rules: defaults.rules })
+    if (connected.triggered_rules.length > 0) failures.push(`connected trace: fired ${idsOf(connected.triggered_rules)}`)
+
+    // 2. NOC override via ISSUE_RULES — tighter PDD and jitter, NAT rule disabled
+    const noc = loadIssueRules({
+      env: {
+        ISSUE_RULES: JSON.stringify({
+          override: { 'trace.high_pdd': { when: { value: 1000 } }, 'rtcp.high_jitter': { when: { value: 15 }, severity: 'critical' } },
+          disable: ['trace.nat_detected']
+        })
+      }
+    })
+    if (noc.origin !== 'env') failures.push(`ISSUE_RULES: origin ${noc.origin}`)
+    if (noc.rules.some(r => r.id === 'trace.nat_detected')) failures.push('ISSUE_RULES: disabled rule still present')
+    const tight = analyzeSipTrace(authChallengeConnectedTrace(), { rules: noc.rules })
+    if (!tight.issues.includes('High Post-Dial Delay: 1530ms (>1000ms)')) failures.push(`ISSUE_RULES: PDD override not applied (${tight.issues.join(' | ')})`)
+    const jitter = summarizeRtcpMetrics(RTCP_ROWS, { rules: noc.rules }).triggered_rules.find(r => r.id === 'rtcp.high_jitter')
+    if (!jitter || jitter.severity !== 'critical') failures.push('ISSUE_RULES: jitter override not applied')
+
+    // 3. A rule array in ISSUE_RULES replaces the defaults wholesale
+    const wholesale = loadIssueRules({ env: { ISSUE_RULES: JSON.stringify([{ id: 'rtcp.very_low_mos', severity: 'critical', source: 'rtcp', when: { field: 'mos.avg', op: '<', value: 2.5 }, message: 'MOS {mos.avg}' }]) } })
+    if (wholesale.origin !== 'env' || wholesale.rules.length !== 1) failures.push('ISSUE_RULES array: rule set not loaded')
+    if (summarizeRtcpMetrics(RTCP_ROWS, { rules: wholesale.rules }).overall_quality !== 'good') failures.push('ISSUE_RULES array: MOS 3.2 should pass the wholesale rules')
+
+    // 4. Compound conditions and class5 source
+    const class5Rules = mergeIssueRules({
+      rules: [{ id: 'class5.many_records', severity: 'info', source: 'class5', when: { all: [{ field: 'available', op: '==', value: true }, { field: 'record_count', op: '>=', value: 3 }] }, message: '{record_count} Class 5 records' }]
+    })
+    const fired = evaluateIssueRules('class5', { available: true, record_count: 4 }, class5Rules)
+    if (fired.length !== 1 || fired[0].message !== '4 Class 5 records') failures.push(`class5 rule: ${JSON.stringify(fired)}`)
+
+    // 5. Invalid rule sets are rejected with a clear message
+    const rejects = (label, env) => {
+      try {
+        loadIssueRules({ env })
+        failures.push(`${label}: accepted`)
+      } catch (error) {
+        return error.message
+      }
+      return ''
+    }
+    if (!rejects('bad JSON', { ISSUE_RULES: '{nope' }).includes('not valid JSON')) failures.push('bad JSON: wrong error')
+    if (!rejects('bad operator', { ISSUE_RULES: JSON.stringify([{ id: 'x', severity: 'warn', source: 'rtcp', when: { field: 'mos.avg', op: '~', value: 1 }, message: 'x' }]) }).includes('unsupported operator')) failures.push('bad operator: wrong error')
+    const rule = when => JSON.stringify([{ id: 'x', severity: 'warn', source: 'trace', when, message: 'x' }])
+    if (!rejects('bad pattern', { ISSUE_RULES: rule({ field: 'final_response.reason', op: 'matches', value: '(' }) }).includes('not a valid regular expression')) failures.push('bad pattern: wrong error')
+    if (!rejects('non-numeric threshold', { ISSUE_RULES: rule({ field: 'pdd_ms', op: '>', value: '5000' }) }).includes('finite number')) failures.push('non-numeric threshold: wrong error')
+    if (!rejects('bad disable', { ISSUE_RULES: JSON.stringify({ disable: 'trace.nat_detected' }) }).includes('"disable" must be an array')) failures.push('bad disable: wrong error')
+    if (!rejects('unknown override', { ISSUE_RULES: JSON.stringify({ override: { 'rtcp.nope': { severity: 'info' } } }) }).includes('unknown rule')) failures.push('unknown override: wrong error')
+
+    // 6. An invalid ISSUE_RULES falls back to the defaults, once, with a warning
+    const configured = process.env.ISSUE_RULES
+    try {
+      process.env.ISSUE_RULES = '{nope'
+      resetIssueRules()
+      const fallback = summarizeRtcpMetrics(RTCP_ROWS)
+      if (getIssueRules() !== DEFAULT_ISSUE_RULES || idsOf(fallback.triggered_rules) !== 'rtcp.low_mos,rtcp.packet_loss') failures.push(`invalid ISSUE_RULES: defaults not used (${idsOf(fallback.triggered_rules)})`)
+      if (!fallback.rules_warning || !fallback.rules_warning.includes('not valid JSON')) failures.push(`invalid ISSUE_RULES: rtcp warning ${fallback.rules_warning}`)
+      process.env.ISSUE_RULES = JSON.stringify({ override: { 'rtcp.low_mos': { when: { value: 4.0 } } } })
+      if (!analyzeSipTrace(authChallengeConnectedTrace()).rules_warning) failures.push('invalid ISSUE_RULES: fallback not cached for the process')
+      setApiClient(createCxRestStandIn({ 'GET log/trace': authChallengeConnectedTrace() }))
+      const investigation = await investigateCallHandler({ callid: 'fx-auth-ok@203.0.113.10' })
+      if (!investigation.success || !investigation.rules_warning || !investigation.debug_summary.includes('Warning: ISSUE_RULES ignored')) failures.push('invalid ISSUE_RULES: investigateCall should run and carry the warning')
+
+      // A bad pattern falls back too, rather than throwing in every trace analysis
+      process.env.ISSUE_RULES = rule({ field: 'final_response.reason', op: 'matches', value: '(' })
+      resetIssueRules()
+      const badPattern = analyzeSipTrace(authChallengeConnectedTrace())
+      if (!badPattern.rules_warning || !badPattern.rules_warning.includes('regular expression')) failures.push(`bad pattern: trace analysis warning ${badPattern.rules_warning}`)
+    } finally {
+      if (configured === undefined) delete process.env.ISSUE_RULES
+      else process.env.ISSUE_RULES = configured
+      resetIssueRules()
+      setApiClient(null)
+    }
+    if (analyzeSipTrace(authChallengeConnectedTrace()).rules_warning) failures.push('valid rules: unexpected rules_warning')
+
+    return {
+      tool: 'issue_rules',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      default_rules: DEFAULT_ISSUE_RULES.length,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'issue_rules',
+      status: 'ERROR',
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testIssueRules()
+}
@@ -0,0 +1,134 @@
+/**
+ * Test for the media-zone recommender (offline — fixture trace, local cxRest stand-in)
+ */
+
+import { setApiClient } from './callDebugTools'
+import { recommendMediaZoneHandler, geolocateIp, estimateRttMs, ZONE_LOCATIONS } from './mediaZone'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { routeAdvanceTrace } from './sipTraceFixtures'
+
+/** RTP groups: failover pairs, mixed transcoding, an inactive group and an unknown location. */
+const RTP_GROUPS = [
+  { id: 1, name: 'UK (London)', status: 1, alt: 2, transcoding: 1, location: 'lon', elastic: 0 },
+  { id: 2, name: 'Germany (Frankfurt)', status: 1, alt: 1, transcoding: 0, location: 'fra', elastic: 1 },
+  { id: 3, name: 'USA East (New York)', status: 1, alt: 4, transcoding: 1, location: 'nyc', elastic: 1 },
+  { id: 4, name: 'USA West (San Francisco)', status: 1, alt: 3, transcoding: 0, location: 'sfo' },
+  { id: 5, name: 'Singapore', status: 1, alt: 0, transcoding: 0, location: 'sgp' },
+  { id: 6, name: 'India (Bangalore)', status: 0, alt: 5, transcoding: 1, location: 'blr' },
+  { id: 7, name: 'Lab', status: 1, location: 'xyz' }
+]
+
+/** Real allocations for the fixture's documentation addresses, which do not geolocate. */
+const RELOCATED = { '203.0.113.10': '117.200.1.1', '198.51.100.5': '81.2.69.160', '192.0.2.60': '64.1.1.1' }
+
+/**
+ * The route-advance fixture with its customer in India, switch in the UK and
+ * answering carrier in the US.
+ *
+ * @returns {Array<Object>} log/trace rows
+ */
+function relocatedTrace () {
+  return routeAdvanceTrace().map(row => {
+    const moved = { ...row }
+    for (const [field, value] of Object.entries(row)) {
+      if (typeof value === 'string') moved[field] = Object.entries(RELOCATED).reduce((text, [from, to]) => text.split(from).join(to), value)
+    }
+    return moved
+  })
+}
+
+/**
+ * Ranks zones for a traced call, for input IPs and for a customer ID
+ * @returns {Promise<Object>} Test result
+ */
+export async function testMediaZone () {
+  try {
+    const failures = []
+
+    // 1. Offline geolocation and the distance model
+    const countries = ['81.2.69.160', '117.200.1.1', '64.1.1.1', '41.1.1.1', '203.0.113.10', '10.0.0.1', '240.0.0.1'].map(geolocateIp)
+    if (countries.join(',') !== 'GB,IN,US,ZA,,,') failures.push(`geolocation: ${countries}`)
+    const lonNyc = estimateRttMs(ZONE_LOCATIONS.lon, ZONE_LOCATIONS.nyc)
+    if (lonNyc < 80 || lonNyc > 95 || estimateRttMs(ZONE_LOCATIONS.lon, ZONE_LOCATIONS.lon) !== 4) failures.push(`RTT model: lon-nyc ${lonNyc}`)
+
+    // 2. Traced call: customer in India (SDP address), carrier in the US, Bangalore inactive
+    setApiClient(createCxRestStandIn({ 'GET setup/server/rtp-group': RTP_GROUPS, 'GET log/trace': relocatedTrace() }))
+    const traced = await recommendMediaZoneHandler({ callid: 'ra-call', callidb: 'ra-callidb' })
+    if (!traced.success || traced.endpoints.customer.ip !== '117.200.1.1' || traced.endpoints.customer.source !== 'sdp' || traced.endpoints.customer.location !== 'IN') failures.push(`traced: customer ${JSON.stringify(traced.endpoints?.customer)}`)
+    if (traced.endpoints.carriers.map(c => `${c.ip}:${c.location}`).join(',') !== '64.1.1.1:US') failures.push(`traced: carriers should be the answering attempt, got ${traced.endpoints.carriers.map(c => c.ip)}`)
+    if (traced.recommendation.location !== 'fra' || traced.candidates.length !== 5) failures.push(`traced: ranking ${traced.candidates.map(c => c.location)}`)
+    if (traced.excluded.map(e => `${e.location}:${e.reason}`).join(',') !== 'blr:inactive,xyz:unknown_location') failures.push(`traced: excluded ${JSON.stringify(traced.excluded)}`)
+    if (traced.transcoding_required || traced.calibration !== null || traced.current.location !== 'GB') failures.push('traced: no transcoding and no calibration expected')
+    if (!traced.summary.startsWith('Recommended media zone: Germany (Frankfurt) (fra)')) failures.push(`traced: summary ${traced.summary}`)
+
+    // 3. Within one country the zone in that country wins
+    const allActive = RTP_GROUPS.map(g => ({ ...g, status: 1 }))
+    setApiClient(createCxRestStandIn({ 'GET setup/server/rtp-group': allActive }))
+    const uk = await recommendMediaZoneHandler({ customer_ip: '81.2.69.160', carrier_ips: '86.1.1.1' })
+    const india = await recommendMediaZoneHandler({ customer_ip: '117.200.1.1', carrier_ips: '122.160.1.1' })
+    if (uk.recommendation?.location !== 'lon' || india.recommendation?.location !== 'blr') failures.push(`same country: UK ${uk.recommendation?.location}, India ${india.recommendation?.location}`)
+
+    // 4. RTCP RTT calibrates the estimates
+    setApiClient(createCxRestStandIn({
+      'GET setup/server/rtp-group': RTP_GROUPS,
+      'GET log/trace': relocatedTrace(),
+      'GET log/rtcp': [{ leg: 'a', ssrc: '1', rtt: 300, jitter: 5, packet_loss: 0 }, { leg: 'b', ssrc: '2', rtt: 200, jitter: 5, packet_loss: 0 }]
+    }))
+    const calibrated = await recommendMediaZoneHandler({ callid: 'ra-call', callidb: 'ra-callidb' })
+    if (!calibrated.calibration || calibrated.calibration.measured_ms !== 500 || calibrated.calibration.factor <= 1) failures.push(`calibration: ${JSON.stringify(calibrated.calibration)}`)
+    if (calibrated.current.measured_rtt_ms !== 500 || calibrated.recommendation.estimated_rtt_ms <= traced.recommendation.estimated_rtt_ms) failures.push('calibration: estimates not scaled')
+
+    // 5. Input IPs, carrier known to be in New York, with transcoding: groups that cannot transcode rank last, failover penalised
+    const europe = await recommendMediaZoneHandler({ customer_ip: '81.2.69.1', carrier_ips: '64.1.1.1', carrier_location: 'nyc', transcoding: true })
+    const order = europe.candidates.map(c => `${c.location}${c.eligible ? '' : '!'}`).join(',')
+    if (order !== 'lon,nyc,fra!,sfo!,sgp!') failures.push(`transcoding ranking: ${order}`)
+    if (europe.recommendation.failover.location !== 'fra' || !europe.candidates[1].notes.some(n => n.includes('San Francisco'))) failures.push('transcoding: failover details missing')
+    if (!europe.candidates.find(c => c.location === 'fra').notes.includes('Cannot transcode — the legs negotiated different codecs')) failures.push('transcoding: ineligible note missing')
+
+    // 6. Known location overrides geolocation; a customer ID resolves through switch/ip
+    const override = await recommendMediaZoneHandler({ customer_ip: '81.2.69.1', customer_location: 'nyc', carrier_ips: '64.1.1.1' })
+    if (override.recommendation.location !== 'nyc' || override.endpoints.customer.location_source !== 'input') failures.push(`override: ${override.recommendation?.location}`)
+    const byCountry = await recommendMediaZoneHandler({ customer_ip: '81.2.69.1', customer_location: 'in', carrier_ips: '64.1.1.1' })
+    if (byCountry.endpoints?.customer.location !== 'IN' || byCountry.endpoints.customer.name !== 'India') failures.push(`country override: ${JSON.stringify(byCountry.endpoints?.customer)}`)
+    setApiClient(createCxRestStandIn({
+      'GET setup/server/rtp-group': RTP_GROUPS,
+      'GET switch/ip': ({ params }) => String(params.company_id) === '42' ? [{ ip: '81.2.69.1', company_id: 42 }] : []
+    }))
+    const byCustomer = await recommendMediaZoneHandler({ customer_id: 42 })
+    if (!byCustomer.success || byCustomer.endpoints.customer.source !== 'switch/ip' || byCustomer.recommendation.location !== 'lon' || !byCustomer.caveats.some(c => c.includes('No carrier IP'))) failures.push(`customer id: ${byCustomer.recommendation?.location} ${byCustomer.caveats}`)
+    const noIps = await recommendMediaZoneHandler({ customer_id: 7 })
+    if (noIps.success !== false || !noIps.message.includes('no IPs')) failures.push('customer id without IPs accepted')
+    const unplaced = await recommendMediaZoneHandler({ customer_ip: '10.1.2.3', carrier_ips: '192.168.1.1' })
+    if (unplaced.success !== false || !unplaced.message.includes('Could not geolocate') || unplaced.message.includes('null') || !unplaced.suggestions) failures.push(`no endpoint placed: ${unplaced.summary || unplaced.message}`)
+
+    // 7. Validation
+    const missing = await recommendMediaZoneHandler({})
+    const badIp = await recommendMediaZoneHandler({ customer_ip: '81.2.69.1', carrier_ips: '64.1.1.1, 300.1.1.1' })
+    const badLocation = await recommendMediaZoneHandler({ customer_ip: '81.2.69.1', customer_location: 'mars' })
+    if (!missing.error?.includes('Parameter "callid"') || !badIp.error?.includes('Parameter "carrier_ips"') || !badLocation.error?.includes('Unknown location "mars"')) failures.push('validation')
+
+    return {
+      tool: 'media_zone',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: traced.summary,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'media_zone',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testMediaZone()
+}
@@ -0,0 +1,100 @@
+/**
+ * Test for the NAT analyser (offline — fixture traces, no API calls)
+ */
+
+import { analyzeSipTrace } from './callDebugTools'
+import { parseCxNat, parseNatIdx } from './natAnalysis'
+import { collectTraceFindings } from './findings'
+import {
+  buildTrace,
+  sdpBody,
+  signallingNatTrace,
+  doubleNatTrace,
+  noNatLoadBalancedTrace,
+  privateMediaTrace,
+  CUSTOMER,
+  SWITCH
+} from './sipTraceFixtures'
+
+/**
+ * Classifies the NAT fixtures and checks the header parsing
+ * @returns {Promise<Object>} Test result
+ */
+export async function testNatAnalysis () {
+  try {
+    const failures = []
+    const classes = {}
+
+    // 1. Header parsing
+    if (parseCxNat('false') !== false || parseCxNat(' TRUE ') !== true || parseCxNat('maybe') !== null) failures.push('parseCxNat')
+    const idx = parseNatIdx('40; contact=192.168.0.2')
+    if (!idx || idx.index !== 40 || idx.flags.join(',') !== 'sdp_private,contact_mismatch' || idx.details !== 'contact=192.168.0.2') failures.push(`parseNatIdx: ${JSON.stringify(idx)}`)
+
+    // 2. One fixture per class
+    const expectations = [
+      { name: 'no_nat_load_balanced', trace: noNatLoadBalancedTrace, classification: 'none', fent: 'not_needed', direct: 'safe' },
+      { name: 'signalling_nat', trace: signallingNatTrace, classification: 'signalling', fent: 'recommended', direct: 'safe' },
+      { name: 'media_nat', trace: privateMediaTrace, classification: 'media', fent: 'required', direct: 'unsafe' },
+      { name: 'double_nat', trace: doubleNatTrace, classification: 'double', fent: 'required', direct: 'unsafe' }
+    ]
+    for (const expected of expectations) {
+      const nat = analyzeSipTrace(expected.trace()).nat
+      classes[expected.name] = nat.classification
+      if (nat.classification !== expected.classification) failures.push(`${expected.name}: classified ${nat.classification}, expected ${expected.classification}`)
+      if (nat.advice.far_end_nat_traversal !== expected.fent || nat.advice.direct_media !== expected.direct) failures.push(`${expected.name}: advice ${nat.advice.far_end_nat_traversal}/${nat.advice.direct_media}`)
+    }
+
+    // 3. X-CX-NAT: false is not NAT; the load balancer source is replaced by X-Orig-IP
+    const clean = analyzeSipTrace(noNatLoadBalancedTrace())
+    if (clean.nat_detected || clean.triggered_rules.some(r => r.id === 'trace.nat_detected')) failures.push('X-CX-NAT: false flagged as NAT')
+    if (!clean.nat.endpoints[0].relayed_by_load_balancer || clean.nat.endpoints[0].source_ip !== '203.0.113.10' || !clean.nat.headers.x_lb_sec) failures.push('load balancer relay not recognised')
+    if (JSON.stringify(clean.nat.headers).includes('41d0be9c33')) failures.push('X-LB-SEC hash should not be echoed')
+
+    // 4. Signalling NAT evidence and X-NAT-IDX decoding
+    const signalling = analyzeSipTrace(signallingNatTrace()).nat
+    const caller = signalling.endpoints[0]
+    if (!caller.checks.contact_private || !caller.checks.via_port_mismatch || caller.checks.sdp_private) failures.push(`signalling NAT checks: ${JSON.stringify(caller.checks)}`)
+    if (!signalling.headers.x_nat_idx || !signalling.headers.x_nat_idx.flags.includes('via_port_mismatch')) failures.push('X-NAT-IDX 19 not decoded')
+    if (signalling.headers.x_nat_idx.decode !== 'heuristic' || !signalling.evidence.some(e => e.startsWith('X-NAT-IDX 19 (heuristic decode'))) failures.push('X-NAT-IDX decode not labelled as a heuristic')
+    const idxOnly = analyzeSipTrace(buildTrace({ callid: 'fx-nat-idx@203.0.113.10', from_user: '441234567890', to_user: '15551230005' }, [
+      { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-ni-1', cseq: 1, fromTag: 'cust-ni', headers: ['X-NAT-IDX: 8'], sdp: sdpBody({ ip: '203.0.113.10', port: 16000, codecs: ['PCMU'] }) },
+      { at: 5, reply: 0, code: 100, reason: 'Trying' }
+    ])).nat
+    if (idxOnly.classification !== 'signalling') failures.push(`X-NAT-IDX 8 alone should not imply media NAT (got ${idxOnly.classification})`)
+
+    // 5. Double NAT becomes a warn finding for investigateCall
+    const double = analyzeSipTrace(doubleNatTrace())
+    const finding = collectTraceFindings(double, double.call_id).find(f => f.code === 'nat.double')
+    if (!finding || finding.severity !== 'warn' || finding.category !== 'media' || finding.evidence.message_ids[0] !== 1) failures.push(`double NAT finding: ${JSON.stringify(finding)}`)
+    if (!double.nat.evidence.some(e => e.includes('received=100.64.7.12'))) failures.push('double NAT: received= evidence missing')
+
+    // 6. Header says false, addresses say otherwise
+    const contradicted = analyzeSipTrace(buildTrace({ callid: 'fx-nat-contra@203.0.113.10', from_user: '441234567890', to_user: '15551230004' }, [
+      { at: 0, from: CUSTOMER, to: SWITCH, method: 'INVITE', branch: 'z9hG4bK-nc-1', cseq: 1, fromTag: 'cust-nc', contact: '10.0.0.7:5060', headers: ['X-CX-NAT: false'], sdp: sdpBody({ ip: '203.0.113.10', port: 16000, codecs: ['PCMU'] }) },
+      { at: 5, reply: 0, code: 100, reason: 'Trying' }
+    ])).nat
+    if (contradicted.classification !== 'signalling' || !contradicted.findings.some(f => f.type === 'header_mismatch')) failures.push('X-CX-NAT: false with a private Contact not reported')
+
+    return {
+      tool: 'nat_analysis',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      classes,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'nat_analysis',
+      status: 'ERROR',
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testNatAnalysis()
+}
@@ -0,0 +1,128 @@
+/**
+ * Test for PCAP export of SIP traces (offline — fixture trace, local cxRest stand-in)
+ */
+
+import { setApiClient } from './callDebugTools'
+import { exportTracePcap, exportTracePcapHandler, internetChecksum, PCAP_MAGIC, PCAPNG_BLOCK } from './pcapExport'
+import { base64ToBytes, bytesToUtf8 } from './binaryUtils'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { authChallengeConnectedTrace } from './sipTraceFixtures'
+
+/**
+ * Checks one Ethernet frame: IPv4 header checksum and length, UDP/TCP checksum
+ * over the pseudo-header, and returns the payload's first line.
+ *
+ * @param {Uint8Array} frame - Ethernet frame
+ * @returns {Object} { protocol, first_line, error }
+ */
+function inspectFrame (frame) {
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.length)
+  const ip = frame.subarray(14, 34)
+  if (view.getUint16(12) !== 0x0800) return { error: 'not IPv4' }
+  if (internetChecksum([ip]) !== 0) return { error: 'bad IPv4 checksum' }
+  if (view.getUint16(16) !== frame.length - 14) return { error: 'bad IPv4 total length' }
+  const segment = frame.subarray(34)
+  const pseudo = new Uint8Array([...ip.subarray(12, 20), 0, ip[9], segment.length >> 8, segment.length & 0xff])
+  if (internetChecksum([pseudo, segment]) !== 0) return { error: 'bad UDP/TCP checksum' }
+  const payload = segment.subarray(ip[9] === 17 ? 8 : 20)
+  return { protocol: ip[9] === 17 ? 'udp' : 'tcp', first_line: bytesToUtf8(payload).split('\r\n')[0] }
+}
+
+/**
+ * Synthesises pcap, pcapng and sngrep text from a trace and checks headers,
+ * timestamps and checksums
+ * @returns {Promise<Object>} Test result
+ */
+export async function testPcapExport () {
+  try {
+    const failures = []
+    const trace = authChallengeConnectedTrace()
+    // The 407 and its ACK went over TCP
+    trace[2].protocol = 'TCP'
+    trace[3].protocol = 'TCP'
+
+    // 1. libpcap: global header, one record per row, valid frames and timestamps
+    const pcap = exportTracePcap(trace, 'pcap')
+    const bytes = base64ToBytes(pcap.content)
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length)
+    if (view.getUint32(0, true) !== PCAP_MAGIC || view.getUint16(4, true) !== 2 || view.getUint32(20, true) !== 1) failures.push('pcap: bad global header')
+    const records = []
+    for (let offset = 24; offset < bytes.length;) {
+      const length = view.getUint32(offset + 8, true)
+      records.push({ seconds: view.getUint32(offset, true), micros: view.getUint32(offset + 4, true), ...inspectFrame(bytes.subarray(offset + 16, offset + 16 + length)) })
+      offset += 16 + length
+    }
+    if (records.length !== trace.length || pcap.packet_count !== trace.length) failures.push(`pcap: ${records.length} record(s) for ${trace.length} row(s)`)
+    const broken = records.find(r => r.error)
+    if (broken) failures.push(`pcap frame: ${broken.error}`)
+    if (records[0].seconds !== Date.UTC(2026, 2, 2, 10, 0, 0) / 1000 || records[0].first_line !== 'INVITE sip:15551234567@198.51.100.5:5060 SIP/2.0') failures.push(`pcap first record: ${JSON.stringify(records[0])}`)
+    const firstMicros = records.map(r => (r.seconds - records[0].seconds) * 1e6 + r.micros)
+    const rowMicros = trace.map(r => r.micro_ts - trace[0].micro_ts)
+    if (firstMicros.join(',') !== rowMicros.join(',')) failures.push(`pcap timestamps: ${firstMicros.join(',')}`)
+    if (records.map(r => r.protocol).join(',') !== trace.map(r => r.protocol === 'TCP' ? 'tcp' : 'udp').join(',')) failures.push(`pcap transports: ${records.map(r => r.protocol)}`)
+
+    // 2. pcapng: section header, interface, one enhanced packet block per row
+    const ng = base64ToBytes(exportTracePcap(trace, 'pcapng', { comment: 'Call-ID: test' }).content)
+    const ngView = new DataView(ng.buffer, ng.byteOffset, ng.length)
+    const blocks = []
+    for (let offset = 0; offset < ng.length;) {
+      const type = ngView.getUint32(offset, true)
+      const length = ngView.getUint32(offset + 4, true)
+      if (length % 4 !== 0 || ngView.getUint32(offset + length - 4, true) !== length) { failures.push(`pcapng: bad block at ${offset}`); break }
+      if (type === PCAPNG_BLOCK.EPB) {
+        const micros = ngView.getUint32(offset + 12, true) * 0x100000000 + ngView.getUint32(offset + 16, true)
+        blocks.push({ type, micros, ...inspectFrame(ng.subarray(offset + 28, offset + 28 + ngView.getUint32(offset + 20, true))) })
+      } else {
+        blocks.push({ type })
+      }
+      offset += length
+    }
+    if (blocks[0].type !== PCAPNG_BLOCK.SHB || ngView.getUint32(8, true) !== 0x1a2b3c4d || blocks[1].type !== PCAPNG_BLOCK.IDB) failures.push('pcapng: missing section/interface header')
+    const packets = blocks.filter(b => b.type === PCAPNG_BLOCK.EPB)
+    if (packets.length !== trace.length || packets.some(p => p.error) || packets[0].micros !== trace[0].micro_ts) failures.push(`pcapng packets: ${JSON.stringify(packets.slice(0, 2))}`)
+
+    // 3. sngrep-style text
+    const text = exportTracePcap(trace, 'text').content
+    const headers = text.split('\n').filter(l => / -> /.test(l) && /^\d{4}\/\d\d\/\d\d /.test(l))
+    if (headers.length !== trace.length || headers[0] !== '2026/03/02 10:00:00.000000 203.0.113.10:5060 -> 198.51.100.5:5060') failures.push(`text headers: ${headers.slice(0, 2)}`)
+    if (text.includes('\r')) failures.push('text: CRLF line endings left in')
+
+    // 4. Rows that cannot be written are skipped and listed
+    const partial = exportTracePcap([...trace, { id: 99, source_ip: '2001:db8::1', source_port: 5060, destination_ip: '2001:db8::2', destination_port: 5060, micro_ts: trace[0].micro_ts, msg: 'OPTIONS sip:x SIP/2.0\r\n\r\n' }], 'pcap')
+    if (partial.packet_count !== trace.length || partial.skipped.length !== 1 || partial.skipped[0].message_id !== 99) failures.push(`skipped: ${JSON.stringify(partial.skipped)}`)
+
+    // 5. Tool: base64 file from log/trace, errors
+    const api = createCxRestStandIn({ 'GET log/trace': ({ query }) => query.callid === 'fx-auth-ok@203.0.113.10' ? trace : [] })
+    setApiClient(api)
+    const tool = await exportTracePcapHandler({ callid: 'fx-auth-ok@203.0.113.10', format: 'pcapng' })
+    if (!tool.success || tool.encoding !== 'base64' || tool.filename !== 'fx-auth-ok_203.0.113.10.pcapng' || tool.mime_type !== 'application/x-pcapng' || base64ToBytes(tool.content).length !== tool.byte_length) failures.push(`tool: ${JSON.stringify({ ...tool, content: undefined })}`)
+    const missing = await exportTracePcapHandler({ callid: 'unknown-call' })
+    if (missing.success || !missing.suggestions) failures.push('tool: missing trace should return suggestions')
+    const badFormat = await exportTracePcapHandler({ callid: 'fx-auth-ok@203.0.113.10', format: 'erf' })
+    if (badFormat.success || !badFormat.error.includes('Parameter "format"')) failures.push(`tool: bad format ${badFormat.error}`)
+
+    return {
+      tool: 'pcap_export',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: `${pcap.packet_count} packet(s), pcap ${pcap.byte_length} bytes, pcapng ${ng.length} bytes`,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'pcap_export',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testPcapExport()
+}
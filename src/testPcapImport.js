@@ -0,0 +1,236 @@
+/**
+ * Test for pcap / pcapng import (offline — captures synthesised from fixture traces, local cxRest stand-in)
+ */
+
+import { setApiClient, analyzeSipTrace } from './callDebugTools'
+import { analyzeCapture, importPcapHandler, parseRtpHeader, LINK_TYPES } from './pcapImport'
+import { exportTracePcap, tracePackets, buildFrame, writePcap, writePcapng, PCAP_MAGIC, PCAPNG_BLOCK } from './pcapExport'
+import { base64ToBytes, bytesToBase64, utf8ToBytes } from './binaryUtils'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { lateOfferHoldTrace, authChallengeConnectedTrace } from './sipTraceFixtures'
+
+/**
+ * Writes a libpcap file from ready-made frames.
+ *
+ * @param {number} linkType - Link-layer header type
+ * @param {Array<Object>} records - { time_us, frame }
+ * @returns {Uint8Array} Capture file
+ */
+function rawPcap (linkType, records) {
+  const out = new Uint8Array(24 + records.reduce((n, r) => n + 16 + r.frame.length, 0))
+  const view = new DataView(out.buffer)
+  view.setUint32(0, PCAP_MAGIC, true)
+  view.setUint16(4, 2, true)
+  view.setUint16(6, 4, true)
+  view.setUint32(16, 65535, true)
+  view.setUint32(20, linkType, true)
+  let offset = 24
+  for (const { time_us: time, frame } of records) {
+    view.setUint32(offset, Math.floor(time / 1e6), true)
+    view.setUint32(offset + 4, time % 1e6, true)
+    view.setUint32(offset + 8, frame.length, true)
+    view.setUint32(offset + 12, frame.length, true)
+    out.set(frame, offset + 16)
+    offset += 16 + frame.length
+  }
+  return out
+}
+
+/**
+ * RTP (PCMA, 20 ms) from the caller's SDP address to the switch's: sequence
+ * numbers wrap at 65535, two packets are lost and one arrives 30 ms late.
+ *
+ * @param {number} startUs - First packet time (µs)
+ * @returns {Array<Object>} Packets for writePcap
+ */
+function rtpPackets (startUs) {
+  const packets = []
+  for (let i = 0; i < 50; i++) {
+    if (i === 20 || i === 21) continue
+    const payload = new Uint8Array(172)
+    const view = new DataView(payload.buffer)
+    payload[0] = 0x80
+    payload[1] = 8
+    view.setUint16(2, (65530 + i) & 0xffff)
+    view.setUint32(4, 1000 + i * 160)
+    view.setUint32(8, 0x1234abcd)
+    packets.push({
+      message_id: `rtp${i}`,
+      time_us: startUs + i * 20000 + (i === 30 ? 30000 : 0),
+      transport: 'udp',
+      source_ip: '203.0.113.10',
+      source_port: 17000,
+      destination_ip: '198.51.100.5',
+      destination_port: 31000,
+      payload
+    })
+  }
+  return packets
+}
+
+/**
+ * Imports synthesised captures and checks the trace rows, SIP analysis, RTP
+ * estimates and log matching
+ * @returns {Promise<Object>} Test result
+ */
+export async function testPcapImport () {
+  try {
+    const failures = []
+    const hold = lateOfferHoldTrace()
+    const auth = authChallengeConnectedTrace()
+
+    // 1. Round trip: trace → pcap / pcapng → log/trace rows and the same analysis
+    for (const format of ['pcap', 'pcapng']) {
+      const imported = analyzeCapture(base64ToBytes(exportTracePcap([...hold, ...auth], format).content))
+      const call = imported.calls.find(c => c.callid === 'fx-auth-ok@203.0.113.10')
+      if (imported.format !== format || imported.calls.length !== 2 || !call || call.message_count !== auth.length) {
+        failures.push(`${format}: ${imported.calls.map(c => `${c.callid}×${c.message_count}`)}`)
+        continue
+      }
+      const fields = ['micro_ts', 'method', 'reply_reason', 'from_user', 'to_user', 'source_ip', 'source_port', 'destination_ip', 'destination_port', 'protocol', 'msg']
+      const differing = fields.filter(f => call.messages.some((row, i) => String(row[f]) !== String(auth[i][f])))
+      if (differing.length > 0) failures.push(`${format} rows differ in ${differing.join(', ')}`)
+      const original = analyzeSipTrace(auth)
+      const figures = a => JSON.stringify([a.final_response, a.pdd_ms, a.setup_time_ms, a.auth_required, a.transactions.length])
+      if (figures(call.analysis) !== figures(original)) failures.push(`${format} analysis: ${figures(call.analysis)} vs ${figures(original)}`)
+    }
+
+    // 2. TCP: a message split over two segments, a retransmission, two messages in one segment
+    const [invite, trying, ok] = tracePackets(auth).packets
+    const state = {}
+    const records = []
+    const tcp = (packet, payload, sequence = state) => {
+      records.push({ time_us: packet.time_us, frame: buildFrame({ ...packet, transport: 'tcp', payload }, sequence).frame })
+    }
+    const beforeFirst = { tcp: {} }
+    tcp(invite, invite.payload.subarray(0, 100))
+    tcp(invite, invite.payload.subarray(0, 100), beforeFirst)
+    tcp(invite, invite.payload.subarray(100))
+    const both = new Uint8Array(trying.payload.length + ok.payload.length)
+    both.set(trying.payload)
+    both.set(ok.payload, trying.payload.length)
+    tcp(trying, both)
+    const streamed = analyzeCapture(rawPcap(LINK_TYPES.ETHERNET, records))
+    const methods = streamed.calls[0] ? streamed.calls[0].messages.map(m => `${m.method}/${m.protocol}`).join(',') : ''
+    if (methods !== 'INVITE/TCP,407/TCP,ACK/TCP' || streamed.stats.tcp_retransmissions !== 1) failures.push(`tcp: ${methods} (${streamed.stats.tcp_retransmissions} retransmission(s))`)
+    if (streamed.calls[0] && streamed.calls[0].messages[0].msg !== invite.text) failures.push('tcp: INVITE not reassembled byte for byte')
+
+    // 3. IPv4 fragments on a raw-IP link
+    const big = { ...invite, payload: utf8ToBytes(invite.text.replace('\r\n\r\n', `\r\nX-Padding: ${'x'.repeat(1600)}\r\n\r\n`)) }
+    const whole = buildFrame(big, {}).frame.subarray(14)
+    const fragment = (from, to, more) => {
+      const part = new Uint8Array(20 + to - from)
+      part.set(whole.subarray(0, 20))
+      part.set(whole.subarray(20 + from, 20 + to), 20)
+      new DataView(part.buffer).setUint16(2, part.length)
+      new DataView(part.buffer).setUint16(6, (more ? 0x2000 : 0) | (from / 8))
+      return { time_us: big.time_us, frame: part }
+    }
+    const fragmented = analyzeCapture(rawPcap(LINK_TYPES.RAW, [fragment(0, 1480, true), fragment(1480, whole.length - 20, false)]))
+    if (fragmented.sip_message_count !== 1 || !fragmented.calls[0].messages[0].msg.includes('X-Padding')) failures.push(`fragments: ${fragmented.sip_message_count} message(s), ${fragmented.notes}`)
+
+    // 4. RTP: loss over the sequence wrap, jitter, association through SDP
+    const withMedia = [...tracePackets(hold).packets, ...rtpPackets(hold[3].micro_ts + 10000)]
+    const media = analyzeCapture(writePcap(withMedia.sort((a, b) => a.time_us - b.time_us)).bytes)
+    const stream = media.rtp_streams[0]
+    if (media.rtp_streams.length !== 1 || stream.callid !== 'fx-hold@203.0.113.10' || stream.codec !== 'PCMA' || stream.ssrc !== '0x1234abcd') failures.push(`rtp streams: ${JSON.stringify(media.rtp_streams)}`)
+    else {
+      if (stream.packets !== 48 || stream.expected !== 50 || stream.lost !== 2 || stream.loss_pct !== 4) failures.push(`rtp loss: ${stream.packets}/${stream.expected}, lost ${stream.lost} (${stream.loss_pct}%)`)
+      if (!(stream.max_jitter_ms > 1 && stream.max_jitter_ms < 30) || stream.max_gap_ms !== 60 || stream.clock_rate_assumed) failures.push(`rtp jitter: ${stream.jitter_ms}/${stream.max_jitter_ms} ms, gap ${stream.max_gap_ms} ms`)
+    }
+
+    // 5. Tool: Call-ID and dialled-number matches against searchCallLogs
+    const api = createCxRestStandIn({
+      'GET log': ({ query }) => {
+        if (query.s === 'fx-hold@203.0.113.10') return [{ callid: 'fx-hold@203.0.113.10', callidb: 'b-hold' }]
+        if (query.s === '15551234567') return [{ callid: 'cx-auth', callidb: 'b-auth', dt: '2026-03-02 10:01:00' }, { callid: 'cx-old', dt: '2026-03-01 10:00:00' }]
+        return []
+      }
+    })
+    setApiClient(api)
+    const tool = await importPcapHandler({ pcap: exportTracePcap([...hold, ...auth], 'pcap').content })
+    const byId = tool.calls && tool.calls.find(c => c.callid === 'fx-hold@203.0.113.10')
+    const byNumber = tool.calls && tool.calls.find(c => c.callid === 'fx-auth-ok@203.0.113.10')
+    if (!tool.success || !byId || byId.logs.match_type !== 'callid' || byId.next_tool.args.callidb !== 'b-hold') failures.push(`tool callid match: ${JSON.stringify(byId && byId.logs)}`)
+    if (!byNumber || byNumber.logs.match_type !== 'number_time' || byNumber.logs.matches.map(m => m.callid).join(',') !== 'cx-auth') failures.push(`tool number match: ${JSON.stringify(byNumber && byNumber.logs)}`)
+    if (!byNumber || !byNumber.messages || byNumber.messages.length !== auth.length || !tool.summary.includes('fx-auth-ok@203.0.113.10: 441234567890 -> 15551234567')) failures.push(`tool summary: ${tool.summary}`)
+
+    const lookups = api.calls.length
+    const offline = await importPcapHandler({ pcap: exportTracePcap(hold, 'pcapng').content, lookup_logs: false, include_messages: false })
+    if (!offline.success || api.calls.length !== lookups || offline.calls[0].logs !== null || offline.calls[0].messages) failures.push('lookup_logs=false should not call the API or return rows')
+
+    // 6. A malformed percent escape in From keeps the raw user part instead of failing the import
+    const badEscape = auth.map(row => ({ ...row, msg: row.msg.replace(/^(From:.*?sip:)441234567890@/m, '$1%ZZ441234567890@') }))
+    const escaped = analyzeCapture(base64ToBytes(exportTracePcap(badEscape, 'pcap').content))
+    const escapedFrom = escaped.calls[0] ? escaped.calls[0].messages[0].from_user : null
+    if (escapedFrom !== '%ZZ441234567890') failures.push(`bad escape: from_user ${escapedFrom}`)
+
+    // 7. TLS, binary and fuzzed payloads next to SIP: skipped or decoded with U+FFFD, never fatal
+    const sipPackets = tracePackets(auth).packets
+    const first = sipPackets[0]
+    const noise = (transport, destinationPort, bytes, at) => ({ ...first, message_id: `noise${at}`, time_us: first.time_us + at, transport, source_port: 40000 + at, destination_port: destinationPort, payload: new Uint8Array(bytes) })
+    const tlsRecord = [0x16, 0x03, 0x03, 0x00, 0x10, 0xf7, 0xbf, 0xbf, 0xbf, 0xf4, 0x90, 0x80, 0x80, 0xc0, 0xaf, 0xed, 0xa0, 0x80, 0xff, 0xfe, 0x80]
+    const fuzzed = [...utf8ToBytes('MESSAGE sip:x@example.com SIP/2.0\r\nCall-ID: fuzz\r\nX-Data: '), 0xf7, 0xbf, 0xbf, 0xbf, 0xc0, 0x80, 0x0d, 0x0a, 0x0d, 0x0a]
+    const rtcp = type => [0x81, type, 0x00, 0x07, ...new Array(28).fill(0)]
+    const mixed = [
+      noise('tcp', 5061, tlsRecord, 1),
+      noise('udp', 5060, tlsRecord, 2),
+      noise('udp', 5060, fuzzed, 3),
+      ...[206, 207].map((type, i) => noise('udp', 31001, rtcp(type), 4 + i)),
+      ...sipPackets
+    ].sort((a, b) => a.time_us - b.time_us)
+    const noisy = await importPcapHandler({ pcap: bytesToBase64(writePcap(mixed).bytes), lookup_logs: false })
+    const noisyCall = noisy.calls && noisy.calls.find(c => c.callid === 'fx-auth-ok@203.0.113.10')
+    if (!noisy.success || !noisyCall || noisyCall.message_count !== auth.length) failures.push(`mixed capture: ${noisy.error || JSON.stringify(noisy.calls && noisy.calls.map(c => c.callid))}`)
+    const fuzzCall = noisy.calls && noisy.calls.find(c => c.callid === 'fuzz')
+    if (!fuzzCall || !fuzzCall.messages[0].msg.includes('X-Data: \ufffd\ufffd\ufffd')) failures.push('mixed capture: fuzzed payload not decoded with U+FFFD')
+    if (parseRtpHeader(new Uint8Array(rtcp(206))) || parseRtpHeader(new Uint8Array(rtcp(207))) || (noisy.rtp_streams && noisy.rtp_streams.length > 0)) failures.push('RTCP PSFB/XR taken for RTP')
+
+    // 8. Framing limits: a truncated pcapng packet block and an oversized Content-Length
+    const ng = writePcapng(tracePackets(hold).packets).bytes
+    const truncated = new Uint8Array(ng.length + 16)
+    truncated.set(ng)
+    const tail = new DataView(truncated.buffer, ng.length)
+    tail.setUint32(0, PCAPNG_BLOCK.EPB, true)
+    tail.setUint32(4, 16, true)
+    tail.setUint32(12, 16, true)
+    const cut = analyzeCapture(truncated)
+    if (cut.calls.length !== 1 || !cut.notes.some(n => n.includes('malformed'))) failures.push(`truncated block: ${cut.notes}`)
+    const oversized = { ...invite, payload: utf8ToBytes(invite.text.replace(/Content-Length: *\d+/i, 'Content-Length: 99999999')) }
+    const framed = analyzeCapture(writePcap([oversized, { ...ok, time_us: oversized.time_us + 1 }].map(packet => ({ ...packet, transport: 'tcp', source_port: 5070, destination_port: 5060, source_ip: invite.source_ip, destination_ip: invite.destination_ip }))).bytes)
+    const framedMethods = framed.calls.flatMap(c => c.messages.map(m => m.method)).join(',')
+    if (framedMethods !== 'ACK') failures.push(`oversized Content-Length: ${framedMethods}`)
+
+    // 9. Errors
+    const notCapture = await importPcapHandler({ pcap: bytesToBase64(utf8ToBytes('INVITE sip:1@example.com SIP/2.0 not a capture')) })
+    if (notCapture.success || !notCapture.error.includes('Not a pcap or pcapng file')) failures.push(`not a capture: ${notCapture.error}`)
+    const missing = await importPcapHandler({})
+    if (missing.success || !missing.error.includes('Parameter "pcap"')) failures.push(`missing pcap: ${missing.error}`)
+    const empty = await importPcapHandler({ pcap: bytesToBase64(writePcap([]).bytes) })
+    if (empty.success || !empty.suggestions) failures.push('empty capture: expected suggestions')
+
+    return {
+      tool: 'pcap_import',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: tool.summary,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'pcap_import',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testPcapImport()
+}
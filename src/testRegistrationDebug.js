@@ -0,0 +1,122 @@
+/**
+ * Test for registration debugging (offline — fixture traces, local cxRest stand-in)
+ */
+
+import { setApiClient } from './callDebugTools'
+import { analyzeRegistrationTrace, searchRegistrationsHandler, getRegistrationTraceHandler } from './registrationDebug'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { natRegistrationTrace, badPasswordRegistrationTrace, keepAliveRegistrationTrace, authChallengeConnectedTrace } from './sipTraceFixtures'
+
+/** switch/user rows: 1001 belongs to customer 42, 1002 does not exist. */
+const SWITCH_USERS = [{ id: 7, username: '1001', company_id: 42 }, { id: 8, username: '2001', company_id: 43 }]
+
+/** Register log rows for 1001, in the shape the log search returns. */
+const REGISTER_LOGS = [
+  { callid: 'fx-reg-nat@192.168.1.20', dt: '2026-03-02 10:00:00', username: '1001', source_ip: '203.0.113.50', source_port: 40123, user_agent: 'Yealink SIP-T46U 108.86.0.20', expires: '3600', code: 401, reason: 'Unauthorized' },
+  { callid: 'fx-reg-nat@192.168.1.20', dt: '2026-03-02 10:00:00', username: '1001', source_ip: '203.0.113.50', source_port: 40123, user_agent: 'Yealink SIP-T46U 108.86.0.20', expires: '3600', code: 200, reason: 'OK' },
+  { callid: 'fx-reg-nat@192.168.1.20', dt: '2026-03-02 10:55:00', username: '1001', source_ip: '203.0.113.50', source_port: 40988, user_agent: 'Yealink SIP-T46U 108.86.0.20', expires: '3600', code: 200, reason: 'OK' }
+]
+
+/**
+ * Types of the findings of an analysis.
+ * @param {Object} analysis - analyzeRegistrationTrace result
+ * @returns {string} Comma-separated finding types
+ */
+function findingTypes (analysis) {
+  return analysis.findings.map(f => f.type).join(',')
+}
+
+/**
+ * Analyses the REGISTER fixtures and runs both handlers against the stand-in
+ * @returns {Promise<Object>} Test result
+ */
+export async function testRegistrationDebug () {
+  try {
+    const failures = []
+
+    // 1. NAT'd phone: registered after one challenge, mapping changed, no keep-alive
+    const nat = analyzeRegistrationTrace(natRegistrationTrace())
+    if (nat.status !== 'registered' || nat.auth.result !== 'registered' || nat.auth.challenges !== 1 || nat.auth.credentials_rejected !== 0) failures.push(`nat: auth ${JSON.stringify(nat.auth)}`)
+    if (nat.auth.username !== '1001' || nat.auth.realm !== 'sip.example.com') failures.push('nat: digest username/realm not read')
+    if (nat.expiry.granted_s !== 3600 || nat.expiry.refresh_intervals_s.join(',') !== '3300' || nat.expiry.lapsed) failures.push(`nat: expiry ${JSON.stringify(nat.expiry)}`)
+    if (!nat.behind_nat || !nat.nat_rebinding || nat.bindings.length !== 1 || nat.bindings[0].sources.length !== 2) failures.push('nat: private Contact with two NAT mappings expected')
+    if (findingTypes(nat) !== 'private_contact,nat_rebinding,no_keep_alive') failures.push(`nat: findings ${findingTypes(nat)}`)
+
+    // 2. Wrong password: credentials challenged twice
+    const badPassword = analyzeRegistrationTrace(badPasswordRegistrationTrace())
+    if (badPassword.status !== 'failed' || badPassword.auth.result !== 'credentials_rejected' || badPassword.auth.credentials_rejected !== 2) failures.push(`bad password: auth ${JSON.stringify(badPassword.auth)}`)
+    const rejected = badPassword.findings.find(f => f.type === 'credentials_rejected')
+    if (!rejected || rejected.severity !== 'critical' || !rejected.message.includes('"1002"') || rejected.message_ids.length !== 6) failures.push(`bad password: finding ${JSON.stringify(rejected)}`)
+
+    // 3. Keep-alive on the REGISTER Call-ID, shortened expiry, one lost ping
+    const keepAlive = analyzeRegistrationTrace(keepAliveRegistrationTrace())
+    if (keepAlive.expiry.requested_s !== 300 || keepAlive.expiry.granted_s !== 120 || keepAlive.expiry.refresh_intervals_s.join(',') !== '100') failures.push(`keep-alive: expiry ${JSON.stringify(keepAlive.expiry)}`)
+    if (keepAlive.keep_alive.sent !== 3 || keepAlive.keep_alive.unanswered !== 1 || keepAlive.keep_alive.max_interval_s !== 25) failures.push(`keep-alive: ${JSON.stringify(keepAlive.keep_alive)}`)
+    if (findingTypes(keepAlive) !== 'expiry_shortened,private_contact,keep_alive_unanswered') failures.push(`keep-alive: findings ${findingTypes(keepAlive)}`)
+
+    // 4. An INVITE trace is not a registration
+    if (analyzeRegistrationTrace(authChallengeConnectedTrace()) !== null) failures.push('INVITE trace: expected null')
+
+    // 5. Search by username: per-user summary and switch/user owner
+    const api = createCxRestStandIn({
+      'GET log/register': ({ query }) => query.s === '1001' || query.s === '203.0.113.50' ? REGISTER_LOGS : [],
+      'GET switch/user': SWITCH_USERS,
+      'GET switch/ip': ({ params }) => params.ip === '203.0.113.50' ? [{ ip: '203.0.113.50', company_id: 42 }] : [],
+      'GET customer/42': { id: 42, name: 'Acme Telecom' },
+      'GET log/trace': ({ query }) => query.callid === 'fx-reg-badpw@203.0.113.60' ? badPasswordRegistrationTrace() : natRegistrationTrace()
+    })
+    setApiClient(api)
+    const byUser = await searchRegistrationsHandler({ search: '1001' })
+    if (!byUser.success || byUser.result_count !== 3 || byUser.users.length !== 1) failures.push(`search by user: ${JSON.stringify(byUser).slice(0, 200)}`)
+    else {
+      const user = byUser.users[0]
+      if (user.attempts !== 3 || user.registered !== 2 || user.ips.length !== 1 || user.last.port !== 40988) failures.push(`search by user: summary ${JSON.stringify(user)}`)
+    }
+    if (!byUser.owner || !byUser.owner.found || byUser.owner.type !== 'sip_user' || byUser.owner.customers[0].name !== 'Acme Telecom') failures.push(`search by user: owner ${JSON.stringify(byUser.owner)}`)
+
+    // 6. Search by IP resolves the owner through switch/ip
+    const byIp = await searchRegistrationsHandler({ search: '203.0.113.50' })
+    if (!byIp.success || byIp.owner.type !== 'ip' || byIp.owner.customers[0].id !== 42) failures.push(`search by IP: owner ${JSON.stringify(byIp.owner)}`)
+
+    // 7. Nothing found for an unknown user: no switch/user entry is called out
+    const none = await searchRegistrationsHandler({ search: '9999' })
+    if (none.success !== false || !none.suggestions.some(s => s.includes('No SIP user entry'))) failures.push('search miss: expected a suggestion about the missing SIP user')
+
+    // 8. Trace handler: known user gets the owner, unknown user becomes a finding
+    const trace = await getRegistrationTraceHandler({ callid: 'fx-reg-nat@192.168.1.20' })
+    if (!trace.success || trace.owner.switch_user.id !== 7 || trace.findings.some(f => f.type === 'unknown_sip_user')) failures.push('trace: 1001 should resolve to switch user 7')
+    const unknown = await getRegistrationTraceHandler({ callid: 'fx-reg-badpw@203.0.113.60' })
+    if (!unknown.success || unknown.findings[0].type !== 'unknown_sip_user') failures.push(`trace: unknown user not reported (${unknown.findings && findingTypes(unknown)})`)
+    else if (!unknown.summary.includes('No SIP user "1002"')) failures.push(`trace: summary omits the unknown user (${unknown.summary})`)
+
+    // 9. Missing parameter and unknown Call-ID
+    setApiClient(createCxRestStandIn({}))
+    if ((await searchRegistrationsHandler({})).success !== false) failures.push('search without a term should fail')
+    const missing = await getRegistrationTraceHandler({ callid: 'does-not-exist' })
+    if (missing.success !== false || !missing.suggestions) failures.push('missing trace: expected success=false with suggestions')
+
+    return {
+      tool: 'registration_debug',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: nat.summary,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'registration_debug',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testRegistrationDebug()
+}
@@ -0,0 +1,105 @@
+/**
+ * Test for the route-advance timeline (offline — fixture trace, local cxRest stand-in)
+ */
+
+import { setApiClient, analyzeSipTrace } from './callDebugTools'
+import { getRouteAdvanceHandler, buildRouteAdvance } from './routeAdvance'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { routeAdvanceTrace } from './sipTraceFixtures'
+
+const CALLID = 'fx-advance@203.0.113.10'
+
+/** Log routing object listing four routes; the fourth is never tried. */
+const LOG_ENTRIES = [{
+  routing: {
+    callid: CALLID,
+    callidb: 'fx-advance-b',
+    sip_code: 200,
+    egress_routing: [
+      { provider_id: 11, provider_name: 'Carrier A', card_id: 'card-a', ip: '192.0.2.20' },
+      { provider_id: 22, provider_name: 'Carrier B', card_id: 'card-b', host: 'sip:4930111222@192.0.2.40:5060' },
+      { provider_id: 33, provider_name: 'Carrier C', card_id: 'card-c', ip: '192.0.2.60' },
+      { provider_id: 44, provider_name: 'Carrier D', card_id: 'card-d', ip: '192.0.2.80' }
+    ]
+  }
+}]
+
+/**
+ * Builds the third-choice-carrier timeline and checks provider matching
+ * @returns {Promise<Object>} Test result
+ */
+export async function testRouteAdvance () {
+  try {
+    const failures = []
+
+    // 1. Full lookup: trace + routing object + CDR
+    const api = createCxRestStandIn({
+      'GET log/trace': routeAdvanceTrace(),
+      'GET log': LOG_ENTRIES,
+      'POST cdr': ({ body }) => body.where.rules.some(r => r.field === 'callid' && r.data === CALLID) ? [{ callid: CALLID, provider_id: 33, branch_idx: 2 }] : []
+    })
+    setApiClient(api)
+    const result = await getRouteAdvanceHandler({ callid: CALLID, callidb: 'fx-advance-b' })
+    if (!result.success) throw new Error(result.error || result.message)
+
+    const attempts = result.attempts
+    if (attempts.length !== 3 || result.answered_attempt !== 3) failures.push(`expected 3 attempts answered on the third, got ${attempts.length}/${result.answered_attempt}`)
+    if (attempts.map(a => a.provider_id).join(',') !== '11,22,33') failures.push(`providers ${attempts.map(a => a.provider_id)}`)
+    if (attempts[1].provider_match !== 'ip' || attempts[1].code !== 503) failures.push('attempt 2: expected an IP match from a SIP URI host and a 503')
+    if (!attempts[0].reason.startsWith('No response within 2970ms') || !attempts[0].reason.includes('advanced')) failures.push(`attempt 1 reason: ${attempts[0].reason}`)
+    if (!attempts[1].reason.startsWith('Rejected with 503 Service Unavailable') || attempts[1].time_spent_ms !== 380) failures.push(`attempt 2 reason: ${attempts[1].reason}`)
+    if (attempts[2].reason !== 'Answered' || attempts[2].failover_ms !== 20) failures.push(`attempt 3: ${attempts[2].reason}, failover ${attempts[2].failover_ms}`)
+    if (result.untried_routes.length !== 1 || result.untried_routes[0].provider_id !== 44) failures.push('untried routes: expected provider 44')
+    if (result.provider_match.cdr_provider_id !== 33 || result.notes.length !== 0) failures.push(`CDR match: ${JSON.stringify(result.provider_match)} ${result.notes}`)
+    if (!result.summary.startsWith('Answered on attempt 3 of 3 (192.0.2.60, provider 33)')) failures.push(`summary: ${result.summary.split('\n')[0]}`)
+
+    const cdrCall = api.calls.find(c => c.path === 'cdr')
+    if (!cdrCall || !cdrCall.body.where.rules.some(r => r.field === 'dt' && r.data === '2026-03-02 00:00:00')) failures.push('CDR lookup should use the trace date')
+    if (!api.calls.some(c => c.path === 'log/trace' && c.query.callidb === 'fx-advance-b')) failures.push('trace should be fetched with callidb')
+
+    // 2. Provider lookups fail: the timeline still comes from the trace
+    setApiClient(createCxRestStandIn({
+      'GET log/trace': routeAdvanceTrace(),
+      'GET log': () => { throw new Error('log search unavailable') },
+      'POST cdr': () => { throw new Error('cdr unavailable') }
+    }))
+    const traceOnly = await getRouteAdvanceHandler({ callid: CALLID })
+    if (!traceOnly.success || traceOnly.attempts.length !== 3 || traceOnly.attempts.some(a => a.provider_id !== null)) failures.push('trace only: expected 3 unmatched attempts')
+
+    // 3. CDR only names the answering provider; a disagreeing routing object is reported
+    const analysis = analyzeSipTrace(routeAdvanceTrace())
+    const cdrOnly = buildRouteAdvance(analysis, { cdr: { callid: CALLID, provider_id: 33 } })
+    if (cdrOnly.attempts[2].provider_id !== 33 || cdrOnly.attempts[2].provider_match !== 'cdr') failures.push('CDR only: answering attempt should take the CDR provider')
+    const conflicting = buildRouteAdvance(analysis, { routes: [{ position: 1, provider_id: 11, ip: '192.0.2.20' }, { position: 2, provider_id: 22, ip: '192.0.2.40' }, { position: 3, provider_id: 99, ip: '192.0.2.60' }], cdr: { provider_id: 33 } })
+    if (!conflicting.notes.some(n => n.includes('provider 33'))) failures.push('conflicting CDR provider not reported')
+
+    // 4. Unknown Call-ID
+    setApiClient(createCxRestStandIn({}))
+    const missing = await getRouteAdvanceHandler({ callid: 'does-not-exist' })
+    if (missing.success !== false || !missing.suggestions) failures.push('missing trace: expected success=false with suggestions')
+
+    return {
+      tool: 'route_advance',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: result.summary,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'route_advance',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testRouteAdvance()
+}
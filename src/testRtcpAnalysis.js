@@ -0,0 +1,127 @@
+/**
+ * Test for the RTCP time-series analysis (offline — fixture reports, local cxRest stand-in)
+ */
+
+import { setApiClient, summarizeRtcpMetrics, investigateCallHandler, getCallQualityHandler } from './callDebugTools'
+import { analyzeRtcpTimeSeries, estimateMos } from './rtcpAnalysis'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { authChallengeConnectedTrace } from './sipTraceFixtures'
+
+/**
+ * RTCP report every 5 s from 10:00:05 to 10:01:00.
+ *
+ * @param {Object} fields - Fields shared by every report of the stream
+ * @param {Function} metricsAt - (second) => { mos, jitter, packet_loss, rtt }
+ * @returns {Array<Object>} log/rtcp rows
+ */
+function reports (fields, metricsAt) {
+  const rows = []
+  for (let second = 5; second <= 60; second += 5) {
+    rows.push({ ...fields, date: new Date(Date.UTC(2026, 2, 2, 10, 0, second)).toISOString().replace('T', ' ').slice(0, 19), ...metricsAt(second) })
+  }
+  return rows
+}
+
+/**
+ * A leg: the customer's stream drops audio from 35 s to 45 s, jitters at
+ * 55 s and moves to a 190 ms path from 25 s; the switch's stream is clean
+ * and carries no platform MOS.
+ */
+const DROPOUT_RTCP = reports({ leg: 'a', ssrc: '0x1111', direction: 'inbound', source_ip: '203.0.113.10', source_port: 16000, destination_ip: '198.51.100.5', destination_port: 30000 }, s => ({
+  mos: s === 40 || s === 45 ? 1.0 : 4.2,
+  jitter: s === 55 ? 80 : 6,
+  packet_loss: s === 40 || s === 45 ? 100 : 0,
+  rtt: s >= 25 ? 190 : 40
+})).concat(reports({ leg: 'a', ssrc: '0x2222', direction: 'outbound', source_ip: '198.51.100.5', source_port: 30000, destination_ip: '203.0.113.10', destination_port: 16000 }, () => ({
+  jitter: 4,
+  packet_loss: 0,
+  rtt: 40
+})))
+
+/** B leg: the carrier never receives the switch's audio, the return path is clean. */
+const ONE_WAY_RTCP = reports({ leg: 'b', ssrc: 'aaaa', direction: 'outbound' }, () => ({ jitter: 3, packet_loss: 100, rtt: 60 }))
+  .concat(reports({ leg: 'b', ssrc: 'bbbb', direction: 'inbound' }, () => ({ jitter: 3, packet_loss: 0.2, rtt: 60 })))
+
+/**
+ * Splits fixture reports into streams and checks incidents and the E-model
+ * @returns {Promise<Object>} Test result
+ */
+export async function testRtcpAnalysis () {
+  try {
+    const failures = []
+
+    // 1. E-model
+    const clean = estimateMos({ rtt_ms: 40, jitter_ms: 4, packet_loss_pct: 0, codec: 'PCMA' })
+    const lossy = estimateMos({ rtt_ms: 40, jitter_ms: 4, packet_loss_pct: 5 })
+    const g729 = estimateMos({ rtt_ms: 40, jitter_ms: 4, packet_loss_pct: 0, codec: 'G.729' })
+    if (clean.mos !== 4.39 || clean.r_factor !== 92) failures.push(`E-model clean: ${JSON.stringify(clean)}`)
+    if (lossy.mos !== 3.88 || lossy.codec !== 'PCMU') failures.push(`E-model 5% loss: ${JSON.stringify(lossy)}`)
+    if (g729.codec !== 'G729' || g729.codec_assumed || g729.mos >= clean.mos) failures.push(`E-model G.729: ${JSON.stringify(g729)}`)
+    if (estimateMos({ rtt_ms: 2000, jitter_ms: 400, packet_loss_pct: 60 }).mos !== 1 || estimateMos({}) !== null) failures.push('E-model bounds')
+
+    // 2. Summary falls back to the E-model when the platform sent no MOS
+    const estimated = summarizeRtcpMetrics([{ jitter: 4, packet_loss: 0, rtt: 40 }])
+    if (estimated.mos_source !== 'e_model' || estimated.mos.avg !== 4.39) failures.push(`summary MOS: ${estimated.mos_source} ${estimated.mos && estimated.mos.avg}`)
+
+    // 3. Streams and incidents on the A leg
+    const series = analyzeRtcpTimeSeries(DROPOUT_RTCP, { start: '2026-03-02T10:00:00.000Z' })
+    if (series.streams.length !== 2 || series.streams.map(s => s.direction).join(',') !== 'inbound,outbound') failures.push(`streams: ${series.streams.map(s => `${s.id}/${s.direction}`)}`)
+    if (series.streams[0].series.length !== 12 || series.streams[0].series[0].offset_ms !== 5000) failures.push('time series: expected 12 reports from +5s')
+    if (series.streams[0].mos_source !== 'platform' || series.streams[1].mos_source !== 'e_model' || series.mos_source !== 'mixed') failures.push(`MOS sources: ${series.streams.map(s => s.mos_source)} / ${series.mos_source}`)
+    const types = series.incidents.map(i => i.type).join(',')
+    if (types !== 'rtt_step,audio_dropout,jitter_spike') failures.push(`incidents: ${types}`)
+    const dropout = series.incidents.find(i => i.type === 'audio_dropout')
+    if (!dropout || dropout.start_offset_ms !== 35000 || dropout.end_offset_ms !== 45000 || dropout.duration_ms !== 10000 || dropout.start !== '2026-03-02T10:00:35.000Z') failures.push(`dropout: ${JSON.stringify(dropout)}`)
+    if (dropout && !dropout.message.startsWith('Audio dropped for 10.0s at +35.0s on stream s1 (leg a inbound)')) failures.push(`dropout message: ${dropout.message}`)
+    const step = series.incidents.find(i => i.type === 'rtt_step')
+    if (!step || step.baseline !== 40 || step.level !== 190 || !step.persisted || step.start_offset_ms !== 20000) failures.push(`rtt step: ${JSON.stringify(step)}`)
+    const spike = series.incidents.find(i => i.type === 'jitter_spike')
+    if (!spike || spike.peak !== 80 || spike.reports !== 1) failures.push(`jitter spike: ${JSON.stringify(spike)}`)
+    if (series.one_way_audio) failures.push('A leg: no one-way audio expected')
+
+    // 4. One-way audio on the B leg replaces the per-stream dropout
+    const oneWay = analyzeRtcpTimeSeries(ONE_WAY_RTCP)
+    if (!oneWay.one_way_audio || oneWay.incidents.length !== 1 || oneWay.incidents[0].type !== 'one_way_audio' || oneWay.incidents[0].direction !== 'outbound') failures.push(`one-way: ${oneWay.incidents.map(i => i.type)}`)
+
+    // 5. Loss units follow the field: a raw fraction_lost of 1 is 1/256, not 100%
+    const rawFraction = analyzeRtcpTimeSeries(reports({ leg: 'a', ssrc: 'cccc', direction: 'inbound' }, () => ({ jitter: 3, fraction_lost: 1, rtt: 40 })))
+    const ratio = analyzeRtcpTimeSeries(reports({ leg: 'a', ssrc: 'dddd', direction: 'inbound' }, () => ({ jitter: 3, loss_ratio: 0.02, rtt: 40 })))
+    if (rawFraction.streams[0].series[0].packet_loss_pct !== 0.39 || rawFraction.incidents.length !== 0) failures.push(`fraction_lost 1: ${rawFraction.streams[0].series[0].packet_loss_pct}% ${rawFraction.incidents.map(i => i.type)}`)
+    if (ratio.streams[0].series[0].packet_loss_pct !== 2) failures.push(`loss_ratio 0.02: ${ratio.streams[0].series[0].packet_loss_pct}%`)
+
+    // 6. investigateCall: incidents become findings on the trace timeline
+    setApiClient(createCxRestStandIn({ 'GET log/trace': authChallengeConnectedTrace(), 'GET log/rtcp': DROPOUT_RTCP }))
+    const investigation = await investigateCallHandler({ callid: 'rtcp-call' })
+    const finding = investigation.findings.find(f => f.code === 'rtcp_incident.audio_dropout')
+    if (!finding || finding.severity !== 'critical' || finding.evidence.values.duration_ms !== 10000 || finding.next_tool.args.callid !== 'rtcp-call') failures.push(`investigate: dropout finding ${JSON.stringify(finding)}`)
+    if (!investigation.debug_summary.includes('Audio dropped for 10.0s at +35.0s')) failures.push('investigate: incident missing from the debug summary')
+
+    // 7. get_call_quality returns the streams
+    const quality = await getCallQualityHandler({ callid: 'rtcp-call' })
+    if (!quality.success || quality.streams.length !== 2 || quality.incidents.length !== 3) failures.push('getCallQuality: streams/incidents missing')
+
+    return {
+      tool: 'rtcp_analysis',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      incidents: series.incidents.map(i => i.message),
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'rtcp_analysis',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testRtcpAnalysis()
+}
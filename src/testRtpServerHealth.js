@@ -0,0 +1,109 @@
+/**
+ * Test for the RTP server health view (offline — local cxRest stand-in)
+ */
+
+import { setApiClient } from './callDebugTools'
+import { listRTPServersMain, buildAltChain, summarizeRtpHealth } from './listRtpServers'
+import { createCxRestStandIn } from './cxRestStandIn'
+
+/** Groups: Frankfurt 2 fails over to Frankfurt 1, then London; Singapore has no alt. */
+const RTP_GROUPS = [
+  { id: 10, name: 'Frankfurt 2 (High Capacity)', status: 1, alt: 11, transcoding: 1, location: 'fra', elastic: 0 },
+  { id: 11, name: 'Germany (Frankfurt 1)', status: 1, alt: 12, transcoding: 0, location: 'fra', elastic: 1 },
+  { id: 12, name: 'UK (London)', status: 1, alt: 10, transcoding: 1, location: 'lon', elastic: 1 },
+  { id: 13, name: 'Singapore', status: 1, alt: 0, transcoding: 0, location: 'sgp', elastic: 1 }
+]
+
+/** Servers: Frankfurt 2 nearly full, Frankfurt 1 down to one server, one server matched by zone name only. */
+const RTP_SERVERS = [
+  { id: 1, alias: 'rtp-fra2-a', rtp_group_id: 10, zone: 'Frankfurt 2 (High Capacity)', ip: '192.0.2.1', max_channels: 1000, channels: 930 },
+  { id: 2, alias: 'rtp-fra2-b', rtp_group_id: 10, zone: 'Frankfurt 2 (High Capacity)', ip: '192.0.2.2', max_channels: 1000, channels: 950 },
+  { id: 3, alias: 'rtp-fra1-a', rtp_group_id: 11, zone: 'Germany (Frankfurt 1)', max_channels: 500, channels: 100 },
+  { id: 4, alias: 'rtp-fra1-b', rtp_group_id: 11, zone: 'Germany (Frankfurt 1)', status: 0, max_channels: 500, channels: 0 },
+  { id: 5, alias: 'rtp-lon-a', zone: 'UK (London)', max_channels: 800, channels: 200 },
+  { id: 6, alias: 'rtp-lon-b', zone: 'UK (London)', max_channels: 800, channels: 150 },
+  { id: 7, alias: 'rtp-sgp-a', rtp_group_id: 13, zone: 'Singapore' },
+  { id: 8, alias: 'rtp-lab', zone: 'Lab' }
+]
+
+/**
+ * Groups servers by zone and checks capacity, the alt chain and the flags
+ * @returns {Promise<Object>} Test result
+ */
+export async function testRtpServerHealth () {
+  try {
+    const failures = []
+
+    // 1. Alt chain follows failover until it loops
+    const chain = buildAltChain(RTP_GROUPS[0], RTP_GROUPS).map(a => a.id).join(' -> ')
+    if (chain !== '11 -> 12') failures.push(`alt chain: ${chain}`)
+
+    setApiClient(createCxRestStandIn({ 'GET setup/rtp': RTP_SERVERS, 'GET setup/server/rtp-group': RTP_GROUPS }))
+    const result = await listRTPServersMain({ health: true })
+    if (!result.success || result.mode !== 'health' || result.zones.length !== 5) failures.push(`zones: ${result.zones && result.zones.map(z => z.zone)}`)
+
+    // 2. Frankfurt 2: 94% used, no elastic capacity, failover to Frankfurt 1
+    const fra2 = result.zones.find(z => z.zone === 'Frankfurt 2 (High Capacity)')
+    if (!fra2 || fra2.capacity !== 2000 || fra2.usage !== 1880 || fra2.headroom !== 120 || fra2.utilisation_pct !== 94) failures.push(`fra2 capacity: ${JSON.stringify(fra2 && { capacity: fra2.capacity, usage: fra2.usage })}`)
+    if (!fra2 || fra2.health !== 'warn' || fra2.flags.map(f => `${f.type}:${f.severity}`).join(',') !== 'high_utilisation:warn,no_elastic:warn') failures.push(`fra2 flags: ${fra2 && JSON.stringify(fra2.flags)}`)
+    if (!fra2 || fra2.failover_headroom.zone !== 'Germany (Frankfurt 1)' || fra2.failover_headroom.headroom !== 400) failures.push(`fra2 failover headroom: ${fra2 && JSON.stringify(fra2.failover_headroom)}`)
+    if (result.zones[0].zone !== 'Frankfurt 2 (High Capacity)') failures.push(`most at-risk zone should sort first, got ${result.zones[0].zone}`)
+
+    // 3. Frankfurt 1: a server down leaves a single active server
+    const fra1 = result.zones.find(z => z.zone === 'Germany (Frankfurt 1)')
+    if (!fra1 || fra1.active_servers !== 1 || fra1.capacity !== 500 || !fra1.flags.some(f => f.type === 'single_server')) failures.push('fra1: single active server not flagged')
+
+    // 4. London joined by zone name; Singapore has no failover and no figures; Lab has no group
+    const london = result.zones.find(z => z.zone === 'UK (London)')
+    if (!london || !london.group || london.group.id !== 12 || london.health !== 'ok' || london.alt_chain.map(a => a.id).join(',') !== '10,11') failures.push(`london: ${JSON.stringify(london && london.group)}`)
+    const sgp = result.zones.find(z => z.zone === 'Singapore')
+    if (!sgp || !sgp.flags.some(f => f.type === 'no_failover') || !sgp.flags.some(f => f.type === 'no_capacity_data') || sgp.capacity !== null) failures.push('singapore: flags')
+    if (result.unjoined_servers.join(',') !== 'rtp-lab') failures.push(`unjoined: ${result.unjoined_servers}`)
+
+    // 5. Summary lines and zone filter
+    if (!result.summary[0].startsWith('Frankfurt 2 (High Capacity) [warn]: 2/2 servers active, 1880/2000 (94%) in use, 120 free, failover Germany (Frankfurt 1) -> UK (London)')) failures.push(`summary: ${result.summary[0]}`)
+    const filtered = await listRTPServersMain({ health: true, zone: 'frankfurt' })
+    if (filtered.zones.length !== 2 || !filtered.message.startsWith('2 RTP zone(s), 2 flagged')) failures.push(`zone filter: ${filtered.message}`)
+
+    // 6. Groups unavailable: still grouped by zone text
+    setApiClient(createCxRestStandIn({ 'GET setup/rtp': RTP_SERVERS, 'GET setup/server/rtp-group': () => { throw new Error('forbidden') } }))
+    const noGroups = await listRTPServersMain({ health: true })
+    if (!noGroups.success || noGroups.groups_error !== 'forbidden' || noGroups.unjoined_servers.length !== RTP_SERVERS.length) failures.push('groups unavailable')
+
+    // 7. A server with capacity but no usage is left out of the totals, not counted as idle
+    const [partial] = summarizeRtpHealth([
+      { id: 20, alias: 'rtp-sgp-a', rtp_group_id: 13, max_channels: 1000, channels: 900 },
+      { id: 21, alias: 'rtp-sgp-b', rtp_group_id: 13, max_channels: 1000 }
+    ], RTP_GROUPS).zones
+    if (partial.capacity !== 1000 || partial.usage !== 900 || partial.utilisation_pct !== 90 || !partial.flags.some(f => f.type === 'high_utilisation')) failures.push(`partial usage: ${partial.usage}/${partial.capacity} (${partial.utilisation_pct}%)`)
+    if (!partial.flags.some(f => f.type === 'partial_capacity_data' && f.message.startsWith('rtp-sgp-b reports'))) failures.push(`partial usage flag: ${JSON.stringify(partial.flags)}`)
+
+    // 8. Plain listing is unchanged
+    const plain = await listRTPServersMain({ zone: 'London' })
+    if (plain.totalFound !== 2 || plain.zones) failures.push('plain listing changed')
+
+    return {
+      tool: 'rtp_server_health',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: result.summary,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'rtp_server_health',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testRtpServerHealth()
+}
@@ -0,0 +1,74 @@
+/**
+ * Test for SDP offer/answer negotiation analysis (offline — fixture traces, no API calls)
+ */
+
+import { parseSdp } from './sdpAnalysis'
+import { analyzeSipTrace } from './callDebugTools'
+import { sdpBody, privateMediaTrace, lateOfferHoldTrace, noSharedCodecTrace } from './sipTraceFixtures'
+
+/**
+ * Tests SDP parsing, offer/answer pairing and one-way-audio risk detection
+ * @returns {Promise<Object>} Test result
+ */
+export async function testSdpAnalysis () {
+  try {
+    const failures = []
+
+    // 1. Parser: static payload types, telephone-event, ptime, direction
+    const parsed = parseSdp(sdpBody({ ip: '203.0.113.10', port: 16000, codecs: ['PCMU', 'G729'], dtmf: true, direction: 'recvonly' }))
+    const audio = parsed && parsed.media[0]
+    if (!audio) failures.push('parser: no media section')
+    else {
+      if (audio.connection_address !== '203.0.113.10' || audio.port !== 16000) failures.push(`parser: wrong media address ${audio.connection_address}:${audio.port}`)
+      if (audio.codecs.map(c => c.name).join(',') !== 'PCMU,G729,telephone-event') failures.push(`parser: codecs ${audio.codecs.map(c => c.name).join(',')}`)
+      if (!audio.telephone_event || audio.telephone_event.events !== '0-16') failures.push('parser: telephone-event not parsed')
+      if (audio.ptime !== 20 || audio.direction !== 'recvonly') failures.push('parser: ptime/direction not parsed')
+    }
+    if (parseSdp('no sdp here') !== null) failures.push('parser: non-SDP body should return null')
+
+    // 2. Private c= from the customer; carrier leg negotiates PCMA
+    const privateSdp = analyzeSipTrace(privateMediaTrace()).sdp
+    if (privateSdp.negotiations.length !== 2) failures.push(`private trace: expected 2 negotiations, got ${privateSdp.negotiations.length}`)
+    const privateRisk = privateSdp.risks.find(r => r.type === 'private_media_address')
+    if (!privateRisk || privateRisk.leg !== '203.0.113.10:5060 -> 198.51.100.5:5060') failures.push('private trace: private c= not flagged on customer leg')
+    if (!privateSdp.risks.some(r => r.type === 'dtmf_not_negotiated')) failures.push('private trace: missing telephone-event answer not noted')
+    const carrierLeg = privateSdp.negotiations.find(n => n.answer_from === '192.0.2.20:5060')
+    if (!carrierLeg || carrierLeg.media[0].negotiated_codec !== 'PCMA' || carrierLeg.media[0].answer_address !== '192.0.2.21:40000') failures.push('private trace: carrier leg not negotiated to PCMA at 192.0.2.21:40000')
+
+    // 3. Late offer (200 OK → ACK) then re-INVITE hold
+    const holdSdp = analyzeSipTrace(lateOfferHoldTrace()).sdp
+    const lateOffer = holdSdp.negotiations[0]
+    if (!lateOffer || lateOffer.answer_in !== 'ACK' || lateOffer.offer_from !== '198.51.100.5:5060') failures.push('hold trace: late offer not paired with ACK answer')
+    else if (lateOffer.media[0].negotiated_codec !== 'PCMA') failures.push(`hold trace: late offer negotiated ${lateOffer.media[0].negotiated_codec}`)
+    const hold = holdSdp.negotiations[1]
+    if (!hold || hold.media[0].direction.effective !== 'sendonly') failures.push('hold trace: re-INVITE effective direction not sendonly')
+    if (!holdSdp.risks.some(r => r.type === 'hold_address')) failures.push('hold trace: c=0.0.0.0 not flagged')
+
+    // 4. No shared codec
+    const codecAnalysis = analyzeSipTrace(noSharedCodecTrace())
+    if (!codecAnalysis.sdp.risks.some(r => r.type === 'no_shared_codec' && r.severity === 'critical')) failures.push('codec trace: no shared codec not flagged')
+    if (!codecAnalysis.issues.some(i => i.includes('No shared codec'))) failures.push('codec trace: risk not surfaced in issues')
+
+    return {
+      tool: 'sdp_analysis',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      negotiated_codecs: privateSdp.negotiated_codecs,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'sdp_analysis',
+      status: 'ERROR',
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testSdpAnalysis()
+}
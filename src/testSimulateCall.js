@@ -0,0 +1,83 @@
+/**
+ * Test for the simulateCall pipeline (offline — local cxRest stand-in, no API calls)
+ */
+
+import { simulateCallHandler, SIMULATE_ENDPOINT } from './simulateCall'
+import { setApiClient } from './callDebugTools'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { privateMediaTrace } from './sipTraceFixtures'
+
+/**
+ * Tests submit → poll for SIM Call-ID → investigateCall, plus timeout and validation
+ * @returns {Promise<Object>} Test result
+ */
+export async function testSimulateCall () {
+  const noWait = async () => {}
+
+  try {
+    const failures = []
+
+    // 1. SIM entry appears on the second poll
+    const api = createCxRestStandIn({
+      'GET log': ({ count }) => count < 2 ? [{ callid: 'SIM-old-1', callidb: 'old' }] : [{ callid: 'SIM-old-1', callidb: 'old' }, { callid: 'SIM-new-2', callidb: 'b-2' }],
+      [`POST ${SIMULATE_ENDPOINT}`]: { status: 'queued' },
+      'GET log/trace': privateMediaTrace()
+    })
+    setApiClient(api)
+    const result = await simulateCallHandler({ dst: '15552223333', cli: '441234567890', switch_ip: '198.51.100.5', customer_ip: '203.0.113.10' }, { sleep: noWait })
+
+    if (!result.success) failures.push(`poll: expected success, got ${result.error || result.message}`)
+    else {
+      if (result.simulation.callid !== 'SIM-new-2') failures.push(`poll: picked ${result.simulation.callid} instead of the new SIM Call-ID`)
+      if (result.simulation.poll_attempts !== 2) failures.push(`poll: expected 2 poll attempts, got ${result.simulation.poll_attempts}`)
+      if (!result.investigation || !result.investigation.trace || !result.investigation.trace.available) failures.push('poll: investigation did not analyse the SIM trace')
+    }
+    const submitted = api.calls.find(c => c.method === 'POST')
+    if (!submitted || submitted.body.switch_ip !== '198.51.100.5' || submitted.body.cli !== '441234567890') failures.push('poll: simulation body not submitted as given')
+    const traceCall = api.calls.find(c => c.path === 'log/trace')
+    if (!traceCall || traceCall.query.callid !== 'SIM-new-2' || traceCall.query.callidb !== 'b-2') failures.push('poll: trace not fetched for the SIM Call-ID')
+
+    // 2. Submit response already carries the SIM Call-ID — no polling
+    const direct = createCxRestStandIn({
+      [`POST ${SIMULATE_ENDPOINT}`]: { callid: 'SIM-direct-3' },
+      'GET log/trace': privateMediaTrace()
+    })
+    setApiClient(direct)
+    const directResult = await simulateCallHandler({ dst: '15552223333' }, { sleep: noWait })
+    if (!directResult.success || directResult.simulation.poll_attempts !== 0) failures.push('direct: should use the Call-ID from the submit response without polling')
+
+    // 3. Nothing appears — bounded wait
+    let sleeps = 0
+    setApiClient(createCxRestStandIn({ [`POST ${SIMULATE_ENDPOINT}`]: { status: 'queued' } }))
+    const timeout = await simulateCallHandler({ dst: '15552223333', wait_seconds: 6 }, { sleep: async () => { sleeps++ } })
+    if (timeout.success || sleeps !== 3) failures.push(`timeout: expected failure after 3 polls, got success=${timeout.success} polls=${sleeps}`)
+
+    // 4. Validation
+    const invalid = await simulateCallHandler({ dst: '15552223333', customer_ip: '300.1.1.1' }, { sleep: noWait })
+    if (invalid.success || !invalid.error.includes('customer_ip')) failures.push('validation: invalid customer_ip accepted')
+
+    return {
+      tool: 'simulate_call',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      simulated_callid: result.simulation ? result.simulation.callid : null,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'simulate_call',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testSimulateCall()
+}
@@ -0,0 +1,76 @@
+/**
+ * Test for timer-aware retransmission diagnosis (offline — fixture traces, no API calls)
+ */
+
+import { analyzeSipTrace } from './callDebugTools'
+import { buildSipTransactions } from './sipTransactions'
+import { analyzeRetransmissions } from './sipTimers'
+import { inviteRetransmissionTrace, inviteTimeoutTrace, okRetransmissionNoAckTrace, authChallengeConnectedTrace } from './sipTraceFixtures'
+
+/**
+ * Tests Timer A backoff, Timer B timeout and missing-ACK detection against Timer H
+ * @returns {Promise<Object>} Test result
+ */
+export async function testSipTimers () {
+  try {
+    const failures = []
+    const findingsOf = trace => analyzeSipTrace(trace).retransmission_analysis.findings
+
+    // 1. Three INVITE copies 500ms/1000ms apart follow Timer A exactly
+    const retrans = findingsOf(inviteRetransmissionTrace())
+    const backoff = retrans.find(f => f.type === 'request_retransmission')
+    if (!backoff) failures.push('retransmission trace: no request_retransmission finding')
+    else {
+      if (!backoff.matches_backoff) failures.push(`retransmission trace: intervals ${backoff.intervals_ms.join('/')} not matched to Timer A`)
+      if (backoff.leg !== '203.0.113.10:5060 -> 198.51.100.5:5060') failures.push(`retransmission trace: wrong leg ${backoff.leg}`)
+    }
+
+    // 2. Seven unanswered copies — Timer B
+    const timeout = findingsOf(inviteTimeoutTrace())
+    if (!timeout.some(f => f.type === 'timer_b_timeout' && f.severity === 'critical')) failures.push('timeout trace: Timer B expiry not reported')
+
+    // 3. 200 OK retransmitted with no ACK
+    const noAck = findingsOf(okRetransmissionNoAckTrace())
+    const okRetrans = noAck.find(f => f.type === 'ok_retransmission')
+    if (!okRetrans) failures.push('no-ACK trace: 200 OK retransmission not reported')
+    else {
+      if (okRetrans.severity !== 'critical') failures.push('no-ACK trace: missing ACK should be critical')
+      if (okRetrans.leg !== '198.51.100.5:5060 -> 203.0.113.10:5060') failures.push(`no-ACK trace: wrong leg ${okRetrans.leg}`)
+      if (!okRetrans.matches_backoff) failures.push(`no-ACK trace: intervals ${okRetrans.intervals_ms.join('/')} not matched to T1/T2 backoff`)
+    }
+
+    // 4. A missing ACK is only reported once Timer H (64*T1, with the configured T1) has expired
+    const answered = buildSipTransactions(okRetransmissionNoAckTrace().slice(0, 4)).transactions
+    const okAt = answered[0].final_response.time_ms
+    const missingAck = options => analyzeRetransmissions(answered, options).findings.some(f => f.type === 'missing_ack')
+    if (missingAck({ trace_end_ms: okAt + 10000 })) failures.push('missing ACK: reported 10s after the 200 OK, before Timer H (32s)')
+    if (!missingAck({ trace_end_ms: okAt + 32000 })) failures.push('missing ACK: not reported once Timer H (32s) expired')
+    if (!missingAck({ trace_end_ms: okAt + 10000, t1_ms: 100 })) failures.push('missing ACK: T1 of 100ms ignored (Timer H 6.4s)')
+
+    // 5. A clean call produces no timer findings
+    const clean = findingsOf(authChallengeConnectedTrace())
+    if (clean.length > 0) failures.push(`clean trace: unexpected findings ${clean.map(f => f.type).join(', ')}`)
+
+    return {
+      tool: 'sip_timers',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      findings_checked: retrans.length + timeout.length + noAck.length,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'sip_timers',
+      status: 'ERROR',
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testSipTimers()
+}
@@ -0,0 +1,64 @@
+/**
+ * Test for SIP transaction/dialog reconstruction (offline — fixture traces, no API calls)
+ */
+
+import { buildSipTransactions } from './sipTransactions'
+import { analyzeSipTrace } from './callDebugTools'
+import { authChallengeConnectedTrace, inviteRetransmissionTrace } from './sipTraceFixtures'
+
+/**
+ * Tests that an auth re-INVITE is a new transaction and a resent INVITE is a retransmission
+ * @returns {Promise<Object>} Test result
+ */
+export async function testSipTransactions () {
+  try {
+    const failures = []
+
+    // 1. 407 challenge followed by a credentialed INVITE
+    const authModel = buildSipTransactions(authChallengeConnectedTrace())
+    const invites = authModel.transactions.filter(tx => tx.method === 'INVITE')
+    if (invites.length !== 2) failures.push(`auth trace: expected 2 INVITE transactions, got ${invites.length}`)
+    if (invites.some(tx => tx.retransmissions.length > 0)) failures.push('auth trace: re-INVITE counted as retransmission')
+    if (invites[1] && invites[1].auth_retry_of !== invites[0].id) failures.push('auth trace: re-INVITE not linked to challenged INVITE')
+    if (invites[0] && !invites[0].ack) failures.push('auth trace: ACK for 407 not folded into INVITE transaction')
+    if (invites[1] && invites[1].timing.first_ringing_ms !== 1500) failures.push(`auth trace: expected 1500ms to ringing, got ${invites[1].timing.first_ringing_ms}`)
+    if (authModel.dialogs.length !== 1) failures.push(`auth trace: expected 1 dialog, got ${authModel.dialogs.length}`)
+    if (authModel.dialogs[0] && authModel.dialogs[0].state !== 'terminated') failures.push(`auth trace: dialog state ${authModel.dialogs[0].state}`)
+
+    const authAnalysis = analyzeSipTrace(authChallengeConnectedTrace())
+    if (authAnalysis.issues.some(i => i.includes('retransmission'))) failures.push('auth trace: analyzeSipTrace reported a retransmission')
+
+    // 2. INVITE sent three times on UDP
+    const retransModel = buildSipTransactions(inviteRetransmissionTrace())
+    const retransInvite = retransModel.transactions.find(tx => tx.method === 'INVITE')
+    if (!retransInvite || retransInvite.retransmissions.length !== 2) failures.push('retransmission trace: expected 2 retransmissions on the INVITE')
+    if (retransInvite && (!retransInvite.final_response || retransInvite.final_response.code !== 486)) failures.push('retransmission trace: final response not matched')
+    if (retransModel.transactions.length !== 1) failures.push(`retransmission trace: expected 1 transaction, got ${retransModel.transactions.length}`)
+
+    const retransAnalysis = analyzeSipTrace(inviteRetransmissionTrace())
+    if (!retransAnalysis.issues.some(i => i.includes('3 copies'))) failures.push('retransmission trace: analyzeSipTrace did not report 3 copies')
+
+    return {
+      tool: 'sip_transactions',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      auth_transactions: authModel.transactions.length,
+      retransmission_transactions: retransModel.transactions.length,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'sip_transactions',
+      status: 'ERROR',
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testSipTransactions()
+}
@@ -0,0 +1,82 @@
+/**
+ * Test for STIR/SHAKEN Identity decoding and offline verification (offline — fixture traces, no API calls)
+ */
+
+import { sha256 } from './es256'
+import { utf8ToBytes } from './binaryUtils'
+import { analyzeSipTrace } from './callDebugTools'
+import { shakenSignedTrace, shakenStaleTrace, shakenForgedTrace, authChallengeConnectedTrace, SHAKEN_TEST_CERTIFICATE } from './sipTraceFixtures'
+
+/**
+ * Tests PASSporT decoding, orig/dest/iat checks and ES256 signature verification
+ * @returns {Promise<Object>} Test result
+ */
+export async function testStirShaken () {
+  try {
+    const failures = []
+
+    // 1. SHA-256 known answer ("abc", FIPS 180-2 appendix B.1)
+    const digest = Array.from(sha256(utf8ToBytes('abc')), b => b.toString(16).padStart(2, '0')).join('')
+    if (digest !== 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad') failures.push(`sha256: wrong digest ${digest}`)
+
+    // 2. Fresh A-attested PASSporT, verified with the signer certificate
+    const signed = analyzeSipTrace(shakenSignedTrace(), { certificate_pem: SHAKEN_TEST_CERTIFICATE }).stir_shaken
+    const identity = signed.identities[0]
+    if (signed.identities.length !== 1) failures.push(`signed trace: expected 1 identity (retransmission deduplicated), got ${signed.identities.length}`)
+    if (!identity || identity.attestation !== 'A') failures.push('signed trace: attestation A not decoded')
+    else {
+      if (!identity.checks.orig_matches_from || !identity.checks.dest_matches_to) failures.push('signed trace: orig/dest should match From/To')
+      if (identity.iat_age_seconds !== 0 || !identity.checks.iat_fresh) failures.push(`signed trace: iat age ${identity.iat_age_seconds}s`)
+      if (identity.signature.verified !== true) failures.push(`signed trace: signature not verified (${identity.signature.reason})`)
+      if (identity.certificate_url !== 'https://cert.example.org/shaken.pem') failures.push('signed trace: certificate URL not decoded')
+    }
+    if (signed.findings.length !== 0) failures.push(`signed trace: unexpected findings ${signed.findings.map(f => f.type).join(', ')}`)
+
+    // 3. Without a certificate the signature is left unchecked, not failed
+    const unchecked = analyzeSipTrace(shakenSignedTrace()).stir_shaken.identities[0]
+    if (!unchecked || unchecked.signature.verified !== null) failures.push('signed trace: signature should be unchecked without a certificate')
+
+    // 4. Stale C-attested PASSporT for another number
+    const staleAnalysis = analyzeSipTrace(shakenStaleTrace(), { certificate_pem: SHAKEN_TEST_CERTIFICATE })
+    const staleTypes = staleAnalysis.stir_shaken.findings.map(f => f.type)
+    for (const expected of ['gateway_attestation', 'orig_mismatch', 'stale_iat']) {
+      if (!staleTypes.includes(expected)) failures.push(`stale trace: missing ${expected} finding`)
+    }
+    if (staleTypes.includes('signature_invalid')) failures.push('stale trace: genuine signature reported invalid')
+    if (!staleAnalysis.issues.some(i => i.startsWith('STIR/SHAKEN:') && i.includes('600s'))) failures.push('stale trace: stale iat not surfaced in issues')
+
+    // 5. Signature from another token
+    const forged = analyzeSipTrace(shakenForgedTrace(), { certificate_pem: SHAKEN_TEST_CERTIFICATE }).stir_shaken
+    if (!forged.findings.some(f => f.type === 'signature_invalid' && f.severity === 'critical')) failures.push('forged trace: invalid signature not detected')
+
+    // 6. Unsigned call
+    if (analyzeSipTrace(authChallengeConnectedTrace()).stir_shaken.present) failures.push('unsigned trace: Identity reported present')
+
+    // 7. Claims that decode to JSON null ("bnVsbA") are undecodable, not a crash
+    const nullClaims = shakenSignedTrace().map(row => ({ ...row, msg: row.msg.replace(/(Identity: [^.]+)\.[^.]+\./, '$1.bnVsbA.') }))
+    const undecodable = analyzeSipTrace(nullClaims).stir_shaken
+    if (!undecodable.findings.some(f => f.type === 'passport_undecodable' && f.message.includes('JSON object'))) failures.push('null claims: expected passport_undecodable')
+
+    return {
+      tool: 'stir_shaken',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      attestation: identity ? identity.attestation : null,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'stir_shaken',
+      status: 'ERROR',
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testStirShaken()
+}
@@ -0,0 +1,110 @@
+/**
+ * Test for transcript / signalling correlation (offline — fixture trace, RTCP and transcript, local cxRest stand-in)
+ */
+
+import { setApiClient, investigateCallHandler, analyzeSipTrace } from './callDebugTools'
+import { sipTimelineEvents, correlateTranscript } from './transcriptCorrelation'
+import { normalizeTranscript } from './transcription'
+import { createCxRestStandIn } from './cxRestStandIn'
+import { lateOfferHoldTrace } from './sipTraceFixtures'
+
+/** RTCP every 5 s from 10:00:05; 12% loss in the 15 s and 20 s reports. */
+const LOSSY_RTCP = []
+for (let second = 5; second <= 60; second += 5) {
+  LOSSY_RTCP.push({
+    leg: 'a',
+    ssrc: '0x1111',
+    date: new Date(Date.UTC(2026, 2, 2, 10, 0, second)).toISOString().replace('T', ' ').slice(0, 19),
+    jitter: 5,
+    packet_loss: second === 15 || second === 20 ? 12 : 0,
+    rtt: 40
+  })
+}
+
+/**
+ * Recording offsets (seconds from the answer): the caller loses the agent
+ * while the loss burst is on, and again a minute in with nothing to show for it.
+ */
+const TRANSCRIPT = [
+  { channel: 1, start: 0.5, end: 2, text: 'Thanks for calling, how can I help?' },
+  { channel: 0, start: 3, end: 6, text: 'Hi, I am calling about my order.' },
+  { channel: 1, start: 7, end: 9, text: 'Sure, what is the order number?' },
+  { channel: 0, start: 10, end: 12, text: 'Hello? Can you hear me?' },
+  { channel: 0, start: 15, end: 17, text: 'Hello, can you hear me?' },
+  { channel: 1, start: 18, end: 19, text: 'Yes, I can hear you now.' },
+  { channel: 0, start: 60, end: 62, text: 'Sorry, I can\'t hear you at all.' }
+]
+
+/**
+ * Aligns the transcript with SIP events and RTCP incidents and checks the audio-complaint findings
+ * @returns {Promise<Object>} Test result
+ */
+export async function testTranscriptCorrelation () {
+  try {
+    const failures = []
+
+    // 1. SIP events: answer at +2.0s, hold re-INVITE at +20.0s
+    const trace = lateOfferHoldTrace()
+    const analysis = analyzeSipTrace(trace)
+    const sip = sipTimelineEvents(analysis, trace)
+    const sipTypes = sip.map(e => `${e.type}@${e.offset_ms}`).join(',')
+    if (sipTypes !== 'invite@0,answer@2000,hold@20000') failures.push(`SIP events: ${sipTypes}`)
+    if (!sip[2].summary.includes('c=0.0.0.0')) failures.push(`hold summary: ${sip[2].summary}`)
+
+    // 2. Recording offsets are shifted to the answer
+    const correlation = correlateTranscript(normalizeTranscript(TRANSCRIPT), { sip_events: sip, rtcp_events: [], rtcp_available: false })
+    const firstCaller = correlation.timeline.find(e => e.source === 'transcript' && e.leg === 'caller')
+    if (correlation.anchor !== 'answer' || correlation.anchor_offset_ms !== 2000 || firstCaller.offset_ms !== 5000) failures.push(`anchor: ${correlation.anchor} ${correlation.anchor_offset_ms} ${firstCaller && firstCaller.offset_ms}`)
+    if (correlation.complaints.map(c => c.count).join(',') !== '2,1,1') failures.push(`complaints: ${JSON.stringify(correlation.complaints)}`)
+
+    // 3. Absolute timestamps are measured from the trace start as they are
+    const absolute = correlateTranscript(normalizeTranscript([{ speaker: 'caller', timestamp: '2026-03-02 10:00:30', text: 'Are you there?' }], { start: analysis.start_time }), { sip_events: sip })
+    if (absolute.anchor !== 'start' || absolute.complaints[0].offset_ms !== 30000) failures.push(`absolute: ${absolute.anchor} ${absolute.complaints[0] && absolute.complaints[0].offset_ms}`)
+
+    // 4. investigateCall: transcript, SIP events and RTCP incidents on one timeline
+    const api = createCxRestStandIn({ 'GET log/trace': trace, 'GET log/rtcp': LOSSY_RTCP, 'GET transcribe': TRANSCRIPT })
+    setApiClient(api)
+    const investigation = await investigateCallHandler({ callid: 'hold-call', include_transcript: true })
+    const t = investigation.transcript
+    if (!t || !t.available || t.turn_count !== 7) failures.push(`investigate: transcript ${JSON.stringify(t && { available: t.available, error: t.error })}`)
+    const sources = t.timeline.slice(0, 4).map(e => `${e.source}:${e.type}@${e.offset_ms}`).join(',')
+    if (sources !== 'sip:invite@0,sip:answer@2000,transcript:speech@2500,transcript:speech@5000') failures.push(`timeline: ${sources}`)
+    if (!t.timeline.some(e => e.source === 'rtcp' && e.type === 'loss_burst' && e.offset_ms === 10000)) failures.push('timeline: loss burst missing')
+
+    const correlated = investigation.findings.find(f => f.code === 'transcript.audio_complaint_correlated')
+    if (!correlated || !correlated.message.startsWith('Caller said "can you hear me" / "hello?" 3 time(s) between +12.0s and +19.0s while packet loss peaked at 12% (loss_burst, leg a)') || !correlated.message.includes('hold')) failures.push(`correlated finding: ${correlated && correlated.message}`)
+    if (!correlated || correlated.evidence.values.turns.join(',') !== '3,4' || correlated.evidence.message_ids.length !== 1 || correlated.category !== 'media') failures.push(`correlated evidence: ${JSON.stringify(correlated && correlated.evidence)}`)
+    const unexplained = investigation.findings.find(f => f.code === 'transcript.audio_complaint')
+    if (!unexplained || !unexplained.message.includes('+62.0s') || !unexplained.message.includes('no RTCP incident')) failures.push(`unexplained finding: ${unexplained && unexplained.message}`)
+    if (!investigation.debug_summary.includes('Transcript: 7 turn(s) (recording starts at the answer, +2.0s), 3 audio complaint(s), 1 episode(s)')) failures.push('debug summary: transcript line missing')
+
+    // 5. Off by default: no transcription request
+    const plain = await investigateCallHandler({ callid: 'hold-call' })
+    const requested = api.calls.filter(c => c.path === 'transcribe').length
+    if (plain.transcript !== null || requested !== 1) failures.push(`default: transcript ${JSON.stringify(plain.transcript)}, ${requested} transcribe request(s)`)
+
+    return {
+      tool: 'transcript_correlation',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: investigation.debug_summary.split('\n').find(l => l.startsWith('Transcript:')),
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'transcript_correlation',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testTranscriptCorrelation()
+}
@@ -0,0 +1,133 @@
+/**
+ * Test for transcript normalisation and transcription search (offline — fixture payloads, local cxRest stand-in)
+ */
+
+import { setApiClient, getTranscriptionHandler } from './callDebugTools'
+import { normalizeTranscript, compileMatchers, searchTranscriptionsHandler } from './transcription'
+import { createCxRestStandIn } from './cxRestStandIn'
+
+/** Stereo segments: channel 0 is the caller, channel 1 the agent; the agent's first two segments are one turn. */
+const SEGMENT_PAYLOAD = [
+  { channel: 1, start: 0.5, end: 2.0, text: 'Thank you for calling.' },
+  { channel: 1, start: 2.4, end: 5.0, text: 'This call may be recorded for training purposes.' },
+  { channel: 0, start: 6.0, end: 8.5, text: 'Hello, can you hear me?', confidence: 0.92 },
+  { channel: 1, start: 9.0, end: 10.0, text: 'Yes, go ahead.' },
+  { channel: 0, start: 11.0, end: 14.0, text: 'I want to cancel my contract, this is a rip-off.' }
+]
+
+/** Wrapped payload with absolute timestamps and diarised speakers. */
+const WRAPPED_PAYLOAD = {
+  callid: 'wrapped-call',
+  segments: [
+    { speaker: 'spk_0', timestamp: '2026-03-02 10:00:05', text: 'Hi there' },
+    { speaker: 'spk_1', timestamp: '2026-03-02 10:00:07', text: 'Hello, can you hear me? Hello?' }
+  ]
+}
+
+/** One record holding the whole transcript as labelled text. */
+const TEXT_PAYLOAD = [{ callid: 'text-call', text: 'Agent: Good morning\nCustomer: I would like to cancel please' }]
+
+/**
+ * Normalises transcript shapes into speaker turns and scans several calls for keywords and patterns
+ * @returns {Promise<Object>} Test result
+ */
+export async function testTranscriptionSearch () {
+  try {
+    const failures = []
+
+    // 1. Segment list: channels mapped to legs, same-speaker segments merged
+    const stereo = normalizeTranscript(SEGMENT_PAYLOAD)
+    if (stereo.turns.length !== 4 || stereo.speakers.join(',') !== 'callee,caller') failures.push(`stereo turns: ${stereo.turns.length} ${stereo.speakers}`)
+    if (stereo.turns[0].text !== 'Thank you for calling. This call may be recorded for training purposes.' || stereo.turns[0].offset_ms !== 500 || stereo.turns[0].end_ms !== 5000 || stereo.turns[0].segments !== 2) failures.push(`merged turn: ${JSON.stringify(stereo.turns[0])}`)
+    if (stereo.turns[1].confidence !== 0.92 || stereo.duration_ms !== 14000) failures.push(`confidence / duration: ${stereo.turns[1].confidence} ${stereo.duration_ms}`)
+
+    // 2. Wrapped payload with absolute timestamps, anchored to a given start
+    const wrapped = normalizeTranscript(WRAPPED_PAYLOAD, { start: '2026-03-02T10:00:00.000Z' })
+    if (wrapped.turns.map(t => `${t.speaker}@${t.offset_ms}`).join(',') !== 'speaker_0@5000,speaker_1@7000') failures.push(`wrapped: ${wrapped.turns.map(t => `${t.speaker}@${t.offset_ms}`)}`)
+
+    // 3. Labelled text, untimed
+    const text = normalizeTranscript(TEXT_PAYLOAD)
+    if (text.turns.map(t => t.speaker).join(',') !== 'callee,caller' || text.timed || text.turns[1].text !== 'I would like to cancel please') failures.push(`text: ${JSON.stringify(text.turns)}`)
+
+    // 4. Matchers: whole-word keywords, regex patterns, validation
+    const matchers = compileMatchers('cancel, can you hear me', '["rip.?off"]')
+    if (matchers.map(m => `${m.type}:${m.term}`).join(',') !== 'keyword:cancel,keyword:can you hear me,pattern:rip.?off') failures.push(`matchers: ${matchers.map(m => m.term)}`)
+    if (matchers[0].regex.test('cancellation')) failures.push('keyword matched inside a word')
+    let invalid = null
+    try { compileMatchers(null, '(unclosed') } catch (error) { invalid = error.message }
+    if (!invalid || !invalid.includes('Parameter "patterns"')) failures.push(`invalid pattern: ${invalid}`)
+
+    // 5. getTranscription returns turns alongside the raw payload
+    setApiClient(createCxRestStandIn({ 'GET transcribe': ({ query }) => query.s === 'stereo-call' ? SEGMENT_PAYLOAD : [] }))
+    const single = await getTranscriptionHandler({ callid: 'stereo-call' })
+    if (!single.success || single.turns.length !== 4 || single.transcription.length !== 5) failures.push(`getTranscription: ${single.message}`)
+
+    // 6. Search a customer's calls for a date range
+    const transcripts = { 'stereo-call': SEGMENT_PAYLOAD, 'wrapped-call': WRAPPED_PAYLOAD, 'text-call': TEXT_PAYLOAD }
+    const api = createCxRestStandIn({
+      'POST cdr': [
+        { dt: '2026-03-02 10:00:00', callid: 'stereo-call', customer_id: 42, duration: 14 },
+        { dt: '2026-03-02 10:05:00', callid: 'wrapped-call', customer_id: 42, duration: 8 },
+        { dt: '2026-03-02 10:05:00', callid: 'wrapped-call', customer_id: 42, duration: 8 },
+        { dt: '2026-03-02 10:09:00', callid: 'failed-call', customer_id: 42, duration: 0 },
+        { dt: '2026-03-02 10:10:00', callid: 'text-call', customer_id: 42, duration: 30 },
+        { dt: '2026-03-02 10:12:00', callid: 'silent-call', customer_id: 42, duration: 60 }
+      ],
+      'GET transcribe': ({ query }) => transcripts[query.s] || []
+    })
+    setApiClient(api)
+    const search = await searchTranscriptionsHandler({ start_date: '2026-03-02', customer_id: 42, keywords: 'cancel, can you hear me', patterns: 'rip.?off' })
+    if (!search.success || search.calls_scanned !== 4 || search.calls_with_transcript !== 3 || search.calls_with_hits !== 3 || search.hit_count !== 5) failures.push(`search: ${search.summary || search.error}`)
+    const cdrQuery = api.calls.find(c => c.method === 'POST')
+    if (!cdrQuery || !cdrQuery.body.where.rules.some(r => r.field === 'customer_id' && r.data === 42)) failures.push('search: customer filter not sent to the CDR')
+    const hear = search.hits.find(h => h.callid === 'stereo-call' && h.term === 'can you hear me')
+    if (!hear || hear.offset_ms !== 6000 || hear.speaker !== 'caller' || hear.context !== 'Hello, can you hear me?') failures.push(`search: hit ${JSON.stringify(hear)}`)
+    if (search.by_term['keyword:cancel'].hits !== 2 || search.by_term['keyword:cancel'].calls !== 2 || search.by_term['pattern:rip.?off'].hits !== 1) failures.push(`search: by term ${JSON.stringify(search.by_term)}`)
+
+    // A keyword and a pattern with the same text are counted apart
+    const sameText = await searchTranscriptionsHandler({ callids: 'stereo-call', keywords: 'recorded', patterns: 'recorded' })
+    if (!sameText.success || sameText.by_term['keyword:recorded']?.hits !== 1 || sameText.by_term['pattern:recorded']?.hits !== 1) failures.push(`search: same text by term ${JSON.stringify(sameText.by_term)}`)
+
+    // 7. Speaker filter, explicit Call-IDs and max_calls
+    const callerOnly = await searchTranscriptionsHandler({ callids: 'stereo-call,wrapped-call', keywords: 'recorded' })
+    const agentSaid = await searchTranscriptionsHandler({ callids: 'stereo-call', keywords: 'recorded', speaker: 'caller' })
+    if (callerOnly.hit_count !== 1 || agentSaid.hit_count !== 0 || callerOnly.calls_scanned !== 2) failures.push('speaker filter / callids')
+    const capped = await searchTranscriptionsHandler({ start_date: '2026-03-02', keywords: 'cancel', max_calls: 1 })
+    if (capped.calls_scanned !== 1 || !capped.truncated) failures.push('max_calls')
+
+    // 8. Errors: no terms, no date, no calls, unsafe patterns
+    const noTerms = await searchTranscriptionsHandler({ start_date: '2026-03-02' })
+    const noDate = await searchTranscriptionsHandler({ keywords: 'cancel' })
+    setApiClient(createCxRestStandIn({}))
+    const noCalls = await searchTranscriptionsHandler({ start_date: '2026-03-02', keywords: 'cancel' })
+    const nested = await searchTranscriptionsHandler({ callids: 'stereo-call', patterns: '(a+)+$' })
+    const nestedClass = await searchTranscriptionsHandler({ callids: 'stereo-call', patterns: '([a-z]*\\s)*x' })
+    const tooLong = await searchTranscriptionsHandler({ callids: 'stereo-call', patterns: 'a'.repeat(201) })
+    if (!nested.error?.includes('exponential') || !nestedClass.error?.includes('exponential') || !tooLong.error?.includes('longer than 200')) failures.push(`unsafe patterns accepted: ${nested.error} / ${nestedClass.error} / ${tooLong.error}`)
+    if (!noTerms.error?.includes('"keywords" or "patterns"') || !noDate.error?.includes('Parameter "start_date"') || noCalls.success !== false || !noCalls.suggestions) failures.push('validation')
+
+    return {
+      tool: 'transcription_search',
+      status: failures.length === 0 ? 'PASS' : 'FAIL',
+      summary: search.summary,
+      failures
+    }
+
+  } catch (error) {
+    return {
+      tool: 'transcription_search',
+      status: 'ERROR',
+      error: error.message
+    }
+  } finally {
+    setApiClient(null)
+  }
+}
+
+/**
+ * Entry point for ScriptForge
+ * @returns {Promise<Object>} Test result
+ */
+export async function main () {
+  return await testTranscriptionSearch()
+}
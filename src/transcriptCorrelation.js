@@ -0,0 +1,258 @@
+/**
+ * Transcript / Signalling Correlation
+ *
+ * Puts what was said (transcription turns), the SIP events that change the
+ * media (answer, re-INVITE, hold / resume, BYE) and the RTCP incidents (loss
+ * bursts, dropouts, jitter spikes) on one timeline, in ms from the trace
+ * start_time, so audio complaints in the conversation can be matched to what
+ * the network was doing at the time:
+ *
+ *   +20.4s  transcript  caller: "Hello? Can you hear me?"
+ *   +21.0s  rtcp        Packet loss burst on a (peak 12%)
+ *   +24.8s  transcript  caller: "Hello, can you hear me?"
+ *
+ * Transcript offsets from a recording (no absolute timestamps) start at the
+ * answer, so they are shifted by the answer time on the ingress leg; absolute
+ * timestamps are already measured from start_time (normalizeTranscript).
+ *
+ * Pure analysis — no API calls.
+ */
+
+import { parseSipMessage, getSipHeader, extractTag } from './sipTransactions'
+import { parseSdp } from './sdpAnalysis'
+
+/** Caller phrases that mean the audio is not getting through. */
+const AUDIO_COMPLAINTS = [
+	{ phrase: 'can you hear me', regex: /can you (still )?hear me/gi },
+	{ phrase: 'are you there', regex: /are you (still )?there/gi },
+	{ phrase: 'can\'t hear you', regex: /(can'?t|cannot|can not) hear (you|anything|a thing)/gi },
+	{ phrase: 'breaking up', regex: /(breaking|cutting) (up|out)/gi },
+	{ phrase: 'hello?', regex: /\bhello\s*\?/gi }
+]
+
+/** Complaints closer than this (ms) are one episode. */
+const EPISODE_GAP_MS = 15000
+
+/** Slack (ms) either side of an episode when looking for incidents and SIP events. */
+const MATCH_WINDOW_MS = 3000
+
+/** SIP event types that can explain an audio gap. */
+const MEDIA_CHANGING_EVENTS = ['reinvite', 'hold', 'resume', 'bye']
+
+/**
+ * Formats an offset for messages.
+ *
+ * @param {number|null} ms - Offset from the call start
+ * @returns {string} e.g. "+20.4s"
+ */
+function at (ms) {
+	return ms === null ? '?' : `+${(ms / 1000).toFixed(1)}s`
+}
+
+/**
+ * Builds timeline events from the SIP transactions of a trace: the call
+ * INVITE, ringing, answer or failure, re-INVITE / UPDATE (hold when the SDP
+ * is sendonly / inactive / c=0.0.0.0, resume when it follows a hold), CANCEL
+ * and BYE. Auth challenges and ACKs are left out.
+ *
+ * @param {Object} analysis - analyzeSipTrace result
+ * @param {Array<Object>} messages - The trace rows the analysis came from (for re-INVITE SDP)
+ * @returns {Array<Object>} Events { offset_ms, time, source: 'sip', type, leg, summary, message_id }, in time order
+ */
+export function sipTimelineEvents (analysis, messages = []) {
+	const events = []
+	const held = {}
+	const push = (tx, event, type, summary) => events.push({
+		offset_ms: event.offset_ms !== null && event.offset_ms !== undefined ? Math.round(event.offset_ms) : null,
+		time: event.time || null,
+		source: 'sip',
+		type,
+		leg: tx.leg,
+		summary,
+		message_id: event.message_id ?? null
+	})
+
+	const answered = new Set()
+	for (const tx of analysis?.transactions || []) {
+		const final = tx.final_response
+		const parsed = parseSipMessage(messages[tx.request.index]?.msg)
+		// tx.to_tag comes from the responses; a re-INVITE carries one in the request itself
+		const inDialog = parsed ? !!extractTag(getSipHeader(parsed, 'to')) : answered.has(tx.call_id)
+		if (tx.method === 'INVITE' && !inDialog) {
+			if (final && final.code < 300) answered.add(tx.call_id)
+			push(tx, tx.request, 'invite', `INVITE ${tx.leg}`)
+			const ringing = tx.provisional_responses.find(r => r.code === 180 || r.code === 183)
+			if (ringing) push(tx, ringing, 'ringing', `${ringing.code} ${ringing.reason} ${tx.leg}`.trim())
+			if (final && final.code < 300) push(tx, final, 'answer', `${final.code} ${final.reason} — answered ${tx.leg}`.trim())
+			else if (final && final.code !== 401 && final.code !== 407) push(tx, final, 'failure', `${final.code} ${final.reason} ${tx.leg}`.trim())
+		} else if (tx.method === 'INVITE' || tx.method === 'UPDATE') {
+			const audio = parsed ? (parseSdp(parsed.body)?.media || []).find(m => m.type === 'audio') : null
+			const holding = !!audio && (audio.direction === 'sendonly' || audio.direction === 'inactive' || audio.connection_address === '0.0.0.0')
+			const dialog = tx.call_id || tx.leg
+			const type = holding ? 'hold' : (held[dialog] ? 'resume' : 'reinvite')
+			if (audio) held[dialog] = holding
+			const detail = holding
+				? ` puts the call on hold (${audio.connection_address === '0.0.0.0' ? 'c=0.0.0.0' : `a=${audio.direction}`})`
+				: (type === 'resume' ? ' takes the call off hold' : '')
+			const outcome = final && final.code >= 300 ? ` — ${final.code} ${final.reason}`.trimEnd() : ''
+			push(tx, tx.request, type, `${tx.method === 'UPDATE' ? 'UPDATE' : 're-INVITE'} ${tx.leg}${detail}${outcome}`)
+		} else if (tx.method === 'BYE' || tx.method === 'CANCEL') {
+			push(tx, tx.request, tx.method.toLowerCase(), `${tx.method} from ${tx.source}`)
+		}
+	}
+
+	return events.sort((a, b) => (a.offset_ms ?? 0) - (b.offset_ms ?? 0))
+}
+
+/**
+ * Builds timeline events from RTCP incidents.
+ *
+ * @param {Object|null} timeSeries - analyzeRtcpTimeSeries result (offsets from the trace start)
+ * @returns {Array<Object>} Events { offset_ms, end_offset_ms, time, source: 'rtcp', type, leg, summary, severity, metric, peak }
+ */
+export function rtcpTimelineEvents (timeSeries) {
+	return (timeSeries?.incidents || []).map(incident => ({
+		offset_ms: incident.start_offset_ms,
+		end_offset_ms: incident.end_offset_ms,
+		time: incident.start,
+		source: 'rtcp',
+		type: incident.type,
+		leg: incident.leg,
+		summary: incident.message,
+		severity: incident.severity,
+		metric: incident.metric,
+		peak: incident.peak
+	}))
+}
+
+/**
+ * Describes the peak of an incident for a finding message.
+ *
+ * @param {Object} incident - rtcpTimelineEvents entry
+ * @returns {string} e.g. "packet loss peaked at 12%"
+ */
+function describePeak (incident) {
+	const where = `${incident.type}${incident.leg ? `, leg ${incident.leg}` : ''}`
+	if (incident.peak === null || incident.peak === undefined) return where
+	const peak = Math.round(incident.peak * 10) / 10
+	if (incident.metric === 'packet_loss_pct') return `packet loss peaked at ${peak}% (${where})`
+	if (incident.metric === 'jitter_ms') return `jitter peaked at ${peak} ms (${where})`
+	return `RTT peaked at ${peak} ms (${where})`
+}
+
+/**
+ * Aligns a transcript with SIP events and RTCP incidents and finds audio
+ * complaints ("can you hear me?", "hello?", "you're breaking up") that line
+ * up with them.
+ *
+ * @param {Object} transcript - normalizeTranscript result (normalised with start = trace start_time)
+ * @param {Object} [context] - Events to align with
+ * @param {Array<Object>} [context.sip_events] - sipTimelineEvents result
+ * @param {Array<Object>} [context.rtcp_events] - rtcpTimelineEvents result
+ * @param {boolean} [context.rtcp_available] - Whether RTCP was captured at all (worded into findings)
+ * @returns {Object} Correlation:
+ *   - {string} anchor - 'start' (absolute transcript timestamps) or 'answer' / 'start' for recording offsets
+ *   - {number} anchor_offset_ms - Shift applied to recording offsets
+ *   - {Array<Object>} timeline - Transcript turns, SIP events and RTCP incidents { offset_ms, source, type, leg, summary, ... }, in time order
+ *   - {Array<Object>} complaints - { turn, offset_ms, speaker, phrases, count, text }
+ *   - {Array<Object>} episodes - Complaint clusters with the incidents and SIP events they overlap
+ *   - {Array<Object>} findings - { type, severity, message, turns, incidents, sip_events }
+ */
+export function correlateTranscript (transcript, context = {}) {
+	const sipEvents = context.sip_events || []
+	const rtcpEvents = context.rtcp_events || []
+	const answer = sipEvents.find(e => e.type === 'answer')
+
+	// Recording offsets start at the answer; absolute timestamps are already anchored
+	const anchor = transcript.absolute ? 'start' : (answer && answer.offset_ms !== null ? 'answer' : 'start')
+	const shift = anchor === 'answer' ? answer.offset_ms : 0
+	const turns = transcript.turns.map(t => ({
+		...t,
+		offset_ms: t.offset_ms !== null ? t.offset_ms + shift : null,
+		end_ms: t.end_ms !== null ? t.end_ms + shift : null
+	}))
+
+	const speech = turns.map(t => ({
+		offset_ms: t.offset_ms,
+		end_offset_ms: t.end_ms,
+		time: null,
+		source: 'transcript',
+		type: 'speech',
+		leg: t.speaker,
+		summary: `${t.speaker || 'speaker'}: "${t.text}"`,
+		turn: t.index
+	}))
+	const order = { sip: 0, rtcp: 1, transcript: 2 }
+	const timeline = [...sipEvents, ...rtcpEvents, ...speech]
+		.sort((a, b) => (a.offset_ms ?? Infinity) - (b.offset_ms ?? Infinity) || order[a.source] - order[b.source])
+
+	// Audio complaints: anything but the callee (the far end is usually an agent or IVR)
+	const complaints = []
+	for (const turn of turns) {
+		if (turn.speaker === 'callee') continue
+		const phrases = []
+		let count = 0
+		for (const { phrase, regex } of AUDIO_COMPLAINTS) {
+			const matches = turn.text.match(regex)
+			if (matches) {
+				phrases.push(phrase)
+				count += matches.length
+			}
+		}
+		if (count > 0) complaints.push({ turn: turn.index, offset_ms: turn.offset_ms, end_ms: turn.end_ms, speaker: turn.speaker, phrases, count, text: turn.text })
+	}
+
+	// Episodes of complaints, matched against incidents and SIP events
+	const episodes = []
+	for (const complaint of complaints) {
+		const last = episodes[episodes.length - 1]
+		if (last && complaint.offset_ms !== null && last.end_ms !== null && complaint.offset_ms - last.end_ms <= EPISODE_GAP_MS) {
+			last.complaints.push(complaint)
+			last.end_ms = complaint.end_ms ?? complaint.offset_ms
+		} else {
+			episodes.push({ start_ms: complaint.offset_ms, end_ms: complaint.end_ms ?? complaint.offset_ms, complaints: [complaint] })
+		}
+	}
+	for (const episode of episodes) {
+		const timed = episode.start_ms !== null
+		const from = timed ? episode.start_ms - MATCH_WINDOW_MS : null
+		const to = timed ? episode.end_ms + MATCH_WINDOW_MS : null
+		episode.incidents = timed
+			? rtcpEvents.filter(e => e.offset_ms !== null && e.offset_ms <= to && (e.end_offset_ms ?? e.offset_ms) >= from)
+			: []
+		episode.sip_events = timed
+			? sipEvents.filter(e => MEDIA_CHANGING_EVENTS.includes(e.type) && e.offset_ms !== null && e.offset_ms >= from - EPISODE_GAP_MS && e.offset_ms <= to)
+			: []
+	}
+
+	const findings = episodes.map(episode => {
+		const count = episode.complaints.reduce((sum, c) => sum + c.count, 0)
+		const phrases = [...new Set(episode.complaints.flatMap(c => c.phrases))].map(p => `"${p}"`).join(' / ')
+		const span = episode.start_ms === null ? '' : (episode.complaints.length > 1 ? ` between ${at(episode.start_ms)} and ${at(episode.end_ms)}` : ` at ${at(episode.start_ms)}`)
+		const worst = [...episode.incidents].sort((a, b) => (b.severity === 'critical') - (a.severity === 'critical') || (b.peak ?? 0) - (a.peak ?? 0))[0]
+		const sip = episode.sip_events[episode.sip_events.length - 1]
+		let cause
+		if (worst) cause = ` while ${describePeak(worst)}`
+		else if (sip) cause = ` around ${sip.summary} at ${at(sip.offset_ms)}`
+		else cause = context.rtcp_available ? ' with no RTCP incident or SIP media change at that time' : ' (no RTCP data to compare against)'
+		if (worst && sip) cause += `, around ${sip.summary} at ${at(sip.offset_ms)}`
+
+		return {
+			type: worst || sip ? 'audio_complaint_correlated' : 'audio_complaint',
+			severity: 'warn',
+			message: `Caller said ${phrases} ${count} time(s)${span}${cause}`,
+			turns: episode.complaints.map(c => c.turn),
+			incidents: episode.incidents.map(i => ({ type: i.type, leg: i.leg, offset_ms: i.offset_ms, end_offset_ms: i.end_offset_ms, peak: i.peak })),
+			sip_events: episode.sip_events.map(e => ({ type: e.type, leg: e.leg, offset_ms: e.offset_ms, message_id: e.message_id }))
+		}
+	})
+
+	return {
+		anchor,
+		anchor_offset_ms: shift,
+		timeline,
+		complaints: complaints.map(({ end_ms, ...c }) => c),
+		episodes: episodes.map(e => ({ start_ms: e.start_ms, end_ms: e.end_ms, turns: e.complaints.map(c => c.turn), incidents: e.incidents.length, sip_events: e.sip_events.length })),
+		findings
+	}
+}
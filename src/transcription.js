@@ -0,0 +1,464 @@
+/**
+ * Transcription — Speaker Turns and Keyword Search
+ *
+ * transcribe?s={callid} returns whatever the transcription engine produced:
+ * a list of segments ({ speaker | channel, text, start, end }), an object
+ * wrapping one (segments / turns / utterances / results), or plain text with
+ * "Speaker: ..." lines. normalizeTranscript() reduces all of these to
+ * speaker-labelled turns with offsets in ms:
+ *
+ *   { index, speaker, text, offset_ms, end_ms, confidence, segments }
+ *
+ * Offsets are relative to the start of the transcript; segments carrying
+ * absolute timestamps are measured from options.start (or the first segment).
+ * Consecutive segments from the same speaker less than TURN_GAP_MS apart are
+ * one turn. Channel 0 / 1 are the A (caller) and B (callee) legs; diarised
+ * speaker numbers are kept as speaker_N since they say nothing about the leg.
+ *
+ * searchTranscriptionsHandler() scans the transcriptions of many calls (a CDR
+ * date range, optionally one customer, or a list of Call-IDs) for keywords
+ * and regular expressions — compliance phrases, abusive language — and
+ * returns each hit with its Call-ID and offset.
+ */
+
+import { getTranscription, searchCdr, validateCallId } from './callDebugTools'
+import { firstField, parseTimeMs } from './recordFields'
+
+/** Same-speaker segments closer than this (ms) are merged into one turn. */
+const TURN_GAP_MS = 2000
+
+/** Calls scanned by searchTranscriptions by default, and at most. */
+const DEFAULT_MAX_CALLS = 50
+const MAX_CALLS = 200
+
+/** Hits returned by searchTranscriptions at most (counts cover every hit). */
+const MAX_HITS = 500
+
+/** Longest regular expression accepted in patterns. */
+const MAX_PATTERN_LENGTH = 200
+
+/** Characters of context either side of a hit. */
+const CONTEXT_CHARS = 40
+
+/** CDR fields read when listing calls to scan. */
+const CDR_FIELDS = ['dt', 'callid', 'customer_id', 'dest_cli', 'dest_number', 'duration']
+
+/** Speaker labels that mean the caller (A leg) or the callee (B leg). */
+const CALLER_LABELS = /^(caller|customer|user|client|a|a[-_ ]?leg|leg[-_ ]?a|inbound|in|left|remote)$/i
+const CALLEE_LABELS = /^(callee|agent|assistant|bot|operator|b|b[-_ ]?leg|leg[-_ ]?b|outbound|out|right|local)$/i
+
+/** Fields that may hold the segment list of a wrapped transcript. */
+const SEGMENT_LISTS = ['segments', 'turns', 'utterances', 'transcript', 'transcription', 'results', 'data', 'items']
+
+/**
+ * Normalises a speaker / channel label to caller, callee or a stable label.
+ *
+ * @param {Object} segment - Transcript segment
+ * @returns {string|null} 'caller', 'callee', 'speaker_N', the original label, or null
+ */
+function speakerOf (segment) {
+	const channel = firstField(segment, ['channel', 'channel_index', 'leg'])
+	if (channel !== null) {
+		if (String(channel) === '0' || CALLER_LABELS.test(String(channel))) return 'caller'
+		if (String(channel) === '1' || CALLEE_LABELS.test(String(channel))) return 'callee'
+	}
+	const label = firstField(segment, ['speaker', 'role', 'speaker_label', 'from', 'participant'])
+	if (label === null) return channel !== null ? `channel_${channel}` : null
+	const text = String(label).trim()
+	if (CALLER_LABELS.test(text)) return 'caller'
+	if (CALLEE_LABELS.test(text)) return 'callee'
+	const numbered = text.match(/^(?:spk|speaker)?[-_ ]?(\d+)$/i)
+	return numbered ? `speaker_${numbered[1]}` : text
+}
+
+/**
+ * Reads a segment boundary: *_ms fields as ms, plain fields as seconds,
+ * date strings and epoch values as absolute times.
+ *
+ * @param {Object} segment - Transcript segment
+ * @param {string} edge - 'start' or 'end'
+ * @returns {{ms: number, absolute: boolean}|null} Time, or null if absent
+ */
+function segmentTime (segment, edge) {
+	const msNames = edge === 'start' ? ['start_ms', 'offset_ms', 'begin_ms'] : ['end_ms']
+	const secondNames = edge === 'start' ? ['start', 'start_time', 'offset', 'begin', 'from_time'] : ['end', 'end_time', 'to_time']
+	const absoluteNames = edge === 'start' ? ['date', 'dt', 'timestamp', 'time', 'created'] : []
+
+	const ms = firstField(segment, msNames)
+	if (ms !== null && !isNaN(Number(ms))) return { ms: Number(ms), absolute: false }
+	const seconds = firstField(segment, secondNames)
+	if (seconds !== null) {
+		if (!isNaN(Number(seconds))) {
+			const value = Number(seconds)
+			// Epoch values are absolute; anything smaller is an offset in seconds
+			if (value > 1e11) return { ms: value, absolute: true }
+			if (value > 1e9) return { ms: value * 1000, absolute: true }
+			return { ms: Math.round(value * 1000), absolute: false }
+		}
+		absoluteNames.unshift(...secondNames)
+	}
+	const stamp = firstField(segment, absoluteNames)
+	const parsed = parseTimeMs(stamp)
+	return parsed === null ? null : { ms: parsed, absolute: true }
+}
+
+/**
+ * Splits plain-text transcripts with "Speaker: text" lines into segments.
+ *
+ * @param {string} text - Transcript text
+ * @returns {Array<Object>} Segments { speaker, text }
+ */
+function segmentsFromText (text) {
+	const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(l => l !== '')
+	const labelled = lines.map(l => l.match(/^([A-Za-z][\w -]{0,20}?)\s*:\s+(.*)$/))
+	if (labelled.some(m => m === null)) return [{ text: lines.join(' ') }]
+	return labelled.map(m => ({ speaker: m[1], text: m[2] }))
+}
+
+/**
+ * Flattens a transcribe payload to its list of segments.
+ *
+ * @param {*} payload - transcribe response
+ * @returns {Array<Object>} Segments
+ */
+function extractSegments (payload) {
+	if (payload === null || payload === undefined) return []
+	if (typeof payload === 'string') return payload.trim() === '' ? [] : segmentsFromText(payload)
+	if (Array.isArray(payload)) {
+		return payload.flatMap(item => {
+			if (typeof item === 'string') return segmentsFromText(item)
+			if (item && typeof item === 'object' && SEGMENT_LISTS.some(name => Array.isArray(item[name]))) return extractSegments(item)
+			// A whole transcript in one record: split its "Speaker: text" lines
+			if (item && typeof item.text === 'string' && item.text.includes('\n') && firstField(item, ['speaker', 'role', 'channel']) === null) return segmentsFromText(item.text)
+			return item && typeof item === 'object' ? [item] : []
+		})
+	}
+	if (typeof payload === 'object') {
+		for (const name of SEGMENT_LISTS) {
+			if (Array.isArray(payload[name])) return extractSegments(payload[name])
+			if (payload[name] && typeof payload[name] === 'object') return extractSegments(payload[name])
+		}
+		const text = firstField(payload, ['text', 'transcript', 'content'])
+		return typeof text === 'string' ? segmentsFromText(text) : []
+	}
+	return []
+}
+
+/**
+ * Normalises a transcribe payload into speaker-labelled, timestamped turns.
+ *
+ * @param {*} payload - transcribe response (segment list, wrapped object or text)
+ * @param {Object} [options] - Options
+ * @param {string} [options.start] - Time that absolute segment timestamps are measured from (e.g. the trace start_time); defaults to the first segment
+ * @returns {Object} { turns, speakers, segment_count, duration_ms, word_count, timed, absolute (offsets measured from options.start / the first timestamp rather than the recording) }
+ */
+export function normalizeTranscript (payload, options = {}) {
+	const segments = extractSegments(payload)
+		.map(segment => ({
+			speaker: speakerOf(segment),
+			text: String(firstField(segment, ['text', 'transcript', 'utterance', 'content', 'message']) ?? '').trim(),
+			start: segmentTime(segment, 'start'),
+			end: segmentTime(segment, 'end'),
+			confidence: firstField(segment, ['confidence', 'score'])
+		}))
+		.filter(s => s.text !== '')
+
+	const absoluteStarts = segments.filter(s => s.start && s.start.absolute).map(s => s.start.ms)
+	const anchor = parseTimeMs(options.start) ?? (absoluteStarts.length > 0 ? Math.min(...absoluteStarts) : 0)
+	const offsetOf = time => time ? (time.absolute ? time.ms - anchor : time.ms) : null
+
+	const turns = []
+	for (const segment of segments) {
+		const offset = offsetOf(segment.start)
+		const end = offsetOf(segment.end)
+		const previous = turns[turns.length - 1]
+		const gap = previous && offset !== null && previous.end_ms !== null ? offset - previous.end_ms : 0
+		if (previous && previous.speaker === segment.speaker && gap < TURN_GAP_MS) {
+			previous.text += ` ${segment.text}`
+			if (end !== null) previous.end_ms = end
+			previous.segments++
+			continue
+		}
+		turns.push({
+			index: turns.length,
+			speaker: segment.speaker,
+			text: segment.text,
+			offset_ms: offset,
+			end_ms: end ?? offset,
+			confidence: segment.confidence !== null && !isNaN(Number(segment.confidence)) ? Number(segment.confidence) : null,
+			segments: 1
+		})
+	}
+
+	const ends = turns.map(t => t.end_ms).filter(t => t !== null)
+	return {
+		turns,
+		speakers: [...new Set(turns.map(t => t.speaker).filter(s => s !== null))],
+		segment_count: segments.length,
+		duration_ms: ends.length > 0 ? Math.max(...ends) : null,
+		word_count: turns.reduce((sum, t) => sum + t.text.split(/\s+/).length, 0),
+		timed: turns.some(t => t.offset_ms !== null),
+		absolute: absoluteStarts.length > 0
+	}
+}
+
+/**
+ * Reads a list parameter: an array, a JSON array string, or a string split on `separator`.
+ *
+ * @param {*} value - Parameter value
+ * @param {string} name - Parameter name, for errors
+ * @param {string|null} separator - Separator for plain strings, or null to keep the string whole
+ * @returns {Array<string>} Non-empty trimmed entries
+ * @throws {Error} If the value is not a string or array
+ */
+function parseTermList (value, name, separator) {
+	if (value === undefined || value === null || value === '') return []
+	let list = value
+	if (typeof value === 'string') {
+		const text = value.trim()
+		if (text.startsWith('[')) {
+			try {
+				list = JSON.parse(text)
+			} catch (error) {
+				throw new Error(`Parameter "${name}" looks like a JSON array but does not parse: ${error.message}`)
+			}
+		} else {
+			list = separator ? text.split(separator) : [text]
+		}
+	}
+	if (!Array.isArray(list)) {
+		throw new Error(`Parameter "${name}" must be a string or an array of strings, received ${typeof value}`)
+	}
+	return list.map(t => String(t).trim()).filter(t => t !== '')
+}
+
+/**
+ * Whether a regular expression repeats a group that itself holds an unbounded
+ * quantifier — (a+)+, (\w*\s)* — the shape that backtracks exponentially on
+ * a near miss and would stall the scan.
+ *
+ * @param {string} source - Regular expression source
+ * @returns {boolean} True if an unbounded quantifier is nested in a repeated group
+ */
+function hasNestedQuantifier (source) {
+	const groups = [{ repeats: false }]
+	let lastGroup = null
+	let inClass = false
+	for (let i = 0; i < source.length; i++) {
+		const ch = source[i]
+		const rest = source.slice(i)
+		const unbounded = ch === '*' || ch === '+' || /^\{\d*,\d*\}/.test(rest)
+		if (ch === '\\') {
+			i++
+			lastGroup = null
+		} else if (inClass) {
+			if (ch === ']') inClass = false
+		} else if (ch === '[') {
+			inClass = true
+			lastGroup = null
+		} else if (ch === '(') {
+			groups.push({ repeats: false })
+			lastGroup = null
+		} else if (ch === ')' && groups.length > 1) {
+			lastGroup = groups.pop()
+			if (lastGroup.repeats) groups[groups.length - 1].repeats = true
+			continue
+		} else if (unbounded) {
+			if (lastGroup && lastGroup.repeats) return true
+			groups[groups.length - 1].repeats = true
+		}
+		if (!unbounded && ch !== '?') lastGroup = null
+	}
+	return false
+}
+
+/**
+ * Compiles keywords (case-insensitive phrases, whole words) and regular
+ * expressions (case-insensitive) into matchers.
+ *
+ * @param {string|Array<string>} [keywords] - Keywords / phrases; a string is comma separated
+ * @param {string|Array<string>} [patterns] - Regular expressions; a string is one pattern unless it is a JSON array
+ * @returns {Array<Object>} { term, type ('keyword' | 'pattern'), regex }
+ * @throws {Error} If neither is given, or a pattern is too long, nests
+ *   unbounded quantifiers or does not compile
+ */
+export function compileMatchers (keywords, patterns) {
+	const matchers = parseTermList(keywords, 'keywords', ',').map(term => {
+		const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')
+		const source = `${/^\w/.test(term) ? '\\b' : ''}${escaped}${/\w$/.test(term) ? '\\b' : ''}`
+		return { term, type: 'keyword', regex: new RegExp(source, 'gi') }
+	})
+	for (const term of parseTermList(patterns, 'patterns', null)) {
+		if (term.length > MAX_PATTERN_LENGTH) {
+			throw new Error(`Parameter "patterns": regular expression "${term.slice(0, 40)}…" is longer than ${MAX_PATTERN_LENGTH} characters`)
+		}
+		if (hasNestedQuantifier(term)) {
+			throw new Error(`Parameter "patterns": regular expression "${term}" repeats a group that holds a repeat (e.g. (a+)+), which can take exponential time — rewrite it without the nesting`)
+		}
+		try {
+			matchers.push({ term, type: 'pattern', regex: new RegExp(term, 'gi') })
+		} catch (error) {
+			throw new Error(`Parameter "patterns": invalid regular expression "${term}" (${error.message})`)
+		}
+	}
+	if (matchers.length === 0) {
+		throw new Error('Parameter "keywords" or "patterns" is required')
+	}
+	return matchers
+}
+
+/**
+ * Finds every match of the matchers in a transcript's turns.
+ *
+ * @param {Array<Object>} turns - normalizeTranscript turns
+ * @param {Array<Object>} matchers - compileMatchers result
+ * @param {Object} [options] - Options
+ * @param {string} [options.speaker] - Only search turns by this speaker (e.g. caller)
+ * @returns {Array<Object>} Hits { turn, speaker, offset_ms, term, type, match, context }
+ */
+export function searchTranscript (turns, matchers, options = {}) {
+	const hits = []
+	for (const turn of turns) {
+		if (options.speaker && turn.speaker !== options.speaker) continue
+		for (const matcher of matchers) {
+			matcher.regex.lastIndex = 0
+			let match
+			while ((match = matcher.regex.exec(turn.text)) !== null) {
+				if (match[0] === '') {
+					matcher.regex.lastIndex++
+					continue
+				}
+				const from = Math.max(0, match.index - CONTEXT_CHARS)
+				const to = Math.min(turn.text.length, match.index + match[0].length + CONTEXT_CHARS)
+				hits.push({
+					turn: turn.index,
+					speaker: turn.speaker,
+					offset_ms: turn.offset_ms,
+					term: matcher.term,
+					type: matcher.type,
+					match: match[0],
+					context: `${from > 0 ? '…' : ''}${turn.text.slice(from, to)}${to < turn.text.length ? '…' : ''}`
+				})
+			}
+		}
+	}
+	return hits
+}
+
+/**
+ * Handler for the search_transcriptions MCP tool
+ *
+ * Lists answered calls from the CDR for the date range (optionally one
+ * customer), or takes the Call-IDs given, fetches each transcription and
+ * scans it. One transcribe request is made per call, so the scan stops at
+ * max_calls; `truncated` says whether calls were left out.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string|Array<string>} [args.keywords] - Keywords / phrases (comma separated)
+ * @param {string|Array<string>} [args.patterns] - Regular expressions (one pattern, or a JSON array)
+ * @param {string} [args.start_date] - Start date YYYY-MM-DD (UTC) — required unless callids is given
+ * @param {string} [args.end_date] - End date YYYY-MM-DD (UTC, defaults to start_date)
+ * @param {number} [args.customer_id] - Only this customer's calls
+ * @param {string|Array<string>} [args.callids] - Call-IDs to scan instead of a CDR search (comma separated)
+ * @param {string} [args.speaker] - Only match what this speaker said: caller or callee
+ * @param {number} [args.max_calls] - Calls to scan (default 50, max 200)
+ * @returns {Promise<Object>} { success, terms, calls_scanned, calls_with_transcript, calls_with_hits, hit_count, by_term, hits, calls, truncated, errors, summary }
+ */
+export async function searchTranscriptionsHandler (args) {
+	const { keywords, patterns, start_date, end_date, customer_id, callids, speaker } = args
+
+	try {
+		const matchers = compileMatchers(keywords, patterns)
+		const maxCalls = args.max_calls !== undefined && args.max_calls !== null ? parseInt(args.max_calls, 10) : DEFAULT_MAX_CALLS
+		if (isNaN(maxCalls) || maxCalls < 1 || maxCalls > MAX_CALLS) {
+			throw new Error(`Parameter "max_calls" must be between 1 and ${MAX_CALLS}, received ${args.max_calls}`)
+		}
+		if (speaker !== undefined && speaker !== null && speaker !== '' && !['caller', 'callee'].includes(speaker)) {
+			throw new Error(`Parameter "speaker" must be caller or callee, received "${speaker}"`)
+		}
+
+		// Calls to scan: the Call-IDs given, or answered calls from the CDR
+		let calls = []
+		let truncated = false
+		const listed = parseTermList(callids, 'callids', ',')
+		if (listed.length > 0) {
+			listed.forEach(id => validateCallId(id, 'callids'))
+			calls = [...new Set(listed)].map(callid => ({ callid }))
+		} else {
+			if (!start_date) {
+				throw new Error('Parameter "start_date" is required unless "callids" is given')
+			}
+			const filters = { limit: Math.min(maxCalls * 4, 5000), fields: CDR_FIELDS }
+			if (customer_id !== undefined && customer_id !== null && customer_id !== '') filters.customer_id = customer_id
+			const rows = await searchCdr(start_date, end_date, filters)
+			const seen = new Set()
+			for (const row of Array.isArray(rows) ? rows : []) {
+				if (!row.callid || seen.has(row.callid) || !(Number(row.duration) > 0)) continue
+				seen.add(row.callid)
+				calls.push({ callid: row.callid, dt: row.dt ?? null, customer_id: row.customer_id ?? null, cli: row.dest_cli ?? null, dst: row.dest_number ?? null })
+			}
+			truncated = calls.length > maxCalls || (Array.isArray(rows) && rows.length >= filters.limit)
+		}
+		truncated = truncated || calls.length > maxCalls
+		calls = calls.slice(0, maxCalls)
+
+		if (calls.length === 0) {
+			return {
+				success: false,
+				message: `No answered calls found between ${start_date} and ${end_date || start_date}${customer_id ? ` for customer ${customer_id}` : ''}`,
+				suggestions: [
+					'Widen the date range (dates are UTC)',
+					'Check the customer ID with searchCustomers',
+					'Pass callids to scan specific calls'
+				]
+			}
+		}
+
+		const hits = []
+		const scanned = []
+		const errors = []
+		// Keyed by type and term, so a keyword and a pattern with the same text are counted apart
+		const byTerm = {}
+		matchers.forEach(m => { byTerm[`${m.type}:${m.term}`] = { term: m.term, type: m.type, hits: 0, calls: 0 } })
+
+		for (const call of calls) {
+			let transcript
+			try {
+				transcript = normalizeTranscript(await getTranscription(call.callid))
+			} catch (error) {
+				errors.push({ callid: call.callid, error: error.message })
+				continue
+			}
+			const callHits = searchTranscript(transcript.turns, matchers, { speaker: speaker || null })
+			scanned.push({ ...call, has_transcript: transcript.turns.length > 0, turns: transcript.turns.length, hits: callHits.length })
+			for (const key of new Set(callHits.map(h => `${h.type}:${h.term}`))) byTerm[key].calls++
+			for (const hit of callHits) {
+				byTerm[`${hit.type}:${hit.term}`].hits++
+				hits.push({ callid: call.callid, dt: call.dt ?? null, ...hit })
+			}
+		}
+
+		const withTranscript = scanned.filter(c => c.has_transcript).length
+		const withHits = scanned.filter(c => c.hits > 0).length
+		return {
+			success: true,
+			terms: matchers.map(m => ({ term: m.term, type: m.type })),
+			calls_scanned: scanned.length,
+			calls_with_transcript: withTranscript,
+			calls_with_hits: withHits,
+			hit_count: hits.length,
+			by_term: byTerm,
+			hits: hits.slice(0, MAX_HITS),
+			calls: scanned.filter(c => c.hits > 0),
+			truncated,
+			errors,
+			summary: `${hits.length} hit(s) in ${withHits} of ${withTranscript} transcribed call(s) (${scanned.length} scanned${truncated ? `, stopped at ${maxCalls}` : ''})` +
+				(hits.length > MAX_HITS ? ` — first ${MAX_HITS} hits returned` : '')
+		}
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message || 'Unknown error occurred'
+		}
+	}
+}